@@ -1,8 +1,10 @@
 import React from 'react';
 import { BrowserRouter as Router, Routes, Route, Navigate, Outlet, Link, useLocation } from 'react-router-dom';
 import { AuthProvider, useAuth } from './contexts/AuthContext';
+import { OrganizationProvider } from './contexts/OrganizationContext';
 import { EventProvider } from './contexts/EventContext';
 import Header from './components/common/Header';
+import { getKioskDevice } from './utils/kioskDevice';
 
 // Pages
 import LoginPage from './pages/LoginPage';
@@ -19,6 +21,10 @@ import PdfTemplatesPage from './pages/PdfTemplatesPage';
 import EventStudentsPage from './pages/EventStudentsPage';
 import CheckHoursPage from './pages/CheckHoursPage';
 import ActivityPage from './pages/ActivityPage';
+import AuditLogPage from './pages/AuditLogPage';
+import OrganizationPage from './pages/OrganizationPage';
+import KioskCheckoutPage from './pages/KioskCheckoutPage';
+import OnSiteBoardPage from './pages/OnSiteBoardPage';
 
 // Loading Spinner Component
 function LoadingSpinner() {
@@ -44,6 +50,12 @@ function ProtectedRoute({ children }) {
 function AdminRoute({ children }) {
   const { isAuthenticated, canAccessAdmin, loading } = useAuth();
 
+  // A registered checkout kiosk stays on its kiosk page until the exit PIN is entered
+  const kioskDevice = getKioskDevice();
+  if (kioskDevice) {
+    return <Navigate to={`/checkout/${kioskDevice.eventId}`} replace />;
+  }
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -64,6 +76,12 @@ function AdminRoute({ children }) {
 function ScannerRoute({ children }) {
   const { isAuthenticated, canAccessScanner, loading } = useAuth();
 
+  // A registered checkout kiosk stays on its kiosk page until the exit PIN is entered
+  const kioskDevice = getKioskDevice();
+  if (kioskDevice) {
+    return <Navigate to={`/checkout/${kioskDevice.eventId}`} replace />;
+  }
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -83,6 +101,12 @@ function ScannerRoute({ children }) {
 function DefaultRedirect() {
   const { isAuthenticated, canAccessAdmin, loading } = useAuth();
 
+  // A registered checkout kiosk stays on its kiosk page until the exit PIN is entered
+  const kioskDevice = getKioskDevice();
+  if (kioskDevice) {
+    return <Navigate to={`/checkout/${kioskDevice.eventId}`} replace />;
+  }
+
   if (loading) {
     return <LoadingSpinner />;
   }
@@ -113,6 +137,7 @@ function SettingsLayout() {
     { path: '/admin/settings/events', label: 'Events' },
     { path: '/admin/settings/users', label: 'Users' },
     { path: '/admin/settings/pdf-templates', label: 'PDF Templates' },
+    { path: '/admin/settings/organization', label: 'Organization' },
   ];
 
   return (
@@ -121,7 +146,7 @@ function SettingsLayout() {
         <div className="mb-6">
           <h1 className="text-3xl font-black tracking-tight text-gray-900">Settings</h1>
           <p className="mt-1 text-sm font-medium text-gray-500">
-            Configure events, access, and document templates.
+            Configure events, access, document templates, and your organization.
           </p>
         </div>
 
@@ -156,6 +181,7 @@ function App() {
   return (
     <Router>
       <AuthProvider>
+        <OrganizationProvider>
         <EventProvider>
           <Routes>
             {/* Public Routes */}
@@ -163,6 +189,9 @@ function App() {
             <Route path="/hours" element={<CheckHoursPage />} />
             <Route path="/check-hours" element={<Navigate to="/hours" replace />} />
 
+            {/* Self-Checkout Kiosk - authorized by a device token, no session needed */}
+            <Route path="/checkout/:eventId" element={<KioskCheckoutPage />} />
+
             {/* Scanner Routes - Protected (admin or adult volunteer) */}
             <Route
               path="/scan/:eventId?/:activityId?/:action?"
@@ -173,6 +202,16 @@ function App() {
               }
             />
 
+            {/* On Site Now board - full screen, for the same volunteers as the scanner */}
+            <Route
+              path="/board/:eventId"
+              element={
+                <ScannerRoute>
+                  <OnSiteBoardPage />
+                </ScannerRoute>
+              }
+            />
+
             {/* Protected Admin Routes */}
             <Route
               path="/admin"
@@ -185,6 +224,7 @@ function App() {
               <Route index element={<AdminDashboardPage />} />
               <Route path="activity" element={<ActivityPage />} />
               <Route path="daily-review" element={<DailyReviewPage />} />
+              <Route path="audit" element={<AuditLogPage />} />
               <Route path="forms" element={<FormGenerationPage />} />
               <Route path="students" element={<EventStudentsPage />} />
               <Route path="events" element={<Navigate to="/admin/settings/events" replace />} />
@@ -199,6 +239,7 @@ function App() {
                 <Route path="events/:eventId/students" element={<EventStudentsPage />} />
                 <Route path="users" element={<UsersPage />} />
                 <Route path="pdf-templates" element={<PdfTemplatesPage />} />
+                <Route path="organization" element={<OrganizationPage />} />
               </Route>
             </Route>
 
@@ -207,6 +248,7 @@ function App() {
             <Route path="*" element={<DefaultRedirect />} />
           </Routes>
         </EventProvider>
+        </OrganizationProvider>
       </AuthProvider>
     </Router>
   );
@@ -20,6 +20,8 @@ vi.mock('../../utils/firebase', () => ({ db: {} }));
 
 vi.mock('firebase/firestore', () => ({
   collection: vi.fn((db, path) => ({ _collPath: path })),
+  query: vi.fn((ref) => ref),
+  where: vi.fn(),
   onSnapshot: vi.fn((ref, callback) => {
     if (ref?._collPath === 'students') {
       queueMicrotask(() => callback({
@@ -38,6 +40,7 @@ vi.mock('../../contexts/EventContext', () => ({
   useEvent: () => ({
     currentEvent: {
       id: 'event1',
+      organizationId: 'org1',
       name: 'VBS 2026',
       activities: [
         { id: 'activity1', name: 'Morning Session' },
@@ -1,11 +1,12 @@
 import React, { useState, useEffect, useMemo } from 'react'; //
 import { db } from '../../utils/firebase'; //
-import { collection, onSnapshot } from 'firebase/firestore'; //
+import { collection, onSnapshot, query, where } from 'firebase/firestore'; //
 import { Link } from 'react-router-dom';
 import ActivityFeedList from '../ActivityFeed/ActivityFeedList';
 import { useEvent } from '../../contexts/EventContext'; // Add this
 import { useTimeEntries } from '../../hooks/useTimeEntries'; // Add this
 import { buildActivityItems, convertToDate } from '../../utils/activityFeed';
+import { getEventTimeZone } from '../../utils/timeZones';
 
 /**
  * Admin Dashboard Component
@@ -18,7 +19,9 @@ export default function AdminDashboard() {
   const { currentEvent } = useEvent();
   const [students, setStudents] = useState([]); // State to store student records
   const { timeEntries, loading } = useTimeEntries({
+    organizationId: currentEvent?.organizationId,
     eventId: currentEvent?.id,
+    timeZone: getEventTimeZone(currentEvent),
     realtime: true
   });
 
@@ -45,13 +48,16 @@ export default function AdminDashboard() {
   ), [timeEntries, studentNameMap, activityNameMap]);
 
 
-  // 1. Fetch the collection of students
+  // 1. Fetch the organization's students
+  const organizationId = currentEvent?.organizationId;
   useEffect(() => {
-    const unsubscribe = onSnapshot(collection(db, 'students'), (snapshot) => {
+    if (!organizationId) return undefined;
+    const studentsQuery = query(collection(db, 'students'), where('organizationId', '==', organizationId));
+    const unsubscribe = onSnapshot(studentsQuery, (snapshot) => {
       setStudents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
     });
     return () => unsubscribe();
-  }, []);
+  }, [organizationId]);
 
 
   // Calculate stats from real-time data
@@ -104,7 +110,7 @@ export default function AdminDashboard() {
         {/* Today's Overview */}
         <div className="grid grid-cols-1 md:grid-cols-3 gap-6 mb-8">
           <div className="bg-white rounded-lg shadow-md p-6">
-            <h3 className="text-lg font-semibold text-gray-900 mb-2">📊 Overview: {currentEvent?.name} - {new Date().toLocaleDateString()}</h3>
+            <h3 className="text-lg font-semibold text-gray-900 mb-2">📊 Overview: {currentEvent?.name} - {new Date().toLocaleDateString('en-US', { timeZone: getEventTimeZone(currentEvent) })}</h3>
             <div className="space-y-2">
               <div className="flex justify-between">
                 <span>🟢 Checked In:</span>
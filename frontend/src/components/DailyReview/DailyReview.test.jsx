@@ -7,7 +7,8 @@ import DailyReview from './index';
 const mockFirestoreData = vi.hoisted(() => ({
   students: [],
   eventStudents: [],
-  timeEntries: []
+  timeEntries: [],
+  reviewLocks: []
 }));
 
 // Mock Firebase
@@ -54,6 +55,7 @@ vi.mock('../../contexts/AuthContext', () => ({
 // Mock EventContext
 const mockCurrentEvent = {
   id: 'event123',
+  organizationId: 'org1',
   name: 'VBS 2026',
   activities: [
     { id: 'activity1', name: 'Morning Session', startTime: '08:00', endTime: '12:00' },
@@ -120,6 +122,7 @@ describe('DailyReview', () => {
     mockFirestoreData.students = [];
     mockFirestoreData.eventStudents = [];
     mockFirestoreData.timeEntries = [];
+    mockFirestoreData.reviewLocks = [];
     mockCurrentEvent.activities = [
       { id: 'activity1', name: 'Morning Session', startTime: '08:00', endTime: '12:00' },
       { id: 'activity2', name: 'Afternoon Session', startTime: '13:00', endTime: '17:00' }
@@ -507,6 +510,74 @@ describe('DailyReview', () => {
     });
   });
 
+  describe('overnight shifts', () => {
+    it('should show shifts from the day before that ran past midnight', async () => {
+      mockFirestoreData.students = [
+        { id: 'student1', firstName: 'Alice', lastName: 'Adams' },
+        { id: 'student2', firstName: 'Bob', lastName: 'Brown' }
+      ];
+      mockFirestoreData.timeEntries = [
+        {
+          id: 'lockin1',
+          eventId: 'event123',
+          studentId: 'student1',
+          activityId: 'activity1',
+          date: '2026-01-30',
+          checkInTime: new Date('2026-01-31T03:00:00Z'),
+          checkOutTime: new Date('2026-01-31T12:00:00Z'),
+          spanDates: ['2026-01-30', '2026-01-31'],
+          hoursWorked: 9,
+          flags: ['overnight']
+        },
+        {
+          id: 'lockin2',
+          eventId: 'event123',
+          studentId: 'student2',
+          activityId: 'activity1',
+          date: '2026-01-30',
+          checkInTime: new Date('2026-01-31T01:00:00Z'),
+          checkOutTime: null,
+          hoursWorked: null,
+          flags: []
+        }
+      ];
+
+      renderWithRouter(<DailyReview />);
+
+      const section = await screen.findByRole('region', { name: 'Overnight from earlier days' });
+      expect(within(section).getByText('Alice Adams')).toBeInTheDocument();
+      expect(within(section).getByText(/9\.00 hrs counted on 2026-01-30/)).toBeInTheDocument();
+      expect(within(section).getByText(/Still checked in/)).toBeInTheDocument();
+      expect(within(section).getByRole('button', { name: 'Checkout for Bob Brown from 2026-01-30' })).toBeInTheDocument();
+    });
+  });
+
+  describe('automatic check-outs', () => {
+    it('should call out entries the scheduled job closed', async () => {
+      mockFirestoreData.students = [{ id: 'student1', firstName: 'Alice', lastName: 'Adams' }];
+      mockFirestoreData.timeEntries = [
+        {
+          id: 'entry1',
+          eventId: 'event123',
+          studentId: 'student1',
+          activityId: 'activity1',
+          date: '2026-01-31',
+          checkInTime: new Date('2026-01-31T08:00:00'),
+          checkOutTime: new Date('2026-01-31T12:00:00'),
+          checkOutMethod: 'auto',
+          hoursWorked: 4,
+          reviewStatus: 'flagged',
+          flags: ['auto_checkout']
+        }
+      ];
+
+      renderWithRouter(<DailyReview />);
+
+      expect(await screen.findByText(/1 entry was checked out automatically/)).toBeInTheDocument();
+      expect(screen.getAllByText('⏰ Auto Check-Out').length).toBeGreaterThanOrEqual(1);
+    });
+  });
+
   describe('sort options', () => {
     const getDesktopRowNames = () => {
       const table = screen.getByRole('table', { name: 'Daily student activity review' });
@@ -1010,6 +1081,99 @@ describe('DailyReview Bulk Selection', () => {
   });
 });
 
+describe('DailyReview Review Workflow', () => {
+  let mockCallable;
+
+  beforeEach(async () => {
+    const { httpsCallable } = await import('firebase/functions');
+    mockCallable = vi.fn().mockResolvedValue({ data: { success: true } });
+    httpsCallable.mockReturnValue(mockCallable);
+
+    mockCurrentEvent.activities = [
+      { id: 'activity1', name: 'Morning Session', startTime: '08:00', endTime: '12:00' }
+    ];
+    mockFirestoreData.students = [
+      { id: 'student1', firstName: 'Alice', lastName: 'Adams' }
+    ];
+    mockFirestoreData.eventStudents = [];
+    mockFirestoreData.reviewLocks = [];
+    mockFirestoreData.timeEntries = [
+      {
+        id: 'entry1',
+        eventId: 'event123',
+        studentId: 'student1',
+        activityId: 'activity1',
+        date: '2026-01-31',
+        checkInTime: new Date('2026-01-31T08:00:00'),
+        checkOutTime: new Date('2026-01-31T12:00:00'),
+        hoursWorked: 4,
+        reviewStatus: 'pending',
+        flags: []
+      }
+    ];
+  });
+
+  afterEach(() => {
+    mockFirestoreData.reviewLocks = [];
+  });
+
+  it('should show entries awaiting approval', async () => {
+    renderWithRouter(<DailyReview />);
+
+    expect(await screen.findByText('awaiting approval')).toBeInTheDocument();
+    expect(screen.getAllByText('Needs Review').length).toBeGreaterThanOrEqual(1);
+  });
+
+  it('should approve a single entry', async () => {
+    const user = userEvent.setup();
+    renderWithRouter(<DailyReview />);
+
+    const [approveButton] = await screen.findAllByRole('button', { name: 'Approve hours for Alice Adams' });
+    await user.click(approveButton);
+
+    expect(mockCallable).toHaveBeenCalledWith({ entryIds: ['entry1'] });
+  });
+
+  it('should approve every entry for the day', async () => {
+    const user = userEvent.setup();
+    renderWithRouter(<DailyReview />);
+
+    await user.click(await screen.findByRole('button', { name: 'Approve Day (1)' }));
+
+    expect(mockCallable).toHaveBeenCalledWith({ eventId: 'event123', date: '2026-01-31' });
+  });
+
+  it('should require a reason to reject hours', async () => {
+    const user = userEvent.setup();
+    renderWithRouter(<DailyReview />);
+
+    const [rejectButton] = await screen.findAllByRole('button', { name: 'Reject hours for Alice Adams' });
+    await user.click(rejectButton);
+    await user.type(screen.getByLabelText(/reason for rejecting/i), 'Not on site');
+    await user.click(screen.getByRole('button', { name: 'Reject' }));
+
+    expect(mockCallable).toHaveBeenCalledWith({ entryIds: ['entry1'], reason: 'Not on site' });
+  });
+
+  it('should not allow locking while entries need review', async () => {
+    renderWithRouter(<DailyReview />);
+
+    expect(await screen.findByRole('button', { name: 'Lock Day' })).toBeDisabled();
+  });
+
+  it('should hide edit actions on a locked day', async () => {
+    mockFirestoreData.timeEntries[0].reviewStatus = 'approved';
+    mockFirestoreData.reviewLocks = [
+      { id: 'event123_2026-01-31', eventId: 'event123', date: '2026-01-31', locked: true }
+    ];
+    renderWithRouter(<DailyReview />);
+
+    expect(await screen.findByRole('status')).toHaveTextContent('Review for this day is locked');
+    expect(screen.queryByRole('button', { name: /edit time entry/i })).not.toBeInTheDocument();
+    expect(screen.getByRole('button', { name: 'Unlock Day' })).toBeInTheDocument();
+  });
+});
+
 describe('DailyReview Status Display', () => {
   describe('getStatusDisplay', () => {
     it('should return correct status for no checkout', () => {
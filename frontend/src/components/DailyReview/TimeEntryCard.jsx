@@ -203,7 +203,11 @@ function formatFlag(flag) {
   const flagLabels = {
     early_arrival: 'Early arrival',
     late_stay: 'Late stay',
-    forced_checkout: 'Forced checkout'
+    forced_checkout: 'Forced checkout',
+    estimate_mismatch: 'Differs from form estimate',
+    duplicate_override: 'Duplicate check-in override',
+    overnight: 'Overnight shift',
+    auto_checkout: 'Automatic check-out'
   };
   return flagLabels[flag] || flag;
 }
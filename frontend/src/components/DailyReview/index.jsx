@@ -1,11 +1,15 @@
 import React, { useState, useEffect, useMemo, useCallback } from 'react';
 import { Link } from 'react-router-dom';
 import { db, functions } from '../../utils/firebase';
-import { collection, onSnapshot, query, where, doc, updateDoc } from 'firebase/firestore';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { useEvent } from '../../contexts/EventContext';
 import { calculateHours, formatTime, formatHours, getTodayDateString, formatDate } from '../../utils/hourCalculations';
+import { fromDateTimeInputValue, getEventTimeZone, toDateTimeInputValue } from '../../utils/timeZones';
+import { getCarriedOverEntries } from '../../utils/overnightShifts';
+import { AUTO_CHECKOUT_METHOD } from '../../utils/autoCheckout';
 import { buildEditChangeDescription } from '../../utils/changeDescriptions';
+import { needsReview } from '../../utils/reviewStatus';
 import { printInNewWindow, createPrintDocument } from '../../utils/printUtils';
 import Button from '../common/Button';
 import Modal from '../common/Modal';
@@ -66,9 +70,9 @@ const compareStudentName = (leftStudent, rightStudent) => {
   return (leftStudent?.firstName || '').localeCompare(rightStudent?.firstName || '', undefined, { sensitivity: 'base' });
 };
 
-const getCreditedHours = (entry) => {
+const getCreditedHours = (entry, roundingPolicy) => {
   if (entry?.checkInTime && entry?.checkOutTime) {
-    return calculateHours(new Date(entry.checkInTime), new Date(entry.checkOutTime)).rounded;
+    return calculateHours(new Date(entry.checkInTime), new Date(entry.checkOutTime), roundingPolicy).rounded;
   }
 
   return entry?.hoursWorked ?? null;
@@ -81,15 +85,19 @@ const getCreditedHours = (entry) => {
  * - Flag early/late times
  * - Checkout students who forgot
  * - Force all checkout for end of event
+ * - Approve/reject hours and lock the day once reviewed
  * - Export CSV/PDF
  */
 export default function DailyReview() {
   const { currentEvent } = useEvent();
-  const [selectedDate, setSelectedDate] = useState(getTodayDateString());
+  // Dates, times and datetime inputs on this page are on the event's wall clock
+  const timeZone = getEventTimeZone(currentEvent);
+  const [selectedDate, setSelectedDate] = useState(() => getTodayDateString(timeZone));
   const [timeEntries, setTimeEntries] = useState([]);
   const [students, setStudents] = useState([]);
   const [eventStudentIds, setEventStudentIds] = useState(new Set());
   const [allEventCheckedInIds, setAllEventCheckedInIds] = useState(new Set());
+  const [overnightCandidates, setOvernightCandidates] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [activityFilter, setActivityFilter] = useState('all');
@@ -165,14 +173,29 @@ export default function DailyReview() {
     error: null
   });
 
-  // Load students
+  // Review workflow state
+  const [reviewLocks, setReviewLocks] = useState({});
+  const [reviewing, setReviewing] = useState(false);
+  const [rejectModal, setRejectModal] = useState({
+    isOpen: false, entries: [], reason: '', loading: false, error: null
+  });
+  const [unlockModal, setUnlockModal] = useState({
+    isOpen: false, reason: '', loading: false, error: null
+  });
+
+  // Every query names the event's organization, as the security rules require
+  const organizationId = currentEvent?.organizationId;
+
+  // Load the organization's students
   useEffect(() => {
-    const unsubscribe = onSnapshot(collection(db, 'students'), (snapshot) => {
+    if (!organizationId) return undefined;
+    const studentsQuery = query(collection(db, 'students'), where('organizationId', '==', organizationId));
+    const unsubscribe = onSnapshot(studentsQuery, (snapshot) => {
       const studentsData = snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
       setStudents(studentsData);
     });
     return () => unsubscribe();
-  }, []);
+  }, [organizationId]);
 
   // Load students explicitly associated with the selected event
   useEffect(() => {
@@ -183,6 +206,7 @@ export default function DailyReview() {
 
     const q = query(
       collection(db, 'eventStudents'),
+      where('organizationId', '==', organizationId),
       where('eventId', '==', currentEvent.id)
     );
 
@@ -194,34 +218,75 @@ export default function DailyReview() {
     });
 
     return () => unsubscribe();
-  }, [currentEvent?.id]);
+  }, [currentEvent?.id, organizationId]);
 
   // Load all student IDs who have ever checked in for this event (any date)
-  // Needed to show students who attended previous days but not today as "Not Checked In"
+  // Needed to show students who attended previous days but not today as "Not Checked In".
+  // Open and cross-midnight entries are kept so overnight shifts show on every day they touch.
   useEffect(() => {
     if (!currentEvent?.id) {
       setAllEventCheckedInIds(new Set());
+      setOvernightCandidates([]);
       return;
     }
 
     const q = query(
       collection(db, 'timeEntries'),
+      where('organizationId', '==', organizationId),
       where('eventId', '==', currentEvent.id)
     );
 
     const unsubscribe = onSnapshot(q, (snapshot) => {
       const ids = new Set();
+      const candidates = [];
       snapshot.docs.forEach(doc => {
         const data = doc.data();
         if (!data.isVoided) ids.add(data.studentId);
+        if (!data.isVoided && (!data.checkOutTime || data.spanDates)) {
+          candidates.push({
+            id: doc.id,
+            ...data,
+            checkInTime: data.checkInTime?.toDate?.() || data.checkInTime,
+            checkOutTime: data.checkOutTime?.toDate?.() || data.checkOutTime,
+          });
+        }
       });
       setAllEventCheckedInIds(ids);
+      setOvernightCandidates(candidates);
     }, (error) => {
       console.error('Error loading all event time entries:', error);
     });
 
     return () => unsubscribe();
-  }, [currentEvent?.id]);
+  }, [currentEvent?.id, organizationId]);
+
+  // Load review locks for the event, keyed by date
+  useEffect(() => {
+    if (!currentEvent?.id) {
+      setReviewLocks({});
+      return;
+    }
+
+    const q = query(
+      collection(db, 'reviewLocks'),
+      where('organizationId', '==', organizationId),
+      where('eventId', '==', currentEvent.id)
+    );
+
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const locks = {};
+      snapshot.docs.forEach(doc => {
+        const data = doc.data();
+        locks[data.date] = data;
+      });
+      setReviewLocks(locks);
+    }, (error) => {
+      console.error('Error loading review locks:', error);
+      setReviewLocks({});
+    });
+
+    return () => unsubscribe();
+  }, [currentEvent?.id, organizationId]);
 
   // Load time entries for selected date
   useEffect(() => {
@@ -234,6 +299,7 @@ export default function DailyReview() {
 
     const q = query(
       collection(db, 'timeEntries'),
+      where('organizationId', '==', organizationId),
       where('eventId', '==', currentEvent.id),
       where('date', '==', selectedDate)
     );
@@ -253,7 +319,7 @@ export default function DailyReview() {
     });
 
     return () => unsubscribe();
-  }, [currentEvent?.id, selectedDate]);
+  }, [currentEvent?.id, organizationId, selectedDate]);
 
   // Clear selection when filters or date change
   useEffect(() => {
@@ -286,6 +352,14 @@ export default function DailyReview() {
     return map;
   }, [currentEvent?.activities]);
 
+  // Shifts from earlier days that ran past midnight into the selected date
+  const carriedOverEntries = useMemo(
+    () => getCarriedOverEntries(overnightCandidates, selectedDate, currentEvent)
+      .map(entry => ({ ...entry, student: studentMap[entry.studentId], activity: activityMap[entry.activityId] }))
+      .sort((a, b) => compareStudentName(a.student, b.student)),
+    [overnightCandidates, selectedDate, currentEvent, studentMap, activityMap]
+  );
+
   const isActivityScheduledForDate = useCallback((activity, date) => {
     if (!activity) return false;
     if (activity.startDate && date < activity.startDate) return false;
@@ -315,11 +389,11 @@ export default function DailyReview() {
   const entryRows = useMemo(() => {
     return timeEntries.map(entry => ({
       ...entry,
-      hoursWorked: getCreditedHours(entry),
+      hoursWorked: getCreditedHours(entry, currentEvent?.hourRounding),
       student: studentMap[entry.studentId] || { firstName: 'Unknown', lastName: 'Student' },
       activity: activityMap[entry.activityId] || { id: entry.activityId, name: 'Unknown Activity', endTime: '15:00' }
     }));
-  }, [timeEntries, studentMap, activityMap]);
+  }, [timeEntries, studentMap, activityMap, currentEvent?.hourRounding]);
 
   const matchesStatusFilter = useCallback((entry) => {
     if (statusFilter === 'all') return true;
@@ -464,6 +538,10 @@ export default function DailyReview() {
     () => selectedEntries.filter(e => !e.isNoCheckIn && !e.isVoided),
     [selectedEntries]
   );
+  const bulkableReviewEntries = useMemo(
+    () => selectedEntries.filter(e => !e.isNoCheckIn && !e.isVoided && e.checkOutTime),
+    [selectedEntries]
+  );
   const isAllSelected = useMemo(
     () => filteredEntries.length > 0 && filteredEntries.every(e => selectedEntryIds.has(e.id)),
     [filteredEntries, selectedEntryIds]
@@ -504,10 +582,15 @@ export default function DailyReview() {
       noCheckoutEntries: activeEntries.filter(e => !e.checkOutTime).length,
       noCheckIn,
       modified: new Set(activeEntries.filter(e => e.modificationReason || e.forcedCheckoutReason).map(e => e.studentId)).size,
-      voided: timeEntries.filter(e => e.isVoided).length
+      voided: timeEntries.filter(e => e.isVoided).length,
+      approved: activeEntries.filter(e => e.reviewStatus === 'approved').length,
+      needsReview: activeEntries.filter(e => e.checkOutTime && needsReview(e)).length,
+      autoCheckedOut: activeEntries.filter(e => e.checkOutMethod === AUTO_CHECKOUT_METHOD && needsReview(e)).length
     };
   }, [timeEntries, fullRosterIds]);
 
+  const isDayLocked = Boolean(reviewLocks[selectedDate]?.locked);
+
   // Get activity end time for a given entry
   const getActivityEndTime = (entry) => {
     const activity = activityMap[entry.activityId];
@@ -643,7 +726,7 @@ export default function DailyReview() {
       const forceCheckOutFunc = httpsCallable(functions, 'forceCheckOut');
       const result = await forceCheckOutFunc({
         entryId: forceCheckoutModal.entry.id,
-        checkOutTime: new Date(forceCheckoutModal.checkOutTime).toISOString(),
+        checkOutTime: fromDateTimeInputValue(forceCheckoutModal.checkOutTime, timeZone).toISOString(),
         reason: forceCheckoutModal.reason
       });
 
@@ -683,7 +766,7 @@ export default function DailyReview() {
         eventId: currentEvent.id,
         activityId: quickCheckInModal.activityId,
         date: selectedDate,
-        checkInTime: new Date(quickCheckInModal.checkInTime).toISOString(),
+        checkInTime: fromDateTimeInputValue(quickCheckInModal.checkInTime, timeZone).toISOString(),
         reason: quickCheckInModal.reason
       });
 
@@ -723,7 +806,7 @@ export default function DailyReview() {
       // Create activity checkout times map
       const activityCheckOutTimes = {};
       forceAllModal.activityGroups.forEach(group => {
-        activityCheckOutTimes[group.activityId] = new Date(group.checkOutTime).toISOString();
+        activityCheckOutTimes[group.activityId] = fromDateTimeInputValue(group.checkOutTime, timeZone).toISOString();
       });
 
       const result = await forceAllCheckOutFunc({
@@ -755,20 +838,9 @@ export default function DailyReview() {
 
   // Open edit modal
   const openEditModal = (entry) => {
-    // Format date for datetime-local input using LOCAL time (not UTC)
-    const formatDateTimeLocal = (date) => {
-      if (!date) return '';
-      const d = new Date(date);
-      const year = d.getFullYear();
-      const month = String(d.getMonth() + 1).padStart(2, '0');
-      const day = String(d.getDate()).padStart(2, '0');
-      const hours = String(d.getHours()).padStart(2, '0');
-      const minutes = String(d.getMinutes()).padStart(2, '0');
-      return `${year}-${month}-${day}T${hours}:${minutes}`;
-    };
-
-    const originalIn = formatDateTimeLocal(entry.checkInTime);
-    const originalOut = formatDateTimeLocal(entry.checkOutTime);
+    // datetime-local inputs show the event's wall clock
+    const originalIn = toDateTimeInputValue(entry.checkInTime, timeZone);
+    const originalOut = toDateTimeInputValue(entry.checkOutTime, timeZone);
 
     setEditModal({
       isOpen: true,
@@ -793,18 +865,6 @@ export default function DailyReview() {
     setEditModal(prev => ({ ...prev, loading: true, error: null }));
 
     try {
-      const checkInTime = new Date(editModal.checkInTime);
-      const checkOutTime = editModal.checkOutTime ? new Date(editModal.checkOutTime) : null;
-
-      // Calculate hours if both times exist
-      let hoursWorked = null;
-      let rawMinutes = null;
-      if (checkInTime && checkOutTime) {
-        const minutes = Math.floor((checkOutTime - checkInTime) / 1000 / 60);
-        rawMinutes = minutes;
-        hoursWorked = calculateHours(checkInTime, checkOutTime).rounded;
-      }
-
       // Build smart change description (only includes fields that actually changed)
       const changeDescription = buildEditChangeDescription({
         originalCheckInTime: editModal.originalCheckInTime,
@@ -821,32 +881,13 @@ export default function DailyReview() {
         return;
       }
 
-      // Create change log entry
-      const changeLogEntry = {
-        timestamp: new Date().toISOString(),
-        modifiedBy: 'admin',
-        type: 'edit',
-        oldCheckInTime: editModal.originalCheckInTime,
-        newCheckInTime: editModal.checkInTime,
-        oldCheckOutTime: editModal.originalCheckOutTime,
-        newCheckOutTime: editModal.checkOutTime,
-        reason: editModal.reason,
-        description: changeDescription
-      };
-
-      // Get existing change log or create new array
-      const existingChangeLog = editModal.entry.changeLog || [];
-
-      const entryRef = doc(db, 'timeEntries', editModal.entry.id);
-      await updateDoc(entryRef, {
-        checkInTime,
-        checkOutTime,
-        hoursWorked,
-        rawMinutes,
-        modifiedBy: 'admin',
-        modificationReason: changeDescription,
-        modifiedAt: new Date(),
-        changeLog: [...existingChangeLog, changeLogEntry]
+      // Hours, flags and the audit record are computed server-side
+      const editTimeEntryFunc = httpsCallable(functions, 'editTimeEntry');
+      await editTimeEntryFunc({
+        entryId: editModal.entry.id,
+        checkInTime: fromDateTimeInputValue(editModal.checkInTime, timeZone).toISOString(),
+        checkOutTime: editModal.checkOutTime ? fromDateTimeInputValue(editModal.checkOutTime, timeZone).toISOString() : null,
+        reason: editModal.reason
       });
 
       setEditModal({
@@ -974,7 +1015,7 @@ export default function DailyReview() {
           eventId: currentEvent.id,
           activityId: entry.activityId,
           date: selectedDate,
-          checkInTime: new Date(bulkCheckInModal.checkInTime).toISOString(),
+          checkInTime: fromDateTimeInputValue(bulkCheckInModal.checkInTime, timeZone).toISOString(),
           reason: bulkCheckInModal.reason
         });
       }
@@ -997,7 +1038,7 @@ export default function DailyReview() {
       for (const entry of bulkableCheckOutEntries) {
         await forceCheckOutFunc({
           entryId: entry.id,
-          checkOutTime: new Date(bulkCheckOutModal.checkOutTime).toISOString(),
+          checkOutTime: fromDateTimeInputValue(bulkCheckOutModal.checkOutTime, timeZone).toISOString(),
           reason: bulkCheckOutModal.reason
         });
       }
@@ -1020,30 +1061,21 @@ export default function DailyReview() {
     }
     setBulkEditModal(prev => ({ ...prev, loading: true, error: null }));
     try {
+      const editTimeEntryFunc = httpsCallable(functions, 'editTimeEntry');
+      const newCheckIn = bulkEditModal.checkInTime ? fromDateTimeInputValue(bulkEditModal.checkInTime, timeZone) : null;
+      const newCheckOut = bulkEditModal.checkOutTime ? fromDateTimeInputValue(bulkEditModal.checkOutTime, timeZone) : null;
+      const isSameTime = (current, next) => current && new Date(current).getTime() === next.getTime();
       for (const entry of bulkableEditEntries) {
-        const newCheckIn = bulkEditModal.checkInTime
-          ? new Date(bulkEditModal.checkInTime)
-          : (entry.checkInTime ? new Date(entry.checkInTime) : null);
-        const newCheckOut = bulkEditModal.checkOutTime
-          ? new Date(bulkEditModal.checkOutTime)
-          : (entry.checkOutTime ? new Date(entry.checkOutTime) : null);
-
-        let hoursWorked = null;
-        let rawMinutes = null;
-        if (newCheckIn && newCheckOut) {
-          rawMinutes = Math.floor((newCheckOut - newCheckIn) / 1000 / 60);
-          hoursWorked = calculateHours(newCheckIn, newCheckOut).rounded;
-        }
+        const checkInChanged = newCheckIn && !isSameTime(entry.checkInTime, newCheckIn);
+        const checkOutChanged = newCheckOut && !isSameTime(entry.checkOutTime, newCheckOut);
+        // The server rejects edits that change nothing; skip entries already at these times
+        if (!checkInChanged && !checkOutChanged) continue;
 
-        const entryRef = doc(db, 'timeEntries', entry.id);
-        await updateDoc(entryRef, {
-          ...(bulkEditModal.checkInTime && { checkInTime: newCheckIn }),
-          ...(bulkEditModal.checkOutTime && { checkOutTime: newCheckOut }),
-          hoursWorked,
-          rawMinutes,
-          modifiedBy: 'admin',
-          modificationReason: `Bulk edit: ${bulkEditModal.reason}`,
-          modifiedAt: new Date()
+        await editTimeEntryFunc({
+          entryId: entry.id,
+          ...(checkInChanged && { checkInTime: newCheckIn.toISOString() }),
+          ...(checkOutChanged && { checkOutTime: newCheckOut.toISOString() }),
+          reason: `Bulk edit: ${bulkEditModal.reason}`
         });
       }
       setBulkEditModal({ isOpen: false, checkInTime: '', checkOutTime: '', reason: '', loading: false, error: null });
@@ -1088,6 +1120,81 @@ export default function DailyReview() {
     }
   };
 
+  // Approve entries (selected, single, or every entry for the day)
+  const handleApprove = async (payload) => {
+    setReviewing(true);
+    try {
+      const approveTimeEntriesFunc = httpsCallable(functions, 'approveTimeEntries');
+      await approveTimeEntriesFunc(payload);
+      setSelectedEntryIds(new Set());
+    } catch (error) {
+      console.error('Approve entries error:', error);
+      alert('Failed to approve hours: ' + (error.message || 'Unknown error'));
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const handleApproveDay = () => handleApprove({ eventId: currentEvent.id, date: selectedDate });
+
+  const openRejectModal = (entries) => {
+    setRejectModal({ isOpen: true, entries, reason: '', loading: false, error: null });
+  };
+
+  const handleReject = async () => {
+    if (!rejectModal.reason || rejectModal.reason.trim().length < 5) {
+      setRejectModal(prev => ({ ...prev, error: 'Rejection reason must be at least 5 characters' }));
+      return;
+    }
+    setRejectModal(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const rejectTimeEntriesFunc = httpsCallable(functions, 'rejectTimeEntries');
+      await rejectTimeEntriesFunc({
+        entryIds: rejectModal.entries.map(entry => entry.id),
+        reason: rejectModal.reason.trim()
+      });
+      setRejectModal({ isOpen: false, entries: [], reason: '', loading: false, error: null });
+      setSelectedEntryIds(new Set());
+    } catch (error) {
+      console.error('Reject entries error:', error);
+      setRejectModal(prev => ({ ...prev, loading: false, error: error.message || 'Failed to reject hours' }));
+    }
+  };
+
+  const handleLockDay = async () => {
+    if (!confirm(`Lock ${formatDate(selectedDate)}? Entries for this day can't be changed until an admin unlocks it.`)) {
+      return;
+    }
+
+    setReviewing(true);
+    try {
+      const lockReviewDayFunc = httpsCallable(functions, 'lockReviewDay');
+      await lockReviewDayFunc({ eventId: currentEvent.id, date: selectedDate });
+      setSelectedEntryIds(new Set());
+    } catch (error) {
+      console.error('Lock day error:', error);
+      alert('Failed to lock day: ' + (error.message || 'Unknown error'));
+    } finally {
+      setReviewing(false);
+    }
+  };
+
+  const handleUnlockDay = async () => {
+    if (!unlockModal.reason || unlockModal.reason.trim().length < 5) {
+      setUnlockModal(prev => ({ ...prev, error: 'Unlock reason must be at least 5 characters' }));
+      return;
+    }
+    setUnlockModal(prev => ({ ...prev, loading: true, error: null }));
+    try {
+      const unlockReviewDayFunc = httpsCallable(functions, 'unlockReviewDay');
+      await unlockReviewDayFunc({ eventId: currentEvent.id, date: selectedDate, reason: unlockModal.reason.trim() });
+      setUnlockModal({ isOpen: false, reason: '', loading: false, error: null });
+    } catch (error) {
+      console.error('Unlock day error:', error);
+      setUnlockModal(prev => ({ ...prev, loading: false, error: error.message || 'Failed to unlock day' }));
+    }
+  };
+
   // Export to CSV
   const handleExportCSV = () => {
     setExporting(true);
@@ -1098,8 +1205,8 @@ export default function DailyReview() {
         entry.date,
         `${entry.student.lastName}, ${entry.student.firstName}`,
         entry.activity?.name || '--',
-        entry.checkInTime ? formatTime(entry.checkInTime) : '--',
-        entry.checkOutTime ? formatTime(entry.checkOutTime) : 'Not checked out',
+        entry.checkInTime ? formatTime(entry.checkInTime, timeZone) : '--',
+        entry.checkOutTime ? formatTime(entry.checkOutTime, timeZone) : 'Not checked out',
         entry.hoursWorked !== null ? entry.hoursWorked.toString() : '--',
         (entry.flags || []).join('; '),
         entry.forcedCheckoutReason || entry.modificationReason || ''
@@ -1172,8 +1279,8 @@ export default function DailyReview() {
               <td>${entry.date}</td>
               <td>${entry.student.lastName}, ${entry.student.firstName}</td>
               <td>${entry.activity?.name || '--'}</td>
-              <td>${entry.checkInTime ? formatTime(entry.checkInTime) : '--'}</td>
-              <td class="${!entry.checkOutTime ? 'status-no-checkout' : ''}">${entry.checkOutTime ? formatTime(entry.checkOutTime) : 'Not checked out'}</td>
+              <td>${entry.checkInTime ? formatTime(entry.checkInTime, timeZone) : '--'}</td>
+              <td class="${!entry.checkOutTime ? 'status-no-checkout' : ''}">${entry.checkOutTime ? formatTime(entry.checkOutTime, timeZone) : 'Not checked out'}</td>
               <td>${entry.hoursWorked !== null ? entry.hoursWorked : '--'}</td>
               <td>
                 <span class="flags">${(entry.flags || []).map(f => formatFlag(f)).join(', ')}</span>
@@ -1210,6 +1317,7 @@ export default function DailyReview() {
     if (entry.isNoCheckIn) return 'Not Checked In';
     if (entry.isVoided) return 'VOIDED';
     if (!entry.checkOutTime) return '🔴 No Checkout';
+    if (entry.checkOutMethod === AUTO_CHECKOUT_METHOD) return '⏰ Auto Check-Out';
     if (entry.forcedCheckoutReason) return '⚡ Forced';
     if (entry.modificationReason) return '✏️ Modified';
     if (entry.flags && entry.flags.length > 0) return '⚠️ Flagged';
@@ -1220,16 +1328,28 @@ export default function DailyReview() {
     if (entry.isNoCheckIn) return 'text-gray-500';
     if (entry.isVoided) return 'text-gray-400';
     if (!entry.checkOutTime) return 'text-red-600';
+    if (entry.checkOutMethod === AUTO_CHECKOUT_METHOD) return 'text-amber-600';
     if (entry.forcedCheckoutReason || entry.modificationReason) return 'text-blue-600';
     if (entry.flags && entry.flags.length > 0) return 'text-amber-600';
     return 'text-green-600';
   };
 
+  const getReviewBadge = (entry) => {
+    if (entry.isNoCheckIn || entry.isVoided || !entry.checkOutTime) return null;
+    if (entry.reviewStatus === 'approved') return { label: 'Approved', className: 'bg-green-100 text-green-800' };
+    if (entry.reviewStatus === 'rejected') return { label: 'Rejected', className: 'bg-red-100 text-red-800' };
+    return { label: 'Needs Review', className: 'bg-amber-100 text-amber-800' };
+  };
+
   const formatFlag = (flag) => {
     const flagLabels = {
       early_arrival: 'Early arrival',
       late_stay: 'Late stay',
-      forced_checkout: 'Forced checkout'
+      forced_checkout: 'Forced checkout',
+      estimate_mismatch: 'Differs from form estimate',
+      duplicate_override: 'Duplicate check-in override',
+      overnight: 'Overnight shift',
+      auto_checkout: 'Automatic check-out'
     };
     return flagLabels[flag] || flag;
   };
@@ -1305,8 +1425,30 @@ export default function DailyReview() {
                 <span className="font-bold">{stats.voided}</span> voided
               </div>
             )}
+            {stats.approved > 0 && (
+              <div className="text-green-600">
+                ✅ <span className="font-bold">{stats.approved}</span> approved
+              </div>
+            )}
+            {stats.needsReview > 0 && (
+              <div className="text-amber-600">
+                <span className="font-bold">{stats.needsReview}</span> awaiting approval
+              </div>
+            )}
           </div>
 
+          {isDayLocked && (
+            <div className="mt-4 bg-gray-100 border border-gray-300 rounded-lg px-4 py-3 text-sm text-gray-800" role="status">
+              🔒 Review for this day is locked. Entries can&apos;t be changed until an admin unlocks the day.
+            </div>
+          )}
+
+          {stats.autoCheckedOut > 0 && (
+            <div className="mt-4 bg-amber-50 border border-amber-200 rounded-lg px-4 py-3 text-sm text-amber-800" role="status">
+              ⏰ {stats.autoCheckedOut} {stats.autoCheckedOut === 1 ? 'entry was' : 'entries were'} checked out automatically after the activity cutoff. Check the times before approving.
+            </div>
+          )}
+
           {activitySummary.length > 0 && (
             <div className="mt-4 grid gap-3 sm:grid-cols-2 lg:grid-cols-3">
               {activitySummary.map(({ activity, notCheckedIn, checkedIn, checkedOut }) => (
@@ -1401,22 +1543,37 @@ export default function DailyReview() {
               {selectedEntryIds.size} {selectedEntryIds.size === 1 ? 'entry' : 'entries'} selected
             </span>
             <div className="flex flex-wrap items-center gap-2">
-              {bulkableCheckInEntries.length > 0 && (
+              {!isDayLocked && bulkableReviewEntries.length > 0 && (
+                <>
+                  <Button
+                    size="sm"
+                    variant="success"
+                    onClick={() => handleApprove({ entryIds: bulkableReviewEntries.map(e => e.id) })}
+                    disabled={reviewing}
+                  >
+                    Approve ({bulkableReviewEntries.length})
+                  </Button>
+                  <Button size="sm" variant="danger" onClick={() => openRejectModal(bulkableReviewEntries)}>
+                    Reject ({bulkableReviewEntries.length})
+                  </Button>
+                </>
+              )}
+              {!isDayLocked && bulkableCheckInEntries.length > 0 && (
                 <Button size="sm" variant="success" onClick={openBulkCheckInModal}>
                   Check In ({bulkableCheckInEntries.length})
                 </Button>
               )}
-              {bulkableCheckOutEntries.length > 0 && (
+              {!isDayLocked && bulkableCheckOutEntries.length > 0 && (
                 <Button size="sm" variant="secondary" onClick={openBulkCheckOutModal}>
                   Check Out ({bulkableCheckOutEntries.length})
                 </Button>
               )}
-              {bulkableEditEntries.length > 0 && (
+              {!isDayLocked && bulkableEditEntries.length > 0 && (
                 <Button size="sm" variant="secondary" onClick={openBulkEditModal}>
                   Edit ({bulkableEditEntries.length})
                 </Button>
               )}
-              {bulkableVoidEntries.length > 0 && (
+              {!isDayLocked && bulkableVoidEntries.length > 0 && (
                 <Button size="sm" variant="danger" onClick={openBulkVoidModal}>
                   Void ({bulkableVoidEntries.length})
                 </Button>
@@ -1512,11 +1669,16 @@ export default function DailyReview() {
                               <span className={`text-sm font-medium ${getStatusClass(entry)}`}>
                                 {getStatusDisplay(entry)}
                               </span>
+                              {getReviewBadge(entry) && (
+                                <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getReviewBadge(entry).className}`}>
+                                  {getReviewBadge(entry).label}
+                                </span>
+                              )}
                               <span className={`text-sm text-gray-600 ${entry.isVoided ? 'line-through' : ''}`}>
-                                In: {entry.checkInTime ? formatTime(entry.checkInTime) : '--'}
+                                In: {entry.checkInTime ? formatTime(entry.checkInTime, timeZone) : '--'}
                               </span>
                               <span className={`text-sm ${entry.isVoided ? 'line-through text-gray-400' : 'text-gray-600'}`}>
-                                Out: {entry.isNoCheckIn ? '--' : entry.checkOutTime ? formatTime(entry.checkOutTime) : 'Not checked out'}
+                                Out: {entry.isNoCheckIn ? '--' : entry.checkOutTime ? formatTime(entry.checkOutTime, timeZone) : 'Not checked out'}
                               </span>
                               <span className={`text-sm text-gray-600 ${entry.isVoided ? 'line-through' : ''}`}>
                                 Hours: {entry.hoursWorked !== null && entry.hoursWorked !== undefined ? formatHours(entry.hoursWorked) : '--'}
@@ -1530,7 +1692,9 @@ export default function DailyReview() {
                       <div className="space-y-2">
                         {row.details.map(entry => (
                           <div key={`${entry.id}-actions`} className="flex flex-wrap gap-2">
-                            {entry.isNoCheckIn ? (
+                            {isDayLocked ? (
+                              <span className="text-xs text-gray-500">🔒 Locked</span>
+                            ) : entry.isNoCheckIn ? (
                               <Button
                                 size="sm"
                                 variant="success"
@@ -1566,6 +1730,27 @@ export default function DailyReview() {
                                 >
                                   Void
                                 </Button>
+                                {entry.checkOutTime && entry.reviewStatus !== 'approved' && (
+                                  <Button
+                                    size="sm"
+                                    variant="success"
+                                    onClick={() => handleApprove({ entryIds: [entry.id] })}
+                                    disabled={reviewing}
+                                    aria-label={`Approve hours for ${entry.student.firstName} ${entry.student.lastName}`}
+                                  >
+                                    Approve
+                                  </Button>
+                                )}
+                                {entry.checkOutTime && entry.reviewStatus !== 'rejected' && (
+                                  <Button
+                                    size="sm"
+                                    variant="secondary"
+                                    onClick={() => openRejectModal([entry])}
+                                    aria-label={`Reject hours for ${entry.student.firstName} ${entry.student.lastName}`}
+                                  >
+                                    Reject
+                                  </Button>
+                                )}
                                 {!entry.checkOutTime && (
                                   <Button
                                     size="sm"
@@ -1627,19 +1812,26 @@ export default function DailyReview() {
                               {entry.activity?.name || '--'}
                             </span>
                           </div>
-                          <span className={`text-sm font-medium text-right ${getStatusClass(entry)}`}>
-                            {getStatusDisplay(entry)}
-                          </span>
+                          <div className="flex flex-col items-end gap-1">
+                            <span className={`text-sm font-medium text-right ${getStatusClass(entry)}`}>
+                              {getStatusDisplay(entry)}
+                            </span>
+                            {getReviewBadge(entry) && (
+                              <span className={`px-2 py-0.5 rounded-full text-xs font-medium ${getReviewBadge(entry).className}`}>
+                                {getReviewBadge(entry).label}
+                              </span>
+                            )}
+                          </div>
                         </div>
                         <div className={`grid grid-cols-3 gap-2 text-sm mt-2 ${entry.isVoided ? 'line-through' : ''}`}>
                           <div>
                             <span className="block text-xs text-gray-500 uppercase">Check-In</span>
-                            <span className="text-gray-900">{entry.checkInTime ? formatTime(entry.checkInTime) : '--'}</span>
+                            <span className="text-gray-900">{entry.checkInTime ? formatTime(entry.checkInTime, timeZone) : '--'}</span>
                           </div>
                           <div>
                             <span className="block text-xs text-gray-500 uppercase">Check-Out</span>
                             <span className={entry.checkOutTime || entry.isNoCheckIn ? 'text-gray-900' : 'text-red-600 font-medium'}>
-                              {entry.isNoCheckIn ? '--' : entry.checkOutTime ? formatTime(entry.checkOutTime) : 'Not checked out'}
+                              {entry.isNoCheckIn ? '--' : entry.checkOutTime ? formatTime(entry.checkOutTime, timeZone) : 'Not checked out'}
                             </span>
                           </div>
                           <div>
@@ -1649,8 +1841,10 @@ export default function DailyReview() {
                             </span>
                           </div>
                         </div>
-                        <div className="flex gap-2 pt-2 mt-2 border-t border-gray-100">
-                          {entry.isNoCheckIn ? (
+                        <div className="flex flex-wrap gap-2 pt-2 mt-2 border-t border-gray-100">
+                          {isDayLocked ? (
+                            <span className="text-xs text-gray-500">🔒 Locked</span>
+                          ) : entry.isNoCheckIn ? (
                             <Button
                               size="sm"
                               variant="success"
@@ -1686,6 +1880,27 @@ export default function DailyReview() {
                               >
                                 Void
                               </Button>
+                              {entry.checkOutTime && entry.reviewStatus !== 'approved' && (
+                                <Button
+                                  size="sm"
+                                  variant="success"
+                                  onClick={() => handleApprove({ entryIds: [entry.id] })}
+                                  disabled={reviewing}
+                                  aria-label={`Approve hours for ${entry.student.firstName} ${entry.student.lastName}`}
+                                >
+                                  Approve
+                                </Button>
+                              )}
+                              {entry.checkOutTime && entry.reviewStatus !== 'rejected' && (
+                                <Button
+                                  size="sm"
+                                  variant="secondary"
+                                  onClick={() => openRejectModal([entry])}
+                                  aria-label={`Reject hours for ${entry.student.firstName} ${entry.student.lastName}`}
+                                >
+                                  Reject
+                                </Button>
+                              )}
                               {!entry.checkOutTime && (
                                 <Button
                                   size="sm"
@@ -1708,6 +1923,41 @@ export default function DailyReview() {
           )}
         </div>
 
+        {/* Overnight shifts carried over from earlier days */}
+        {carriedOverEntries.length > 0 && (
+          <section aria-label="Overnight from earlier days" className="mt-4 bg-white rounded-lg shadow-md p-4">
+            <h3 className="font-semibold text-gray-900 mb-2">Overnight From Earlier Days ({carriedOverEntries.length})</h3>
+            <ul className="divide-y divide-gray-100">
+              {carriedOverEntries.map(entry => (
+                <li key={entry.id} className="flex flex-wrap items-center justify-between gap-3 py-2 text-sm">
+                  <div>
+                    <span className="font-medium text-gray-900">
+                      {entry.student ? `${entry.student.firstName} ${entry.student.lastName}` : 'Unknown student'}
+                    </span>
+                    <span className="text-gray-500"> · {entry.activity?.name || entry.activityId}</span>
+                    <div className="text-xs text-gray-500">
+                      In {entry.date} {formatTime(entry.checkInTime, timeZone)}
+                      {entry.checkOutTime
+                        ? ` · Out ${formatTime(entry.checkOutTime, timeZone)} · ${formatHours(entry.hoursWorked)} counted on ${entry.date}`
+                        : ' · Still checked in'}
+                    </div>
+                  </div>
+                  {!entry.checkOutTime && !isDayLocked && entry.student && (
+                    <Button
+                      size="sm"
+                      variant="danger"
+                      onClick={() => openForceCheckoutModal(entry)}
+                      aria-label={`Checkout for ${entry.student.firstName} ${entry.student.lastName} from ${entry.date}`}
+                    >
+                      Checkout
+                    </Button>
+                  )}
+                </li>
+              ))}
+            </ul>
+          </section>
+        )}
+
         {/* Actions */}
         <div className="mt-4 flex flex-wrap justify-between gap-4">
           <div className="flex gap-2">
@@ -1726,14 +1976,42 @@ export default function DailyReview() {
               Export PDF
             </Button>
           </div>
-          {stats.noCheckoutEntries > 0 && (
-            <Button
-              variant="danger"
-              onClick={openForceAllCheckoutModal}
-            >
-              Force All Checkout ({stats.noCheckoutEntries})
-            </Button>
-          )}
+          <div className="flex flex-wrap gap-2">
+            {!isDayLocked && stats.noCheckoutEntries > 0 && (
+              <Button
+                variant="danger"
+                onClick={openForceAllCheckoutModal}
+              >
+                Force All Checkout ({stats.noCheckoutEntries})
+              </Button>
+            )}
+            {!isDayLocked && stats.needsReview > 0 && (
+              <Button
+                variant="success"
+                onClick={handleApproveDay}
+                disabled={reviewing}
+              >
+                Approve Day ({stats.needsReview})
+              </Button>
+            )}
+            {isDayLocked ? (
+              <Button
+                variant="secondary"
+                onClick={() => setUnlockModal({ isOpen: true, reason: '', loading: false, error: null })}
+              >
+                Unlock Day
+              </Button>
+            ) : timeEntries.length > 0 && (
+              <Button
+                variant="secondary"
+                onClick={handleLockDay}
+                disabled={reviewing || stats.needsReview > 0 || stats.noCheckoutEntries > 0}
+                title={stats.needsReview > 0 || stats.noCheckoutEntries > 0 ? 'Every entry must be checked out and reviewed before locking' : undefined}
+              >
+                Lock Day
+              </Button>
+            )}
+          </div>
         </div>
       </div>
 
@@ -1881,7 +2159,7 @@ export default function DailyReview() {
                 Activity: {forceCheckoutModal.entry.activity?.name || 'Unknown'}
               </p>
               <p className="text-sm text-gray-500">
-                Checked in at: {formatTime(forceCheckoutModal.entry.checkInTime)}
+                Checked in at: {formatTime(forceCheckoutModal.entry.checkInTime, timeZone)}
               </p>
               <p className="text-sm text-blue-600 mt-2">
                 Default checkout time is set to activity end time ({getActivityEndTime(forceCheckoutModal.entry)})
@@ -2060,7 +2338,7 @@ export default function DailyReview() {
                 </span>
               </p>
               <p className="text-sm text-gray-500 mt-1">
-                Date: {editModal.entry.checkInTime ? new Date(editModal.entry.checkInTime).toLocaleDateString() : editModal.entry.date} | Activity: {editModal.entry.activity?.name || 'Unknown'}
+                Date: {editModal.entry.checkInTime ? new Date(editModal.entry.checkInTime).toLocaleDateString('en-US', { timeZone }) : editModal.entry.date} | Activity: {editModal.entry.activity?.name || 'Unknown'}
               </p>
             </div>
 
@@ -2071,13 +2349,13 @@ export default function DailyReview() {
                 <div>
                   <span className="text-gray-500">Check-In:</span>{' '}
                   <span className="font-medium">
-                    {editModal.originalCheckInTime ? formatTime(new Date(editModal.originalCheckInTime)) : 'None'}
+                    {editModal.originalCheckInTime ? formatTime(fromDateTimeInputValue(editModal.originalCheckInTime, timeZone), timeZone) : 'None'}
                   </span>
                 </div>
                 <div>
                   <span className="text-gray-500">Check-Out:</span>{' '}
                   <span className="font-medium">
-                    {editModal.originalCheckOutTime ? formatTime(new Date(editModal.originalCheckOutTime)) : 'None'}
+                    {editModal.originalCheckOutTime ? formatTime(fromDateTimeInputValue(editModal.originalCheckOutTime, timeZone), timeZone) : 'None'}
                   </span>
                 </div>
               </div>
@@ -2121,9 +2399,9 @@ export default function DailyReview() {
                   Calculated hours:{' '}
                   <span className="font-bold">
                     {(() => {
-                      const checkIn = new Date(editModal.checkInTime);
-                      const checkOut = new Date(editModal.checkOutTime);
-                      return formatHours(calculateHours(checkIn, checkOut).rounded);
+                      const checkIn = fromDateTimeInputValue(editModal.checkInTime, timeZone);
+                      const checkOut = fromDateTimeInputValue(editModal.checkOutTime, timeZone);
+                      return formatHours(calculateHours(checkIn, checkOut, currentEvent?.hourRounding).rounded);
                     })()}
                   </span>
                 </p>
@@ -2214,9 +2492,9 @@ export default function DailyReview() {
                 Activity: {voidModal.entry.activity?.name || 'Unknown'}
               </p>
               <p className="text-sm text-gray-500">
-                Check-in: {voidModal.entry.checkInTime ? formatTime(voidModal.entry.checkInTime) : '--'}
+                Check-in: {voidModal.entry.checkInTime ? formatTime(voidModal.entry.checkInTime, timeZone) : '--'}
                 {' | '}
-                Check-out: {voidModal.entry.checkOutTime ? formatTime(voidModal.entry.checkOutTime) : 'Not checked out'}
+                Check-out: {voidModal.entry.checkOutTime ? formatTime(voidModal.entry.checkOutTime, timeZone) : 'Not checked out'}
               </p>
               {voidModal.entry.hoursWorked != null && (
                 <p className="text-sm text-gray-500">
@@ -2446,9 +2724,9 @@ export default function DailyReview() {
                 Calculated hours:{' '}
                 <span className="font-bold">
                   {(() => {
-                    const checkIn = new Date(bulkEditModal.checkInTime);
-                    const checkOut = new Date(bulkEditModal.checkOutTime);
-                    return formatHours(calculateHours(checkIn, checkOut).rounded);
+                    const checkIn = fromDateTimeInputValue(bulkEditModal.checkInTime, timeZone);
+                    const checkOut = fromDateTimeInputValue(bulkEditModal.checkOutTime, timeZone);
+                    return formatHours(calculateHours(checkIn, checkOut, currentEvent?.hourRounding).rounded);
                   })()}
                 </span>
               </p>
@@ -2533,6 +2811,111 @@ export default function DailyReview() {
           )}
         </div>
       </Modal>
+
+      {/* Reject Hours Modal */}
+      <Modal
+        isOpen={rejectModal.isOpen}
+        onClose={() => setRejectModal(prev => ({ ...prev, isOpen: false }))}
+        title={`Reject Hours (${rejectModal.entries.length} ${rejectModal.entries.length === 1 ? 'entry' : 'entries'})`}
+        size="md"
+        footer={
+          <>
+            <Button
+              variant="secondary"
+              onClick={() => setRejectModal(prev => ({ ...prev, isOpen: false }))}
+              disabled={rejectModal.loading}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleReject}
+              loading={rejectModal.loading}
+              disabled={!rejectModal.reason || rejectModal.reason.trim().length < 5}
+            >
+              Reject
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <div className="bg-amber-50 border border-amber-200 p-3 rounded-lg">
+            <p className="text-sm text-amber-800 font-medium">
+              Rejected hours stay on record but are left off generated forms and printed reports.
+            </p>
+          </div>
+          <div className="bg-gray-50 p-3 rounded-lg max-h-36 overflow-y-auto">
+            {rejectModal.entries.map(entry => (
+              <p key={entry.id} className="text-sm text-gray-700">
+                {entry.student?.lastName}, {entry.student?.firstName} &mdash; {entry.activity?.name}
+              </p>
+            ))}
+          </div>
+          <div>
+            <label htmlFor="reject-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              Reason for Rejecting <span className="text-red-500">*</span>
+            </label>
+            <textarea
+              id="reject-reason"
+              value={rejectModal.reason}
+              onChange={(e) => setRejectModal(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="e.g., Student was not on site"
+              className="input-field w-full h-20 resize-none"
+            />
+          </div>
+          {rejectModal.error && (
+            <div className="text-red-600 text-sm">{rejectModal.error}</div>
+          )}
+        </div>
+      </Modal>
+
+      {/* Unlock Day Modal */}
+      <Modal
+        isOpen={unlockModal.isOpen}
+        onClose={() => setUnlockModal(prev => ({ ...prev, isOpen: false }))}
+        title="Unlock Day"
+        size="md"
+        footer={
+          <>
+            <Button
+              variant="secondary"
+              onClick={() => setUnlockModal(prev => ({ ...prev, isOpen: false }))}
+              disabled={unlockModal.loading}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="primary"
+              onClick={handleUnlockDay}
+              loading={unlockModal.loading}
+              disabled={!unlockModal.reason || unlockModal.reason.trim().length < 5}
+            >
+              Unlock
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-gray-600">
+            Unlocking {formatDate(selectedDate)} allows entries to be edited again. The reason is kept with the lock history.
+          </p>
+          <div>
+            <label htmlFor="unlock-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              Reason for Unlocking <span className="text-red-500">*</span>
+            </label>
+            <textarea
+              id="unlock-reason"
+              value={unlockModal.reason}
+              onChange={(e) => setUnlockModal(prev => ({ ...prev, reason: e.target.value }))}
+              placeholder="e.g., Correct a check-out time"
+              className="input-field w-full h-20 resize-none"
+            />
+          </div>
+          {unlockModal.error && (
+            <div className="text-red-600 text-sm">{unlockModal.error}</div>
+          )}
+        </div>
+      </Modal>
     </div>
   );
 }
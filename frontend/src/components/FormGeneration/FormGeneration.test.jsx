@@ -0,0 +1,195 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import FormGeneration from './index';
+
+const mockGenerateForms = vi.fn();
+const mockAttestForms = vi.fn();
+let mockOpenEntries = [];
+
+vi.mock('../../utils/firebase', () => ({ db: {}, functions: {}, storage: {} }));
+
+vi.mock('firebase/firestore', () => ({
+  collection: vi.fn(),
+  query: vi.fn(),
+  where: vi.fn(),
+  onSnapshot: vi.fn((q, onNext) => {
+    onNext({ docs: mockOpenEntries.map(entry => ({ data: () => entry })) });
+    return vi.fn();
+  }),
+}));
+
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn((functions, name) => (name === 'attestForms' ? mockAttestForms : mockGenerateForms)),
+}));
+
+vi.mock('firebase/storage', () => ({
+  ref: vi.fn((storage, path) => ({ path })),
+  getDownloadURL: vi.fn((storageRef) => Promise.resolve(`https://storage.test/${storageRef.path}`)),
+}));
+
+vi.mock('../../contexts/EventContext', () => ({
+  useEvent: () => ({
+    currentEvent: { id: 'event1', organizationId: 'org1', name: 'VBS 2026', contactName: 'Mary Jones' },
+  }),
+}));
+
+const batchResult = {
+  success: true,
+  batchId: 'batch1',
+  formsGenerated: 1,
+  output: 'merged',
+  bundlePath: 'forms/event1/batch1_forms.pdf',
+  message: 'Generated 1 form (1 skipped)',
+  results: [
+    {
+      studentId: 'student1',
+      studentName: 'Jane Smith',
+      templateName: 'OCPS',
+      totalHours: 12.5,
+      storagePath: 'forms/event1/batch1_Smith_Jane_service_log.pdf',
+    },
+  ],
+  skipped: [
+    { studentId: 'student2', studentName: 'John Doe', reason: 'No PDF template assigned' },
+  ],
+};
+
+describe('FormGeneration', () => {
+  beforeEach(() => {
+    window.open = vi.fn();
+    mockOpenEntries = [];
+    mockGenerateForms.mockResolvedValue({ data: batchResult });
+    mockAttestForms.mockReset();
+  });
+
+  it('shows the empty state before any batch is generated', () => {
+    render(<FormGeneration />);
+
+    expect(screen.getByText('No forms generated yet')).toBeInTheDocument();
+  });
+
+  it('generates a merged PDF for the current event and opens it', async () => {
+    const user = userEvent.setup();
+    render(<FormGeneration />);
+
+    await user.click(screen.getByRole('button', { name: 'Generate Print-Ready PDF' }));
+
+    expect(mockGenerateForms).toHaveBeenCalledWith({ eventId: 'event1', output: 'merged' });
+    await waitFor(() => {
+      expect(window.open).toHaveBeenCalledWith('https://storage.test/forms/event1/batch1_forms.pdf', '_blank');
+    });
+  });
+
+  it('requests a ZIP bundle', async () => {
+    const user = userEvent.setup();
+    mockGenerateForms.mockResolvedValue({
+      data: { ...batchResult, output: 'zip', bundlePath: 'forms/event1/batch1_forms.zip' },
+    });
+    render(<FormGeneration />);
+
+    await user.click(screen.getByRole('button', { name: 'Download as ZIP' }));
+
+    expect(mockGenerateForms).toHaveBeenCalledWith({ eventId: 'event1', output: 'zip' });
+    expect(await screen.findByRole('button', { name: 'Download ZIP Again' })).toBeInTheDocument();
+  });
+
+  it('lists generated and skipped students', async () => {
+    const user = userEvent.setup();
+    render(<FormGeneration />);
+
+    await user.click(screen.getByRole('button', { name: 'Generate Print-Ready PDF' }));
+
+    expect(await screen.findByText('Jane Smith')).toBeInTheDocument();
+    expect(screen.getByText('12.50 hrs')).toBeInTheDocument();
+    expect(screen.getByText('Skipped (1)')).toBeInTheDocument();
+    expect(screen.getByText('John Doe: No PDF template assigned')).toBeInTheDocument();
+  });
+
+  it('counts students still checked in', () => {
+    mockOpenEntries = [
+      { studentId: 'student1', checkInTime: new Date(), checkOutTime: null },
+      { studentId: 'student1', checkInTime: new Date(), checkOutTime: null },
+      { studentId: 'student2', checkInTime: new Date(), checkOutTime: null, isVoided: true },
+    ];
+    render(<FormGeneration />);
+
+    expect(screen.getByText('1')).toBeInTheDocument();
+    expect(screen.getByText(/student still checked in/)).toBeInTheDocument();
+  });
+
+  it('requests estimates for open entries and marks estimated forms', async () => {
+    const user = userEvent.setup();
+    mockGenerateForms.mockResolvedValue({
+      data: {
+        ...batchResult,
+        results: [{ ...batchResult.results[0], totalHours: 18.5, estimatedHours: 6 }],
+      },
+    });
+    render(<FormGeneration />);
+
+    await user.selectOptions(screen.getByLabelText('Students still checked in'), 'average');
+    await user.click(screen.getByRole('button', { name: 'Generate Print-Ready PDF' }));
+
+    expect(mockGenerateForms).toHaveBeenCalledWith({ eventId: 'event1', output: 'merged', estimateMethod: 'average' });
+    expect(await screen.findByText('includes 6.00 est. hrs')).toBeInTheDocument();
+    expect(screen.getByText('18.50 hrs')).toBeInTheDocument();
+  });
+
+  it('shows an error when generation fails', async () => {
+    const user = userEvent.setup();
+    mockGenerateForms.mockRejectedValue(new Error('No students found matching criteria'));
+    render(<FormGeneration />);
+
+    await user.click(screen.getByRole('button', { name: 'Generate Print-Ready PDF' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No students found matching criteria');
+  });
+
+  it('signs the batch once the supervisor confirms the review', async () => {
+    const user = userEvent.setup();
+    mockAttestForms.mockResolvedValue({
+      data: {
+        success: true,
+        batchId: 'batch1',
+        bundlePath: 'forms/event1/batch1_signed_forms.pdf',
+        message: 'Signed 1 form',
+        attested: [{
+          studentId: 'student1',
+          studentName: 'Jane Smith',
+          totalHours: 12.5,
+          verificationCode: 'ABCD-EFGH-JKLM',
+          storagePath: 'forms/event1/batch1_Smith_Jane_service_log_signed.pdf',
+        }],
+        skipped: [],
+      },
+    });
+    render(<FormGeneration />);
+
+    await user.click(screen.getByRole('button', { name: 'Generate Print-Ready PDF' }));
+    expect(await screen.findByLabelText('Supervisor name')).toHaveValue('Mary Jones');
+    expect(screen.getByRole('button', { name: 'Sign 1 Form' })).toBeDisabled();
+
+    await user.type(screen.getByLabelText('Title'), 'Youth Director');
+    await user.click(screen.getByLabelText('I reviewed these forms and attest the hours are accurate'));
+    await user.click(screen.getByRole('button', { name: 'Sign 1 Form' }));
+
+    expect(mockAttestForms).toHaveBeenCalledWith({ batchId: 'batch1', signerName: 'Mary Jones', signerTitle: 'Youth Director' });
+    expect(await screen.findByText('ABCD-EFGH-JKLM')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Open Signed Merged PDF' }));
+    expect(window.open).toHaveBeenCalledWith('https://storage.test/forms/event1/batch1_signed_forms.pdf', '_blank');
+  });
+
+  it('shows why signing failed', async () => {
+    const user = userEvent.setup();
+    mockAttestForms.mockRejectedValue(new Error('No forms could be signed. Regenerate the forms and try again.'));
+    render(<FormGeneration />);
+
+    await user.click(screen.getByRole('button', { name: 'Generate Print-Ready PDF' }));
+    await user.click(await screen.findByLabelText('I reviewed these forms and attest the hours are accurate'));
+    await user.click(screen.getByRole('button', { name: 'Sign 1 Form' }));
+
+    expect(await screen.findByRole('alert')).toHaveTextContent('No forms could be signed');
+  });
+});
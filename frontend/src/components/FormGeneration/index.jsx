@@ -1,15 +1,115 @@
-import React from 'react';
+import React, { useEffect, useState } from 'react';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { ref, getDownloadURL } from 'firebase/storage';
+import { db, functions, storage } from '../../utils/firebase';
+import { useEvent } from '../../contexts/EventContext';
+import { DEFAULT_ESTIMATED_HOURS, isOpenEntry } from '../../utils/hourEstimates';
 import Button from '../common/Button';
 
 /**
  * Form Generation Component
  * Per PRD Section 3.6: Form Generation
- * - Multi-form type support (OCPS, NJHS, NHS, etc.)
- * - Batch generation
- * - Individual form generation
- * - PDF download
+ * - Batch generation on the server (generateForms Cloud Function)
+ * - One merged print-ready PDF or a ZIP of individual PDFs
+ * - Students without a usable template are listed as skipped
+ *
+ * Per PRD Section 3.6.3 (Friday workflow), students still checked in can be
+ * credited with an estimated checkout. Forms with estimates are marked in the
+ * results, and Daily Review flags the entry if the real checkout differs.
+ *
+ * Per PRD Phase 4 (digital signatures), the supervisor then reviews the batch
+ * and signs it once (attestForms Cloud Function). Each signed form gets a
+ * verification code that anyone can check on the public /hours page.
  */
 export default function FormGeneration() {
+  const { currentEvent } = useEvent();
+  const [generating, setGenerating] = useState(null);
+  const [batch, setBatch] = useState(null);
+  const [error, setError] = useState(null);
+  const [estimateMethod, setEstimateMethod] = useState('');
+  const [openStudentCount, setOpenStudentCount] = useState(null);
+  const [signerName, setSignerName] = useState('');
+  const [signerTitle, setSignerTitle] = useState('');
+  const [reviewed, setReviewed] = useState(false);
+  const [signing, setSigning] = useState(false);
+  const [attestation, setAttestation] = useState(null);
+  const [signError, setSignError] = useState(null);
+
+  useEffect(() => {
+    setSignerName(currentEvent?.contactName || '');
+  }, [currentEvent?.contactName]);
+
+  useEffect(() => {
+    if (!currentEvent?.id) return undefined;
+
+    const q = query(
+      collection(db, 'timeEntries'),
+      where('organizationId', '==', currentEvent.organizationId),
+      where('eventId', '==', currentEvent.id),
+      where('checkOutTime', '==', null)
+    );
+    const unsubscribe = onSnapshot(q, (snapshot) => {
+      const openEntries = snapshot.docs.map(doc => doc.data()).filter(isOpenEntry);
+      setOpenStudentCount(new Set(openEntries.map(entry => entry.studentId)).size);
+    }, (err) => {
+      console.error('Error loading open entries:', err);
+    });
+
+    return () => unsubscribe();
+  }, [currentEvent?.id, currentEvent?.organizationId]);
+
+  const openStoragePath = async (storagePath) => {
+    const url = await getDownloadURL(ref(storage, storagePath));
+    window.open(url, '_blank');
+  };
+
+  const handleGenerate = async (output) => {
+    if (!currentEvent?.id) return;
+
+    setGenerating(output);
+    setError(null);
+    try {
+      const generateFormsFunc = httpsCallable(functions, 'generateForms');
+      const result = await generateFormsFunc({
+        eventId: currentEvent.id,
+        output,
+        ...(estimateMethod && { estimateMethod }),
+      });
+      setBatch(result.data);
+      setAttestation(null);
+      setReviewed(false);
+      setSignError(null);
+      await openStoragePath(result.data.bundlePath);
+    } catch (err) {
+      console.error('Error generating forms:', err);
+      setError(err.message || 'Failed to generate forms');
+    } finally {
+      setGenerating(null);
+    }
+  };
+
+  const handleSign = async () => {
+    if (!batch?.batchId) return;
+
+    setSigning(true);
+    setSignError(null);
+    try {
+      const attestFormsFunc = httpsCallable(functions, 'attestForms');
+      const result = await attestFormsFunc({
+        batchId: batch.batchId,
+        signerName: signerName.trim(),
+        signerTitle: signerTitle.trim(),
+      });
+      setAttestation(result.data);
+    } catch (err) {
+      console.error('Error signing forms:', err);
+      setSignError(err.message || 'Failed to sign forms');
+    } finally {
+      setSigning(false);
+    }
+  };
+
   return (
     <div className="min-h-screen bg-gray-50">
       <div className="max-w-7xl mx-auto px-4 py-6">
@@ -26,10 +126,11 @@ export default function FormGeneration() {
 
           <div className="mt-4 space-y-2">
             <div className="text-green-600">
-              Mon-Thu hours reviewed and approved
+              Only hours approved in Daily Review are included on forms
             </div>
             <div className="text-amber-600">
-              Friday: <span className="font-bold">--</span> students still checked in
+              <span className="font-bold">{openStudentCount ?? '--'}</span>{' '}
+              {openStudentCount === 1 ? 'student' : 'students'} still checked in
             </div>
           </div>
         </div>
@@ -42,49 +143,62 @@ export default function FormGeneration() {
 
           <div className="bg-blue-50 border border-blue-200 rounded-lg p-4 mb-6">
             <p className="text-sm text-blue-900">
-              Students still checked in will have estimated Friday hours (~6 hrs based on averages)
+              Each student&apos;s form is filled from their assigned PDF template (or the one matching their school).
+              Generation runs on the server, so large rosters won&apos;t stall this browser.
             </p>
           </div>
 
-          <Button variant="primary" size="lg" className="w-full">
-            Generate All Forms (-- students)
-          </Button>
-        </div>
+          <div className="mb-6">
+            <label htmlFor="estimate-method" className="block text-sm font-medium text-gray-700 mb-1">
+              Students still checked in
+            </label>
+            <select
+              id="estimate-method"
+              value={estimateMethod}
+              onChange={(e) => setEstimateMethod(e.target.value)}
+              className="w-full md:w-96 px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+            >
+              <option value="">Leave today&apos;s open hours off the forms</option>
+              <option value="activity_end">Estimate checkout at the activity end time</option>
+              <option value="average">Estimate from the student&apos;s average day</option>
+            </select>
+            {estimateMethod && (
+              <p className="mt-2 text-sm text-amber-700">
+                Estimated hours are saved on each open entry. Students with no completed days are
+                estimated at {DEFAULT_ESTIMATED_HOURS} hours. If the real checkout differs, Daily Review
+                flags the entry so the form can be reprinted.
+              </p>
+            )}
+          </div>
 
-        {/* Generate by Type */}
-        <div className="bg-white rounded-lg shadow-md p-6 mb-4">
-          <h2 className="text-lg font-semibold text-gray-900 mb-4">
-            OR generate by school/form type:
-          </h2>
+          {error && (
+            <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-6 text-sm text-red-800" role="alert">
+              {error}
+            </div>
+          )}
 
-          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
-            <Button variant="secondary">
-              OCPS (-- students)
-            </Button>
-            <Button variant="secondary">
-              NJHS (-- students)
-            </Button>
-            <Button variant="secondary">
-              NHS (-- students)
+          <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
+            <Button
+              variant="primary"
+              size="lg"
+              className="w-full"
+              onClick={() => handleGenerate('merged')}
+              disabled={!currentEvent || generating !== null}
+              loading={generating === 'merged'}
+            >
+              {generating === 'merged' ? 'Generating...' : 'Generate Print-Ready PDF'}
             </Button>
-            <Button variant="secondary">
-              Other (-- students)
+            <Button
+              variant="secondary"
+              size="lg"
+              className="w-full"
+              onClick={() => handleGenerate('zip')}
+              disabled={!currentEvent || generating !== null}
+              loading={generating === 'zip'}
+            >
+              {generating === 'zip' ? 'Generating...' : 'Download as ZIP'}
             </Button>
           </div>
-
-          <div className="mt-6">
-            <label className="block text-sm font-medium text-gray-700 mb-2">
-              OR search individual:
-            </label>
-            <div className="flex gap-2">
-              <input
-                type="text"
-                placeholder="Student name..."
-                className="input-field flex-1"
-              />
-              <Button variant="primary">🔍 Search</Button>
-            </div>
-          </div>
         </div>
 
         {/* Generated Forms */}
@@ -93,22 +207,182 @@ export default function FormGeneration() {
             📥 Generated Forms
           </h2>
 
-          <div className="text-center py-8 text-gray-500">
-            No forms generated yet
-          </div>
+          {!batch ? (
+            <div className="text-center py-8 text-gray-500">
+              No forms generated yet
+            </div>
+          ) : (
+            <>
+              <p className="text-sm text-gray-600 mb-4">{batch.message}</p>
 
-          <div className="mt-4 flex gap-4">
-            <Button variant="primary" disabled>
-              Download All as PDF
-            </Button>
-            <Button variant="secondary" disabled>
-              Download as ZIP
-            </Button>
-            <Button variant="secondary" disabled>
-              Print All
-            </Button>
-          </div>
+              <ul className="divide-y divide-gray-100">
+                {batch.results.map(result => (
+                  <li key={result.studentId} className="flex items-center justify-between py-2 text-sm">
+                    <div>
+                      <span className="font-medium text-gray-900">{result.studentName}</span>
+                      <span className="ml-2 text-gray-500">{result.templateName}</span>
+                    </div>
+                    <div className="flex items-center gap-4">
+                      {result.estimatedHours > 0 && (
+                        <span
+                          className="px-2 py-0.5 rounded-full bg-amber-100 text-amber-800 text-xs font-medium"
+                          title="Credited for a checkout that has not happened yet"
+                        >
+                          includes {Number(result.estimatedHours).toFixed(2)} est. hrs
+                        </span>
+                      )}
+                      <span className="text-gray-700">{Number(result.totalHours).toFixed(2)} hrs</span>
+                      <button
+                        type="button"
+                        className="text-primary-600 hover:underline"
+                        onClick={() => openStoragePath(result.storagePath)}
+                      >
+                        Open PDF
+                      </button>
+                    </div>
+                  </li>
+                ))}
+              </ul>
+
+              {batch.skipped.length > 0 && (
+                <div className="mt-4 bg-amber-50 border border-amber-200 rounded-lg p-4">
+                  <h3 className="text-sm font-semibold text-amber-900 mb-2">
+                    Skipped ({batch.skipped.length})
+                  </h3>
+                  <ul className="text-sm text-amber-800 space-y-1">
+                    {batch.skipped.map(item => (
+                      <li key={item.studentId}>{item.studentName}: {item.reason}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+
+              <div className="mt-4 flex gap-4">
+                <Button variant="primary" onClick={() => openStoragePath(batch.bundlePath)}>
+                  {batch.output === 'zip' ? 'Download ZIP Again' : 'Open Merged PDF'}
+                </Button>
+              </div>
+            </>
+          )}
         </div>
+
+        {/* Supervisor Signature */}
+        {batch && batch.results.length > 0 && (
+          <div className="bg-white rounded-lg shadow-md p-6 mt-4">
+            <h2 className="text-lg font-semibold text-gray-900 mb-2">
+              ✍️ Attest &amp; Sign
+            </h2>
+
+            {!attestation ? (
+              <>
+                <p className="text-sm text-gray-600 mb-4">
+                  Review the forms above, then sign them all at once. Each form gets a signature block with a
+                  verification code that schools can check on the public hours page. Forms with estimated hours,
+                  or whose hours changed since they were generated, are not signed.
+                </p>
+
+                <div className="grid grid-cols-1 md:grid-cols-2 gap-4 mb-4">
+                  <div>
+                    <label htmlFor="signer-name" className="block text-sm font-medium text-gray-700 mb-1">
+                      Supervisor name
+                    </label>
+                    <input
+                      id="signer-name"
+                      type="text"
+                      value={signerName}
+                      onChange={(e) => setSignerName(e.target.value)}
+                      maxLength={100}
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                  <div>
+                    <label htmlFor="signer-title" className="block text-sm font-medium text-gray-700 mb-1">
+                      Title
+                    </label>
+                    <input
+                      id="signer-title"
+                      type="text"
+                      value={signerTitle}
+                      onChange={(e) => setSignerTitle(e.target.value)}
+                      maxLength={100}
+                      placeholder="e.g. Youth Director"
+                      className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:ring-2 focus:ring-primary-500"
+                    />
+                  </div>
+                </div>
+
+                <label className="flex items-start gap-2 text-sm text-gray-700 mb-4">
+                  <input
+                    type="checkbox"
+                    checked={reviewed}
+                    onChange={(e) => setReviewed(e.target.checked)}
+                    className="mt-0.5"
+                  />
+                  I reviewed these forms and attest the hours are accurate
+                </label>
+
+                {signError && (
+                  <div className="bg-red-50 border border-red-200 rounded-lg p-4 mb-4 text-sm text-red-800" role="alert">
+                    {signError}
+                  </div>
+                )}
+
+                <Button
+                  variant="primary"
+                  onClick={handleSign}
+                  disabled={!reviewed || !signerName.trim() || signing}
+                  loading={signing}
+                >
+                  {signing ? 'Signing...' : `Sign ${batch.results.length} Form${batch.results.length === 1 ? '' : 's'}`}
+                </Button>
+              </>
+            ) : (
+              <>
+                <p className="text-sm text-gray-600 mb-4">{attestation.message}</p>
+
+                <ul className="divide-y divide-gray-100">
+                  {attestation.attested.map(form => (
+                    <li key={form.studentId} className="flex items-center justify-between py-2 text-sm">
+                      <div>
+                        <span className="font-medium text-gray-900">{form.studentName}</span>
+                        <span className="ml-2 font-mono text-gray-600">{form.verificationCode}</span>
+                      </div>
+                      <div className="flex items-center gap-4">
+                        <span className="text-gray-700">{Number(form.totalHours).toFixed(2)} hrs</span>
+                        <button
+                          type="button"
+                          className="text-primary-600 hover:underline"
+                          onClick={() => openStoragePath(form.storagePath)}
+                        >
+                          Open Signed PDF
+                        </button>
+                      </div>
+                    </li>
+                  ))}
+                </ul>
+
+                {attestation.skipped.length > 0 && (
+                  <div className="mt-4 bg-amber-50 border border-amber-200 rounded-lg p-4">
+                    <h3 className="text-sm font-semibold text-amber-900 mb-2">
+                      Not signed ({attestation.skipped.length})
+                    </h3>
+                    <ul className="text-sm text-amber-800 space-y-1">
+                      {attestation.skipped.map(item => (
+                        <li key={item.studentId}>{item.studentName}: {item.reason}</li>
+                      ))}
+                    </ul>
+                  </div>
+                )}
+
+                <div className="mt-4 flex gap-4">
+                  <Button variant="primary" onClick={() => openStoragePath(attestation.bundlePath)}>
+                    {batch.output === 'zip' ? 'Download Signed ZIP' : 'Open Signed Merged PDF'}
+                  </Button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
       </div>
     </div>
   );
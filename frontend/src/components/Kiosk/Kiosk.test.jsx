@@ -0,0 +1,156 @@
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
+import { act, render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import Kiosk, { KIOSK_RESET_MS } from './index';
+import { getKioskDevice, saveKioskDevice, clearKioskDevice } from '../../utils/kioskDevice';
+
+const mockStartScanning = vi.fn().mockResolvedValue(undefined);
+const mockStopScanning = vi.fn().mockResolvedValue(undefined);
+const mockCallables = vi.hoisted(() => ({}));
+let mockUseQRScannerOptions = null;
+
+vi.mock('../../hooks/useQRScanner', () => ({
+  __esModule: true,
+  default: vi.fn((options) => {
+    mockUseQRScannerOptions = options;
+    return { startScanning: mockStartScanning, stopScanning: mockStopScanning };
+  }),
+}));
+
+vi.mock('../../utils/firebase', () => ({
+  functions: {},
+}));
+
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn((functions, name) => mockCallables[name]),
+}));
+
+vi.mock('../../utils/qrCodeGenerator', () => ({
+  parseQRData: vi.fn(() => ({ isValid: true, studentId: 'student1', eventId: 'event1' })),
+}));
+
+const renderKiosk = (route = '/checkout/event1') => render(
+  <MemoryRouter initialEntries={[route]}>
+    <Routes>
+      <Route path="/checkout/:eventId" element={<Kiosk />} />
+      <Route path="/login" element={<div>Login Page</div>} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('Kiosk', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.useFakeTimers({ shouldAdvanceTime: true });
+    mockUseQRScannerOptions = null;
+    saveKioskDevice({ token: 'device-token', deviceId: 'device1', eventId: 'event1', activityId: 'general' });
+    mockCallables.getKioskStatus = vi.fn().mockResolvedValue({
+      data: { success: true, eventName: 'VBS 2026', activityName: 'General', timeZone: 'America/Chicago', checkedInCount: 94 },
+    });
+    mockCallables.checkOut = vi.fn().mockResolvedValue({
+      data: {
+        success: true,
+        studentName: 'Sarah Jones',
+        hoursToday: 6.5,
+        weekTotal: 26.5,
+        checkOutTime: '2026-06-15T19:15:00.000Z',
+      },
+    });
+    mockCallables.verifyKioskExitPin = vi.fn().mockResolvedValue({ data: { success: true } });
+  });
+
+  afterEach(() => {
+    clearKioskDevice();
+    vi.useRealTimers();
+  });
+
+  it('should refuse to run on a device that is not registered for the event', async () => {
+    clearKioskDevice();
+    renderKiosk();
+
+    expect(await screen.findByText('Checkout kiosk not set up')).toBeInTheDocument();
+    expect(mockCallables.getKioskStatus).not.toHaveBeenCalled();
+  });
+
+  it('should show the live checked-in count and start the camera', async () => {
+    renderKiosk();
+
+    expect(await screen.findByText(/Currently: 94 students checked in/)).toBeInTheDocument();
+    expect(mockCallables.getKioskStatus).toHaveBeenCalledWith({ token: 'device-token' });
+
+    await vi.advanceTimersByTimeAsync(600);
+    expect(mockStartScanning).toHaveBeenCalledWith('kiosk-qr-reader');
+  });
+
+  it('should confirm a check-out with today and week hours, then auto-reset', async () => {
+    renderKiosk();
+    await screen.findByText(/Currently: 94 students/);
+
+    await act(async () => {
+      await mockUseQRScannerOptions.onSuccess('valid-qr');
+    });
+
+    expect(mockCallables.checkOut).toHaveBeenCalledWith({
+      qrData: 'valid-qr',
+      eventId: 'event1',
+      activityId: 'general',
+      method: 'self_scan',
+      kioskToken: 'device-token',
+    });
+    expect(screen.getByText('✓ See You Tomorrow!')).toBeInTheDocument();
+    expect(screen.getByText('Sarah Jones')).toBeInTheDocument();
+    expect(screen.getByText('6.5 hours')).toBeInTheDocument();
+    expect(screen.getByText('26.5 hours')).toBeInTheDocument();
+    expect(screen.getByText('Check-Out: 2:15 PM')).toBeInTheDocument();
+
+    await act(async () => {
+      await vi.advanceTimersByTimeAsync(KIOSK_RESET_MS);
+    });
+
+    expect(screen.queryByText('✓ See You Tomorrow!')).not.toBeInTheDocument();
+  });
+
+  it('should show the check-out error on screen', async () => {
+    mockCallables.checkOut.mockRejectedValueOnce(new Error('No check-in found for today Sarah'));
+    renderKiosk();
+    await screen.findByText(/Currently: 94 students/);
+
+    await act(async () => {
+      await mockUseQRScannerOptions.onSuccess('valid-qr');
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('No check-in found for today Sarah');
+  });
+
+  it('should need the admin PIN to exit kiosk mode', async () => {
+    const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+    mockCallables.verifyKioskExitPin.mockRejectedValueOnce(new Error('Incorrect PIN'));
+    renderKiosk();
+    await screen.findByText(/Currently: 94 students/);
+
+    await user.click(screen.getByText('Exit Kiosk'));
+    await user.type(screen.getByLabelText('Admin PIN'), '0000');
+    await user.click(screen.getByRole('button', { name: 'Exit' }));
+
+    expect(await screen.findByText('Incorrect PIN')).toBeInTheDocument();
+    expect(getKioskDevice()).not.toBeNull();
+
+    await user.type(screen.getByLabelText('Admin PIN'), '2468');
+    await user.click(screen.getByRole('button', { name: 'Exit' }));
+
+    expect(await screen.findByText('Login Page')).toBeInTheDocument();
+    expect(mockCallables.verifyKioskExitPin).toHaveBeenLastCalledWith({ token: 'device-token', pin: '2468' });
+    expect(getKioskDevice()).toBeNull();
+  });
+
+  it('should forget a device whose token was revoked', async () => {
+    mockCallables.getKioskStatus.mockRejectedValueOnce(
+      Object.assign(new Error('This kiosk token has expired'), { code: 'functions/permission-denied' })
+    );
+    renderKiosk();
+
+    expect(await screen.findByText('Checkout kiosk not set up')).toBeInTheDocument();
+    expect(getKioskDevice()).toBeNull();
+  });
+});
@@ -0,0 +1,284 @@
+import React, { useState, useEffect, useRef, useCallback } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../utils/firebase';
+import useQRScanner from '../../hooks/useQRScanner';
+import { parseQRData } from '../../utils/qrCodeGenerator';
+import { getKioskDevice, clearKioskDevice } from '../../utils/kioskDevice';
+import { formatTimeInTimeZone, getEventTimeZone } from '../../utils/timeZones';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import Spinner from '../common/Spinner';
+
+// Per PRD Section 4.2: the confirmation screen resets itself after 5 seconds
+export const KIOSK_RESET_MS = 5000;
+const STATUS_REFRESH_MS = 30000;
+
+// Errors that mean the device token is no longer valid
+const REVOKED_CODES = ['functions/permission-denied', 'functions/unauthenticated'];
+
+// Times are read on the event's clock, not the kiosk device's
+function formatTime(iso, timeZone) {
+  return iso ? formatTimeInTimeZone(iso, timeZone) : '';
+}
+
+/**
+ * Self-Checkout Kiosk
+ * Full-screen exit-door station that runs without an admin session. The device
+ * authenticates with the token saved when an admin launched kiosk mode, and
+ * leaving kiosk mode requires the admin PIN.
+ */
+export default function Kiosk() {
+  const { eventId } = useParams();
+  const navigate = useNavigate();
+  const [device, setDevice] = useState(() => getKioskDevice());
+  const [status, setStatus] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [result, setResult] = useState(null);
+  const [secondsLeft, setSecondsLeft] = useState(0);
+  const [exitModal, setExitModal] = useState({ isOpen: false, pin: '', error: '', loading: false });
+  const isProcessing = useRef(false);
+  const resetTimeoutRef = useRef(null);
+
+  const isAuthorized = !!device && device.eventId === eventId;
+
+  const refreshStatus = useCallback(async () => {
+    if (!isAuthorized) return;
+    try {
+      const getStatus = httpsCallable(functions, 'getKioskStatus');
+      const response = await getStatus({ token: device.token });
+      setStatus(response.data);
+    } catch (err) {
+      console.error('Error loading kiosk status:', err);
+      if (REVOKED_CODES.includes(err.code)) {
+        clearKioskDevice();
+        setDevice(null);
+      }
+    } finally {
+      setLoading(false);
+    }
+  }, [device, isAuthorized]);
+
+  useEffect(() => {
+    if (!isAuthorized) {
+      setLoading(false);
+      return undefined;
+    }
+    refreshStatus();
+    const intervalId = setInterval(refreshStatus, STATUS_REFRESH_MS);
+    return () => clearInterval(intervalId);
+  }, [isAuthorized, refreshStatus]);
+
+  const resetKiosk = useCallback(() => {
+    if (resetTimeoutRef.current) {
+      clearTimeout(resetTimeoutRef.current);
+      resetTimeoutRef.current = null;
+    }
+    setResult(null);
+    isProcessing.current = false;
+  }, []);
+
+  const showResult = (nextResult) => {
+    setResult(nextResult);
+    setSecondsLeft(KIOSK_RESET_MS / 1000);
+    resetTimeoutRef.current = setTimeout(resetKiosk, KIOSK_RESET_MS);
+  };
+
+  // Countdown shown on the confirmation screen
+  useEffect(() => {
+    if (!result) return undefined;
+    const intervalId = setInterval(() => {
+      setSecondsLeft(seconds => Math.max(seconds - 1, 0));
+    }, 1000);
+    return () => clearInterval(intervalId);
+  }, [result]);
+
+  useEffect(() => () => {
+    if (resetTimeoutRef.current) {
+      clearTimeout(resetTimeoutRef.current);
+    }
+  }, []);
+
+  const { startScanning, stopScanning } = useQRScanner({
+    onSuccess: async (data) => {
+      if (isProcessing.current) return;
+      isProcessing.current = true;
+
+      const qrString = typeof data === 'string' ? data : data?.rawData || data?.data;
+      const { eventId: qrEventId, isValid, error } = parseQRData(qrString || '');
+
+      if (!isValid) {
+        return showResult({ type: 'error', text: error || 'Invalid QR Code' });
+      }
+      if (qrEventId !== eventId) {
+        return showResult({ type: 'error', text: 'Wrong Event Badge' });
+      }
+
+      try {
+        const checkOut = httpsCallable(functions, 'checkOut');
+        const response = await checkOut({
+          qrData: qrString,
+          eventId,
+          activityId: device.activityId,
+          method: 'self_scan',
+          kioskToken: device.token
+        });
+        showResult({ type: 'success', ...response.data });
+        refreshStatus();
+      } catch (err) {
+        showResult({ type: 'error', text: err.message || 'Check-out failed' });
+      }
+    }
+  });
+
+  const startScanningRef = useRef(startScanning);
+  const stopScanningRef = useRef(stopScanning);
+  startScanningRef.current = startScanning;
+  stopScanningRef.current = stopScanning;
+
+  const isReady = isAuthorized && !!status;
+
+  useEffect(() => {
+    if (!isReady) return undefined;
+    const timeoutId = setTimeout(() => {
+      startScanningRef.current('kiosk-qr-reader').catch(() => {});
+    }, 500);
+    return () => {
+      clearTimeout(timeoutId);
+      stopScanningRef.current();
+    };
+  }, [isReady]);
+
+  const handleExit = async () => {
+    setExitModal(modal => ({ ...modal, loading: true, error: '' }));
+    try {
+      const verifyPin = httpsCallable(functions, 'verifyKioskExitPin');
+      await verifyPin({ token: device.token, pin: exitModal.pin });
+      clearKioskDevice();
+      navigate('/login', { replace: true });
+    } catch (err) {
+      setExitModal(modal => ({ ...modal, pin: '', loading: false, error: err.message || 'Incorrect PIN' }));
+    }
+  };
+
+  if (loading) return <div className="p-20 text-center"><Spinner /></div>;
+
+  if (!isAuthorized) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          <h1 className="text-2xl font-black text-gray-900">Checkout kiosk not set up</h1>
+          <p className="mt-3 text-gray-600">
+            This device isn&apos;t registered as a self-checkout kiosk for this event.
+            An admin can launch kiosk mode from the scanner.
+          </p>
+          <button
+            onClick={() => navigate('/login')}
+            className="mt-6 rounded-lg bg-primary-600 px-4 py-2 font-bold text-white hover:bg-primary-700"
+          >
+            Admin Sign In
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen bg-gray-50 flex flex-col">
+      <div className="flex items-center justify-between px-6 py-4">
+        <div>
+          <p className="text-sm font-black uppercase tracking-widest text-primary-600">{status?.eventName}</p>
+          <p className="text-xs font-medium text-gray-500">{status?.activityName}</p>
+        </div>
+        <button
+          onClick={() => setExitModal({ isOpen: true, pin: '', error: '', loading: false })}
+          className="rounded-lg px-3 py-2 text-xs font-bold text-gray-400 hover:bg-gray-100 hover:text-gray-600"
+        >
+          Exit Kiosk
+        </button>
+      </div>
+
+      <div className="flex-1 flex flex-col items-center justify-center px-6 pb-10">
+        <h1 className="text-5xl font-black text-gray-900 mb-6">👋 Check Out</h1>
+        <div className="w-full max-w-xl bg-black rounded-2xl overflow-hidden min-h-[320px] shadow-inner">
+          <div id="kiosk-qr-reader" className="w-full"></div>
+        </div>
+        <p className="mt-6 text-3xl font-bold text-gray-800">Scan your lanyard to check out</p>
+        <p className="mt-2 text-xl text-gray-500">Then return lanyard to bin →</p>
+        <p className="mt-8 text-2xl font-bold text-green-700" aria-live="polite">
+          🟢 Currently: {status?.checkedInCount ?? 0} {status?.checkedInCount === 1 ? 'student' : 'students'} checked in
+        </p>
+      </div>
+
+      {result && (
+        <div
+          role={result.type === 'error' ? 'alert' : 'status'}
+          onClick={resetKiosk}
+          className={`fixed inset-0 z-40 flex flex-col items-center justify-center p-8 text-center ${
+            result.type === 'success' ? 'bg-green-50' : 'bg-red-50'
+          }`}
+        >
+          {result.type === 'success' ? (
+            <>
+              <p className="text-6xl font-black text-green-700">✓ See You Tomorrow!</p>
+              <p className="mt-8 text-5xl font-bold text-gray-900">{result.studentName}</p>
+              <div className="mt-8 space-y-2 text-3xl text-gray-700">
+                <p>Check-Out: {formatTime(result.checkOutTime, getEventTimeZone(status))}</p>
+                <p>Today: <span className="font-bold">{result.hoursToday} hours</span></p>
+                <p>Week Total: <span className="font-bold">{result.weekTotal} hours</span></p>
+              </div>
+              <p className="mt-8 text-2xl text-gray-500">Return lanyard to bin →</p>
+            </>
+          ) : (
+            <>
+              <p className="text-5xl font-black text-red-700">Couldn&apos;t check out</p>
+              <p className="mt-6 text-3xl text-gray-800">{result.text}</p>
+              <p className="mt-6 text-2xl text-gray-500">Please ask an adult volunteer for help.</p>
+            </>
+          )}
+          <p className="mt-10 text-lg text-gray-400">(Auto-reset in {secondsLeft} seconds)</p>
+        </div>
+      )}
+
+      <Modal
+        isOpen={exitModal.isOpen}
+        onClose={() => setExitModal({ isOpen: false, pin: '', error: '', loading: false })}
+        title="Exit Kiosk Mode"
+        size="sm"
+        footer={
+          <>
+            <Button
+              variant="secondary"
+              onClick={() => setExitModal({ isOpen: false, pin: '', error: '', loading: false })}
+              disabled={exitModal.loading}
+            >
+              Cancel
+            </Button>
+            <Button
+              variant="danger"
+              onClick={handleExit}
+              loading={exitModal.loading}
+              disabled={!exitModal.pin}
+            >
+              Exit
+            </Button>
+          </>
+        }
+      >
+        <label htmlFor="kiosk-exit-pin" className="block text-sm font-medium text-gray-700 mb-1">
+          Admin PIN
+        </label>
+        <input
+          id="kiosk-exit-pin"
+          type="password"
+          inputMode="numeric"
+          autoComplete="off"
+          value={exitModal.pin}
+          onChange={(e) => setExitModal(modal => ({ ...modal, pin: e.target.value.replace(/\D/g, '') }))}
+          className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+        />
+        {exitModal.error && <p className="mt-2 text-sm text-red-600">{exitModal.error}</p>}
+      </Modal>
+    </div>
+  );
+}
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { MemoryRouter, Route, Routes } from 'react-router-dom';
+import OnSiteBoard from './index';
+
+const mockGetBoard = vi.hoisted(() => vi.fn());
+const mockCheckOut = vi.hoisted(() => vi.fn());
+
+vi.mock('../../utils/firebase', () => ({
+  functions: {},
+}));
+
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn((_functions, name) => (name === 'checkOut' ? mockCheckOut : mockGetBoard)),
+}));
+
+vi.mock('../../contexts/AuthContext', () => ({
+  useAuth: () => ({
+    user: { uid: 'user1', email: 'lead@test.com' },
+    userProfile: { name: 'Door Lead' },
+  }),
+}));
+
+const minutesAgo = (minutes) => new Date(Date.now() - minutes * 60000).toISOString();
+const today = new Date().toLocaleDateString('en-CA', { timeZone: 'America/Chicago' });
+
+const board = (overrides = {}) => ({
+  success: true,
+  eventName: 'VBS 2026',
+  timeZone: 'America/Chicago',
+  generatedAt: new Date().toISOString(),
+  onSiteCount: 2,
+  activities: [
+    {
+      activityId: 'vbs',
+      activityName: 'VBS',
+      endTime: '23:59',
+      canCheckOut: true,
+      entries: [{ entryId: 'e1', studentId: 's1', studentName: 'Jane Smith', date: today, checkInTime: minutesAgo(125) }],
+    },
+    {
+      activityId: 'setup',
+      activityName: 'Setup Crew',
+      endTime: '00:00',
+      canCheckOut: false,
+      entries: [{ entryId: 'e2', studentId: 's2', studentName: 'John Doe', date: today, checkInTime: minutesAgo(10) }],
+    },
+  ],
+  ...overrides,
+});
+
+const renderBoard = () => render(
+  <MemoryRouter initialEntries={['/board/event1']}>
+    <Routes>
+      <Route path="/board/:eventId" element={<OnSiteBoard />} />
+    </Routes>
+  </MemoryRouter>
+);
+
+describe('OnSiteBoard', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockGetBoard.mockResolvedValue({ data: board() });
+  });
+
+  it('groups students by activity with elapsed time and past-end highlights', async () => {
+    renderBoard();
+
+    expect(await screen.findByText('On Site Now: 2')).toBeInTheDocument();
+    expect(mockGetBoard).toHaveBeenCalledWith({ eventId: 'event1' });
+
+    const vbs = screen.getByRole('region', { name: 'VBS' });
+    expect(within(vbs).getByText('Jane Smith')).toBeInTheDocument();
+    expect(within(vbs).getByText(/2h 05m/)).toBeInTheDocument();
+    expect(within(vbs).queryByText(/past end time/)).not.toBeInTheDocument();
+
+    const setup = screen.getByRole('region', { name: 'Setup Crew' });
+    expect(within(setup).getByText(/10m/)).toBeInTheDocument();
+    expect(within(setup).getByText(/past end time/)).toBeInTheDocument();
+  });
+
+  it('offers one-tap check-out only in activities the volunteer scans', async () => {
+    mockCheckOut.mockResolvedValue({ data: { success: true, studentName: 'Jane Smith' } });
+    renderBoard();
+
+    await screen.findByText('On Site Now: 2');
+    expect(screen.queryByRole('button', { name: 'Check out John Doe' })).not.toBeInTheDocument();
+
+    mockGetBoard.mockResolvedValue({ data: board({ onSiteCount: 1 }) });
+    await userEvent.click(screen.getByRole('button', { name: 'Check out Jane Smith' }));
+
+    expect(mockCheckOut).toHaveBeenCalledWith(expect.objectContaining({
+      studentId: 's1',
+      eventId: 'event1',
+      activityId: 'vbs',
+      method: 'av_scan',
+      scannedBy: 'user1',
+      scannedByName: 'Door Lead',
+    }));
+    expect(await screen.findByRole('status')).toHaveTextContent('Jane Smith Checked Out');
+    await waitFor(() => expect(screen.getByText('On Site Now: 1')).toBeInTheDocument());
+  });
+
+  it('explains when the board cannot be loaded', async () => {
+    mockGetBoard.mockRejectedValue(new Error('You are not assigned to this event'));
+    renderBoard();
+
+    expect(await screen.findByText('On Site board unavailable')).toBeInTheDocument();
+    expect(screen.getByText('You are not assigned to this event')).toBeInTheDocument();
+  });
+});
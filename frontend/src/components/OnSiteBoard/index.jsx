@@ -0,0 +1,199 @@
+import React, { useState, useEffect, useCallback } from 'react';
+import { Link, useParams } from 'react-router-dom';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../utils/firebase';
+import { useAuth } from '../../contexts/AuthContext';
+import Spinner from '../common/Spinner';
+import { formatTimeInTimeZone, getTodayInTimeZone, zonedTimeToDate } from '../../utils/timeZones';
+import { ON_SITE_REFRESH_MS, formatElapsed, getElapsedMinutes, isPastEndTime } from '../../utils/onSiteBoard';
+
+/**
+ * On Site Now Board
+ * Full-screen door display of who is still checked in to an event, grouped
+ * by activity. Reloads every ON_SITE_REFRESH_MS; anyone still in after their
+ * activity's end time is highlighted, and volunteers who scan an activity
+ * can check its students out with one tap.
+ */
+export default function OnSiteBoard() {
+  const { eventId } = useParams();
+  const { user, userProfile } = useAuth();
+  const [board, setBoard] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [message, setMessage] = useState(null);
+  const [checkingOutId, setCheckingOutId] = useState(null);
+  const [now, setNow] = useState(() => new Date());
+  const [isFullscreen, setIsFullscreen] = useState(false);
+
+  const loadBoard = useCallback(async () => {
+    try {
+      const getOnSiteBoard = httpsCallable(functions, 'getOnSiteBoard');
+      const response = await getOnSiteBoard({ eventId });
+      setBoard(response.data);
+      setError(null);
+    } catch (err) {
+      console.error('Error loading on site board:', err);
+      setError(err.message || 'Failed to load who is on site');
+    } finally {
+      setNow(new Date());
+      setLoading(false);
+    }
+  }, [eventId]);
+
+  useEffect(() => {
+    loadBoard();
+    const intervalId = setInterval(loadBoard, ON_SITE_REFRESH_MS);
+    return () => clearInterval(intervalId);
+  }, [loadBoard]);
+
+  useEffect(() => {
+    const handleChange = () => setIsFullscreen(Boolean(document.fullscreenElement));
+    document.addEventListener('fullscreenchange', handleChange);
+    return () => document.removeEventListener('fullscreenchange', handleChange);
+  }, []);
+
+  const toggleFullscreen = () => {
+    if (document.fullscreenElement) {
+      document.exitFullscreen?.();
+    } else {
+      document.documentElement.requestFullscreen?.();
+    }
+  };
+
+  const handleCheckOut = async (activity, entry) => {
+    setCheckingOutId(entry.entryId);
+    setMessage(null);
+    try {
+      const checkOut = httpsCallable(functions, 'checkOut');
+      const result = await checkOut({
+        studentId: entry.studentId,
+        eventId,
+        activityId: activity.activityId,
+        method: 'av_scan',
+        scannedBy: user?.uid || userProfile?.id || 'av_scan',
+        scannedByName: userProfile?.name || user?.displayName || user?.email || ''
+      });
+      if (result.data.success) {
+        setMessage({ type: 'success', text: `✓ ${result.data.studentName} Checked Out` });
+        await loadBoard();
+      } else {
+        setMessage({ type: 'error', text: result.data.error || 'Check-out failed' });
+      }
+    } catch (err) {
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setCheckingOutId(null);
+    }
+  };
+
+  if (loading) return <div className="p-20 text-center"><Spinner /></div>;
+
+  if (!board) {
+    return (
+      <div className="min-h-screen bg-gray-50 flex items-center justify-center p-6">
+        <div className="max-w-md w-full bg-white rounded-2xl shadow-xl p-8 text-center">
+          <h1 className="text-2xl font-black text-gray-900">On Site board unavailable</h1>
+          <p className="mt-3 text-gray-600">{error}</p>
+          <Link to="/scan" className="mt-6 inline-block rounded-lg bg-primary-600 px-4 py-2 font-bold text-white hover:bg-primary-700">
+            Back to Scanner
+          </Link>
+        </div>
+      </div>
+    );
+  }
+
+  const timeZone = board.timeZone;
+  const today = getTodayInTimeZone(timeZone);
+
+  return (
+    <div className="min-h-screen bg-gray-900 text-white">
+      <div className="flex flex-wrap items-center justify-between gap-3 px-6 py-4">
+        <div>
+          <p className="text-sm font-black uppercase tracking-widest text-primary-300">{board.eventName}</p>
+          <h1 className="text-4xl font-black">On Site Now: {board.onSiteCount}</h1>
+          <p className="text-xs font-medium text-gray-400">
+            Updated {formatTimeInTimeZone(board.generatedAt, timeZone)} · refreshes every {ON_SITE_REFRESH_MS / 1000} seconds
+          </p>
+        </div>
+        <div className="flex items-center gap-2">
+          <button
+            onClick={toggleFullscreen}
+            className="rounded-lg bg-gray-800 px-3 py-2 text-xs font-bold text-gray-200 hover:bg-gray-700"
+          >
+            {isFullscreen ? 'Exit Full Screen' : 'Full Screen'}
+          </button>
+          <Link
+            to={`/scan/${eventId}`}
+            className="rounded-lg px-3 py-2 text-xs font-bold text-gray-400 hover:bg-gray-800 hover:text-gray-200"
+          >
+            Back to Scanner
+          </Link>
+        </div>
+      </div>
+
+      {error && <p role="alert" className="mx-6 mb-3 rounded-lg bg-red-900/60 px-4 py-2 text-sm font-bold text-red-100">{error}</p>}
+      {message && (
+        <p
+          role={message.type === 'error' ? 'alert' : 'status'}
+          className={`mx-6 mb-3 rounded-lg px-4 py-2 text-sm font-bold ${
+            message.type === 'success' ? 'bg-green-900/60 text-green-100' : 'bg-red-900/60 text-red-100'
+          }`}
+        >
+          {message.text}
+        </p>
+      )}
+
+      <div className="grid gap-4 px-6 pb-8 md:grid-cols-2 xl:grid-cols-3">
+        {board.activities.map(activity => (
+          <section
+            key={activity.activityId}
+            aria-label={activity.activityName}
+            className="rounded-2xl bg-gray-800 p-4"
+          >
+            <div className="mb-3 flex items-baseline justify-between gap-2 border-b border-gray-700 pb-2">
+              <h2 className="truncate text-xl font-black">{activity.activityName}</h2>
+              <span className="shrink-0 text-sm font-bold text-gray-400">
+                {activity.entries.length} · ends {formatTimeInTimeZone(zonedTimeToDate(today, activity.endTime, timeZone), timeZone)}
+              </span>
+            </div>
+            {activity.entries.length === 0 ? (
+              <p className="text-sm text-gray-500">Nobody checked in.</p>
+            ) : (
+              <ul className="space-y-2">
+                {activity.entries.map(entry => {
+                  const pastEnd = isPastEndTime(entry, activity.endTime, timeZone, now);
+                  return (
+                    <li
+                      key={entry.entryId}
+                      className={`flex items-center justify-between gap-3 rounded-xl px-3 py-2 ${
+                        pastEnd ? 'bg-amber-500/20 ring-2 ring-amber-400' : 'bg-gray-900/60'
+                      }`}
+                    >
+                      <div className="min-w-0">
+                        <span className="block truncate text-lg font-bold">{entry.studentName}</span>
+                        <span className={`text-xs font-medium ${pastEnd ? 'text-amber-200' : 'text-gray-400'}`}>
+                          {formatElapsed(getElapsedMinutes(entry.checkInTime, now))} · in at {formatTimeInTimeZone(entry.checkInTime, timeZone)}
+                          {pastEnd && ' · past end time'}
+                        </span>
+                      </div>
+                      {activity.canCheckOut && (
+                        <button
+                          onClick={() => handleCheckOut(activity, entry)}
+                          disabled={checkingOutId !== null}
+                          aria-label={`Check out ${entry.studentName}`}
+                          className="shrink-0 rounded-lg bg-red-600 px-4 py-2 text-sm font-black text-white hover:bg-red-700 disabled:opacity-50"
+                        >
+                          {checkingOutId === entry.entryId ? 'Checking Out…' : 'Check Out'}
+                        </button>
+                      )}
+                    </li>
+                  );
+                })}
+              </ul>
+            )}
+          </section>
+        ))}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,113 @@
+import React, { useState } from 'react';
+import { isOfflineScanExpired } from '../../utils/offlineSync';
+
+/**
+ * Offline Queue Panel
+ * Lists scans saved on this device while offline, with per-item retry and
+ * discard for replays that failed.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOnline - Whether the device is online
+ * @param {boolean} props.isSyncing - Whether a sync pass is running
+ * @param {Array} props.items - Queued scans from useOfflineSync
+ * @param {Array} props.activities - Event activities, for names
+ * @param {Function} props.onSyncAll - Retry every queued scan
+ * @param {Function} props.onRetry - Retry one queued scan
+ * @param {Function} props.onDiscard - Discard one queued scan
+ */
+export default function OfflineQueuePanel({ isOnline, isSyncing, items, activities = [], onSyncAll, onRetry, onDiscard }) {
+  const [busyKey, setBusyKey] = useState(null);
+
+  if (isOnline && items.length === 0) return null;
+
+  const activityNames = new Map(activities.map(activity => [activity.id, activity.name]));
+  const itemKey = (item) => `${item.type}-${item.id}`;
+
+  const runItemAction = async (item, action) => {
+    setBusyKey(itemKey(item));
+    try {
+      await action(item);
+    } finally {
+      setBusyKey(null);
+    }
+  };
+
+  const handleDiscard = (item) => {
+    if (!window.confirm('Discard this scan? It will not be recorded.')) return;
+    runItemAction(item, onDiscard);
+  };
+
+  return (
+    <section aria-label="Offline queue" className="bg-white rounded-lg shadow-md p-4 mb-4">
+      <div className="flex items-center justify-between gap-3">
+        <div>
+          <h2 className="text-sm font-black text-gray-900">Offline Queue ({items.length})</h2>
+          <p className={`text-xs font-medium ${isOnline ? 'text-gray-500' : 'text-amber-700'}`}>
+            {!isOnline
+              ? 'Offline. Scans are saved on this device and sync when the connection returns.'
+              : isSyncing ? 'Syncing…' : 'Scans waiting to sync'}
+          </p>
+        </div>
+        {items.length > 0 && (
+          <button
+            onClick={onSyncAll}
+            disabled={!isOnline || isSyncing}
+            className="rounded-lg bg-primary-50 px-3 py-1.5 text-xs font-bold text-primary-700 hover:bg-primary-100 disabled:opacity-50"
+          >
+            Sync Now
+          </button>
+        )}
+      </div>
+
+      {items.length > 0 && (
+        <ul className="mt-3 divide-y divide-gray-100">
+          {items.map(item => {
+            const expired = isOfflineScanExpired(item.timestamp);
+            const busy = busyKey === itemKey(item);
+            return (
+              <li key={itemKey(item)} className="py-2 flex items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="text-sm font-bold text-gray-800">
+                    <span className={`mr-2 rounded px-1.5 py-0.5 text-[10px] font-black uppercase ${
+                      item.type === 'check-out' ? 'bg-red-100 text-red-800' : 'bg-green-100 text-green-800'
+                    }`}>
+                      {item.type === 'check-out' ? 'Check-Out' : 'Check-In'}
+                    </span>
+                    Student {item.studentId}
+                  </p>
+                  <p className="text-xs text-gray-500">
+                    {activityNames.get(item.activityId) || item.activityId} · scanned {new Date(item.timestamp).toLocaleString()}
+                  </p>
+                  {item.lastError && <p className="text-xs text-red-600">{item.lastError}</p>}
+                  {expired && (
+                    <p className="text-xs text-amber-700">Older than 24 hours. Discard it and add a manual entry instead.</p>
+                  )}
+                </div>
+                <div className="flex shrink-0 gap-2">
+                  {item.lastError && !expired && (
+                    <button
+                      onClick={() => runItemAction(item, onRetry)}
+                      disabled={!isOnline || busy}
+                      aria-label={`Retry ${item.type} for student ${item.studentId}`}
+                      className="rounded bg-gray-100 px-2 py-1 text-xs font-bold text-gray-700 hover:bg-gray-200 disabled:opacity-50"
+                    >
+                      Retry
+                    </button>
+                  )}
+                  <button
+                    onClick={() => handleDiscard(item)}
+                    disabled={busy}
+                    aria-label={`Discard ${item.type} for student ${item.studentId}`}
+                    className="rounded bg-red-50 px-2 py-1 text-xs font-bold text-red-700 hover:bg-red-100 disabled:opacity-50"
+                  >
+                    Discard
+                  </button>
+                </div>
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
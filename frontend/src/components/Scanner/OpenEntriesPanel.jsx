@@ -0,0 +1,169 @@
+import React, { useCallback, useEffect, useState } from 'react';
+import { db, functions } from '../../utils/firebase';
+import { collection, doc, getDoc, getDocs, query, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { formatTimeInTimeZone, toDateTimeInputValue, zonedTimeToDate } from '../../utils/timeZones';
+
+const CLOSED_FORCE_MODAL = { entry: null, checkOutTime: '', reason: '', error: '', loading: false };
+
+/**
+ * Open Entries Panel
+ * Students still checked in to one activity, for station leads (who can
+ * force a check-out here) and school coordinators (read-only).
+ *
+ * @param {Object} props
+ * @param {string} props.organizationId - Event's organization
+ * @param {string} props.eventId - Event ID
+ * @param {string} props.activityId - Activity ID
+ * @param {string} props.timeZone - Event's IANA zone for the times shown and entered
+ * @param {boolean} props.canForceCheckOut - Show Force Check-Out buttons
+ */
+export default function OpenEntriesPanel({ organizationId, eventId, activityId, timeZone, canForceCheckOut }) {
+  const [entries, setEntries] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [forceModal, setForceModal] = useState(CLOSED_FORCE_MODAL);
+
+  const loadEntries = useCallback(async () => {
+    setLoading(true);
+    setError(null);
+    try {
+      const snapshot = await getDocs(query(
+        collection(db, 'timeEntries'),
+        where('organizationId', '==', organizationId),
+        where('eventId', '==', eventId),
+        where('activityId', '==', activityId),
+        where('checkOutTime', '==', null)
+      ));
+      const openEntries = snapshot.docs
+        .map(entryDoc => ({ id: entryDoc.id, ...entryDoc.data() }))
+        .filter(entry => !entry.isVoided);
+
+      const studentIds = [...new Set(openEntries.map(entry => entry.studentId))];
+      const studentDocs = await Promise.all(studentIds.map(id => getDoc(doc(db, 'students', id))));
+      const names = new Map(studentDocs
+        .filter(studentDoc => studentDoc.exists())
+        .map(studentDoc => [studentDoc.id, `${studentDoc.data().firstName} ${studentDoc.data().lastName}`]));
+
+      setEntries(openEntries
+        .map(entry => ({ ...entry, studentName: names.get(entry.studentId) || 'Unknown student' }))
+        .sort((a, b) => a.studentName.localeCompare(b.studentName)));
+    } catch (err) {
+      console.error('Error loading open check-ins:', err);
+      setError('Failed to load students still checked in');
+    } finally {
+      setLoading(false);
+    }
+  }, [organizationId, eventId, activityId]);
+
+  useEffect(() => {
+    loadEntries();
+  }, [loadEntries]);
+
+  const handleForceCheckOut = async () => {
+    const reason = forceModal.reason.trim();
+    if (!reason || !forceModal.checkOutTime) {
+      setForceModal(modal => ({ ...modal, error: 'Check-out time and reason are required' }));
+      return;
+    }
+
+    setForceModal(modal => ({ ...modal, loading: true, error: '' }));
+    try {
+      const forceCheckOut = httpsCallable(functions, 'forceCheckOut');
+      await forceCheckOut({
+        entryId: forceModal.entry.id,
+        checkOutTime: zonedTimeToDate(forceModal.entry.date, forceModal.checkOutTime, timeZone).toISOString(),
+        reason
+      });
+      setForceModal(CLOSED_FORCE_MODAL);
+      await loadEntries();
+    } catch (err) {
+      setForceModal(modal => ({ ...modal, loading: false, error: err.message }));
+    }
+  };
+
+  return (
+    <section aria-label="Still checked in" className="mt-6 border-t border-gray-100 pt-4">
+      <div className="flex items-center justify-between mb-2">
+        <h3 className="text-[10px] font-black text-gray-400 uppercase tracking-widest">
+          Still Checked In ({entries.length})
+        </h3>
+        <button onClick={loadEntries} className="text-xs font-bold text-primary-600 hover:text-primary-700">
+          Refresh
+        </button>
+      </div>
+      {error && <p className="text-sm text-red-600">{error}</p>}
+      {loading ? (
+        <p className="text-sm text-gray-500">Loading…</p>
+      ) : entries.length === 0 ? (
+        <p className="text-sm text-gray-500">Everyone has checked out.</p>
+      ) : (
+        <ul className="divide-y divide-gray-100">
+          {entries.map(entry => (
+            <li key={entry.id} className="flex items-center justify-between gap-3 py-2">
+              <div className="min-w-0">
+                <span className="block truncate text-sm font-bold text-gray-700">{entry.studentName}</span>
+                <span className="text-xs text-gray-500">
+                  {entry.date} · in at {entry.checkInTime?.toDate && formatTimeInTimeZone(entry.checkInTime.toDate(), timeZone)}
+                </span>
+              </div>
+              {canForceCheckOut && (
+                <button
+                  onClick={() => setForceModal({ ...CLOSED_FORCE_MODAL, entry, checkOutTime: toDateTimeInputValue(new Date(), timeZone).slice(11) })}
+                  className="shrink-0 rounded-lg bg-red-50 px-3 py-1.5 text-xs font-bold text-red-700 hover:bg-red-100"
+                >
+                  Force Check-Out
+                </button>
+              )}
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <Modal
+        isOpen={Boolean(forceModal.entry)}
+        onClose={forceModal.loading ? () => {} : () => setForceModal(CLOSED_FORCE_MODAL)}
+        title="Force Check-Out"
+        size="sm"
+        footer={
+          <>
+            <Button variant="secondary" onClick={() => setForceModal(CLOSED_FORCE_MODAL)} disabled={forceModal.loading}>
+              Cancel
+            </Button>
+            <Button onClick={handleForceCheckOut} loading={forceModal.loading}>
+              Force Check-Out
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">{forceModal.entry?.studentName} forgot to check out on {forceModal.entry?.date}.</p>
+          <div>
+            <label htmlFor="force-checkout-time" className="block text-sm font-medium text-gray-700 mb-1">Check-Out Time</label>
+            <input
+              id="force-checkout-time"
+              type="time"
+              value={forceModal.checkOutTime}
+              onChange={(e) => setForceModal(modal => ({ ...modal, checkOutTime: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          <div>
+            <label htmlFor="force-checkout-reason" className="block text-sm font-medium text-gray-700 mb-1">Reason</label>
+            <input
+              id="force-checkout-reason"
+              type="text"
+              placeholder="Left with parent, forgot to scan"
+              value={forceModal.reason}
+              onChange={(e) => setForceModal(modal => ({ ...modal, reason: e.target.value }))}
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          {forceModal.error && <p className="text-sm text-red-600">{forceModal.error}</p>}
+        </div>
+      </Modal>
+    </section>
+  );
+}
@@ -3,11 +3,15 @@ import { act, render, screen, waitFor } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { MemoryRouter, Route, Routes } from 'react-router-dom';
 import Scanner from './index';
+import { getKioskDevice, clearKioskDevice } from '../../utils/kioskDevice';
+import { getDocs } from 'firebase/firestore';
 
 // Mock useQRScanner hook
 const mockStartScanning = vi.fn().mockResolvedValue(undefined);
 const mockStopScanning = vi.fn().mockResolvedValue(undefined);
 const mockScanCallable = vi.hoisted(() => vi.fn());
+const ADMIN_PROFILE = { name: 'Test User', email: 'test@test.com', role: 'admin' };
+const mockAuthProfile = vi.hoisted(() => ({ current: null }));
 const mockEvents = vi.hoisted(() => ([
   {
     id: 'event1',
@@ -65,6 +69,8 @@ vi.mock('firebase/firestore', () => {
   return {
     collection: vi.fn(),
     doc: vi.fn(),
+    query: vi.fn((ref) => ref),
+    where: vi.fn(),
     getDoc: vi.fn(() => Promise.resolve({
       exists: () => true,
       data: () => mockEvents[0],
@@ -93,11 +99,16 @@ vi.mock('../../utils/qrCodeGenerator', () => ({
 }));
 
 // Mock useOfflineSync
+const mockQueueScan = vi.hoisted(() => vi.fn());
 vi.mock('../../hooks/useOfflineSync', () => ({
   useOfflineSync: vi.fn(() => ({
+    isOnline: true,
+    isSyncing: false,
     pendingItems: [],
-    addToQueue: vi.fn(),
-    processQueue: vi.fn(),
+    queueScan: mockQueueScan,
+    syncPending: vi.fn(),
+    retryItem: vi.fn(),
+    discardItem: vi.fn(),
   })),
 }));
 
@@ -105,12 +116,16 @@ vi.mock('../../hooks/useOfflineSync', () => ({
 vi.mock('../../contexts/AuthContext', () => ({
   useAuth: () => ({
     user: { uid: 'admin123', email: 'test@test.com', displayName: 'Auth Test User' },
-    userProfile: { name: 'Test User', email: 'test@test.com', role: 'admin' },
+    userProfile: mockAuthProfile.current,
     signOut: vi.fn(),
-    canAccessAdmin: () => true,
+    canAccessAdmin: () => mockAuthProfile.current.role === 'admin',
   }),
 }));
 
+vi.mock('../../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({ organizationId: 'org1' }),
+}));
+
 const renderScanner = (route = '/scan/event1/general/checkin') => {
   return render(
     <MemoryRouter initialEntries={[route]}>
@@ -119,6 +134,7 @@ const renderScanner = (route = '/scan/event1/general/checkin') => {
         <Route path="/scan/:eventId" element={<Scanner />} />
         <Route path="/scan/:eventId/:activityId" element={<Scanner />} />
         <Route path="/scan/:eventId/:activityId/:action" element={<Scanner />} />
+        <Route path="/checkout/:eventId" element={<div>Kiosk Page</div>} />
       </Routes>
     </MemoryRouter>
   );
@@ -140,6 +156,7 @@ describe('Scanner', () => {
       ],
     };
     mockUseQRScannerOptions = null;
+    mockAuthProfile.current = ADMIN_PROFILE;
     mockScanCallable.mockResolvedValue({
       data: { success: true, studentName: 'Test Student' },
     });
@@ -370,6 +387,7 @@ describe('Scanner', () => {
 
       expect(mockScanCallable).toHaveBeenCalledWith(
         expect.objectContaining({
+          qrData: 'valid-qr',
           studentId: 'student1',
           eventId: 'event1',
           activityId: 'general',
@@ -391,6 +409,7 @@ describe('Scanner', () => {
 
       expect(mockScanCallable).toHaveBeenCalledWith(
         expect.objectContaining({
+          qrData: 'valid-qr',
           studentId: 'student1',
           eventId: 'event1',
           activityId: 'general',
@@ -401,4 +420,235 @@ describe('Scanner', () => {
       );
     });
   });
+
+  describe('kiosk launch', () => {
+    afterEach(() => {
+      clearKioskDevice();
+    });
+
+    it('should register the device and open the kiosk after an admin sets a PIN', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      mockScanCallable.mockResolvedValueOnce({ data: { success: true, deviceId: 'device1', token: 'device-token' } });
+      renderScanner('/scan/event1/general');
+
+      await user.click(await screen.findByText('Launch Self-Checkout Kiosk'));
+      await user.type(screen.getByLabelText('Exit PIN (4-8 digits)'), '2468');
+      await user.type(screen.getByLabelText('Confirm PIN'), '2468');
+      await user.click(screen.getByRole('button', { name: 'Launch Kiosk' }));
+
+      expect(await screen.findByText('Kiosk Page')).toBeInTheDocument();
+      expect(mockScanCallable).toHaveBeenCalledWith(expect.objectContaining({
+        eventId: 'event1',
+        activityId: 'general',
+        pin: '2468',
+      }));
+      expect(getKioskDevice()).toEqual({
+        token: 'device-token',
+        deviceId: 'device1',
+        eventId: 'event1',
+        activityId: 'general',
+      });
+    });
+
+    it('should require matching PINs', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      renderScanner('/scan/event1/general');
+
+      await user.click(await screen.findByText('Launch Self-Checkout Kiosk'));
+      await user.type(screen.getByLabelText('Exit PIN (4-8 digits)'), '2468');
+      await user.type(screen.getByLabelText('Confirm PIN'), '1357');
+      await user.click(screen.getByRole('button', { name: 'Launch Kiosk' }));
+
+      expect(screen.getByText('PINs do not match')).toBeInTheDocument();
+      expect(mockScanCallable).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('duplicate check-in override', () => {
+    it('should let an admin start a new segment with a reason', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      mockScanCallable
+        .mockResolvedValueOnce({ data: { success: false, duplicate: true, error: 'Test Already checked in at 9:00:00 AM' } })
+        .mockResolvedValueOnce({ data: { success: true, studentName: 'Test Student' } });
+      renderScanner('/scan/event1/general/checkin');
+
+      await waitFor(() => {
+        expect(mockUseQRScannerOptions).not.toBeNull();
+      });
+
+      await act(async () => {
+        await mockUseQRScannerOptions.onSuccess('valid-qr');
+      });
+
+      expect(screen.getByRole('alert', { name: 'Scan result' })).toHaveTextContent('Already checked in');
+      await user.click(screen.getByRole('button', { name: 'Override' }));
+
+      await user.clear(screen.getByLabelText('Earlier segment ended at'));
+      await user.type(screen.getByLabelText('Earlier segment ended at'), '11:30');
+      await user.type(screen.getByLabelText(/Reason/), 'Left for lunch');
+      await user.click(screen.getByRole('button', { name: 'Apply Override' }));
+
+      await waitFor(() => {
+        expect(screen.getByRole('status', { name: 'Scan result' })).toHaveTextContent('✓ Test Student Checked In (new segment)');
+      });
+      expect(mockScanCallable).toHaveBeenLastCalledWith(expect.objectContaining({
+        qrData: 'valid-qr',
+        override: {
+          mode: 'new_segment',
+          reason: 'Left for lunch',
+          // 11:30 AM on the event's clock (America/New_York by default)
+          previousCheckOutTime: '2026-01-31T16:30:00.000Z',
+        },
+      }));
+    });
+
+    it('should require a reason before overriding', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      mockScanCallable.mockResolvedValueOnce({ data: { success: false, duplicate: true, error: 'Already checked in' } });
+      renderScanner('/scan/event1/general/checkin');
+
+      await waitFor(() => {
+        expect(mockUseQRScannerOptions).not.toBeNull();
+      });
+
+      await act(async () => {
+        await mockUseQRScannerOptions.onSuccess('valid-qr');
+      });
+      await user.click(screen.getByRole('button', { name: 'Override' }));
+      await user.click(screen.getByLabelText(/Close the earlier entry/));
+      await user.click(screen.getByRole('button', { name: 'Apply Override' }));
+
+      expect(screen.getByText('A reason is required')).toBeInTheDocument();
+      expect(mockScanCallable).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('offline scans', () => {
+    it('should queue the scan with its activity and scanner when offline', async () => {
+      const onLine = vi.spyOn(navigator, 'onLine', 'get').mockReturnValue(false);
+      renderScanner('/scan/event1/general/checkout');
+
+      await waitFor(() => {
+        expect(mockUseQRScannerOptions).not.toBeNull();
+      });
+
+      try {
+        await act(async () => {
+          await mockUseQRScannerOptions.onSuccess('valid-qr');
+        });
+      } finally {
+        onLine.mockRestore();
+      }
+
+      expect(mockScanCallable).not.toHaveBeenCalled();
+      expect(mockQueueScan).toHaveBeenCalledWith('check-out', {
+        qrData: 'valid-qr',
+        studentId: 'student1',
+        eventId: 'event1',
+        activityId: 'general',
+        scannedBy: 'admin123',
+        scannedByName: 'Test User',
+        method: 'av_scan',
+      });
+      expect(screen.getByRole('status', { name: 'Scan result' })).toHaveTextContent('Saved offline');
+    });
+
+    it('should queue the scan when the request cannot reach the server', async () => {
+      mockScanCallable.mockRejectedValueOnce(Object.assign(new Error('internal'), { code: 'functions/internal' }));
+      renderScanner('/scan/event1/general/checkin');
+
+      await waitFor(() => {
+        expect(mockUseQRScannerOptions).not.toBeNull();
+      });
+
+      await act(async () => {
+        await mockUseQRScannerOptions.onSuccess('valid-qr');
+      });
+
+      expect(mockQueueScan).toHaveBeenCalledWith('check-in', expect.objectContaining({ activityId: 'general' }));
+    });
+  });
+
+  describe('event assignments', () => {
+    const volunteer = (eventAssignments) => ({
+      name: 'Vol User',
+      email: 'vol@test.com',
+      role: 'adult_volunteer',
+      eventAssignments,
+    });
+
+    it('should only list the activities a volunteer is assigned to', async () => {
+      mockAuthProfile.current = volunteer({ event1: { role: 'scanner', activityIds: ['crafts'] } });
+      renderScanner('/scan/event1');
+
+      await waitFor(() => {
+        expect(screen.getByText('Crafts Station')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('General')).not.toBeInTheDocument();
+    });
+
+    it('should hide events the volunteer is not assigned to', async () => {
+      mockAuthProfile.current = volunteer({ otherEvent: { role: 'scanner', activityIds: [] } });
+      renderScanner('/scan');
+
+      await waitFor(() => {
+        expect(screen.getByText('Select Event')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('VBS 2026')).not.toBeInTheDocument();
+    });
+
+    it('should not start scanning an unassigned activity', async () => {
+      mockAuthProfile.current = volunteer({ event1: { role: 'scanner', activityIds: ['crafts'] } });
+      renderScanner('/scan/event1/general/checkin');
+
+      await waitFor(() => {
+        expect(screen.getByText('Select Activity Type')).toBeInTheDocument();
+      });
+      await vi.advanceTimersByTimeAsync(600);
+      expect(mockStartScanning).not.toHaveBeenCalled();
+    });
+
+    it('should give school coordinators a read-only list of open check-ins', async () => {
+      mockAuthProfile.current = volunteer({ event1: { role: 'school_coordinator', activityIds: [] } });
+      vi.mocked(getDocs)
+        .mockResolvedValueOnce({ docs: mockEvents.map(e => ({ id: e.id, data: () => e })) })
+        .mockResolvedValueOnce({
+          docs: [{ id: 'entry1', data: () => ({ studentId: 'event1', date: '2026-01-31', checkInTime: null }) }],
+        });
+      renderScanner('/scan/event1/general/checkin');
+
+      await waitFor(() => {
+        expect(screen.getByText('Read-Only Access')).toBeInTheDocument();
+        expect(screen.getByText('Still Checked In (1)')).toBeInTheDocument();
+      });
+      expect(screen.queryByText('Check In')).not.toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Force Check-Out' })).not.toBeInTheDocument();
+    });
+
+    it('should let station leads force a check-out in their activity', async () => {
+      const user = userEvent.setup({ advanceTimers: vi.advanceTimersByTime });
+      mockAuthProfile.current = volunteer({ event1: { role: 'station_lead', activityIds: ['general'] } });
+      vi.mocked(getDocs)
+        .mockResolvedValueOnce({ docs: mockEvents.map(e => ({ id: e.id, data: () => e })) })
+        .mockResolvedValueOnce({
+          docs: [{ id: 'entry1', data: () => ({ studentId: 'event1', date: '2026-01-31', checkInTime: null }) }],
+        });
+      renderScanner('/scan/event1/general');
+
+      const forceButton = await screen.findByRole('button', { name: 'Force Check-Out' });
+      expect(screen.getByText('Check In')).toBeInTheDocument();
+
+      await user.click(forceButton);
+      await user.type(screen.getByLabelText('Reason'), 'Left with parent');
+      await user.click(screen.getAllByRole('button', { name: 'Force Check-Out' }).at(-1));
+
+      await waitFor(() => {
+        expect(mockScanCallable).toHaveBeenCalledWith({
+          entryId: 'entry1',
+          checkOutTime: new Date('2026-01-31T12:00').toISOString(),
+          reason: 'Left with parent',
+        });
+      });
+    });
+  });
 });
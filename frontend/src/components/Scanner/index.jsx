@@ -1,7 +1,7 @@
 import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { createPortal } from 'react-dom';
 import { db, functions } from '../../utils/firebase';
-import { doc, getDoc, collection, getDocs } from 'firebase/firestore';
+import { doc, getDoc, collection, getDocs, query, where } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { useOfflineSync } from '../../hooks/useOfflineSync';
 import useQRScanner from '../../hooks/useQRScanner';
@@ -10,6 +10,40 @@ import Spinner from '../common/Spinner';
 import { useParams, Link, useNavigate } from 'react-router-dom';
 import { parseQRData } from '../../utils/qrCodeGenerator';
 import { useAuth } from '../../contexts/AuthContext';
+import { useOrganization } from '../../contexts/OrganizationContext';
+import { saveKioskDevice } from '../../utils/kioskDevice';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import OfflineQueuePanel from './OfflineQueuePanel';
+import OpenEntriesPanel from './OpenEntriesPanel';
+import {
+  EVENT_ROLES,
+  canForceCheckOut,
+  canScanActivity,
+  canViewEvent,
+  getEventAssignment
+} from '../../utils/eventAssignments';
+import { getEventTimeZone, getTodayInTimeZone, toDateTimeInputValue, zonedTimeToDate } from '../../utils/timeZones';
+
+// Callable failures that mean the request never reached the server. The SDK
+// reports a dropped connection as a bare `internal` error.
+function isNetworkError(err) {
+  return !navigator.onLine ||
+    err?.code === 'functions/unavailable' ||
+    err?.code === 'functions/deadline-exceeded' ||
+    (err?.code === 'functions/internal' && err?.message === 'internal');
+}
+
+const CLOSED_OVERRIDE_MODAL = {
+  isOpen: false,
+  scan: null,
+  summary: '',
+  mode: 'new_segment',
+  previousCheckOutTime: '',
+  reason: '',
+  error: '',
+  loading: false
+};
 
 function ScanResultToast({ message }) {
   if (!message) return null;
@@ -30,6 +64,17 @@ function ScanResultToast({ message }) {
         }`}
       >
         <p className="text-center text-base font-black leading-snug sm:text-lg">{message.text}</p>
+        {message.action && (
+          <div className="mt-2 flex justify-center">
+            <button
+              type="button"
+              onClick={message.action.onClick}
+              className="pointer-events-auto rounded-lg bg-red-600 px-4 py-1.5 text-sm font-bold text-white hover:bg-red-700"
+            >
+              {message.action.label}
+            </button>
+          </div>
+        )}
       </div>
     </div>,
     document.body
@@ -39,26 +84,34 @@ function ScanResultToast({ message }) {
 export default function Scanner() {
   const { eventId: urlEventId, activityId: urlActivityId, action: urlAction } = useParams();
   const navigate = useNavigate();
-  const { user, userProfile } = useAuth();
+  const { user, userProfile, canAccessAdmin, signOut } = useAuth();
+  const { organizationId } = useOrganization();
 
   const [localEvent, setLocalEvent] = useState(null);
   const [allEvents, setAllEvents] = useState([]);
   const [loading, setLoading] = useState(true);
   const [message, setMessage] = useState(null);
+  const [kioskModal, setKioskModal] = useState({ isOpen: false, pin: '', confirmPin: '', label: '', error: '', loading: false });
+  const [overrideModal, setOverrideModal] = useState(CLOSED_OVERRIDE_MODAL);
   const isStarting = useRef(false);
   const isProcessing = useRef(false);
   const messageTimeoutRef = useRef(null);
   const pauseAfterValidScan = 2000;
   const scannerId = user?.uid || userProfile?.id || 'av_scan';
   const scannerName = userProfile?.name || user?.displayName || user?.email || '';
-
-  const getTodayDateString = useCallback(() => {
-    const today = new Date();
-    const year = today.getFullYear();
-    const month = String(today.getMonth() + 1).padStart(2, '0');
-    const day = String(today.getDate()).padStart(2, '0');
-    return `${year}-${month}-${day}`;
-  }, []);
+  const {
+    isOnline,
+    isSyncing,
+    pendingItems,
+    queueScan,
+    syncPending,
+    retryItem,
+    discardItem
+  } = useOfflineSync();
+
+  // Activity dates and override times are on the event's calendar, not the device's
+  const timeZone = getEventTimeZone(localEvent);
+  const getTodayDateString = useCallback(() => getTodayInTimeZone(timeZone), [timeZone]);
 
   const isActivityActiveToday = useCallback((activity) => {
     const today = getTodayDateString();
@@ -67,19 +120,35 @@ export default function Scanner() {
     return true;
   }, [getTodayDateString]);
 
+  // Volunteers with event assignments only see the activities they work;
+  // school coordinators see every activity but cannot scan
+  const eventAssignment = getEventAssignment(userProfile, urlEventId);
+  const isCoordinator = eventAssignment?.role === EVENT_ROLES.SCHOOL_COORDINATOR;
+  const assignedActivities = useMemo(
+    () => localEvent?.activities?.filter(activity =>
+      isCoordinator || canScanActivity(userProfile, urlEventId, activity.id)
+    ) || [],
+    [isCoordinator, localEvent?.activities, urlEventId, userProfile]
+  );
   const activeActivities = useMemo(
-    () => localEvent?.activities?.filter(isActivityActiveToday) || [],
-    [isActivityActiveToday, localEvent?.activities]
+    () => assignedActivities.filter(isActivityActiveToday),
+    [isActivityActiveToday, assignedActivities]
   );
   const backupActivities = useMemo(
-    () => localEvent?.activities?.filter(activity => !isActivityActiveToday(activity)) || [],
-    [isActivityActiveToday, localEvent?.activities]
+    () => assignedActivities.filter(activity => !isActivityActiveToday(activity)),
+    [isActivityActiveToday, assignedActivities]
   );
 
   useEffect(() => {
     async function fetchData() {
+      if (!organizationId) {
+        setAllEvents([]);
+        setLocalEvent(null);
+        setLoading(false);
+        return;
+      }
       try {
-        const eventsSnap = await getDocs(collection(db, 'events'));
+        const eventsSnap = await getDocs(query(collection(db, 'events'), where('organizationId', '==', organizationId)));
         const eventsList = eventsSnap.docs.map(doc => ({ id: doc.id, ...doc.data() }));
         setAllEvents(eventsList);
 
@@ -96,7 +165,7 @@ export default function Scanner() {
       }
     }
     fetchData();
-  }, [urlEventId]);
+  }, [organizationId, urlEventId]);
 
   // Auto-select single activity if not provided
   useEffect(() => {
@@ -138,17 +207,27 @@ export default function Scanner() {
         return showMessage('error', 'Wrong Event Badge');
       }
 
+      const scan = {
+        qrData: qrString,
+        studentId,
+        eventId: urlEventId,
+        activityId: urlActivityId,
+        scannedBy: scannerId,
+        scannedByName: scannerName,
+        method: 'av_scan'
+      };
+      const queueType = urlAction === 'checkout' ? 'check-out' : 'check-in';
+
+      if (!navigator.onLine) {
+        await queueScan(queueType, scan);
+        activateScanner();
+        return showMessage('success', '📥 Saved offline. Will sync when back online');
+      }
+
       try {
         const functionName = urlAction === 'checkout' ? 'checkOut' : 'checkIn';
         const actionFn = httpsCallable(functions, functionName);
-        const result = await actionFn({
-          studentId,
-          eventId: urlEventId,
-          activityId: urlActivityId,
-          scannedBy: scannerId,
-          scannedByName: scannerName,
-          method: 'av_scan'
-        });
+        const result = await actionFn(scan);
 
         if (result.data.success) {
           const actionText = urlAction === 'checkout' ? 'Checked Out' : 'Checked In';
@@ -157,6 +236,13 @@ export default function Scanner() {
 
           console.log("scan is complete a new scan can start");
           showMessage('success', `✓ ${result.data.studentName} ${actionText}`);
+        } else if (result.data.duplicate && urlAction !== 'checkout' && canAccessAdmin()) {
+          // Admins can resolve a duplicate (e.g. a second shift) instead of re-scanning
+          activateScanner();
+          showMessage('error', result.data.error, {
+            label: 'Override',
+            onClick: () => openOverrideModal(scan, result.data.error)
+          });
         } else {
           console.log("server side call failed");
           activateScanner();
@@ -165,7 +251,12 @@ export default function Scanner() {
       } catch (err) {
         activateScanner();
         console.log("http call failed");
-        showMessage('error', err.message);
+        if (isNetworkError(err)) {
+          await queueScan(queueType, scan);
+          showMessage('success', '📥 Saved offline. Will sync when back online');
+        } else {
+          showMessage('error', err.message);
+        }
       }
     }
   });
@@ -177,10 +268,13 @@ export default function Scanner() {
   startScanningRef.current = startScanningFn;
   stopScanningRef.current = stopScanningFn;
 
-  const hasValidEvent = !!localEvent;
-  const currentActivity = localEvent?.activities?.find(a => a.id === urlActivityId);
+  const visibleEvents = allEvents.filter(event => canViewEvent(userProfile, event.id));
+  const hasValidEvent = !!localEvent && canViewEvent(userProfile, localEvent.id);
+  const currentActivity = assignedActivities.find(a => a.id === urlActivityId);
   const hasValidActivity = !!currentActivity;
-  const hasValidAction = urlAction === 'checkin' || urlAction === 'checkout';
+  const canScan = hasValidActivity && canScanActivity(userProfile, urlEventId, urlActivityId);
+  const hasValidAction = canScan && (urlAction === 'checkin' || urlAction === 'checkout');
+  const showOpenEntries = isCoordinator || eventAssignment?.role === EVENT_ROLES.STATION_LEAD;
 
   const renderActivityLink = (act, variant = 'active') => {
     const inactive = variant === 'backup';
@@ -234,16 +328,16 @@ export default function Scanner() {
     };
   }, []);
 
-  function showMessage(type, text) {
+  function showMessage(type, text, action = null) {
     if (messageTimeoutRef.current) {
       clearTimeout(messageTimeoutRef.current);
     }
 
-    setMessage({ type, text });
+    setMessage({ type, text, action });
     messageTimeoutRef.current = setTimeout(() => {
       setMessage(null);
       messageTimeoutRef.current = null;
-    }, 4000);
+    }, action ? 8000 : 4000);
   }
 
   function activateScanner(){
@@ -257,6 +351,92 @@ export default function Scanner() {
     isProcessing.current = true;
   }
 
+  // Scanning pauses while an admin resolves a duplicate check-in
+  function openOverrideModal(scan, summary) {
+    if (messageTimeoutRef.current) {
+      clearTimeout(messageTimeoutRef.current);
+      messageTimeoutRef.current = null;
+    }
+    setMessage(null);
+    deactivateScanner();
+
+    setOverrideModal({
+      ...CLOSED_OVERRIDE_MODAL,
+      isOpen: true,
+      scan,
+      summary,
+      previousCheckOutTime: toDateTimeInputValue(new Date(), timeZone).slice(11)
+    });
+  }
+
+  const closeOverrideModal = () => {
+    setOverrideModal(CLOSED_OVERRIDE_MODAL);
+    activateScanner();
+  };
+
+  const handleOverride = async () => {
+    const reason = overrideModal.reason.trim();
+    if (!reason) {
+      setOverrideModal(modal => ({ ...modal, error: 'A reason is required' }));
+      return;
+    }
+
+    setOverrideModal(modal => ({ ...modal, loading: true, error: '' }));
+    try {
+      const checkIn = httpsCallable(functions, 'checkIn');
+      const override = { mode: overrideModal.mode, reason };
+      if (overrideModal.mode === 'new_segment' && overrideModal.previousCheckOutTime) {
+        override.previousCheckOutTime = zonedTimeToDate(getTodayDateString(), overrideModal.previousCheckOutTime, timeZone).toISOString();
+      }
+      const result = await checkIn({ ...overrideModal.scan, override });
+
+      closeOverrideModal();
+      showMessage('success', overrideModal.mode === 'close_previous'
+        ? `✓ ${result.data.studentName} Checked Out (override)`
+        : `✓ ${result.data.studentName} Checked In (new segment)`);
+    } catch (err) {
+      setOverrideModal(modal => ({ ...modal, loading: false, error: err.message }));
+    }
+  };
+
+  const closeKioskModal = () => {
+    setKioskModal({ isOpen: false, pin: '', confirmPin: '', label: '', error: '', loading: false });
+  };
+
+  // Registers this device as an exit-door kiosk, then signs the admin out so
+  // the unattended device has no admin session.
+  const handleLaunchKiosk = async () => {
+    if (!/^\d{4,8}$/.test(kioskModal.pin)) {
+      setKioskModal(modal => ({ ...modal, error: 'PIN must be 4-8 digits' }));
+      return;
+    }
+    if (kioskModal.pin !== kioskModal.confirmPin) {
+      setKioskModal(modal => ({ ...modal, error: 'PINs do not match' }));
+      return;
+    }
+
+    setKioskModal(modal => ({ ...modal, loading: true, error: '' }));
+    try {
+      const createKioskDevice = httpsCallable(functions, 'createKioskDevice');
+      const result = await createKioskDevice({
+        eventId: urlEventId,
+        activityId: urlActivityId,
+        pin: kioskModal.pin,
+        label: kioskModal.label
+      });
+      saveKioskDevice({
+        token: result.data.token,
+        deviceId: result.data.deviceId,
+        eventId: urlEventId,
+        activityId: urlActivityId
+      });
+      await signOut();
+      navigate(`/checkout/${urlEventId}`, { replace: true });
+    } catch (err) {
+      setKioskModal(modal => ({ ...modal, loading: false, error: err.message }));
+    }
+  };
+
   if (loading) return <div className="p-20 text-center"><Spinner /></div>;
 
   // Step 1: Select Event
@@ -273,7 +453,7 @@ export default function Scanner() {
             </div>
             <h2 className="text-2xl font-bold text-center text-gray-900 mb-6">Select Event</h2>
             <div className="space-y-3">
-              {allEvents.map(event => (
+              {visibleEvents.map(event => (
                 <Link
                   key={event.id}
                   to={`/scan/${event.id}`}
@@ -326,6 +506,15 @@ export default function Scanner() {
               </div>
             )}
           </div>
+          <Link
+            to={`/board/${urlEventId}`}
+            className="mt-5 block p-4 bg-white hover:bg-gray-50 border border-gray-200 hover:border-gray-300 rounded-xl transition-all"
+          >
+            <div className="flex justify-between items-center">
+              <span className="font-bold text-gray-700">On Site Now Board</span>
+              <span className="text-gray-400">→</span>
+            </div>
+          </Link>
           <button
             onClick={() => navigate('/scan')}
             className="mt-6 w-full text-center text-xs text-gray-400 hover:text-gray-600 font-medium"
@@ -352,26 +541,43 @@ export default function Scanner() {
           </div>
           <h2 className="text-xl font-bold text-center text-gray-900 mb-1">{localEvent.name}</h2>
           <p className="text-gray-500 text-center mb-2 text-sm font-medium">{currentActivity.name}</p>
-          <p className="text-gray-500 text-center mb-6 text-sm font-medium uppercase tracking-wider">Select Action</p>
+          <p className="text-gray-500 text-center mb-6 text-sm font-medium uppercase tracking-wider">
+            {canScan ? 'Select Action' : 'Read-Only Access'}
+          </p>
           <div className="space-y-3">
-            <Link
-              to={`/scan/${urlEventId}/${urlActivityId}/checkin`}
-              className="block p-4 bg-green-50 hover:bg-green-100 border border-green-200 hover:border-green-400 rounded-xl transition-all"
-            >
-              <div className="flex justify-between items-center">
-                <span className="font-bold text-green-700">Check In</span>
-                <span className="text-green-400">→</span>
-              </div>
-            </Link>
-            <Link
-              to={`/scan/${urlEventId}/${urlActivityId}/checkout`}
-              className="block p-4 bg-red-50 hover:bg-red-100 border border-red-200 hover:border-red-400 rounded-xl transition-all"
-            >
-              <div className="flex justify-between items-center">
-                <span className="font-bold text-red-700">Check Out</span>
-                <span className="text-red-400">→</span>
-              </div>
-            </Link>
+            {canScan && (
+              <>
+                <Link
+                  to={`/scan/${urlEventId}/${urlActivityId}/checkin`}
+                  className="block p-4 bg-green-50 hover:bg-green-100 border border-green-200 hover:border-green-400 rounded-xl transition-all"
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="font-bold text-green-700">Check In</span>
+                    <span className="text-green-400">→</span>
+                  </div>
+                </Link>
+                <Link
+                  to={`/scan/${urlEventId}/${urlActivityId}/checkout`}
+                  className="block p-4 bg-red-50 hover:bg-red-100 border border-red-200 hover:border-red-400 rounded-xl transition-all"
+                >
+                  <div className="flex justify-between items-center">
+                    <span className="font-bold text-red-700">Check Out</span>
+                    <span className="text-red-400">→</span>
+                  </div>
+                </Link>
+              </>
+            )}
+            {canAccessAdmin() && (
+              <button
+                onClick={() => setKioskModal(modal => ({ ...modal, isOpen: true }))}
+                className="block w-full p-4 bg-gray-50 hover:bg-gray-100 border border-gray-200 hover:border-gray-400 rounded-xl transition-all text-left"
+              >
+                <div className="flex justify-between items-center">
+                  <span className="font-bold text-gray-700">Launch Self-Checkout Kiosk</span>
+                  <span className="text-gray-400">→</span>
+                </div>
+              </button>
+            )}
           </div>
           <button
             onClick={() => navigate(`/scan/${urlEventId}`)}
@@ -379,8 +585,77 @@ export default function Scanner() {
           >
             ← Back to Activity Selection
           </button>
+          {showOpenEntries && (
+            <OpenEntriesPanel
+              organizationId={localEvent.organizationId}
+              eventId={urlEventId}
+              activityId={urlActivityId}
+              timeZone={timeZone}
+              canForceCheckOut={canForceCheckOut(userProfile, urlEventId, urlActivityId)}
+            />
+          )}
           </div>
         </div>
+
+        <Modal
+          isOpen={kioskModal.isOpen}
+          onClose={closeKioskModal}
+          title="Launch Self-Checkout Kiosk"
+          size="sm"
+          footer={
+            <>
+              <Button variant="secondary" onClick={closeKioskModal} disabled={kioskModal.loading}>
+                Cancel
+              </Button>
+              <Button onClick={handleLaunchKiosk} loading={kioskModal.loading}>
+                Launch Kiosk
+              </Button>
+            </>
+          }
+        >
+          <div className="space-y-4">
+            <p className="text-sm text-gray-600">
+              This device will only show the {currentActivity.name} checkout station and you will be signed out.
+              Exiting kiosk mode requires the PIN you set here.
+            </p>
+            <div>
+              <label htmlFor="kiosk-label" className="block text-sm font-medium text-gray-700 mb-1">Device Name</label>
+              <input
+                id="kiosk-label"
+                type="text"
+                placeholder="Exit door iPad"
+                value={kioskModal.label}
+                onChange={(e) => setKioskModal(modal => ({ ...modal, label: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="kiosk-pin" className="block text-sm font-medium text-gray-700 mb-1">Exit PIN (4-8 digits)</label>
+              <input
+                id="kiosk-pin"
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                value={kioskModal.pin}
+                onChange={(e) => setKioskModal(modal => ({ ...modal, pin: e.target.value.replace(/\D/g, '') }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+            <div>
+              <label htmlFor="kiosk-confirm-pin" className="block text-sm font-medium text-gray-700 mb-1">Confirm PIN</label>
+              <input
+                id="kiosk-confirm-pin"
+                type="password"
+                inputMode="numeric"
+                autoComplete="off"
+                value={kioskModal.confirmPin}
+                onChange={(e) => setKioskModal(modal => ({ ...modal, confirmPin: e.target.value.replace(/\D/g, '') }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+            {kioskModal.error && <p className="text-sm text-red-600">{kioskModal.error}</p>}
+          </div>
+        </Modal>
       </div>
     );
   }
@@ -420,7 +695,95 @@ export default function Scanner() {
         <div className="bg-black rounded-2xl overflow-hidden min-h-[300px] mb-4 shadow-inner">
           <div id="qr-reader" className="w-full"></div>
         </div>
+
+        <OfflineQueuePanel
+          isOnline={isOnline}
+          isSyncing={isSyncing}
+          items={pendingItems}
+          activities={localEvent?.activities}
+          onSyncAll={() => syncPending({ includeFailed: true })}
+          onRetry={retryItem}
+          onDiscard={discardItem}
+        />
       </div>
+
+      <Modal
+        isOpen={overrideModal.isOpen}
+        onClose={overrideModal.loading ? () => {} : closeOverrideModal}
+        title="Override Duplicate Check-In"
+        size="sm"
+        footer={
+          <>
+            <Button variant="secondary" onClick={closeOverrideModal} disabled={overrideModal.loading}>
+              Cancel
+            </Button>
+            <Button onClick={handleOverride} loading={overrideModal.loading}>
+              Apply Override
+            </Button>
+          </>
+        }
+      >
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">{overrideModal.summary}</p>
+          <fieldset className="space-y-2">
+            <legend className="sr-only">Override type</legend>
+            <label className="flex items-start gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="override-mode"
+                value="new_segment"
+                checked={overrideModal.mode === 'new_segment'}
+                onChange={() => setOverrideModal(modal => ({ ...modal, mode: 'new_segment' }))}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-bold block">Start a new segment</span>
+                The student left and came back. The earlier entry ends at the time below and a new check-in starts now.
+              </span>
+            </label>
+            <label className="flex items-start gap-2 text-sm text-gray-700">
+              <input
+                type="radio"
+                name="override-mode"
+                value="close_previous"
+                checked={overrideModal.mode === 'close_previous'}
+                onChange={() => setOverrideModal(modal => ({ ...modal, mode: 'close_previous' }))}
+                className="mt-1"
+              />
+              <span>
+                <span className="font-bold block">Close the earlier entry</span>
+                The student is leaving. The earlier entry is checked out now and no new check-in is created.
+              </span>
+            </label>
+          </fieldset>
+          {overrideModal.mode === 'new_segment' && (
+            <div>
+              <label htmlFor="override-previous-end" className="block text-sm font-medium text-gray-700 mb-1">Earlier segment ended at</label>
+              <input
+                id="override-previous-end"
+                type="time"
+                value={overrideModal.previousCheckOutTime}
+                onChange={(e) => setOverrideModal(modal => ({ ...modal, previousCheckOutTime: e.target.value }))}
+                className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+              />
+            </div>
+          )}
+          <div>
+            <label htmlFor="override-reason" className="block text-sm font-medium text-gray-700 mb-1">
+              Reason <span className="text-red-500">*</span>
+            </label>
+            <textarea
+              id="override-reason"
+              rows={2}
+              value={overrideModal.reason}
+              onChange={(e) => setOverrideModal(modal => ({ ...modal, reason: e.target.value }))}
+              placeholder="e.g., Left for lunch and came back for the afternoon shift"
+              className="w-full px-3 py-2 border border-gray-300 rounded-lg focus:outline-none focus:ring-2 focus:ring-primary-500"
+            />
+          </div>
+          {overrideModal.error && <p className="text-sm text-red-600">{overrideModal.error}</p>}
+        </div>
+      </Modal>
     </div>
   );
 }
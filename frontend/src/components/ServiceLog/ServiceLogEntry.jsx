@@ -85,6 +85,9 @@ export default function ServiceLogEntry({
                 {entry.flags && entry.flags.includes('late_stay') && (
                   <span title="Late stay" className="text-lg">🌙</span>
                 )}
+                {entry.flags && entry.flags.includes('overnight') && (
+                  <span title="Overnight shift" className="text-lg">🛏️</span>
+                )}
                 {hasHistory && (
                   <button
                     onClick={() => onViewHistory(entry)}
@@ -176,6 +179,9 @@ export default function ServiceLogEntry({
               {entry.flags && entry.flags.includes('late_stay') && (
                 <span title="Late stay" className="text-lg" aria-label="Late stay">🌙</span>
               )}
+              {entry.flags && entry.flags.includes('overnight') && (
+                <span title="Overnight shift" className="text-lg" aria-label="Overnight shift">🛏️</span>
+              )}
             </>
           )}
         </div>
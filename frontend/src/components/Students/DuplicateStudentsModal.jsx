@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../utils/firebase';
+import { findDuplicateStudentGroups } from '../../utils/studentDuplicates';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+const groupKey = (group) => group.map(student => student.id).join('|');
+
+/**
+ * Duplicate Students Modal
+ * Lists likely duplicate student records (same normalized name, with no
+ * conflicting school or grad year) and merges each group into the record the
+ * admin keeps. Merged records stay behind as redirects so their badges scan.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the modal is open
+ * @param {Function} props.onClose - Close handler
+ * @param {Array} props.students - All student records
+ */
+export default function DuplicateStudentsModal({ isOpen, onClose, students }) {
+  const [survivors, setSurvivors] = useState({});
+  const [mergingKey, setMergingKey] = useState(null);
+  const [message, setMessage] = useState(null);
+
+  const groups = useMemo(() => findDuplicateStudentGroups(students), [students]);
+
+  const handleMerge = async (group) => {
+    const key = groupKey(group);
+    const survivorId = survivors[key] || group[0].id;
+    const duplicates = group.filter(student => student.id !== survivorId);
+    const survivor = group.find(student => student.id === survivorId);
+
+    if (!window.confirm(
+      `Merge ${duplicates.length} record${duplicates.length === 1 ? '' : 's'} into ${survivor.firstName} ${survivor.lastName} (${survivorId})? ` +
+      'Their time entries and event rosters move to this record, and their badges keep scanning.'
+    )) return;
+
+    setMergingKey(key);
+    setMessage(null);
+    try {
+      const mergeStudents = httpsCallable(functions, 'mergeStudents');
+      const results = [];
+      for (const duplicate of duplicates) {
+        const result = await mergeStudents({ survivorId, duplicateId: duplicate.id });
+        results.push(result.data.message);
+      }
+      setMessage({ type: 'success', text: results.join('. ') });
+    } catch (err) {
+      console.error('Error merging students:', err);
+      setMessage({ type: 'error', text: err.message || 'Failed to merge students' });
+    } finally {
+      setMergingKey(null);
+    }
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={mergingKey ? () => {} : onClose}
+      title="Duplicate Students"
+      size="xl"
+      footer={<Button variant="secondary" onClick={onClose} disabled={Boolean(mergingKey)}>Close</Button>}
+    >
+      {message && (
+        <div className={`mb-4 rounded-lg border px-4 py-3 text-sm ${
+          message.type === 'error' ? 'border-red-200 bg-red-50 text-red-700' : 'border-green-200 bg-green-50 text-green-700'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {groups.length === 0 ? (
+        <p className="text-sm text-gray-600">No likely duplicates found.</p>
+      ) : (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            Records match on name when their school and grad year agree or are blank. Choose the record to keep, then merge.
+          </p>
+          {groups.map(group => {
+            const key = groupKey(group);
+            const survivorId = survivors[key] || group[0].id;
+            return (
+              <section
+                key={key}
+                aria-label={`${group[0].firstName} ${group[0].lastName} duplicates`}
+                className="rounded-xl border border-gray-200 p-4"
+              >
+                <div className="mb-2 flex items-center justify-between gap-3">
+                  <h4 className="font-black text-gray-900">
+                    {group[0].firstName} {group[0].lastName}
+                    <span className="ml-2 text-xs font-bold text-gray-400">{group.length} records</span>
+                  </h4>
+                  <Button
+                    size="sm"
+                    onClick={() => handleMerge(group)}
+                    disabled={Boolean(mergingKey)}
+                    loading={mergingKey === key}
+                  >
+                    Merge into Selected
+                  </Button>
+                </div>
+                <ul className="divide-y divide-gray-100">
+                  {group.map(student => (
+                    <li key={student.id} className="py-2">
+                      <label className="flex items-start gap-3 text-sm">
+                        <input
+                          type="radio"
+                          name={`survivor-${key}`}
+                          checked={survivorId === student.id}
+                          onChange={() => setSurvivors({ ...survivors, [key]: student.id })}
+                          aria-label={`Keep ${student.id}`}
+                          className="mt-1"
+                        />
+                        <span>
+                          <span className="font-mono text-xs text-gray-500">{student.id}</span>
+                          <span className="block text-gray-700">
+                            {[
+                              student.schoolName || 'No school',
+                              student.gradeLevel ? `Grade ${student.gradeLevel}` : null,
+                              student.gradYear ? `Class of ${student.gradYear}` : null,
+                              student.importSource ? 'Imported' : 'Added manually',
+                              student.createdAt?.toDate ? `Created ${student.createdAt.toDate().toLocaleDateString()}` : null,
+                            ].filter(Boolean).join(' · ')}
+                          </span>
+                        </span>
+                      </label>
+                    </li>
+                  ))}
+                </ul>
+              </section>
+            );
+          })}
+        </div>
+      )}
+    </Modal>
+  );
+}
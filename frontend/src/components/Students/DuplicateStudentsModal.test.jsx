@@ -0,0 +1,67 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import DuplicateStudentsModal from './DuplicateStudentsModal';
+
+const mockMergeStudents = vi.fn();
+
+vi.mock('../../utils/firebase', () => ({ functions: {} }));
+
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn(() => mockMergeStudents),
+}));
+
+const students = [
+  { id: 'sarah1', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Oak High', gradYear: '2028' },
+  { id: 'sarah2', firstName: 'sarah', lastName: 'jones', schoolName: 'Oak High', importSource: 'vbs-registration-import' },
+  { id: 'sarah3', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Oak High', mergedInto: 'sarah1' },
+  { id: 'ben1', firstName: 'Ben', lastName: 'Brown' },
+];
+
+describe('DuplicateStudentsModal', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    vi.spyOn(window, 'confirm').mockReturnValue(true);
+    mockMergeStudents.mockResolvedValue({ data: { success: true, message: 'Merged sarah jones into Sarah Jones (3 entries moved)' } });
+  });
+
+  it('should list likely duplicates and skip merged records', () => {
+    render(<DuplicateStudentsModal isOpen onClose={vi.fn()} students={students} />);
+
+    const group = screen.getByRole('region', { name: 'Sarah Jones duplicates' });
+    expect(within(group).getByText('sarah1')).toBeInTheDocument();
+    expect(within(group).getByText('sarah2')).toBeInTheDocument();
+    expect(within(group).queryByText('sarah3')).not.toBeInTheDocument();
+    expect(screen.queryByText('Ben Brown')).not.toBeInTheDocument();
+  });
+
+  it('should merge the other records into the selected survivor', async () => {
+    const user = userEvent.setup();
+    render(<DuplicateStudentsModal isOpen onClose={vi.fn()} students={students} />);
+
+    await user.click(screen.getByLabelText('Keep sarah2'));
+    await user.click(screen.getByRole('button', { name: 'Merge into Selected' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Merged sarah jones into Sarah Jones (3 entries moved)')).toBeInTheDocument();
+    });
+    expect(mockMergeStudents).toHaveBeenCalledTimes(1);
+    expect(mockMergeStudents).toHaveBeenCalledWith({ survivorId: 'sarah2', duplicateId: 'sarah1' });
+  });
+
+  it('should not merge when the admin cancels', async () => {
+    window.confirm.mockReturnValue(false);
+    const user = userEvent.setup();
+    render(<DuplicateStudentsModal isOpen onClose={vi.fn()} students={students} />);
+
+    await user.click(screen.getByRole('button', { name: 'Merge into Selected' }));
+
+    expect(mockMergeStudents).not.toHaveBeenCalled();
+  });
+
+  it('should say when there are no duplicates', () => {
+    render(<DuplicateStudentsModal isOpen onClose={vi.fn()} students={[students[0], students[3]]} />);
+
+    expect(screen.getByText('No likely duplicates found.')).toBeInTheDocument();
+  });
+});
@@ -0,0 +1,89 @@
+import React from 'react';
+import { emptyGuardian } from '../../utils/guardians';
+
+const inputClassName = 'w-full border border-gray-200 rounded-xl p-3 outline-none focus:ring-2 focus:ring-primary-500';
+
+/**
+ * GuardianFields Component
+ * Parent/guardian contacts for the student forms. Each guardian opts in to
+ * check-in/out notifications separately.
+ *
+ * @param {Object[]} guardians - [{ name, email, phone, optIn }]
+ * @param {Function} onChange - Called with the updated guardian list
+ * @param {string} [error] - Validation message shown under the list
+ */
+export default function GuardianFields({ guardians, onChange, error }) {
+  const updateGuardian = (index, changes) => {
+    onChange(guardians.map((guardian, i) => (i === index ? { ...guardian, ...changes } : guardian)));
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <span className="block text-[10px] font-black text-gray-400 uppercase">Parents / Guardians</span>
+        <button
+          type="button"
+          onClick={() => onChange([...guardians, emptyGuardian()])}
+          className="text-xs font-bold text-primary-600 hover:text-primary-700"
+        >
+          + Add Guardian
+        </button>
+      </div>
+
+      {guardians.length === 0 && (
+        <p className="text-xs text-gray-400">No guardian contacts</p>
+      )}
+
+      {guardians.map((guardian, index) => (
+        <div key={index} className="space-y-2 rounded-xl border border-gray-100 bg-gray-50 p-3">
+          <input
+            aria-label={`Guardian ${index + 1} name`}
+            placeholder="Name"
+            className={inputClassName}
+            value={guardian.name}
+            onChange={e => updateGuardian(index, { name: e.target.value })}
+          />
+          <div className="grid grid-cols-2 gap-2">
+            <input
+              type="email"
+              aria-label={`Guardian ${index + 1} email`}
+              placeholder="Email"
+              className={inputClassName}
+              value={guardian.email}
+              onChange={e => updateGuardian(index, { email: e.target.value })}
+            />
+            <input
+              type="tel"
+              aria-label={`Guardian ${index + 1} phone`}
+              placeholder="Cell phone"
+              className={inputClassName}
+              value={guardian.phone}
+              onChange={e => updateGuardian(index, { phone: e.target.value })}
+            />
+          </div>
+          <div className="flex items-center justify-between">
+            <label className="flex items-center gap-2 text-xs font-medium text-gray-600">
+              <input
+                type="checkbox"
+                checked={guardian.optIn}
+                onChange={e => updateGuardian(index, { optIn: e.target.checked })}
+                className="w-4 h-4 text-primary-600 border-gray-300 rounded focus:ring-primary-500"
+              />
+              Notify on check-in/out
+            </label>
+            <button
+              type="button"
+              onClick={() => onChange(guardians.filter((_, i) => i !== index))}
+              className="text-xs font-bold text-gray-400 hover:text-red-600"
+              aria-label={`Remove guardian ${index + 1}`}
+            >
+              Remove
+            </button>
+          </div>
+        </div>
+      ))}
+
+      {error && <p className="text-xs font-medium text-red-600">{error}</p>}
+    </div>
+  );
+}
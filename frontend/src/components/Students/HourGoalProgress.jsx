@@ -0,0 +1,43 @@
+import React from 'react';
+
+/**
+ * HourGoalProgress Component
+ * Progress bar toward a student's service-hour goal
+ *
+ * @param {Object|null} progress - From getGoalProgress; nothing renders without a goal
+ * @param {boolean} [compact] - Bar only, with the numbers in its label (table rows and cards)
+ */
+export default function HourGoalProgress({ progress, compact = false }) {
+  if (!progress) return null;
+
+  const label = progress.reached
+    ? `Goal reached: ${progress.totalHours.toFixed(2)} of ${progress.goalHours} hours`
+    : `${progress.totalHours.toFixed(2)} of ${progress.goalHours} goal hours`;
+
+  return (
+    <div className={compact ? 'w-full' : 'w-full space-y-1'}>
+      {!compact && (
+        <div className="flex justify-between text-xs font-bold">
+          <span className={progress.reached ? 'text-green-700' : 'text-gray-600'}>
+            {progress.reached ? '🎯 Goal reached' : `${progress.remainingHours} ${progress.remainingHours === 1 ? 'hour' : 'hours'} to go`}
+          </span>
+          <span className="text-gray-500">{progress.percent}% of {progress.goalHours}</span>
+        </div>
+      )}
+      <div
+        role="progressbar"
+        aria-label={label}
+        aria-valuemin={0}
+        aria-valuemax={100}
+        aria-valuenow={progress.percent}
+        title={label}
+        className={`w-full overflow-hidden rounded-full bg-gray-100 ${compact ? 'h-1.5' : 'h-2.5'}`}
+      >
+        <div
+          className={`h-full rounded-full ${progress.reached ? 'bg-green-500' : 'bg-primary-500'}`}
+          style={{ width: `${progress.percent}%` }}
+        />
+      </div>
+    </div>
+  );
+}
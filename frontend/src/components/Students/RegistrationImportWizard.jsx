@@ -0,0 +1,266 @@
+import React, { useState } from 'react';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from '../../utils/firebase';
+import { parseCsv, detectColumnMapping, applyColumnMapping } from '../../utils/registrationImport';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+
+// Columns the wizard maps; adult email/phone columns are not imported here,
+// while parent/emergency contact columns become the student's guardian
+const IMPORT_FIELDS = [
+  { key: 'registrationType', label: 'Registration type' },
+  { key: 'firstName', label: 'First name' },
+  { key: 'lastName', label: 'Last name' },
+  { key: 'fullName', label: 'Full name (when there are no first/last columns)' },
+  { key: 'schoolName', label: 'School' },
+  { key: 'gradeLevel', label: 'Grade' },
+  { key: 'gradYear', label: 'Graduation year' },
+  { key: 'guardianName', label: 'Parent/guardian name' },
+  { key: 'guardianEmail', label: 'Parent/guardian email' },
+  { key: 'guardianPhone', label: 'Parent/guardian phone' },
+];
+
+const STATUS_STYLES = {
+  new: { label: 'New', className: 'bg-green-100 text-green-800' },
+  updated: { label: 'Updated', className: 'bg-blue-100 text-blue-800' },
+  unchanged: { label: 'Unchanged', className: 'bg-gray-100 text-gray-700' },
+  duplicate: { label: 'Duplicate', className: 'bg-amber-100 text-amber-800' },
+  skipped: { label: 'Skipped', className: 'bg-red-100 text-red-800' },
+};
+
+const CHANGE_LABELS = { schoolName: 'School', gradeLevel: 'Grade', gradYear: 'Grad year', guardians: 'Guardian' };
+
+function describeRow(row) {
+  if (row.reason) return row.reason;
+  const details = Object.entries(row.changes || {})
+    .map(([field, { from, to }]) => `${CHANGE_LABELS[field]}: ${from || '—'} → ${to}`);
+  if (row.addToRoster) details.push('Adds to roster');
+  else details.push('Already on roster');
+  return details.join('; ');
+}
+
+/**
+ * Registration Import Wizard
+ * Imports a registration CSV export into an event in four steps: upload the
+ * file, confirm the column mapping, preview a dry run, then commit. The
+ * preview and the commit both run through the importRegistrations callable.
+ *
+ * @param {Object} props
+ * @param {boolean} props.isOpen - Whether the wizard is open
+ * @param {Function} props.onClose - Close handler
+ * @param {string} props.eventId - Event to enroll imported students in
+ * @param {string} [props.eventName] - Event name for the title
+ */
+export default function RegistrationImportWizard({ isOpen, onClose, eventId, eventName }) {
+  const [step, setStep] = useState('upload');
+  const [fileName, setFileName] = useState('');
+  const [csv, setCsv] = useState({ headers: [], records: [] });
+  const [mapping, setMapping] = useState({});
+  const [plan, setPlan] = useState(null);
+  const [result, setResult] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState('');
+
+  const reset = () => {
+    setStep('upload');
+    setFileName('');
+    setCsv({ headers: [], records: [] });
+    setMapping({});
+    setPlan(null);
+    setResult(null);
+    setError('');
+  };
+
+  const handleClose = () => {
+    if (busy) return;
+    reset();
+    onClose();
+  };
+
+  const handleFile = (e) => {
+    const file = e.target.files?.[0];
+    if (!file) return;
+    setError('');
+
+    if (!file.name.toLowerCase().endsWith('.csv')) {
+      setError('Please export the registration spreadsheet as CSV before importing.');
+      return;
+    }
+
+    const reader = new FileReader();
+    reader.onload = (ev) => {
+      const parsed = parseCsv(ev.target.result);
+      if (parsed.records.length === 0) {
+        setError('That file has no registration rows.');
+        return;
+      }
+
+      setFileName(file.name);
+      setCsv(parsed);
+      setMapping(detectColumnMapping(parsed.headers));
+      setStep('mapping');
+    };
+    reader.onerror = () => setError('Failed to read the file');
+    reader.readAsText(file);
+  };
+
+  const hasNameColumns = (mapping.firstName && mapping.lastName) || mapping.fullName;
+
+  const runImport = async (dryRun) => {
+    setBusy(true);
+    setError('');
+    try {
+      const importRegistrations = httpsCallable(functions, 'importRegistrations');
+      const response = await importRegistrations({
+        eventId,
+        rows: applyColumnMapping(csv.records, mapping),
+        hasTypeColumn: Boolean(mapping.registrationType),
+        dryRun,
+      });
+      if (dryRun) {
+        setPlan(response.data);
+        setStep('preview');
+      } else {
+        setResult(response.data);
+        setStep('done');
+      }
+    } catch (err) {
+      console.error('Error importing registrations:', err);
+      setError(err.message || 'Failed to import registrations');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pendingWrites = plan ? plan.counts.new + plan.counts.updated + plan.rosterAdds : 0;
+
+  const footers = {
+    upload: <Button variant="secondary" onClick={handleClose}>Cancel</Button>,
+    mapping: (
+      <>
+        <Button variant="secondary" onClick={reset} disabled={busy}>Back</Button>
+        <Button onClick={() => runImport(true)} disabled={!hasNameColumns || busy} loading={busy}>
+          Preview Import
+        </Button>
+      </>
+    ),
+    preview: (
+      <>
+        <Button variant="secondary" onClick={() => setStep('mapping')} disabled={busy}>Back</Button>
+        <Button onClick={() => runImport(false)} disabled={pendingWrites === 0 || busy} loading={busy}>
+          Import Registrations
+        </Button>
+      </>
+    ),
+    done: <Button onClick={handleClose}>Done</Button>,
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={handleClose}
+      title={eventName ? `Import Registrations: ${eventName}` : 'Import Registrations'}
+      size="xl"
+      footer={footers[step]}
+    >
+      {error && (
+        <div className="mb-4 rounded-lg border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">{error}</div>
+      )}
+
+      {step === 'upload' && (
+        <div className="space-y-3">
+          <p className="text-sm text-gray-600">
+            Upload the registration export as a CSV file. Student rows are added to this event&apos;s roster;
+            adult registrations are skipped.
+          </p>
+          <input
+            type="file"
+            accept=".csv,text/csv"
+            onChange={handleFile}
+            aria-label="Registration CSV file"
+            className="block w-full text-sm text-gray-700 file:mr-4 file:rounded-lg file:border-0 file:bg-primary-50 file:px-4 file:py-2 file:font-bold file:text-primary-700 hover:file:bg-primary-100"
+          />
+        </div>
+      )}
+
+      {step === 'mapping' && (
+        <div className="space-y-4">
+          <p className="text-sm text-gray-600">
+            {fileName}: {csv.records.length} row{csv.records.length === 1 ? '' : 's'}. Check which column holds each
+            field. Without a registration type column every row is treated as a student.
+          </p>
+          <div className="grid gap-3 sm:grid-cols-2">
+            {IMPORT_FIELDS.map(field => (
+              <label key={field.key} className="block">
+                <span className="text-xs font-bold uppercase text-gray-500">{field.label}</span>
+                <select
+                  value={mapping[field.key] || ''}
+                  onChange={(e) => setMapping({ ...mapping, [field.key]: e.target.value })}
+                  className="mt-1 w-full rounded-lg border border-gray-200 px-3 py-2 text-sm"
+                >
+                  <option value="">Not in file</option>
+                  {csv.headers.map(header => (
+                    <option key={header} value={header}>{header}</option>
+                  ))}
+                </select>
+              </label>
+            ))}
+          </div>
+          {!hasNameColumns && (
+            <p className="text-sm text-amber-700">Map first and last name columns, or a full name column.</p>
+          )}
+        </div>
+      )}
+
+      {step === 'preview' && plan && (
+        <div className="space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {Object.entries(STATUS_STYLES).map(([status, style]) => (
+              <span key={status} className={`rounded-full px-3 py-1 text-xs font-bold ${style.className}`}>
+                {style.label}: {plan.counts[status]}
+              </span>
+            ))}
+            <span className="rounded-full bg-primary-50 px-3 py-1 text-xs font-bold text-primary-700">
+              Roster adds: {plan.rosterAdds}
+            </span>
+          </div>
+          <div className="max-h-96 overflow-y-auto rounded-lg border border-gray-200">
+            <table className="min-w-full divide-y divide-gray-200 text-sm">
+              <thead className="sticky top-0 bg-gray-50 text-left text-xs font-bold uppercase text-gray-500">
+                <tr>
+                  <th className="px-3 py-2">Row</th>
+                  <th className="px-3 py-2">Student</th>
+                  <th className="px-3 py-2">Status</th>
+                  <th className="px-3 py-2">Details</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-gray-100">
+                {plan.rows.map(row => (
+                  <tr key={row.rowNumber}>
+                    <td className="px-3 py-2 text-gray-500">{row.rowNumber}</td>
+                    <td className="px-3 py-2 font-bold text-gray-900">
+                      {`${row.student?.firstName || ''} ${row.student?.lastName || ''}`.trim() || '—'}
+                    </td>
+                    <td className="px-3 py-2">
+                      <span className={`rounded px-2 py-0.5 text-[10px] font-black uppercase ${STATUS_STYLES[row.status].className}`}>
+                        {STATUS_STYLES[row.status].label}
+                      </span>
+                    </td>
+                    <td className="px-3 py-2 text-gray-600">{describeRow(row)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {pendingWrites === 0 && (
+            <p className="text-sm text-gray-600">Every student in this file is already up to date and on the roster.</p>
+          )}
+        </div>
+      )}
+
+      {step === 'done' && result && (
+        <p className="text-sm font-medium text-green-700">{result.message}</p>
+      )}
+    </Modal>
+  );
+}
@@ -0,0 +1,117 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, waitFor } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import RegistrationImportWizard from './RegistrationImportWizard';
+
+const mockImportRegistrations = vi.fn();
+
+vi.mock('../../utils/firebase', () => ({ functions: {} }));
+
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn(() => mockImportRegistrations),
+}));
+
+const csvFile = (content, name = 'registrations.csv') => new File([content], name, { type: 'text/csv' });
+
+const plan = {
+  success: true,
+  dryRun: true,
+  counts: { new: 1, updated: 1, unchanged: 0, duplicate: 1, skipped: 1 },
+  rosterAdds: 2,
+  rows: [
+    { rowNumber: 2, status: 'new', student: { firstName: 'Sam', lastName: 'Lee' }, addToRoster: true },
+    {
+      rowNumber: 3,
+      status: 'updated',
+      studentId: 'alex',
+      student: { firstName: 'Alex', lastName: 'Kim' },
+      changes: { schoolName: { from: 'Oak Middle', to: 'Pine Middle' } },
+      addToRoster: true,
+    },
+    { rowNumber: 4, status: 'duplicate', student: { firstName: 'Sam', lastName: 'Lee' }, reason: 'Same student as row 2' },
+    { rowNumber: 5, status: 'skipped', student: { firstName: 'Pat', lastName: 'Parent' }, reason: 'Adult registration (add adult volunteers from Users)' },
+  ],
+};
+
+describe('RegistrationImportWizard', () => {
+  const onClose = vi.fn();
+
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockImportRegistrations.mockImplementation(async ({ dryRun }) => ({
+      data: dryRun ? plan : { ...plan, dryRun: false, message: 'Imported 1 new and 1 updated students; added 2 to the roster' },
+    }));
+  });
+
+  const renderWizard = () => render(
+    <RegistrationImportWizard isOpen onClose={onClose} eventId="event1" eventName="VBS 2026" />
+  );
+
+  it('should detect the column mapping and allow overriding it', async () => {
+    const user = userEvent.setup();
+    renderWizard();
+
+    await user.upload(
+      screen.getByLabelText('Registration CSV file'),
+      csvFile('First Name,Last Name,Campus\nSam,Lee,Oak Middle\n')
+    );
+
+    expect(await screen.findByText(/registrations.csv: 1 row\./)).toBeInTheDocument();
+    expect(screen.getByLabelText('First name')).toHaveValue('First Name');
+    expect(screen.getByLabelText('School')).toHaveValue('');
+
+    await user.selectOptions(screen.getByLabelText('School'), 'Campus');
+    await user.click(screen.getByRole('button', { name: 'Preview Import' }));
+
+    expect(mockImportRegistrations).toHaveBeenCalledWith({
+      eventId: 'event1',
+      rows: [expect.objectContaining({ rowNumber: 2, firstName: 'Sam', lastName: 'Lee', schoolName: 'Oak Middle' })],
+      hasTypeColumn: false,
+      dryRun: true,
+    });
+  });
+
+  it('should preview each row status and then commit the import', async () => {
+    const user = userEvent.setup();
+    renderWizard();
+
+    await user.upload(
+      screen.getByLabelText('Registration CSV file'),
+      csvFile('RegistrationType,First Name,Last Name\nMiddle School Registrant (current 6th-8th grader),Sam,Lee\n')
+    );
+    await user.click(await screen.findByRole('button', { name: 'Preview Import' }));
+
+    expect(await screen.findByText('New: 1')).toBeInTheDocument();
+    expect(screen.getByText('Roster adds: 2')).toBeInTheDocument();
+    expect(screen.getByText('School: Oak Middle → Pine Middle; Adds to roster')).toBeInTheDocument();
+    expect(screen.getByText('Same student as row 2')).toBeInTheDocument();
+
+    await user.click(screen.getByRole('button', { name: 'Import Registrations' }));
+
+    await waitFor(() => {
+      expect(screen.getByText('Imported 1 new and 1 updated students; added 2 to the roster')).toBeInTheDocument();
+    });
+    expect(mockImportRegistrations).toHaveBeenLastCalledWith(expect.objectContaining({ hasTypeColumn: true, dryRun: false }));
+  });
+
+  it('should reject files that are not CSV', async () => {
+    const user = userEvent.setup({ applyAccept: false });
+    renderWizard();
+
+    await user.upload(screen.getByLabelText('Registration CSV file'), csvFile('data', 'registrations.xlsx'));
+
+    expect(await screen.findByText('Please export the registration spreadsheet as CSV before importing.')).toBeInTheDocument();
+    expect(mockImportRegistrations).not.toHaveBeenCalled();
+  });
+
+  it('should show callable errors', async () => {
+    mockImportRegistrations.mockRejectedValue(new Error('This import needs 620 writes, over the limit of 500.'));
+    const user = userEvent.setup();
+    renderWizard();
+
+    await user.upload(screen.getByLabelText('Registration CSV file'), csvFile('Name\nSam Lee\n'));
+    await user.click(await screen.findByRole('button', { name: 'Preview Import' }));
+
+    expect(await screen.findByText(/over the limit of 500/)).toBeInTheDocument();
+  });
+});
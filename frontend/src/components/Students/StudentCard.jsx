@@ -1,4 +1,5 @@
 import React from 'react';
+import HourGoalProgress from './HourGoalProgress';
 
 export default function StudentCard({
   student,
@@ -89,6 +90,11 @@ export default function StudentCard({
           <div className="text-[10px] font-black text-primary-500 uppercase">
             Grade {student.gradeLevel || '--'}
           </div>
+          {student.goalProgress && (
+            <div className="mt-2">
+              <HourGoalProgress progress={student.goalProgress} compact />
+            </div>
+          )}
         </div>
 
         {/* Quick Actions: Edit, Phone and Email */}
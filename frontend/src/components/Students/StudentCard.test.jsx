@@ -42,6 +42,13 @@ describe('StudentCard', () => {
   });
 
   describe('rendering', () => {
+    it('should show a reached hour goal', () => {
+      const goalProgress = { goalHours: 10, totalHours: 12.5, remainingHours: 0, percent: 100, reached: true };
+      render(<StudentCard {...defaultProps} student={{ ...mockStudent, goalProgress }} />);
+
+      expect(screen.getByRole('progressbar', { name: 'Goal reached: 12.50 of 10 hours' })).toHaveAttribute('aria-valuenow', '100');
+    });
+
     it('should render student name in Last, First format', () => {
       render(<StudentCard {...defaultProps} />);
 
@@ -1,10 +1,11 @@
 import React from 'react';
+import HourGoalProgress from './HourGoalProgress';
 
 /**
  * StudentRow Component
  * Desktop table row view for students (used on screens >= md breakpoint)
  *
- * @param {Object} student - The student object with name, school, grade, and hours data
+ * @param {Object} student - The student object with name, school, grade, and hours data (and goalProgress when a goal applies)
  * @param {boolean} isSelected - Whether the student is currently selected
  * @param {Function} onToggleSelection - Callback when selection checkbox is toggled
  * @param {Function} onViewDetail - Callback when View Detail button is clicked
@@ -57,6 +58,11 @@ export default function StudentRow({
         >
           {student.eventTotal.toFixed(2)}
         </span>
+        {student.goalProgress && (
+          <div className="mx-auto mt-2 w-24">
+            <HourGoalProgress progress={student.goalProgress} compact />
+          </div>
+        )}
       </td>
       <td className="px-6 py-4 text-right">
         <div className="flex gap-2 justify-end">
@@ -95,6 +95,18 @@ describe('StudentRow', () => {
       const button = screen.getByRole('button', { name: /View Detail/i });
       expect(button).toBeInTheDocument();
     });
+
+    it('should show hour goal progress only when a goal applies', () => {
+      const { unmount } = renderInTable(<StudentRow {...defaultProps} />);
+      expect(screen.queryByRole('progressbar')).not.toBeInTheDocument();
+      unmount();
+
+      const goalProgress = { goalHours: 25, totalHours: 12.5, remainingHours: 12.5, percent: 50, reached: false };
+      renderInTable(<StudentRow {...defaultProps} student={{ ...mockStudent, goalProgress }} />);
+
+      const bar = screen.getByRole('progressbar', { name: '12.50 of 25 goal hours' });
+      expect(bar).toHaveAttribute('aria-valuenow', '50');
+    });
   });
 
   describe('selection state', () => {
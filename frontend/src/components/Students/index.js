@@ -1,2 +1,6 @@
 export { default as StudentCard } from './StudentCard';
 export { default as StudentRow } from './StudentRow';
+export { default as HourGoalProgress } from './HourGoalProgress';
+export { default as RegistrationImportWizard } from './RegistrationImportWizard';
+export { default as DuplicateStudentsModal } from './DuplicateStudentsModal';
+export { default as GuardianFields } from './GuardianFields';
@@ -0,0 +1,129 @@
+import React, { useEffect, useState } from 'react';
+import Modal from '../common/Modal';
+import Button from '../common/Button';
+import { EVENT_ROLES, EVENT_ROLE_LABELS, hasEventAssignments } from '../../utils/eventAssignments';
+
+const ROLE_HINTS = {
+  scanner: 'Checks students in and out. Leave every activity unticked to allow all of them.',
+  station_lead: 'Scans and can force a check-out for the ticked activities.',
+  school_coordinator: 'Sees who is still checked in but cannot scan.',
+};
+
+/**
+ * EventAssignmentsModal Component
+ * Chooses the events an adult volunteer works, their role at each and the
+ * activities they cover. Saved through the updateEventAssignments function.
+ *
+ * @param {boolean} isOpen - Whether the modal is open
+ * @param {Object} userItem - The adult volunteer being assigned
+ * @param {Array} events - The organization's events
+ * @param {boolean} saving - Whether a save is in progress
+ * @param {string} [error] - Save error to show
+ * @param {Function} onSave - Called with [{ eventId, role, activityIds }]
+ * @param {Function} onClose - Close handler
+ */
+export default function EventAssignmentsModal({ isOpen, userItem, events, saving, error, onSave, onClose }) {
+  const [assignments, setAssignments] = useState({});
+
+  useEffect(() => {
+    if (!isOpen) return;
+    const eventIds = new Set(events.map(event => event.id));
+    setAssignments(Object.fromEntries(Object.entries(userItem?.eventAssignments || {})
+      .filter(([eventId]) => eventIds.has(eventId))
+      .map(([eventId, assignment]) => [eventId, { role: assignment.role, activityIds: assignment.activityIds || [] }])));
+  }, [isOpen, userItem, events]);
+
+  const setRole = (eventId, role) => {
+    setAssignments(prev => {
+      const next = { ...prev };
+      if (role) {
+        next[eventId] = { role, activityIds: prev[eventId]?.activityIds || [] };
+      } else {
+        delete next[eventId];
+      }
+      return next;
+    });
+  };
+
+  const toggleActivity = (eventId, activityId) => {
+    setAssignments(prev => {
+      const activityIds = prev[eventId].activityIds.includes(activityId)
+        ? prev[eventId].activityIds.filter(id => id !== activityId)
+        : [...prev[eventId].activityIds, activityId];
+      return { ...prev, [eventId]: { ...prev[eventId], activityIds } };
+    });
+  };
+
+  const handleSave = () => {
+    onSave(Object.entries(assignments).map(([eventId, assignment]) => ({ eventId, ...assignment })));
+  };
+
+  return (
+    <Modal
+      isOpen={isOpen}
+      onClose={saving ? () => {} : onClose}
+      title={`Event Assignments: ${userItem?.name || userItem?.email || ''}`}
+      size="lg"
+      footer={
+        <>
+          <Button variant="secondary" onClick={onClose} disabled={saving}>
+            Cancel
+          </Button>
+          <Button onClick={handleSave} loading={saving}>
+            Save Assignments
+          </Button>
+        </>
+      }
+    >
+      <div className="space-y-4">
+        {error && <div className="p-3 rounded-lg bg-red-50 text-red-800">{error}</div>}
+        {userItem && !hasEventAssignments(userItem) && (
+          <p className="p-3 rounded-lg bg-amber-50 text-sm text-amber-800">
+            This volunteer has no assignments yet and can scan every event. Saving limits them to the events below.
+          </p>
+        )}
+        {events.length === 0 && <p className="text-sm text-gray-500">This organization has no events yet.</p>}
+        {events.map(event => {
+          const assignment = assignments[event.id];
+          return (
+            <div key={event.id} className="border border-gray-200 rounded-xl p-4">
+              <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+                <span className="font-bold text-gray-900">{event.name}</span>
+                <select
+                  aria-label={`Role for ${event.name}`}
+                  className="border border-gray-200 rounded-lg p-2 text-sm outline-none focus:ring-2 focus:ring-primary-500"
+                  value={assignment?.role || ''}
+                  onChange={e => setRole(event.id, e.target.value)}
+                >
+                  <option value="">Not assigned</option>
+                  {Object.values(EVENT_ROLES).map(role => (
+                    <option key={role} value={role}>{EVENT_ROLE_LABELS[role]}</option>
+                  ))}
+                </select>
+              </div>
+              {assignment && (
+                <>
+                  <p className="text-xs text-gray-500 mt-2">{ROLE_HINTS[assignment.role]}</p>
+                  {assignment.role !== EVENT_ROLES.SCHOOL_COORDINATOR && (
+                    <div className="flex flex-wrap gap-3 mt-2">
+                      {(event.activities || []).map(activity => (
+                        <label key={activity.id} className="flex items-center gap-1.5 text-sm text-gray-700">
+                          <input
+                            type="checkbox"
+                            checked={assignment.activityIds.includes(activity.id)}
+                            onChange={() => toggleActivity(event.id, activity.id)}
+                          />
+                          {activity.name}
+                        </label>
+                      ))}
+                    </div>
+                  )}
+                </>
+              )}
+            </div>
+          );
+        })}
+      </div>
+    </Modal>
+  );
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect, vi } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import EventAssignmentsModal from './EventAssignmentsModal';
+
+const events = [
+  {
+    id: 'event1',
+    name: 'VBS 2026',
+    activities: [
+      { id: 'general', name: 'General' },
+      { id: 'crafts', name: 'Crafts Station' },
+    ],
+  },
+  { id: 'event2', name: 'Fall Festival', activities: [{ id: 'games', name: 'Games' }] },
+];
+
+const volunteer = {
+  id: 'user2',
+  name: 'Bob Jones',
+  email: 'bob@example.com',
+  role: 'adult_volunteer',
+  eventAssignments: {
+    event1: { role: 'scanner', activityIds: ['general'], organizationId: 'org1' },
+    otherOrgEvent: { role: 'scanner', activityIds: [], organizationId: 'org2' },
+  },
+};
+
+const renderModal = (props = {}) => render(
+  <EventAssignmentsModal
+    isOpen
+    userItem={volunteer}
+    events={events}
+    saving={false}
+    onSave={vi.fn()}
+    onClose={vi.fn()}
+    {...props}
+  />
+);
+
+describe('EventAssignmentsModal', () => {
+  it('should show the current assignments for the organization\'s events', () => {
+    renderModal();
+
+    expect(screen.getByLabelText('Role for VBS 2026')).toHaveValue('scanner');
+    expect(screen.getByLabelText('General')).toBeChecked();
+    expect(screen.getByLabelText('Crafts Station')).not.toBeChecked();
+    expect(screen.getByLabelText('Role for Fall Festival')).toHaveValue('');
+    expect(screen.queryByLabelText('Games')).not.toBeInTheDocument();
+  });
+
+  it('should save the edited assignment list', async () => {
+    const user = userEvent.setup();
+    const onSave = vi.fn();
+    renderModal({ onSave });
+
+    await user.selectOptions(screen.getByLabelText('Role for VBS 2026'), 'station_lead');
+    await user.click(screen.getByLabelText('Crafts Station'));
+    await user.selectOptions(screen.getByLabelText('Role for Fall Festival'), 'school_coordinator');
+    await user.click(screen.getByRole('button', { name: 'Save Assignments' }));
+
+    expect(onSave).toHaveBeenCalledWith([
+      { eventId: 'event1', role: 'station_lead', activityIds: ['general', 'crafts'] },
+      { eventId: 'event2', role: 'school_coordinator', activityIds: [] },
+    ]);
+  });
+
+  it('should warn that volunteers without assignments can scan every event', () => {
+    renderModal({ userItem: { ...volunteer, eventAssignments: undefined } });
+
+    expect(screen.getByText(/can scan every event/)).toBeInTheDocument();
+  });
+});
@@ -7,6 +7,7 @@ import React from 'react';
  * @param {Object} userItem - The user object with name, email, role, isActive
  * @param {boolean} isSelf - Whether this user is the currently logged-in user
  * @param {Function} onEdit - Callback when Edit button is clicked
+ * @param {Function} [onAssign] - Callback when Events button is clicked (adult volunteers only)
  * @param {Function} onResetPassword - Callback when Reset Password button is clicked
  * @param {Function} onDelete - Callback when Delete button is clicked
  * @param {Function} getRoleBadge - Helper function to render role badge
@@ -16,6 +17,7 @@ export default function UserRow({
   userItem,
   isSelf,
   onEdit,
+  onAssign,
   onResetPassword,
   onDelete,
   getRoleBadge,
@@ -41,6 +43,14 @@ export default function UserRow({
           >
             Edit
           </button>
+          {onAssign && userItem.role !== 'admin' && (
+            <button
+              onClick={() => onAssign(userItem)}
+              className="text-blue-600 font-bold text-xs bg-white border border-blue-200 px-3 py-1.5 rounded-lg hover:bg-blue-600 hover:text-white transition-all shadow-sm"
+            >
+              Events
+            </button>
+          )}
           <button
             onClick={() => onResetPassword(userItem)}
             className="text-orange-600 font-bold text-xs bg-white border border-orange-200 px-3 py-1.5 rounded-lg hover:bg-orange-600 hover:text-white transition-all shadow-sm"
@@ -152,6 +152,19 @@ describe('UserRow', () => {
       expect(onResetPassword).toHaveBeenCalledWith(mockUser);
     });
 
+    it('should call onAssign for adult volunteers only', async () => {
+      const user = userEvent.setup();
+      const onAssign = vi.fn();
+      const { unmount } = renderInTable(<UserRow {...defaultProps} userItem={mockVolunteer} onAssign={onAssign} />);
+
+      await user.click(screen.getByRole('button', { name: /events/i }));
+      expect(onAssign).toHaveBeenCalledWith(mockVolunteer);
+
+      unmount();
+      renderInTable(<UserRow {...defaultProps} onAssign={onAssign} />);
+      expect(screen.queryByRole('button', { name: /events/i })).not.toBeInTheDocument();
+    });
+
     it('should call onDelete with user when Delete is clicked', async () => {
       const user = userEvent.setup();
       const onDelete = vi.fn();
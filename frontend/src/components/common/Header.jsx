@@ -2,12 +2,13 @@ import React, { useState } from 'react';
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../../contexts/AuthContext';
 import { useEvent } from '../../contexts/EventContext';
+import { useOrganization } from '../../contexts/OrganizationContext';
 
 /**
  * Admin workspace chrome.
  *
- * The selected event anchors the operational navigation, while system-wide
- * configuration lives in a secondary settings group.
+ * The selected organization and event anchor the operational navigation,
+ * while configuration lives in a secondary settings group.
  */
 export default function Header({
   title,
@@ -21,6 +22,12 @@ export default function Header({
     events = [],
     switchActiveEvent,
   } = useEvent();
+  const {
+    organizations = [],
+    organizationId,
+    currentOrganization,
+    switchOrganization,
+  } = useOrganization();
   const location = useLocation();
   const [mobileMenuOpen, setMobileMenuOpen] = useState(false);
 
@@ -34,6 +41,11 @@ export default function Header({
     await switchActiveEvent(eventId);
   };
 
+  const handleOrganizationChange = async (nextOrganizationId) => {
+    if (!nextOrganizationId || nextOrganizationId === organizationId) return;
+    await switchOrganization(nextOrganizationId);
+  };
+
   const closeMenus = () => {
     setMobileMenuOpen(false);
   };
@@ -43,6 +55,8 @@ export default function Header({
     { path: '/admin/activity', label: 'Activity' },
     { path: '/admin/students', label: 'Students' },
     { path: '/admin/daily-review', label: 'Daily Review' },
+    { path: '/admin/audit', label: 'Audit' },
+    ...(currentEvent ? [{ path: `/board/${currentEvent.id}`, label: 'On Site Now' }] : []),
   ];
 
   const settingsLink = { path: '/admin/settings', label: 'Settings' };
@@ -83,6 +97,37 @@ export default function Header({
     </div>
   );
 
+  // Only people in several organizations get a switcher
+  const OrganizationSwitcher = ({ compact = false }) => (
+    organizations.length > 1 ? (
+      <div className="mb-3">
+        <label
+          htmlFor={compact ? 'mobile-organization-switcher' : 'desktop-organization-switcher'}
+          className="block text-[10px] font-black uppercase tracking-widest text-gray-400"
+        >
+          Organization
+        </label>
+        <select
+          id={compact ? 'mobile-organization-switcher' : 'desktop-organization-switcher'}
+          value={organizationId || ''}
+          onChange={(event) => handleOrganizationChange(event.target.value)}
+          className="mt-1 w-full rounded-lg border border-gray-200 bg-white px-3 py-2 text-sm font-bold text-gray-900 shadow-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-100"
+          aria-label="Organization"
+        >
+          {organizations.map((organization) => (
+            <option key={organization.id} value={organization.id}>
+              {organization.name}
+            </option>
+          ))}
+        </select>
+      </div>
+    ) : (
+      currentOrganization && (
+        <p className="mb-3 truncate text-xs font-bold text-gray-500">{currentOrganization.name}</p>
+      )
+    )
+  );
+
   const NavLink = ({ item, mobile = false }) => (
     <Link
       to={item.path}
@@ -145,6 +190,7 @@ export default function Header({
 
         {showNavTabs && mobileMenuOpen && (
           <div id="mobile-menu" className="border-t border-gray-100 px-4 py-4">
+            <OrganizationSwitcher compact />
             <EventSwitcher compact />
 
             <nav className="mt-4 space-y-1" aria-label="Operations">
@@ -180,6 +226,7 @@ export default function Header({
           )}
 
           <div className="mt-5">
+            <OrganizationSwitcher />
             <EventSwitcher />
           </div>
         </div>
@@ -6,6 +6,8 @@ import Header from './Header';
 
 const mockSignOut = vi.fn();
 const mockSwitchActiveEvent = vi.fn();
+const mockSwitchOrganization = vi.fn();
+let mockOrganizations;
 const mockUser = { email: 'admin@test.com', uid: 'admin123' };
 const mockCurrentEvent = { id: 'event123', name: 'VBS 2026' };
 const mockEvents = [
@@ -28,6 +30,15 @@ vi.mock('../../contexts/EventContext', () => ({
   }),
 }));
 
+vi.mock('../../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({
+    organizations: mockOrganizations,
+    organizationId: 'org1',
+    currentOrganization: mockOrganizations[0],
+    switchOrganization: mockSwitchOrganization,
+  }),
+}));
+
 const renderWithRouter = (ui, { route = '/admin' } = {}) => {
   return render(
     <MemoryRouter initialEntries={[route]}>
@@ -39,6 +50,7 @@ const renderWithRouter = (ui, { route = '/admin' } = {}) => {
 describe('Header', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    mockOrganizations = [{ id: 'org1', name: 'Faith Church' }];
   });
 
   it('renders the admin workspace shell', () => {
@@ -62,6 +74,7 @@ describe('Header', () => {
     expect(screen.getAllByRole('link', { name: 'Dashboard' }).some(link => link.getAttribute('href') === '/admin')).toBe(true);
     expect(screen.getAllByRole('link', { name: 'Students' }).some(link => link.getAttribute('href') === '/admin/students')).toBe(true);
     expect(screen.getAllByRole('link', { name: 'Daily Review' }).some(link => link.getAttribute('href') === '/admin/daily-review')).toBe(true);
+    expect(screen.getAllByRole('link', { name: 'On Site Now' }).some(link => link.getAttribute('href') === '/board/event123')).toBe(true);
     expect(screen.getByRole('link', { name: /settings/i })).toHaveAttribute('href', '/admin/settings');
     expect(screen.queryByRole('link', { name: 'Events' })).not.toBeInTheDocument();
   });
@@ -88,6 +101,21 @@ describe('Header', () => {
     expect(mockSwitchActiveEvent).toHaveBeenCalledWith('event2025');
   });
 
+  it('offers an organization switcher only to members of several organizations', async () => {
+    const { unmount } = renderWithRouter(<Header />);
+    expect(screen.queryByRole('combobox', { name: 'Organization' })).not.toBeInTheDocument();
+    expect(screen.getByText('Faith Church')).toBeInTheDocument();
+    unmount();
+
+    mockOrganizations = [{ id: 'org1', name: 'Faith Church' }, { id: 'org2', name: 'Grace Church' }];
+    const user = userEvent.setup();
+    renderWithRouter(<Header />);
+
+    await user.selectOptions(screen.getByRole('combobox', { name: 'Organization' }), 'org2');
+
+    expect(mockSwitchOrganization).toHaveBeenCalledWith('org2');
+  });
+
   it('renders the Scan action as the prominent app switcher', () => {
     renderWithRouter(<Header />);
 
@@ -1,13 +1,14 @@
 import React from 'react';
 import { QRCodeSVG } from 'qrcode.react';
-import { generateQRData } from '../../utils/qrCodeGenerator';
 
 /**
  * Reusable badge component for printing student badges
  * Used by both StudentsPage (bulk printing) and StudentDetailPage (single badge)
+ *
+ * `qrData` is the signed payload returned by the issueBadges Cloud Function.
+ * Without one (e.g. a revoked badge) no QR code is printed.
  */
-export default function PrintableBadge({ student, eventId, eventName, size = 'normal' }) {
-    const qrData = eventId ? generateQRData(student.id, eventId) : student.id;
+export default function PrintableBadge({ student, qrData, eventName, size = 'normal' }) {
     const qrSize = size === 'normal' ? 120 : 150;
 
     return (
@@ -19,12 +20,16 @@ export default function PrintableBadge({ student, eventId, eventName, size = 'no
                 ID: {student.id}
             </div>
             <div className="badge-qr">
-                <QRCodeSVG
-                    value={qrData}
-                    size={qrSize}
-                    level="M"
-                    includeMargin={false}
-                />
+                {qrData ? (
+                    <QRCodeSVG
+                        value={qrData}
+                        size={qrSize}
+                        level="M"
+                        includeMargin={false}
+                    />
+                ) : (
+                    <div className="badge-no-qr">Badge not issued</div>
+                )}
             </div>
             {eventName && (
                 <div className="badge-event">
@@ -11,17 +11,13 @@ vi.mock('qrcode.react', () => ({
   )
 }));
 
-// Mock qrCodeGenerator
-vi.mock('../../utils/qrCodeGenerator', () => ({
-  generateQRData: (studentId, eventId) => `${studentId}:${eventId}`
-}));
-
 describe('PrintableBadge', () => {
   const mockStudent = {
     id: 'student123',
     firstName: 'John',
     lastName: 'Doe'
   };
+  const qrData = 'VBS|student123|event456|1|signature';
 
   beforeEach(() => {
     vi.clearAllMocks();
@@ -29,64 +25,64 @@ describe('PrintableBadge', () => {
 
   describe('rendering', () => {
     it('should render student name', () => {
-      render(<PrintableBadge student={mockStudent} />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       expect(screen.getByText('John Doe')).toBeInTheDocument();
     });
 
     it('should render student ID', () => {
-      render(<PrintableBadge student={mockStudent} />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       expect(screen.getByText('ID: student123')).toBeInTheDocument();
     });
 
     it('should render QR code', () => {
-      render(<PrintableBadge student={mockStudent} />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       const qrCode = screen.getByTestId('qr-code');
       expect(qrCode).toBeInTheDocument();
     });
 
     it('should have correct badge container class', () => {
-      const { container } = render(<PrintableBadge student={mockStudent} />);
+      const { container } = render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       expect(container.querySelector('.student-badge')).toBeInTheDocument();
     });
   });
 
   describe('QR code data', () => {
-    it('should generate QR data with eventId when provided', () => {
-      render(<PrintableBadge student={mockStudent} eventId="event456" />);
+    it('should encode the signed badge payload', () => {
+      render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       const qrCode = screen.getByTestId('qr-code');
-      expect(qrCode).toHaveAttribute('data-value', 'student123:event456');
+      expect(qrCode).toHaveAttribute('data-value', qrData);
     });
 
-    it('should use student ID as QR data when no eventId provided', () => {
+    it('should not print a QR code without a signed payload', () => {
       render(<PrintableBadge student={mockStudent} />);
 
-      const qrCode = screen.getByTestId('qr-code');
-      expect(qrCode).toHaveAttribute('data-value', 'student123');
+      expect(screen.queryByTestId('qr-code')).not.toBeInTheDocument();
+      expect(screen.getByText('Badge not issued')).toBeInTheDocument();
     });
   });
 
   describe('size prop', () => {
     it('should render normal size QR code by default (120px)', () => {
-      render(<PrintableBadge student={mockStudent} />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       const qrCode = screen.getByTestId('qr-code');
       expect(qrCode).toHaveAttribute('data-size', '120');
     });
 
     it('should render normal size QR code when size is "normal"', () => {
-      render(<PrintableBadge student={mockStudent} size="normal" />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} size="normal" />);
 
       const qrCode = screen.getByTestId('qr-code');
       expect(qrCode).toHaveAttribute('data-size', '120');
     });
 
     it('should render large size QR code when size is "large" (150px)', () => {
-      render(<PrintableBadge student={mockStudent} size="large" />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} size="large" />);
 
       const qrCode = screen.getByTestId('qr-code');
       expect(qrCode).toHaveAttribute('data-size', '150');
@@ -98,7 +94,7 @@ describe('PrintableBadge', () => {
       render(
         <PrintableBadge
           student={mockStudent}
-          eventId="event456"
+          qrData={qrData}
           eventName="VBS 2026"
         />
       );
@@ -107,10 +103,10 @@ describe('PrintableBadge', () => {
     });
 
     it('should not render event name when not provided', () => {
-      render(<PrintableBadge student={mockStudent} eventId="event456" />);
+      render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       // The badge-event div should not be present
-      const { container } = render(<PrintableBadge student={mockStudent} />);
+      const { container } = render(<PrintableBadge student={mockStudent} qrData={qrData} />);
       expect(container.querySelector('.badge-event')).not.toBeInTheDocument();
     });
 
@@ -118,7 +114,7 @@ describe('PrintableBadge', () => {
       const { container } = render(
         <PrintableBadge
           student={mockStudent}
-          eventId="event456"
+          qrData={qrData}
           eventName="Summer Camp"
         />
       );
@@ -131,7 +127,7 @@ describe('PrintableBadge', () => {
 
   describe('CSS classes', () => {
     it('should have badge-name class on name element', () => {
-      const { container } = render(<PrintableBadge student={mockStudent} />);
+      const { container } = render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       const nameElement = container.querySelector('.badge-name');
       expect(nameElement).toBeInTheDocument();
@@ -139,7 +135,7 @@ describe('PrintableBadge', () => {
     });
 
     it('should have badge-id class on ID element', () => {
-      const { container } = render(<PrintableBadge student={mockStudent} />);
+      const { container } = render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       const idElement = container.querySelector('.badge-id');
       expect(idElement).toBeInTheDocument();
@@ -147,7 +143,7 @@ describe('PrintableBadge', () => {
     });
 
     it('should have badge-qr class on QR container', () => {
-      const { container } = render(<PrintableBadge student={mockStudent} />);
+      const { container } = render(<PrintableBadge student={mockStudent} qrData={qrData} />);
 
       const qrContainer = container.querySelector('.badge-qr');
       expect(qrContainer).toBeInTheDocument();
@@ -183,7 +179,7 @@ describe('PrintableBadge', () => {
       render(
         <PrintableBadge
           student={mockStudent}
-          eventId="event123"
+          qrData={qrData}
           eventName="VBS 2026 - Summer Edition"
         />
       );
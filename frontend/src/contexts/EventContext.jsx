@@ -6,9 +6,12 @@ import {
   doc,
   getDoc,
   onSnapshot,
-  updateDoc
+  query,
+  updateDoc,
+  where
 } from 'firebase/firestore';
 import { useAuth } from './AuthContext';
+import { useOrganization } from './OrganizationContext';
 
 const EventContext = createContext(null);
 
@@ -42,9 +45,13 @@ export function EventProvider({ children }) {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const { user } = useAuth();
+  const { organizationId } = useOrganization();
+
+  const organizationEvents = () => query(collection(db, 'events'), where('organizationId', '==', organizationId));
 
   useEffect(() => {
-    if (!user) {
+    if (!user || !organizationId) {
+      setCurrentEvent(null);
       setLoading(false);
       return;
     }
@@ -55,24 +62,23 @@ export function EventProvider({ children }) {
     const unsubscribe = onSnapshot(userPrefsRef, async (userDoc) => {
       const selectedId = userDoc.data()?.selectedEventId;
 
-      if (selectedId) {
-        await loadEventById(selectedId);
-      } else {
+      // An event selected in another organization falls back to this one's newest
+      if (!selectedId || !(await loadEventById(selectedId))) {
         await loadDefaultEvent();
       }
       setLoading(false);
     });
 
     return () => unsubscribe();
-  }, [user]);
+  }, [user, organizationId]);
 
   useEffect(() => {
-    if (!user) {
+    if (!user || !organizationId) {
       setEvents([]);
       return;
     }
 
-    const unsubscribe = onSnapshot(collection(db, 'events'), (snapshot) => {
+    const unsubscribe = onSnapshot(organizationEvents(), (snapshot) => {
       const eventList = snapshot.docs.map(eventDoc => ({
         id: eventDoc.id,
         ...eventDoc.data()
@@ -84,7 +90,7 @@ export function EventProvider({ children }) {
     });
 
     return () => unsubscribe();
-  }, [user]);
+  }, [user, organizationId]);
 
   /**
    * Updates the Admin's selected event in Firestore
@@ -106,33 +112,43 @@ export function EventProvider({ children }) {
   };
 
   const loadDefaultEvent = async () => {
-    const snap = await getDocs(collection(db, 'events'));
+    const snap = await getDocs(organizationEvents());
     if (!snap.empty) {
       const eventList = sortEvents(snap.docs.map(eventDoc => ({
         id: eventDoc.id,
         ...eventDoc.data()
       })));
       setCurrentEvent(eventList[0]);
+    } else {
+      setCurrentEvent(null);
     }
   };
 
+  /**
+   * Loads an event of the current organization; resolves false otherwise
+   */
   const loadEventById = async (eventId) => {
     try {
       setLoading(true);
       const eventDoc = await getDoc(doc(db, 'events', eventId));
 
-      if (eventDoc.exists()) {
-        setCurrentEvent({
-          id: eventDoc.id,
-          ...eventDoc.data()
-        });
-        setError(null);
-      } else {
+      if (!eventDoc.exists()) {
         setError('Event not found');
+        return false;
       }
+      if (eventDoc.data().organizationId !== organizationId) {
+        return false;
+      }
+      setCurrentEvent({
+        id: eventDoc.id,
+        ...eventDoc.data()
+      });
+      setError(null);
+      return true;
     } catch (err) {
       console.error('Error loading event:', err);
       setError(err.message);
+      return false;
     } finally {
       setLoading(false);
     }
@@ -0,0 +1,115 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import { db, functions } from '../utils/firebase';
+import { doc, onSnapshot, updateDoc } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { useAuth, ROLES } from './AuthContext';
+
+const OrganizationContext = createContext(null);
+
+export function useOrganization() {
+  const context = useContext(OrganizationContext);
+  if (!context) {
+    throw new Error('useOrganization must be used within an OrganizationProvider');
+  }
+  return context;
+}
+
+/**
+ * Organizations the signed-in admin or volunteer belongs to, and the one
+ * they are working in. Events, students and PDF templates are all read
+ * for the current organization.
+ */
+export function OrganizationProvider({ children }) {
+  const { user, userProfile, refreshProfile } = useAuth();
+  const [organizationsById, setOrganizationsById] = useState({});
+  const [organizationId, setOrganizationId] = useState(null);
+  const [error, setError] = useState(null);
+
+  const organizationIds = userProfile?.organizationIds || [];
+  const organizationKey = organizationIds.join(',');
+  const profileCollection = userProfile?.role === ROLES.ADMIN ? 'admins' : 'users';
+
+  useEffect(() => {
+    if (organizationIds.length === 0) {
+      setOrganizationId(null);
+      return;
+    }
+    setOrganizationId(current => {
+      if (organizationIds.includes(current)) return current;
+      return organizationIds.includes(userProfile?.selectedOrganizationId)
+        ? userProfile.selectedOrganizationId
+        : organizationIds[0];
+    });
+  }, [organizationKey, userProfile?.selectedOrganizationId]);
+
+  useEffect(() => {
+    setOrganizationsById({});
+    const unsubscribes = organizationIds.map(id => onSnapshot(doc(db, 'organizations', id), (snap) => {
+      setOrganizationsById(prev => ({
+        ...prev,
+        [id]: snap.exists() ? { id, ...snap.data() } : { id, name: 'Unknown organization' }
+      }));
+    }, (err) => {
+      console.error('Error loading organization:', err);
+      setError('Failed to load organizations');
+    }));
+
+    return () => unsubscribes.forEach(unsubscribe => unsubscribe());
+  }, [organizationKey]);
+
+  /**
+   * Switches organizations and remembers the choice on the user's profile
+   */
+  const switchOrganization = async (nextOrganizationId) => {
+    if (!user || !organizationIds.includes(nextOrganizationId)) return;
+    setOrganizationId(nextOrganizationId);
+    try {
+      await updateDoc(doc(db, profileCollection, user.uid), { selectedOrganizationId: nextOrganizationId });
+    } catch (err) {
+      console.error('Error switching organization:', err);
+      setError('Failed to save organization selection');
+    }
+  };
+
+  /**
+   * Starts a new organization with the caller as its first admin
+   */
+  const createOrganization = async (name) => {
+    const createOrganizationFunc = httpsCallable(functions, 'createOrganization');
+    const result = await createOrganizationFunc({ name });
+    await refreshProfile();
+    setOrganizationId(result.data.organizationId);
+    return result.data;
+  };
+
+  /**
+   * Saves the organization's name or PDF template settings
+   */
+  const updateOrganization = async (updates) => {
+    if (!organizationId) return;
+    await updateDoc(doc(db, 'organizations', organizationId), updates);
+  };
+
+  const organizations = organizationIds
+    .map(id => organizationsById[id])
+    .filter(Boolean)
+    .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+
+  const value = {
+    organizations,
+    organizationId,
+    currentOrganization: organizationsById[organizationId] || null,
+    error,
+    switchOrganization,
+    createOrganization,
+    updateOrganization,
+  };
+
+  return (
+    <OrganizationContext.Provider value={value}>
+      {children}
+    </OrganizationContext.Provider>
+  );
+}
+
+export default OrganizationContext;
@@ -1,129 +1,209 @@
-import { useState, useEffect, useCallback } from 'react';
+import { useState, useEffect, useCallback, useRef } from 'react';
 import { functions } from '../utils/firebase';
 import { httpsCallable } from 'firebase/functions';
 import {
+  queueCheckIn,
+  queueCheckOut,
   getPendingCheckIns,
   getPendingCheckOuts,
   deletePendingCheckIn,
   deletePendingCheckOut,
-  getPendingCounts
+  updatePendingCheckIn,
+  updatePendingCheckOut
 } from '../utils/offlineStorage';
 
+const QUEUE_TYPES = {
+  'check-in': {
+    functionName: 'checkIn',
+    queue: queueCheckIn,
+    remove: deletePendingCheckIn,
+    update: updatePendingCheckIn
+  },
+  'check-out': {
+    functionName: 'checkOut',
+    queue: queueCheckOut,
+    remove: deletePendingCheckOut,
+    update: updatePendingCheckOut
+  }
+};
+
+/**
+ * Replay one queued scan with the activity, scanner and original scan time
+ * it was captured with.
+ */
+async function replayItem(item) {
+  const replay = httpsCallable(functions, QUEUE_TYPES[item.type].functionName);
+  const result = await replay({
+    qrData: item.qrData,
+    studentId: item.studentId,
+    eventId: item.eventId,
+    activityId: item.activityId,
+    scannedBy: item.scannedBy,
+    scannedByName: item.scannedByName,
+    method: item.method,
+    clientTimestamp: item.timestamp
+  });
+
+  // A duplicate check-in stays queued as an error: the open entry may belong to
+  // another shift, and dropping the scan would lose this one
+  if (result.data?.success === false) {
+    throw new Error(result.data.error || 'Sync failed');
+  }
+}
+
 /**
  * Hook for managing offline sync operations
- * Automatically syncs pending check-ins and check-outs when online
+ * Queues scans taken while offline and replays them when back online.
+ * Failed replays stay in the queue with their error until retried or discarded.
  */
 export function useOfflineSync() {
   const [isOnline, setIsOnline] = useState(navigator.onLine);
   const [isSyncing, setIsSyncing] = useState(false);
+  const [pendingItems, setPendingItems] = useState([]);
   const [pendingCount, setPendingCount] = useState({ checkIns: 0, checkOuts: 0, total: 0 });
   const [syncErrors, setSyncErrors] = useState([]);
+  const isSyncingRef = useRef(false);
 
-  // Update online status
-  useEffect(() => {
-    const handleOnline = () => setIsOnline(true);
-    const handleOffline = () => setIsOnline(false);
-
-    window.addEventListener('online', handleOnline);
-    window.addEventListener('offline', handleOffline);
-
-    return () => {
-      window.removeEventListener('online', handleOnline);
-      window.removeEventListener('offline', handleOffline);
-    };
-  }, []);
-
-  // Update pending counts
+  // Reload the queue from IndexedDB, oldest scan first
   const updatePendingCounts = useCallback(async () => {
-    const counts = await getPendingCounts();
-    setPendingCount(counts);
+    const [checkIns, checkOuts] = await Promise.all([getPendingCheckIns(), getPendingCheckOuts()]);
+    const items = [
+      ...checkIns.map(item => ({ ...item, type: 'check-in' })),
+      ...checkOuts.map(item => ({ ...item, type: 'check-out' }))
+    ].sort((a, b) => a.timestamp - b.timestamp);
+
+    setPendingItems(items);
+    setPendingCount({ checkIns: checkIns.length, checkOuts: checkOuts.length, total: items.length });
+    return items;
   }, []);
 
-  // Check pending counts on mount and when online status changes
+  // Check pending counts on mount
   useEffect(() => {
     updatePendingCounts();
   }, [updatePendingCounts]);
 
   /**
-   * Sync all pending check-ins and check-outs
+   * Save a scan for later replay
+   * @param {'check-in'|'check-out'} type
+   * @param {Object} data - qrData, studentId, eventId, activityId, scannedBy, scannedByName, method
+   */
+  const queueScan = useCallback(async (type, data) => {
+    const id = await QUEUE_TYPES[type].queue(data);
+    await updatePendingCounts();
+    return id;
+  }, [updatePendingCounts]);
+
+  const syncItem = useCallback(async (item) => {
+    const { type, ...stored } = item;
+    try {
+      await replayItem(item);
+      await QUEUE_TYPES[type].remove(item.id);
+      return null;
+    } catch (error) {
+      console.error(`Failed to sync ${type}:`, error);
+      await QUEUE_TYPES[type].update({
+        ...stored,
+        lastError: error.message,
+        attempts: (stored.attempts || 0) + 1
+      });
+      return { type, item, error: error.message };
+    }
+  }, []);
+
+  /**
+   * Sync pending check-ins and check-outs. Items that already failed are
+   * skipped unless `includeFailed` is set, so one bad scan can't cause a
+   * retry loop.
    */
-  const syncPending = useCallback(async () => {
-    if (!isOnline || isSyncing) {
+  const syncPending = useCallback(async ({ includeFailed = false } = {}) => {
+    if (!navigator.onLine || isSyncingRef.current) {
       return { success: false, error: 'Cannot sync while offline or already syncing' };
     }
 
+    isSyncingRef.current = true;
     setIsSyncing(true);
     setSyncErrors([]);
     const errors = [];
 
     try {
-      // Sync check-ins
-      const pendingCheckIns = await getPendingCheckIns();
-      const checkInFunction = httpsCallable(functions, 'checkIn');
-
-      for (const item of pendingCheckIns) {
-        try {
-          await checkInFunction({
-            studentId: item.studentId,
-            eventId: item.eventId,
-            scannedBy: item.scannedBy || 'offline_sync'
-          });
-          await deletePendingCheckIn(item.id);
-        } catch (error) {
-          console.error('Failed to sync check-in:', error);
-          errors.push({ type: 'check-in', item, error: error.message });
-        }
-      }
+      // Replayed in scan order, so each check-out closes the check-in before it
+      const items = (await updatePendingCounts())
+        .filter(item => includeFailed || !item.lastError);
 
-      // Sync check-outs
-      const pendingCheckOuts = await getPendingCheckOuts();
-      const checkOutFunction = httpsCallable(functions, 'checkOut');
-
-      for (const item of pendingCheckOuts) {
-        try {
-          await checkOutFunction({
-            studentId: item.studentId,
-            eventId: item.eventId,
-            method: item.method || 'self_scan'
-          });
-          await deletePendingCheckOut(item.id);
-        } catch (error) {
-          console.error('Failed to sync check-out:', error);
-          errors.push({ type: 'check-out', item, error: error.message });
-        }
+      for (const item of items) {
+        const error = await syncItem(item);
+        if (error) errors.push(error);
       }
 
-      // Update counts
       await updatePendingCounts();
 
       setSyncErrors(errors);
       return {
         success: errors.length === 0,
-        syncedCount: pendingCheckIns.length + pendingCheckOuts.length - errors.length,
+        syncedCount: items.length - errors.length,
         errors
       };
     } catch (error) {
       console.error('Sync error:', error);
       return { success: false, error: error.message };
     } finally {
+      isSyncingRef.current = false;
       setIsSyncing(false);
     }
-  }, [isOnline, isSyncing, updatePendingCounts]);
+  }, [syncItem, updatePendingCounts]);
+
+  /**
+   * Retry a single queued scan
+   */
+  const retryItem = useCallback(async (item) => {
+    const error = await syncItem(item);
+    await updatePendingCounts();
+    return { success: !error, error: error?.error };
+  }, [syncItem, updatePendingCounts]);
+
+  /**
+   * Drop a queued scan without replaying it
+   */
+  const discardItem = useCallback(async (item) => {
+    await QUEUE_TYPES[item.type].remove(item.id);
+    await updatePendingCounts();
+  }, [updatePendingCounts]);
+
+  // Update online status; coming back online retries everything once
+  useEffect(() => {
+    const handleOnline = () => {
+      setIsOnline(true);
+      syncPending({ includeFailed: true });
+    };
+    const handleOffline = () => setIsOnline(false);
+
+    window.addEventListener('online', handleOnline);
+    window.addEventListener('offline', handleOffline);
+
+    return () => {
+      window.removeEventListener('online', handleOnline);
+      window.removeEventListener('offline', handleOffline);
+    };
+  }, [syncPending]);
 
-  // Auto-sync when coming back online
+  // Auto-sync newly queued items while online
+  const waitingCount = pendingItems.filter(item => !item.lastError).length;
   useEffect(() => {
-    if (isOnline && pendingCount.total > 0 && !isSyncing) {
-      console.log('Auto-syncing pending items...');
+    if (isOnline && waitingCount > 0) {
       syncPending();
     }
-  }, [isOnline, pendingCount.total, isSyncing, syncPending]);
+  }, [isOnline, waitingCount, syncPending]);
 
   return {
     isOnline,
     isSyncing,
+    pendingItems,
     pendingCount,
     syncErrors,
+    queueScan,
     syncPending,
+    retryItem,
+    discardItem,
     updatePendingCounts,
   };
 }
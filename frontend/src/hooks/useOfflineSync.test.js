@@ -0,0 +1,140 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { act, renderHook, waitFor } from '@testing-library/react';
+import { useOfflineSync } from './useOfflineSync';
+
+const mockStore = vi.hoisted(() => ({ checkIns: [], checkOuts: [] }));
+const mockCallables = vi.hoisted(() => ({ checkIn: vi.fn(), checkOut: vi.fn() }));
+
+vi.mock('../utils/firebase', () => ({
+  functions: {},
+}));
+
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn((functions, name) => mockCallables[name]),
+}));
+
+vi.mock('../utils/offlineStorage', () => {
+  const update = (key) => vi.fn(async (item) => {
+    mockStore[key] = mockStore[key].map(existing => (existing.id === item.id ? item : existing));
+  });
+  const remove = (key) => vi.fn(async (id) => {
+    mockStore[key] = mockStore[key].filter(item => item.id !== id);
+  });
+  return {
+    queueCheckIn: vi.fn(),
+    queueCheckOut: vi.fn(),
+    getPendingCheckIns: vi.fn(async () => [...mockStore.checkIns]),
+    getPendingCheckOuts: vi.fn(async () => [...mockStore.checkOuts]),
+    deletePendingCheckIn: remove('checkIns'),
+    deletePendingCheckOut: remove('checkOuts'),
+    updatePendingCheckIn: update('checkIns'),
+    updatePendingCheckOut: update('checkOuts'),
+  };
+});
+
+const scan = {
+  qrData: 'VBS|student1|event1|1|signature',
+  studentId: 'student1',
+  eventId: 'event1',
+  activityId: 'crafts',
+  scannedBy: 'av1',
+  scannedByName: 'Adult Volunteer',
+  method: 'av_scan',
+};
+
+describe('useOfflineSync', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockStore.checkIns = [];
+    mockStore.checkOuts = [];
+    mockCallables.checkIn.mockResolvedValue({ data: { success: true } });
+    mockCallables.checkOut.mockResolvedValue({ data: { success: true } });
+  });
+
+  it('should replay queued scans with activity, scanner and original scan time', async () => {
+    mockStore.checkOuts = [{ ...scan, id: 2, timestamp: 2000 }];
+    mockStore.checkIns = [{ ...scan, id: 1, timestamp: 1000 }];
+
+    const { result } = renderHook(() => useOfflineSync());
+
+    await waitFor(() => {
+      expect(result.current.pendingCount.total).toBe(0);
+    });
+
+    expect(mockCallables.checkIn).toHaveBeenCalledWith({ ...scan, clientTimestamp: 1000 });
+    expect(mockCallables.checkOut).toHaveBeenCalledWith({ ...scan, clientTimestamp: 2000 });
+    expect(mockCallables.checkIn.mock.invocationCallOrder[0])
+      .toBeLessThan(mockCallables.checkOut.mock.invocationCallOrder[0]);
+  });
+
+  it('should keep failed replays with their error instead of retrying in a loop', async () => {
+    mockCallables.checkOut.mockRejectedValue(new Error('No check-in found for today Sam'));
+    mockStore.checkOuts = [{ ...scan, id: 2, timestamp: 2000 }];
+
+    const { result } = renderHook(() => useOfflineSync());
+
+    await waitFor(() => {
+      expect(result.current.pendingItems[0]?.lastError).toBe('No check-in found for today Sam');
+    });
+    await act(async () => {});
+
+    expect(mockCallables.checkOut).toHaveBeenCalledTimes(1);
+    expect(result.current.pendingItems[0]).toEqual(expect.objectContaining({ type: 'check-out', attempts: 1 }));
+  });
+
+  it('should retry or discard a single failed item', async () => {
+    mockStore.checkIns = [{ ...scan, id: 1, timestamp: 1000, lastError: 'Student not found' }];
+    mockStore.checkOuts = [{ ...scan, id: 2, timestamp: 2000, lastError: 'Offline scan is too old' }];
+
+    const { result } = renderHook(() => useOfflineSync());
+    await waitFor(() => {
+      expect(result.current.pendingItems).toHaveLength(2);
+    });
+    expect(mockCallables.checkIn).not.toHaveBeenCalled();
+
+    await act(async () => {
+      await result.current.retryItem(result.current.pendingItems[0]);
+    });
+    expect(mockCallables.checkIn).toHaveBeenCalledTimes(1);
+    expect(result.current.pendingItems).toEqual([expect.objectContaining({ id: 2, type: 'check-out' })]);
+
+    await act(async () => {
+      await result.current.discardItem(result.current.pendingItems[0]);
+    });
+    expect(mockCallables.checkOut).not.toHaveBeenCalled();
+    expect(result.current.pendingCount.total).toBe(0);
+  });
+
+  it('should keep a duplicate check-in in the queue as an error', async () => {
+    mockCallables.checkIn.mockResolvedValue({ data: { success: false, duplicate: true, error: 'Already checked in' } });
+    mockStore.checkIns = [{ ...scan, id: 1, timestamp: 1000 }];
+
+    const { result } = renderHook(() => useOfflineSync());
+
+    await waitFor(() => {
+      expect(result.current.pendingItems[0]?.lastError).toBe('Already checked in');
+    });
+    expect(result.current.pendingCount.total).toBe(1);
+  });
+
+  it('should replay two shifts for one student in scan order', async () => {
+    const calls = [];
+    mockCallables.checkIn.mockImplementation(async ({ clientTimestamp }) => {
+      calls.push(`in@${clientTimestamp}`);
+      return { data: { success: true } };
+    });
+    mockCallables.checkOut.mockImplementation(async ({ clientTimestamp }) => {
+      calls.push(`out@${clientTimestamp}`);
+      return { data: { success: true } };
+    });
+    mockStore.checkIns = [{ ...scan, id: 1, timestamp: 1000 }, { ...scan, id: 3, timestamp: 3000 }];
+    mockStore.checkOuts = [{ ...scan, id: 2, timestamp: 2000 }, { ...scan, id: 4, timestamp: 4000 }];
+
+    const { result } = renderHook(() => useOfflineSync());
+
+    await waitFor(() => {
+      expect(result.current.pendingCount.total).toBe(0);
+    });
+    expect(calls).toEqual(['in@1000', 'out@2000', 'in@3000', 'out@4000']);
+  });
+});
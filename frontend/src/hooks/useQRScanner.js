@@ -100,6 +100,7 @@ export function useQRScanner(options = {}) {
             onSuccess?.({
               studentId: parsed.studentId,
               eventId: parsed.eventId,
+              badgeVersion: parsed.badgeVersion,
               rawData: decodedText
             });
           } else {
@@ -5,24 +5,26 @@ import {
   query,
   where,
   orderBy,
-  onSnapshot,
-  doc,
-  updateDoc
+  onSnapshot
 } from 'firebase/firestore';
 import { getTodayDateString } from '../utils/hourCalculations';
 
 /**
  * Hook for managing time entries
  * @param {Object} options - Query options
+ * @param {string} options.organizationId - Organization of the event (required by the security rules)
  * @param {string} options.eventId - Event ID to filter by
- * @param {string} options.date - Date to filter by (YYYY-MM-DD)
+ * @param {string} options.timeZone - Event's IANA zone, for today's date
+ * @param {string} options.date - Date to filter by (YYYY-MM-DD); defaults to today in timeZone
  * @param {string} options.studentId - Student ID to filter by
  * @param {boolean} options.realtime - Enable real-time updates
  */
 export function useTimeEntries(options = {}) {
   const {
+    organizationId,
     eventId,
-    date = getTodayDateString(),
+    timeZone,
+    date = getTodayDateString(timeZone),
     studentId,
     realtime = false
   } = options;
@@ -32,7 +34,7 @@ export function useTimeEntries(options = {}) {
   const [error, setError] = useState(null);
 
   useEffect(() => {
-    if (!eventId) {
+    if (!organizationId || !eventId) {
       setLoading(false);
       return;
     }
@@ -44,6 +46,7 @@ export function useTimeEntries(options = {}) {
     const timeEntriesRef = collection(db, 'timeEntries');
     let q = query(
       timeEntriesRef,
+      where('organizationId', '==', organizationId),
       where('eventId', '==', eventId)
     );
 
@@ -104,29 +107,12 @@ export function useTimeEntries(options = {}) {
           });
       });
     }
-  }, [eventId, date, studentId, realtime]);
-
-  /**
-   * Update a time entry
-   * @param {string} entryId - Entry ID to update
-   * @param {Object} updates - Fields to update
-   */
-  const updateTimeEntry = async (entryId, updates) => {
-    try {
-      const entryRef = doc(db, 'timeEntries', entryId);
-      await updateDoc(entryRef, updates);
-      return { success: true };
-    } catch (error) {
-      console.error('Error updating time entry:', error);
-      return { success: false, error: error.message };
-    }
-  };
+  }, [organizationId, eventId, date, studentId, realtime]);
 
   return {
     timeEntries,
     loading,
     error,
-    updateTimeEntry,
   };
 }
 
@@ -1,5 +1,5 @@
 import React, { useEffect, useMemo, useState } from 'react';
-import { collection, onSnapshot } from 'firebase/firestore';
+import { collection, onSnapshot, query, where } from 'firebase/firestore';
 import ActivityFeedList from '../components/ActivityFeed/ActivityFeedList';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
@@ -17,18 +17,22 @@ export default function ActivityPage() {
   const [activityFilter, setActivityFilter] = useState('all');
   const [actionFilter, setActionFilter] = useState('all');
   const [currentPage, setCurrentPage] = useState(1);
+  const organizationId = currentEvent?.organizationId;
   const { timeEntries, loading } = useTimeEntries({
+    organizationId,
     eventId: currentEvent?.id,
     date: null,
     realtime: true
   });
 
   useEffect(() => {
-    const unsubscribe = onSnapshot(collection(db, 'students'), (snapshot) => {
+    if (!organizationId) return undefined;
+    const studentsQuery = query(collection(db, 'students'), where('organizationId', '==', organizationId));
+    const unsubscribe = onSnapshot(studentsQuery, (snapshot) => {
       setStudents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
     });
     return () => unsubscribe();
-  }, []);
+  }, [organizationId]);
 
   const studentNameMap = useMemo(() => {
     const map = {};
@@ -0,0 +1,321 @@
+import React, { useEffect, useMemo, useState } from 'react';
+import { collection, onSnapshot, orderBy, query, Timestamp, where } from 'firebase/firestore';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import { useEvent } from '../contexts/EventContext';
+import { useOrganization } from '../contexts/OrganizationContext';
+import { db } from '../utils/firebase';
+import { formatActivityDateTime } from '../utils/activityFeed';
+import {
+  AUDIT_ACTION_LABELS,
+  buildAuditCsv,
+  describeAuditRecord,
+  filterAuditRecords,
+  getAuditActionLabel,
+  getAuditActorName,
+  getAuditStudentIds,
+  getAuditStudentLabel
+} from '../utils/auditLog';
+import { getTodayDateString } from '../utils/hourCalculations';
+
+const PAGE_SIZE = 50;
+const DEFAULT_RANGE_DAYS = 30;
+
+// YYYY-MM-DD string `days` before the given one
+const shiftDateString = (dateString, days) => {
+  const date = new Date(`${dateString}T12:00:00`);
+  date.setDate(date.getDate() - days);
+  return new Intl.DateTimeFormat('en-CA').format(date);
+};
+
+export default function AuditLogPage() {
+  const { currentEvent } = useEvent();
+  const { organizationId } = useOrganization();
+  const [records, setRecords] = useState([]);
+  const [students, setStudents] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [fromDate, setFromDate] = useState(() => shiftDateString(getTodayDateString(), DEFAULT_RANGE_DAYS));
+  const [toDate, setToDate] = useState(() => getTodayDateString());
+  const [actorFilter, setActorFilter] = useState('all');
+  const [actionFilter, setActionFilter] = useState('all');
+  const [studentFilter, setStudentFilter] = useState('all');
+  const [currentPage, setCurrentPage] = useState(1);
+
+  // The date range is applied in the query; the other filters run on the loaded records
+  useEffect(() => {
+    if (!organizationId || !fromDate || !toDate) return undefined;
+
+    setLoading(true);
+    const auditQuery = query(
+      collection(db, 'auditLog'),
+      where('organizationId', '==', organizationId),
+      where('performedAt', '>=', Timestamp.fromDate(new Date(`${fromDate}T00:00:00`))),
+      where('performedAt', '<=', Timestamp.fromDate(new Date(`${toDate}T23:59:59.999`))),
+      orderBy('performedAt', 'desc')
+    );
+
+    const unsubscribe = onSnapshot(auditQuery, (snapshot) => {
+      setRecords(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+      setError(null);
+      setLoading(false);
+    }, (err) => {
+      console.error('Error loading audit log:', err);
+      setError(err.message);
+      setLoading(false);
+    });
+    return () => unsubscribe();
+  }, [organizationId, fromDate, toDate]);
+
+  useEffect(() => {
+    if (!organizationId) return undefined;
+    const studentsQuery = query(collection(db, 'students'), where('organizationId', '==', organizationId));
+    const unsubscribe = onSnapshot(studentsQuery, (snapshot) => {
+      setStudents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    });
+    return () => unsubscribe();
+  }, [organizationId]);
+
+  const studentNameMap = useMemo(() => {
+    const map = {};
+    students.forEach(student => {
+      map[student.id] = [student.firstName, student.lastName].filter(Boolean).join(' ') || 'Student';
+    });
+    return map;
+  }, [students]);
+
+  const eventRecords = useMemo(() => (
+    filterAuditRecords(records, { eventId: currentEvent?.id })
+  ), [records, currentEvent?.id]);
+
+  // Filter options only list actors and students that appear in the loaded range
+  const actorOptions = useMemo(() => {
+    const actors = new Map();
+    eventRecords.forEach(record => actors.set(record.performedBy, getAuditActorName(record)));
+    return [...actors.entries()].sort((a, b) => a[1].localeCompare(b[1]));
+  }, [eventRecords]);
+
+  const studentOptions = useMemo(() => {
+    const ids = new Set(eventRecords.flatMap(getAuditStudentIds));
+    return [...ids]
+      .map(id => [id, studentNameMap[id] || 'Unknown student'])
+      .sort((a, b) => a[1].localeCompare(b[1]));
+  }, [eventRecords, studentNameMap]);
+
+  const filteredRecords = useMemo(() => (
+    filterAuditRecords(eventRecords, {
+      actor: actorFilter,
+      action: actionFilter,
+      studentId: studentFilter
+    })
+  ), [eventRecords, actorFilter, actionFilter, studentFilter]);
+
+  const totalPages = Math.max(1, Math.ceil(filteredRecords.length / PAGE_SIZE));
+  const normalizedPage = Math.min(currentPage, totalPages);
+  const pageStartIndex = (normalizedPage - 1) * PAGE_SIZE;
+  const pageRecords = filteredRecords.slice(pageStartIndex, pageStartIndex + PAGE_SIZE);
+  const pageStart = filteredRecords.length === 0 ? 0 : pageStartIndex + 1;
+  const pageEnd = Math.min(pageStartIndex + PAGE_SIZE, filteredRecords.length);
+
+  useEffect(() => {
+    setCurrentPage(1);
+  }, [fromDate, toDate, actorFilter, actionFilter, studentFilter]);
+
+  const clearFilters = () => {
+    setFromDate(shiftDateString(getTodayDateString(), DEFAULT_RANGE_DAYS));
+    setToDate(getTodayDateString());
+    setActorFilter('all');
+    setActionFilter('all');
+    setStudentFilter('all');
+  };
+
+  const handleExportCSV = () => {
+    const blob = new Blob([buildAuditCsv(filteredRecords, studentNameMap)], { type: 'text/csv;charset=utf-8;' });
+    const link = document.createElement('a');
+    link.href = URL.createObjectURL(blob);
+    link.download = `audit-log-${fromDate}-to-${toDate}.csv`;
+    link.click();
+    URL.revokeObjectURL(link.href);
+  };
+
+  return (
+    <div className="min-h-screen bg-gray-50">
+      <div className="mx-auto max-w-7xl px-4 py-8 sm:px-6 lg:px-8">
+        <div className="mb-6 flex flex-col gap-3 sm:flex-row sm:items-end sm:justify-between">
+          <div>
+            <h1 className="text-3xl font-black tracking-tight text-gray-900">Audit</h1>
+            <p className="mt-1 text-sm font-medium text-gray-500">
+              {currentEvent?.name
+                ? `Admin changes for ${currentEvent.name}, plus user and student changes`
+                : 'Admin changes for the selected event, plus user and student changes'}
+            </p>
+          </div>
+          <Button
+            type="button"
+            variant="secondary"
+            onClick={handleExportCSV}
+            disabled={filteredRecords.length === 0}
+          >
+            Export CSV
+          </Button>
+        </div>
+
+        <div className="rounded-lg border border-gray-200 bg-white p-6 shadow-sm">
+          <div className="mb-5 grid gap-3 md:grid-cols-3 xl:grid-cols-[150px_150px_minmax(0,1fr)_minmax(0,1fr)_minmax(0,1fr)_auto]">
+            <Input
+              label="From"
+              aria-label="From date"
+              type="date"
+              value={fromDate}
+              max={toDate}
+              onChange={(event) => setFromDate(event.target.value)}
+            />
+            <Input
+              label="To"
+              aria-label="To date"
+              type="date"
+              value={toDate}
+              min={fromDate}
+              onChange={(event) => setToDate(event.target.value)}
+            />
+
+            <div>
+              <label htmlFor="audit-actor-filter" className="mb-1 block text-sm font-medium text-gray-700">
+                Performed By
+              </label>
+              <select
+                id="audit-actor-filter"
+                value={actorFilter}
+                onChange={(event) => setActorFilter(event.target.value)}
+                className="input-field"
+              >
+                <option value="all">Anyone</option>
+                {actorOptions.map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="audit-action-filter" className="mb-1 block text-sm font-medium text-gray-700">
+                Action
+              </label>
+              <select
+                id="audit-action-filter"
+                value={actionFilter}
+                onChange={(event) => setActionFilter(event.target.value)}
+                className="input-field"
+              >
+                <option value="all">All actions</option>
+                {Object.entries(AUDIT_ACTION_LABELS).map(([action, label]) => (
+                  <option key={action} value={action}>{label}</option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <label htmlFor="audit-student-filter" className="mb-1 block text-sm font-medium text-gray-700">
+                Student
+              </label>
+              <select
+                id="audit-student-filter"
+                value={studentFilter}
+                onChange={(event) => setStudentFilter(event.target.value)}
+                className="input-field"
+              >
+                <option value="all">All students</option>
+                {studentOptions.map(([id, name]) => (
+                  <option key={id} value={id}>{name}</option>
+                ))}
+              </select>
+            </div>
+
+            <div className="flex items-end">
+              <Button type="button" variant="secondary" onClick={clearFilters} className="w-full">
+                Clear
+              </Button>
+            </div>
+          </div>
+
+          {error && (
+            <div className="mb-4 rounded-lg border border-red-200 bg-red-50 p-3 text-sm text-red-700">
+              Failed to load the audit log: {error}
+            </div>
+          )}
+
+          {loading ? (
+            <p className="text-sm text-gray-500">Loading audit log...</p>
+          ) : (
+            <>
+              <div className="mb-3 flex flex-col gap-2 border-b border-gray-100 pb-3 text-sm text-gray-500 sm:flex-row sm:items-center sm:justify-between">
+                <span>
+                  Showing {pageStart}-{pageEnd} of {filteredRecords.length} changes
+                </span>
+                <span>
+                  Page {normalizedPage} of {totalPages}
+                </span>
+              </div>
+
+              {filteredRecords.length === 0 ? (
+                <p className="text-sm text-gray-500">No changes match these filters</p>
+              ) : (
+                <div className="overflow-x-auto">
+                  <table className="min-w-full divide-y divide-gray-200 text-sm">
+                    <thead>
+                      <tr className="text-left text-xs font-bold uppercase tracking-wide text-gray-500">
+                        <th className="py-2 pr-4">When</th>
+                        <th className="py-2 pr-4">Performed By</th>
+                        <th className="py-2 pr-4">Action</th>
+                        <th className="py-2 pr-4">Student / Target</th>
+                        <th className="py-2">Details</th>
+                      </tr>
+                    </thead>
+                    <tbody className="divide-y divide-gray-100">
+                      {pageRecords.map(record => (
+                        <tr key={record.id} className="align-top">
+                          <td className="whitespace-nowrap py-3 pr-4 text-gray-500">
+                            {formatActivityDateTime(record.performedAt)}
+                          </td>
+                          <td className="py-3 pr-4 font-semibold text-gray-800">{getAuditActorName(record)}</td>
+                          <td className="whitespace-nowrap py-3 pr-4 text-gray-700">{getAuditActionLabel(record.action)}</td>
+                          <td className="py-3 pr-4 text-gray-700">{getAuditStudentLabel(record, studentNameMap)}</td>
+                          <td className="py-3 text-gray-600">{describeAuditRecord(record)}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              )}
+
+              {filteredRecords.length > PAGE_SIZE && (
+                <div className="mt-5 flex items-center justify-between gap-3 border-t border-gray-100 pt-4">
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    size="sm"
+                    disabled={normalizedPage === 1}
+                    onClick={() => setCurrentPage(page => Math.max(1, page - 1))}
+                  >
+                    Previous
+                  </Button>
+                  <span className="text-sm font-medium text-gray-500">
+                    {pageStart}-{pageEnd} of {filteredRecords.length}
+                  </span>
+                  <Button
+                    type="button"
+                    variant="secondary"
+                    size="sm"
+                    disabled={normalizedPage === totalPages}
+                    onClick={() => setCurrentPage(page => Math.min(totalPages, page + 1))}
+                  >
+                    Next
+                  </Button>
+                </div>
+              )}
+            </>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
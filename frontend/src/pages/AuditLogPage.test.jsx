@@ -0,0 +1,133 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen, within } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import { where } from 'firebase/firestore';
+import AuditLogPage from './AuditLogPage';
+
+const mockStudents = [
+  { id: 'student1', firstName: 'Alice', lastName: 'Adams' },
+  { id: 'student2', firstName: 'Bob', lastName: 'Brown' },
+];
+
+const mockRecords = [
+  {
+    id: 'audit1',
+    action: 'time_entry_void',
+    eventId: 'event1',
+    studentId: 'student1',
+    performedBy: 'admin1',
+    performedByName: 'Pat Admin',
+    performedAt: new Date('2026-06-15T14:00:00'),
+    details: { reason: 'Duplicate scan', description: 'Entry voided. Reason: Duplicate scan' },
+  },
+  {
+    id: 'audit2',
+    action: 'force_checkout',
+    eventId: 'event1',
+    studentId: 'student2',
+    performedBy: 'admin2',
+    performedByName: 'Chris Coordinator',
+    performedAt: new Date('2026-06-15T18:00:00'),
+    details: { description: 'Forced Check-Out at 3:00 PM (Checked in: 9:00 AM). Reason: Forgot' },
+  },
+  {
+    id: 'audit3',
+    action: 'user_update',
+    eventId: null,
+    studentId: null,
+    performedBy: 'admin1',
+    performedByName: 'Pat Admin',
+    performedAt: new Date('2026-06-14T09:00:00'),
+    details: { email: 'av@test.com', description: 'Role changed from adult_volunteer to admin for av@test.com' },
+  },
+  {
+    id: 'audit4',
+    action: 'quick_checkin',
+    eventId: 'otherEvent',
+    studentId: 'student1',
+    performedBy: 'admin1',
+    performedAt: new Date('2026-06-13T09:00:00'),
+    details: { description: 'Quick Check-In at 9:00 AM' },
+  },
+];
+
+vi.mock('../utils/firebase', () => ({ db: {} }));
+
+vi.mock('firebase/firestore', () => ({
+  collection: vi.fn((db, path) => ({ _collPath: path })),
+  query: vi.fn((ref) => ref),
+  where: vi.fn(),
+  orderBy: vi.fn(),
+  Timestamp: { fromDate: vi.fn(date => date) },
+  onSnapshot: vi.fn((ref, callback) => {
+    const docs = ref?._collPath === 'students' ? mockStudents : mockRecords;
+    queueMicrotask(() => callback({
+      docs: docs.map(item => ({ id: item.id, data: () => item })),
+    }));
+    return vi.fn();
+  }),
+}));
+
+vi.mock('../contexts/EventContext', () => ({
+  useEvent: () => ({
+    currentEvent: { id: 'event1', organizationId: 'org1', name: 'VBS 2026' },
+  }),
+}));
+
+vi.mock('../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({ organizationId: 'org1' }),
+}));
+
+const getRows = () => screen.getAllByRole('row').slice(1);
+
+describe('AuditLogPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+  });
+
+  it('should list the event\'s changes and org-wide changes', async () => {
+    render(<AuditLogPage />);
+
+    expect(await screen.findByText('Entry voided. Reason: Duplicate scan')).toBeInTheDocument();
+    expect(screen.getByText('Role changed from adult_volunteer to admin for av@test.com')).toBeInTheDocument();
+    expect(screen.queryByText('Quick Check-In at 9:00 AM')).not.toBeInTheDocument();
+    expect(getRows()).toHaveLength(3);
+    expect(where).toHaveBeenCalledWith('performedAt', '>=', expect.any(Date));
+  });
+
+  it('should filter by actor, action and student', async () => {
+    const user = userEvent.setup();
+    render(<AuditLogPage />);
+    await screen.findByText('Entry voided. Reason: Duplicate scan');
+
+    await user.selectOptions(screen.getByLabelText('Performed By'), 'admin2');
+    expect(getRows()).toHaveLength(1);
+    expect(within(getRows()[0]).getByText('Bob Brown')).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Performed By'), 'all');
+    await user.selectOptions(screen.getByLabelText('Action'), 'user_update');
+    expect(getRows()).toHaveLength(1);
+    expect(within(getRows()[0]).getByText('av@test.com')).toBeInTheDocument();
+
+    await user.selectOptions(screen.getByLabelText('Action'), 'all');
+    await user.selectOptions(screen.getByLabelText('Student'), 'student1');
+    expect(getRows()).toHaveLength(1);
+    expect(within(getRows()[0]).getByText('Void')).toBeInTheDocument();
+  });
+
+  it('should export the filtered changes to CSV', async () => {
+    const user = userEvent.setup();
+    const createObjectURL = vi.fn(() => 'blob:audit');
+    const revokeObjectURL = vi.fn();
+    Object.assign(URL, { createObjectURL, revokeObjectURL });
+    const click = vi.spyOn(HTMLAnchorElement.prototype, 'click').mockImplementation(() => {});
+
+    render(<AuditLogPage />);
+    await screen.findByText('Entry voided. Reason: Duplicate scan');
+    await user.click(screen.getByRole('button', { name: 'Export CSV' }));
+
+    expect(createObjectURL).toHaveBeenCalledWith(expect.any(Blob));
+    expect(click).toHaveBeenCalled();
+    click.mockRestore();
+  });
+});
@@ -1,8 +1,10 @@
-import React, { useMemo, useRef, useState } from 'react';
+import React, { useEffect, useMemo, useRef, useState } from 'react';
 import { httpsCallable } from 'firebase/functions';
 import { functions } from '../utils/firebase';
 import useQRScanner from '../hooks/useQRScanner';
 import Spinner from '../components/common/Spinner';
+import HourGoalProgress from '../components/Students/HourGoalProgress';
+import { VERIFY_QUERY_PARAM, normalizeVerificationCode } from '../utils/attestations';
 
 const qrReaderId = 'hours-qr-reader';
 
@@ -34,6 +36,158 @@ function CheckIcon() {
   );
 }
 
+async function sha256Hex(file) {
+  const digest = await crypto.subtle.digest('SHA-256', await file.arrayBuffer());
+  return Array.from(new Uint8Array(digest), (byte) => byte.toString(16).padStart(2, '0')).join('');
+}
+
+/**
+ * Checks a signed hour form's verification code (and optionally a PDF copy)
+ * against what the supervisor attested and the hours on record now. Links
+ * printed on signed forms open it through `?verify=CODE`.
+ */
+function VerifySignedForm() {
+  const [code, setCode] = useState(() => new URLSearchParams(window.location.search).get(VERIFY_QUERY_PARAM) || '');
+  const [pdfFile, setPdfFile] = useState(null);
+  const [result, setResult] = useState(null);
+  const [verifying, setVerifying] = useState(false);
+  const [error, setError] = useState('');
+
+  const verify = async (codeToVerify, file) => {
+    if (!normalizeVerificationCode(codeToVerify)) {
+      setError('Enter the 12-character verification code printed on the form');
+      return;
+    }
+
+    setVerifying(true);
+    setError('');
+    setResult(null);
+    try {
+      const verifyAttestation = httpsCallable(functions, 'verifyAttestation');
+      const response = await verifyAttestation({
+        code: codeToVerify,
+        ...(file && { pdfSha256: await sha256Hex(file) }),
+      });
+      setResult(response.data);
+    } catch (err) {
+      setError(err.message || 'Unable to verify this form');
+    } finally {
+      setVerifying(false);
+    }
+  };
+
+  useEffect(() => {
+    if (code) verify(code, null);
+    // Only a code from the printed link is checked automatically
+  }, []);
+
+  const handleSubmit = (event) => {
+    event.preventDefault();
+    verify(code.trim(), pdfFile);
+  };
+
+  return (
+    <section className="mt-6 rounded-lg border border-gray-200 bg-white p-4 shadow-sm sm:p-6">
+      <h2 className="text-lg font-black text-gray-900">Verify a Signed Form</h2>
+      <p className="mt-1 text-sm text-gray-600">
+        Enter the verification code from the signature block of a supervisor-signed hour form.
+      </p>
+      <form onSubmit={handleSubmit} className="mt-4 grid gap-4 sm:grid-cols-[minmax(0,1fr)_minmax(0,1fr)_auto] sm:items-end">
+        <div>
+          <label htmlFor="verification-code" className="block text-sm font-bold text-gray-700">
+            Verification code
+          </label>
+          <input
+            id="verification-code"
+            type="text"
+            value={code}
+            onChange={(event) => setCode(event.target.value)}
+            placeholder="ABCD-EFGH-JKLM"
+            autoComplete="off"
+            className="mt-2 block w-full rounded-md border border-gray-300 px-3 py-2 font-mono text-sm uppercase shadow-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-200"
+          />
+        </div>
+        <div>
+          <label htmlFor="verification-pdf" className="block text-sm font-bold text-gray-700">
+            PDF copy (optional)
+          </label>
+          <input
+            id="verification-pdf"
+            type="file"
+            accept="application/pdf"
+            onChange={(event) => setPdfFile(event.target.files?.[0] || null)}
+            className="mt-2 block w-full text-sm text-gray-700"
+          />
+        </div>
+        <button
+          type="submit"
+          disabled={!code.trim() || verifying}
+          className="rounded-md bg-gray-900 px-4 py-2 text-sm font-bold text-white hover:bg-gray-800 disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          {verifying ? 'Verifying...' : 'Verify'}
+        </button>
+      </form>
+
+      {error && (
+        <div className="mt-4 rounded-md border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-800" role="alert">
+          {error}
+        </div>
+      )}
+
+      {result && (
+        <div className="mt-4 space-y-4">
+          <div className={`rounded-md border px-4 py-3 text-sm font-semibold ${
+            result.status === 'verified'
+              ? 'border-green-200 bg-green-50 text-green-800'
+              : 'border-amber-200 bg-amber-50 text-amber-900'
+          }`}>
+            {result.status === 'verified'
+              ? `Verified: ${formatHours(result.attestedHours)} signed by ${result.signerName} match the hours on record.`
+              : `Changed since signing: the form attests ${formatHours(result.attestedHours)}, the records now show ${
+                result.currentHours === null ? 'no hours' : formatHours(result.currentHours)
+              }${result.hoursMatch ? ' but individual entries were edited' : ''}.`}
+            {result.pdfMatches === true && ' The PDF is the original signed file.'}
+            {result.pdfMatches === false && ' The PDF does not match the signed file; it may have been altered.'}
+          </div>
+
+          <dl className="grid gap-3 text-sm text-gray-600 sm:grid-cols-4">
+            <div>
+              <dt className="font-bold text-gray-900">Volunteer</dt>
+              <dd>{result.studentName}</dd>
+            </div>
+            <div>
+              <dt className="font-bold text-gray-900">Event</dt>
+              <dd>{result.eventName}</dd>
+            </div>
+            <div>
+              <dt className="font-bold text-gray-900">Signed By</dt>
+              <dd>{result.signerTitle ? `${result.signerName}, ${result.signerTitle}` : result.signerName}</dd>
+            </div>
+            <div>
+              <dt className="font-bold text-gray-900">Signed</dt>
+              <dd>{formatDate(result.signedAt)}</dd>
+            </div>
+          </dl>
+
+          {result.activities.length > 0 && (
+            <div className="divide-y divide-gray-200 rounded-md border border-gray-200">
+              {result.activities.map((activity) => (
+                <div key={activity.name} className="flex items-center justify-between gap-3 px-4 py-2 text-sm">
+                  <span>
+                    <span className="font-bold text-gray-900">{activity.name}</span>
+                    {activity.dates && <span className="ml-2 text-gray-500">{activity.dates}</span>}
+                  </span>
+                  <span className="font-bold text-gray-700">{formatHours(activity.hours)}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </section>
+  );
+}
+
 export default function CheckHoursPage() {
   const [lookup, setLookup] = useState(null);
   const [selectedEventId, setSelectedEventId] = useState(null);
@@ -148,7 +302,7 @@ export default function CheckHoursPage() {
             <form onSubmit={handleManualSubmit} className="rounded-lg border border-gray-200 bg-white p-4 shadow-sm sm:p-6">
               <h2 className="text-lg font-black text-gray-900">Enter Badge Data</h2>
               <label htmlFor="manual-qr-data" className="mt-4 block text-sm font-bold text-gray-700">
-                QR code text or student ID
+                QR code text
               </label>
               <textarea
                 id="manual-qr-data"
@@ -156,7 +310,7 @@ export default function CheckHoursPage() {
                 onChange={(event) => setManualQrData(event.target.value)}
                 rows={4}
                 className="mt-2 block w-full rounded-md border border-gray-300 px-3 py-2 text-sm shadow-sm focus:border-primary-500 focus:outline-none focus:ring-2 focus:ring-primary-200"
-                placeholder="Scan a badge, or enter the student ID"
+                placeholder="Scan a badge, or paste the text printed in its QR code"
               />
               <button
                 type="submit"
@@ -190,6 +344,15 @@ export default function CheckHoursPage() {
                       <dt className="font-bold text-gray-900">School Form</dt>
                       <dd>{lookup.schoolForm?.name || 'No form configured'}</dd>
                     </div>
+                    {lookup.hourGoal && (
+                      <div>
+                        <dt className="font-bold text-gray-900">Hour Goal</dt>
+                        <dd>
+                          {formatHours(lookup.hourGoal.goalHours)}
+                          {lookup.goalReached && <span className="ml-1 font-bold text-green-700">· Goal reached</span>}
+                        </dd>
+                      </div>
+                    )}
                   </dl>
                 </div>
                 <button
@@ -226,7 +389,10 @@ export default function CheckHoursPage() {
                         {event.name}
                         {selectedEvent?.id === event.id && <CheckIcon />}
                       </span>
-                      <span className="mt-1 block text-xs font-bold text-gray-500">{formatHours(event.totalHours)}</span>
+                      <span className="mt-1 block text-xs font-bold text-gray-500">
+                        {formatHours(event.totalHours)}
+                        {event.goal?.reached && ' · Goal reached'}
+                      </span>
                     </button>
                   ))}
                   </nav>
@@ -237,6 +403,11 @@ export default function CheckHoursPage() {
                     <div className="border-b border-gray-200 p-4 sm:p-6">
                       <h3 className="text-xl font-black text-gray-900">{selectedEvent.name}</h3>
                       <p className="mt-1 text-sm font-bold text-primary-700">{formatHours(selectedEvent.totalHours)}</p>
+                      {selectedEvent.goal && (
+                        <div className="mt-3 max-w-sm">
+                          <HourGoalProgress progress={selectedEvent.goal} />
+                        </div>
+                      )}
                     </div>
                     <div className="divide-y divide-gray-200">
                       {selectedEvent.entries.map((entry) => (
@@ -263,6 +434,8 @@ export default function CheckHoursPage() {
             )}
           </section>
         )}
+
+        <VerifySignedForm />
       </main>
     </div>
   );
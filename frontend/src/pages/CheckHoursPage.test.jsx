@@ -3,13 +3,14 @@ import { act, fireEvent, render, screen, waitFor } from '@testing-library/react'
 import CheckHoursPage from './CheckHoursPage';
 
 const mockCheckHoursLogged = vi.fn();
+const mockVerifyAttestation = vi.fn();
 
 vi.mock('../utils/firebase', () => ({
   functions: {},
 }));
 
 vi.mock('firebase/functions', () => ({
-  httpsCallable: vi.fn(() => mockCheckHoursLogged),
+  httpsCallable: vi.fn((functions, name) => (name === 'verifyAttestation' ? mockVerifyAttestation : mockCheckHoursLogged)),
 }));
 
 vi.mock('html5-qrcode', () => ({
@@ -21,9 +22,28 @@ vi.mock('html5-qrcode', () => ({
   },
 }));
 
+const verifiedForm = {
+  success: true,
+  code: 'ABCD-EFGH-JKLM',
+  status: 'verified',
+  studentName: 'Jane Smith',
+  eventName: 'VBS 2026',
+  signerName: 'Mary Jones',
+  signerTitle: 'VBS Director',
+  signedAt: '2026-06-19T16:00:00.000Z',
+  attestedHours: 3,
+  currentHours: 3,
+  activities: [{ name: 'Work Hours', dates: '6/15/2026', hours: 3 }],
+  hoursMatch: true,
+  recordsMatch: true,
+  pdfMatches: null,
+};
+
 describe('CheckHoursPage', () => {
   beforeEach(() => {
     vi.clearAllMocks();
+    window.history.replaceState({}, '', '/hours');
+    mockVerifyAttestation.mockResolvedValue({ data: verifiedForm });
     mockCheckHoursLogged.mockResolvedValue({
       data: {
         success: true,
@@ -158,4 +178,91 @@ describe('CheckHoursPage', () => {
     expect(screen.getByRole('heading', { name: 'VBS 2026' })).toBeInTheDocument();
     expect(screen.getByText('Work Hours')).toBeInTheDocument();
   });
+
+  it('shows progress toward the school form\'s hour goal', async () => {
+    const { data } = await mockCheckHoursLogged();
+    const goal = { goalHours: 3, source: 'form', formName: 'Central High School Form' };
+    mockCheckHoursLogged.mockResolvedValueOnce({
+      data: {
+        ...data,
+        hourGoal: goal,
+        goalReached: true,
+        events: [
+          { ...data.events[0], goal: { goalHours: 3, totalHours: 2, remainingHours: 1, percent: 67, reached: false } },
+          { ...data.events[1], goal: { goalHours: 3, totalHours: 3, remainingHours: 0, percent: 100, reached: true } },
+        ],
+      },
+    });
+
+    render(<CheckHoursPage />);
+
+    act(() => {
+      fireEvent.change(screen.getByLabelText(/QR code text/i), {
+        target: { value: 'student1' },
+      });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /Continue/i }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText('Hour Goal')).toBeInTheDocument();
+    });
+    expect(screen.getByRole('button', { name: /VBS 2026/i })).toHaveTextContent('Goal reached');
+    expect(screen.getByRole('button', { name: /Setup Day/i })).not.toHaveTextContent('Goal reached');
+
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: /Setup Day/i }));
+    });
+
+    expect(screen.getByRole('progressbar', { name: '2.00 of 3 goal hours' })).toBeInTheDocument();
+    expect(screen.getByText('1 hour to go')).toBeInTheDocument();
+  });
+
+  it('verifies a signed form from the code in its printed link', async () => {
+    window.history.replaceState({}, '', '/hours?verify=ABCD-EFGH-JKLM');
+
+    render(<CheckHoursPage />);
+
+    expect(screen.getByLabelText('Verification code')).toHaveValue('ABCD-EFGH-JKLM');
+    await waitFor(() => {
+      expect(screen.getByText(/Verified: 3.00 hours signed by Mary Jones/)).toBeInTheDocument();
+    });
+    expect(mockVerifyAttestation).toHaveBeenCalledWith({ code: 'ABCD-EFGH-JKLM' });
+    expect(screen.getByText('Mary Jones, VBS Director')).toBeInTheDocument();
+    expect(screen.getByText('Work Hours')).toBeInTheDocument();
+  });
+
+  it('warns when hours changed after the form was signed', async () => {
+    mockVerifyAttestation.mockResolvedValueOnce({
+      data: { ...verifiedForm, status: 'changed', currentHours: 4, hoursMatch: false, recordsMatch: false, pdfMatches: false },
+    });
+    render(<CheckHoursPage />);
+
+    act(() => {
+      fireEvent.change(screen.getByLabelText('Verification code'), { target: { value: 'abcd efgh jklm' } });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+    });
+
+    await waitFor(() => {
+      expect(screen.getByText(/the form attests 3.00 hours, the records now show 4.00 hours/)).toBeInTheDocument();
+    });
+    expect(screen.getByText(/does not match the signed file/)).toBeInTheDocument();
+  });
+
+  it('rejects a malformed code without calling the server', async () => {
+    render(<CheckHoursPage />);
+
+    act(() => {
+      fireEvent.change(screen.getByLabelText('Verification code'), { target: { value: 'ABC' } });
+    });
+    await act(async () => {
+      fireEvent.click(screen.getByRole('button', { name: 'Verify' }));
+    });
+
+    expect(screen.getByRole('alert')).toHaveTextContent('Enter the 12-character verification code');
+    expect(mockVerifyAttestation).not.toHaveBeenCalled();
+  });
 });
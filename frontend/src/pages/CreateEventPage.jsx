@@ -4,18 +4,22 @@ import { db } from '../utils/firebase';
 import { collection, addDoc, serverTimestamp } from 'firebase/firestore';
 import Button from '../components/common/Button';
 import Input from '../components/common/Input';
+import { useOrganization } from '../contexts/OrganizationContext';
+import { COMMON_TIME_ZONES, DEFAULT_TIME_ZONE } from '../utils/timeZones';
 
 export default function CreateEventPage() {
   const navigate = useNavigate();
+  const { organizationId, currentOrganization } = useOrganization();
   const [loading, setLoading] = useState(false);
   const [formData, setFormData] = useState({
     name: '',
-    organizationName: '',
+    organizationName: currentOrganization?.name || '',
     startDate: '',
     endDate: '',
     supervisorName: '',
     typicalStartTime: '09:00',
-    typicalEndTime: '15:00'
+    typicalEndTime: '15:00',
+    timeZone: DEFAULT_TIME_ZONE
   });
 
   const handleSubmit = async (e) => {
@@ -26,6 +30,7 @@ export default function CreateEventPage() {
       // addDoc auto-generates a unique ID for the new event
       const docRef = await addDoc(collection(db, 'events'), {
         ...formData,
+        organizationId,
         createdAt: serverTimestamp() // Use server-side time for consistency
       });
 
@@ -66,6 +71,21 @@ export default function CreateEventPage() {
               <Input label="Typical End" type="time" name="typicalEndTime" value={formData.typicalEndTime} onChange={handleChange} />
             </div>
 
+            <div>
+              <label htmlFor="timeZone" className="block text-sm font-medium text-gray-700 mb-1">Time Zone</label>
+              <select
+                id="timeZone"
+                name="timeZone"
+                value={formData.timeZone}
+                onChange={handleChange}
+                className="input-field"
+              >
+                {COMMON_TIME_ZONES.map(zone => (
+                  <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                ))}
+              </select>
+            </div>
+
             <div className="flex gap-4 mt-8">
               <Button type="submit" variant="primary" className="w-full" disabled={loading}>
                 {loading ? 'Creating...' : 'Create Event'}
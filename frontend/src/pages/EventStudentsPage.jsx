@@ -17,16 +17,24 @@ import {
 } from 'firebase/firestore';
 import { ref, getDownloadURL } from 'firebase/storage';
 import { formatActivityDateRanges, generateFilledPdf, getEffectivePdfTemplate, mergePdfs, openPdfForPrinting } from '../utils/pdfTemplateUtils';
+import { roundHours } from '../utils/hourCalculations';
+import { formatDateInTimeZone, getEventTimeZone } from '../utils/timeZones';
+import { isCreditedEntry } from '../utils/reviewStatus';
+import { getFormCreditedHours, getHourGoal, getProjectedShortfalls } from '../utils/hourGoals';
+import { issueBadgePayloads, getRevokedBadgesMessage } from '../utils/badges';
 import { useAuth } from '../contexts/AuthContext';
 import { useEvent } from '../contexts/EventContext';
+import { useOrganization } from '../contexts/OrganizationContext';
 import Button from '../components/common/Button';
 import Spinner from '../components/common/Spinner';
 import PrintableBadge from '../components/common/PrintableBadge';
+import { RegistrationImportWizard } from '../components/Students';
 import { GRADE_LEVEL_OPTIONS } from '../utils/grades';
 
 export default function EventStudentsPage() {
     const { eventId: paramEventId } = useParams();
     const { currentEvent } = useEvent();
+    const { organizationId, currentOrganization } = useOrganization();
     const { user } = useAuth();
 
     // Use URL param when navigating from event card; fall back to the selected event in Operations
@@ -43,7 +51,7 @@ export default function EventStudentsPage() {
     const [removingStudentId, setRemovingStudentId] = useState(null);
     const [selectedStudents, setSelectedStudents] = useState(new Set());
     const [pdfTemplates, setPdfTemplates] = useState([]);
-    const [defaultTemplateId, setDefaultTemplateId] = useState(null);
+    const [pdfImages, setPdfImages] = useState([]);
 
     const [searchTerm, setSearchTerm] = useState('');
 
@@ -56,18 +64,28 @@ export default function EventStudentsPage() {
     const [importSelected, setImportSelected] = useState(new Set());
     const [importSaving, setImportSaving] = useState(false);
 
+    const [registrationImportOpen, setRegistrationImportOpen] = useState(false);
+
+    const defaultTemplateId = currentOrganization?.defaultPdfTemplateId || null;
+    const schoolAliases = currentOrganization?.schoolTemplateAliases || [];
+
+    // Every query names the organization, as the security rules require
+    const inOrganization = (collectionName, ...constraints) =>
+        query(collection(db, collectionName), where('organizationId', '==', organizationId), ...constraints);
+
     useEffect(() => {
-        const unsubTemplates = onSnapshot(collection(db, 'pdfTemplates'), snap => {
+        if (!organizationId) return;
+        const unsubTemplates = onSnapshot(inOrganization('pdfTemplates'), snap => {
             setPdfTemplates(snap.docs.map(d => ({ id: d.id, ...d.data() })));
         });
-        const unsubDefaults = onSnapshot(doc(db, 'settings', 'pdfDefaults'), snap => {
-            setDefaultTemplateId(snap.exists() ? snap.data().defaultTemplateId : null);
+        const unsubImages = onSnapshot(inOrganization('pdfImages'), snap => {
+            setPdfImages(snap.docs.map(d => ({ id: d.id, ...d.data() })));
         });
         return () => {
             unsubTemplates();
-            unsubDefaults();
+            unsubImages();
         };
-    }, []);
+    }, [organizationId]);
 
     // Load event — use context if available (Operations nav), otherwise fetch from Firestore
     useEffect(() => {
@@ -75,26 +93,28 @@ export default function EventStudentsPage() {
             setEvent(currentEvent);
             return;
         }
-        if (!eventId) return;
-        const unsub = onSnapshot(collection(db, 'events'), snap => {
+        if (!eventId || !organizationId) return;
+        const unsub = onSnapshot(inOrganization('events'), snap => {
             const found = snap.docs.find(d => d.id === eventId);
             if (found) setEvent({ id: found.id, ...found.data() });
         });
         return () => unsub();
-    }, [eventId, isOperationsView, currentEvent]);
+    }, [eventId, organizationId, isOperationsView, currentEvent]);
 
-    // Load all students
+    // Load the organization's students
     useEffect(() => {
-        const unsub = onSnapshot(collection(db, 'students'), snap => {
-            setAllStudents(snap.docs.map(d => ({ id: d.id, ...d.data() })));
+        if (!organizationId) return;
+        // Merged duplicates stay behind only as badge redirects
+        const unsub = onSnapshot(inOrganization('students'), snap => {
+            setAllStudents(snap.docs.map(d => ({ id: d.id, ...d.data() })).filter(s => !s.mergedInto));
         });
         return () => unsub();
-    }, []);
+    }, [organizationId]);
 
     // Load explicit eventStudents associations
     useEffect(() => {
-        if (!eventId) return;
-        const q = query(collection(db, 'eventStudents'), where('eventId', '==', eventId));
+        if (!eventId || !organizationId) return;
+        const q = inOrganization('eventStudents', where('eventId', '==', eventId));
         const unsub = onSnapshot(q, snap => {
             const docIds = {};
             snap.docs.forEach(d => {
@@ -103,12 +123,12 @@ export default function EventStudentsPage() {
             setEventStudentDocIds(docIds);
         });
         return () => unsub();
-    }, [eventId]);
+    }, [eventId, organizationId]);
 
     // Load students who have checked in at least once
     useEffect(() => {
-        if (!eventId) return;
-        const q = query(collection(db, 'timeEntries'), where('eventId', '==', eventId));
+        if (!eventId || !organizationId) return;
+        const q = inOrganization('timeEntries', where('eventId', '==', eventId));
         const unsub = onSnapshot(q, snap => {
             const ids = new Set();
             const entries = snap.docs.map(d => ({ id: d.id, ...d.data() }));
@@ -120,7 +140,7 @@ export default function EventStudentsPage() {
             setLoading(false);
         });
         return () => unsub();
-    }, [eventId]);
+    }, [eventId, organizationId]);
 
     const eventStudentIds = useMemo(
         () => new Set(Object.keys(eventStudentDocIds)),
@@ -218,8 +238,8 @@ export default function EventStudentsPage() {
                 return;
             }
 
-            const entriesQuery = query(
-                collection(db, 'timeEntries'),
+            const entriesQuery = inOrganization(
+                'timeEntries',
                 where('eventId', '==', eventId),
                 where('studentId', '==', studentId)
             );
@@ -251,12 +271,13 @@ export default function EventStudentsPage() {
         e.preventDefault();
         setAddingSaving(true);
         try {
-            const studentData = { ...addForm, overrideHours: 0, createdAt: serverTimestamp() };
+            const studentData = { ...addForm, organizationId, overrideHours: 0, createdAt: serverTimestamp() };
             if (!studentData.pdfTemplateId) delete studentData.pdfTemplateId;
             const docRef = await addDoc(collection(db, 'students'), {
                 ...studentData,
             });
             await addDoc(collection(db, 'eventStudents'), {
+                organizationId,
                 eventId,
                 studentId: docRef.id,
                 addedAt: serverTimestamp(),
@@ -278,6 +299,7 @@ export default function EventStudentsPage() {
             await Promise.all(
                 [...importSelected].map(studentId =>
                     addDoc(collection(db, 'eventStudents'), {
+                        organizationId,
                         eventId,
                         studentId,
                         addedAt: serverTimestamp(),
@@ -303,7 +325,7 @@ export default function EventStudentsPage() {
         });
     };
 
-    const roundTime = (hours) => Math.round(hours * 4) / 4;
+    const roundTime = (hours) => roundHours(hours, currentEvent?.hourRounding);
 
     const PRINT_STYLES = `
         body { background: white; margin: 0; padding: 0; }
@@ -319,16 +341,16 @@ export default function EventStudentsPage() {
         if (!event?.activities || eventEntries.length === 0) return [];
 
         return event.activities.map(activity => {
+            // Only hours approved in Daily Review are reported
             const activityEntries = eventEntries.filter(entry =>
                 entry.studentId === studentId &&
                 entry.activityId === activity.id &&
-                entry.checkOutTime &&
-                !entry.isVoided
+                isCreditedEntry(entry)
             );
             if (activityEntries.length === 0) return null;
 
             const uniqueDates = [...new Set(activityEntries.map(entry =>
-                new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(entry.checkInTime.toDate())
+                formatDateInTimeZone(entry.checkInTime.toDate(), getEventTimeZone(event))
             ))].sort();
 
             const totalHours = activityEntries.reduce((acc, entry) => {
@@ -346,11 +368,36 @@ export default function EventStudentsPage() {
     };
 
     const getEffectiveTemplate = (student) => {
-        return getEffectivePdfTemplate(student, pdfTemplates, defaultTemplateId);
+        return getEffectivePdfTemplate(student, pdfTemplates, defaultTemplateId, schoolAliases);
     };
 
-    const handlePrintBadges = () => {
-        const studentsToPrint = getStudentsToPrint();
+    // Students whose pace so far leaves them short of their hour goal at the end of the event
+    const getShortfalls = () => getProjectedShortfalls(
+        eventStudents.map(student => ({
+            student,
+            totalHours: getFormCreditedHours(eventEntries.filter(entry => entry.studentId === student.id), student, event),
+            goal: getHourGoal(student, getEffectiveTemplate(student)),
+        })),
+        event
+    );
+
+    const handlePrintBadges = async () => {
+        const requested = getStudentsToPrint();
+        let badges;
+        try {
+            badges = await issueBadgePayloads(eventId, requested.map(student => student.id));
+        } catch (err) {
+            console.error('Error issuing badges:', err);
+            alert('Failed to issue badges: ' + err.message);
+            return;
+        }
+
+        const revokedMessage = getRevokedBadgesMessage(requested, badges.revoked);
+        if (revokedMessage) alert(revokedMessage);
+
+        const studentsToPrint = requested.filter(student => badges.payloads[student.id]);
+        if (studentsToPrint.length === 0) return;
+
         const pages = [];
         for (let i = 0; i < studentsToPrint.length; i += 8) {
             pages.push(studentsToPrint.slice(i, i + 8));
@@ -359,7 +406,7 @@ export default function EventStudentsPage() {
         const body = pages.map((pageStudents, pageIndex) => (
             `<div class="badge-page" data-page="${pageIndex + 1}">` +
             pageStudents.map(student => renderToStaticMarkup(
-                <PrintableBadge student={student} eventId={eventId} />
+                <PrintableBadge student={student} qrData={badges.payloads[student.id]} />
             )).join('') +
             Array.from({ length: Math.max(0, 8 - pageStudents.length) })
                 .map(() => '<div class="student-badge" style="border:none"></div>')
@@ -413,8 +460,8 @@ export default function EventStudentsPage() {
                         eventName: event?.name || '',
                         activityLog,
                         event,
-                        timeEntries: eventEntries.filter(entry => entry.studentId === student.id && !entry.isVoided),
-                    });
+                        timeEntries: eventEntries.filter(entry => entry.studentId === student.id && isCreditedEntry(entry)),
+                    }, { ...template, imageAssets: pdfImages });
                     allPdfBytes.push(pdfBytes);
                 }
 
@@ -437,6 +484,8 @@ export default function EventStudentsPage() {
         );
     }
 
+    const shortfalls = getShortfalls();
+
     return (
         <div>
             {/* Page header */}
@@ -490,6 +539,9 @@ export default function EventStudentsPage() {
                                 Import from System
                             </Button>
                         )}
+                        <Button variant="secondary" onClick={() => setRegistrationImportOpen(true)}>
+                            Import Registrations
+                        </Button>
                         <Button variant="primary" onClick={() => setAddStudentModal(true)}>
                             + Add Student
                         </Button>
@@ -623,6 +675,50 @@ export default function EventStudentsPage() {
                 </div>
             )}
 
+            {shortfalls.length > 0 && (
+                <section aria-label="Projected to fall short" className="mt-8 bg-white rounded-2xl shadow-sm border overflow-hidden">
+                    <div className="px-4 py-3 border-b bg-amber-50">
+                        <h3 className="text-sm font-black text-amber-900 uppercase tracking-wider">
+                            Projected to Fall Short ({shortfalls.length})
+                        </h3>
+                        <p className="text-xs text-amber-800 mt-0.5">
+                            At their pace so far, these students will not reach their hour goal by the end of the event.
+                        </p>
+                    </div>
+                    <table className="min-w-full divide-y divide-gray-200">
+                        <thead className="bg-gray-50">
+                            <tr className="text-left text-xs font-bold text-gray-400 uppercase tracking-wider">
+                                <th className="px-4 py-3">Student</th>
+                                <th className="px-4 py-3">Goal</th>
+                                <th className="px-4 py-3">Hours</th>
+                                <th className="px-4 py-3">Projected</th>
+                                <th className="px-4 py-3">Short By</th>
+                            </tr>
+                        </thead>
+                        <tbody className="divide-y divide-gray-100 text-sm">
+                            {shortfalls.map(({ student, goal, progress, projectedHours, shortfallHours }) => (
+                                <tr key={student.id}>
+                                    <td className="px-4 py-3">
+                                        <Link to={`/admin/settings/students/${student.id}`} className="font-bold text-gray-900 hover:text-primary-600">
+                                            {student.firstName} {student.lastName}
+                                        </Link>
+                                    </td>
+                                    <td className="px-4 py-3 text-gray-600">
+                                        {goal.goalHours} hrs
+                                        <span className="block text-xs text-gray-400">
+                                            {goal.source === 'student' ? 'Own goal' : goal.formName || 'Form goal'}
+                                        </span>
+                                    </td>
+                                    <td className="px-4 py-3 text-gray-600">{progress.totalHours.toFixed(2)}</td>
+                                    <td className="px-4 py-3 text-gray-600">{projectedHours.toFixed(2)}</td>
+                                    <td className="px-4 py-3 font-bold text-amber-700">{shortfallHours.toFixed(2)}</td>
+                                </tr>
+                            ))}
+                        </tbody>
+                    </table>
+                </section>
+            )}
+
             {/* Add Student Modal */}
             {addStudentModal && (
                 <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-50 backdrop-blur-sm">
@@ -791,6 +887,13 @@ export default function EventStudentsPage() {
                     </div>
                 </div>
             )}
+
+            <RegistrationImportWizard
+                isOpen={registrationImportOpen}
+                onClose={() => setRegistrationImportOpen(false)}
+                eventId={eventId}
+                eventName={event?.name}
+            />
         </div>
     );
 }
@@ -4,7 +4,12 @@ import userEvent from '@testing-library/user-event';
 import { MemoryRouter, Route, Routes } from 'react-router-dom';
 import EventStudentsPage from './EventStudentsPage';
 
-vi.mock('../utils/firebase', () => ({ db: {}, storage: {} }));
+vi.mock('../utils/firebase', () => ({ db: {}, storage: {}, functions: {} }));
+
+const mockIssueBadges = vi.hoisted(() => vi.fn());
+vi.mock('firebase/functions', () => ({
+    httpsCallable: vi.fn(() => mockIssueBadges),
+}));
 
 vi.mock('firebase/storage', () => ({
     ref: vi.fn(),
@@ -14,7 +19,7 @@ vi.mock('firebase/storage', () => ({
 vi.mock('../utils/pdfTemplateUtils', () => ({
     formatActivityDateRanges: vi.fn((dates = []) => dates.join(', ')),
     generateFilledPdf: vi.fn(() => Promise.resolve(new Uint8Array([1, 2, 3]))),
-    getEffectivePdfTemplate: vi.fn((student = {}, templates = [], defaultTemplateId = null) => {
+    getEffectivePdfTemplate: vi.fn((student = {}, templates = [], defaultTemplateId = null, schoolAliases = []) => {
         if (student.pdfTemplateId) {
             return templates.find(template => template.id === student.pdfTemplateId) || null;
         }
@@ -27,10 +32,13 @@ vi.mock('../utils/pdfTemplateUtils', () => ({
         });
         if (schoolTemplate) return schoolTemplate;
 
-        const ocpsTemplate = templates.find(template =>
-            `${template.name || ''} ${template.fileName || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '').includes('ocps')
+        const fallback = schoolAliases.find(rule => rule.school.length === 0);
+        const fallbackTemplate = fallback && templates.find(template =>
+            fallback.template.some(keyword =>
+                `${template.name || ''} ${template.fileName || ''}`.toLowerCase().replace(/[^a-z0-9]/g, '').includes(keyword)
+            )
         );
-        if (ocpsTemplate) return ocpsTemplate;
+        if (fallbackTemplate) return fallbackTemplate;
 
         return defaultTemplateId ? templates.find(template => template.id === defaultTemplateId) || null : null;
     }),
@@ -54,14 +62,15 @@ const mockStudents = [
 const mockEvents = [
     {
         id: 'event123',
+        organizationId: 'org1',
         name: 'VBS 2026',
         organizationName: 'Church',
         contactName: 'Coordinator',
-        activities: [{ id: 'activity1', name: 'Setup' }],
+        activities: [{ id: 'activity1', name: 'Setup', startDate: '2024-01-01', endDate: '2024-01-02' }],
     },
 ];
 
-const mockCurrentEvent = { id: 'event123', name: 'VBS 2026' };
+const mockCurrentEvent = { id: 'event123', organizationId: 'org1', name: 'VBS 2026' };
 const defaultPdfTemplates = [
     { id: 'template1', name: 'Central High Form', storagePath: 'templates/central.pdf', fields: [] },
     { id: 'template2', name: 'OCPS', fileName: 'ocps.pdf', storagePath: 'templates/ocps.pdf', fields: [] },
@@ -152,6 +161,18 @@ vi.mock('../contexts/EventContext', () => ({
     useEvent: () => ({ currentEvent: mockCurrentEvent }),
 }));
 
+vi.mock('../contexts/OrganizationContext', () => ({
+    useOrganization: () => ({
+        organizationId: 'org1',
+        currentOrganization: {
+            id: 'org1',
+            name: 'Church',
+            defaultPdfTemplateId: null,
+            schoolTemplateAliases: [{ school: [], template: ['ocps'] }],
+        },
+    }),
+}));
+
 const renderPage = () => render(
     <MemoryRouter initialEntries={['/admin/settings/events/event123/students']}>
         <Routes>
@@ -170,6 +191,13 @@ describe('EventStudentsPage', () => {
         mockBatchCommit = vi.fn().mockResolvedValue(undefined);
         window.alert = vi.fn();
         window.confirm = vi.fn(() => true);
+        mockIssueBadges.mockImplementation(async ({ eventId, studentIds }) => ({
+            data: {
+                success: true,
+                payloads: Object.fromEntries(studentIds.map(id => [id, `VBS|${id}|${eventId}|1|sig`])),
+                revoked: [],
+            },
+        }));
         global.fetch = vi.fn(() => Promise.resolve({
             arrayBuffer: () => Promise.resolve(new ArrayBuffer(8)),
         }));
@@ -253,7 +281,28 @@ describe('EventStudentsPage', () => {
         await user.click(screen.getByRole('checkbox', { name: /Select Alice Adams/i }));
         await user.click(screen.getByRole('button', { name: /Print Badges \(1\)/i }));
 
-        expect(printInNewWindow).toHaveBeenCalledTimes(1);
+        await waitFor(() => expect(printInNewWindow).toHaveBeenCalledTimes(1));
+        expect(mockIssueBadges).toHaveBeenCalledWith({ eventId: 'event123', studentIds: ['student1'] });
+        const printedHtml = printInNewWindow.mock.calls[0][0];
+        expect(printedHtml).toContain('Alice Adams');
+        expect(printedHtml).not.toContain('Bob Brown');
+    });
+
+    it('skips revoked badges and tells the admin which were left out', async () => {
+        const { printInNewWindow } = await import('../utils/printUtils');
+        mockIssueBadges.mockResolvedValueOnce({
+            data: { success: true, payloads: { student1: 'VBS|student1|event123|1|sig' }, revoked: ['student2'] },
+        });
+        const user = userEvent.setup();
+        renderPage();
+        await waitFor(() => expect(screen.getByText('Alice Adams')).toBeInTheDocument());
+
+        await user.click(screen.getByRole('checkbox', { name: /Select Alice Adams/i }));
+        await user.click(screen.getByRole('checkbox', { name: /Select Bob Brown/i }));
+        await user.click(screen.getByRole('button', { name: /Print Badges \(2\)/i }));
+
+        await waitFor(() => expect(printInNewWindow).toHaveBeenCalledTimes(1));
+        expect(window.alert).toHaveBeenCalledWith(expect.stringContaining('Bob Brown'));
         const printedHtml = printInNewWindow.mock.calls[0][0];
         expect(printedHtml).toContain('Alice Adams');
         expect(printedHtml).not.toContain('Bob Brown');
@@ -293,6 +342,21 @@ describe('EventStudentsPage', () => {
         expect(printInNewWindow).not.toHaveBeenCalled();
     });
 
+    it('lists students projected to fall short of their form\'s hour goal', async () => {
+        mockPdfTemplates = defaultPdfTemplates.map(template =>
+            template.id === 'template2' ? { ...template, hourGoal: 20 } : template
+        );
+        renderPage();
+        const report = await screen.findByRole('region', { name: 'Projected to fall short' });
+
+        const rows = within(report).getAllByRole('row');
+        expect(rows).toHaveLength(2);
+        expect(within(rows[1]).getByText('Bob Brown')).toBeInTheDocument();
+        expect(within(rows[1]).getByText('OCPS')).toBeInTheDocument();
+        expect(within(rows[1]).getByText('20.00')).toBeInTheDocument();
+        expect(within(report).queryByText('Alice Adams')).not.toBeInTheDocument();
+    });
+
     it('does not fall back to the old HTML report when a PDF template is missing', async () => {
         mockPdfTemplates = [];
         const { generateFilledPdf, openPdfForPrinting } = await import('../utils/pdfTemplateUtils');
@@ -509,5 +573,7 @@ describe('EventStudentsPage', () => {
         await waitFor(() => {
             expect(addDoc).toHaveBeenCalledTimes(2);
         });
+        expect(addDoc).toHaveBeenNthCalledWith(1, expect.anything(), expect.objectContaining({ organizationId: 'org1', firstName: 'Dan' }));
+        expect(addDoc).toHaveBeenNthCalledWith(2, expect.anything(), expect.objectContaining({ organizationId: 'org1', eventId: 'event123' }));
     });
 });
@@ -1,13 +1,20 @@
 import React, { useState, useEffect } from 'react';
 import { Link } from 'react-router-dom';
-import { db } from '../utils/firebase';
-import { collection, onSnapshot, doc, updateDoc, addDoc } from 'firebase/firestore';
+import { db, functions } from '../utils/firebase';
+import { collection, onSnapshot, doc, updateDoc, addDoc, query, where } from 'firebase/firestore';
+import { httpsCallable } from 'firebase/functions';
+import { normalizeRoundingPolicy, DEFAULT_ROUNDING_POLICY } from '../utils/hourCalculations';
+import { COMMON_TIME_ZONES, DEFAULT_TIME_ZONE, getEventTimeZone } from '../utils/timeZones';
+import { getShiftPolicy, MAX_SHIFT_HOURS_LIMIT, OVERNIGHT_POLICY_LABELS } from '../utils/overnightShifts';
+import { AUTO_CHECKOUT_POLICIES, AUTO_CHECKOUT_POLICY_LABELS, DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES, getAutoCheckoutPolicy } from '../utils/autoCheckout';
 import { useEvent } from '../contexts/EventContext';
+import { useOrganization } from '../contexts/OrganizationContext';
 import Spinner from '../components/common/Spinner';
 import Button from '../components/common/Button';
 
 export default function EventsPage() {
     const { currentEvent, switchActiveEvent } = useEvent();
+    const { organizationId, currentOrganization } = useOrganization();
     const [events, setEvents] = useState([]);
     const [loading, setLoading] = useState(true);
     const [isModalOpen, setIsModalOpen] = useState(false);
@@ -16,21 +23,31 @@ export default function EventsPage() {
     // Initial state for a brand new event
     const initialFormState = {
         name: '',
-        organizationName: '',
+        organizationName: currentOrganization?.name || '',
         contactName: '',
-        activities: [{ id: 'general', name: 'General Hours', startDate: '', endDate: '', startTime: '', endTime: '' }]
+        hourRounding: { ...DEFAULT_ROUNDING_POLICY },
+        timeZone: DEFAULT_TIME_ZONE,
+        ...getShiftPolicy(),
+        autoCheckoutPolicy: getAutoCheckoutPolicy(),
+        activities: [{ id: 'general', name: 'General Hours', startDate: '', endDate: '', startTime: '', endTime: '', autoCheckoutTime: '' }]
     };
 
     const [formData, setFormData] = useState(initialFormState);
 
-    // Listen for all events in real-time
+    // Listen for the organization's events in real-time
     useEffect(() => {
-        const unsubscribe = onSnapshot(collection(db, 'events'), (snapshot) => {
+        if (!organizationId) {
+            setEvents([]);
+            setLoading(false);
+            return;
+        }
+        const eventsQuery = query(collection(db, 'events'), where('organizationId', '==', organizationId));
+        const unsubscribe = onSnapshot(eventsQuery, (snapshot) => {
             setEvents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
             setLoading(false);
         });
         return () => unsubscribe();
-    }, []);
+    }, [organizationId]);
 
     // Handler for New Event button
     const handleCreateNew = () => {
@@ -46,12 +63,17 @@ export default function EventsPage() {
             name: event.name || '',
             organizationName: event.organizationName || '',
             contactName: event.contactName || '',
+            hourRounding: normalizeRoundingPolicy(event.hourRounding),
+            timeZone: getEventTimeZone(event),
+            ...getShiftPolicy(event),
+            autoCheckoutPolicy: getAutoCheckoutPolicy(event),
             activities: (event.activities || []).map(act => ({
                 ...act,
                 startDate: act.startDate || '',
                 endDate: act.endDate || '',
                 startTime: act.startTime || '',
-                endTime: act.endTime || ''
+                endTime: act.endTime || '',
+                autoCheckoutTime: act.autoCheckoutTime || ''
             }))
         });
         setIsModalOpen(true);
@@ -60,7 +82,7 @@ export default function EventsPage() {
     const handleAddActivity = () => {
         setFormData(prev => ({
             ...prev,
-            activities: [...prev.activities, { id: '', name: '', startDate: '', endDate: '', startTime: '', endTime: '' }]
+            activities: [...prev.activities, { id: '', name: '', startDate: '', endDate: '', startTime: '', endTime: '', autoCheckoutTime: '' }]
         }));
     };
 
@@ -87,8 +109,18 @@ export default function EventsPage() {
         try {
             if (editingEvent) {
                 await updateDoc(doc(db, 'events', editingEvent.id), formData);
+
+                // Stored hours were computed under the old policy; recompute them
+                const previousRounding = normalizeRoundingPolicy(editingEvent.hourRounding);
+                if (
+                    previousRounding.increment !== formData.hourRounding.increment ||
+                    previousRounding.mode !== formData.hourRounding.mode
+                ) {
+                    const recalculateEventHours = httpsCallable(functions, 'recalculateEventHours');
+                    await recalculateEventHours({ eventId: editingEvent.id });
+                }
             } else {
-                await addDoc(collection(db, 'events'), formData);
+                await addDoc(collection(db, 'events'), { ...formData, organizationId });
             }
             setIsModalOpen(false);
         } catch (err) {
@@ -233,6 +265,101 @@ export default function EventsPage() {
                                         placeholder="e.g. John Doe"
                                     />
                                 </div>
+
+                                <div className="grid grid-cols-2 gap-3">
+                                    <div>
+                                        <label htmlFor="hour-rounding-increment" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Hour Rounding</label>
+                                        <select
+                                            id="hour-rounding-increment"
+                                            className="w-full border-gray-200 border rounded-xl p-3 focus:ring-2 focus:ring-primary-500 outline-none"
+                                            value={formData.hourRounding.increment}
+                                            onChange={e => setFormData({ ...formData, hourRounding: { ...formData.hourRounding, increment: Number(e.target.value) } })}
+                                        >
+                                            <option value={0.25}>Quarter hour (0.25)</option>
+                                            <option value={0.5}>Half hour (0.5)</option>
+                                            <option value={0}>No rounding</option>
+                                        </select>
+                                    </div>
+                                    <div>
+                                        <label htmlFor="hour-rounding-mode" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Rounding Mode</label>
+                                        <select
+                                            id="hour-rounding-mode"
+                                            className="w-full border-gray-200 border rounded-xl p-3 focus:ring-2 focus:ring-primary-500 outline-none"
+                                            value={formData.hourRounding.mode}
+                                            onChange={e => setFormData({ ...formData, hourRounding: { ...formData.hourRounding, mode: e.target.value } })}
+                                            disabled={formData.hourRounding.increment === 0}
+                                        >
+                                            <option value="nearest">Nearest</option>
+                                            <option value="down">Round down</option>
+                                        </select>
+                                    </div>
+                                </div>
+
+                                <div>
+                                    <label htmlFor="event-time-zone" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Time Zone</label>
+                                    <select
+                                        id="event-time-zone"
+                                        className="w-full border-gray-200 border rounded-xl p-3 focus:ring-2 focus:ring-primary-500 outline-none"
+                                        value={formData.timeZone}
+                                        onChange={e => setFormData({ ...formData, timeZone: e.target.value })}
+                                    >
+                                        {[...new Set([...COMMON_TIME_ZONES, formData.timeZone])].map(zone => (
+                                            <option key={zone} value={zone}>{zone.replace(/_/g, ' ')}</option>
+                                        ))}
+                                    </select>
+                                    <p className="text-xs text-gray-400 mt-1">
+                                        Scan dates, early/late flags, activity dates and form times use this zone. Entries already recorded keep their dates.
+                                    </p>
+                                </div>
+
+                                <div className="grid grid-cols-2 gap-4">
+                                    <div>
+                                        <label htmlFor="event-max-shift-hours" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Max Shift (hours)</label>
+                                        <input
+                                            id="event-max-shift-hours"
+                                            type="number"
+                                            min={1}
+                                            max={MAX_SHIFT_HOURS_LIMIT}
+                                            className="w-full border-gray-200 border rounded-xl p-3 focus:ring-2 focus:ring-primary-500 outline-none"
+                                            value={formData.maxShiftHours}
+                                            onChange={e => setFormData({ ...formData, maxShiftHours: Number(e.target.value) })}
+                                            required
+                                        />
+                                    </div>
+                                    <div>
+                                        <label htmlFor="event-overnight-policy" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Overnight Shifts</label>
+                                        <select
+                                            id="event-overnight-policy"
+                                            className="w-full border-gray-200 border rounded-xl p-3 focus:ring-2 focus:ring-primary-500 outline-none"
+                                            value={formData.overnightPolicy}
+                                            onChange={e => setFormData({ ...formData, overnightPolicy: e.target.value })}
+                                        >
+                                            {Object.entries(OVERNIGHT_POLICY_LABELS).map(([policy, label]) => (
+                                                <option key={policy} value={policy}>{label}</option>
+                                            ))}
+                                        </select>
+                                    </div>
+                                    <p className="col-span-2 text-xs text-gray-400">
+                                        A check-out closes a check-in from an earlier day only within the max shift. Shifts past midnight show on Daily Review for every day they touch.
+                                    </p>
+                                </div>
+
+                                <div>
+                                    <label htmlFor="event-auto-checkout-policy" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Automatic Check-Out</label>
+                                    <select
+                                        id="event-auto-checkout-policy"
+                                        className="w-full border-gray-200 border rounded-xl p-3 focus:ring-2 focus:ring-primary-500 outline-none"
+                                        value={formData.autoCheckoutPolicy}
+                                        onChange={e => setFormData({ ...formData, autoCheckoutPolicy: e.target.value })}
+                                    >
+                                        {Object.entries(AUTO_CHECKOUT_POLICY_LABELS).map(([policy, label]) => (
+                                            <option key={policy} value={policy}>{label}</option>
+                                        ))}
+                                    </select>
+                                    <p className="text-xs text-gray-400 mt-1">
+                                        Entries still open after each activity&apos;s cutoff are closed, flagged and left for Daily Review. Leave this off for overnight events.
+                                    </p>
+                                </div>
                             </div>
 
                             <div className="border-t pt-6">
@@ -301,6 +428,18 @@ export default function EventsPage() {
                                                     />
                                                 </div>
                                             </div>
+                                            {formData.autoCheckoutPolicy !== AUTO_CHECKOUT_POLICIES.OFF && (
+                                                <div>
+                                                    <label className="block text-[8px] font-black text-gray-400 uppercase mb-1">Auto Check-Out Cutoff</label>
+                                                    <input
+                                                        type="time"
+                                                        className="w-full bg-white border border-gray-200 rounded-lg p-1.5 text-xs font-medium focus:ring-1 focus:ring-primary-500 outline-none"
+                                                        value={activity.autoCheckoutTime || ''}
+                                                        onChange={e => handleActivityChange(index, 'autoCheckoutTime', e.target.value)}
+                                                    />
+                                                    <p className="text-[9px] text-gray-400 mt-1">Blank: {DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES / 60} hours after the end time</p>
+                                                </div>
+                                            )}
                                         </div>
                                     ))}
                                 </div>
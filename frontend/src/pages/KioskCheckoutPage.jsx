@@ -0,0 +1,6 @@
+import React from 'react';
+import Kiosk from '../components/Kiosk';
+
+export default function KioskCheckoutPage() {
+  return <Kiosk />;
+}
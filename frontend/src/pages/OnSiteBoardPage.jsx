@@ -0,0 +1,6 @@
+import React from 'react';
+import OnSiteBoard from '../components/OnSiteBoard';
+
+export default function OnSiteBoardPage() {
+  return <OnSiteBoard />;
+}
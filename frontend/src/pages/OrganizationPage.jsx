@@ -0,0 +1,109 @@
+import React, { useEffect, useState } from 'react';
+import Button from '../components/common/Button';
+import Input from '../components/common/Input';
+import { useOrganization } from '../contexts/OrganizationContext';
+
+/**
+ * Organization settings: rename the current organization or start a new
+ * one. PDF template defaults and school rules live on the PDF Templates tab.
+ */
+export default function OrganizationPage() {
+  const { organizations, currentOrganization, createOrganization, updateOrganization } = useOrganization();
+  const [name, setName] = useState('');
+  const [newName, setNewName] = useState('');
+  const [saving, setSaving] = useState(false);
+  const [creating, setCreating] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  useEffect(() => {
+    setName(currentOrganization?.name || '');
+  }, [currentOrganization?.id, currentOrganization?.name]);
+
+  const handleRename = async (e) => {
+    e.preventDefault();
+    if (!name.trim()) return;
+    setSaving(true);
+    setMessage(null);
+    try {
+      await updateOrganization({ name: name.trim() });
+      setMessage({ type: 'success', text: 'Organization renamed' });
+    } catch (err) {
+      console.error('Error renaming organization:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    if (!newName.trim()) return;
+    setCreating(true);
+    setMessage(null);
+    try {
+      const result = await createOrganization(newName.trim());
+      setNewName('');
+      setMessage({ type: 'success', text: result.message });
+    } catch (err) {
+      console.error('Error creating organization:', err);
+      setMessage({ type: 'error', text: err.message });
+    } finally {
+      setCreating(false);
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      {message && (
+        <div className={`rounded-lg p-4 text-sm font-medium ${
+          message.type === 'success' ? 'bg-green-50 text-green-800' : 'bg-red-50 text-red-800'
+        }`}>
+          {message.text}
+        </div>
+      )}
+
+      {currentOrganization ? (
+        <form onSubmit={handleRename} className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
+          <div>
+            <h2 className="text-lg font-bold text-gray-900">Current Organization</h2>
+            <p className="text-sm text-gray-500 mt-1">
+              Events, students and PDF templates belong to one organization. You belong to {organizations.length} organization{organizations.length === 1 ? '' : 's'}.
+            </p>
+          </div>
+          <Input
+            label="Organization Name"
+            value={name}
+            onChange={(e) => setName(e.target.value)}
+            required
+          />
+          <div className="flex justify-end">
+            <Button type="submit" variant="primary" loading={saving}>Save Name</Button>
+          </div>
+        </form>
+      ) : (
+        <div className="bg-white rounded-2xl shadow-sm border p-6">
+          <p className="text-gray-600">You do not belong to an organization yet. Create one below to get started.</p>
+        </div>
+      )}
+
+      <form onSubmit={handleCreate} className="bg-white rounded-2xl shadow-sm border p-6 space-y-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900">New Organization</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Start a separate organization for another church. You become its first admin and can add users from the Users tab.
+          </p>
+        </div>
+        <Input
+          label="Organization Name"
+          value={newName}
+          onChange={(e) => setNewName(e.target.value)}
+          placeholder="e.g., Grace Community Church"
+          required
+        />
+        <div className="flex justify-end">
+          <Button type="submit" variant="secondary" loading={creating}>Create Organization</Button>
+        </div>
+      </form>
+    </div>
+  );
+}
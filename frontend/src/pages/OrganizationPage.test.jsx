@@ -0,0 +1,50 @@
+import { describe, it, expect, vi, beforeEach } from 'vitest';
+import { render, screen } from '@testing-library/react';
+import userEvent from '@testing-library/user-event';
+import OrganizationPage from './OrganizationPage';
+
+const mockCreateOrganization = vi.fn();
+const mockUpdateOrganization = vi.fn();
+
+vi.mock('../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({
+    organizations: [{ id: 'org1', name: 'Grace Church' }],
+    currentOrganization: { id: 'org1', name: 'Grace Church' },
+    createOrganization: mockCreateOrganization,
+    updateOrganization: mockUpdateOrganization,
+  }),
+}));
+
+describe('OrganizationPage', () => {
+  beforeEach(() => {
+    vi.clearAllMocks();
+    mockCreateOrganization.mockResolvedValue({ organizationId: 'org2', message: 'Created Hope Chapel' });
+    mockUpdateOrganization.mockResolvedValue(undefined);
+  });
+
+  it('should rename the current organization', async () => {
+    const user = userEvent.setup();
+    render(<OrganizationPage />);
+
+    const [nameInput] = screen.getAllByRole('textbox');
+    expect(nameInput).toHaveValue('Grace Church');
+
+    await user.clear(nameInput);
+    await user.type(nameInput, 'Grace Community Church');
+    await user.click(screen.getByRole('button', { name: 'Save Name' }));
+
+    expect(mockUpdateOrganization).toHaveBeenCalledWith({ name: 'Grace Community Church' });
+    expect(await screen.findByText('Organization renamed')).toBeInTheDocument();
+  });
+
+  it('should create a new organization', async () => {
+    const user = userEvent.setup();
+    render(<OrganizationPage />);
+
+    await user.type(screen.getByPlaceholderText('e.g., Grace Community Church'), 'Hope Chapel');
+    await user.click(screen.getByRole('button', { name: 'Create Organization' }));
+
+    expect(mockCreateOrganization).toHaveBeenCalledWith('Hope Chapel');
+    expect(await screen.findByText('Created Hope Chapel')).toBeInTheDocument();
+  });
+});
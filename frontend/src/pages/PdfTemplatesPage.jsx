@@ -1,12 +1,19 @@
-import React, { useState, useEffect, useRef, useCallback } from 'react';
+import React, { useState, useEffect, useRef, useCallback, useMemo } from 'react';
 import { db, storage } from '../utils/firebase';
-import { collection, addDoc, onSnapshot, deleteDoc, doc, updateDoc, setDoc } from 'firebase/firestore';
+import { collection, addDoc, onSnapshot, deleteDoc, doc, updateDoc, query, where, getDocs } from 'firebase/firestore';
 import { ref, uploadBytes, getDownloadURL, deleteObject } from 'firebase/storage';
-import { FIELD_KEY_OPTIONS, ACTIVITY_COLUMN_OPTIONS, DETAIL_COLUMN_OPTIONS, getPdfPageDimensions, renderPdfPageToImage } from '../utils/pdfTemplateUtils';
+import { FIELD_KEY_OPTIONS, ACTIVITY_COLUMN_OPTIONS, DETAIL_COLUMN_OPTIONS, getEffectivePdfTemplate, getPdfPageDimensions, loadImageBytes, loadPdfFormFields, renderPdfPageToImage } from '../utils/pdfTemplateUtils';
+import { OVERFLOW_STRATEGIES, OVERFLOW_STRATEGY_LABELS, findOverflowingStudents, getOverflowPolicy } from '../utils/pdfOverflow';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
 import Spinner from '../components/common/Spinner';
 import JSZip from 'jszip';
+import { useOrganization } from '../contexts/OrganizationContext';
+import { useEvent } from '../contexts/EventContext';
+import { MAX_HOUR_GOAL, normalizeHourGoal } from '../utils/hourGoals';
+import { normalizeFormFieldBindings } from '../utils/acroForm';
+import { TEXT_ALIGNMENTS, TEXT_ALIGNMENT_LABELS, getTextAlign, isFontFileName } from '../utils/pdfFonts';
+import { IMAGE_CONTENT_TYPES, IMAGE_KINDS, IMAGE_KIND_LABELS, MAX_IMAGE_BYTES } from '../utils/pdfImages';
 
 const EXPORT_VERSION = '1';
 
@@ -30,6 +37,11 @@ function buildExportPayload(templateList) {
       pageWidth: t.pageWidth || 612,
       pageHeight: t.pageHeight || 792,
       pageCount: t.pageCount || 1,
+      hourGoal: t.hourGoal ?? null,
+      overflow: t.overflow ?? null,
+      formFields: t.formFields ?? null,
+      flattenForm: t.flattenForm ?? null,
+      font: t.font ?? null,
       fields: t.fields || [],
     })),
   };
@@ -71,27 +83,31 @@ function buildCustomTableColumn(isDetail) {
 }
 
 export default function PdfTemplatesPage() {
+  const { organizationId, currentOrganization, updateOrganization } = useOrganization();
+  const { currentEvent, events } = useEvent();
   const [templates, setTemplates] = useState([]);
-  const [defaultTemplateId, setDefaultTemplateId] = useState(null);
   const [loading, setLoading] = useState(true);
   const [uploadModal, setUploadModal] = useState({ isOpen: false });
   const [mapperModal, setMapperModal] = useState({ isOpen: false, template: null });
   const [importModal, setImportModal] = useState({ isOpen: false });
+  const defaultTemplateId = currentOrganization?.defaultPdfTemplateId || null;
 
   useEffect(() => {
-    const unsubTemplates = onSnapshot(collection(db, 'pdfTemplates'), (snapshot) => {
+    if (!organizationId) {
+      setLoading(false);
+      return undefined;
+    }
+    const templatesQuery = query(collection(db, 'pdfTemplates'), where('organizationId', '==', organizationId));
+    const unsubTemplates = onSnapshot(templatesQuery, (snapshot) => {
       setTemplates(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
       setLoading(false);
     });
-    const unsubDefaults = onSnapshot(doc(db, 'settings', 'pdfDefaults'), (snap) => {
-      setDefaultTemplateId(snap.exists() ? snap.data().defaultTemplateId : null);
-    });
-    return () => { unsubTemplates(); unsubDefaults(); };
-  }, []);
+    return () => unsubTemplates();
+  }, [organizationId]);
 
   const handleSetDefault = async (templateId) => {
     try {
-      await setDoc(doc(db, 'settings', 'pdfDefaults'), { defaultTemplateId: templateId });
+      await updateOrganization({ defaultPdfTemplateId: templateId });
     } catch (err) {
       alert('Failed to set default template: ' + err.message);
     }
@@ -128,7 +144,7 @@ export default function PdfTemplatesPage() {
       }
       await deleteDoc(doc(db, 'pdfTemplates', template.id));
       if (template.id === defaultTemplateId) {
-        await setDoc(doc(db, 'settings', 'pdfDefaults'), { defaultTemplateId: null });
+        await updateOrganization({ defaultPdfTemplateId: null });
       }
     } catch (err) {
       alert('Failed to delete template: ' + err.message);
@@ -192,6 +208,8 @@ export default function PdfTemplatesPage() {
                   <p className="text-xs text-gray-400 mb-4">
                     {template.pageCount || 1} page{(template.pageCount || 1) > 1 ? 's' : ''}
                   </p>
+                  <TemplateHourGoal key={`${template.id}-${template.hourGoal ?? ''}`} template={template} />
+                  <TemplateFont template={template} templates={templates} />
                   <div className="flex gap-2 flex-wrap">
                     <Button
                       size="sm"
@@ -230,21 +248,37 @@ export default function PdfTemplatesPage() {
           </div>
         )}
 
+        <SchoolRulesPanel
+          key={organizationId}
+          rules={currentOrganization?.schoolTemplateAliases || []}
+          onSave={(schoolTemplateAliases) => updateOrganization({ schoolTemplateAliases })}
+        />
+
+        <TemplateImagesPanel
+          key={`images-${organizationId}`}
+          organizationId={organizationId}
+          currentEvent={currentEvent?.organizationId === organizationId ? currentEvent : null}
+          events={events || []}
+        />
+
         <UploadModal
           isOpen={uploadModal.isOpen}
           onClose={() => setUploadModal({ isOpen: false })}
+          organizationId={organizationId}
         />
 
         <ImportMappingModal
           isOpen={importModal.isOpen}
           onClose={() => setImportModal({ isOpen: false })}
           existingTemplates={templates}
+          organizationId={organizationId}
         />
 
         {mapperModal.isOpen && mapperModal.template && (
           <FieldMapperModal
             isOpen={mapperModal.isOpen}
             template={mapperModal.template}
+            templates={templates}
             onClose={() => setMapperModal({ isOpen: false, template: null })}
           />
         )}
@@ -253,10 +287,430 @@ export default function PdfTemplatesPage() {
   );
 }
 
+/**
+ * Service hours every student on this form should reach (`hourGoal`), shown
+ * as progress on the student pages. Saved when the field loses focus; a
+ * student's own goal overrides it.
+ */
+function TemplateHourGoal({ template }) {
+  const [value, setValue] = useState(template.hourGoal ?? '');
+  const [error, setError] = useState(null);
+
+  const handleSave = async () => {
+    const hourGoal = normalizeHourGoal(value);
+    if (value !== '' && !hourGoal) {
+      setError(`Enter up to ${MAX_HOUR_GOAL} hours, or leave blank for no goal`);
+      return;
+    }
+    setError(null);
+    if (hourGoal === (template.hourGoal ?? null)) return;
+    try {
+      await updateDoc(doc(db, 'pdfTemplates', template.id), { hourGoal });
+    } catch (err) {
+      setError('Failed to save hour goal: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label htmlFor={`hour-goal-${template.id}`} className="block text-xs font-medium text-gray-600 mb-1">
+        Hour Goal
+      </label>
+      <input
+        id={`hour-goal-${template.id}`}
+        type="number"
+        min="0"
+        step="0.5"
+        placeholder="No goal"
+        value={value}
+        onChange={e => setValue(e.target.value)}
+        onBlur={handleSave}
+        className="w-28 px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      />
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * The font this form prints in (`font`): Helvetica, or a TrueType or
+ * OpenType file uploaded here or already used by another template. Names
+ * Helvetica cannot print (Vietnamese, Chinese...) need an uploaded font.
+ */
+function TemplateFont({ template, templates }) {
+  const { organizationId } = useOrganization();
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  const fonts = useMemo(() => {
+    const byPath = new Map();
+    templates.forEach(t => {
+      if (t.font?.storagePath) byPath.set(t.font.storagePath, t.font);
+    });
+    return [...byPath.values()];
+  }, [templates]);
+
+  const saveFont = async (font) => {
+    try {
+      await updateDoc(doc(db, 'pdfTemplates', template.id), { font });
+    } catch (err) {
+      setError('Failed to save font: ' + err.message);
+    }
+  };
+
+  const handleSelect = (value) => {
+    if (value === 'upload') {
+      fileInputRef.current?.click();
+      return;
+    }
+    setError(null);
+    saveFont(fonts.find(font => font.storagePath === value) || null);
+  };
+
+  const handleUpload = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    if (!isFontFileName(file.name)) {
+      setError('Choose a .ttf or .otf font file');
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const storagePath = `pdfFonts/${organizationId}/${Date.now()}_${file.name}`;
+      const storageRef = ref(storage, storagePath);
+      await uploadBytes(storageRef, file);
+      const downloadURL = await getDownloadURL(storageRef);
+      await saveFont({ name: file.name.replace(/\.(ttf|otf)$/i, ''), fileName: file.name, storagePath, downloadURL });
+    } catch (err) {
+      setError('Failed to upload font: ' + err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  return (
+    <div className="mb-4">
+      <label htmlFor={`font-${template.id}`} className="block text-xs font-medium text-gray-600 mb-1">
+        Font
+      </label>
+      <select
+        id={`font-${template.id}`}
+        value={template.font?.storagePath || ''}
+        onChange={e => handleSelect(e.target.value)}
+        disabled={uploading}
+        className="px-2 py-1 border border-gray-300 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-primary-500"
+      >
+        <option value="">Helvetica (built in)</option>
+        {fonts.map(font => (
+          <option key={font.storagePath} value={font.storagePath}>{font.name || font.fileName}</option>
+        ))}
+        <option value="upload">Upload a font...</option>
+      </select>
+      <input
+        ref={fileInputRef}
+        type="file"
+        accept=".ttf,.otf,font/ttf,font/otf"
+        onChange={handleUpload}
+        className="hidden"
+        data-testid={`font-file-${template.id}`}
+      />
+      {uploading && <p className="text-xs text-gray-500 mt-1">Uploading font...</p>}
+      {error && <p className="text-xs text-red-600 mt-1">{error}</p>}
+    </div>
+  );
+}
+
+/**
+ * Organization school rules (`schoolTemplateAliases`). Students without an
+ * assigned template get the first template whose name contains one of the
+ * rule's template keywords when their school contains one of its school
+ * keywords. A rule with no school keywords applies to every other school.
+ */
+function SchoolRulesPanel({ rules, onSave }) {
+  const toRows = (items) => items.map(rule => ({
+    school: (rule.school || []).join(', '),
+    template: (rule.template || []).join(', '),
+  }));
+  const [rows, setRows] = useState(() => toRows(rules));
+  const [saving, setSaving] = useState(false);
+  const [message, setMessage] = useState(null);
+
+  const updateRow = (index, key, value) => {
+    setRows(prev => prev.map((row, i) => (i === index ? { ...row, [key]: value } : row)));
+    setMessage(null);
+  };
+
+  const splitKeywords = (value) => value.split(',').map(item => item.trim()).filter(Boolean);
+
+  const handleSave = async () => {
+    const nextRules = rows
+      .map(row => ({ school: splitKeywords(row.school), template: splitKeywords(row.template) }))
+      .filter(rule => rule.template.length > 0);
+    setSaving(true);
+    try {
+      await onSave(nextRules);
+      setRows(toRows(nextRules));
+      setMessage('School rules saved');
+    } catch (err) {
+      setMessage('Failed to save school rules: ' + err.message);
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border p-6 mt-8">
+      <div className="flex justify-between items-start mb-4">
+        <div>
+          <h2 className="text-lg font-bold text-gray-900">School Rules</h2>
+          <p className="text-sm text-gray-500 mt-1">
+            Pick a template by school for students without one assigned. Leave the school blank for a rule that covers every other school.
+          </p>
+        </div>
+        <Button size="sm" variant="secondary" onClick={() => setRows(prev => [...prev, { school: '', template: '' }])}>
+          Add Rule
+        </Button>
+      </div>
+      {rows.length === 0 ? (
+        <p className="text-sm text-gray-400">No school rules. Templates named after a school still match it.</p>
+      ) : (
+        <div className="space-y-3">
+          {rows.map((row, index) => (
+            <div key={index} className="flex flex-col md:flex-row gap-2 md:items-center">
+              <input
+                type="text"
+                value={row.school}
+                onChange={(e) => updateRow(index, 'school', e.target.value)}
+                placeholder="School name contains, e.g. Bishop Moore"
+                aria-label={`Rule ${index + 1} school keywords`}
+                className="input-field flex-1"
+              />
+              <input
+                type="text"
+                value={row.template}
+                onChange={(e) => updateRow(index, 'template', e.target.value)}
+                placeholder="Template name contains, e.g. BMCHS"
+                aria-label={`Rule ${index + 1} template keywords`}
+                className="input-field flex-1"
+              />
+              <Button
+                size="sm"
+                variant="danger"
+                onClick={() => setRows(prev => prev.filter((_, i) => i !== index))}
+              >
+                Remove
+              </Button>
+            </div>
+          ))}
+        </div>
+      )}
+      <div className="flex items-center justify-end gap-3 mt-4">
+        {message && <p className="text-sm text-gray-600">{message}</p>}
+        <Button size="sm" variant="primary" onClick={handleSave} loading={saving}>
+          Save Rules
+        </Button>
+      </div>
+    </div>
+  );
+}
+
+// Previews an uploaded image from its bytes; images have no download URLs
+function ImageThumbnail({ image }) {
+  const [src, setSrc] = useState(null);
+
+  useEffect(() => {
+    let url = null;
+    let cancelled = false;
+    loadImageBytes(image).then(bytes => {
+      if (cancelled || !bytes) return;
+      url = URL.createObjectURL(new Blob([bytes]));
+      setSrc(url);
+    });
+    return () => {
+      cancelled = true;
+      if (url) URL.revokeObjectURL(url);
+    };
+  }, [image]);
+
+  return src
+    ? <img src={src} alt={image.fileName} className="h-10 w-20 object-contain bg-white border rounded" />
+    : <div className="h-10 w-20 bg-white border rounded" />;
+}
+
+/**
+ * Signature, logo and stamp images drawn by the templates' image fields
+ * (`pdfImages`). Each image belongs to one event or to a supervisor, matched
+ * against an event's contact name; an event's own image wins.
+ */
+function TemplateImagesPanel({ organizationId, currentEvent, events }) {
+  const [images, setImages] = useState([]);
+  const [kind, setKind] = useState(IMAGE_KINDS[0]);
+  const [scope, setScope] = useState(currentEvent ? 'event' : 'supervisor');
+  const [supervisorName, setSupervisorName] = useState(currentEvent?.contactName || '');
+  const [file, setFile] = useState(null);
+  const [uploading, setUploading] = useState(false);
+  const [error, setError] = useState(null);
+  const fileInputRef = useRef(null);
+
+  useEffect(() => {
+    if (!organizationId) return undefined;
+    const imagesQuery = query(collection(db, 'pdfImages'), where('organizationId', '==', organizationId));
+    const unsubImages = onSnapshot(imagesQuery, (snapshot) => {
+      setImages(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
+    });
+    return () => unsubImages();
+  }, [organizationId]);
+
+  const describeOwner = (image) => {
+    if (image.scope === 'supervisor') return `Supervisor: ${image.supervisorName}`;
+    const event = events.find(e => e.id === image.eventId) || (currentEvent?.id === image.eventId ? currentEvent : null);
+    return `Event: ${event?.name || image.eventId}`;
+  };
+
+  const handleUpload = async () => {
+    if (!file) {
+      setError('Choose a PNG or JPEG image');
+      return;
+    }
+    if (!IMAGE_CONTENT_TYPES.includes(file.type)) {
+      setError('Only PNG and JPEG images are supported');
+      return;
+    }
+    if (file.size > MAX_IMAGE_BYTES) {
+      setError('Images must be smaller than 2 MB');
+      return;
+    }
+    if (scope === 'event' && !currentEvent) {
+      setError('Select an event first');
+      return;
+    }
+    if (scope === 'supervisor' && !supervisorName.trim()) {
+      setError('Enter the supervisor\'s name');
+      return;
+    }
+
+    setUploading(true);
+    setError(null);
+    try {
+      const storagePath = `pdfImages/${organizationId}/${Date.now()}_${file.name}`;
+      const storageRef = ref(storage, storagePath);
+      await uploadBytes(storageRef, file, { contentType: file.type });
+
+      await addDoc(collection(db, 'pdfImages'), {
+        organizationId,
+        kind,
+        scope,
+        ...(scope === 'event' ? { eventId: currentEvent.id } : { supervisorName: supervisorName.trim() }),
+        fileName: file.name,
+        storagePath,
+        createdAt: new Date(),
+      });
+
+      setFile(null);
+      if (fileInputRef.current) fileInputRef.current.value = '';
+    } catch (err) {
+      setError('Failed to upload image: ' + err.message);
+    } finally {
+      setUploading(false);
+    }
+  };
+
+  const handleDelete = async (image) => {
+    if (!window.confirm(`Delete ${IMAGE_KIND_LABELS[image.kind] || 'image'} "${image.fileName}"? Forms will print without it.`)) return;
+    try {
+      await deleteObject(ref(storage, image.storagePath)).catch(() => {});
+      await deleteDoc(doc(db, 'pdfImages', image.id));
+    } catch (err) {
+      setError('Failed to delete image: ' + err.message);
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl shadow-sm border p-6 mt-8">
+      <div className="mb-4">
+        <h2 className="text-lg font-bold text-gray-900">Signatures &amp; Stamps</h2>
+        <p className="text-sm text-gray-500 mt-1">
+          Images printed by a template&apos;s image fields. An event&apos;s own image is used first, then the one for its contact person.
+        </p>
+      </div>
+      {images.length === 0 ? (
+        <p className="text-sm text-gray-400 mb-4">No images uploaded. Image fields print blank until one is added.</p>
+      ) : (
+        <ul className="space-y-2 mb-4">
+          {images.map(image => (
+            <li key={image.id} className="flex items-center gap-3 px-3 py-2 rounded bg-gray-50 text-sm">
+              <ImageThumbnail image={image} />
+              <div className="flex-1 min-w-0">
+                <p className="font-medium text-gray-900">{IMAGE_KIND_LABELS[image.kind] || image.kind}</p>
+                <p className="text-xs text-gray-500 truncate">{describeOwner(image)} &middot; {image.fileName}</p>
+              </div>
+              <Button size="sm" variant="danger" onClick={() => handleDelete(image)}>
+                Delete
+              </Button>
+            </li>
+          ))}
+        </ul>
+      )}
+      <div className="flex flex-wrap items-end gap-3">
+        <div>
+          <label htmlFor="image-kind" className="block text-xs font-medium text-gray-600 mb-1">Image</label>
+          <select id="image-kind" value={kind} onChange={(e) => setKind(e.target.value)} className="input-field text-sm">
+            {IMAGE_KINDS.map(item => (
+              <option key={item} value={item}>{IMAGE_KIND_LABELS[item]}</option>
+            ))}
+          </select>
+        </div>
+        <div>
+          <label htmlFor="image-scope" className="block text-xs font-medium text-gray-600 mb-1">Used for</label>
+          <select id="image-scope" value={scope} onChange={(e) => setScope(e.target.value)} className="input-field text-sm">
+            <option value="event" disabled={!currentEvent}>
+              {currentEvent ? `This event (${currentEvent.name})` : 'This event (none selected)'}
+            </option>
+            <option value="supervisor">A supervisor</option>
+          </select>
+        </div>
+        {scope === 'supervisor' && (
+          <div>
+            <label htmlFor="image-supervisor" className="block text-xs font-medium text-gray-600 mb-1">Supervisor name</label>
+            <input
+              id="image-supervisor"
+              type="text"
+              value={supervisorName}
+              onChange={(e) => setSupervisorName(e.target.value)}
+              placeholder="As entered for the event contact"
+              className="input-field text-sm w-56"
+            />
+          </div>
+        )}
+        <input
+          ref={fileInputRef}
+          type="file"
+          accept={IMAGE_CONTENT_TYPES.join(',')}
+          onChange={(e) => {
+            setFile(e.target.files?.[0] || null);
+            setError(null);
+          }}
+          className="text-sm"
+          data-testid="image-file"
+        />
+        <Button size="sm" variant="primary" onClick={handleUpload} loading={uploading}>
+          Upload Image
+        </Button>
+      </div>
+      <p className="text-xs text-gray-400 mt-2">PNG or JPEG, under 2 MB. A transparent PNG prints best over a signature line.</p>
+      {error && <p className="text-sm text-red-600 mt-2">{error}</p>}
+    </div>
+  );
+}
+
 /**
  * Modal for uploading a new PDF template
  */
-function UploadModal({ isOpen, onClose }) {
+function UploadModal({ isOpen, onClose, organizationId }) {
   const [name, setName] = useState('');
   const [file, setFile] = useState(null);
   const [uploading, setUploading] = useState(false);
@@ -280,7 +734,7 @@ function UploadModal({ isOpen, onClose }) {
     setError(null);
 
     try {
-      const storagePath = `pdfTemplates/${Date.now()}_${file.name}`;
+      const storagePath = `pdfTemplates/${organizationId}/${Date.now()}_${file.name}`;
       const storageRef = ref(storage, storagePath);
       await uploadBytes(storageRef, file);
       const downloadURL = await getDownloadURL(storageRef);
@@ -289,6 +743,7 @@ function UploadModal({ isOpen, onClose }) {
       const dims = await getPdfPageDimensions(arrayBuffer);
 
       await addDoc(collection(db, 'pdfTemplates'), {
+        organizationId,
         name: name.trim(),
         fileName: file.name,
         storagePath,
@@ -354,7 +809,7 @@ function UploadModal({ isOpen, onClose }) {
  * Supports applying mappings to an existing template or creating a new entry
  * (optionally with a PDF file).
  */
-function ImportMappingModal({ isOpen, onClose, existingTemplates }) {
+function ImportMappingModal({ isOpen, onClose, existingTemplates, organizationId }) {
   const [jsonFile, setJsonFile] = useState(null);
   const [parsedData, setParsedData] = useState(null);
   const [selectedTemplateIdx, setSelectedTemplateIdx] = useState(0);
@@ -420,7 +875,13 @@ function ImportMappingModal({ isOpen, onClose, existingTemplates }) {
     try {
       if (targetMode === 'existing') {
         if (!existingTargetId) throw new Error('Please select a template to apply mappings to');
-        await updateDoc(doc(db, 'pdfTemplates', existingTargetId), { fields: tpl.fields });
+        await updateDoc(doc(db, 'pdfTemplates', existingTargetId), {
+          fields: tpl.fields,
+          ...(tpl.overflow ? { overflow: getOverflowPolicy(tpl.overflow) } : {}),
+          ...(tpl.formFields ? { formFields: normalizeFormFieldBindings(tpl.formFields) } : {}),
+          ...(typeof tpl.flattenForm === 'boolean' ? { flattenForm: tpl.flattenForm } : {}),
+          ...(tpl.font?.storagePath ? { font: tpl.font } : {}),
+        });
       } else {
         // Create new template entry
         let storagePath = null;
@@ -431,7 +892,7 @@ function ImportMappingModal({ isOpen, onClose, existingTemplates }) {
 
         if (pdfFile) {
           if (pdfFile.type !== 'application/pdf') throw new Error('Only PDF files are supported');
-          storagePath = `pdfTemplates/${Date.now()}_${pdfFile.name}`;
+          storagePath = `pdfTemplates/${organizationId}/${Date.now()}_${pdfFile.name}`;
           const storageRef = ref(storage, storagePath);
           await uploadBytes(storageRef, pdfFile);
           downloadURL = await getDownloadURL(storageRef);
@@ -446,6 +907,7 @@ function ImportMappingModal({ isOpen, onClose, existingTemplates }) {
         }
 
         await addDoc(collection(db, 'pdfTemplates'), {
+          organizationId,
           name: tpl.name,
           fileName: tpl.fileName || (pdfFile?.name ?? 'imported.pdf'),
           storagePath,
@@ -453,6 +915,11 @@ function ImportMappingModal({ isOpen, onClose, existingTemplates }) {
           pageWidth,
           pageHeight,
           pageCount,
+          hourGoal: normalizeHourGoal(tpl.hourGoal),
+          ...(tpl.overflow ? { overflow: getOverflowPolicy(tpl.overflow) } : {}),
+          ...(tpl.formFields ? { formFields: normalizeFormFieldBindings(tpl.formFields) } : {}),
+          ...(typeof tpl.flattenForm === 'boolean' ? { flattenForm: tpl.flattenForm } : {}),
+          ...(tpl.font?.storagePath ? { font: tpl.font } : {}),
           fields: tpl.fields,
           createdAt: new Date(),
         });
@@ -589,12 +1056,19 @@ function ImportMappingModal({ isOpen, onClose, existingTemplates }) {
 /**
  * Modal for interactively mapping fields onto the PDF template.
  */
-function FieldMapperModal({ isOpen, template, onClose }) {
+function FieldMapperModal({ isOpen, template, templates, onClose }) {
+  const { organizationId, currentOrganization } = useOrganization();
+  const { currentEvent } = useEvent();
   const [fields, setFields] = useState(template.fields || []);
+  const [overflow, setOverflow] = useState(() => getOverflowPolicy(template.overflow));
+  const [roster, setRoster] = useState(null);
+  const [pdfFormFields, setPdfFormFields] = useState([]);
+  const [formFields, setFormFields] = useState(template.formFields || []);
+  const [flattenForm, setFlattenForm] = useState(template.flattenForm ?? true);
   const [selectedFieldKey, setSelectedFieldKey] = useState(FIELD_KEY_OPTIONS[0].key);
   const [fontSize, setFontSize] = useState(12);
   const [saving, setSaving] = useState(false);
-  const [placingMode, setPlacingMode] = useState(null); // null, 'static', 'activityTable', 'detailTable', 'customStatic'
+  const [placingMode, setPlacingMode] = useState(null); // null, 'static', 'activityTable', 'detailTable', 'customStatic', 'image'
   const [currentPage, setCurrentPage] = useState(1);
   const [pdfImage, setPdfImage] = useState(null);
   const [pdfLoading, setPdfLoading] = useState(true);
@@ -624,6 +1098,9 @@ function FieldMapperModal({ isOpen, template, onClose }) {
   const [customLabel, setCustomLabel] = useState('');
   const [customValue, setCustomValue] = useState('');
 
+  // Image field config
+  const [imageKind, setImageKind] = useState(IMAGE_KINDS[0]);
+
   const previewRef = useRef(null);
   const pageWidth = template.pageWidth || 612;
   const pageHeight = template.pageHeight || 792;
@@ -676,6 +1153,55 @@ function FieldMapperModal({ isOpen, template, onClose }) {
     return () => { cancelled = true; };
   }, [template.downloadURL, currentPage]);
 
+  // Detect the PDF's own fillable fields so they can be bound to report data
+  useEffect(() => {
+    if (!template.downloadURL) return;
+
+    let cancelled = false;
+    loadPdfFormFields(template.downloadURL)
+      .then((detected) => {
+        if (!cancelled) setPdfFormFields(detected);
+      })
+      .catch((err) => console.error('Failed to read PDF form fields:', err));
+
+    return () => { cancelled = true; };
+  }, [template.downloadURL]);
+
+  // Load the current event's roster to warn when a student's rows would not fit this form's tables
+  useEffect(() => {
+    if (!currentEvent?.id || currentEvent.organizationId !== organizationId) return;
+
+    let cancelled = false;
+    Promise.all([
+      getDocs(query(collection(db, 'students'), where('organizationId', '==', organizationId))),
+      getDocs(query(
+        collection(db, 'timeEntries'),
+        where('organizationId', '==', organizationId),
+        where('eventId', '==', currentEvent.id)
+      )),
+    ])
+      .then(([studentsSnap, entriesSnap]) => {
+        if (cancelled) return;
+        setRoster({
+          students: studentsSnap.docs.map(d => ({ id: d.id, ...d.data() })).filter(student => !student.mergedInto),
+          entries: entriesSnap.docs.map(d => d.data()),
+        });
+      })
+      .catch((err) => console.error('Failed to load roster for overflow check:', err));
+
+    return () => { cancelled = true; };
+  }, [organizationId, currentEvent?.id, currentEvent?.organizationId]);
+
+  const overflowingStudents = useMemo(() => {
+    if (!roster) return [];
+    const defaultTemplateId = currentOrganization?.defaultPdfTemplateId || null;
+    const schoolAliases = currentOrganization?.schoolTemplateAliases || [];
+    const students = roster.students.filter(student =>
+      getEffectivePdfTemplate(student, templates, defaultTemplateId, schoolAliases)?.id === template.id
+    );
+    return findOverflowingStudents(fields, students, roster.entries, currentEvent);
+  }, [roster, fields, templates, template.id, currentOrganization, currentEvent]);
+
   // Convert click position to percentage coordinates
   const getPercentFromEvent = useCallback((e) => {
     const rect = previewRef.current.getBoundingClientRect();
@@ -776,11 +1302,31 @@ function FieldMapperModal({ isOpen, template, onClose }) {
       ]);
       setPlacingMode(null);
       setSelectedFieldId(newFieldId);
+    } else if (placingMode === 'image') {
+      const { xPercent, yPercent } = getPercentFromEvent(e);
+
+      const newFieldId = `field_${Date.now()}`;
+      setFields(prev => [
+        ...prev,
+        {
+          id: newFieldId,
+          type: 'image',
+          imageKind,
+          label: IMAGE_KIND_LABELS[imageKind],
+          xPercent,
+          yPercent,
+          widthPercent: 25,
+          heightPercent: 6,
+          page: currentPage - 1,
+        }
+      ]);
+      setPlacingMode(null);
+      setSelectedFieldId(newFieldId);
     } else {
       // Deselect if clicking on empty area
       setSelectedFieldId(null);
     }
-  }, [placingMode, dragging, justDragged, selectedFieldKey, fontSize, currentPage, getPercentFromEvent, atRowHeight, atMaxRows, atColumns, dtRowHeight, dtMaxRows, dtColumns, customLabel, customValue]);
+  }, [placingMode, dragging, justDragged, selectedFieldKey, fontSize, currentPage, getPercentFromEvent, atRowHeight, atMaxRows, atColumns, dtRowHeight, dtMaxRows, dtColumns, customLabel, customValue, imageKind]);
 
   // --- Drag support ---
   // For static fields: drag moves xPercent and yPercent
@@ -883,7 +1429,12 @@ function FieldMapperModal({ isOpen, template, onClose }) {
   const handleSave = async () => {
     setSaving(true);
     try {
-      await updateDoc(doc(db, 'pdfTemplates', template.id), { fields });
+      await updateDoc(doc(db, 'pdfTemplates', template.id), {
+        fields,
+        overflow,
+        formFields: normalizeFormFieldBindings(formFields),
+        flattenForm,
+      });
       onClose();
     } catch (err) {
       alert('Failed to save fields: ' + err.message);
@@ -893,6 +1444,14 @@ function FieldMapperModal({ isOpen, template, onClose }) {
   };
 
   const fieldsOnCurrentPage = fields.filter(f => (f.page || 0) === currentPage - 1);
+  const formFieldsOnCurrentPage = pdfFormFields.filter(f => f.page === currentPage - 1);
+
+  const updateFormFieldBinding = (name, binding) => {
+    setFormFields(prev => [
+      ...prev.filter(b => b.name !== name),
+      ...(binding ? [{ ...binding, name }] : []),
+    ]);
+  };
 
   return (
     <Modal
@@ -965,6 +1524,27 @@ function FieldMapperModal({ isOpen, template, onClose }) {
             >
               {placingMode === 'customStatic' ? 'Cancel' : 'Place Custom Field'}
             </Button>
+            <div className="border-l border-gray-300 h-8 mx-1" />
+            <div>
+              <label htmlFor="image-field-kind" className="block text-xs font-medium text-gray-600 mb-1">Image</label>
+              <select
+                id="image-field-kind"
+                value={imageKind}
+                onChange={(e) => setImageKind(e.target.value)}
+                className="input-field text-sm"
+              >
+                {IMAGE_KINDS.map(item => (
+                  <option key={item} value={item}>{IMAGE_KIND_LABELS[item]}</option>
+                ))}
+              </select>
+            </div>
+            <Button
+              size="sm"
+              variant={placingMode === 'image' ? 'danger' : 'secondary'}
+              onClick={() => setPlacingMode(placingMode === 'image' ? null : 'image')}
+            >
+              {placingMode === 'image' ? 'Cancel' : 'Place Image'}
+            </Button>
             <div className="ml-auto flex items-center gap-2">
               <label className="text-xs text-gray-500 flex items-center gap-1">
                 <input
@@ -1274,10 +1854,87 @@ function FieldMapperModal({ isOpen, template, onClose }) {
           )}
         </div>
 
+        {/* Table overflow */}
+        <div className="flex flex-wrap items-end gap-3 p-4 bg-gray-50 rounded-lg">
+          <div>
+            <label htmlFor="overflow-strategy" className="block text-xs font-medium text-gray-600 mb-1">When a table runs out of rows</label>
+            <select
+              id="overflow-strategy"
+              value={overflow.strategy}
+              onChange={(e) => setOverflow(prev => ({ ...prev, strategy: e.target.value }))}
+              className="input-field text-sm"
+            >
+              {OVERFLOW_STRATEGIES.map(strategy => (
+                <option key={strategy} value={strategy}>{OVERFLOW_STRATEGY_LABELS[strategy]}</option>
+              ))}
+            </select>
+          </div>
+          {overflow.strategy === 'continuation' && (
+            <div>
+              <label htmlFor="overflow-page" className="block text-xs font-medium text-gray-600 mb-1">Copy page</label>
+              <select
+                id="overflow-page"
+                value={overflow.continuationPage}
+                onChange={(e) => setOverflow(prev => ({ ...prev, continuationPage: Number(e.target.value) }))}
+                className="input-field text-sm"
+              >
+                {Array.from({ length: totalPages }, (_, index) => (
+                  <option key={index} value={index}>Page {index + 1}</option>
+                ))}
+              </select>
+            </div>
+          )}
+          <p className="text-xs text-gray-500 flex-1 min-w-[12rem]">
+            {overflow.strategy === 'continuation'
+              ? 'Tables on the copied page continue there; tables on other pages continue on an addendum page.'
+              : overflow.strategy === 'addendum'
+                ? 'Extra rows are listed on a generated page after the form.'
+                : 'Rows past a table\'s max rows are not printed, but still count toward total hours.'}
+          </p>
+        </div>
+
+        {overflowingStudents.length > 0 && (
+          <div
+            role="alert"
+            className={`p-3 rounded-lg border text-sm ${
+              overflow.strategy === 'truncate'
+                ? 'bg-red-50 border-red-200 text-red-800'
+                : 'bg-amber-50 border-amber-200 text-amber-800'
+            }`}
+          >
+            <p className="font-bold">
+              {overflowingStudents.length} student{overflowingStudents.length !== 1 ? 's' : ''} on {currentEvent?.name || 'this event'} {overflowingStudents.length !== 1 ? 'have' : 'has'} more rows than this form&apos;s tables hold.
+            </p>
+            <p className="mt-0.5">
+              {overflow.strategy === 'truncate'
+                ? 'Their extra rows will be left off the printed form.'
+                : overflow.strategy === 'continuation'
+                  ? `Their extra rows will continue on copies of page ${overflow.continuationPage + 1}.`
+                  : 'Their extra rows will be listed on an addendum page.'}
+            </p>
+            <ul className="mt-2 space-y-0.5 text-xs">
+              {overflowingStudents.slice(0, 5).map(({ student, tables }) => (
+                <li key={student.id}>
+                  {student.firstName} {student.lastName}: {tables.map(table =>
+                    `${table.rowCount} ${table.type === 'activityTable' ? 'activity' : 'entry'} rows (table holds ${table.maxRows})`
+                  ).join(', ')}
+                </li>
+              ))}
+              {overflowingStudents.length > 5 && <li>and {overflowingStudents.length - 5} more</li>}
+            </ul>
+          </div>
+        )}
+
         {placingMode === 'static' && (
           <p className="text-sm text-primary-600 font-medium">Click on the PDF to place the field. Drag to reposition after placement.</p>
         )}
 
+        {placingMode === 'image' && (
+          <p className="text-sm text-primary-600 font-medium">
+            Click on the PDF where the image&apos;s box should start (top left). The image is scaled to fit the box; upload it under Signatures &amp; Stamps.
+          </p>
+        )}
+
         {/* Selected field editor - shown ABOVE the PDF so it's always visible */}
         {selectedField && (
           <SelectedFieldEditor
@@ -1331,6 +1988,23 @@ function FieldMapperModal({ isOpen, template, onClose }) {
             />
           )}
 
+          {/* The PDF's own form fields */}
+          {formFieldsOnCurrentPage.map(formField => (
+            <div
+              key={formField.name}
+              className={`absolute border border-dashed pointer-events-none ${
+                formFields.some(b => b.name === formField.name) ? 'border-sky-500 bg-sky-100/40' : 'border-gray-400'
+              }`}
+              style={{
+                left: `${formField.xPercent}%`,
+                top: `${formField.yPercent}%`,
+                width: `${formField.widthPercent}%`,
+                height: `${formField.heightPercent}%`,
+              }}
+              title={formField.name}
+            />
+          ))}
+
           {/* Placed field markers */}
           {fieldsOnCurrentPage.map(field => (
             <FieldMarker
@@ -1347,6 +2021,37 @@ function FieldMapperModal({ isOpen, template, onClose }) {
           ))}
         </div>
 
+        {pdfFormFields.length > 0 && (
+          <div>
+            <div className="flex items-center justify-between mb-2">
+              <h4 className="text-sm font-bold text-gray-600 uppercase tracking-wider">Form Fields in this PDF ({pdfFormFields.length})</h4>
+              <label className="flex items-center gap-2 text-sm text-gray-700">
+                <input
+                  type="checkbox"
+                  checked={flattenForm}
+                  onChange={(e) => setFlattenForm(e.target.checked)}
+                />
+                Flatten form fields after filling
+              </label>
+            </div>
+            <p className="text-xs text-gray-500 mb-2">
+              This PDF has its own fillable fields. Choose what fills each one; unbound fields stay as they are.
+              Flattened forms can no longer be edited once printed or downloaded.
+            </p>
+            <div className="space-y-1">
+              {pdfFormFields.map(formField => (
+                <FormFieldBindingRow
+                  key={formField.name}
+                  formField={formField}
+                  binding={formFields.find(b => b.name === formField.name)}
+                  showPage={totalPages > 1}
+                  onChange={(binding) => updateFormFieldBinding(formField.name, binding)}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
         {/* Mapped fields list */}
         {fields.length > 0 && (
           <div>
@@ -1365,16 +2070,19 @@ function FieldMapperModal({ isOpen, template, onClose }) {
                       field.type === 'activityTable' ? 'text-green-700'
                       : field.type === 'detailTable' ? 'text-purple-700'
                       : field.type === 'customStatic' ? 'text-amber-700'
+                      : field.type === 'image' ? 'text-sky-700'
                       : 'text-gray-900'
                     }`}>
                       {field.type === 'activityTable' ? 'Activity Table (Summary)'
                         : field.type === 'detailTable' ? 'Detail Table'
                         : field.type === 'customStatic' ? `Custom: ${field.label}`
+                        : field.type === 'image' ? `Image: ${IMAGE_KIND_LABELS[field.imageKind] || field.imageKind}`
                         : field.label}
                     </span>
                     <span className="text-gray-400 ml-2 text-xs">
                       ({field.xPercent.toFixed(1)}%, {field.yPercent.toFixed(1)}%)
-                      {field.type !== 'activityTable' && field.type !== 'detailTable' && ` ${field.fontSize}pt`}
+                      {field.type === 'image' && ` ${field.widthPercent}% x ${field.heightPercent}%`}
+                      {!['activityTable', 'detailTable', 'image'].includes(field.type) && ` ${field.fontSize}pt`}
                       {(field.type === 'activityTable' || field.type === 'detailTable') && ` ${field.maxRows} rows, ${(field.columns || []).length} cols`}
                       {field.type === 'customStatic' && ` = "${field.customValue}"`}
                       {totalPages > 1 && ` | p${(field.page || 0) + 1}`}
@@ -1396,15 +2104,164 @@ function FieldMapperModal({ isOpen, template, onClose }) {
   );
 }
 
+const FORM_FIELD_TYPE_LABELS = {
+  text: 'Text',
+  checkbox: 'Check box',
+  dropdown: 'Dropdown',
+  radio: 'Radio buttons',
+  other: 'Other',
+};
+
+function getBindingChoice(binding) {
+  if (!binding) return '';
+  if (binding.source === 'field') return `field:${binding.fieldKey}`;
+  if (binding.source === 'table') return `table:${binding.table}`;
+  return 'custom';
+}
+
+/**
+ * Binds one of the PDF's own form fields to a static field, one cell of
+ * the activity or detail table, or fixed text.
+ */
+function FormFieldBindingRow({ formField, binding, showPage, onChange }) {
+  const choice = getBindingChoice(binding);
+  const columnOptions = binding?.table === 'detailTable' ? DETAIL_COLUMN_OPTIONS : ACTIVITY_COLUMN_OPTIONS;
+
+  const handleChoiceChange = (value) => {
+    if (!value) {
+      onChange(null);
+    } else if (value.startsWith('field:')) {
+      onChange({ source: 'field', fieldKey: value.slice('field:'.length) });
+    } else if (value.startsWith('table:')) {
+      const table = value.slice('table:'.length);
+      const column = (table === 'detailTable' ? DETAIL_COLUMN_OPTIONS : ACTIVITY_COLUMN_OPTIONS)[0];
+      onChange({ source: 'table', table, row: binding?.row ?? 0, columnKey: column.key, columnLabel: column.label });
+    } else {
+      onChange({ source: 'custom', customValue: binding?.customValue || '' });
+    }
+  };
+
+  const handleColumnChange = (columnKey) => {
+    const column = columnOptions.find(opt => opt.key === columnKey);
+    onChange({ ...binding, columnKey, columnLabel: column?.label || columnKey });
+  };
+
+  return (
+    <div className="flex flex-wrap items-center gap-2 px-3 py-2 rounded text-sm bg-gray-50">
+      <div className="min-w-[10rem] flex-1">
+        <span className="font-medium text-gray-900">{formField.name}</span>
+        <span className="text-gray-400 ml-2 text-xs">
+          {FORM_FIELD_TYPE_LABELS[formField.type]}
+          {showPage && ` | p${formField.page + 1}`}
+        </span>
+      </div>
+      <select
+        value={choice}
+        onChange={(e) => handleChoiceChange(e.target.value)}
+        className="input-field text-sm"
+        aria-label={`Fill ${formField.name}`}
+      >
+        <option value="">Leave as is</option>
+        <optgroup label="Static Field">
+          {FIELD_KEY_OPTIONS.map(opt => (
+            <option key={opt.key} value={`field:${opt.key}`}>{opt.label}</option>
+          ))}
+        </optgroup>
+        <optgroup label="Table Cell">
+          <option value="table:activityTable">Activity Table (Summary)</option>
+          <option value="table:detailTable">Detail Table</option>
+        </optgroup>
+        <option value="custom">Custom Text</option>
+      </select>
+      {binding?.source === 'table' && (
+        <>
+          <label className="flex items-center gap-1 text-xs text-gray-600">
+            Row
+            <input
+              type="number"
+              min="1"
+              max="100"
+              value={binding.row + 1}
+              onChange={(e) => onChange({ ...binding, row: Math.max(0, (parseInt(e.target.value, 10) || 1) - 1) })}
+              className="input-field text-sm w-16"
+              aria-label={`Row for ${formField.name}`}
+            />
+          </label>
+          <select
+            value={binding.columnKey}
+            onChange={(e) => handleColumnChange(e.target.value)}
+            className="input-field text-sm"
+            aria-label={`Column for ${formField.name}`}
+          >
+            {columnOptions.map(opt => (
+              <option key={opt.key} value={opt.key}>{opt.label}</option>
+            ))}
+          </select>
+        </>
+      )}
+      {binding?.source === 'custom' && (
+        <input
+          type="text"
+          value={binding.customValue}
+          onChange={(e) => onChange({ ...binding, customValue: e.target.value })}
+          placeholder={formField.type === 'checkbox' ? 'Yes' : 'Text to fill'}
+          className="input-field text-sm"
+          aria-label={`Text for ${formField.name}`}
+        />
+      )}
+    </div>
+  );
+}
+
+// Preview text sits left of, centered on or right of the field's x position, as printed
+const ALIGN_TRANSFORMS = {
+  left: undefined,
+  center: 'translateX(-50%)',
+  right: 'translateX(-100%)',
+};
+
 /**
  * Renders field markers on the PDF preview.
  * Static fields: single draggable marker with WYSIWYG text.
+ * Image fields: draggable box the image is scaled into.
  * Activity tables: anchor label + independently draggable column markers.
  */
 function FieldMarker({ field, isSelected, showPreview, previewScale, onMouseDown, onRemove, isDragging, draggingColKey }) {
   const isTable = field.type === 'activityTable' || field.type === 'detailTable';
   const isDetail = field.type === 'detailTable';
 
+  if (field.type === 'image') {
+    return (
+      <div
+        className={`absolute flex items-center justify-center border-2 border-dashed ${
+          isSelected ? 'border-sky-600 bg-sky-100/60' : 'border-sky-400 bg-sky-50/40'
+        } ${isDragging ? 'cursor-grabbing' : 'cursor-grab'}`}
+        style={{
+          left: `${field.xPercent}%`,
+          top: `${field.yPercent}%`,
+          width: `${field.widthPercent}%`,
+          height: `${field.heightPercent}%`,
+          zIndex: isSelected ? 20 : 10,
+        }}
+        onMouseDown={(e) => onMouseDown(e, null)}
+        data-testid={`image-field-${field.id}`}
+      >
+        <span className="text-[9px] text-sky-800 whitespace-nowrap pointer-events-none">
+          {IMAGE_KIND_LABELS[field.imageKind] || field.imageKind}
+        </span>
+        {isSelected && (
+          <button
+            onClick={(e) => { e.stopPropagation(); e.preventDefault(); onRemove(); }}
+            className="absolute -top-2 -right-2 bg-red-500 text-white rounded-full w-3.5 h-3.5 flex items-center justify-center text-[8px] leading-none"
+            title="Remove field"
+          >
+            x
+          </button>
+        )}
+      </div>
+    );
+  }
+
   if (!isTable) {
     // --- Static field (including customStatic) ---
     const previewText = field.type === 'customStatic'
@@ -1420,6 +2277,7 @@ function FieldMarker({ field, isSelected, showPreview, previewScale, onMouseDown
         style={{
           left: `${field.xPercent}%`,
           top: `${field.yPercent}%`,
+          transform: ALIGN_TRANSFORMS[getTextAlign(field)],
           zIndex: isSelected ? 20 : 10,
         }}
         onMouseDown={(e) => onMouseDown(e, null)}
@@ -1448,6 +2306,7 @@ function FieldMarker({ field, isSelected, showPreview, previewScale, onMouseDown
             style={{
               fontSize: `${displayFontSize}px`,
               fontFamily: 'Helvetica, Arial, sans-serif',
+              fontWeight: field.bold ? 'bold' : undefined,
               color: 'black',
               lineHeight: 1.2,
             }}
@@ -1552,6 +2411,7 @@ function FieldMarker({ field, isSelected, showPreview, previewScale, onMouseDown
                 style={{
                   left: `${col.xPercent}%`,
                   top: `${field.yPercent + (rowIdx * field.rowHeight)}%`,
+                  transform: ALIGN_TRANSFORMS[getTextAlign(col)],
                   maxWidth: col.maxWidth ? `${col.maxWidth}%` : undefined,
                   overflow: 'hidden',
                 }}
@@ -1561,6 +2421,7 @@ function FieldMarker({ field, isSelected, showPreview, previewScale, onMouseDown
                   style={{
                     fontSize: `${displayFontSize}px`,
                     fontFamily: 'Helvetica, Arial, sans-serif',
+                    fontWeight: col.bold ? 'bold' : undefined,
                     color: 'black',
                     opacity: 0.5,
                     lineHeight: 1.2,
@@ -1577,6 +2438,58 @@ function FieldMarker({ field, isSelected, showPreview, previewScale, onMouseDown
   );
 }
 
+/**
+ * Alignment and bold for a static field or table column. `compact` lays
+ * them out inline for a column row.
+ */
+function TextStyleControls({ item, name, onUpdate, labelClassName, compact = false }) {
+  const alignSelect = (
+    <select
+      value={getTextAlign(item)}
+      onChange={(e) => onUpdate({ align: e.target.value })}
+      className="input-field text-sm"
+      aria-label={name ? `Alignment for ${name}` : 'Alignment'}
+    >
+      {TEXT_ALIGNMENTS.map(align => (
+        <option key={align} value={align}>{TEXT_ALIGNMENT_LABELS[align]}</option>
+      ))}
+    </select>
+  );
+  const boldCheckbox = (
+    <label className={`flex items-center gap-1 text-xs ${labelClassName}`}>
+      <input
+        type="checkbox"
+        checked={Boolean(item.bold)}
+        onChange={(e) => onUpdate({ bold: e.target.checked })}
+        className="rounded"
+        aria-label={name ? `Bold ${name}` : undefined}
+      />
+      Bold
+    </label>
+  );
+
+  if (compact) {
+    return (
+      <>
+        {alignSelect}
+        {boldCheckbox}
+      </>
+    );
+  }
+
+  return (
+    <>
+      <div>
+        <label className={`block text-xs ${labelClassName} mb-1`}>Alignment</label>
+        {alignSelect}
+      </div>
+      <div className="flex items-end pb-2">
+        {boldCheckbox}
+      </div>
+    </>
+  );
+}
+
 /**
  * Inline editor for the currently selected field.
  * Shows above the PDF preview for immediate visibility.
@@ -1716,6 +2629,13 @@ function SelectedFieldEditor({ field, onUpdate, onRemove }) {
                       max={100}
                       className="input-field text-sm w-14"
                     />
+                    <TextStyleControls
+                      item={col}
+                      name={option.label}
+                      onUpdate={(updates) => updateColumn(columnIndex, updates)}
+                      labelClassName={colLabelColor}
+                      compact
+                    />
                   </>
                 )}
               </div>
@@ -1774,6 +2694,13 @@ function SelectedFieldEditor({ field, onUpdate, onRemove }) {
                   max={100}
                   className="input-field text-sm w-14"
                 />
+                <TextStyleControls
+                  item={col}
+                  name={col.label}
+                  onUpdate={(updates) => updateColumn(columnIndex, updates)}
+                  labelClassName={colLabelColor}
+                  compact
+                />
               </div>
             );
           })}
@@ -1783,6 +2710,53 @@ function SelectedFieldEditor({ field, onUpdate, onRemove }) {
     );
   }
 
+  if (field.type === 'image') {
+    const numberInput = (label, key, min, max) => (
+      <div>
+        <label className="block text-xs text-sky-700 mb-1">{label}</label>
+        <input
+          type="number"
+          value={field[key]}
+          onChange={(e) => onUpdate({ [key]: Number(e.target.value) })}
+          min={min}
+          max={max}
+          step={0.5}
+          className="input-field text-sm w-20"
+          aria-label={label}
+        />
+      </div>
+    );
+
+    return (
+      <div className="p-4 bg-sky-50 border border-sky-200 rounded-lg">
+        <div className="flex items-center justify-between mb-3">
+          <h4 className="text-sm font-bold text-sky-800">Edit Image: {IMAGE_KIND_LABELS[field.imageKind] || field.imageKind}</h4>
+          <Button size="sm" variant="danger" onClick={onRemove}>Remove</Button>
+        </div>
+        <div className="flex flex-wrap gap-3">
+          <div>
+            <label className="block text-xs text-sky-700 mb-1">Image</label>
+            <select
+              value={field.imageKind}
+              onChange={(e) => onUpdate({ imageKind: e.target.value, label: IMAGE_KIND_LABELS[e.target.value] })}
+              className="input-field text-sm"
+              aria-label="Image kind"
+            >
+              {IMAGE_KINDS.map(item => (
+                <option key={item} value={item}>{IMAGE_KIND_LABELS[item]}</option>
+              ))}
+            </select>
+          </div>
+          {numberInput('Width (%)', 'widthPercent', 1, 100)}
+          {numberInput('Height (%)', 'heightPercent', 1, 100)}
+          {numberInput('X Position (%)', 'xPercent', 0, 100)}
+          {numberInput('Y Position (%)', 'yPercent', 0, 100)}
+        </div>
+        <p className="text-xs text-sky-700 mt-2">The image keeps its proportions and sits on the bottom left of the box.</p>
+      </div>
+    );
+  }
+
   if (field.type === 'customStatic') {
     return (
       <div className="p-4 bg-amber-50 border border-amber-200 rounded-lg">
@@ -1820,6 +2794,7 @@ function SelectedFieldEditor({ field, onUpdate, onRemove }) {
               className="input-field text-sm w-16"
             />
           </div>
+          <TextStyleControls item={field} onUpdate={onUpdate} labelClassName="text-amber-700" />
           <div>
             <label className="block text-xs text-amber-700 mb-1">X Position (%)</label>
             <input
@@ -1883,6 +2858,7 @@ function SelectedFieldEditor({ field, onUpdate, onRemove }) {
             className="input-field text-sm w-16"
           />
         </div>
+        <TextStyleControls item={field} onUpdate={onUpdate} labelClassName="text-primary-700" />
         <div>
           <label className="block text-xs text-primary-700 mb-1">X Position (%)</label>
           <input
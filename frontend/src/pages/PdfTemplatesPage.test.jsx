@@ -1,5 +1,5 @@
 import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
-import { render, screen, waitFor, act } from '@testing-library/react';
+import { render, screen, waitFor, act, fireEvent } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { MemoryRouter } from 'react-router-dom';
 import PdfTemplatesPage from './PdfTemplatesPage';
@@ -12,25 +12,28 @@ vi.mock('../utils/firebase', () => ({
 
 // Track onSnapshot callbacks for programmatic updates
 let onSnapshotTemplatesCallback = null;
+let mockRosterDocs = {};
+let mockImageDocs = [];
 
 vi.mock('firebase/firestore', () => ({
   collection: vi.fn((db, path) => ({ _collPath: path })),
   addDoc: vi.fn(() => Promise.resolve({ id: 'new-template-id' })),
   onSnapshot: vi.fn((queryOrRef, callback) => {
-    if (queryOrRef?._isDoc) {
-      // Document snapshot (settings/pdfDefaults)
-      callback({ exists: () => false, data: () => null });
-    } else {
-      // Collection snapshot (pdfTemplates)
-      onSnapshotTemplatesCallback = callback;
-      callback({ docs: [] });
+    if (queryOrRef?._collPath === 'pdfImages') {
+      callback({ docs: mockImageDocs });
+      return vi.fn();
     }
+    // Collection snapshot (pdfTemplates)
+    onSnapshotTemplatesCallback = callback;
+    callback({ docs: [] });
     return vi.fn();
   }),
   deleteDoc: vi.fn(() => Promise.resolve()),
   doc: vi.fn(() => ({ _isDoc: true, id: 'template1' })),
   updateDoc: vi.fn(() => Promise.resolve()),
-  setDoc: vi.fn(() => Promise.resolve()),
+  getDocs: vi.fn((queryRef) => Promise.resolve({ docs: mockRosterDocs[queryRef?._collPath] || [] })),
+  query: vi.fn((ref) => ref),
+  where: vi.fn(),
 }));
 
 vi.mock('firebase/storage', () => ({
@@ -49,7 +52,17 @@ vi.mock('../contexts/AuthContext', () => ({
 
 vi.mock('../contexts/EventContext', () => ({
   useEvent: () => ({
-    currentEvent: { id: 'event1', name: 'VBS 2026' },
+    currentEvent: { id: 'event1', organizationId: 'org1', name: 'VBS 2026' },
+  }),
+}));
+
+let mockOrganization = null;
+const mockUpdateOrganization = vi.fn(() => Promise.resolve());
+vi.mock('../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({
+    organizationId: 'org1',
+    currentOrganization: mockOrganization,
+    updateOrganization: mockUpdateOrganization,
   }),
 }));
 
@@ -77,7 +90,10 @@ vi.mock('../utils/pdfTemplateUtils', () => ({
     { key: 'detailActivity', label: 'Activity Name', preview: 'VBS Morning Session' },
     { key: 'detailContact', label: 'Contact Name', preview: 'Jane Smith' },
   ],
+  getEffectivePdfTemplate: vi.fn((student = {}, templates = []) => templates.find(template => template.id === student.pdfTemplateId) || null),
   getPdfPageDimensions: vi.fn(() => Promise.resolve({ width: 612, height: 792, pageCount: 1 })),
+  loadImageBytes: vi.fn(() => Promise.resolve(new ArrayBuffer(8))),
+  loadPdfFormFields: vi.fn(() => Promise.resolve([])),
   renderPdfPageToImage: vi.fn(() => Promise.resolve({ dataUrl: 'data:image/png;base64,test', width: 1224, height: 1584, pageCount: 1 })),
 }));
 
@@ -104,6 +120,9 @@ describe('PdfTemplatesPage', () => {
   beforeEach(() => {
     vi.clearAllMocks();
     onSnapshotTemplatesCallback = null;
+    mockRosterDocs = {};
+    mockImageDocs = [];
+    mockOrganization = { id: 'org1', name: 'Grace Church', defaultPdfTemplateId: null, schoolTemplateAliases: [] };
   });
 
   afterEach(() => {
@@ -261,6 +280,72 @@ describe('PdfTemplatesPage', () => {
       await user.click(screen.getByRole('button', { name: /Map Fields/i }));
     };
 
+    it('should warn when a student on the current event would overflow a table', async () => {
+      mockRosterDocs = {
+        students: [
+          makeTemplateDoc('s1', { firstName: 'Jane', lastName: 'Smith', pdfTemplateId: 'tmpl1' }),
+          makeTemplateDoc('s2', { firstName: 'John', lastName: 'Doe', pdfTemplateId: 'other' }),
+        ],
+        timeEntries: ['s1', 's2'].flatMap(studentId => Array.from({ length: 12 }, () => makeTemplateDoc('e', {
+          studentId,
+          checkOutTime: new Date(),
+          reviewStatus: 'approved',
+        }))),
+      };
+      const { updateDoc } = await import('firebase/firestore');
+      const user = userEvent.setup();
+      await openFieldMapper(user, {
+        fields: [{ id: 'dt1', type: 'detailTable', xPercent: 5, yPercent: 30, maxRows: 10, rowHeight: 3, page: 0, columns: [] }],
+      });
+
+      const warning = await screen.findByRole('alert');
+      expect(warning).toHaveTextContent('1 student on VBS 2026 has more rows than this form\'s tables hold.');
+      expect(warning).toHaveTextContent('Jane Smith: 12 entry rows (table holds 10)');
+      expect(warning).toHaveTextContent('left off the printed form');
+      expect(warning).not.toHaveTextContent('John Doe');
+
+      await user.selectOptions(screen.getByLabelText('When a table runs out of rows'), 'continuation');
+      expect(warning).toHaveTextContent('continue on copies of page 1');
+
+      await user.click(screen.getByRole('button', { name: /Save Mappings/i }));
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        overflow: { strategy: 'continuation', continuationPage: 0 },
+      }));
+    });
+
+    it('should bind the PDF\'s own form fields and save them with the flatten setting', async () => {
+      const { loadPdfFormFields } = await import('../utils/pdfTemplateUtils');
+      loadPdfFormFields.mockResolvedValueOnce([
+        { name: 'Student Name', type: 'text', page: 0, xPercent: 10, yPercent: 10, widthPercent: 30, heightPercent: 3 },
+        { name: 'Hours1', type: 'text', page: 0, xPercent: 10, yPercent: 20, widthPercent: 10, heightPercent: 3 },
+        { name: 'Signed', type: 'checkbox', page: 0, xPercent: 60, yPercent: 80, widthPercent: 2, heightPercent: 2 },
+      ]);
+      const { updateDoc } = await import('firebase/firestore');
+      const user = userEvent.setup();
+      await openFieldMapper(user, { downloadURL: 'https://example.com/test.pdf' });
+
+      expect(await screen.findByText('Form Fields in this PDF (3)')).toBeInTheDocument();
+      await user.selectOptions(screen.getByLabelText('Fill Student Name'), 'field:studentName');
+      await user.selectOptions(screen.getByLabelText('Fill Hours1'), 'table:detailTable');
+      await user.tripleClick(screen.getByLabelText('Row for Hours1'));
+      await user.keyboard('2');
+      await user.selectOptions(screen.getByLabelText('Column for Hours1'), 'detailHours');
+      await user.selectOptions(screen.getByLabelText('Fill Signed'), 'custom');
+      await user.type(screen.getByLabelText('Text for Signed'), 'Yes');
+      await user.click(screen.getByLabelText('Flatten form fields after filling'));
+
+      await user.click(screen.getByRole('button', { name: /Save Mappings/i }));
+      expect(loadPdfFormFields).toHaveBeenCalledWith('https://example.com/test.pdf');
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        formFields: [
+          { name: 'Student Name', source: 'field', fieldKey: 'studentName' },
+          { name: 'Hours1', source: 'table', table: 'detailTable', row: 1, columnKey: 'detailHours', columnLabel: 'Hours' },
+          { name: 'Signed', source: 'custom', customValue: 'Yes' },
+        ],
+        flattenForm: false,
+      }));
+    });
+
     it('should open field mapper when Map Fields is clicked', async () => {
       const user = userEvent.setup();
       await openFieldMapper(user, { name: 'OCPS Form' });
@@ -448,6 +533,25 @@ describe('PdfTemplatesPage', () => {
       });
     });
 
+    it('should save alignment and bold for the selected field', async () => {
+      const { updateDoc } = await import('firebase/firestore');
+      const user = userEvent.setup();
+      await openFieldMapper(user, {
+        fields: [
+          { id: 'cf1', type: 'customStatic', label: 'Supervisor', customValue: 'Dr. Smith', xPercent: 50, yPercent: 50, fontSize: 12, page: 0 },
+        ],
+      });
+
+      await user.click(await screen.findByText(/Custom: Supervisor/));
+      await user.selectOptions(screen.getByLabelText('Alignment'), 'center');
+      await user.click(screen.getByLabelText('Bold'));
+      await user.click(screen.getByRole('button', { name: /Save Mappings/i }));
+
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        fields: [expect.objectContaining({ id: 'cf1', align: 'center', bold: true })],
+      }));
+    });
+
     it('should display detail table fields in mapped fields list', async () => {
       const user = userEvent.setup();
       await openFieldMapper(user, {
@@ -602,8 +706,7 @@ describe('PdfTemplatesPage', () => {
       expect(screen.getByRole('button', { name: /Set as Default/i })).toBeInTheDocument();
     });
 
-    it('should show Default badge for the default template', async () => {
-      const { setDoc } = await import('firebase/firestore');
+    it('should save the default template on the organization', async () => {
       const user = userEvent.setup();
       renderPage();
 
@@ -613,28 +716,204 @@ describe('PdfTemplatesPage', () => {
 
       await user.click(screen.getByRole('button', { name: /Set as Default/i }));
 
-      expect(setDoc).toHaveBeenCalled();
+      expect(mockUpdateOrganization).toHaveBeenCalledWith({ defaultPdfTemplateId: 'tmpl1' });
     });
 
     it('should not show Set as Default button when template is already default', async () => {
-      const { onSnapshot } = await import('firebase/firestore');
+      mockOrganization.defaultPdfTemplateId = 'tmpl1';
       renderPage();
 
       await simulateTemplates([
         makeTemplateDoc('tmpl1', { name: 'OCPS Form', fileName: 'ocps.pdf', fields: [], pageCount: 1 }),
       ]);
 
-      // Simulate the defaults snapshot returning tmpl1 as default
-      const { vi: viTest } = await import('vitest');
-      const calls = onSnapshot.mock.calls;
-      const docCallback = calls.find(([ref]) => ref?._isDoc)?.[1];
-      if (docCallback) {
-        await act(async () => {
-          docCallback({ exists: () => true, data: () => ({ defaultTemplateId: 'tmpl1' }) });
-        });
-        expect(screen.queryByRole('button', { name: /Set as Default/i })).not.toBeInTheDocument();
-        expect(screen.getByText('Default')).toBeInTheDocument();
-      }
+      expect(screen.queryByRole('button', { name: /Set as Default/i })).not.toBeInTheDocument();
+      expect(screen.getByText('Default')).toBeInTheDocument();
+    });
+  });
+
+  describe('hour goal', () => {
+    it('should save the form\'s hour goal when the field loses focus', async () => {
+      const { updateDoc } = await import('firebase/firestore');
+      const user = userEvent.setup();
+      renderPage();
+
+      await simulateTemplates([
+        makeTemplateDoc('tmpl1', { name: 'OCPS Form', fileName: 'ocps.pdf', fields: [], pageCount: 1 }),
+      ]);
+
+      await user.type(screen.getByLabelText('Hour Goal'), '20');
+      await user.tab();
+
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), { hourGoal: 20 });
+    });
+
+    it('should reject goals out of range without saving', async () => {
+      const { updateDoc } = await import('firebase/firestore');
+      const user = userEvent.setup();
+      renderPage();
+
+      await simulateTemplates([
+        makeTemplateDoc('tmpl1', { name: 'OCPS Form', fileName: 'ocps.pdf', fields: [], pageCount: 1, hourGoal: 20 }),
+      ]);
+
+      expect(screen.getByLabelText('Hour Goal')).toHaveValue(20);
+      await user.clear(screen.getByLabelText('Hour Goal'));
+      await user.type(screen.getByLabelText('Hour Goal'), '5000');
+      await user.tab();
+
+      expect(screen.getByText(/Enter up to 1000 hours/)).toBeInTheDocument();
+      expect(updateDoc).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('field mapper image fields', () => {
+    it('should place an image field, resize it and save it with the mappings', async () => {
+      const { updateDoc } = await import('firebase/firestore');
+      const user = userEvent.setup();
+      renderPage();
+      await simulateTemplates([
+        makeTemplateDoc('tmpl1', { name: 'Test Form', fileName: 'test.pdf', fields: [], pageCount: 1 }),
+      ]);
+      await user.click(screen.getByRole('button', { name: /Map Fields/i }));
+
+      await user.selectOptions(screen.getByLabelText('Image', { selector: '#image-field-kind' }), 'stamp');
+      await user.click(screen.getByRole('button', { name: 'Place Image' }));
+      const preview = screen.getByTestId('pdf-preview-area');
+      preview.getBoundingClientRect = () => ({ left: 0, top: 0, width: 600, height: 800 });
+      fireEvent.click(preview, { clientX: 60, clientY: 400 });
+
+      expect(screen.getByText('Edit Image: Stamp')).toBeInTheDocument();
+      expect(screen.getByText('Image: Stamp')).toBeInTheDocument();
+      await user.clear(screen.getByLabelText('Width (%)'));
+      await user.type(screen.getByLabelText('Width (%)'), '40');
+
+      await user.click(screen.getByRole('button', { name: /Save Mappings/i }));
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        fields: [expect.objectContaining({
+          type: 'image',
+          imageKind: 'stamp',
+          xPercent: 10,
+          yPercent: 50,
+          widthPercent: 40,
+          heightPercent: 6,
+          page: 0,
+        })],
+      }));
+    });
+  });
+
+  describe('signatures and stamps', () => {
+    it('should upload a supervisor\'s signature and reject other file types', async () => {
+      const { addDoc } = await import('firebase/firestore');
+      const { uploadBytes } = await import('firebase/storage');
+      const user = userEvent.setup({ applyAccept: false });
+      renderPage();
+
+      expect(screen.getByText(/No images uploaded/)).toBeInTheDocument();
+      await user.upload(screen.getByTestId('image-file'), new File(['gif'], 'sig.gif', { type: 'image/gif' }));
+      await user.click(screen.getByRole('button', { name: 'Upload Image' }));
+      expect(screen.getByText('Only PNG and JPEG images are supported')).toBeInTheDocument();
+      expect(uploadBytes).not.toHaveBeenCalled();
+
+      await user.selectOptions(screen.getByLabelText('Used for'), 'supervisor');
+      await user.type(screen.getByLabelText('Supervisor name'), 'Pastor Mike');
+      await user.upload(screen.getByTestId('image-file'), new File(['png'], 'sig.png', { type: 'image/png' }));
+      await user.click(screen.getByRole('button', { name: 'Upload Image' }));
+
+      await waitFor(() => expect(addDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        organizationId: 'org1',
+        kind: 'signature',
+        scope: 'supervisor',
+        supervisorName: 'Pastor Mike',
+        fileName: 'sig.png',
+        storagePath: expect.stringMatching(/^pdfImages\/org1\/\d+_sig\.png$/),
+      })));
+      expect(addDoc.mock.calls.at(-1)[1]).not.toHaveProperty('downloadURL');
+      expect(uploadBytes).toHaveBeenCalledWith(undefined, expect.any(File), { contentType: 'image/png' });
+    });
+
+    it('should list uploaded images and delete one with its file', async () => {
+      mockImageDocs = [makeTemplateDoc('img1', {
+        organizationId: 'org1',
+        kind: 'stamp',
+        scope: 'event',
+        eventId: 'event1',
+        fileName: 'seal.png',
+        storagePath: 'pdfImages/org1/1_seal.png',
+      })];
+      const { deleteDoc } = await import('firebase/firestore');
+      const { deleteObject } = await import('firebase/storage');
+      vi.spyOn(window, 'confirm').mockReturnValue(true);
+      const user = userEvent.setup();
+      renderPage();
+
+      expect(screen.getByText(/Event: VBS 2026/)).toHaveTextContent('seal.png');
+      expect(await screen.findByAltText('seal.png')).toHaveAttribute('src', 'blob:mock-url');
+      await user.click(screen.getByRole('button', { name: 'Delete' }));
+
+      await waitFor(() => expect(deleteDoc).toHaveBeenCalled());
+      expect(deleteObject).toHaveBeenCalled();
+    });
+  });
+
+  describe('font', () => {
+    it('should upload a font for the template and offer it to other templates', async () => {
+      const { updateDoc } = await import('firebase/firestore');
+      const { uploadBytes } = await import('firebase/storage');
+      const user = userEvent.setup({ applyAccept: false });
+      renderPage();
+
+      await simulateTemplates([
+        makeTemplateDoc('tmpl1', { name: 'OCPS Form', fileName: 'ocps.pdf', fields: [], pageCount: 1 }),
+        makeTemplateDoc('tmpl2', {
+          name: 'TFA Form',
+          fileName: 'tfa.pdf',
+          fields: [],
+          pageCount: 1,
+          font: { name: 'NotoSans', fileName: 'NotoSans.ttf', storagePath: 'pdfFonts/org1/1_NotoSans.ttf', downloadURL: 'https://example.com/noto.ttf' },
+        }),
+      ]);
+
+      const [ocpsFont, tfaFont] = screen.getAllByLabelText('Font');
+      expect(ocpsFont).toHaveValue('');
+      expect(tfaFont).toHaveValue('pdfFonts/org1/1_NotoSans.ttf');
+
+      await user.upload(screen.getByTestId('font-file-tmpl1'), new File(['woff'], 'Inter.woff2', { type: 'font/woff2' }));
+      expect(screen.getByText('Choose a .ttf or .otf font file')).toBeInTheDocument();
+      expect(uploadBytes).not.toHaveBeenCalled();
+
+      await user.upload(screen.getByTestId('font-file-tmpl1'), new File(['ttf'], 'Inter.ttf', { type: 'font/ttf' }));
+      await waitFor(() => expect(updateDoc).toHaveBeenCalledWith(expect.anything(), {
+        font: expect.objectContaining({ name: 'Inter', fileName: 'Inter.ttf', storagePath: expect.stringMatching(/^pdfFonts\/org1\/\d+_Inter\.ttf$/) }),
+      }));
+
+      await user.selectOptions(ocpsFont, 'pdfFonts/org1/1_NotoSans.ttf');
+      expect(updateDoc).toHaveBeenLastCalledWith(expect.anything(), {
+        font: expect.objectContaining({ storagePath: 'pdfFonts/org1/1_NotoSans.ttf' }),
+      });
+    });
+  });
+
+  describe('school rules', () => {
+    it('should save school rules on the organization', async () => {
+      mockOrganization.schoolTemplateAliases = [{ school: ['Bishop Moore'], template: ['BMCHS'] }];
+      const user = userEvent.setup();
+      renderPage();
+
+      expect(screen.getByLabelText('Rule 1 school keywords')).toHaveValue('Bishop Moore');
+
+      await user.click(screen.getByRole('button', { name: /Add Rule/i }));
+      await user.type(screen.getByLabelText('Rule 2 template keywords'), 'OCPS, Service Log');
+      await user.click(screen.getByRole('button', { name: /Save Rules/i }));
+
+      expect(mockUpdateOrganization).toHaveBeenCalledWith({
+        schoolTemplateAliases: [
+          { school: ['Bishop Moore'], template: ['BMCHS'] },
+          { school: [], template: ['OCPS', 'Service Log'] },
+        ],
+      });
+      expect(await screen.findByText('School rules saved')).toBeInTheDocument();
     });
   });
 
@@ -980,7 +1259,7 @@ describe('PdfTemplatesPage', () => {
       await user.click(screen.getByRole('button', { name: /^Import$/i }));
 
       await waitFor(() => {
-        expect(addDoc).toHaveBeenCalled();
+        expect(addDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({ organizationId: 'org1' }));
       });
     });
 
@@ -1,8 +1,10 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useParams, useNavigate } from 'react-router-dom';
+import { renderToStaticMarkup } from 'react-dom/server';
 import { printInNewWindow, createPrintDocument } from '../utils/printUtils';
-import { formatTime, formatHours } from '../utils/hourCalculations';
-import { formatActivityDateRanges, generateFilledPdf, openPdfForPrinting } from '../utils/pdfTemplateUtils';
+import { formatTime, formatHours, calculateHours, roundHours } from '../utils/hourCalculations';
+import { formatDateInTimeZone, fromDateTimeInputValue, getEventTimeZone, toDateTimeInputValue, zonedTimeToDate } from '../utils/timeZones';
+import { formatActivityDateRanges, generateFilledPdf, getEffectivePdfTemplate, openPdfForPrinting } from '../utils/pdfTemplateUtils';
 
 import { db, functions, storage } from '../utils/firebase';
 import { doc, getDoc, collection, query, where, onSnapshot, orderBy, Timestamp, updateDoc, getDocs } from 'firebase/firestore';
@@ -10,18 +12,34 @@ import { ref, getDownloadURL } from 'firebase/storage';
 import { httpsCallable } from 'firebase/functions';
 
 import { useEvent } from '../contexts/EventContext';
+import { useOrganization } from '../contexts/OrganizationContext';
 import { Link } from 'react-router-dom';
 import { buildEditChangeDescription } from '../utils/changeDescriptions';
+import { isCreditedEntry, needsReview } from '../utils/reviewStatus';
 import Spinner from '../components/common/Spinner';
 import Button from '../components/common/Button';
 import Modal from '../components/common/Modal';
 import PrintableBadge from '../components/common/PrintableBadge';
 import { ServiceLogEntry } from '../components/ServiceLog';
 import { GRADE_LEVEL_OPTIONS } from '../utils/grades';
+import { issueBadgePayloads } from '../utils/badges';
+import { GuardianFields, HourGoalProgress } from '../components/Students';
+import { normalizeGuardians, getGuardianError, describeGuardian } from '../utils/guardians';
+import { convertToDate, formatActivityDateTime } from '../utils/activityFeed';
+import { getFormCreditedHours, getGoalProgress, getHourGoal, normalizeHourGoal } from '../utils/hourGoals';
+
+const NOTIFICATION_STATUS_STYLES = {
+    pending: 'text-gray-700 bg-gray-100',
+    sent: 'text-green-700 bg-green-100',
+    failed: 'text-red-700 bg-red-100',
+    skipped: 'text-amber-700 bg-amber-100'
+};
 
 export default function StudentDetailPage() {
     const { studentId } = useParams();
     const { currentEvent } = useEvent();
+    const timeZone = getEventTimeZone(currentEvent);
+    const { organizations } = useOrganization();
     const navigate = useNavigate();
 
     const [student, setStudent] = useState(null);
@@ -30,18 +48,20 @@ export default function StudentDetailPage() {
     const [eventHistory, setEventHistory] = useState([]); // [{eventId, eventName, totalHours}]
     const [printMode, setPrintMode] = useState(null);
     const [notesModal, setNotesModal] = useState({ isOpen: false, entry: null });
+    const [notifications, setNotifications] = useState([]);
 
     // PDF template state
     const [pdfTemplates, setPdfTemplates] = useState([]);
+    const [pdfImages, setPdfImages] = useState([]);
     const [selectedTemplateId, setSelectedTemplateId] = useState(null);
-    const [defaultTemplateId, setDefaultTemplateId] = useState(null);
     const [generatingPdf, setGeneratingPdf] = useState(false);
 
     // Edit student info modal state
     const [editStudentModal, setEditStudentModal] = useState({ isOpen: false });
     const [editStudentForm, setEditStudentForm] = useState({
-        firstName: '', lastName: '', schoolName: '', gradeLevel: '', gradYear: '', pdfTemplateId: ''
+        firstName: '', lastName: '', schoolName: '', gradeLevel: '', gradYear: '', pdfTemplateId: '', hourGoal: '', guardians: []
     });
+    const [guardianError, setGuardianError] = useState(null);
 
     const openEditStudentModal = () => {
         setEditStudentForm({
@@ -50,15 +70,22 @@ export default function StudentDetailPage() {
             schoolName: student?.schoolName || '',
             gradeLevel: student?.gradeLevel || '',
             gradYear: student?.gradYear || '',
-            pdfTemplateId: student?.pdfTemplateId || ''
+            pdfTemplateId: student?.pdfTemplateId || '',
+            hourGoal: student?.hourGoal ?? '',
+            guardians: normalizeGuardians(student?.guardians)
         });
+        setGuardianError(null);
         setEditStudentModal({ isOpen: true });
     };
 
     const handleEditStudentSave = async (e) => {
         e.preventDefault();
+        const guardians = normalizeGuardians(editStudentForm.guardians);
+        const error = getGuardianError(guardians);
+        setGuardianError(error);
+        if (error) return;
         try {
-            const data = { ...editStudentForm };
+            const data = { ...editStudentForm, guardians, hourGoal: normalizeHourGoal(editStudentForm.hourGoal) };
             if (!data.pdfTemplateId) data.pdfTemplateId = null;
             await updateDoc(doc(db, 'students', studentId), data);
             setStudent(prev => ({ ...prev, ...data }));
@@ -101,6 +128,15 @@ export default function StudentDetailPage() {
         error: null
     });
 
+    // Revoke / reissue badge modal state
+    const [badgeModal, setBadgeModal] = useState({
+        isOpen: false,
+        action: null,
+        reason: '',
+        loading: false,
+        error: null
+    });
+
     // Watch for printMode changes and reset after print dialog closes
     useEffect(() => {
         if (printMode === null) return; // Only act when printMode is set
@@ -119,61 +155,105 @@ export default function StudentDetailPage() {
             const snap = await getDoc(docRef);
             if (snap.exists()) {
                 const data = { id: snap.id, ...snap.data() };
+                // Merged duplicates redirect to the record they were merged into
+                if (data.mergedInto) {
+                    navigate(`/admin/settings/students/${data.mergedInto}`, { replace: true });
+                    return;
+                }
                 setStudent(data);
                 if (data.pdfTemplateId) setSelectedTemplateId(data.pdfTemplateId);
             }
         }
         if (studentId) fetchStudent();
-    }, [studentId]);
+    }, [studentId, navigate]);
+
+    // The student's organization scopes everything else on the page
+    const organizationId = student?.organizationId;
+    const studentOrganization = organizations.find(org => org.id === organizationId);
+    const defaultTemplateId = studentOrganization?.defaultPdfTemplateId || null;
 
     // Load cross-event history for this student
     useEffect(() => {
-        if (!studentId) return;
+        if (!studentId || !organizationId) return;
 
         async function loadEventHistory() {
             const [entriesSnap, eventsSnap] = await Promise.all([
-                getDocs(query(collection(db, 'timeEntries'), where('studentId', '==', studentId))),
-                getDocs(collection(db, 'events')),
+                getDocs(query(
+                    collection(db, 'timeEntries'),
+                    where('organizationId', '==', organizationId),
+                    where('studentId', '==', studentId)
+                )),
+                getDocs(query(collection(db, 'events'), where('organizationId', '==', organizationId))),
             ]);
 
             const eventsMap = {};
-            eventsSnap.docs.forEach(d => { eventsMap[d.id] = d.data().name || d.id; });
+            eventsSnap.docs.forEach(d => { eventsMap[d.id] = d.data(); });
 
             const hoursByEvent = {};
             entriesSnap.docs.forEach(d => {
                 const data = d.data();
                 if (data.isVoided || !data.checkOutTime) return;
                 const diff = (data.checkOutTime.seconds - data.checkInTime.seconds) / 3600;
-                const rounded = Math.round(diff * 4) / 4;
+                const rounded = roundHours(diff, eventsMap[data.eventId]?.hourRounding);
                 hoursByEvent[data.eventId] = (hoursByEvent[data.eventId] || 0) + rounded;
             });
 
             setEventHistory(
                 Object.entries(hoursByEvent)
-                    .map(([eventId, totalHours]) => ({ eventId, eventName: eventsMap[eventId] || eventId, totalHours }))
+                    .map(([eventId, totalHours]) => ({ eventId, eventName: eventsMap[eventId]?.name || eventId, totalHours }))
                     .sort((a, b) => a.eventName.localeCompare(b.eventName))
             );
         }
 
         loadEventHistory();
-    }, [studentId]);
+    }, [studentId, organizationId]);
+
+    // Recent guardian notifications for this student, newest first
+    useEffect(() => {
+        if (!studentId || !organizationId) return;
+
+        const q = query(
+            collection(db, 'notifications'),
+            where('organizationId', '==', organizationId),
+            where('studentId', '==', studentId)
+        );
+        const unsubscribe = onSnapshot(q, (snapshot) => {
+            setNotifications(
+                snapshot.docs
+                    .map(d => ({ id: d.id, ...d.data() }))
+                    .sort((a, b) => (convertToDate(b.createdAt)?.getTime() || 0) - (convertToDate(a.createdAt)?.getTime() || 0))
+                    .slice(0, 5)
+            );
+        }, (err) => console.error('Failed to load notifications:', err));
+        return () => unsubscribe();
+    }, [studentId, organizationId]);
+
+    const studentGuardians = useMemo(() => normalizeGuardians(student?.guardians), [student?.guardians]);
 
-    // Fetch PDF templates and default template setting
+    // Fetch the organization's PDF templates and their signature, logo and stamp images
     useEffect(() => {
-        const unsubTemplates = onSnapshot(collection(db, 'pdfTemplates'), (snapshot) => {
+        if (!organizationId) return;
+
+        const templatesQuery = query(collection(db, 'pdfTemplates'), where('organizationId', '==', organizationId));
+        const unsubTemplates = onSnapshot(templatesQuery, (snapshot) => {
             setPdfTemplates(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
         });
-        const unsubDefaults = onSnapshot(doc(db, 'settings', 'pdfDefaults'), (snap) => {
-            setDefaultTemplateId(snap.exists() ? snap.data().defaultTemplateId : null);
+        const imagesQuery = query(collection(db, 'pdfImages'), where('organizationId', '==', organizationId));
+        const unsubImages = onSnapshot(imagesQuery, (snapshot) => {
+            setPdfImages(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
         });
-        return () => { unsubTemplates(); unsubDefaults(); };
-    }, []);
+        return () => {
+            unsubTemplates();
+            unsubImages();
+        };
+    }, [organizationId]);
 
     useEffect(() => {
-        if (!studentId || !currentEvent?.id) return;
+        if (!studentId || !organizationId || !currentEvent?.id) return;
 
         const q = query(
             collection(db, 'timeEntries'),
+            where('organizationId', '==', organizationId),
             where('studentId', '==', studentId),
             where('eventId', '==', currentEvent.id),
             orderBy('checkInTime', 'asc')
@@ -185,9 +265,9 @@ export default function StudentDetailPage() {
         });
 
         return () => unsubscribe();
-    }, [studentId, currentEvent?.id]);
+    }, [studentId, organizationId, currentEvent?.id]);
 
-    const roundTime = (hours) => Math.round(hours * 4) / 4;
+    const roundTime = (hours) => roundHours(hours, currentEvent?.hourRounding);
 
     /**
      * Complex Date Logic: Groups consecutive dates into ranges and identifies gaps
@@ -201,16 +281,15 @@ export default function StudentDetailPage() {
 
             // 1. Get unique sorted dates for this activity
             const uniqueDates = [...new Set(activityEntries.map(e =>
-                new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(e.checkInTime.toDate())
+                formatDateInTimeZone(e.checkInTime.toDate(), timeZone)
             ))].sort();
 
             // 2. Default Checkout Times to end of Activity if one is missing
             const updatedActivityEntries = activityEntries.map(entry => {
                 // Check if checkoutTime is missing, null, or undefined
                 if (!entry.checkOutTime) {
-                    const datePart = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(entry.checkInTime.toDate());
-                    const defaultedDateTime = `${datePart}T${activity.endTime}`;
-                    const timestampValue = Timestamp.fromDate(new Date(defaultedDateTime));
+                    const datePart = formatDateInTimeZone(entry.checkInTime.toDate(), timeZone);
+                    const timestampValue = Timestamp.fromDate(zonedTimeToDate(datePart, activity.endTime, timeZone));
 
                     return {
                         ...entry,
@@ -224,8 +303,8 @@ export default function StudentDetailPage() {
             });
 
             const totalHours = updatedActivityEntries.reduce((acc, entry) => {
-                // Only Count the Hours if not defaulted                 
-                if (entry.isDefaulted) return acc;
+                // Only count approved hours (defaulted checkouts are never credited)
+                if (entry.isDefaulted || !isCreditedEntry(entry)) return acc;
 
                 const diff = (entry.checkOutTime.seconds - entry.checkInTime.seconds) / 3600;
                 return acc + roundTime(diff);
@@ -238,15 +317,18 @@ export default function StudentDetailPage() {
                 totalHours: totalHours.toFixed(2)
             };
         }).filter(Boolean).sort((a, b) => a.sortDate.localeCompare(b.sortDate));
-    }, [entries, currentEvent]);
-
-    const totalCalculatedHours = activityLog.reduce((sum, act) => sum + parseFloat(act.totalHours), 0);
-
-    const overrideHours = parseFloat(student?.overrideHours || 0);
+    }, [entries, currentEvent, timeZone]);
 
     // Check if there are any non-voided entries without checkout times
     const hasUncheckedOutEntries = entries.some(entry => !entry.isVoided && !entry.checkOutTime);
-    const grandTotal = totalCalculatedHours + overrideHours;
+    // Checked-out entries not yet approved in Daily Review are left out of the totals
+    const hasUnapprovedEntries = entries.some(entry => entry.checkOutTime && needsReview(entry));
+    // Approved hours plus the override, the total the student's form reports
+    const grandTotal = getFormCreditedHours(entries, student, currentEvent);
+    const goalProgress = getGoalProgress(grandTotal, getHourGoal(
+        student,
+        getEffectivePdfTemplate(student || {}, pdfTemplates, defaultTemplateId, studentOrganization?.schoolTemplateAliases || [])
+    ));
 
     /**
      * Enriched entries with calculated hours for display in the table
@@ -351,8 +433,8 @@ export default function StudentDetailPage() {
                     eventName: currentEvent?.name || '',
                     activityLog,
                     event: currentEvent,
-                    timeEntries: entries.filter(e => !e.isVoided),
-                });
+                    timeEntries: entries.filter(isCreditedEntry),
+                }, { ...template, imageAssets: pdfImages });
 
                 openPdfForPrinting(pdfBytes, `${student.firstName}_${student.lastName}_service_log.pdf`);
             } catch (err) {
@@ -368,21 +450,65 @@ export default function StudentDetailPage() {
         }
     };
 
-    const handlePrint = (mode) => {
-        setPrintMode(mode);
-        printElementById('printable-badge', 'Badge');
+    // Badges carry a signed payload, so fetch it from issueBadges before printing
+    const handlePrintBadge = async () => {
+        if (!currentEvent) {
+            alert('Select an event before printing a badge');
+            return;
+        }
+
+        let qrData;
+        try {
+            const { payloads } = await issueBadgePayloads(currentEvent.id, [studentId]);
+            qrData = payloads[studentId];
+        } catch (err) {
+            console.error('Error issuing badge:', err);
+            alert('Failed to issue badge: ' + err.message);
+            return;
+        }
+        if (!qrData) {
+            alert('This badge is revoked. Reissue it to print a new one.');
+            return;
+        }
+
+        const body = renderToStaticMarkup(
+            <PrintableBadge student={student} qrData={qrData} eventName={currentEvent.name} size="large" />
+        );
+        printInNewWindow(createPrintDocument({ title: 'Badge', styles: PRINT_STYLES, body }));
+    };
+
+    const openBadgeModal = (action) => {
+        setBadgeModal({ isOpen: true, action, reason: '', loading: false, error: null });
+    };
+
+    // Revoke a lost lanyard, or reissue so every earlier printout is rejected
+    const handleBadgeAction = async () => {
+        setBadgeModal(prev => ({ ...prev, loading: true, error: null }));
+        try {
+            const functionName = badgeModal.action === 'revoke' ? 'revokeBadge' : 'reissueBadge';
+            const updateBadge = httpsCallable(functions, functionName);
+            const result = await updateBadge({ studentId, reason: badgeModal.reason.trim() });
+
+            setStudent(prev => ({
+                ...prev,
+                badgeVersion: result.data.badgeVersion,
+                badgeRevoked: result.data.badgeRevoked
+            }));
+            setBadgeModal({ isOpen: false, action: null, reason: '', loading: false, error: null });
+        } catch (error) {
+            console.error('Badge update error:', error);
+            setBadgeModal(prev => ({
+                ...prev,
+                loading: false,
+                error: error.message || 'Failed to update badge'
+            }));
+        }
     };
 
-    // Format date for datetime-local input using LOCAL time (not UTC)
+    // Format date for datetime-local input on the event's wall clock
     const formatDateTimeLocal = (date) => {
         if (!date) return '';
-        const d = date instanceof Date ? date : date.toDate();
-        const year = d.getFullYear();
-        const month = String(d.getMonth() + 1).padStart(2, '0');
-        const day = String(d.getDate()).padStart(2, '0');
-        const hours = String(d.getHours()).padStart(2, '0');
-        const minutes = String(d.getMinutes()).padStart(2, '0');
-        return `${year}-${month}-${day}T${hours}:${minutes}`;
+        return toDateTimeInputValue(date instanceof Date ? date : date.toDate(), timeZone);
     };
 
     // Open edit modal
@@ -413,18 +539,6 @@ export default function StudentDetailPage() {
         setEditModal(prev => ({ ...prev, loading: true, error: null }));
 
         try {
-            const checkInTime = new Date(editModal.checkInTime);
-            const checkOutTime = editModal.checkOutTime ? new Date(editModal.checkOutTime) : null;
-
-            // Calculate hours if both times exist
-            let hoursWorked = null;
-            let rawMinutes = null;
-            if (checkInTime && checkOutTime) {
-                const minutes = Math.floor((checkOutTime - checkInTime) / 1000 / 60);
-                rawMinutes = minutes;
-                hoursWorked = Math.round((minutes / 60) * 2) / 2; // Round to nearest 0.5
-            }
-
             // Build smart change description (only includes fields that actually changed)
             const changeDescription = buildEditChangeDescription({
                 originalCheckInTime: editModal.originalCheckInTime,
@@ -441,32 +555,13 @@ export default function StudentDetailPage() {
                 return;
             }
 
-            // Create change log entry
-            const changeLogEntry = {
-                timestamp: new Date().toISOString(),
-                modifiedBy: 'admin',
-                type: 'edit',
-                oldCheckInTime: editModal.originalCheckInTime,
-                newCheckInTime: editModal.checkInTime,
-                oldCheckOutTime: editModal.originalCheckOutTime,
-                newCheckOutTime: editModal.checkOutTime,
-                reason: editModal.reason,
-                description: changeDescription
-            };
-
-            // Get existing change log or create new array
-            const existingChangeLog = editModal.entry.changeLog || [];
-
-            const entryRef = doc(db, 'timeEntries', editModal.entry.id);
-            await updateDoc(entryRef, {
-                checkInTime,
-                checkOutTime,
-                hoursWorked,
-                rawMinutes,
-                modifiedBy: 'admin',
-                modificationReason: changeDescription,
-                modifiedAt: new Date(),
-                changeLog: [...existingChangeLog, changeLogEntry]
+            // Hours, flags and the audit record are computed server-side
+            const editTimeEntryFunc = httpsCallable(functions, 'editTimeEntry');
+            await editTimeEntryFunc({
+                entryId: editModal.entry.id,
+                checkInTime: fromDateTimeInputValue(editModal.checkInTime, timeZone).toISOString(),
+                checkOutTime: editModal.checkOutTime ? fromDateTimeInputValue(editModal.checkOutTime, timeZone).toISOString() : null,
+                reason: editModal.reason
             });
 
             setEditModal({
@@ -616,34 +711,7 @@ export default function StudentDetailPage() {
                     {`
           @media print {
             .no-print { display: none !important; }
-            #printable-badge { display: ${printMode === 'badge' ? 'flex' : 'none'} !important; }
-
-            body { background: white; margin: 0; padding: 0; }
-
-            #printable-badge {
-              justify-content: center;
-              align-items: center;
-              padding: 0.5in;
-            }
-            .student-badge {
-              border: 2px solid #000;
-              padding: 0.25in;
-              display: flex;
-              flex-direction: column;
-              align-items: center;
-              justify-content: center;
-              background: white;
-              box-sizing: border-box;
-              text-align: center;
-              width: 3.5in;
-              height: 2.5in;
-            }
-            .badge-name { font-size: 16pt; font-weight: bold; margin-bottom: 4px; color: #000; }
-            .badge-id { font-size: 9pt; color: #666; margin-bottom: 8px; }
-            .badge-qr { margin: 0 auto; }
-            .badge-event { font-size: 8pt; color: #333; margin-top: 8px; text-transform: uppercase; font-weight: bold; }
           }
-          #printable-badge { display: none; }
         `}
                 </style>
 
@@ -664,7 +732,7 @@ export default function StudentDetailPage() {
                         >
                             Print Service Log
                         </Button>
-                        <Button onClick={() => handlePrint('badge')} variant="primary" className="flex-1 sm:flex-none min-h-[44px]">Print Badge</Button>
+                        <Button onClick={handlePrintBadge} variant="primary" className="flex-1 sm:flex-none min-h-[44px]">Print Badge</Button>
                     </div>
                 </div>
 
@@ -684,13 +752,79 @@ export default function StudentDetailPage() {
                                     <span className="text-sm font-black text-primary-700 uppercase">Grand Total</span>
                                     <span className="text-2xl font-black text-primary-600">{grandTotal.toFixed(2)}</span>
                                 </div>
+                                {goalProgress && (
+                                    <div className="mt-3">
+                                        <HourGoalProgress progress={goalProgress} />
+                                    </div>
+                                )}
                                 {hasUncheckedOutEntries && (
                                     <p className="text-xs text-red-600 mt-2 italic">Some entries are not checked out</p>
                                 )}
+                                {hasUnapprovedEntries && (
+                                    <p className="text-xs text-amber-600 mt-2 italic">Some hours are awaiting approval and are not included</p>
+                                )}
                             </div>
                         </div>
                         </div>
 
+                        <div className="bg-white rounded-2xl shadow-sm border p-6">
+                            <h3 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-4">Badge</h3>
+                            <div className="flex justify-between items-center mb-4">
+                                <span className="text-sm font-semibold text-gray-600">Version {student?.badgeVersion || 1}</span>
+                                {student?.badgeRevoked ? (
+                                    <span className="text-xs font-black uppercase text-red-700 bg-red-100 px-2 py-1 rounded-lg">Revoked</span>
+                                ) : (
+                                    <span className="text-xs font-black uppercase text-green-700 bg-green-100 px-2 py-1 rounded-lg">Active</span>
+                                )}
+                            </div>
+                            <div className="flex gap-2">
+                                {!student?.badgeRevoked && (
+                                    <Button variant="secondary" size="sm" onClick={() => openBadgeModal('revoke')} className="flex-1">
+                                        Revoke Badge
+                                    </Button>
+                                )}
+                                <Button variant="secondary" size="sm" onClick={() => openBadgeModal('reissue')} className="flex-1">
+                                    Reissue Badge
+                                </Button>
+                            </div>
+                        </div>
+
+                        <div className="bg-white rounded-2xl shadow-sm border p-6">
+                            <h3 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-4">Guardians</h3>
+                            {studentGuardians.length === 0 ? (
+                                <p className="text-sm text-gray-400">No guardian contacts</p>
+                            ) : (
+                                <div className="space-y-2">
+                                    {studentGuardians.map((guardian, index) => (
+                                        <div key={index} className="flex justify-between items-start gap-2">
+                                            <span className="text-sm font-semibold text-gray-600 break-words">{describeGuardian(guardian)}</span>
+                                            <span className={`text-xs font-black uppercase px-2 py-1 rounded-lg shrink-0 ${guardian.optIn ? 'text-green-700 bg-green-100' : 'text-gray-500 bg-gray-100'}`}>
+                                                {guardian.optIn ? 'Notified' : 'No alerts'}
+                                            </span>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                            {notifications.length > 0 && (
+                                <div className="mt-4 pt-4 border-t space-y-2">
+                                    <h4 className="text-[10px] font-black text-gray-400 uppercase">Recent Notifications</h4>
+                                    {notifications.map(notification => (
+                                        <div key={notification.id} className="text-xs" title={notification.error || undefined}>
+                                            <div className="flex justify-between items-center gap-2">
+                                                <span className="font-semibold text-gray-700 truncate">{notification.subject}</span>
+                                                <span className={`font-black uppercase px-2 py-0.5 rounded-lg shrink-0 ${NOTIFICATION_STATUS_STYLES[notification.status] || NOTIFICATION_STATUS_STYLES.pending}`}>
+                                                    {notification.status}
+                                                </span>
+                                            </div>
+                                            <div className="text-gray-400">
+                                                {notification.channel === 'sms' ? 'SMS' : 'Email'} to {notification.to} • {formatActivityDateTime(notification.createdAt)}
+                                            </div>
+                                        </div>
+                                    ))}
+                                </div>
+                            )}
+                        </div>
+
                         {eventHistory.length > 0 && (
                             <div className="bg-white rounded-2xl shadow-sm border p-6">
                                 <h3 className="text-xs font-black text-gray-400 uppercase tracking-widest mb-4">Event History</h3>
@@ -857,17 +991,6 @@ export default function StudentDetailPage() {
                     <p className="text-[6pt] mt-2 text-gray-400">Revised 8/2023</p>
                 </div>
 
-                <div id="printable-badge">
-                    {student && (
-                        <PrintableBadge
-                            student={student}
-                            eventId={currentEvent?.id}
-                            eventName={currentEvent?.name}
-                            size="large"
-                        />
-                    )}
-                </div>
-
                 {/* View Notes Modal */}
                 <Modal
                     isOpen={notesModal.isOpen}
@@ -897,6 +1020,8 @@ export default function StudentDetailPage() {
                                                     {new Date(log.timestamp).toLocaleString()}
                                                     {log.type === 'force_checkout' && <span className="ml-2 text-blue-600 font-medium">Force Checkout</span>}
                                                     {log.type === 'force_checkout_bulk' && <span className="ml-2 text-blue-600 font-medium">Bulk Force Checkout</span>}
+                                                    {log.type === 'auto_checkout' && <span className="ml-2 text-amber-600 font-medium">Automatic Checkout</span>}
+                                                    {log.type === 'duplicate_override' && <span className="ml-2 text-amber-600 font-medium">Duplicate Override</span>}
                                                     {log.type === 'edit' && <span className="ml-2 text-green-600 font-medium">Edit</span>}
                                                 </p>
                                                 <p className="text-sm text-gray-700 mt-1">{log.description}</p>
@@ -957,13 +1082,13 @@ export default function StudentDetailPage() {
                                     <div>
                                         <span className="text-gray-500">Check-In:</span>{' '}
                                         <span className="font-medium">
-                                            {editModal.originalCheckInTime ? formatTime(new Date(editModal.originalCheckInTime)) : 'None'}
+                                            {editModal.originalCheckInTime ? formatTime(fromDateTimeInputValue(editModal.originalCheckInTime, timeZone), timeZone) : 'None'}
                                         </span>
                                     </div>
                                     <div>
                                         <span className="text-gray-500">Check-Out:</span>{' '}
                                         <span className="font-medium">
-                                            {editModal.originalCheckOutTime ? formatTime(new Date(editModal.originalCheckOutTime)) : 'None'}
+                                            {editModal.originalCheckOutTime ? formatTime(fromDateTimeInputValue(editModal.originalCheckOutTime, timeZone), timeZone) : 'None'}
                                         </span>
                                     </div>
                                 </div>
@@ -1007,11 +1132,9 @@ export default function StudentDetailPage() {
                                         Calculated hours:{' '}
                                         <span className="font-bold">
                                             {(() => {
-                                                const checkIn = new Date(editModal.checkInTime);
-                                                const checkOut = new Date(editModal.checkOutTime);
-                                                const minutes = Math.floor((checkOut - checkIn) / 1000 / 60);
-                                                const hours = Math.round((minutes / 60) * 2) / 2;
-                                                return formatHours(hours);
+                                                const checkIn = fromDateTimeInputValue(editModal.checkInTime, timeZone);
+                                                const checkOut = fromDateTimeInputValue(editModal.checkOutTime, timeZone);
+                                                return formatHours(calculateHours(checkIn, checkOut, currentEvent?.hourRounding).rounded);
                                             })()}
                                         </span>
                                     </p>
@@ -1056,6 +1179,62 @@ export default function StudentDetailPage() {
                     )}
                 </Modal>
 
+                {/* Revoke / Reissue Badge Modal */}
+                <Modal
+                    isOpen={badgeModal.isOpen}
+                    onClose={() => setBadgeModal({ ...badgeModal, isOpen: false })}
+                    title={badgeModal.action === 'revoke' ? 'Revoke Badge' : 'Reissue Badge'}
+                    size="md"
+                    footer={
+                        <>
+                            <Button
+                                variant="secondary"
+                                onClick={() => setBadgeModal({ ...badgeModal, isOpen: false })}
+                                disabled={badgeModal.loading}
+                            >
+                                Cancel
+                            </Button>
+                            <Button
+                                variant={badgeModal.action === 'revoke' ? 'danger' : 'primary'}
+                                onClick={handleBadgeAction}
+                                loading={badgeModal.loading}
+                            >
+                                {badgeModal.action === 'revoke' ? 'Revoke Badge' : 'Reissue Badge'}
+                            </Button>
+                        </>
+                    }
+                >
+                    <div className="space-y-4">
+                        <div className="bg-amber-50 border border-amber-200 p-3 rounded-lg">
+                            <p className="text-sm text-amber-800 font-medium">
+                                {badgeModal.action === 'revoke'
+                                    ? `Scans of ${student?.firstName}'s current badge will be refused until a new badge is reissued.`
+                                    : `A new badge (version ${(student?.badgeVersion || 1) + 1}) will be issued. Every earlier printout of ${student?.firstName}'s badge will be rejected as replaced.`}
+                            </p>
+                        </div>
+
+                        <div>
+                            <label htmlFor="badge-reason" className="block text-sm font-medium text-gray-700 mb-1">
+                                Reason (optional)
+                            </label>
+                            <input
+                                id="badge-reason"
+                                type="text"
+                                value={badgeModal.reason}
+                                onChange={(e) => setBadgeModal(prev => ({ ...prev, reason: e.target.value }))}
+                                placeholder="e.g., Lost lanyard"
+                                className="input-field w-full"
+                            />
+                        </div>
+
+                        {badgeModal.error && (
+                            <div className="text-red-600 text-sm">
+                                {badgeModal.error}
+                            </div>
+                        )}
+                    </div>
+                </Modal>
+
                 {/* Void Entry Modal */}
                 <Modal
                     isOpen={voidModal.isOpen}
@@ -1233,7 +1412,7 @@ export default function StudentDetailPage() {
                 {/* EDIT STUDENT MODAL */}
                 {editStudentModal.isOpen && (
                     <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-50 backdrop-blur-sm no-print">
-                        <div className="bg-white rounded-3xl shadow-2xl max-w-md w-full p-8">
+                        <div className="bg-white rounded-3xl shadow-2xl max-w-md w-full p-8 max-h-[90vh] overflow-y-auto">
                             <h2 className="text-2xl font-black text-gray-900 mb-6">Edit Student</h2>
                             <form onSubmit={handleEditStudentSave} className="space-y-4">
                                 <div className="grid grid-cols-2 gap-4">
@@ -1282,6 +1461,16 @@ export default function StudentDetailPage() {
                                         </select>
                                     </div>
                                 )}
+                                <div>
+                                    <label htmlFor="student-hour-goal" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Hour Goal</label>
+                                    <input id="student-hour-goal" type="number" min="0" step="0.5" placeholder="Use the form's goal" className="w-full border border-gray-200 rounded-xl p-3 outline-none focus:ring-2 focus:ring-primary-500"
+                                        value={editStudentForm.hourGoal} onChange={e => setEditStudentForm(f => ({ ...f, hourGoal: e.target.value }))} />
+                                </div>
+                                <GuardianFields
+                                    guardians={editStudentForm.guardians}
+                                    onChange={guardians => setEditStudentForm(f => ({ ...f, guardians }))}
+                                    error={guardianError}
+                                />
                                 <div className="flex gap-3 pt-6">
                                     <Button type="submit" className="flex-1 py-3">Save Changes</Button>
                                     <button type="button" onClick={() => setEditStudentModal({ isOpen: false })} className="px-6 py-3 text-gray-500 font-bold hover:bg-gray-100 rounded-xl transition-colors">Cancel</button>
@@ -19,6 +19,7 @@ vi.mock('firebase/firestore', () => ({
         exists: () => true,
         id: 'student123',
         data: () => ({
+            organizationId: 'org1',
             firstName: 'John',
             lastName: 'Doe',
             schoolName: 'Test High School',
@@ -27,11 +28,7 @@ vi.mock('firebase/firestore', () => ({
         })
     })),
     onSnapshot: vi.fn((queryOrRef, callback) => {
-        if (queryOrRef?._isDoc) {
-            callback({ exists: () => false, data: () => null });
-        } else {
-            callback({ docs: [] }); // Start with empty entries
-        }
+        callback({ docs: [] }); // Start with empty entries
         return vi.fn();
     }),
     query: vi.fn((ref) => ref),
@@ -55,6 +52,7 @@ vi.mock('firebase/storage', () => ({
 vi.mock('../utils/pdfTemplateUtils', () => ({
     formatActivityDateRanges: vi.fn((dates = []) => dates.join(', ')),
     generateFilledPdf: vi.fn(() => Promise.resolve(new Uint8Array([1, 2, 3]))),
+    getEffectivePdfTemplate: vi.fn((student = {}, templates = []) => templates.find(template => template.id === student.pdfTemplateId) || null),
     openPdfForPrinting: vi.fn(),
     downloadPdf: vi.fn(),
 }));
@@ -70,6 +68,7 @@ vi.mock('../contexts/AuthContext', () => ({
 // Mock EventContext
 const mockCurrentEvent = {
     id: 'event123',
+    organizationId: 'org1',
     name: 'VBS 2026',
     activities: [
         { id: 'activity1', name: 'Morning Session', startTime: '09:00', endTime: '11:00' },
@@ -86,8 +85,15 @@ vi.mock('../contexts/EventContext', () => ({
     })
 }));
 
+vi.mock('../contexts/OrganizationContext', () => ({
+    useOrganization: () => ({
+        organizations: [{ id: 'org1', name: 'Test Church', defaultPdfTemplateId: null }]
+    })
+}));
+
 // Mock hourCalculations
-vi.mock('../utils/hourCalculations', () => ({
+vi.mock('../utils/hourCalculations', async () => ({
+    ...(await vi.importActual('../utils/hourCalculations')),
     formatTime: (date) => new Date(date).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' }),
     formatHours: (hours) => `${hours.toFixed(1)} hours`
 }));
@@ -2,14 +2,39 @@ import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest';
 import { render, screen, waitFor, fireEvent, within } from '@testing-library/react';
 import userEvent from '@testing-library/user-event';
 import { MemoryRouter, Routes, Route } from 'react-router-dom';
+import { getDoc } from 'firebase/firestore';
 import StudentDetailPage from './StudentDetailPage';
 
 // Mock Firebase
 vi.mock('../utils/firebase', () => ({
   db: {},
+  functions: {},
   storage: {},
 }));
 
+// Mock Cloud Functions
+const mockCallables = vi.hoisted(() => ({
+  issueBadges: vi.fn(),
+  revokeBadge: vi.fn(),
+  reissueBadge: vi.fn(),
+  editTimeEntry: vi.fn(),
+}));
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn((functions, name) => mockCallables[name]),
+}));
+
+const mockNotifications = [
+  {
+    id: 'notification1',
+    studentId: 'student123',
+    channel: 'email',
+    to: 'mary@example.com',
+    subject: 'John checked in',
+    status: 'sent',
+    createdAt: new Date('2026-01-30T08:31:00'),
+  },
+];
+
 // Mock Firestore functions
 vi.mock('firebase/firestore', () => ({
   collection: vi.fn((db, path) => ({ _collPath: path })),
@@ -18,6 +43,7 @@ vi.mock('firebase/firestore', () => ({
     exists: () => true,
     id: 'student123',
     data: () => ({
+      organizationId: 'org1',
       firstName: 'John',
       lastName: 'Doe',
       schoolName: 'Test High School',
@@ -26,11 +52,10 @@ vi.mock('firebase/firestore', () => ({
     })
   })),
   onSnapshot: vi.fn((queryOrRef, callback) => {
-    if (queryOrRef?._isDoc) {
-      // Document snapshot (settings/pdfDefaults)
-      callback({ exists: () => false, data: () => null });
-    } else if (queryOrRef?._collPath === 'pdfTemplates') {
+    if (queryOrRef?._collPath === 'pdfTemplates') {
       callback({ docs: [] });
+    } else if (queryOrRef?._collPath === 'notifications') {
+      callback({ docs: mockNotifications.map(item => ({ id: item.id, data: () => item })) });
     } else {
       // timeEntries collection
       callback({
@@ -84,6 +109,7 @@ vi.mock('firebase/storage', () => ({
 vi.mock('../utils/pdfTemplateUtils', () => ({
   formatActivityDateRanges: vi.fn((dates = []) => dates.join(', ')),
   generateFilledPdf: vi.fn(() => Promise.resolve(new Uint8Array([1, 2, 3]))),
+  getEffectivePdfTemplate: vi.fn((student = {}, templates = []) => templates.find(template => template.id === student.pdfTemplateId) || null),
   openPdfForPrinting: vi.fn(),
   downloadPdf: vi.fn(),
 }));
@@ -99,6 +125,7 @@ vi.mock('../contexts/AuthContext', () => ({
 // Mock EventContext
 const mockCurrentEvent = {
   id: 'event123',
+  organizationId: 'org1',
   name: 'VBS 2026',
   activities: [
     { id: 'activity1', name: 'Morning Session', startTime: '08:00', endTime: '12:00' },
@@ -115,8 +142,15 @@ vi.mock('../contexts/EventContext', () => ({
   })
 }));
 
+vi.mock('../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({
+    organizations: [{ id: 'org1', name: 'Test Church', defaultPdfTemplateId: null }]
+  })
+}));
+
 // Mock hourCalculations
-vi.mock('../utils/hourCalculations', () => ({
+vi.mock('../utils/hourCalculations', async () => ({
+  ...(await vi.importActual('../utils/hourCalculations')),
   formatTime: (date) => {
     if (!date) return '--';
     const d = new Date(date);
@@ -127,7 +161,7 @@ vi.mock('../utils/hourCalculations', () => ({
 
 // Mock printUtils
 vi.mock('../utils/printUtils', () => ({
-  printInNewWindow: vi.fn((content, { onComplete }) => {
+  printInNewWindow: vi.fn((content, { onComplete } = {}) => {
     if (onComplete) setTimeout(onComplete, 0);
   }),
   createPrintDocument: vi.fn(({ title, styles, body }) =>
@@ -192,6 +226,25 @@ describe('StudentDetailPage', () => {
       });
     });
 
+    it('should redirect a merged duplicate to the surviving student', async () => {
+      getDoc.mockResolvedValueOnce({
+        exists: () => true,
+        id: 'student123',
+        data: () => ({ firstName: 'John', lastName: 'Doe', mergedInto: 'survivor1' }),
+      });
+
+      render(
+        <MemoryRouter initialEntries={['/admin/students/student123']}>
+          <Routes>
+            <Route path="/admin/students/:studentId" element={<StudentDetailPage />} />
+            <Route path="/admin/settings/students/:studentId" element={<div>Survivor page</div>} />
+          </Routes>
+        </MemoryRouter>
+      );
+
+      expect(await screen.findByText('Survivor page')).toBeInTheDocument();
+    });
+
     it('should render student school and grade info', async () => {
       renderWithRouter();
 
@@ -241,6 +294,18 @@ describe('StudentDetailPage', () => {
       });
     });
 
+    it('should show progress toward the student\'s own hour goal', async () => {
+      getDoc.mockResolvedValueOnce({
+        exists: () => true,
+        id: 'student123',
+        data: () => ({ organizationId: 'org1', firstName: 'John', lastName: 'Doe', hourGoal: 10 }),
+      });
+      renderWithRouter();
+
+      expect(await screen.findByRole('progressbar', { name: /of 10 goal hours/ })).toBeInTheDocument();
+      expect(screen.getByText('% of 10', { exact: false })).toBeInTheDocument();
+    });
+
     it('should render Summary section', async () => {
       renderWithRouter();
 
@@ -439,6 +504,36 @@ describe('StudentDetailPage', () => {
 
       expect(reasonTextarea).toHaveValue('Test reason for change');
     });
+
+    it('should save edits through the editTimeEntry Cloud Function', async () => {
+      mockCallables.editTimeEntry.mockResolvedValueOnce({ data: { success: true } });
+      const user = userEvent.setup();
+      renderWithRouter();
+
+      await waitFor(() => {
+        expect(screen.getAllByRole('button', { name: 'Edit' }).length).toBeGreaterThanOrEqual(1);
+      });
+      await user.click(screen.getAllByRole('button', { name: 'Edit' })[0]);
+
+      const [checkInInput, checkOutInput] = document.querySelectorAll('input[type="datetime-local"]');
+      fireEvent.change(checkInInput, { target: { value: '2026-01-31T08:00' } });
+      fireEvent.change(checkOutInput, { target: { value: '2026-01-31T13:00' } });
+      await user.type(screen.getByPlaceholderText(/Helped with setup/), 'Stayed to clean up');
+      await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+      await waitFor(() => {
+        expect(mockCallables.editTimeEntry).toHaveBeenCalledWith({
+          entryId: 'entry1',
+          // Times are entered on the event's clock (America/New_York by default)
+          checkInTime: '2026-01-31T13:00:00.000Z',
+          checkOutTime: '2026-01-31T18:00:00.000Z',
+          reason: 'Stayed to clean up',
+        });
+      });
+      await waitFor(() => {
+        expect(screen.queryByText('Edit Hours')).not.toBeInTheDocument();
+      });
+    });
   });
 
   describe('notes modal', () => {
@@ -454,6 +549,121 @@ describe('StudentDetailPage', () => {
       });
     });
   });
+
+  describe('badge', () => {
+    it('should print the signed badge payload from issueBadges', async () => {
+      const { printInNewWindow } = await import('../utils/printUtils');
+      mockCallables.issueBadges.mockResolvedValueOnce({
+        data: { success: true, payloads: { student123: 'VBS|student123|event123|1|sig' }, revoked: [] },
+      });
+      const user = userEvent.setup();
+      renderWithRouter();
+
+      await user.click(await screen.findByRole('button', { name: 'Print Badge' }));
+
+      await waitFor(() => expect(printInNewWindow).toHaveBeenCalledTimes(1));
+      expect(mockCallables.issueBadges).toHaveBeenCalledWith({ eventId: 'event123', studentIds: ['student123'] });
+      expect(printInNewWindow.mock.calls[0][0]).toContain('John Doe');
+    });
+
+    it('should not print a revoked badge', async () => {
+      const { printInNewWindow } = await import('../utils/printUtils');
+      const alertSpy = vi.spyOn(window, 'alert').mockImplementation(() => {});
+      mockCallables.issueBadges.mockResolvedValueOnce({
+        data: { success: true, payloads: {}, revoked: ['student123'] },
+      });
+      const user = userEvent.setup();
+      renderWithRouter();
+
+      await user.click(await screen.findByRole('button', { name: 'Print Badge' }));
+
+      await waitFor(() => expect(alertSpy).toHaveBeenCalledWith(expect.stringContaining('revoked')));
+      expect(printInNewWindow).not.toHaveBeenCalled();
+    });
+
+    it('should revoke a lost badge with a reason', async () => {
+      mockCallables.revokeBadge.mockResolvedValueOnce({
+        data: { success: true, badgeVersion: 1, badgeRevoked: true },
+      });
+      const user = userEvent.setup();
+      renderWithRouter();
+
+      await user.click(await screen.findByRole('button', { name: 'Revoke Badge' }));
+      await user.type(screen.getByLabelText('Reason (optional)'), 'Lost lanyard');
+      // The modal's confirm button renders after the card's button
+      await user.click(screen.getAllByRole('button', { name: 'Revoke Badge' }).at(-1));
+
+      expect(mockCallables.revokeBadge).toHaveBeenCalledWith({ studentId: 'student123', reason: 'Lost lanyard' });
+      expect(await screen.findByText('Revoked')).toBeInTheDocument();
+      expect(screen.queryByRole('button', { name: 'Revoke Badge' })).not.toBeInTheDocument();
+    });
+
+    it('should reissue a badge and show the new version', async () => {
+      mockCallables.reissueBadge.mockResolvedValueOnce({
+        data: { success: true, badgeVersion: 2, badgeRevoked: false },
+      });
+      const user = userEvent.setup();
+      renderWithRouter();
+
+      expect(await screen.findByText('Version 1')).toBeInTheDocument();
+      await user.click(screen.getByRole('button', { name: 'Reissue Badge' }));
+      await user.click(screen.getAllByRole('button', { name: 'Reissue Badge' }).at(-1));
+
+      expect(mockCallables.reissueBadge).toHaveBeenCalledWith({ studentId: 'student123', reason: '' });
+      expect(await screen.findByText('Version 2')).toBeInTheDocument();
+    });
+  });
+
+  describe('guardians', () => {
+    const studentWithGuardian = {
+      exists: () => true,
+      id: 'student123',
+      data: () => ({
+        organizationId: 'org1',
+        firstName: 'John',
+        lastName: 'Doe',
+        gradeLevel: '10',
+        guardians: [{ name: 'Mary Doe', email: 'mary@example.com', phone: '', optIn: true }],
+      }),
+    };
+
+    it('should list guardians and recent notification delivery', async () => {
+      getDoc.mockResolvedValueOnce(studentWithGuardian);
+      renderWithRouter();
+
+      expect(await screen.findByText('Mary Doe (mary@example.com)')).toBeInTheDocument();
+      expect(screen.getByText('Notified')).toBeInTheDocument();
+      expect(screen.getByText('John checked in')).toBeInTheDocument();
+      expect(screen.getByText('sent')).toBeInTheDocument();
+    });
+
+    it('should save guardian contacts and opt-ins from the edit form', async () => {
+      const user = userEvent.setup();
+      const { updateDoc } = await import('firebase/firestore');
+      getDoc.mockResolvedValueOnce(studentWithGuardian);
+      renderWithRouter();
+
+      await user.click(await screen.findByRole('button', { name: /Edit Student/i }));
+      await user.click(screen.getByRole('button', { name: '+ Add Guardian' }));
+      await user.type(screen.getByLabelText('Guardian 2 name'), 'Tom Doe');
+      await user.type(screen.getByLabelText('Guardian 2 phone'), '407-555');
+      await user.click(screen.getAllByRole('checkbox', { name: 'Notify on check-in/out' })[1]);
+      await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+      expect(screen.getByText('Tom Doe: enter a phone number with area code')).toBeInTheDocument();
+      expect(updateDoc).not.toHaveBeenCalled();
+
+      await user.type(screen.getByLabelText('Guardian 2 phone'), '-0100');
+      await user.click(screen.getByRole('button', { name: 'Save Changes' }));
+
+      expect(updateDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        guardians: [
+          { name: 'Mary Doe', email: 'mary@example.com', phone: '', optIn: true },
+          { name: 'Tom Doe', email: '', phone: '407-555-0100', optIn: true },
+        ],
+      }));
+    });
+  });
 });
 
 describe('StudentDetailPage Edit Functionality', () => {
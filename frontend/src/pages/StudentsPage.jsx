@@ -1,30 +1,42 @@
 import React, { useState, useEffect, useMemo } from 'react';
 import { useNavigate } from 'react-router-dom';
+import { renderToStaticMarkup } from 'react-dom/server';
 import { printInNewWindow, createPrintDocument } from '../utils/printUtils';
 import { db, storage } from '../utils/firebase';
 import { collection, onSnapshot, addDoc, serverTimestamp, query, where, doc, updateDoc } from 'firebase/firestore';
 import { ref, getDownloadURL } from 'firebase/storage';
-import { formatActivityDateRanges, generateFilledPdf, mergePdfs, openPdfForPrinting } from '../utils/pdfTemplateUtils';
+import { formatActivityDateRanges, generateFilledPdf, getEffectivePdfTemplate, mergePdfs, openPdfForPrinting } from '../utils/pdfTemplateUtils';
 import { useEvent } from '../contexts/EventContext';
+import { useOrganization } from '../contexts/OrganizationContext';
 import Button from '../components/common/Button';
 import Spinner from '../components/common/Spinner';
 import PrintableBadge from '../components/common/PrintableBadge';
-import { StudentCard, StudentRow } from '../components/Students';
+import { StudentCard, StudentRow, RegistrationImportWizard, DuplicateStudentsModal, GuardianFields } from '../components/Students';
 import { GRADE_LEVEL_OPTIONS } from '../utils/grades';
+import { roundHours } from '../utils/hourCalculations';
+import { formatDateInTimeZone, getEventTimeZone } from '../utils/timeZones';
+import { isCreditedEntry } from '../utils/reviewStatus';
+import { issueBadgePayloads, getRevokedBadgesMessage } from '../utils/badges';
+import { normalizeGuardians, getGuardianError } from '../utils/guardians';
+import { getFormCreditedHours, getGoalProgress, getHourGoal, normalizeHourGoal } from '../utils/hourGoals';
 
 export default function StudentsPage() {
   const navigate = useNavigate();
   const { currentEvent } = useEvent();
+  const { organizationId, currentOrganization } = useOrganization();
+  const defaultTemplateId = currentOrganization?.defaultPdfTemplateId || null;
+  const schoolAliases = currentOrganization?.schoolTemplateAliases || [];
 
   const [students, setStudents] = useState([]);
   const [allEntries, setAllEntries] = useState([]);
   const [loading, setLoading] = useState(true);
   const [searchTerm, setSearchTerm] = useState('');
   const [isModalOpen, setIsModalOpen] = useState(false);
-  const [badgePrintMode, setBadgePrintMode] = useState(false);
+  const [isImportOpen, setIsImportOpen] = useState(false);
+  const [isDuplicatesOpen, setIsDuplicatesOpen] = useState(false);
   const [selectedStudents, setSelectedStudents] = useState(new Set());
   const [pdfTemplates, setPdfTemplates] = useState([]);
-  const [defaultTemplateId, setDefaultTemplateId] = useState(null);
+  const [pdfImages, setPdfImages] = useState([]);
   const [printingReports, setPrintingReports] = useState(false);
 
   const [formData, setFormData] = useState({
@@ -33,47 +45,63 @@ export default function StudentsPage() {
     schoolName: '',
     gradeLevel: '',
     gradYear: '',
-    pdfTemplateId: ''
+    pdfTemplateId: '',
+    hourGoal: '',
+    guardians: []
   });
 
   const [isEditModalOpen, setIsEditModalOpen] = useState(false);
   const [editStudentId, setEditStudentId] = useState(null);
+  const [guardianError, setGuardianError] = useState(null);
   const [editFormData, setEditFormData] = useState({
     firstName: '',
     lastName: '',
     schoolName: '',
     gradeLevel: '',
     gradYear: '',
-    pdfTemplateId: ''
+    pdfTemplateId: '',
+    hourGoal: '',
+    guardians: []
   });
 
-  // Watch for badgePrintMode changes and reset after print dialog closes
   useEffect(() => {
-    if (!badgePrintMode) return;
-    const timer = setTimeout(() => setBadgePrintMode(false), 3000);
-    return () => clearTimeout(timer);
-  }, [badgePrintMode]);
-
-  useEffect(() => {
-    const unsubTemplates = onSnapshot(collection(db, 'pdfTemplates'), (snapshot) => {
+    if (!organizationId) return undefined;
+    const templatesQuery = query(collection(db, 'pdfTemplates'), where('organizationId', '==', organizationId));
+    const unsubTemplates = onSnapshot(templatesQuery, (snapshot) => {
       setPdfTemplates(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
     });
-    const unsubDefaults = onSnapshot(doc(db, 'settings', 'pdfDefaults'), (snap) => {
-      setDefaultTemplateId(snap.exists() ? snap.data().defaultTemplateId : null);
+    const imagesQuery = query(collection(db, 'pdfImages'), where('organizationId', '==', organizationId));
+    const unsubImages = onSnapshot(imagesQuery, (snapshot) => {
+      setPdfImages(snapshot.docs.map(d => ({ id: d.id, ...d.data() })));
     });
-    return () => { unsubTemplates(); unsubDefaults(); };
-  }, []);
+    return () => {
+      unsubTemplates();
+      unsubImages();
+    };
+  }, [organizationId]);
 
   useEffect(() => {
-    // 1. Listen for all student records
-    const unsubStudents = onSnapshot(collection(db, 'students'), (snapshot) => {
-      setStudents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })));
+    if (!organizationId) {
+      setStudents([]);
+      setLoading(false);
+      return undefined;
+    }
+
+    // 1. Listen for the organization's student records
+    // Merged duplicates stay behind only as badge redirects
+    const studentsQuery = query(collection(db, 'students'), where('organizationId', '==', organizationId));
+    const unsubStudents = onSnapshot(studentsQuery, (snapshot) => {
+      setStudents(snapshot.docs.map(doc => ({ id: doc.id, ...doc.data() })).filter(student => !student.mergedInto));
     });
 
     // 2. Listen for entries linked to the active event to show current totals
     let unsubEntries = () => {};
-    if (currentEvent?.id) {
-      const q = query(collection(db, 'timeEntries'), where('eventId', '==', currentEvent.id));
+    if (currentEvent?.id && currentEvent.organizationId === organizationId) {
+      const q = query(
+        collection(db, 'timeEntries'),
+        where('organizationId', '==', organizationId),
+        where('eventId', '==', currentEvent.id)
+      );
       unsubEntries = onSnapshot(q, (snapshot) => {
         setAllEntries(snapshot.docs.map(doc => doc.data()));
         setLoading(false);
@@ -86,33 +114,37 @@ export default function StudentsPage() {
       unsubStudents();
       unsubEntries();
     };
-  }, [currentEvent?.id]);
+  }, [organizationId, currentEvent?.id, currentEvent?.organizationId]);
 
-  const roundTime = (hours) => Math.round(hours * 4) / 4;
+  const roundTime = (hours) => roundHours(hours, currentEvent?.hourRounding);
 
   // Calculate live totals for the table view
   const studentsWithHours = useMemo(() => {
     return students.map(student => {
-      const studentEntries = allEntries.filter(e => e.studentId === student.id && e.checkOutTime);
-      const totalHours = studentEntries.reduce((acc, entry) => {
-        const diff = (entry.checkOutTime.seconds - entry.checkInTime.seconds) / 3600;
-        return acc + roundTime(diff);
-      }, 0);
+      // Approved hours plus the override, the total the student's form reports
+      const eventTotal = getFormCreditedHours(allEntries.filter(e => e.studentId === student.id), student, currentEvent);
+      const goal = getHourGoal(student, getEffectivePdfTemplate(student, pdfTemplates, defaultTemplateId, schoolAliases));
       return { 
         ...student, 
-        eventTotal: totalHours + parseFloat(student.overrideHours || 0) 
+        eventTotal,
+        goalProgress: getGoalProgress(eventTotal, goal)
       };
     }).sort((a, b) => a.lastName.localeCompare(b.lastName));
-  }, [students, allEntries]);
+  }, [students, allEntries, currentEvent, pdfTemplates, defaultTemplateId, currentOrganization?.schoolTemplateAliases]);
 
   const handleCreateStudent = async (e) => {
     e.preventDefault();
+    const guardians = normalizeGuardians(formData.guardians);
+    const error = getGuardianError(guardians);
+    setGuardianError(error);
+    if (error) return;
     try {
-      const data = { ...formData, overrideHours: 0, createdAt: serverTimestamp() };
+      const data = { ...formData, guardians, hourGoal: normalizeHourGoal(formData.hourGoal), organizationId, overrideHours: 0, createdAt: serverTimestamp() };
       if (!data.pdfTemplateId) delete data.pdfTemplateId;
+      if (!data.hourGoal) delete data.hourGoal;
       await addDoc(collection(db, 'students'), data);
       setIsModalOpen(false);
-      setFormData({ firstName: '', lastName: '', schoolName: '', gradeLevel: '', gradYear: '', pdfTemplateId: '' });
+      setFormData({ firstName: '', lastName: '', schoolName: '', gradeLevel: '', gradYear: '', pdfTemplateId: '', hourGoal: '', guardians: [] });
     } catch (err) { console.error("Error adding student:", err); }
   };
 
@@ -124,16 +156,23 @@ export default function StudentsPage() {
       schoolName: student.schoolName || '',
       gradeLevel: student.gradeLevel || '',
       gradYear: student.gradYear || '',
-      pdfTemplateId: student.pdfTemplateId || ''
+      pdfTemplateId: student.pdfTemplateId || '',
+      hourGoal: student.hourGoal ?? '',
+      guardians: normalizeGuardians(student.guardians)
     });
+    setGuardianError(null);
     setIsEditModalOpen(true);
   };
 
   const handleEditStudent = async (e) => {
     e.preventDefault();
     if (!editStudentId) return;
+    const guardians = normalizeGuardians(editFormData.guardians);
+    const error = getGuardianError(guardians);
+    setGuardianError(error);
+    if (error) return;
     try {
-      const data = { ...editFormData };
+      const data = { ...editFormData, guardians, hourGoal: normalizeHourGoal(editFormData.hourGoal) };
       if (!data.pdfTemplateId) data.pdfTemplateId = null;
       await updateDoc(doc(db, 'students', editStudentId), data);
       setIsEditModalOpen(false);
@@ -182,7 +221,7 @@ export default function StudentsPage() {
     return studentsWithHours;
   };
 
-  // Calculate activity logs for each student (for printing)
+  // Calculate activity logs for each student (for printing); only approved hours are reported
   const getStudentActivityLog = (studentId) => {
     if (!currentEvent?.activities || allEntries.length === 0) return [];
 
@@ -190,13 +229,13 @@ export default function StudentsPage() {
       const activityEntries = allEntries.filter(e =>
         e.studentId === studentId &&
         e.activityId === activity.id &&
-        e.checkOutTime
+        isCreditedEntry(e)
       );
       if (activityEntries.length === 0) return null;
 
       // Get unique sorted dates for this activity
       const uniqueDates = [...new Set(activityEntries.map(e =>
-        new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(e.checkInTime.toDate())
+        formatDateInTimeZone(e.checkInTime.toDate(), getEventTimeZone(currentEvent))
       ))].sort();
 
       const totalHours = activityEntries.reduce((acc, entry) => {
@@ -223,28 +262,13 @@ export default function StudentsPage() {
     .ocps-logo { width: 40px; height: 40px; border: 1px solid black; display: flex; align-items: center; justify-content: center; font-weight: bold; font-size: 7pt; text-align: center; }
 
     .badge-page { page-break-after: always; height: 100vh; width: 100vw; display: grid; grid-template-columns: repeat(2, 1fr); grid-template-rows: repeat(4, 1fr); gap: 0; padding: 0.25in; box-sizing: border-box; }
+    .badge-page:last-child { page-break-after: auto; }
     .student-badge { border: 2px solid #000; padding: 0.15in; display: flex; flex-direction: column; align-items: center; justify-content: center; background: white; box-sizing: border-box; text-align: center; margin: 2px; }
     .badge-name { font-size: 14pt; font-weight: bold; margin-bottom: 4px; color: #000; }
     .badge-id { font-size: 9pt; color: #666; margin-bottom: 8px; }
+    .badge-qr { margin: 0 auto; }
   `;
 
-  const printElementById = (id, title = 'Print', setStateReseter) => {
-    const el = document.getElementById(id);
-    if (!el) {
-      alert('Print content not available');
-      return;
-    }
-
-    if (setStateReseter) setStateReseter(true);
-
-    const html = createPrintDocument({ title, styles: PRINT_STYLES, body: el.outerHTML });
-
-    printInNewWindow(html, {
-      onComplete: () => { if (setStateReseter) setStateReseter(false); },
-      onError: () => { if (setStateReseter) setStateReseter(false); }
-    });
-  };
-
   // Returns the effective PDF template for a student (own → default → null)
   const getEffectiveTemplate = (student) => {
     const id = student.pdfTemplateId || defaultTemplateId;
@@ -349,8 +373,8 @@ export default function StudentsPage() {
             eventName: currentEvent?.name || '',
             activityLog,
             event: currentEvent,
-            timeEntries: allEntries.filter(e => e.studentId === student.id && !e.isVoided),
-          });
+            timeEntries: allEntries.filter(e => e.studentId === student.id && isCreditedEntry(e)),
+          }, { ...template, imageAssets: pdfImages });
           allPdfBytes.push(pdfBytes);
         }
         const mergedBytes = await mergePdfs(allPdfBytes);
@@ -377,8 +401,47 @@ export default function StudentsPage() {
     }
   };
 
-  const handlePrintBadges = () => {
-    printElementById('print-all-badges', 'Badges', setBadgePrintMode);
+  const handlePrintBadges = async () => {
+    if (!currentEvent) {
+      alert('Select an event before printing badges');
+      return;
+    }
+
+    const requested = getStudentsToPrint();
+    let badges;
+    try {
+      badges = await issueBadgePayloads(currentEvent.id, requested.map(student => student.id));
+    } catch (err) {
+      console.error('Error issuing badges:', err);
+      alert('Failed to issue badges: ' + err.message);
+      return;
+    }
+
+    const revokedMessage = getRevokedBadgesMessage(requested, badges.revoked);
+    if (revokedMessage) alert(revokedMessage);
+
+    const studentsToPrint = requested.filter(student => badges.payloads[student.id]);
+    if (studentsToPrint.length === 0) return;
+
+    // Group students into pages of 8
+    const pages = [];
+    for (let i = 0; i < studentsToPrint.length; i += 8) {
+      pages.push(studentsToPrint.slice(i, i + 8));
+    }
+
+    const body = pages.map(pageStudents => (
+      '<div class="badge-page">' +
+      pageStudents.map(student => renderToStaticMarkup(
+        <PrintableBadge student={student} qrData={badges.payloads[student.id]} />
+      )).join('') +
+      Array.from({ length: Math.max(0, 8 - pageStudents.length) })
+        .map(() => '<div class="student-badge" style="border:none"></div>')
+        .join('') +
+      '</div>'
+    )).join('');
+
+    const html = createPrintDocument({ title: 'Badges', styles: PRINT_STYLES, body });
+    printInNewWindow(html);
   };
 
   const handleViewDetail = (studentId) => {
@@ -398,38 +461,7 @@ export default function StudentsPage() {
         {`
           @media print {
             .no-print { display: none !important; }
-            #print-all-badges { display: ${badgePrintMode ? 'block' : 'none'} !important; }
-
-            body { background: white; margin: 0; padding: 0; }
-            .badge-page {
-              page-break-after: always;
-              height: 100vh;
-              width: 100vw;
-              display: grid;
-              grid-template-columns: repeat(2, 1fr);
-              grid-template-rows: repeat(4, 1fr);
-              gap: 0;
-              padding: 0.25in;
-              box-sizing: border-box;
-            }
-            .badge-page:last-child { page-break-after: auto; }
-            .student-badge {
-              border: 2px solid #000;
-              padding: 0.15in;
-              display: flex;
-              flex-direction: column;
-              align-items: center;
-              justify-content: center;
-              background: white;
-              box-sizing: border-box;
-              text-align: center;
-              margin: 2px;
-            }
-            .badge-name { font-size: 14pt; font-weight: bold; margin-bottom: 4px; color: #000; }
-            .badge-id { font-size: 9pt; color: #666; margin-bottom: 8px; }
-            .badge-qr { margin: 0 auto; }
           }
-          #print-all-badges { display: none; }
         `}
       </style>
 
@@ -452,7 +484,13 @@ export default function StudentsPage() {
           <Button onClick={handlePrintReports} variant="secondary" disabled={printingReports} loading={printingReports}>
             {printingReports ? 'Generating...' : selectedStudents.size > 0 ? `Print Reports (${selectedStudents.size})` : 'Print Reports'}
           </Button>
-          <Button onClick={() => setIsModalOpen(true)} variant="primary">+ Add Student</Button>
+          <Button onClick={() => setIsDuplicatesOpen(true)} variant="secondary">
+            Find Duplicates
+          </Button>
+          <Button onClick={() => setIsImportOpen(true)} variant="secondary" disabled={!currentEvent}>
+            Import Registrations
+          </Button>
+          <Button onClick={() => { setGuardianError(null); setIsModalOpen(true); }} variant="primary">+ Add Student</Button>
         </div>
       </div>
 
@@ -579,7 +617,7 @@ export default function StudentsPage() {
       {/* CREATE STUDENT MODAL */}
       {isModalOpen && (
         <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-50 backdrop-blur-sm no-print">
-          <div className="bg-white rounded-3xl shadow-2xl max-w-md w-full p-8">
+          <div className="bg-white rounded-3xl shadow-2xl max-w-md w-full p-8 max-h-[90vh] overflow-y-auto">
             <h2 className="text-2xl font-black text-gray-900 mb-6">Register Volunteer</h2>
             <form onSubmit={handleCreateStudent} className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
@@ -628,6 +666,16 @@ export default function StudentsPage() {
                   </select>
                 </div>
               )}
+              <div>
+                <label htmlFor="student-hour-goal" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Hour Goal</label>
+                <input id="student-hour-goal" type="number" min="0" step="0.5" placeholder="Use the form's goal" className="w-full border border-gray-200 rounded-xl p-3 outline-none focus:ring-2 focus:ring-primary-500"
+                  value={formData.hourGoal} onChange={e => setFormData({...formData, hourGoal: e.target.value})} />
+              </div>
+              <GuardianFields
+                guardians={formData.guardians}
+                onChange={guardians => setFormData({...formData, guardians})}
+                error={guardianError}
+              />
               <div className="flex gap-3 pt-6">
                 <Button type="submit" className="flex-1 py-3">Add Student</Button>
                 <button type="button" onClick={() => setIsModalOpen(false)} className="px-6 py-3 text-gray-500 font-bold hover:bg-gray-100 rounded-xl transition-colors">Cancel</button>
@@ -640,7 +688,7 @@ export default function StudentsPage() {
       {/* EDIT STUDENT MODAL */}
       {isEditModalOpen && (
         <div className="fixed inset-0 bg-black/60 flex items-center justify-center p-4 z-50 backdrop-blur-sm no-print">
-          <div className="bg-white rounded-3xl shadow-2xl max-w-md w-full p-8">
+          <div className="bg-white rounded-3xl shadow-2xl max-w-md w-full p-8 max-h-[90vh] overflow-y-auto">
             <h2 className="text-2xl font-black text-gray-900 mb-6">Edit Volunteer</h2>
             <form onSubmit={handleEditStudent} className="space-y-4">
               <div className="grid grid-cols-2 gap-4">
@@ -689,6 +737,16 @@ export default function StudentsPage() {
                   </select>
                 </div>
               )}
+              <div>
+                <label htmlFor="edit-student-hour-goal" className="block text-[10px] font-black text-gray-400 uppercase mb-1">Hour Goal</label>
+                <input id="edit-student-hour-goal" type="number" min="0" step="0.5" placeholder="Use the form's goal" className="w-full border border-gray-200 rounded-xl p-3 outline-none focus:ring-2 focus:ring-primary-500"
+                  value={editFormData.hourGoal} onChange={e => setEditFormData({...editFormData, hourGoal: e.target.value})} />
+              </div>
+              <GuardianFields
+                guardians={editFormData.guardians}
+                onChange={guardians => setEditFormData({...editFormData, guardians})}
+                error={guardianError}
+              />
               <div className="flex gap-3 pt-6">
                 <Button type="submit" className="flex-1 py-3">Save Changes</Button>
                 <button type="button" onClick={() => setIsEditModalOpen(false)} className="px-6 py-3 text-gray-500 font-bold hover:bg-gray-100 rounded-xl transition-colors">Cancel</button>
@@ -698,33 +756,20 @@ export default function StudentsPage() {
         </div>
       )}
 
-      {/* PRINT ALL BADGES */}
-      <div id="print-all-badges">
-        {(() => {
-          // Group students into pages of 8
-          const studentsToPrint = getStudentsToPrint();
-          const pages = [];
-          for (let i = 0; i < studentsToPrint.length; i += 8) {
-            pages.push(studentsToPrint.slice(i, i + 8));
-          }
-
-          return pages.map((pageStudents, pageIndex) => (
-            <div key={`page-${pageIndex}`} className="badge-page">
-              {pageStudents.map((student) => (
-                <PrintableBadge
-                  key={student.id}
-                  student={student}
-                  eventId={currentEvent?.id}
-                />
-              ))}
-              {/* Fill remaining slots with empty badges if needed */}
-              {[...Array(Math.max(0, 8 - pageStudents.length))].map((_, i) => (
-                <div key={`empty-${i}`} className="student-badge" style={{ border: 'none' }}></div>
-              ))}
-            </div>
-          ));
-        })()}
-      </div>
+      <DuplicateStudentsModal
+        isOpen={isDuplicatesOpen}
+        onClose={() => setIsDuplicatesOpen(false)}
+        students={students}
+      />
+
+      {currentEvent && (
+        <RegistrationImportWizard
+          isOpen={isImportOpen}
+          onClose={() => setIsImportOpen(false)}
+          eventId={currentEvent.id}
+          eventName={currentEvent.name}
+        />
+      )}
       </div>
     </div>
   );
@@ -11,6 +11,12 @@ vi.mock('../utils/firebase', () => ({
   storage: {},
 }));
 
+// Mock Cloud Functions (issueBadges)
+const mockIssueBadges = vi.hoisted(() => vi.fn());
+vi.mock('firebase/functions', () => ({
+  httpsCallable: vi.fn(() => mockIssueBadges),
+}));
+
 // Mock Firebase Storage
 vi.mock('firebase/storage', () => ({
   ref: vi.fn(),
@@ -21,6 +27,7 @@ vi.mock('firebase/storage', () => ({
 vi.mock('../utils/pdfTemplateUtils', () => ({
   formatActivityDateRanges: vi.fn((dates = []) => dates.join(', ')),
   generateFilledPdf: vi.fn(() => Promise.resolve(new Uint8Array([1, 2, 3]))),
+  getEffectivePdfTemplate: vi.fn((student = {}, templates = []) => templates.find(template => template.id === student.pdfTemplateId) || null),
   mergePdfs: vi.fn((arr) => Promise.resolve(arr[0] || new Uint8Array([1, 2, 3]))),
   openPdfForPrinting: vi.fn(),
   downloadPdf: vi.fn(),
@@ -46,12 +53,6 @@ vi.mock('firebase/firestore', () => ({
   collection: vi.fn((db, path) => ({ _collPath: path })),
   doc: vi.fn((db, ...args) => ({ _isDoc: true })),
   onSnapshot: vi.fn((queryOrRef, callback) => {
-    if (queryOrRef?._isDoc) {
-      // Document snapshot (settings/pdfDefaults)
-      callback({ exists: () => false, data: () => null });
-      return vi.fn();
-    }
-
     const path = queryOrRef?._collPath;
 
     if (path === 'pdfTemplates') {
@@ -101,6 +102,7 @@ vi.mock('../contexts/AuthContext', () => ({
 // Mock EventContext
 const mockCurrentEvent = {
   id: 'event123',
+  organizationId: 'org1',
   name: 'VBS 2026',
   activities: [
     { id: 'activity1', name: 'Morning Session', startTime: '08:00', endTime: '12:00' },
@@ -115,9 +117,16 @@ vi.mock('../contexts/EventContext', () => ({
   })
 }));
 
+vi.mock('../contexts/OrganizationContext', () => ({
+  useOrganization: () => ({
+    organizationId: 'org1',
+    currentOrganization: { id: 'org1', name: 'Test Organization', defaultPdfTemplateId: null }
+  })
+}));
+
 // Mock printUtils
 vi.mock('../utils/printUtils', () => ({
-  printInNewWindow: vi.fn((content, { onComplete }) => {
+  printInNewWindow: vi.fn((content, { onComplete } = {}) => {
     if (onComplete) setTimeout(onComplete, 0);
   }),
   createPrintDocument: vi.fn(({ title, styles, body }) => `<!DOCTYPE html><html><head><title>${title}</title></head><body>${body}</body></html>`)
@@ -444,6 +453,28 @@ describe('StudentsPage', () => {
         expect(screen.queryByText(/students selected/i)).not.toBeInTheDocument();
       });
     });
+
+    it('should print signed badges for the selected students', async () => {
+      const { printInNewWindow } = await import('../utils/printUtils');
+      mockIssueBadges.mockResolvedValueOnce({
+        data: { success: true, payloads: { student1: 'VBS|student1|event123|1|sig' }, revoked: [] },
+      });
+      const user = userEvent.setup();
+      renderWithRouter(<StudentsPage />);
+
+      await waitFor(() => {
+        expect(screen.getAllByText('Doe, John')[0]).toBeInTheDocument();
+      });
+
+      await user.click(screen.getAllByRole('checkbox', { name: /Select John Doe/i })[0]);
+      await user.click(screen.getByRole('button', { name: /Print Badges \(1\)/i }));
+
+      await waitFor(() => expect(printInNewWindow).toHaveBeenCalledTimes(1));
+      expect(mockIssueBadges).toHaveBeenCalledWith({ eventId: 'event123', studentIds: ['student1'] });
+      const printedHtml = printInNewWindow.mock.calls[0][0];
+      expect(printedHtml).toContain('John Doe');
+      expect(printedHtml).not.toContain('Jane Smith');
+    });
   });
 
   describe('search functionality', () => {
@@ -531,6 +562,24 @@ describe('StudentsPage', () => {
         expect(screen.queryByText('Register Volunteer')).not.toBeInTheDocument();
       });
     });
+
+    it('should save an opted-in guardian with the new student', async () => {
+      const user = userEvent.setup();
+      const { addDoc } = await import('firebase/firestore');
+      renderWithRouter(<StudentsPage />);
+
+      await user.click(await screen.findByRole('button', { name: '+ Add Student' }));
+      await user.click(screen.getByRole('button', { name: '+ Add Guardian' }));
+      await user.type(screen.getByLabelText('Guardian 1 name'), 'Mary Doe');
+      await user.type(screen.getByLabelText('Guardian 1 email'), 'Mary@Example.com');
+      await user.click(screen.getByRole('checkbox', { name: 'Notify on check-in/out' }));
+      await user.click(screen.getByRole('button', { name: 'Add Student' }));
+
+      expect(addDoc).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        organizationId: 'org1',
+        guardians: [{ name: 'Mary Doe', email: 'mary@example.com', phone: '', optIn: true }],
+      }));
+    });
   });
 
   describe('accessibility', () => {
@@ -1,15 +1,19 @@
 import React, { useState, useEffect } from 'react';
-import { functions } from '../utils/firebase';
+import { db, functions } from '../utils/firebase';
+import { collection, getDocs, query, where } from 'firebase/firestore';
 import { httpsCallable } from 'firebase/functions';
 import { useAuth } from '../contexts/AuthContext';
+import { useOrganization } from '../contexts/OrganizationContext';
 import Button from '../components/common/Button';
 import Spinner from '../components/common/Spinner';
 import Modal from '../components/common/Modal';
 import UserCard from '../components/Users/UserCard';
 import UserRow from '../components/Users/UserRow';
+import EventAssignmentsModal from '../components/Users/EventAssignmentsModal';
 
 export default function UsersPage() {
   const { user } = useAuth();
+  const { organizationId } = useOrganization();
   const [users, setUsers] = useState([]);
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
@@ -24,6 +28,8 @@ export default function UsersPage() {
   const [actionLoading, setActionLoading] = useState(false);
   const [actionMessage, setActionMessage] = useState(null);
   const [temporaryPassword, setTemporaryPassword] = useState(null);
+  const [events, setEvents] = useState([]);
+  const [assignModal, setAssignModal] = useState({ userItem: null, saving: false, error: null });
 
   // Form state for creating/editing users
   const [formData, setFormData] = useState({
@@ -33,16 +39,16 @@ export default function UsersPage() {
     role: 'adult_volunteer'
   });
 
-  // Fetch users on mount
+  // Fetch the organization's users on mount and when switching organizations
   useEffect(() => {
-    fetchUsers();
-  }, []);
+    if (organizationId) fetchUsers();
+  }, [organizationId]);
 
   const fetchUsers = async () => {
     try {
       setLoading(true);
       const listUsersFn = httpsCallable(functions, 'listUsers');
-      const result = await listUsersFn();
+      const result = await listUsersFn({ organizationId });
       if (result.data.success) {
         setUsers(result.data.users);
       }
@@ -61,10 +67,11 @@ export default function UsersPage() {
 
     try {
       const createUserFn = httpsCallable(functions, 'createUser');
-      const result = await createUserFn(formData);
+      const result = await createUserFn({ ...formData, organizationId });
 
       if (result.data.success) {
-        setActionMessage({ type: 'success', text: `User ${formData.email} created successfully!` });
+        // An email that already has an account is added to this organization instead
+        setActionMessage({ type: 'success', text: result.data.existingUser ? result.data.message : `User ${formData.email} created successfully!` });
         setIsCreateModalOpen(false);
         setFormData({ email: '', password: '', name: '', role: 'adult_volunteer' });
         fetchUsers();
@@ -87,6 +94,7 @@ export default function UsersPage() {
     try {
       const updateUserFn = httpsCallable(functions, 'updateUser');
       const result = await updateUserFn({
+        organizationId,
         userId: selectedUser.id,
         name: formData.name,
         role: formData.role,
@@ -107,6 +115,41 @@ export default function UsersPage() {
     }
   };
 
+  const openAssignModal = async (userToAssign) => {
+    setActionMessage(null);
+    setAssignModal({ userItem: userToAssign, saving: false, error: null });
+    try {
+      const eventsSnap = await getDocs(query(collection(db, 'events'), where('organizationId', '==', organizationId)));
+      setEvents(eventsSnap.docs
+        .map(doc => ({ id: doc.id, ...doc.data() }))
+        .sort((a, b) => (a.name || '').localeCompare(b.name || '')));
+    } catch (err) {
+      console.error('Error loading events:', err);
+      setAssignModal(modal => ({ ...modal, error: 'Failed to load events' }));
+    }
+  };
+
+  const handleSaveAssignments = async (eventAssignments) => {
+    setAssignModal(modal => ({ ...modal, saving: true, error: null }));
+    try {
+      const updateEventAssignmentsFn = httpsCallable(functions, 'updateEventAssignments');
+      const result = await updateEventAssignmentsFn({
+        organizationId,
+        userId: assignModal.userItem.id,
+        eventAssignments
+      });
+
+      if (result.data.success) {
+        setActionMessage({ type: 'success', text: result.data.message });
+        setAssignModal({ userItem: null, saving: false, error: null });
+        fetchUsers();
+      }
+    } catch (err) {
+      console.error('Error saving event assignments:', err);
+      setAssignModal(modal => ({ ...modal, saving: false, error: err.message }));
+    }
+  };
+
   const handleDeleteUser = async () => {
     if (!selectedUser) return;
 
@@ -115,10 +158,10 @@ export default function UsersPage() {
 
     try {
       const deleteUserFn = httpsCallable(functions, 'deleteUser');
-      const result = await deleteUserFn({ userId: selectedUser.id });
+      const result = await deleteUserFn({ organizationId, userId: selectedUser.id });
 
       if (result.data.success) {
-        setActionMessage({ type: 'success', text: 'User deleted successfully!' });
+        setActionMessage({ type: 'success', text: result.data.message || 'User deleted successfully!' });
         setIsDeleteModalOpen(false);
         setSelectedUser(null);
         fetchUsers();
@@ -140,7 +183,7 @@ export default function UsersPage() {
 
     try {
       const resetPasswordFn = httpsCallable(functions, 'resetUserPassword');
-      const result = await resetPasswordFn({ userId: selectedUser.id });
+      const result = await resetPasswordFn({ organizationId, userId: selectedUser.id });
 
       if (result.data.success) {
         setTemporaryPassword(result.data.temporaryPassword);
@@ -294,6 +337,7 @@ export default function UsersPage() {
                   userItem={u}
                   isSelf={u.id === user?.uid}
                   onEdit={openEditModal}
+                  onAssign={openAssignModal}
                   onResetPassword={openResetPasswordModal}
                   onDelete={openDeleteModal}
                   getRoleBadge={getRoleBadge}
@@ -314,6 +358,7 @@ export default function UsersPage() {
               userItem={u}
               isSelf={u.id === user?.uid}
               onEdit={openEditModal}
+              onAssign={openAssignModal}
               onResetPassword={openResetPasswordModal}
               onDelete={openDeleteModal}
               getRoleBadge={getRoleBadge}
@@ -387,7 +432,7 @@ export default function UsersPage() {
               <option value="admin">Admin (Full Access)</option>
             </select>
             <p className="text-xs text-gray-500 mt-1">
-              Adult Volunteers can only access the scanner. Admins have full dashboard access.
+              Adult Volunteers can only access the scanner, for the events you assign them with the Events button. Admins have full dashboard access.
             </p>
           </div>
 
@@ -491,6 +536,17 @@ export default function UsersPage() {
         </form>
       </Modal>
 
+      {/* EVENT ASSIGNMENTS MODAL */}
+      <EventAssignmentsModal
+        isOpen={Boolean(assignModal.userItem)}
+        userItem={assignModal.userItem}
+        events={events}
+        saving={assignModal.saving}
+        error={assignModal.error}
+        onSave={handleSaveAssignments}
+        onClose={() => setAssignModal({ userItem: null, saving: false, error: null })}
+      />
+
       {/* DELETE USER MODAL */}
       <Modal
         isOpen={isDeleteModalOpen}
@@ -0,0 +1,7 @@
+export {
+  FORM_FIELD_SOURCES,
+  normalizeFormFieldBindings,
+  resolveFormFieldValue,
+  isCheckedValue,
+  planFormTableOverflow,
+} from '@shared/acroForm.js';
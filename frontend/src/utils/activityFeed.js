@@ -19,6 +19,7 @@ const getMethodLabel = (method) => {
   if (method === 'manual') return 'manual';
   if (method === 'self_scan') return 'self-scan';
   if (method === 'av_scan') return 'AV scan';
+  if (method === 'offline_sync') return 'offline sync';
   return 'scan';
 };
 
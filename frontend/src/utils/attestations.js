@@ -0,0 +1,8 @@
+export {
+  VERIFICATION_CODE_ALPHABET,
+  VERIFICATION_CODE_LENGTH,
+  VERIFY_QUERY_PARAM,
+  normalizeVerificationCode,
+  formatVerificationCode,
+  getVerificationUrl,
+} from '@shared/attestations.js';
@@ -0,0 +1,116 @@
+import { convertToDate } from './activityFeed';
+
+/**
+ * Labels for auditLog actions written by the Cloud Functions
+ */
+export const AUDIT_ACTION_LABELS = {
+  time_entry_edit: 'Time Edit',
+  time_entry_void: 'Void',
+  time_entry_restore: 'Restore',
+  force_checkout: 'Forced Check-Out',
+  force_checkout_bulk: 'Bulk Forced Check-Out',
+  auto_checkout: 'Automatic Check-Out',
+  quick_checkin: 'Quick Check-In',
+  manual_entry: 'Manual Entry',
+  user_create: 'User Created',
+  user_update: 'User Role/Status Change',
+  user_delete: 'User Deleted',
+  user_add: 'User Added to Organization',
+  user_remove: 'User Removed from Organization',
+  user_assignments: 'User Event Assignments',
+  student_edit: 'Student Edit',
+  student_merge: 'Student Merge',
+  student_import: 'Registration Import Update',
+  badge_revoke: 'Badge Revoked',
+  badge_reissue: 'Badge Reissued',
+  forms_attest: 'Forms Signed',
+  organization_create: 'Organization Created'
+};
+
+export const getAuditActionLabel = (action) => AUDIT_ACTION_LABELS[action] || action;
+
+export const getAuditActorName = (record) => record.performedByName || record.performedBy || 'Unknown';
+
+/**
+ * Student IDs a record concerns; bulk checkouts list theirs in details.
+ *
+ * @param {Object} record - auditLog document
+ * @returns {string[]}
+ */
+export const getAuditStudentIds = (record) => {
+  if (record.studentId) return [record.studentId];
+  return record.details?.studentIds || [];
+};
+
+/**
+ * One-line summary of what a record changed
+ *
+ * @param {Object} record - auditLog document
+ * @returns {string}
+ */
+export const describeAuditRecord = (record) => {
+  const details = record.details || {};
+  if (details.description) return details.description;
+  if (record.action === 'student_merge') {
+    return `Merged ${details.duplicateName || details.duplicateId} into ${details.survivorName || details.survivorId}`;
+  }
+  return '';
+};
+
+/**
+ * Applies the Audit page filters. Records from other events are dropped;
+ * org-wide records (no eventId) are always kept.
+ *
+ * @param {Object[]} records - auditLog documents, newest first
+ * @param {Object} filters - { eventId, actor, action, studentId }; 'all' disables a filter
+ * @returns {Object[]}
+ */
+export const filterAuditRecords = (records, { eventId, actor = 'all', action = 'all', studentId = 'all' }) => (
+  records.filter(record => {
+    const matchesEvent = !record.eventId || !eventId || record.eventId === eventId;
+    const matchesActor = actor === 'all' || record.performedBy === actor;
+    const matchesAction = action === 'all' || record.action === action;
+    const matchesStudent = studentId === 'all' || getAuditStudentIds(record).includes(studentId);
+    return matchesEvent && matchesActor && matchesAction && matchesStudent;
+  })
+);
+
+/**
+ * Student column text: the student's name, or a count for bulk actions
+ *
+ * @param {Object} record - auditLog document
+ * @param {Object} studentNameMap - { studentId: name }
+ * @returns {string}
+ */
+export const getAuditStudentLabel = (record, studentNameMap) => {
+  const studentIds = getAuditStudentIds(record);
+  if (studentIds.length > 1) return `${studentIds.length} students`;
+  if (studentIds.length === 1) {
+    return studentNameMap[studentIds[0]] || record.details?.studentName || 'Unknown student';
+  }
+  return record.details?.name || record.details?.email || '';
+};
+
+/**
+ * CSV of the filtered records for coordinators
+ *
+ * @param {Object[]} records - auditLog documents
+ * @param {Object} studentNameMap - { studentId: name }
+ * @returns {string}
+ */
+export const buildAuditCsv = (records, studentNameMap) => {
+  const headers = ['Date/Time', 'Performed By', 'Action', 'Student / Target', 'Details', 'Reason'];
+  const rows = records.map(record => [
+    convertToDate(record.performedAt)?.toLocaleString() || '',
+    getAuditActorName(record),
+    getAuditActionLabel(record.action),
+    getAuditStudentLabel(record, studentNameMap),
+    describeAuditRecord(record),
+    record.details?.reason || ''
+  ]);
+
+  return [
+    headers.join(','),
+    ...rows.map(row => row.map(cell => `"${String(cell).replace(/"/g, '""')}"`).join(','))
+  ].join('\n');
+};
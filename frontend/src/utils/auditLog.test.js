@@ -0,0 +1,91 @@
+import { describe, it, expect } from 'vitest';
+import {
+  buildAuditCsv,
+  describeAuditRecord,
+  filterAuditRecords,
+  getAuditActionLabel,
+  getAuditStudentLabel
+} from './auditLog';
+
+const records = [
+  {
+    id: 'a1',
+    action: 'time_entry_void',
+    eventId: 'event1',
+    studentId: 'student1',
+    performedBy: 'admin1',
+    performedByName: 'Pat Admin',
+    performedAt: new Date('2026-06-15T14:00:00'),
+    details: { reason: 'Duplicate "scan"', description: 'Entry voided. Reason: Duplicate "scan"' }
+  },
+  {
+    id: 'a2',
+    action: 'force_checkout_bulk',
+    eventId: 'event1',
+    studentId: null,
+    performedBy: 'admin2',
+    performedAt: new Date('2026-06-15T18:00:00'),
+    details: { studentIds: ['student1', 'student2'], description: 'Bulk forced check-out of 2 students' }
+  },
+  {
+    id: 'a3',
+    action: 'user_update',
+    eventId: null,
+    studentId: null,
+    performedBy: 'admin1',
+    performedByName: 'Pat Admin',
+    performedAt: new Date('2026-06-14T09:00:00'),
+    details: { email: 'av@test.com', description: 'Role changed from adult_volunteer to admin for av@test.com' }
+  },
+  {
+    id: 'a4',
+    action: 'quick_checkin',
+    eventId: 'event2',
+    studentId: 'student3',
+    performedBy: 'admin1',
+    performedAt: new Date('2026-06-13T09:00:00'),
+    details: {}
+  }
+];
+
+describe('filterAuditRecords', () => {
+  it('should keep the event\'s records and org-wide records', () => {
+    expect(filterAuditRecords(records, { eventId: 'event1' }).map(r => r.id)).toEqual(['a1', 'a2', 'a3']);
+  });
+
+  it('should filter by actor, action and student', () => {
+    expect(filterAuditRecords(records, { eventId: 'event1', actor: 'admin1' }).map(r => r.id)).toEqual(['a1', 'a3']);
+    expect(filterAuditRecords(records, { eventId: 'event1', action: 'user_update' }).map(r => r.id)).toEqual(['a3']);
+    // Bulk actions match every student they touched
+    expect(filterAuditRecords(records, { eventId: 'event1', studentId: 'student2' }).map(r => r.id)).toEqual(['a2']);
+  });
+});
+
+describe('audit record display', () => {
+  it('should label actions and students', () => {
+    const names = { student1: 'Sam Lee' };
+    expect(getAuditActionLabel('time_entry_void')).toBe('Void');
+    expect(getAuditActionLabel('something_new')).toBe('something_new');
+    expect(getAuditStudentLabel(records[0], names)).toBe('Sam Lee');
+    expect(getAuditStudentLabel(records[1], names)).toBe('2 students');
+    expect(getAuditStudentLabel(records[2], names)).toBe('av@test.com');
+  });
+
+  it('should describe merges without a stored description', () => {
+    expect(describeAuditRecord({
+      action: 'student_merge',
+      details: { survivorName: 'Sam Lee', duplicateName: 'Samuel Lee' }
+    })).toBe('Merged Samuel Lee into Sam Lee');
+  });
+});
+
+describe('buildAuditCsv', () => {
+  it('should export one quoted row per record', () => {
+    const csv = buildAuditCsv(records.slice(0, 1), { student1: 'Sam Lee' });
+    const [header, row] = csv.split('\n');
+
+    expect(header).toBe('Date/Time,Performed By,Action,Student / Target,Details,Reason');
+    expect(row).toContain('"Pat Admin","Void","Sam Lee"');
+    expect(row).toContain('"Duplicate ""scan"""');
+  });
+});
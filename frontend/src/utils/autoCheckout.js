@@ -0,0 +1,8 @@
+export {
+  AUTO_CHECKOUT_POLICIES,
+  AUTO_CHECKOUT_POLICY_LABELS,
+  AUTO_CHECKOUT_METHOD,
+  DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES,
+  getAutoCheckoutPolicy,
+  getAutoCheckoutTime,
+} from '@shared/autoCheckout.js';
@@ -0,0 +1,32 @@
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './firebase';
+
+/**
+ * Fetch signed QR payloads for printing badges.
+ * Students whose badge is revoked get no payload until it is reissued.
+ * @param {string} eventId
+ * @param {string[]} studentIds
+ * @returns {Promise<{ payloads: Object<string, string>, revoked: string[] }>}
+ */
+export async function issueBadgePayloads(eventId, studentIds) {
+  const issueBadges = httpsCallable(functions, 'issueBadges');
+  const result = await issueBadges({ eventId, studentIds });
+  return {
+    payloads: result.data.payloads || {},
+    revoked: result.data.revoked || [],
+  };
+}
+
+/**
+ * Alert text listing students skipped because their badge is revoked
+ * @param {Object[]} students - Students that were requested
+ * @param {string[]} revoked - IDs returned by issueBadgePayloads
+ * @returns {string|null}
+ */
+export function getRevokedBadgesMessage(students, revoked) {
+  if (revoked.length === 0) return null;
+  const names = students
+    .filter(student => revoked.includes(student.id))
+    .map(student => `${student.firstName} ${student.lastName}`.trim());
+  return `Skipped ${revoked.length} revoked badge${revoked.length === 1 ? '' : 's'}: ${names.join(', ')}. Reissue from the student page to print a new one.`;
+}
@@ -0,0 +1,10 @@
+export {
+  EVENT_ROLES,
+  EVENT_ROLE_LABELS,
+  hasEventAssignments,
+  getEventAssignment,
+  canViewEvent,
+  canScanActivity,
+  canForceCheckOut,
+  describeEventAssignment,
+} from '@shared/eventAssignments.js';
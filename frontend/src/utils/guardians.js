@@ -0,0 +1,6 @@
+export {
+  emptyGuardian,
+  normalizeGuardians,
+  getGuardianError,
+  describeGuardian,
+} from '@shared/guardians.js';
@@ -1,83 +1,18 @@
 import { format, parse } from 'date-fns';
 
-/**
- * Calculate hours worked and round to nearest 0.25 hour.
- *
- * @param {Date} checkIn - Check-in timestamp
- * @param {Date} checkOut - Check-out timestamp
- * @returns {Object} { rounded, raw, minutes }
- */
-export function calculateHours(checkIn, checkOut) {
-  const minutes = Math.floor((checkOut - checkIn) / 1000 / 60);
-  const hours = minutes / 60;
-
-  // Round to nearest quarter hour to match student detail and reports.
-  const rounded = Math.round(hours * 4) / 4;
-
-  return {
-    rounded,          // 6.25
-    raw: hours,       // 6.216666...
-    minutes           // 373
-  };
-}
-
-/**
- * Check if check-in time should be flagged
- * Per PRD Section 3.4.2: Flag if >15 min before typical start
- *
- * @param {Date} checkInTime - Check-in timestamp
- * @param {string} typicalStart - Typical start time (e.g., "09:00")
- * @returns {boolean}
- */
-export function isEarlyArrival(checkInTime, typicalStart) {
-  const [hour, min] = typicalStart.split(':');
-  const typical = new Date(checkInTime);
-  typical.setHours(parseInt(hour), parseInt(min), 0, 0);
-
-  // Flag if >15 min early
-  const fifteenMinutes = 15 * 60 * 1000;
-  return checkInTime < (typical - fifteenMinutes);
-}
-
-/**
- * Check if check-out time should be flagged
- * Per PRD Section 3.4.2: Flag if >15 min after typical end
- *
- * @param {Date} checkOutTime - Check-out timestamp
- * @param {string} typicalEnd - Typical end time (e.g., "15:00")
- * @returns {boolean}
- */
-export function isLateStay(checkOutTime, typicalEnd) {
-  const [hour, min] = typicalEnd.split(':');
-  const typical = new Date(checkOutTime);
-  typical.setHours(parseInt(hour), parseInt(min), 0, 0);
-
-  // Flag if >15 min late
-  const fifteenMinutes = 15 * 60 * 1000;
-  return checkOutTime.getTime() > (typical.getTime() + fifteenMinutes);
-}
-
-/**
- * Get flags for a time entry
- * @param {Date} checkInTime - Check-in timestamp
- * @param {Date|null} checkOutTime - Check-out timestamp
- * @param {string} typicalStart - Typical start time (e.g., "09:00")
- * @param {string} typicalEnd - Typical end time (e.g., "15:00")
- * @returns {string[]} Array of flags
- */
-export function getTimeEntryFlags(checkInTime, checkOutTime, typicalStart, typicalEnd) {
-  const flags = [];
-
-  if (isEarlyArrival(checkInTime, typicalStart)) {
-    flags.push('early_arrival');
-  }
-
-  if (checkOutTime && isLateStay(checkOutTime, typicalEnd)) {
-    flags.push('late_stay');
-  }
-
-  return flags;
-}
+export {
+  calculateHours,
+  roundHours,
+  getEntryHours,
+  isEarlyArrival,
+  isLateStay,
+  getTimeEntryFlags,
+  normalizeRoundingPolicy,
+  ROUNDING_INCREMENTS,
+  ROUNDING_MODES,
+  DEFAULT_ROUNDING_POLICY,
+} from '@shared/hourPolicy.js';
+import { DEFAULT_TIME_ZONE, formatTimeInTimeZone, getTodayInTimeZone } from '@shared/timeZones.js';
 
 /**
  * Format hours for display (e.g., "6.5 hours")
@@ -94,11 +29,12 @@ export function formatHours(hours) {
 /**
  * Format time for display (e.g., "9:02 AM")
  * @param {Date|null} time - Timestamp
+ * @param {string} [timeZone] - Event's IANA zone; the device's own clock when omitted
  * @returns {string}
  */
-export function formatTime(time) {
+export function formatTime(time, timeZone) {
   if (!time) return '--';
-  return format(time, 'h:mm a');
+  return timeZone ? formatTimeInTimeZone(time, timeZone) : format(time, 'h:mm a');
 }
 
 /**
@@ -113,8 +49,9 @@ export function formatDate(date) {
 
 /**
  * Get today's date string in YYYY-MM-DD format
+ * @param {string} [timeZone] - Event's IANA zone
  * @returns {string}
  */
-export function getTodayDateString() {
-  return new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(new Date());
+export function getTodayDateString(timeZone = DEFAULT_TIME_ZONE) {
+  return getTodayInTimeZone(timeZone);
 }
@@ -1,4 +1,4 @@
-import { describe, it, expect } from 'vitest';
+import { describe, it, expect, vi } from 'vitest';
 import {
   calculateHours,
   isEarlyArrival,
@@ -58,6 +58,15 @@ describe('hourCalculations', () => {
       expect(result.rounded).toBe(7.5);
     });
 
+    it('should apply the event rounding policy', () => {
+      const checkIn = new Date('2026-06-15T09:02:00');
+      const checkOut = new Date('2026-06-15T15:15:00');
+
+      expect(calculateHours(checkIn, checkOut, { increment: 0.5, mode: 'nearest' }).rounded).toBe(6);
+      expect(calculateHours(checkIn, checkOut, { increment: 0.25, mode: 'down' }).rounded).toBe(6);
+      expect(calculateHours(checkIn, checkOut, { increment: 0, mode: 'nearest' }).rounded).toBe(6.22);
+    });
+
     it('should handle short durations', () => {
       const checkIn = new Date('2026-06-15T09:00:00');
       const checkOut = new Date('2026-06-15T09:30:00');
@@ -221,6 +230,12 @@ describe('hourCalculations', () => {
     it('should return "--" for undefined', () => {
       expect(formatTime(undefined)).toBe('--');
     });
+
+    it('should read the time on the event\'s clock when given a zone', () => {
+      const time = new Date('2026-06-15T14:30:00Z');
+      expect(formatTime(time, 'America/Chicago')).toBe('9:30 AM');
+      expect(formatTime(time, 'America/Los_Angeles')).toBe('7:30 AM');
+    });
   });
 
   describe('formatDate', () => {
@@ -247,5 +262,13 @@ describe('hourCalculations', () => {
       const result = getTodayDateString();
       expect(result).toMatch(/^\d{4}-\d{2}-\d{2}$/);
     });
+
+    it('should use the given time zone\'s calendar', () => {
+      vi.useFakeTimers();
+      vi.setSystemTime(new Date('2026-06-16T03:30:00Z'));
+      expect(getTodayDateString('America/Los_Angeles')).toBe('2026-06-15');
+      expect(getTodayDateString('Europe/London')).toBe('2026-06-16');
+      vi.useRealTimers();
+    });
   });
 });
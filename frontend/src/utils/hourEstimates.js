@@ -0,0 +1,5 @@
+export {
+  ESTIMATE_METHODS,
+  DEFAULT_ESTIMATED_HOURS,
+  isOpenEntry,
+} from '@shared/hourEstimates.js';
@@ -0,0 +1,11 @@
+export {
+  MAX_HOUR_GOAL,
+  normalizeHourGoal,
+  getHourGoal,
+  getFormCreditedEntries,
+  getFormCreditedHours,
+  getGoalProgress,
+  getEventDateRange,
+  projectEventHours,
+  getProjectedShortfalls,
+} from '@shared/hourGoals.js';
@@ -0,0 +1,29 @@
+const STORAGE_KEY = 'vbs-kiosk-device';
+
+/**
+ * Read the kiosk registration saved on this device
+ * @returns {{ token: string, eventId: string, activityId: string, deviceId: string } | null}
+ */
+export function getKioskDevice() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY));
+    return stored?.token && stored?.eventId ? stored : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Turn this device into a self-checkout kiosk
+ * @param {Object} device - Registration returned by createKioskDevice
+ */
+export function saveKioskDevice({ token, eventId, activityId, deviceId }) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify({ token, eventId, activityId, deviceId }));
+}
+
+/**
+ * Forget the kiosk registration (after the exit PIN is entered)
+ */
+export function clearKioskDevice() {
+  localStorage.removeItem(STORAGE_KEY);
+}
@@ -102,6 +102,26 @@ export async function deletePendingCheckOut(id) {
   return db.delete(STORES.PENDING_CHECK_OUTS, id);
 }
 
+/**
+ * Save changes to a pending check-in (e.g. the last sync error)
+ * @param {Object} item - The stored item, including its ID
+ * @returns {Promise<number>}
+ */
+export async function updatePendingCheckIn(item) {
+  const db = await initDB();
+  return db.put(STORES.PENDING_CHECK_INS, item);
+}
+
+/**
+ * Save changes to a pending check-out (e.g. the last sync error)
+ * @param {Object} item - The stored item, including its ID
+ * @returns {Promise<number>}
+ */
+export async function updatePendingCheckOut(item) {
+  const db = await initDB();
+  return db.put(STORES.PENDING_CHECK_OUTS, item);
+}
+
 /**
  * Get count of all pending items
  * @returns {Promise<Object>} { checkIns, checkOuts, total }
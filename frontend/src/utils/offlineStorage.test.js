@@ -33,6 +33,11 @@ const mockDB = {
     }
     return Promise.resolve();
   }),
+  put: vi.fn((storeName, item) => {
+    const key = storeName === 'pendingCheckIns' ? 'pendingCheckIns' : 'pendingCheckOuts';
+    mockStore[key] = mockStore[key].map(existing => (existing.id === item.id ? item : existing));
+    return Promise.resolve(item.id);
+  }),
   count: vi.fn((storeName) => {
     if (storeName === 'pendingCheckIns') {
       return Promise.resolve(mockStore.pendingCheckIns.length);
@@ -60,6 +65,8 @@ import {
   getPendingCheckOuts,
   deletePendingCheckIn,
   deletePendingCheckOut,
+  updatePendingCheckIn,
+  updatePendingCheckOut,
   getPendingCounts,
   clearAllPending,
 } from './offlineStorage';
@@ -186,6 +193,29 @@ describe('offlineStorage', () => {
     });
   });
 
+  describe('updatePendingCheckIn', () => {
+    it('should save a sync error on the queued check-in', async () => {
+      const id = await queueCheckIn({ studentId: 'student1' });
+      const [item] = await getPendingCheckIns();
+
+      await updatePendingCheckIn({ ...item, lastError: 'Student not found' });
+
+      const pending = await getPendingCheckIns();
+      expect(pending).toEqual([expect.objectContaining({ id, studentId: 'student1', lastError: 'Student not found' })]);
+    });
+  });
+
+  describe('updatePendingCheckOut', () => {
+    it('should save a sync error on the queued check-out', async () => {
+      await queueCheckOut({ studentId: 'student1' });
+      const [item] = await getPendingCheckOuts();
+
+      await updatePendingCheckOut({ ...item, lastError: 'No check-in found' });
+
+      expect(mockDB.put).toHaveBeenCalledWith('pendingCheckOuts', expect.objectContaining({ lastError: 'No check-in found' }));
+    });
+  });
+
   describe('deletePendingCheckOut', () => {
     it('should remove check-out from pending queue', async () => {
       const id = await queueCheckOut({ studentId: 'student1' });
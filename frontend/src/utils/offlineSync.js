@@ -0,0 +1,6 @@
+export {
+  OFFLINE_SYNC_WINDOW_MS,
+  MAX_CLOCK_SKEW_MS,
+  getClientScanTimeError,
+  isOfflineScanExpired,
+} from '@shared/offlineSync.js';
@@ -0,0 +1,6 @@
+export {
+  ON_SITE_REFRESH_MS,
+  getElapsedMinutes,
+  isPastEndTime,
+  formatElapsed,
+} from '@shared/onSiteBoard.js';
@@ -0,0 +1,8 @@
+export {
+  OVERNIGHT_POLICIES,
+  OVERNIGHT_POLICY_LABELS,
+  DEFAULT_MAX_SHIFT_HOURS,
+  MAX_SHIFT_HOURS_LIMIT,
+  getShiftPolicy,
+  getCarriedOverEntries,
+} from '@shared/overnightShifts.js';
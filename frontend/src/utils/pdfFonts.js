@@ -0,0 +1,9 @@
+export {
+  TEXT_ALIGNMENTS,
+  TEXT_ALIGNMENT_LABELS,
+  FONT_FILE_EXTENSIONS,
+  isFontFileName,
+  getTextAlign,
+  getAlignedX,
+  replaceUnsupportedCharacters,
+} from '@shared/pdfFonts.js';
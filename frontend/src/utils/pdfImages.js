@@ -0,0 +1,11 @@
+export {
+  IMAGE_KINDS,
+  IMAGE_KIND_LABELS,
+  IMAGE_SCOPES,
+  IMAGE_CONTENT_TYPES,
+  MAX_IMAGE_BYTES,
+  getEventImageAssets,
+  resolveImageAsset,
+  getImageFormat,
+  fitImageBox,
+} from '@shared/pdfImages.js';
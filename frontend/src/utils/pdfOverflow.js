@@ -0,0 +1,9 @@
+export {
+  OVERFLOW_STRATEGIES,
+  OVERFLOW_STRATEGY_LABELS,
+  TABLE_FIELD_TYPES,
+  getOverflowPolicy,
+  planTableOverflow,
+  findOverflowingStudents,
+  layoutAddendumPages,
+} from '@shared/pdfOverflow.js';
@@ -1,477 +1,86 @@
-import { PDFDocument, rgb, StandardFonts } from 'pdf-lib';
-
-const REPORT_TIME_ZONE = 'America/New_York';
-
-export const normalizeTemplateText = (value = '') =>
-  value.toLowerCase().replace(/[^a-z0-9]/g, '');
-
-const SCHOOL_TEMPLATE_ALIASES = [
-  { school: ['bishopmoore', 'bishopmoorecatholic'], template: ['bishopmoore'] },
-  { school: ['thefirstacademy', 'firstacademy', 'tfa'], template: ['thefirstacademy', 'firstacademy', 'tfa'] },
-];
-
-export const findTemplateForSchool = (schoolName, templates = []) => {
-  const normalizedSchool = normalizeTemplateText(schoolName);
-  if (!normalizedSchool) return null;
-
-  const templateMatches = (template, values) => {
-    const normalizedTemplate = normalizeTemplateText(`${template.name || ''} ${template.fileName || ''}`);
-    return values.some(value => normalizedTemplate.includes(value));
-  };
-
-  const exactMatch = templates.find(template => {
-    const normalizedTemplate = normalizeTemplateText(`${template.name || ''} ${template.fileName || ''}`);
-    return normalizedTemplate &&
-      (normalizedTemplate.includes(normalizedSchool) || normalizedSchool.includes(normalizedTemplate));
-  });
-  if (exactMatch) return exactMatch;
-
-  const alias = SCHOOL_TEMPLATE_ALIASES.find(item =>
-    item.school.some(value => normalizedSchool.includes(value))
-  );
-  if (alias) {
-    const aliasMatch = templates.find(template => templateMatches(template, alias.template));
-    if (aliasMatch) return aliasMatch;
-  }
-
-  const ocpsTemplate = templates.find(template => templateMatches(template, ['ocps']));
-  if (ocpsTemplate) return ocpsTemplate;
-
-  return null;
-};
-
-export const getEffectivePdfTemplate = (student = {}, templates = [], defaultTemplateId = null) => {
-  if (student.pdfTemplateId) {
-    return templates.find(template => template.id === student.pdfTemplateId) || null;
-  }
-
-  const schoolTemplate = findTemplateForSchool(student.schoolName, templates);
-  if (schoolTemplate) return schoolTemplate;
-
-  return defaultTemplateId ? templates.find(template => template.id === defaultTemplateId) || null : null;
-};
-
-export function toDateValue(value) {
-  if (!value) return null;
-  if (value.toDate) return value.toDate();
-  if (value instanceof Date) return value;
-  const dateOnlyMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
-  if (dateOnlyMatch) {
-    return new Date(Date.UTC(Number(dateOnlyMatch[1]), Number(dateOnlyMatch[2]) - 1, Number(dateOnlyMatch[3]), 12));
-  }
-  const parsed = new Date(value);
-  return isNaN(parsed.getTime()) ? null : parsed;
-}
-
-function timestampMs(value) {
-  if (!value) return Number.POSITIVE_INFINITY;
-  if (typeof value.seconds === 'number') return value.seconds * 1000;
-  const date = toDateValue(value);
-  return date ? date.getTime() : Number.POSITIVE_INFINITY;
-}
-
-function localDateMs(dateString) {
-  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
-  if (!match) return Number.POSITIVE_INFINITY;
-  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
-}
-
-function displayDateMs(dateString) {
-  const match = /(\d{1,2})\/(\d{1,2})\/(\d{2,4})/.exec(dateString || '');
-  if (!match) return Number.POSITIVE_INFINITY;
-  const year = Number(match[3]);
-  const fullYear = year < 100 ? 2000 + year : year;
-  return new Date(fullYear, Number(match[1]) - 1, Number(match[2])).getTime();
-}
-
-function formatDateForReport(date) {
-  return new Intl.DateTimeFormat('en-US', {
-    timeZone: REPORT_TIME_ZONE,
-    month: 'numeric',
-    day: 'numeric',
-    year: 'numeric',
-  }).format(date);
-}
-
-function parseDateOnlyParts(dateString) {
-  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
-  if (!match) return null;
-  return {
-    year: Number(match[1]),
-    month: Number(match[2]),
-    day: Number(match[3]),
-  };
-}
-
-function dateOnlyUtcMs(dateString) {
-  const parts = parseDateOnlyParts(dateString);
-  return parts ? Date.UTC(parts.year, parts.month - 1, parts.day) : Number.NaN;
-}
-
-function formatDateOnlyForActivity(dateString, includeYear = false) {
-  const parts = parseDateOnlyParts(dateString);
-  if (!parts) return '';
-  const monthDay = `${parts.month}/${parts.day}`;
-  return includeYear ? `${monthDay}/${String(parts.year).slice(-2)}` : monthDay;
-}
-
-export function formatActivityDateRanges(dateStrings = [], { includeYear = false } = {}) {
-  const uniqueDates = [...new Set(dateStrings)]
-    .filter(dateString => Number.isFinite(dateOnlyUtcMs(dateString)))
-    .sort();
-
-  if (uniqueDates.length === 0) return '';
-
-  const groups = [];
-  let currentGroup = [uniqueDates[0]];
-
-  for (let i = 1; i < uniqueDates.length; i += 1) {
-    const prevMs = dateOnlyUtcMs(uniqueDates[i - 1]);
-    const currMs = dateOnlyUtcMs(uniqueDates[i]);
-    const diffDays = (currMs - prevMs) / (1000 * 60 * 60 * 24);
-
-    if (diffDays === 1) {
-      currentGroup.push(uniqueDates[i]);
-    } else {
-      groups.push(currentGroup);
-      currentGroup = [uniqueDates[i]];
-    }
-  }
-  groups.push(currentGroup);
-
-  return groups.map(group => {
-    const start = formatDateOnlyForActivity(group[0], includeYear);
-    const end = formatDateOnlyForActivity(group[group.length - 1], includeYear);
-    return group.length > 1 ? `${start}-${end}` : start;
-  }).join(', ');
-}
-
-export function getFittingFontSize({ text, font, fontSize, maxWidth, minFontSize = 6 }) {
-  if (!text || !font || !maxWidth || maxWidth <= 0) return fontSize;
-  if (font.widthOfTextAtSize(text, fontSize) <= maxWidth) return fontSize;
-
-  const widthAtOnePoint = font.widthOfTextAtSize(text, 1);
-  if (!widthAtOnePoint) return fontSize;
-
-  const fitted = maxWidth / widthAtOnePoint;
-  return Math.max(minFontSize, Math.min(fontSize, fitted));
-}
-
-function formatTimeForReport(date) {
-  return new Intl.DateTimeFormat('en-US', {
-    timeZone: REPORT_TIME_ZONE,
-    hour: 'numeric',
-    minute: '2-digit',
-  }).format(date);
-}
-
-export function getActivitySortTime(activity) {
-  if (!activity) return Number.POSITIVE_INFINITY;
-  const dateOnlyTime = localDateMs(activity.sortDate || activity.startDate || activity.firstDate);
-  return Number.isFinite(dateOnlyTime) ? dateOnlyTime : displayDateMs(activity.dateDisplay);
-}
-
-export function getEntrySortTime(entry) {
-  if (!entry) return Number.POSITIVE_INFINITY;
-  const fromCheckIn = timestampMs(entry.checkInTime);
-  if (Number.isFinite(fromCheckIn)) return fromCheckIn;
-  return localDateMs(entry.date);
-}
-
-export function sortActivityRows(activities = []) {
-  return [...activities].sort((a, b) => getActivitySortTime(a) - getActivitySortTime(b));
-}
-
-export function sortDetailRows(entries = []) {
-  return [...entries].sort((a, b) => getEntrySortTime(a) - getEntrySortTime(b));
-}
+import fontkit from '@pdf-lib/fontkit';
+import * as pdfLib from 'pdf-lib';
+import { httpsCallable } from 'firebase/functions';
+import { functions } from './firebase';
+import { createPdfRenderer } from '@shared/pdfTemplates.js';
+
+export {
+  normalizeTemplateText,
+  findTemplateForSchool,
+  getEffectivePdfTemplate,
+  toDateValue,
+  formatActivityDateRanges,
+  getFittingFontSize,
+  getActivitySortTime,
+  getEntrySortTime,
+  sortActivityRows,
+  sortDetailRows,
+  FIELD_KEY_OPTIONS,
+  ACTIVITY_COLUMN_OPTIONS,
+  DETAIL_COLUMN_OPTIONS,
+  resolveFieldValue,
+  resolveActivityColumnValue,
+  resolveDetailColumnValue,
+} from '@shared/pdfTemplates.js';
+
+const { PDFCheckBox, PDFDocument, PDFDropdown, PDFRadioGroup, PDFTextField } = pdfLib;
+
+const fontBytesCache = new Map();
 
 /**
- * Available field keys for STATIC fields (placed individually on the PDF).
- */
-export const FIELD_KEY_OPTIONS = [
-  { key: 'studentName', label: 'Student Full Name', preview: 'Jane Smith' },
-  { key: 'firstName', label: 'First Name', preview: 'Jane' },
-  { key: 'lastName', label: 'Last Name', preview: 'Smith' },
-  { key: 'schoolName', label: 'School Name', preview: 'West Orange HS' },
-  { key: 'gradeLevel', label: 'Grade Level', preview: '10' },
-  { key: 'gradYear', label: 'Graduation Year', preview: '2028' },
-  { key: 'totalHours', label: 'Total Hours', preview: '25.50' },
-  { key: 'date', label: 'Current Date', preview: '2/7/2026' },
-  { key: 'eventName', label: 'Event Name', preview: 'VBS 2026' },
-  { key: 'contactPerson', label: 'Contact Person', preview: 'John Smith' },
-  { key: 'contactPhone', label: 'Contact Phone', preview: '(555) 123-4567' },
-  { key: 'eventDescription', label: 'Event Description', preview: 'Vacation Bible School volunteer service' },
-  { key: 'nonprofitName', label: 'Non-Profit Organization', preview: 'First Baptist Church' },
-];
-
-/**
- * Available column keys for ACTIVITY TABLE rows (summary mode).
- * Each row represents one activity from the event's activity log.
- */
-export const ACTIVITY_COLUMN_OPTIONS = [
-  { key: 'activityOrg', label: 'Organization + Activity', preview: 'First Baptist VBS AM' },
-  { key: 'activityDates', label: 'Date(s) of Service', preview: '6/9-6/13' },
-  { key: 'activityContact', label: 'Contact Name', preview: 'Jane Smith' },
-  { key: 'activityHours', label: 'Hours Completed', preview: '12.50' },
-];
-
-/**
- * Available column keys for DETAIL TABLE rows.
- * Each row represents an individual time entry with date, start time, and end time.
- */
-export const DETAIL_COLUMN_OPTIONS = [
-  { key: 'detailDate', label: 'Date', preview: '6/9/2026' },
-  { key: 'detailStartTime', label: 'Start Time', preview: '8:00 AM' },
-  { key: 'detailEndTime', label: 'End Time', preview: '12:00 PM' },
-  { key: 'detailHours', label: 'Hours', preview: '4.00' },
-  { key: 'detailActivity', label: 'Activity Name', preview: 'VBS Morning Session' },
-  { key: 'detailContact', label: 'Contact Name', preview: 'Jane Smith' },
-];
-
-/**
- * Resolves a static field key to its value.
- */
-export function resolveFieldValue(fieldKey, { student, totalHours, eventName, event, customStaticFields }) {
-  switch (fieldKey) {
-    case 'studentName':
-      return `${student.firstName || ''} ${student.lastName || ''}`.trim();
-    case 'firstName':
-      return student.firstName || '';
-    case 'lastName':
-      return student.lastName || '';
-    case 'schoolName':
-      return student.schoolName || '';
-    case 'gradeLevel':
-      return String(student.gradeLevel ?? '');
-    case 'gradYear':
-      return String(student.gradYear || '');
-    case 'totalHours':
-      return typeof totalHours === 'number' ? totalHours.toFixed(2) : String(totalHours || '0');
-    case 'date':
-      return formatDateForReport(new Date());
-    case 'eventName':
-      return eventName || '';
-    case 'contactPerson':
-      return event?.contactName || '';
-    case 'contactPhone':
-      return event?.contactPhone || '';
-    case 'eventDescription':
-      return event?.description || '';
-    case 'nonprofitName':
-      return event?.organizationName || '';
-    default:
-      return '';
-  }
-}
-
-/**
- * Resolves an activity column key to its value for a single activity row.
+ * Fetches a template's uploaded font once per session.
+ *
+ * @param {Object} [font] - The template's `font` ({ name, fileName, storagePath, downloadURL })
+ * @returns {Promise<ArrayBuffer|null>} null without a font or when it cannot be fetched (Helvetica is used)
  */
-export function resolveActivityColumnValue(columnKey, activity, event) {
-  if (typeof columnKey === 'object' && columnKey?.type === 'customText') {
-    return columnKey.customValue || '';
-  }
-
-  switch (columnKey) {
-    case 'activityOrg':
-      return `${event?.organizationName || ''} ${activity.name || ''}`.trim();
-    case 'activityDates':
-      return activity.dateDisplay || '';
-    case 'activityContact':
-      return event?.contactName || '';
-    case 'activityHours':
-      return String(activity.totalHours || '0');
-    default:
-      return '';
+export async function loadTemplateFontBytes(font) {
+  if (!font?.downloadURL) return null;
+  if (!fontBytesCache.has(font.downloadURL)) {
+    const request = fetch(font.downloadURL)
+      .then(response => {
+        if (!response.ok) throw new Error(`HTTP ${response.status}`);
+        return response.arrayBuffer();
+      })
+      .catch(err => {
+        console.warn(`Could not load font ${font.fileName || font.downloadURL}:`, err.message);
+        return null;
+      });
+    fontBytesCache.set(font.downloadURL, request);
   }
+  return fontBytesCache.get(font.downloadURL);
 }
 
-/**
- * Resolves a detail column key to its value for a single time entry row.
- */
-export function resolveDetailColumnValue(columnKey, entry, event) {
-  if (typeof columnKey === 'object' && columnKey?.type === 'customText') {
-    return columnKey.customValue || '';
-  }
-
-  switch (columnKey) {
-    case 'detailDate': {
-      // Support Firestore Timestamps (with toDate()) and regular Date/string values
-      const raw = entry.checkInTime || entry.date;
-      if (!raw) return '';
-      const d = toDateValue(raw);
-      return d ? formatDateForReport(d) : '';
-    }
-    case 'detailStartTime': {
-      if (!entry.checkInTime) return '';
-      const d = toDateValue(entry.checkInTime);
-      return d ? formatTimeForReport(d) : '';
-    }
-    case 'detailEndTime': {
-      if (!entry.checkOutTime) return '';
-      const d = toDateValue(entry.checkOutTime);
-      return d ? formatTimeForReport(d) : '';
-    }
-    case 'detailHours': {
-      // Use stored hoursWorked if available, otherwise calculate from timestamps
-      if (typeof entry.hoursWorked === 'number' && entry.hoursWorked > 0) {
-        return entry.hoursWorked.toFixed(2);
-      }
-      // Fallback: calculate from checkIn/checkOut timestamps (supports Firestore Timestamps with .seconds)
-      if (entry.checkInTime && entry.checkOutTime) {
-        const inSec = entry.checkInTime.seconds != null ? entry.checkInTime.seconds
-          : (toDateValue(entry.checkInTime)?.getTime() / 1000);
-        const outSec = entry.checkOutTime.seconds != null ? entry.checkOutTime.seconds
-          : (toDateValue(entry.checkOutTime)?.getTime() / 1000);
-        if (!isNaN(inSec) && !isNaN(outSec) && outSec > inSec) {
-          const hours = Math.round(((outSec - inSec) / 3600) * 4) / 4; // Round to nearest 0.25
-          return hours.toFixed(2);
-        }
-      }
-      return '0';
-    }
-    case 'detailActivity':
-      return entry.activityName ||
-        entry.activity?.name ||
-        event?.activities?.find(activity => activity.id === entry.activityId)?.name ||
-        '';
-    case 'detailContact':
-      return event?.contactName || '';
-    default:
-      return '';
-  }
-}
+const imageBytesCache = new Map();
 
 /**
- * Generates a filled PDF by overlaying text at mapped field coordinates.
- * Supports both static fields and activity tables with repeating rows.
+ * Fetches a signature, logo or stamp image once per session. Images have no
+ * download URLs; the getPdfImage function reads them for the organization's
+ * admins.
  *
- * @param {ArrayBuffer} templatePdfBytes - The raw bytes of the template PDF
- * @param {Array} fields - Array of field mappings (static fields, activity tables, detail tables, custom static)
- * @param {Object} data - { student, totalHours, eventName, activityLog, event, timeEntries }
- * @returns {Promise<Uint8Array>} - The generated PDF bytes
+ * @param {Object} [asset] - A pdfImages document ({ id, kind, storagePath, fileName })
+ * @returns {Promise<ArrayBuffer|null>} null when it cannot be fetched (the field is left blank)
  */
-export async function generateFilledPdf(templatePdfBytes, fields, data) {
-  const pdfDoc = await PDFDocument.load(templatePdfBytes);
-  const font = await pdfDoc.embedFont(StandardFonts.Helvetica);
-  const pages = pdfDoc.getPages();
-
-  // Helvetica ascent ratio: the distance from baseline to top of capital letters
-  // as a fraction of font size. This aligns PDF baseline positioning with CSS top positioning.
-  const ASCENT_RATIO = 0.72;
-
-  for (const field of fields) {
-    const pageIndex = field.page || 0;
-    if (pageIndex >= pages.length) continue;
-
-    const page = pages[pageIndex];
-    const { width, height } = page.getSize();
-
-    if (field.type === 'activityTable') {
-      // Render repeating activity rows (summary)
-      const activities = sortActivityRows(data.activityLog || []);
-      const maxRows = field.maxRows || 10;
-      const rowHeightPct = field.rowHeight || 3;
-      const startYPct = field.yPercent;
-
-      activities.slice(0, maxRows).forEach((activity, rowIndex) => {
-        const rowYPct = startYPct + (rowIndex * rowHeightPct);
-
-        (field.columns || []).forEach((col) => {
-          const x = (col.xPercent / 100) * width;
-          const colFontSize = col.fontSize || 10;
-          const maxWidth = col.maxWidth ? (col.maxWidth / 100) * width : undefined;
-          const value = String(resolveActivityColumnValue(col.type === 'customText' ? col : col.key, activity, data.event));
-          const drawFontSize = col.key === 'activityDates'
-            ? getFittingFontSize({ text: value, font, fontSize: colFontSize, maxWidth })
-            : colFontSize;
-          // Shift baseline down by ascent so top of text aligns with yPercent
-          const y = height - (rowYPct / 100) * height - (drawFontSize * ASCENT_RATIO);
-
-          page.drawText(value, {
-            x,
-            y,
-            size: drawFontSize,
-            font,
-            color: rgb(0, 0, 0),
-            maxWidth,
-          });
-        });
-      });
-    } else if (field.type === 'detailTable') {
-      // Render repeating detail rows (individual time entries)
-      const entries = sortDetailRows(data.timeEntries || []);
-      const maxRows = field.maxRows || 10;
-      const rowHeightPct = field.rowHeight || 3;
-      const startYPct = field.yPercent;
-
-      entries.slice(0, maxRows).forEach((entry, rowIndex) => {
-        const rowYPct = startYPct + (rowIndex * rowHeightPct);
-
-        (field.columns || []).forEach((col) => {
-          const x = (col.xPercent / 100) * width;
-          const colFontSize = col.fontSize || 10;
-          const y = height - (rowYPct / 100) * height - (colFontSize * ASCENT_RATIO);
-          const value = String(resolveDetailColumnValue(col.type === 'customText' ? col : col.key, entry, data.event));
-
-          page.drawText(value, {
-            x,
-            y,
-            size: colFontSize,
-            font,
-            color: rgb(0, 0, 0),
-            maxWidth: col.maxWidth ? (col.maxWidth / 100) * width : undefined,
-          });
-        });
-      });
-    } else if (field.type === 'customStatic') {
-      // Custom static field with admin-defined value
-      const x = (field.xPercent / 100) * width;
-      const fontSize = field.fontSize || 12;
-      const y = height - (field.yPercent / 100) * height - (fontSize * ASCENT_RATIO);
-      const value = String(field.customValue || '');
-
-      page.drawText(value, {
-        x,
-        y,
-        size: fontSize,
-        font,
-        color: rgb(0, 0, 0),
+export async function loadImageBytes(asset) {
+  if (!asset?.id) return null;
+  if (!imageBytesCache.has(asset.id)) {
+    const request = httpsCallable(functions, 'getPdfImage')({ imageId: asset.id })
+      .then(({ data }) => Uint8Array.from(atob(data.data), char => char.charCodeAt(0)).buffer)
+      .catch(err => {
+        console.warn(`Could not load image ${asset.fileName || asset.storagePath}:`, err.message);
+        return null;
       });
-    } else {
-      // Static field
-      const x = (field.xPercent / 100) * width;
-      const fontSize = field.fontSize || 12;
-      // Shift baseline down by ascent so top of text aligns with yPercent
-      const y = height - (field.yPercent / 100) * height - (fontSize * ASCENT_RATIO);
-      const value = String(resolveFieldValue(field.fieldKey, data));
-
-      page.drawText(value, {
-        x,
-        y,
-        size: fontSize,
-        font,
-        color: rgb(0, 0, 0),
-      });
-    }
+    imageBytesCache.set(asset.id, request);
   }
-
-  return pdfDoc.save();
+  return imageBytesCache.get(asset.id);
 }
 
-/**
- * Merges multiple PDF byte arrays into a single PDF document.
- */
-export async function mergePdfs(pdfBytesArray) {
-  const mergedDoc = await PDFDocument.create();
-  for (const pdfBytes of pdfBytesArray) {
-    const srcDoc = await PDFDocument.load(pdfBytes);
-    const copiedPages = await mergedDoc.copyPages(srcDoc, srcDoc.getPageIndices());
-    copiedPages.forEach(page => mergedDoc.addPage(page));
-  }
-  return mergedDoc.save();
-}
+// Templates name their font and images; the browser fetches them on demand
+export const { generateFilledPdf, mergePdfs } = createPdfRenderer({
+  pdfLib,
+  fontkit,
+  loadFontBytes: loadTemplateFontBytes,
+  loadImageBytes,
+});
 
 /**
  * Opens PDF bytes in a new browser tab so the user sees the native print dialog.
@@ -507,6 +116,54 @@ export function downloadPdf(pdfBytes, filename) {
   URL.revokeObjectURL(url);
 }
 
+function getFormFieldType(formField) {
+  if (formField instanceof PDFTextField) return 'text';
+  if (formField instanceof PDFCheckBox) return 'checkbox';
+  if (formField instanceof PDFDropdown) return 'dropdown';
+  if (formField instanceof PDFRadioGroup) return 'radio';
+  return 'other';
+}
+
+/**
+ * Lists a fillable PDF's own form fields (AcroForm) with the page and
+ * position of their first widget, as percentages like placed fields.
+ *
+ * @param {ArrayBuffer|Uint8Array} pdfBytes
+ * @returns {Promise<Array<{ name: string, type: string, page: number, xPercent: number, yPercent: number, widthPercent: number, heightPercent: number }>>}
+ */
+export async function getPdfFormFields(pdfBytes) {
+  const pdfDoc = await PDFDocument.load(pdfBytes);
+  const pages = pdfDoc.getPages();
+
+  return pdfDoc.getForm().getFields().map(formField => {
+    const widget = formField.acroField.getWidgets()[0];
+    const widgetRef = widget && pdfDoc.context.getObjectRef(widget.dict);
+    const pageIndex = Math.max(0, pages.findIndex(page =>
+      page.node.Annots()?.asArray().includes(widgetRef)
+    ));
+    const { width, height } = pages[pageIndex]?.getSize() || { width: 612, height: 792 };
+    const rect = widget?.getRectangle() || { x: 0, y: 0, width: 0, height: 0 };
+
+    return {
+      name: formField.getName(),
+      type: getFormFieldType(formField),
+      page: pageIndex,
+      xPercent: (rect.x / width) * 100,
+      yPercent: ((height - rect.y - rect.height) / height) * 100,
+      widthPercent: (rect.width / width) * 100,
+      heightPercent: (rect.height / height) * 100,
+    };
+  });
+}
+
+/**
+ * Fetches a template PDF and lists its form fields (see getPdfFormFields).
+ */
+export async function loadPdfFormFields(pdfUrl) {
+  const response = await fetch(pdfUrl);
+  return getPdfFormFields(await response.arrayBuffer());
+}
+
 /**
  * Returns { width, height, pageCount } of the first page using pdf-lib.
  */
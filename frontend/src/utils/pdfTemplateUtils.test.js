@@ -15,8 +15,16 @@ import {
   getPdfPageDimensions,
   formatActivityDateRanges,
   getFittingFontSize,
+  findTemplateForSchool,
+  getEffectivePdfTemplate,
+  getPdfFormFields,
 } from './pdfTemplateUtils';
-import { PDFDocument, StandardFonts } from 'pdf-lib';
+import { PDFDocument, PDFName, StandardFonts } from 'pdf-lib';
+import { httpsCallable } from 'firebase/functions';
+import { readFileSync } from 'fs';
+import { resolve } from 'path';
+
+vi.mock('firebase/functions', () => ({ httpsCallable: vi.fn() }));
 
 describe('pdfTemplateUtils', () => {
   describe('FIELD_KEY_OPTIONS', () => {
@@ -291,6 +299,33 @@ describe('pdfTemplateUtils', () => {
     });
   });
 
+  describe('school template rules', () => {
+    const templates = [
+      { id: 'central', name: 'Central High Form' },
+      { id: 'bmchs', name: 'BMCHS Service Hours' },
+      { id: 'ocps', name: 'OCPS Service Log' },
+    ];
+    const schoolAliases = [
+      { school: ['Bishop Moore'], template: ['BMCHS'] },
+      { school: [], template: ['OCPS'] },
+    ];
+
+    it('should prefer a template named after the school', () => {
+      expect(findTemplateForSchool('Central High', templates, schoolAliases)?.id).toBe('central');
+    });
+
+    it('should apply the organization rules and their fallback', () => {
+      expect(findTemplateForSchool('Bishop Moore Catholic', templates, schoolAliases)?.id).toBe('bmchs');
+      expect(findTemplateForSchool('Lake Nona High', templates, schoolAliases)?.id).toBe('ocps');
+      expect(findTemplateForSchool('Lake Nona High', templates)).toBeNull();
+    });
+
+    it('should fall back to the default template without a rule match', () => {
+      expect(getEffectivePdfTemplate({ schoolName: 'Lake Nona High' }, templates, 'central')?.id).toBe('central');
+      expect(getEffectivePdfTemplate({ schoolName: 'Lake Nona High', pdfTemplateId: 'bmchs' }, templates, 'central', schoolAliases)?.id).toBe('bmchs');
+    });
+  });
+
   describe('getFittingFontSize', () => {
     it('should preserve the configured font size when text fits', async () => {
       const pdfDoc = await PDFDocument.create();
@@ -341,6 +376,14 @@ describe('pdfTemplateUtils', () => {
       expect(resolveDetailColumnValue('detailDate', { date: '2026-06-13' })).toBe('6/13/2026');
     });
 
+    it('should format dates and times on the event\'s clock', () => {
+      const entry = { checkInTime: '2026-06-16T02:00:00Z', checkOutTime: '2026-06-16T04:30:00Z' };
+      const event = { timeZone: 'America/Los_Angeles' };
+      expect(resolveDetailColumnValue('detailDate', entry, event)).toBe('6/15/2026');
+      expect(resolveDetailColumnValue('detailStartTime', entry, event)).toBe('7:00 PM');
+      expect(resolveDetailColumnValue('detailEndTime', entry, event)).toBe('9:30 PM');
+    });
+
     it('should resolve detailStartTime', () => {
       const result = resolveDetailColumnValue('detailStartTime', mockEntry);
       expect(result).toBeTruthy();
@@ -588,6 +631,110 @@ describe('pdfTemplateUtils', () => {
       expect(result).toBeInstanceOf(Uint8Array);
     });
 
+    it('should append continuation pages and addendum pages for rows past maxRows', async () => {
+      const fields = [
+        { type: 'static', fieldKey: 'studentName', xPercent: 10, yPercent: 5, fontSize: 14, page: 0 },
+        {
+          type: 'detailTable',
+          yPercent: 20,
+          rowHeight: 3,
+          maxRows: 10,
+          page: 0,
+          columns: [{ key: 'detailDate', label: 'Date', xPercent: 5, fontSize: 10 }],
+        },
+      ];
+      const data = {
+        student: { firstName: 'Jane', lastName: 'Smith' },
+        totalHours: 0,
+        eventName: 'VBS 2026',
+        timeEntries: Array.from({ length: 24 }, (_, index) => ({
+          checkInTime: new Date(Date.UTC(2026, 5, 1 + index, 12)),
+          checkOutTime: new Date(Date.UTC(2026, 5, 1 + index, 16)),
+        })),
+        event: {},
+      };
+      const pageCount = async (overflow) =>
+        (await PDFDocument.load(await generateFilledPdf(templatePdfBytes, fields, data, { overflow }))).getPageCount();
+
+      expect(await pageCount()).toBe(1);
+      expect(await pageCount({ strategy: 'continuation', continuationPage: 0 })).toBe(3);
+      expect(await pageCount({ strategy: 'addendum' })).toBe(2);
+    });
+
+    it('should fill bound form fields and flatten them when asked', async () => {
+      const fillable = await PDFDocument.create();
+      const page = fillable.addPage([612, 792]);
+      const form = fillable.getForm();
+      form.createTextField('Student Name').addToPage(page, { x: 50, y: 700, width: 200, height: 20 });
+      form.createTextField('Hours').addToPage(page, { x: 50, y: 660, width: 200, height: 20 });
+      form.createCheckBox('Completed').addToPage(page, { x: 300, y: 700, width: 12, height: 12 });
+      const fillableBytes = await fillable.save();
+
+      const formFields = [
+        { name: 'Student Name', source: 'field', fieldKey: 'studentName' },
+        { name: 'Hours', source: 'table', table: 'activityTable', row: 0, columnKey: 'activityHours' },
+        { name: 'Completed', source: 'custom', customValue: 'No' },
+      ];
+      const data = {
+        student: { firstName: 'Jane', lastName: 'Smith' },
+        activityLog: [{ activityName: 'VBS', hours: 12.5 }],
+        event: {},
+      };
+
+      const filled = (await PDFDocument.load(await generateFilledPdf(fillableBytes, [], data, { formFields }))).getForm();
+      expect(filled.getTextField('Student Name').getText()).toBe('Jane Smith');
+      expect(filled.getTextField('Hours').getText()).toBe(resolveActivityColumnValue('activityHours', data.activityLog[0]));
+      expect(filled.getCheckBox('Completed').isChecked()).toBe(false);
+
+      const flattened = await PDFDocument.load(await generateFilledPdf(fillableBytes, [], data, { formFields, flattenForm: true }));
+      expect(flattened.getForm().getFields()).toHaveLength(0);
+    });
+
+    it('should print names in an uploaded font and clean them for Helvetica', async () => {
+      const fillable = await PDFDocument.create();
+      const page = fillable.addPage([612, 792]);
+      fillable.getForm().createTextField('Student Name').addToPage(page, { x: 50, y: 700, width: 200, height: 20 });
+      const fillableBytes = await fillable.save();
+      const fields = [
+        { type: 'static', fieldKey: 'studentName', xPercent: 50, yPercent: 10, fontSize: 12, page: 0, bold: true, align: 'center' },
+      ];
+      const data = { student: { firstName: 'Łukasz', lastName: 'Dvořák' }, event: {} };
+      const formFields = [{ name: 'Student Name', source: 'field', fieldKey: 'studentName' }];
+      const filledName = async (options) => (await PDFDocument.load(
+        await generateFilledPdf(fillableBytes, fields, data, { formFields, ...options })
+      )).getForm().getTextField('Student Name').getText();
+
+      const fontBytes = new Uint8Array(readFileSync(resolve('node_modules/pdfjs-dist/standard_fonts/LiberationSans-Regular.ttf')));
+
+      expect(await filledName({ fontBytes })).toBe('Łukasz Dvořák');
+      expect(await filledName({})).toBe('Lukasz Dvorák');
+    });
+
+    it('should draw the supervisor\'s signature loaded for an image field', async () => {
+      const png = Uint8Array.from(atob('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg=='), char => char.charCodeAt(0));
+      const getPdfImage = vi.fn(() => Promise.resolve({ data: { contentType: 'image/png', data: btoa(String.fromCharCode(...png)) } }));
+      httpsCallable.mockReturnValue(getPdfImage);
+      const fields = [
+        { id: 'sig', type: 'image', imageKind: 'signature', xPercent: 60, yPercent: 85, widthPercent: 25, heightPercent: 6, page: 0 },
+        { id: 'seal', type: 'image', imageKind: 'stamp', xPercent: 10, yPercent: 85, widthPercent: 10, heightPercent: 10, page: 0 },
+      ];
+      const imageAssets = [{
+        id: 'img1',
+        kind: 'signature',
+        scope: 'supervisor',
+        supervisorName: 'Pastor Mike',
+        storagePath: 'pdfImages/org1/1_sig.png',
+      }];
+      const data = { student: { firstName: 'Jane', lastName: 'Smith' }, event: { id: 'vbs', contactName: 'Pastor Mike' } };
+
+      const result = await PDFDocument.load(await generateFilledPdf(templatePdfBytes, fields, data, { imageAssets }));
+      const xObjects = result.getPage(0).node.Resources().lookup(PDFName.of('XObject'));
+
+      expect(httpsCallable).toHaveBeenCalledWith(expect.anything(), 'getPdfImage');
+      expect(getPdfImage).toHaveBeenCalledWith({ imageId: 'img1' });
+      expect(xObjects.keys()).toHaveLength(1);
+    });
+
     it('should handle empty activity log gracefully', async () => {
       const fields = [
         {
@@ -1004,6 +1151,27 @@ describe('pdfTemplateUtils', () => {
     });
   });
 
+  describe('getPdfFormFields', () => {
+    it('should list form fields with their type, page and position', async () => {
+      const doc = await PDFDocument.create();
+      doc.addPage([612, 792]);
+      const second = doc.addPage([612, 792]);
+      const form = doc.getForm();
+      form.createTextField('Student Name').addToPage(second, { x: 61.2, y: 712.8, width: 122.4, height: 19.8 });
+      form.createCheckBox('Completed').addToPage(second, { x: 300, y: 700, width: 12, height: 12 });
+
+      const fields = await getPdfFormFields(await doc.save());
+
+      expect(fields.map(({ name, type, page }) => ({ name, type, page }))).toEqual([
+        { name: 'Student Name', type: 'text', page: 1 },
+        { name: 'Completed', type: 'checkbox', page: 1 },
+      ]);
+      expect(fields[0].xPercent).toBeCloseTo(10, 0);
+      expect(fields[0].yPercent).toBeCloseTo(7.5, 0);
+      expect(fields[0].widthPercent).toBeCloseTo(20, 0);
+    });
+  });
+
   describe('getPdfPageDimensions', () => {
     it('should return dimensions for a valid PDF', async () => {
       const pdfDoc = await PDFDocument.create();
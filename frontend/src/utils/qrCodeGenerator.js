@@ -1,78 +1,47 @@
 import QRCode from 'qrcode';
 
-/**
- * Generate a simple checksum for QR code validation
- * @param {string} studentId
- * @param {string} eventId
- * @returns {string}
- */
-function generateChecksum(studentId, eventId) {
-  const combined = `${studentId}${eventId}`;
-  let hash = 0;
-  for (let i = 0; i < combined.length; i++) {
-    const char = combined.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash; // Convert to 32bit integer
-  }
-  return Math.abs(hash).toString(36).substring(0, 6);
-}
-
-/**
- * Validate a QR code checksum
- * @param {string} studentId
- * @param {string} eventId
- * @param {string} checksum
- * @returns {boolean}
- */
-export function validateChecksum(studentId, eventId, checksum) {
-  const expected = generateChecksum(studentId, eventId);
-  return expected === checksum;
-}
-
-/**
- * Generate QR code data string
- * Format: studentId|eventId|checksum
- * @param {string} studentId
- * @param {string} eventId
- * @returns {string}
- */
-export function generateQRData(studentId, eventId) {
-  const checksum = generateChecksum(studentId, eventId);
-  return `${studentId}|${eventId}|${checksum}`;
-}
+// Signed badge format: VBS|studentId|eventId|badgeVersion|signature
+// Badges are signed by the issueBadges Cloud Function and the signature is
+// verified server-side on every scan; the client only reads the fields.
+const BADGE_PREFIX = 'VBS';
 
 /**
  * Parse QR code data string
  * @param {string} qrData
- * @returns {Object} { studentId, eventId, checksum, isValid }
+ * @returns {Object} { studentId, eventId, badgeVersion, isValid }
  */
 export function parseQRData(qrData) {
-  const parts = qrData.split('|');
-  if (parts.length !== 3) {
-    return { isValid: false, error: 'Invalid QR code format' };
+  const parts = (qrData || '').trim().split('|');
+  if (parts[0] !== BADGE_PREFIX) {
+    return {
+      isValid: false,
+      error: parts.length === 3
+        ? 'This badge uses an old unsigned format. Ask an admin to reprint it.'
+        : 'Invalid QR code format',
+    };
   }
 
-  const [studentId, eventId, checksum] = parts;
-  const isValid = validateChecksum(studentId, eventId, checksum);
+  const [, studentId, eventId, version, signature] = parts;
+  const badgeVersion = Number(version);
+  if (parts.length !== 5 || !studentId || !eventId || !Number.isInteger(badgeVersion) || !signature) {
+    return { isValid: false, error: 'Invalid QR code format' };
+  }
 
   return {
     studentId,
     eventId,
-    checksum,
-    isValid,
+    badgeVersion,
+    isValid: true,
   };
 }
 
 /**
  * Generate QR code as Data URL (base64 image)
- * @param {string} studentId
- * @param {string} eventId
+ * @param {string} qrData - Signed badge payload from issueBadges
  * @param {Object} options - QR code options
  * @returns {Promise<string>} Data URL of QR code image
  */
-export async function generateQRCodeImage(studentId, eventId, options = {}) {
-  const qrData = generateQRData(studentId, eventId);
-
+export async function generateQRCodeImage(qrData, options = {}) {
   const defaultOptions = {
     width: 300,
     margin: 2,
@@ -93,14 +62,11 @@ export async function generateQRCodeImage(studentId, eventId, options = {}) {
 
 /**
  * Generate QR code as SVG string
- * @param {string} studentId
- * @param {string} eventId
+ * @param {string} qrData - Signed badge payload from issueBadges
  * @param {Object} options - QR code options
  * @returns {Promise<string>} SVG string
  */
-export async function generateQRCodeSVG(studentId, eventId, options = {}) {
-  const qrData = generateQRData(studentId, eventId);
-
+export async function generateQRCodeSVG(qrData, options = {}) {
   const defaultOptions = {
     width: 300,
     margin: 2,
@@ -0,0 +1,6 @@
+export {
+  FIELD_ALIASES,
+  parseCsv,
+  detectColumnMapping,
+  applyColumnMapping,
+} from '@shared/registrationImport.js';
@@ -0,0 +1,7 @@
+export {
+  REVIEW_STATUSES,
+  getUnreviewedStatus,
+  needsReview,
+  isCreditedEntry,
+  getReviewLockId,
+} from '@shared/reviewStatus.js';
@@ -0,0 +1 @@
+export { findDuplicateStudentGroups, isLikelyDuplicate } from '@shared/studentDuplicates.js';
@@ -0,0 +1,12 @@
+export {
+  DEFAULT_TIME_ZONE,
+  COMMON_TIME_ZONES,
+  isValidTimeZone,
+  getEventTimeZone,
+  formatDateInTimeZone,
+  getTodayInTimeZone,
+  formatTimeInTimeZone,
+  zonedTimeToDate,
+  toDateTimeInputValue,
+  fromDateTimeInputValue,
+} from '@shared/timeZones.js';
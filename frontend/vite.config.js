@@ -2,9 +2,19 @@
 import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import { VitePWA } from 'vite-plugin-pwa';
+import { fileURLToPath } from 'node:url';
 
 // https://vitejs.dev/config/
 export default defineConfig({
+  resolve: {
+    alias: {
+      // Rules the pages must apply exactly like the Cloud Functions (hours, time
+      // zones, review status, PDF rendering, ...) live once in
+      // functions/src/shared. The modules in src/utils re-export them from here
+      // so pages keep importing from utils.
+      '@shared': fileURLToPath(new URL('../functions/src/shared', import.meta.url)),
+    },
+  },
   test: {
     globals: true,
     environment: 'jsdom',
@@ -64,6 +74,9 @@ export default defineConfig({
   ],
   server: {
     port: 3000,
-    open: true
+    open: true,
+    fs: {
+      allow: ['..']
+    }
   }
 });
@@ -2,8 +2,6 @@
  * Firebase Cloud Functions Entry Point
  * VBS Volunteer Tracker
  */
-process.env.TZ = 'America/New_York';
-
 
 import { initializeApp } from 'firebase-admin/app';
 
@@ -15,17 +13,56 @@ export { checkIn } from './src/checkIn.js';
 export { checkOut } from './src/checkOut.js';
 export { generateForms } from './src/generateForms.js';
 
+// Template signature, logo and stamp images, read server-side
+export { getPdfImage } from './src/pdfImages.js';
+
+// Supervisor e-signing of generated forms, verified on the public /hours page
+export { attestForms, verifyAttestation } from './src/attestations.js';
+
+// Organizations: each church's events, students and templates
+export { createOrganization } from './src/organizations.js';
+
 // User Management Functions
-export { createUser, updateUser, deleteUser, listUsers, resetUserPassword } from './src/userManagement.js';
+export { createUser, updateUser, updateEventAssignments, deleteUser, listUsers, resetUserPassword } from './src/userManagement.js';
+
+// Signed badge payloads and lost-lanyard revocation
+export { issueBadges, revokeBadge, reissueBadge } from './src/badges.js';
+
+// Self-checkout kiosk devices (PRD Section 4.2)
+export { createKioskDevice, getKioskStatus, verifyKioskExitPin } from './src/kiosk.js';
+
+// Registration CSV import from the admin wizard
+export { importRegistrations } from './src/importRegistrations.js';
+
+// Duplicate student merge
+export { mergeStudents } from './src/mergeStudents.js';
+
+// Student profile edits, recorded in the audit log
+export { auditStudentEdits } from './src/studentAudit.js';
+
+// Guardian check-in/out notifications, sent through the configured transport
+export { deliverNotification } from './src/notifications.js';
 
 // Daily Review Functions (PRD Section 3.5.2)
-export { quickCheckIn, forceCheckOut, forceAllCheckOut, getDailyReviewSummary } from './src/dailyReview.js';
+export { quickCheckIn, forceCheckOut, forceAllCheckOut, getDailyReviewSummary, getOnSiteBoard } from './src/dailyReview.js';
+
+// Scheduled end-of-day check-out for forgotten scans
+export { autoCheckOut } from './src/autoCheckout.js';
+
+// Review/Approval Workflow
+export { approveTimeEntries, rejectTimeEntries, lockReviewDay, unlockReviewDay } from './src/reviewEntries.js';
 
 // Void/Restore Functions (Soft Delete)
 export { voidTimeEntry, restoreTimeEntry } from './src/voidEntry.js';
 
+// Server-validated time edits, recorded in the audit log
+export { editTimeEntry } from './src/editTimeEntry.js';
+
 // Manual Entry
 export { createManualTimeEntry } from './src/manualEntry.js';
 
+// Recompute stored hours after an event's rounding policy changes
+export { recalculateEventHours } from './src/hourMigration.js';
+
 // Public student hour lookup
 export { checkHoursLogged } from './src/checkHoursLogged.js';
@@ -0,0 +1,369 @@
+import { createHash, randomInt } from 'node:crypto';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineString } from 'firebase-functions/params';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import JSZip from 'jszip';
+import { isCreditedEntry } from './shared/reviewStatus.js';
+import { getEntryHours, roundHours, toMillis } from './shared/hourPolicy.js';
+import { formatDateInTimeZone, getEventTimeZone } from './shared/timeZones.js';
+import {
+  VERIFICATION_CODE_ALPHABET,
+  VERIFICATION_CODE_LENGTH,
+  formatVerificationCode,
+  getVerificationUrl,
+  normalizeVerificationCode,
+} from './shared/attestations.js';
+import { buildActivityLog } from './shared/pdfTemplates.js';
+import { addAttestationBlock, mergePdfs } from './pdfTemplates.js';
+import { assertOrganizationAccess } from './organizations.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { followStudentRedirect } from './mergeStudents.js';
+
+/**
+ * Public address of the app, printed in each signature block's verification
+ * link. Defaults to the project's Firebase Hosting site.
+ */
+const publicAppUrl = defineString('PUBLIC_APP_URL', { default: '' });
+
+const MAX_SIGNER_LENGTH = 100;
+
+function getPublicAppUrl() {
+  const configured = publicAppUrl.value();
+  if (configured) return configured;
+  return process.env.GCLOUD_PROJECT ? `https://${process.env.GCLOUD_PROJECT}.web.app` : '';
+}
+
+function createVerificationCode() {
+  return Array.from({ length: VERIFICATION_CODE_LENGTH }, () =>
+    VERIFICATION_CODE_ALPHABET[randomInt(VERIFICATION_CODE_ALPHABET.length)]
+  ).join('');
+}
+
+function timestampToIso(value) {
+  const ms = toMillis(value);
+  return Number.isNaN(ms) ? null : new Date(ms).toISOString();
+}
+
+function sha256(bytes) {
+  return createHash('sha256').update(bytes).digest('hex');
+}
+
+/**
+ * The hours a student's form for an event credits, as generateForms computes
+ * them, plus a digest of the credited entries so a later edit, void or
+ * approval change shows up even when the total happens to stay the same.
+ *
+ * @param {Object} event - Event document data (with activities)
+ * @param {Object} student - Student document data
+ * @param {Object[]} entries - The student's time entries for the event
+ * @returns {{ totalHours: number, activities: Object[], entryCount: number, entriesDigest: string }}
+ */
+export function summarizeAttestedHours(event, student, entries) {
+  const credited = entries.filter(isCreditedEntry);
+  const activityLog = buildActivityLog(event, credited);
+  const calculatedHours = activityLog.reduce((sum, activity) => sum + parseFloat(activity.totalHours), 0);
+  const canonical = credited
+    .map((entry) => [
+      entry.id,
+      entry.activityId || '',
+      toMillis(entry.checkInTime),
+      toMillis(entry.checkOutTime),
+      getEntryHours(entry, event.hourRounding),
+    ])
+    .sort((a, b) => String(a[0]).localeCompare(String(b[0])));
+
+  return {
+    // Entry hours are already rounded; this only trims float noise off the sum
+    totalHours: roundHours(calculatedHours + parseFloat(student.overrideHours || 0), { increment: 0 }),
+    activities: activityLog.map((activity) => ({
+      name: activity.name,
+      dates: activity.dateDisplay,
+      hours: Number(activity.totalHours),
+    })),
+    entryCount: credited.length,
+    entriesDigest: sha256(JSON.stringify(canonical)),
+  };
+}
+
+function signedFormPath(storagePath) {
+  return storagePath.replace(/\.pdf$/i, '_signed.pdf');
+}
+
+/**
+ * Attest Forms Cloud Function
+ * Per PRD Phase 4: digital signatures
+ *
+ * The supervisor signs a batch from generateForms once. Each form whose
+ * hours still match the records gets a signature block with a verification
+ * code and an `attestations/{code}` record of the attested hours; the
+ * signed copies and a new bundle are saved next to the originals. Forms
+ * with estimated hours, or whose hours changed since they were generated,
+ * are skipped so nobody signs numbers that are not on the page.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.batchId - generatedForms document ID
+ * @param {string} request.data.signerName - Printed as the signature
+ * @param {string} [request.data.signerTitle]
+ */
+export const attestForms = onCall({ cors: true, timeoutSeconds: 540, memory: '1GiB' }, async (request) => {
+  const { batchId } = request.data || {};
+  const signerName = String(request.data?.signerName || '').trim();
+  const signerTitle = String(request.data?.signerTitle || '').trim();
+
+  if (!batchId) {
+    throw new HttpsError('invalid-argument', 'Missing required field: batchId');
+  }
+  if (!signerName) {
+    throw new HttpsError('invalid-argument', 'Enter the name of the supervisor signing the forms');
+  }
+  if (signerName.length > MAX_SIGNER_LENGTH || signerTitle.length > MAX_SIGNER_LENGTH) {
+    throw new HttpsError('invalid-argument', `Names and titles must be ${MAX_SIGNER_LENGTH} characters or fewer`);
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Must be authenticated to sign forms');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const adminDoc = await db.collection('admins').doc(request.auth.uid).get();
+    if (!adminDoc.exists) {
+      throw new HttpsError('permission-denied', 'Only admins can sign forms');
+    }
+
+    const batchRef = db.collection('generatedForms').doc(batchId);
+    const batchDoc = await batchRef.get();
+    if (!batchDoc.exists) {
+      throw new HttpsError('not-found', 'Generated forms not found');
+    }
+    const formBatch = batchDoc.data();
+    assertOrganizationAccess(adminDoc.data(), formBatch.organizationId);
+    if (formBatch.attestation) {
+      throw new HttpsError('failed-precondition', `These forms were already signed by ${formBatch.attestation.signerName}`);
+    }
+
+    const eventDoc = await db.collection('events').doc(formBatch.eventId).get();
+    if (!eventDoc.exists) {
+      throw new HttpsError('not-found', 'Event not found');
+    }
+    const event = { id: formBatch.eventId, ...eventDoc.data() };
+
+    const entriesSnapshot = await db.collection('timeEntries')
+      .where('eventId', '==', formBatch.eventId)
+      .get();
+    const entries = entriesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
+
+    const bucket = getStorage().bucket();
+    const signedAt = Timestamp.now();
+    const signedDate = formatDateInTimeZone(signedAt.toDate(), getEventTimeZone(event));
+    const baseUrl = getPublicAppUrl();
+    const attested = [];
+    const skipped = [];
+    const signedForms = [];
+
+    for (const form of formBatch.forms || []) {
+      const { studentId, studentName } = form;
+      if ((form.estimatedEntries || []).length > 0) {
+        skipped.push({ studentId, studentName, reason: 'Includes estimated hours; regenerate the form after checkout' });
+        continue;
+      }
+
+      const studentDoc = await db.collection('students').doc(studentId).get();
+      if (!studentDoc.exists) {
+        skipped.push({ studentId, studentName, reason: 'Student not found' });
+        continue;
+      }
+      const hours = summarizeAttestedHours(event, studentDoc.data(), entries.filter(entry => entry.studentId === studentId));
+      if (Math.abs(hours.totalHours - Number(form.totalHours)) >= 0.005) {
+        skipped.push({
+          studentId,
+          studentName,
+          reason: `Hours changed since the form was generated (${Number(form.totalHours).toFixed(2)} printed, ${hours.totalHours.toFixed(2)} now); regenerate the form`,
+        });
+        continue;
+      }
+
+      const code = createVerificationCode();
+      const [formBytes] = await bucket.file(form.storagePath).download();
+      const signedBytes = await addAttestationBlock(formBytes, {
+        signerName,
+        signerTitle,
+        signedDate,
+        totalHours: hours.totalHours,
+        code: formatVerificationCode(code),
+        verifyUrl: getVerificationUrl(baseUrl, code),
+      });
+      const storagePath = signedFormPath(form.storagePath);
+      await bucket.file(storagePath).save(Buffer.from(signedBytes), { contentType: 'application/pdf' });
+
+      await db.collection('attestations').doc(code).set({
+        organizationId: formBatch.organizationId,
+        eventId: formBatch.eventId,
+        eventName: event.name || '',
+        organizationName: event.organizationName || '',
+        batchId,
+        studentId,
+        studentName,
+        templateName: form.templateName || '',
+        ...hours,
+        pdfSha256: sha256(signedBytes),
+        storagePath,
+        signerName,
+        signerTitle,
+        signedBy: request.auth.uid,
+        signedAt,
+      });
+
+      signedForms.push({ fileName: storagePath.split('/').pop(), signedBytes });
+      attested.push({
+        studentId,
+        studentName,
+        totalHours: hours.totalHours,
+        verificationCode: formatVerificationCode(code),
+        storagePath,
+      });
+    }
+
+    if (attested.length === 0) {
+      throw new HttpsError('failed-precondition', 'No forms could be signed. Regenerate the forms and try again.');
+    }
+
+    let bundlePath;
+    if (formBatch.output === 'zip') {
+      const zip = new JSZip();
+      signedForms.forEach(({ fileName, signedBytes }) => zip.file(fileName, signedBytes));
+      bundlePath = `forms/${formBatch.eventId}/${batchId}_signed_forms.zip`;
+      await bucket.file(bundlePath).save(await zip.generateAsync({ type: 'nodebuffer' }), { contentType: 'application/zip' });
+    } else {
+      bundlePath = `forms/${formBatch.eventId}/${batchId}_signed_forms.pdf`;
+      const mergedBytes = await mergePdfs(signedForms.map(({ signedBytes }) => signedBytes));
+      await bucket.file(bundlePath).save(Buffer.from(mergedBytes), { contentType: 'application/pdf' });
+    }
+
+    const attestation = {
+      signerName,
+      signerTitle,
+      signedBy: request.auth.uid,
+      signedAt,
+      bundlePath,
+      forms: attested,
+      skipped,
+    };
+    const batch = db.batch();
+    batch.update(batchRef, { attestation });
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'forms_attest',
+      targetType: 'generatedForms',
+      targetId: batchId,
+      performedBy: request.auth.uid,
+      performedByName: getActorName(request.auth),
+      organizationId: formBatch.organizationId,
+      eventId: formBatch.eventId,
+      details: {
+        studentIds: attested.map(form => form.studentId),
+        signerName,
+        signerTitle,
+        description: `Signed ${attested.length} form${attested.length === 1 ? '' : 's'} as ${signerName}`,
+      },
+    }));
+    await batch.commit();
+
+    return {
+      success: true,
+      batchId,
+      bundlePath,
+      signedAt: signedAt.toDate().toISOString(),
+      attested,
+      skipped,
+      message: `Signed ${attested.length} form${attested.length === 1 ? '' : 's'}` +
+        (skipped.length > 0 ? ` (${skipped.length} skipped)` : ''),
+    };
+  } catch (error) {
+    console.error('Form attestation error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Public verification of a signed form.
+ *
+ * Anyone holding a form's verification code may check it, so the response
+ * carries only what is printed on the form: the student's and event's
+ * names, the attested hours and who signed them. The hours are recomputed
+ * from the current records: `hoursMatch` is false when the total changed
+ * and `recordsMatch` when any credited entry did. A `pdfSha256` of a
+ * digital copy is compared with the signed file (`pdfMatches`).
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.code - Verification code as printed
+ * @param {string} [request.data.pdfSha256] - SHA-256 (hex) of a PDF copy to compare
+ */
+export const verifyAttestation = onCall({ cors: true }, async (request) => {
+  const code = normalizeVerificationCode(request.data?.code);
+  if (!code) {
+    throw new HttpsError('invalid-argument', 'Enter the 12-character verification code printed on the form');
+  }
+  const pdfSha256 = typeof request.data?.pdfSha256 === 'string' ? request.data.pdfSha256.toLowerCase() : null;
+
+  const db = getFirestore();
+
+  try {
+    const attestationDoc = await db.collection('attestations').doc(code).get();
+    if (!attestationDoc.exists) {
+      throw new HttpsError('not-found', 'No signed form matches this code');
+    }
+    const attestation = attestationDoc.data();
+
+    const eventDoc = await db.collection('events').doc(attestation.eventId).get();
+    const event = { id: attestation.eventId, ...(eventDoc.exists ? eventDoc.data() : {}) };
+
+    let current = null;
+    const scannedDoc = await db.collection('students').doc(attestation.studentId).get();
+    if (scannedDoc.exists) {
+      // Hours of a merged duplicate now sit on the surviving student
+      const { studentId, studentDoc } = await followStudentRedirect(db, attestation.studentId, scannedDoc);
+      const entriesSnapshot = await db.collection('timeEntries')
+        .where('eventId', '==', attestation.eventId)
+        .where('studentId', '==', studentId)
+        .get();
+      current = summarizeAttestedHours(
+        event,
+        studentDoc.data(),
+        entriesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }))
+      );
+    }
+
+    const hoursMatch = Boolean(current) && Math.abs(current.totalHours - attestation.totalHours) < 0.005;
+    const recordsMatch = hoursMatch && current.entriesDigest === attestation.entriesDigest;
+
+    return {
+      success: true,
+      code: formatVerificationCode(code),
+      status: recordsMatch ? 'verified' : 'changed',
+      studentName: attestation.studentName || '',
+      eventName: attestation.eventName || event.name || '',
+      organizationName: attestation.organizationName || '',
+      templateName: attestation.templateName || '',
+      signerName: attestation.signerName,
+      signerTitle: attestation.signerTitle || '',
+      signedAt: timestampToIso(attestation.signedAt),
+      attestedHours: attestation.totalHours,
+      activities: attestation.activities || [],
+      currentHours: current ? current.totalHours : null,
+      hoursMatch,
+      recordsMatch,
+      pdfMatches: pdfSha256 ? pdfSha256 === attestation.pdfSha256 : null,
+    };
+  } catch (error) {
+    console.error('Verify attestation error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,62 @@
+import { Timestamp } from 'firebase-admin/firestore';
+
+/**
+ * Admin audit trail helpers.
+ *
+ * `auditLog` is append-only: clients can read it (admins) but never write it,
+ * so every record is built here by the Cloud Function that made the change.
+ * Records carry top-level organizationId/eventId/studentId so the Audit page
+ * can filter them; org-wide actions (user and student changes) leave eventId
+ * null.
+ */
+
+/**
+ * The caller's display name, stored on the record so the log stays readable
+ * after the account is renamed or deleted.
+ *
+ * @param {Object} [auth] - request.auth
+ * @returns {string|null}
+ */
+export function getActorName(auth) {
+  return auth?.token?.name || auth?.token?.email || null;
+}
+
+/**
+ * Builds an auditLog document.
+ *
+ * @param {Object} params
+ * @param {string} params.action - e.g. 'time_entry_void', 'user_update'
+ * @param {string} params.targetType - 'timeEntry', 'student', 'user' or 'organization'
+ * @param {string} params.targetId - ID of the changed document
+ * @param {string} params.performedBy - UID of the admin
+ * @param {string|null} [params.performedByName] - From getActorName
+ * @param {string|null} [params.organizationId] - Organization the change belongs to
+ * @param {string|null} [params.eventId] - Event the change belongs to
+ * @param {string|null} [params.studentId] - Student the change concerns
+ * @param {Object} [params.details] - Action-specific fields (reason, description, before/after)
+ * @returns {Object}
+ */
+export function buildAuditRecord({
+  action,
+  targetType,
+  targetId,
+  performedBy,
+  performedByName = null,
+  organizationId = null,
+  eventId = null,
+  studentId = null,
+  details = {}
+}) {
+  return {
+    action,
+    targetType,
+    targetId,
+    organizationId,
+    eventId,
+    studentId,
+    performedBy,
+    performedByName,
+    performedAt: Timestamp.now(),
+    details
+  };
+}
@@ -0,0 +1,225 @@
+import { onSchedule } from 'firebase-functions/v2/scheduler';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { HOUR_POLICY_VERSION, toMillis } from './shared/hourPolicy.js';
+import {
+  AUTO_CHECKOUT_METHOD,
+  AUTO_CHECKOUT_POLICIES,
+  getAutoCheckoutCutoff,
+  getAutoCheckoutPolicy,
+  planAutoCheckout
+} from './shared/autoCheckout.js';
+import { getEstimateReconciliation } from './shared/hourEstimates.js';
+import { planShiftClose } from './shared/overnightShifts.js';
+import { getReviewLockId } from './shared/reviewStatus.js';
+import { buildAuditRecord } from './auditLog.js';
+import { addShiftContinuations } from './checkOut.js';
+
+// Recorded as the actor on auto-closed entries and their audit records
+const AUTO_CHECKOUT_ACTOR = 'system';
+const AUTO_CHECKOUT_ACTOR_NAME = 'Automatic check-out';
+
+// Firestore allows at most 500 writes per batch; one is kept for the audit record
+const MAX_WRITES_PER_BATCH = 499;
+
+// Splits a day's closes into batches; a split overnight shift writes one entry per day
+const chunkByWrites = (closes) => {
+  const chunks = [];
+  let writes = MAX_WRITES_PER_BATCH;
+  closes.forEach(close => {
+    if (writes + close.segments.length > MAX_WRITES_PER_BATCH) {
+      chunks.push([]);
+      writes = 0;
+    }
+    chunks.at(-1).push(close);
+    writes += close.segments.length;
+  });
+  return chunks;
+};
+
+// Latest check-in or check-out the student scanned on the entry's day, before the cutoff
+const getLastScanTime = async (db, entry, cutoffMs) => {
+  const dayEntries = await db.collection('timeEntries')
+    .where('studentId', '==', entry.studentId)
+    .where('eventId', '==', entry.eventId)
+    .where('date', '==', entry.date)
+    .get();
+  const scans = dayEntries.docs
+    .map(doc => doc.data())
+    .filter(dayEntry => !dayEntry.isVoided)
+    .flatMap(dayEntry => [dayEntry.checkInTime, dayEntry.checkOutTime])
+    .map(toMillis)
+    .filter(ms => Number.isFinite(ms) && ms <= cutoffMs);
+  return scans.length > 0 ? Math.max(...scans) : null;
+};
+
+/**
+ * Closes every open entry whose activity cutoff has passed, under its event's
+ * auto check-out policy. Shifts past midnight follow the event's overnight
+ * policy like a scanned check-out. Locked days and events with the policy off
+ * are left alone. Guardians are not notified; the check-out is recorded after
+ * the fact.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {Date} [now] - Current time (a fake clock in tests and the emulator)
+ * @returns {Promise<{ checkedOutCount: number }>}
+ */
+export async function runAutoCheckout(db, now = new Date()) {
+  const openEntries = await db.collection('timeEntries')
+    .where('checkOutTime', '==', null)
+    .get();
+
+  const events = new Map();
+  const loadEvent = async (eventId) => {
+    if (!events.has(eventId)) {
+      const eventDoc = await db.collection('events').doc(eventId).get();
+      events.set(eventId, eventDoc.exists ? eventDoc.data() : null);
+    }
+    return events.get(eventId);
+  };
+
+  const locks = new Map();
+  const isDayLocked = async (eventId, date) => {
+    const lockId = getReviewLockId(eventId, date);
+    if (!locks.has(lockId)) {
+      const lockDoc = await db.collection('reviewLocks').doc(lockId).get();
+      locks.set(lockId, Boolean(lockDoc.exists && lockDoc.data().locked));
+    }
+    return locks.get(lockId);
+  };
+
+  // Due entries grouped by event day, so each day gets one audit record
+  const dueByDay = new Map();
+  for (const doc of openEntries.docs) {
+    const entry = doc.data();
+    if (entry.isVoided || !entry.checkInTime || !entry.date) continue;
+
+    const event = await loadEvent(entry.eventId);
+    if (!event || getAutoCheckoutPolicy(event) === AUTO_CHECKOUT_POLICIES.OFF) continue;
+
+    const cutoffMs = getAutoCheckoutCutoff(entry, event).getTime();
+    if (now.getTime() < cutoffMs) continue;
+
+    if (await isDayLocked(entry.eventId, entry.date)) continue;
+
+    const lastScanTime = getAutoCheckoutPolicy(event) === AUTO_CHECKOUT_POLICIES.LAST_SCAN
+      ? await getLastScanTime(db, entry, cutoffMs)
+      : null;
+    const plan = planAutoCheckout(entry, event, { lastScanTime });
+    const { spanDates, segments } = planShiftClose(entry.checkInTime, plan.checkOutTime, event);
+
+    // A split shift also writes to the later days, which must be open too
+    const laterDaysLocked = await Promise.all(segments.slice(1).map(segment => isDayLocked(entry.eventId, segment.date)));
+    if (laterDaysLocked.some(Boolean)) continue;
+
+    const dayKey = getReviewLockId(entry.eventId, entry.date);
+    if (!dueByDay.has(dayKey)) {
+      dueByDay.set(dayKey, { event, entries: [] });
+    }
+    dueByDay.get(dayKey).entries.push({ doc, entry, plan, spanDates, segments });
+  }
+
+  let checkedOutCount = 0;
+  for (const { event, entries } of dueByDay.values()) {
+    for (const chunk of chunkByWrites(entries)) {
+      const batch = db.batch();
+      const closedEntries = chunk.map(({ doc, entry, plan, spanDates, segments }) => {
+        const [firstSegment, ...continuations] = segments;
+        const hoursWorked = segments.reduce((sum, segment) => sum + segment.hoursWorked, 0);
+        const flags = [...(entry.flags || [])];
+        if (!flags.includes('auto_checkout')) {
+          flags.push('auto_checkout');
+        }
+        if (spanDates && !flags.includes('overnight')) {
+          flags.push('overnight');
+        }
+        const estimateReconciliation = getEstimateReconciliation(entry, hoursWorked);
+        if (estimateReconciliation?.needsReprint) {
+          flags.push('estimate_mismatch');
+        }
+
+        const changeLogEntry = {
+          timestamp: now.toISOString(),
+          modifiedBy: AUTO_CHECKOUT_ACTOR,
+          type: 'auto_checkout',
+          oldCheckOutTime: null,
+          newCheckOutTime: plan.checkOutTime.toISOString(),
+          reason: 'Still checked in after the activity cutoff',
+          description: plan.description
+        };
+
+        const closeFields = {
+          checkOutBy: AUTO_CHECKOUT_ACTOR,
+          checkOutByName: AUTO_CHECKOUT_ACTOR_NAME,
+          checkOutMethod: AUTO_CHECKOUT_METHOD,
+          hoursPolicyVersion: HOUR_POLICY_VERSION,
+          spanDates,
+          autoCheckoutPolicy: getAutoCheckoutPolicy(event)
+        };
+        const segmentRefs = addShiftContinuations(db, batch, doc.id, entry, continuations, {
+          closeFields,
+          flags: ['overnight', 'auto_checkout']
+        });
+
+        batch.update(doc.ref, {
+          ...closeFields,
+          checkOutTime: Timestamp.fromDate(firstSegment.checkOutTime),
+          hoursWorked: firstSegment.hoursWorked,
+          rawMinutes: firstSegment.rawMinutes,
+          flags,
+          reviewStatus: 'flagged',
+          ...(segmentRefs.length > 0 && { nextSegmentId: segmentRefs[0].id }),
+          changeLog: [...(entry.changeLog || []), changeLogEntry],
+          ...(estimateReconciliation && { estimatedCheckOut: null, estimateReconciliation })
+        });
+
+        return {
+          entryId: doc.id,
+          studentId: entry.studentId,
+          checkOutTime: changeLogEntry.newCheckOutTime,
+          hoursWorked
+        };
+      });
+
+      const { eventId, date } = chunk[0].entry;
+      batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+        action: 'auto_checkout',
+        targetType: 'event',
+        targetId: eventId,
+        performedBy: AUTO_CHECKOUT_ACTOR,
+        performedByName: AUTO_CHECKOUT_ACTOR_NAME,
+        organizationId: event.organizationId,
+        eventId,
+        details: {
+          date,
+          policy: getAutoCheckoutPolicy(event),
+          description: `Automatic check-out of ${closedEntries.length} students`,
+          studentIds: closedEntries.map(e => e.studentId),
+          entries: closedEntries
+        }
+      }));
+      await batch.commit();
+      checkedOutCount += closedEntries.length;
+    }
+  }
+
+  return { checkedOutCount };
+}
+
+/**
+ * Automatic End-of-Day Check-Out
+ * Runs every 15 minutes and closes entries left open past their activity's
+ * cutoff. The emulator's functions shell can pass a fake clock:
+ * `autoCheckOut({ scheduleTime: '2026-06-15T23:00:00Z' })`.
+ */
+export const autoCheckOut = onSchedule({ schedule: 'every 15 minutes', timeZone: 'UTC' }, async (event) => {
+  const now = event?.scheduleTime ? new Date(event.scheduleTime) : new Date();
+  try {
+    const { checkedOutCount } = await runAutoCheckout(getFirestore(), now);
+    if (checkedOutCount > 0) {
+      console.log(`Auto check-out closed ${checkedOutCount} entries`);
+    }
+  } catch (error) {
+    console.error('Auto check-out error:', error);
+    throw error;
+  }
+});
@@ -0,0 +1,250 @@
+import { createHmac, timingSafeEqual } from 'node:crypto';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { defineSecret } from 'firebase-functions/params';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { assertEventAdmin, assertOrganizationAccess } from './organizations.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+
+/**
+ * Secret used to sign badge QR payloads. Set it with
+ * `firebase functions:secrets:set BADGE_SIGNING_SECRET`.
+ */
+export const badgeSigningSecret = defineSecret('BADGE_SIGNING_SECRET');
+
+// Signed payload format: VBS|studentId|eventId|badgeVersion|signature
+const BADGE_PREFIX = 'VBS';
+
+function getSigningKey() {
+  const key = badgeSigningSecret.value();
+  if (!key) {
+    throw new HttpsError('internal', 'Badge signing secret is not configured');
+  }
+  return key;
+}
+
+function computeSignature(studentId, eventId, badgeVersion) {
+  return createHmac('sha256', getSigningKey())
+    .update(`${studentId}|${eventId}|${badgeVersion}`)
+    .digest('base64url')
+    .substring(0, 22);
+}
+
+/**
+ * Builds the signed QR payload printed on a student's badge.
+ *
+ * @param {string} studentId - Student ID
+ * @param {string} eventId - Event ID
+ * @param {number} badgeVersion - Student's current badge version
+ * @returns {string}
+ */
+export function signBadge(studentId, eventId, badgeVersion) {
+  return [BADGE_PREFIX, studentId, eventId, badgeVersion, computeSignature(studentId, eventId, badgeVersion)].join('|');
+}
+
+/**
+ * Verifies the signature on a scanned badge. Unsigned badges from before
+ * signing was introduced (including bare student IDs) are rejected.
+ *
+ * @param {string} qrData - Raw QR payload
+ * @returns {{ studentId: string, eventId: string, badgeVersion: number }}
+ */
+export function parseSignedBadge(qrData) {
+  if (typeof qrData !== 'string' || !qrData.trim()) {
+    throw new HttpsError('invalid-argument', 'Missing QR data');
+  }
+
+  const parts = qrData.trim().split('|');
+  if (parts[0] !== BADGE_PREFIX) {
+    throw new HttpsError('invalid-argument', 'This badge uses an old unsigned format. Ask an admin to reprint it.');
+  }
+
+  const [, studentId, eventId, version, signature] = parts;
+  const badgeVersion = Number(version);
+  if (parts.length !== 5 || !studentId || !eventId || !Number.isInteger(badgeVersion) || !signature) {
+    throw new HttpsError('invalid-argument', 'Invalid QR code format');
+  }
+
+  const expected = Buffer.from(computeSignature(studentId, eventId, badgeVersion));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !timingSafeEqual(expected, actual)) {
+    throw new HttpsError('invalid-argument', 'Invalid badge');
+  }
+
+  return { studentId, eventId, badgeVersion };
+}
+
+/**
+ * Rejects badges that were revoked or replaced by a reissue.
+ *
+ * @param {Object} student - Student document data
+ * @param {number} badgeVersion - Version printed on the scanned badge
+ */
+export function assertBadgeCurrent(student, badgeVersion) {
+  if (student.badgeRevoked) {
+    throw new HttpsError('failed-precondition', 'This badge has been revoked. Ask an admin for a new lanyard.');
+  }
+  if (badgeVersion < (student.badgeVersion || 1)) {
+    throw new HttpsError('failed-precondition', 'Badge replaced. This lanyard is no longer valid; use the newest badge.');
+  }
+}
+
+async function verifyAdmin(db, request, action) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const adminDoc = await db.collection('admins').doc(request.auth.uid).get();
+  if (!adminDoc.exists) {
+    throw new HttpsError('permission-denied', `Only admins can ${action}`);
+  }
+  return adminDoc.data();
+}
+
+/**
+ * Issue Badges Cloud Function
+ * Returns signed QR payloads for printing badges. Revoked badges are not
+ * issued until the student's badge is reissued.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event ID
+ * @param {string[]} request.data.studentIds - Students to print badges for
+ */
+export const issueBadges = onCall({ cors: true, secrets: [badgeSigningSecret] }, async (request) => {
+  const { eventId, studentIds } = request.data || {};
+
+  if (!eventId || !Array.isArray(studentIds) || studentIds.length === 0) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: eventId and studentIds');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'print badges');
+
+    const studentDocs = await Promise.all(studentIds.map(id => db.collection('students').doc(id).get()));
+    const payloads = {};
+    const revoked = [];
+
+    studentDocs.forEach(doc => {
+      if (!doc.exists) return;
+      const student = doc.data();
+      if (student.organizationId !== event.organizationId) return;
+      if (student.badgeRevoked) {
+        revoked.push(doc.id);
+        return;
+      }
+      payloads[doc.id] = signBadge(doc.id, eventId, student.badgeVersion || 1);
+    });
+
+    return {
+      success: true,
+      payloads,
+      revoked
+    };
+  } catch (error) {
+    console.error('Issue badges error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+async function updateBadge(request, action) {
+  const { studentId, reason } = request.data || {};
+
+  if (!studentId) {
+    throw new HttpsError('invalid-argument', 'Missing required field: studentId');
+  }
+
+  const db = getFirestore();
+  const admin = await verifyAdmin(db, request, `${action} badges`);
+
+  const studentRef = db.collection('students').doc(studentId);
+  const studentDoc = await studentRef.get();
+  if (!studentDoc.exists) {
+    throw new HttpsError('not-found', 'Student not found');
+  }
+
+  const student = studentDoc.data();
+  assertOrganizationAccess(admin, student.organizationId);
+  const currentVersion = student.badgeVersion || 1;
+  const badgeVersion = action === 'reissue' ? currentVersion + 1 : currentVersion;
+  const badgeRevoked = action === 'revoke';
+
+  const trimmedReason = typeof reason === 'string' && reason.trim() ? reason.trim() : null;
+
+  const batch = db.batch();
+  batch.update(studentRef, {
+    badgeVersion,
+    badgeRevoked,
+    badgeUpdatedAt: Timestamp.now(),
+    badgeHistory: [...(student.badgeHistory || []), {
+      action,
+      badgeVersion,
+      by: request.auth.uid,
+      at: new Date().toISOString(),
+      reason: trimmedReason
+    }]
+  });
+  batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+    action: `badge_${action}`,
+    targetType: 'student',
+    targetId: studentId,
+    performedBy: request.auth.uid,
+    performedByName: getActorName(request.auth),
+    organizationId: student.organizationId,
+    studentId,
+    details: {
+      studentName: `${student.firstName || ''} ${student.lastName || ''}`.trim(),
+      badgeVersion,
+      reason: trimmedReason,
+      description: action === 'revoke' ? `Revoked badge version ${badgeVersion}` : `Reissued badge as version ${badgeVersion}`
+    }
+  }));
+  await batch.commit();
+
+  return { badgeVersion, badgeRevoked };
+}
+
+/**
+ * Revoke Badge Cloud Function
+ * Disables a student's lost lanyard. Scans are refused until it is reissued.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.studentId - Student ID
+ * @param {string} [request.data.reason] - Why the badge was revoked
+ */
+export const revokeBadge = onCall({ cors: true }, async (request) => {
+  try {
+    const result = await updateBadge(request, 'revoke');
+    return { success: true, ...result, message: 'Badge revoked' };
+  } catch (error) {
+    console.error('Revoke badge error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Reissue Badge Cloud Function
+ * Bumps the student's badge version so every earlier printout is rejected
+ * as replaced, and clears any revocation.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.studentId - Student ID
+ * @param {string} [request.data.reason] - Why the badge was reissued
+ */
+export const reissueBadge = onCall({ cors: true }, async (request) => {
+  try {
+    const result = await updateBadge(request, 'reissue');
+    return { success: true, ...result, message: `Badge reissued (version ${result.badgeVersion})` };
+  } catch (error) {
+    console.error('Reissue badge error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
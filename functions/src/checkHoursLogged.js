@@ -1,51 +1,12 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore } from 'firebase-admin/firestore';
-
-function generateChecksum(studentId, eventId) {
-  const combined = `${studentId}${eventId}`;
-  let hash = 0;
-  for (let i = 0; i < combined.length; i++) {
-    const char = combined.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  return Math.abs(hash).toString(36).substring(0, 6);
-}
-
-function parseQRData(qrData) {
-  if (typeof qrData !== 'string' || !qrData.trim()) {
-    return { isValid: false, error: 'Missing QR data' };
-  }
-
-  const trimmed = qrData.trim();
-  const parts = trimmed.split('|');
-
-  if (parts.length === 1) {
-    return {
-      studentId: trimmed,
-      eventId: null,
-      checksum: null,
-      isValid: true,
-    };
-  }
-
-  if (parts.length !== 3) {
-    return { isValid: false, error: 'Invalid QR code format' };
-  }
-
-  const [studentId, eventId, checksum] = parts;
-  if (!studentId || !eventId || !checksum) {
-    return { isValid: false, error: 'Invalid QR code format' };
-  }
-
-  return {
-    studentId,
-    eventId,
-    checksum,
-    isValid: generateChecksum(studentId, eventId) === checksum,
-    error: 'Invalid QR code',
-  };
-}
+import { getEffectivePdfTemplate } from './shared/pdfTemplates.js';
+import { loadOrganizationTemplates } from './pdfTemplates.js';
+import { getEntryHours } from './shared/hourPolicy.js';
+import { getFormCreditedEntries, getFormCreditedHours, getGoalProgress, getHourGoal } from './shared/hourGoals.js';
+import { isCreditedEntry } from './shared/reviewStatus.js';
+import { badgeSigningSecret, parseSignedBadge, assertBadgeCurrent } from './badges.js';
+import { followStudentRedirect } from './mergeStudents.js';
 
 function timestampToIso(value) {
   if (!value) return null;
@@ -54,80 +15,14 @@ function timestampToIso(value) {
   return null;
 }
 
-function getHours(entry) {
-  if (entry.checkInTime && entry.checkOutTime) {
-    const checkInMs = typeof entry.checkInTime.toMillis === 'function'
-      ? entry.checkInTime.toMillis()
-      : entry.checkInTime.seconds * 1000;
-    const checkOutMs = typeof entry.checkOutTime.toMillis === 'function'
-      ? entry.checkOutTime.toMillis()
-      : entry.checkOutTime.seconds * 1000;
-    const hours = (checkOutMs - checkInMs) / 1000 / 60 / 60;
-    return Math.round(hours * 4) / 4;
-  }
-
-  return typeof entry.hoursWorked === 'number' ? entry.hoursWorked : 0;
-}
+async function getSchoolTemplateForStudent(db, student) {
+  if (!student.organizationId) return null;
 
-function normalizeTemplateText(value = '') {
-  return value.toLowerCase().replace(/[^a-z0-9]/g, '');
+  const { templates, defaultTemplateId, schoolAliases } = await loadOrganizationTemplates(db, student.organizationId);
+  return getEffectivePdfTemplate(student, templates, defaultTemplateId, schoolAliases);
 }
 
-const SCHOOL_TEMPLATE_ALIASES = [
-  { school: ['bishopmoore', 'bishopmoorecatholic'], template: ['bishopmoore'] },
-  { school: ['thefirstacademy', 'firstacademy', 'tfa'], template: ['thefirstacademy', 'firstacademy', 'tfa'] },
-];
-
-function findTemplateForSchool(schoolName, templates = []) {
-  const normalizedSchool = normalizeTemplateText(schoolName);
-  if (!normalizedSchool) return null;
-
-  const templateMatches = (template, values) => {
-    const normalizedTemplate = normalizeTemplateText(`${template.name || ''} ${template.fileName || ''}`);
-    return values.some((value) => normalizedTemplate.includes(value));
-  };
-
-  const exactMatch = templates.find((template) => {
-    const normalizedTemplate = normalizeTemplateText(`${template.name || ''} ${template.fileName || ''}`);
-    return normalizedTemplate &&
-      (normalizedTemplate.includes(normalizedSchool) || normalizedSchool.includes(normalizedTemplate));
-  });
-  if (exactMatch) return exactMatch;
-
-  const alias = SCHOOL_TEMPLATE_ALIASES.find((item) =>
-    item.school.some((value) => normalizedSchool.includes(value))
-  );
-  if (alias) {
-    const aliasMatch = templates.find((template) => templateMatches(template, alias.template));
-    if (aliasMatch) return aliasMatch;
-  }
-
-  const ocpsTemplate = templates.find((template) => templateMatches(template, ['ocps']));
-  if (ocpsTemplate) return ocpsTemplate;
-
-  return null;
-}
-
-function getEffectivePdfTemplate(student = {}, templates = [], defaultTemplateId = null) {
-  if (student.pdfTemplateId) {
-    return templates.find((template) => template.id === student.pdfTemplateId) || null;
-  }
-
-  const schoolTemplate = findTemplateForSchool(student.schoolName, templates);
-  if (schoolTemplate) return schoolTemplate;
-
-  return defaultTemplateId ? templates.find((template) => template.id === defaultTemplateId) || null : null;
-}
-
-async function getSchoolFormForStudent(db, student) {
-  const [templatesSnap, defaultsSnap] = await Promise.all([
-    db.collection('pdfTemplates').get(),
-    db.collection('settings').doc('pdfDefaults').get(),
-  ]);
-  const templates = templatesSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
-  const defaultTemplateId = defaultsSnap.exists ? defaultsSnap.data().defaultTemplateId : null;
-  const template = getEffectivePdfTemplate(student, templates, defaultTemplateId);
-
+function publicSchoolForm(template) {
   return template
     ? {
         id: template.id,
@@ -152,34 +47,38 @@ function publicStudentProfile(student, studentId) {
 /**
  * Public QR-backed hour lookup for students.
  *
- * Accepts both current event-specific QR data and older student-id-only badges.
- * The response intentionally returns only hour-report fields, not contact or
- * emergency data.
+ * Only signed, current badges are accepted; revoked or replaced lanyards and
+ * unsigned legacy badges are refused. The response intentionally returns only
+ * hour-report fields, not contact or emergency data. When the student or
+ * their school form sets an hour goal, each event reports progress toward
+ * it and `goalReached` answers for the event on the scanned badge.
  */
-export const checkHoursLogged = onCall({ cors: true }, async (request) => {
+export const checkHoursLogged = onCall({ cors: true, secrets: [badgeSigningSecret] }, async (request) => {
   const { qrData } = request.data || {};
-  const parsed = parseQRData(qrData);
-
-  if (!parsed.isValid) {
-    throw new HttpsError('invalid-argument', parsed.error || 'Invalid QR code');
-  }
+  const parsed = parseSignedBadge(qrData);
 
   const db = getFirestore();
 
   try {
-    const studentDoc = await db.collection('students').doc(parsed.studentId).get();
-    if (!studentDoc.exists) {
+    const scannedDoc = await db.collection('students').doc(parsed.studentId).get();
+    if (!scannedDoc.exists) {
       throw new HttpsError('not-found', 'Student not found');
     }
+    assertBadgeCurrent(scannedDoc.data(), parsed.badgeVersion);
+
+    // Badges of merged duplicates show the surviving student's hours
+    const { studentId, studentDoc } = await followStudentRedirect(db, parsed.studentId, scannedDoc);
     const student = studentDoc.data();
+    const schoolTemplate = await getSchoolTemplateForStudent(db, student);
+    const hourGoal = getHourGoal(student, schoolTemplate);
 
     const entriesSnap = await db.collection('timeEntries')
-      .where('studentId', '==', parsed.studentId)
+      .where('studentId', '==', studentId)
       .get();
 
     const creditedEntries = entriesSnap.docs
       .map((doc) => ({ id: doc.id, ...doc.data() }))
-      .filter((entry) => !entry.isVoided && entry.checkOutTime);
+      .filter(isCreditedEntry);
 
     const eventIds = [...new Set(creditedEntries.map((entry) => entry.eventId).filter(Boolean))];
     const eventDocs = await Promise.all(
@@ -193,8 +92,8 @@ export const checkHoursLogged = onCall({ cors: true }, async (request) => {
     const events = eventIds.map((eventId) => {
       const event = eventsById[eventId] || {};
       const activityNames = new Map((event.activities || []).map((activity) => [activity.id, activity.name]));
-      const entries = creditedEntries
-        .filter((entry) => entry.eventId === eventId)
+      const eventEntries = creditedEntries.filter((entry) => entry.eventId === eventId);
+      const entries = getFormCreditedEntries(eventEntries, event)
         .map((entry) => ({
           id: entry.id,
           activityId: entry.activityId || '',
@@ -202,11 +101,12 @@ export const checkHoursLogged = onCall({ cors: true }, async (request) => {
           date: entry.date || '',
           checkInTime: timestampToIso(entry.checkInTime),
           checkOutTime: timestampToIso(entry.checkOutTime),
-          hours: getHours(entry),
+          hours: getEntryHours(entry, event.hourRounding),
         }))
         .sort((a, b) => (a.checkInTime || '').localeCompare(b.checkInTime || ''));
 
-      const totalHours = entries.reduce((sum, entry) => sum + entry.hours, 0);
+      // The total the event's form reports, with the student's override
+      const totalHours = getFormCreditedHours(eventEntries, student, event);
       return {
         id: eventId,
         name: event.name || eventId,
@@ -214,17 +114,26 @@ export const checkHoursLogged = onCall({ cors: true }, async (request) => {
         startDate: event.startDate || '',
         endDate: event.endDate || '',
         totalHours,
+        goal: getGoalProgress(totalHours, hourGoal),
         entries,
       };
     }).sort((a, b) => a.name.localeCompare(b.name));
 
+    // A badge for an event the student has no hours in yet has made no progress
+    const scannedGoal = events.find((event) => event.id === parsed.eventId)?.goal || getGoalProgress(0, hourGoal);
+
     return {
       success: true,
       scannedEventId: parsed.eventId,
-      student: publicStudentProfile(student, studentDoc.id),
-      schoolForm: await getSchoolFormForStudent(db, student),
+      student: publicStudentProfile(student, studentId),
+      schoolForm: publicSchoolForm(schoolTemplate),
+      hourGoal,
+      goalReached: scannedGoal ? scannedGoal.reached : null,
       events,
-      totalHours: events.reduce((sum, event) => sum + event.totalHours, 0),
+      // Each event's form adds the override; the grand total counts it once
+      totalHours: Math.round((events.reduce((sum, event) =>
+        sum + event.entries.reduce((eventSum, entry) => eventSum + entry.hours, 0), 0) +
+        (parseFloat(student.overrideHours) || 0)) * 100) / 100,
     };
   } catch (error) {
     console.error('Check hours logged error:', error);
@@ -1,69 +1,244 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { calculateHours, getCheckInFlags, HOUR_POLICY_VERSION } from './shared/hourPolicy.js';
+import { getClientScanTimeError } from './shared/offlineSync.js';
+import { getEstimateReconciliation } from './shared/hourEstimates.js';
+import { getScanAccessError } from './shared/eventAssignments.js';
+import { formatDateInTimeZone, formatTimeInTimeZone, getEventTimeZone } from './shared/timeZones.js';
+import { badgeSigningSecret, parseSignedBadge, assertBadgeCurrent } from './badges.js';
+import { followStudentRedirect } from './mergeStudents.js';
+import { queueGuardianNotifications } from './notifications.js';
+import { assertOrganizationAccess, assertOrganizationMember } from './organizations.js';
+import { assertDayUnlocked } from './reviewEntries.js';
+
+const OVERRIDE_MODES = ['close_previous', 'new_segment'];
+
+const formatTime = (timestamp, event) => formatTimeInTimeZone(timestamp.toDate(), getEventTimeZone(event));
+
+/**
+ * Fields that close an open entry during a duplicate check-in override.
+ * The entry is flagged so the override is reviewed in Daily Review.
+ */
+function buildOverrideClose(entry, checkOutTime, event, { userId, userName, mode, reason }) {
+  const { rounded, minutes } = calculateHours(entry.checkInTime, checkOutTime, event.hourRounding);
+  const flags = [...(entry.flags || [])];
+  if (!flags.includes('duplicate_override')) {
+    flags.push('duplicate_override');
+  }
+  const estimateReconciliation = getEstimateReconciliation(entry, rounded);
+  if (estimateReconciliation?.needsReprint) {
+    flags.push('estimate_mismatch');
+  }
+
+  const action = mode === 'new_segment' ? 'to start a new segment' : 'at a duplicate check-in scan';
+  const changeLogEntry = {
+    timestamp: new Date().toISOString(),
+    modifiedBy: userId,
+    type: 'duplicate_override',
+    mode,
+    oldCheckOutTime: null,
+    newCheckOutTime: checkOutTime.toDate().toISOString(),
+    reason,
+    description: `Closed at ${formatTime(checkOutTime, event)} ${action} (Checked in: ${formatTime(entry.checkInTime, event)}). Reason: ${reason}`
+  };
+
+  return {
+    checkOutTime,
+    checkOutBy: userId,
+    checkOutByName: userName,
+    checkOutMethod: 'override',
+    hoursWorked: rounded,
+    rawMinutes: minutes,
+    hoursPolicyVersion: HOUR_POLICY_VERSION,
+    flags,
+    reviewStatus: 'flagged',
+    changeLog: [...(entry.changeLog || []), changeLogEntry],
+    ...(estimateReconciliation && { estimatedCheckOut: null, estimateReconciliation })
+  };
+}
 
 /**
  * Check-In Cloud Function
  * Per PRD Section 3.2.1: Morning Check-In (AV Scanning)
  *
  * @param {Object} request.data
- * @param {string} request.data.studentId - Student ID
+ * @param {string} [request.data.qrData] - Signed badge payload (verified server-side)
+ * @param {string} [request.data.studentId] - Student ID, for signed-in scanner users without a badge payload
  * @param {string} request.data.eventId - Event ID
  * @param {string} request.data.activityId - Activity ID
  * @param {string} request.data.scannedBy - Fallback scanner user ID
  * @param {string} request.data.scannedByName - Fallback scanner display name
+ * @param {number} [request.data.clientTimestamp] - Original scan time (epoch ms) when replaying an offline scan
+ * @param {Object} [request.data.override] - Admin override when the student is already checked in:
+ *   { mode: 'close_previous' | 'new_segment', reason, previousCheckOutTime? }.
+ *   'close_previous' closes the open entry at the scan time; 'new_segment' closes it at
+ *   previousCheckOutTime (default: the scan time) and starts a new entry.
  */
-export const checkIn = onCall({ cors: true }, async (request) => {
-  const { studentId, eventId, activityId, scannedBy, scannedByName } = request.data;
+export const checkIn = onCall({ cors: true, secrets: [badgeSigningSecret] }, async (request) => {
+  const { qrData, eventId, activityId, scannedBy, scannedByName, clientTimestamp, override } = request.data;
 
   // Validate required fields
-  if (!studentId || !eventId || !activityId) {
+  if ((!request.data.studentId && !qrData) || !eventId || !activityId) {
     throw new HttpsError('invalid-argument', 'Missing required fields: studentId, eventId, and activityId');
   }
 
+  // Check-ins are recorded by signed-in staff, whose event assignments are checked below;
+  // badge scans are verified server-side
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'Sign in to record this scan');
+  }
+  const badge = qrData ? parseSignedBadge(qrData) : null;
+  if (badge && badge.eventId !== eventId) {
+    throw new HttpsError('invalid-argument', 'Wrong Event Badge');
+  }
+  let studentId = badge ? badge.studentId : request.data.studentId;
+
+  const overrideReason = override?.reason?.trim();
+  if (override) {
+    if (!OVERRIDE_MODES.includes(override.mode)) {
+      throw new HttpsError('invalid-argument', `Invalid override mode. Must be one of: ${OVERRIDE_MODES.join(', ')}`);
+    }
+    if (!overrideReason) {
+      throw new HttpsError('invalid-argument', 'A reason is required to override a duplicate check-in');
+    }
+  }
+
+  // Offline replays keep the time of the original scan, within a bounded window
+  const isOfflineSync = clientTimestamp !== undefined && clientTimestamp !== null;
+  if (isOfflineSync) {
+    const scanTimeError = getClientScanTimeError(clientTimestamp);
+    if (scanTimeError) {
+      throw new HttpsError('invalid-argument', scanTimeError);
+    }
+  }
+
   const db = getFirestore();
-  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(new Date()); // "2026-01-24"
+  const scanTime = isOfflineSync ? Timestamp.fromMillis(clientTimestamp) : Timestamp.now();
 
   try {
-    // Check if already checked in today
-    const existingQuery = await db.collection('timeEntries')
-      .where('studentId', '==', studentId)
+    const adminDoc = override ? await db.collection('admins').doc(request.auth.uid).get() : null;
+    if (adminDoc && !adminDoc.exists) {
+      throw new HttpsError('permission-denied', 'Only admins can override a duplicate check-in');
+    }
+
+    // Get event info for flagging; scans only count inside the event's organization
+    const eventDoc = await db.collection('events').doc(eventId).get();
+    if (!eventDoc.exists) {
+      throw new HttpsError('not-found', 'Event not found');
+    }
+    const event = eventDoc.data();
+    const timeZone = getEventTimeZone(event);
+    const today = formatDateInTimeZone(scanTime.toDate(), timeZone); // "2026-01-24" on the event's calendar
+    if (adminDoc) {
+      assertOrganizationAccess(adminDoc.data(), event.organizationId);
+    } else {
+      const profile = await assertOrganizationMember(db, request.auth, event.organizationId);
+      const accessError = getScanAccessError(profile, eventId, activityId);
+      if (accessError) {
+        throw new HttpsError('permission-denied', accessError);
+      }
+    }
+
+    // Check if already checked in: any open entry for the event counts, whatever its
+    // activity or date, so a missed checkout is closed before another entry opens
+    const findOpenEntries = (id) => db.collection('timeEntries')
+      .where('studentId', '==', id)
       .where('eventId', '==', eventId)
-      .where('activityId', '==', activityId)
-      .where('date', '==', today)
       .where('checkOutTime', '==', null)
       .get();
+    let existingQuery = await findOpenEntries(studentId);
 
     // Get student info
-    const studentDoc = await db.collection('students').doc(studentId).get();
-    if (!studentDoc.exists) {
+    let studentDoc = await db.collection('students').doc(studentId).get();
+    if (!studentDoc.exists || studentDoc.data().organizationId !== event.organizationId) {
       throw new HttpsError('not-found', 'Student not found');
     }
+    if (badge) {
+      assertBadgeCurrent(studentDoc.data(), badge.badgeVersion);
+    }
+
+    // Badges of merged duplicates record time for the surviving student
+    if (studentDoc.data().mergedInto) {
+      ({ studentId, studentDoc } = await followStudentRedirect(db, studentId, studentDoc));
+      existingQuery = await findOpenEntries(studentId);
+    }
     const student = studentDoc.data();
 
-    if (!existingQuery.empty) {
-      const existingEntry = existingQuery.docs[0].data();
+    const existingDoc = existingQuery.empty ? null : existingQuery.docs[0];
+    if (existingDoc && !override) {
+      const existingEntry = existingDoc.data();
       const checkInTime = existingEntry.checkInTime.toDate();
+      const since = existingEntry.date && existingEntry.date !== today ? ` on ${existingEntry.date}` : '';
       return {
         success: false,
-        error: `${student.firstName} Already checked in at ${checkInTime.toLocaleTimeString()}`,
-        duplicate: true
+        error: `${student.firstName} Already checked in at ${formatTimeInTimeZone(checkInTime, timeZone)}${since}`,
+        duplicate: true,
+        existingEntryId: existingDoc.id,
+        existingCheckInTime: checkInTime.toISOString()
       };
     }
+    if (!existingDoc && override) {
+      throw new HttpsError('failed-precondition', `${student.firstName} is no longer checked in; scan again without an override`);
+    }
 
-    // Get event info for flagging
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new HttpsError('not-found', 'Event not found');
+    // Locked review days take no new entries, and overrides may not close entries on them
+    if (override) {
+      await assertDayUnlocked(db, eventId, existingDoc.data().date);
+    }
+    if (override?.mode !== 'close_previous') {
+      await assertDayUnlocked(db, eventId, today);
     }
-    const event = eventDoc.data();
 
-    // Create time entry
-    const checkInTime = Timestamp.now();
-    const flags = getFlagsForCheckIn(checkInTime.toDate(), event.typicalStartTime || '09:00');
     const scannerId = request.auth?.uid || scannedBy || 'av_scan';
     const scannerName = request.auth?.token?.name || scannedByName || null;
 
+    let closeFields = null;
+    if (override) {
+      const existingEntry = existingDoc.data();
+      let previousCheckOutTime = scanTime;
+      if (override.mode === 'new_segment' && override.previousCheckOutTime) {
+        const requested = new Date(override.previousCheckOutTime);
+        if (Number.isNaN(requested.getTime())) {
+          throw new HttpsError('invalid-argument', 'Invalid previousCheckOutTime');
+        }
+        previousCheckOutTime = Timestamp.fromDate(requested);
+      }
+      const previousCheckOutMs = previousCheckOutTime.toMillis();
+      if (previousCheckOutMs <= existingEntry.checkInTime.toMillis() ||
+          previousCheckOutMs > scanTime.toMillis()) {
+        throw new HttpsError('invalid-argument', 'The previous segment must end after its check-in and no later than this scan');
+      }
+
+      closeFields = buildOverrideClose(existingEntry, previousCheckOutTime, event, {
+        userId: scannerId,
+        userName: scannerName,
+        mode: override.mode,
+        reason: overrideReason
+      });
+
+      if (override.mode === 'close_previous') {
+        await existingDoc.ref.update(closeFields);
+        return {
+          success: true,
+          override: 'close_previous',
+          studentName: `${student.firstName} ${student.lastName}`,
+          checkOutTime: previousCheckOutTime.toDate().toISOString(),
+          entryId: existingDoc.id,
+          hoursWorked: closeFields.hoursWorked,
+          flags: closeFields.flags
+        };
+      }
+    }
+
+    // Create time entry
+    const checkInTime = scanTime;
+    const flags = getCheckInFlags(checkInTime.toDate(), event.typicalStartTime || '09:00', timeZone);
+    if (override) {
+      flags.push('duplicate_override');
+    }
+
     const entry = {
+      organizationId: event.organizationId,
       studentId,
       eventId,
       activityId,
@@ -71,7 +246,7 @@ export const checkIn = onCall({ cors: true }, async (request) => {
       checkInTime,
       checkInBy: scannerId,
       checkInByName: scannerName,
-      checkInMethod: 'av_scan',
+      checkInMethod: isOfflineSync ? 'offline_sync' : 'av_scan',
       checkOutTime: null,
       checkOutBy: null,
       checkOutMethod: null,
@@ -87,7 +262,28 @@ export const checkIn = onCall({ cors: true }, async (request) => {
       createdAt: Timestamp.now()
     };
 
-    const docRef = await db.collection('timeEntries').add(entry);
+    let docRef;
+    if (closeFields) {
+      // Close the earlier segment and open the new one together
+      docRef = db.collection('timeEntries').doc();
+      entry.previousSegmentId = existingDoc.id;
+      entry.changeLog = [{
+        timestamp: new Date().toISOString(),
+        modifiedBy: scannerId,
+        type: 'duplicate_override',
+        mode: 'new_segment',
+        previousEntryId: existingDoc.id,
+        reason: overrideReason,
+        description: `New segment started at ${formatTime(checkInTime, event)} after a duplicate check-in override. Reason: ${overrideReason}`
+      }];
+
+      const batch = db.batch();
+      batch.update(existingDoc.ref, { ...closeFields, nextSegmentId: docRef.id });
+      batch.set(docRef, entry);
+      await batch.commit();
+    } else {
+      docRef = await db.collection('timeEntries').add(entry);
+    }
 
     // Ensure the student is on the event roster (idempotent upsert)
     const rosterQuery = await db.collection('eventStudents')
@@ -97,6 +293,7 @@ export const checkIn = onCall({ cors: true }, async (request) => {
       .get();
     if (rosterQuery.empty) {
       await db.collection('eventStudents').add({
+        organizationId: event.organizationId,
         eventId,
         studentId,
         addedAt: Timestamp.now(),
@@ -104,6 +301,18 @@ export const checkIn = onCall({ cors: true }, async (request) => {
       });
     }
 
+    await queueGuardianNotifications(db, {
+      organizationId: event.organizationId,
+      student,
+      studentId,
+      eventId,
+      entryId: docRef.id,
+      trigger: 'check_in',
+      time: checkInTime.toDate(),
+      eventName: event.name,
+      timeZone
+    });
+
     return {
       success: true,
       studentName: `${student.firstName} ${student.lastName}`,
@@ -119,22 +328,3 @@ export const checkIn = onCall({ cors: true }, async (request) => {
     throw new HttpsError('internal', error.message);
   }
 });
-
-/**
- * Helper function to check if check-in should be flagged
- * Per PRD Section 3.4.2: Flag if >15 min before typical start
- */
-function getFlagsForCheckIn(checkInTime, typicalStart) {
-  const flags = [];
-  const [hour, min] = typicalStart.split(':');
-  const typical = new Date(checkInTime);
-  typical.setHours(parseInt(hour), parseInt(min), 0, 0);
-
-  // Flag if >15 min early
-  const fifteenMinutes = 15 * 60 * 1000;
-  if (checkInTime < (typical - fifteenMinutes)) {
-    flags.push('early_arrival');
-  }
-
-  return flags;
-}
@@ -1,71 +1,212 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { getCheckOutFlags, HOUR_POLICY_VERSION } from './shared/hourPolicy.js';
+import { getClientScanTimeError } from './shared/offlineSync.js';
+import { getEstimateReconciliation } from './shared/hourEstimates.js';
+import { getScanAccessError } from './shared/eventAssignments.js';
+import { getShiftPolicy, isWithinMaxShift, planShiftClose } from './shared/overnightShifts.js';
+import { formatDateInTimeZone, getEventTimeZone, getWeekStartDateString } from './shared/timeZones.js';
+import { verifyKioskToken } from './kiosk.js';
+import { badgeSigningSecret, parseSignedBadge, assertBadgeCurrent } from './badges.js';
+import { followStudentRedirect } from './mergeStudents.js';
+import { queueGuardianNotifications } from './notifications.js';
+import { assertOrganizationMember } from './organizations.js';
+import { assertDayUnlocked } from './reviewEntries.js';
+
+/**
+ * Queues the entries for the later days of a shift closed under
+ * split_at_midnight, one per continuation segment from planShiftClose. Each
+ * is linked to the one before it like a duplicate-override segment and
+ * flagged for review. The caller updates the open entry itself with the
+ * first segment and `nextSegmentId` set to the first ref returned.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {WriteBatch} batch - Batch the closing writes go in
+ * @param {string} entryId - ID of the entry being closed
+ * @param {Object} entry - Its data, for the student, event and check-in fields
+ * @param {Object[]} continuations - Segments after the first
+ * @param {Object} params
+ * @param {Object} params.closeFields - Check-out fields every segment carries
+ * @param {string[]} params.flags - Flags on every continuation
+ * @param {string[]} [params.lastFlags] - Extra flags for the last one (late stays)
+ * @returns {DocumentReference[]} The new entries, in date order
+ */
+export function addShiftContinuations(db, batch, entryId, entry, continuations, { closeFields, flags, lastFlags = [] }) {
+  const segmentRefs = continuations.map(() => db.collection('timeEntries').doc());
+  continuations.forEach((segment, index) => {
+    const isLast = index === continuations.length - 1;
+    batch.set(segmentRefs[index], {
+      ...closeFields,
+      organizationId: entry.organizationId,
+      studentId: entry.studentId,
+      eventId: entry.eventId,
+      activityId: entry.activityId,
+      date: segment.date,
+      checkInTime: Timestamp.fromDate(segment.checkInTime),
+      checkInBy: entry.checkInBy || null,
+      checkInByName: entry.checkInByName || null,
+      checkInMethod: 'overnight_split',
+      checkOutTime: Timestamp.fromDate(segment.checkOutTime),
+      hoursWorked: segment.hoursWorked,
+      rawMinutes: segment.rawMinutes,
+      reviewStatus: 'flagged',
+      flags: [...flags, ...(isLast ? lastFlags : [])],
+      previousSegmentId: index === 0 ? entryId : segmentRefs[index - 1].id,
+      ...(!isLast && { nextSegmentId: segmentRefs[index + 1].id }),
+      modifiedBy: null,
+      modificationReason: null,
+      isVoided: false,
+      voidReason: null,
+      voidedAt: null,
+      createdAt: Timestamp.now()
+    });
+  });
+  return segmentRefs;
+}
 
 /**
  * Check-Out Cloud Function
  * Per PRD Section 3.3: Student Check-Out Flow
  *
  * @param {Object} request.data
- * @param {string} request.data.studentId - Student ID
+ * @param {string} [request.data.qrData] - Signed badge payload (verified server-side)
+ * @param {string} [request.data.studentId] - Student ID, for signed-in scanner users without a badge payload
  * @param {string} request.data.eventId - Event ID
  * @param {string} request.data.method - Check-out method: 'self_scan' | 'av_scan'
  * @param {string} request.data.scannedBy - Fallback scanner user ID
  * @param {string} request.data.scannedByName - Fallback scanner display name
+ * @param {string} [request.data.kioskToken] - Device token when called from the self-checkout kiosk
+ * @param {number} [request.data.clientTimestamp] - Original scan time (epoch ms) when replaying an offline scan
  */
-export const checkOut = onCall({ cors: true }, async (request) => {
-  const { studentId, eventId, activityId, method, scannedBy, scannedByName } = request.data;
+export const checkOut = onCall({ cors: true, secrets: [badgeSigningSecret] }, async (request) => {
+  const { qrData, eventId, activityId, method, scannedBy, scannedByName, kioskToken, clientTimestamp } = request.data;
 
   // Validate required fields
-  if (!studentId || !eventId || !activityId) {
+  if ((!request.data.studentId && !qrData) || !eventId || !activityId) {
     throw new HttpsError('invalid-argument', 'Missing required fields: studentId, eventId, and activityId');
   }
 
+  // Scans come from signed-in staff (limited by their event assignments below) or a kiosk
+  // device token; badge scans are verified server-side and kiosks only scan badges
+  if (!request.auth && !kioskToken) {
+    throw new HttpsError('unauthenticated', 'Sign in to record this scan');
+  }
+  const badge = qrData ? parseSignedBadge(qrData) : null;
+  if (badge && badge.eventId !== eventId) {
+    throw new HttpsError('invalid-argument', 'Wrong Event Badge');
+  }
+  if (!badge && !request.auth) {
+    throw new HttpsError('unauthenticated', 'Scan a badge or sign in to record this scan');
+  }
+  let studentId = badge ? badge.studentId : request.data.studentId;
+
+  // Offline replays keep the time of the original scan, within a bounded window
+  const isOfflineSync = clientTimestamp !== undefined && clientTimestamp !== null;
+  if (isOfflineSync) {
+    if (!request.auth || kioskToken) {
+      throw new HttpsError('permission-denied', 'Only signed-in scanners can replay offline scans');
+    }
+    const scanTimeError = getClientScanTimeError(clientTimestamp);
+    if (scanTimeError) {
+      throw new HttpsError('invalid-argument', scanTimeError);
+    }
+  }
+
   const db = getFirestore();
-  const today = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(new Date());
+  const scanTime = isOfflineSync ? Timestamp.fromMillis(clientTimestamp) : Timestamp.now();
 
   try {
-    // Find today's entry
-    const entriesQuery = await db.collection('timeEntries')
-      .where('studentId', '==', studentId)
+    // Kiosk devices may only check students out of the event/activity they were set up for
+    const kiosk = kioskToken ? await verifyKioskToken(db, kioskToken, eventId) : null;
+    if (kiosk && kiosk.activityId !== activityId) {
+      throw new HttpsError('permission-denied', 'This kiosk is set up for a different activity');
+    }
+
+    // Get event for flagging and rounding policy; scans only count inside its organization
+    const eventDoc = await db.collection('events').doc(eventId).get();
+    if (!eventDoc.exists) {
+      throw new HttpsError('not-found', 'Event not found');
+    }
+    const event = eventDoc.data();
+    const timeZone = getEventTimeZone(event);
+    const today = formatDateInTimeZone(scanTime.toDate(), timeZone);
+    if (request.auth && !kiosk) {
+      const profile = await assertOrganizationMember(db, request.auth, event.organizationId);
+      const accessError = getScanAccessError(profile, eventId, activityId);
+      if (accessError) {
+        throw new HttpsError('permission-denied', accessError);
+      }
+    }
+
+    // Find the open entry, whatever its date, so overnight shifts can close after midnight
+    const findOpenEntries = (id) => db.collection('timeEntries')
+      .where('studentId', '==', id)
       .where('eventId', '==', eventId)
       .where('activityId', '==', activityId)
-      .where('date', '==', today)
       .where('checkOutTime', '==', null)
       .get();
+    let entriesQuery = await findOpenEntries(studentId);
 
    // Get student info
-    const studentDoc = await db.collection('students').doc(studentId).get();
-    if (!studentDoc.exists) {
+    let studentDoc = await db.collection('students').doc(studentId).get();
+    if (!studentDoc.exists || studentDoc.data().organizationId !== event.organizationId) {
       throw new HttpsError('not-found', 'Student not found');
     }
+    if (badge) {
+      assertBadgeCurrent(studentDoc.data(), badge.badgeVersion);
+    }
+
+    // Badges of merged duplicates record time for the surviving student
+    if (studentDoc.data().mergedInto) {
+      ({ studentId, studentDoc } = await followStudentRedirect(db, studentId, studentDoc));
+      entriesQuery = await findOpenEntries(studentId);
+    }
     const student = studentDoc.data();
 
-    if (entriesQuery.empty) {
+    const openEntries = entriesQuery.docs
+      .filter(doc => !doc.data().isVoided)
+      .sort((a, b) => b.data().checkInTime.toMillis() - a.data().checkInTime.toMillis());
+    if (openEntries.length === 0) {
       throw new HttpsError('not-found', `No check-in found for today ${student.firstName}`);
     }
 
-    const entryDoc = entriesQuery.docs[0];
+    // Same-day entries always match; earlier ones only within the event's shift limit
+    const { maxShiftHours } = getShiftPolicy(event);
+    const entryDoc = openEntries.find(doc => doc.data().date === today ||
+      isWithinMaxShift(doc.data().checkInTime, scanTime, maxShiftHours));
+    if (!entryDoc) {
+      throw new HttpsError(
+        'not-found',
+        `No check-in found for today ${student.firstName}. The open check-in from ${openEntries[0].data().date} is longer than the ${maxShiftHours}-hour shift limit; ask an admin to force the check-out.`
+      );
+    }
     const entry = entryDoc.data();
 
-    // Calculate hours
-    const checkOutTime = Timestamp.now();
-    const checkInMs = entry.checkInTime.toMillis();
-    const checkOutMs = checkOutTime.toMillis();
-    const minutes = Math.floor((checkOutMs - checkInMs) / 1000 / 60);
-    const hours = minutes / 60;
-    const rounded = Math.round(hours * 2) / 2; // Round to nearest 0.5
+    // Calculate hours, split per day when the event splits overnight shifts at midnight
+    const checkOutTime = scanTime;
+    if (checkOutTime.toMillis() < entry.checkInTime.toMillis()) {
+      throw new HttpsError('failed-precondition', 'Check-out time is before the check-in time');
+    }
+    const { spanDates, segments } = planShiftClose(entry.checkInTime, checkOutTime, event);
+    const [firstSegment, ...continuations] = segments;
+    const rounded = segments.reduce((sum, segment) => sum + segment.hoursWorked, 0);
 
-    // Get event for flagging
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new HttpsError('not-found', 'Event not found');
+    // Every day the check-out writes to must still be open for review
+    for (const date of new Set([entry.date, ...continuations.map(segment => segment.date)])) {
+      await assertDayUnlocked(db, eventId, date);
     }
-    const event = eventDoc.data();
 
-    // Combine existing flags with checkout flags
-    const checkOutFlags = getFlagsForCheckOut(checkOutTime.toDate(), event.typicalEndTime || '15:00');
-    const allFlags = [...(entry.flags || []), ...checkOutFlags];
-    const checkOutMethod = method || 'self_scan';
+    // Combine existing flags with checkout flags; late stays belong to the last day
+    const overnightFlags = spanDates ? ['overnight'] : [];
+    const checkOutFlags = getCheckOutFlags(checkOutTime.toDate(), event.typicalEndTime || '15:00', timeZone);
+    const allFlags = [...(entry.flags || []), ...overnightFlags, ...(continuations.length > 0 ? [] : checkOutFlags)];
+
+    // A form printed with estimated hours must be reprinted if the real hours differ
+    const estimateReconciliation = getEstimateReconciliation(entry, rounded);
+    if (estimateReconciliation?.needsReprint) {
+      allFlags.push('estimate_mismatch');
+    }
+    const checkOutMethod = kiosk ? 'self_scan' : (method || 'self_scan');
     const scannerId = checkOutMethod === 'self_scan'
       ? 'student_self'
       : (request.auth?.uid || scannedBy || 'av');
@@ -73,24 +214,59 @@ export const checkOut = onCall({ cors: true }, async (request) => {
       ? null
       : (request.auth?.token?.name || scannedByName || null);
 
-    // Update entry
-    await entryDoc.ref.update({
-      checkOutTime,
+    const closeFields = {
       checkOutBy: scannerId,
       checkOutByName: scannerName,
-      checkOutMethod,
-      hoursWorked: rounded,
-      rawMinutes: minutes,
+      checkOutMethod: isOfflineSync ? 'offline_sync' : checkOutMethod,
+      hoursPolicyVersion: HOUR_POLICY_VERSION,
+      spanDates,
+      ...(kiosk && { checkOutDeviceId: kiosk.id })
+    };
+
+    // Update entry
+    const entryUpdate = {
+      ...closeFields,
+      checkOutTime: continuations.length > 0 ? Timestamp.fromDate(firstSegment.checkOutTime) : checkOutTime,
+      hoursWorked: firstSegment.hoursWorked,
+      rawMinutes: firstSegment.rawMinutes,
       flags: allFlags,
-      reviewStatus: allFlags.length > 0 ? 'flagged' : 'pending'
+      reviewStatus: allFlags.length > 0 ? 'flagged' : 'pending',
+      ...(estimateReconciliation && { estimatedCheckOut: null, estimateReconciliation })
+    };
+    let lastEntryId = entryDoc.id;
+    if (continuations.length === 0) {
+      await entryDoc.ref.update(entryUpdate);
+    } else {
+      // Each later day gets its own segment
+      const batch = db.batch();
+      const segmentRefs = addShiftContinuations(db, batch, entryDoc.id, entry, continuations, {
+        closeFields,
+        flags: overnightFlags,
+        lastFlags: checkOutFlags
+      });
+      batch.update(entryDoc.ref, { ...entryUpdate, nextSegmentId: segmentRefs[0].id });
+      await batch.commit();
+      lastEntryId = segmentRefs.at(-1).id;
+    }
+
+    await queueGuardianNotifications(db, {
+      organizationId: event.organizationId,
+      student,
+      studentId,
+      eventId,
+      entryId: lastEntryId,
+      trigger: 'check_out',
+      time: checkOutTime.toDate(),
+      eventName: event.name,
+      timeZone
     });
 
-    // Get week total (Monday to today)
-    const weekStart = getMonday(new Date(today));
+    // Get week total (Monday to today); the entry just closed is already saved
+    // and comes back from this query, split segments included
     const weekEntriesQuery = await db.collection('timeEntries')
       .where('studentId', '==', studentId)
       .where('eventId', '==', eventId)
-      .where('date', '>=', new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(weekStart))
+      .where('date', '>=', getWeekStartDateString(today))
       .where('checkOutTime', '!=', null)
       .get();
 
@@ -105,9 +281,9 @@ export const checkOut = onCall({ cors: true }, async (request) => {
       success: true,
       studentName: `${student.firstName} ${student.lastName}`,
       hoursToday: rounded,
-      weekTotal: weekTotal + rounded,
+      weekTotal,
       checkOutTime: checkOutTime.toDate().toISOString(),
-      flags: allFlags
+      flags: [...new Set([...allFlags, ...checkOutFlags])]
     };
   } catch (error) {
     console.error('Check-out error:', error);
@@ -117,32 +293,3 @@ export const checkOut = onCall({ cors: true }, async (request) => {
     throw new HttpsError('internal', error.message);
   }
 });
-
-/**
- * Helper function to check if check-out should be flagged
- * Per PRD Section 3.4.2: Flag if >15 min after typical end
- */
-function getFlagsForCheckOut(checkOutTime, typicalEnd) {
-  const flags = [];
-  const [hour, min] = typicalEnd.split(':');
-  const typical = new Date(checkOutTime);
-  typical.setHours(parseInt(hour), parseInt(min), 0, 0);
-
-  // Flag if >15 min late
-  const fifteenMinutes = 15 * 60 * 1000;
-  if (checkOutTime > (typical + fifteenMinutes)) {
-    flags.push('late_stay');
-  }
-
-  return flags;
-}
-
-/**
- * Get Monday of the current week
- */
-function getMonday(date) {
-  const d = new Date(date);
-  const day = d.getDay();
-  const diff = d.getDate() - day + (day === 0 ? -6 : 1); // Adjust when day is Sunday
-  return new Date(d.setDate(diff));
-}
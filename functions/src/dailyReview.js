@@ -1,5 +1,16 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { calculateHours, getCheckInFlags, HOUR_POLICY_VERSION } from './shared/hourPolicy.js';
+import { getEstimateReconciliation } from './shared/hourEstimates.js';
+import { formatDateInTimeZone, formatTimeInTimeZone, getEventTimeZone, zonedTimeToDate } from './shared/timeZones.js';
+import { planShiftClose } from './shared/overnightShifts.js';
+import { groupOnSiteEntries, isOnSite } from './shared/onSiteBoard.js';
+import { canScanActivity, canViewEvent } from './shared/eventAssignments.js';
+import { assertDayUnlocked } from './reviewEntries.js';
+import { addShiftContinuations } from './checkOut.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { queueGuardianNotifications } from './notifications.js';
+import { assertActivityLead, assertEventAdmin, assertOrganizationMember } from './organizations.js';
 
 // Helper to safely convert Timestamp or mock to Date
 const toDate = (timestamp) => {
@@ -10,17 +21,11 @@ const toDate = (timestamp) => {
   return new Date(timestamp);
 };
 
-const getFlagsForCheckIn = (checkInTime, typicalStart = '09:00') => {
-  const flags = [];
-  const [hour, min] = typicalStart.split(':');
-  const typical = new Date(checkInTime);
-  typical.setHours(parseInt(hour), parseInt(min), 0, 0);
-
-  if (checkInTime < (typical.getTime() - (15 * 60 * 1000))) {
-    flags.push('early_arrival');
-  }
-
-  return flags;
+// Event an entry belongs to, for its rounding policy and time zone ({} falls back to the defaults)
+const getEntryEvent = async (db, eventId) => {
+  if (!eventId) return {};
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  return eventDoc.exists ? eventDoc.data() : {};
 };
 
 /**
@@ -51,27 +56,24 @@ export const quickCheckIn = onCall({ cors: true }, async (request) => {
     throw new HttpsError('invalid-argument', 'Invalid check-in time');
   }
 
-  const checkInDate = new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(parsedCheckInTime);
-  if (checkInDate !== date) {
-    throw new HttpsError('invalid-argument', 'Check-in time must match selected date');
-  }
-
   const db = getFirestore();
   const userId = request.auth.uid;
   const userName = request.auth.token?.name || null;
 
   try {
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'check students in from Daily Review');
+    const timeZone = getEventTimeZone(event);
+    if (formatDateInTimeZone(parsedCheckInTime, timeZone) !== date) {
+      throw new HttpsError('invalid-argument', 'Check-in time must match selected date');
+    }
+    await assertDayUnlocked(db, eventId, date);
+
     const studentDoc = await db.collection('students').doc(studentId).get();
-    if (!studentDoc.exists) {
+    if (!studentDoc.exists || studentDoc.data().organizationId !== event.organizationId) {
       throw new HttpsError('not-found', 'Student not found');
     }
     const student = studentDoc.data();
 
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new HttpsError('not-found', 'Event not found');
-    }
-    const event = eventDoc.data();
     const activity = (event.activities || []).find(a => a.id === activityId);
     if (!activity) {
       throw new HttpsError('not-found', 'Activity not found for event');
@@ -89,13 +91,14 @@ export const quickCheckIn = onCall({ cors: true }, async (request) => {
     }
 
     const checkInTimestamp = Timestamp.fromDate(parsedCheckInTime);
-    const flags = getFlagsForCheckIn(parsedCheckInTime, activity.startTime || event.typicalStartTime || '09:00');
+    const flags = getCheckInFlags(parsedCheckInTime, activity.startTime || event.typicalStartTime || '09:00', timeZone);
     const note = reason?.trim();
     const changeDescription = note
-      ? `Quick Check-In at ${parsedCheckInTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}. Reason: ${note}`
-      : `Quick Check-In at ${parsedCheckInTime.toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' })}`;
+      ? `Quick Check-In at ${formatTimeInTimeZone(parsedCheckInTime, timeZone)}. Reason: ${note}`
+      : `Quick Check-In at ${formatTimeInTimeZone(parsedCheckInTime, timeZone)}`;
 
     const entry = {
+      organizationId: event.organizationId,
       studentId,
       eventId,
       activityId,
@@ -128,11 +131,30 @@ export const quickCheckIn = onCall({ cors: true }, async (request) => {
       }]
     };
 
-    const docRef = await db.collection('timeEntries').add(entry);
+    const entryRef = db.collection('timeEntries').doc();
+    const batch = db.batch();
+    batch.set(entryRef, entry);
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'quick_checkin',
+      targetType: 'timeEntry',
+      targetId: entryRef.id,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: event.organizationId,
+      eventId,
+      studentId,
+      details: {
+        date,
+        checkInTime: parsedCheckInTime.toISOString(),
+        reason: note || null,
+        description: changeDescription
+      }
+    }));
+    await batch.commit();
 
     return {
       success: true,
-      entryId: docRef.id,
+      entryId: entryRef.id,
       studentName: `${student.firstName} ${student.lastName}`,
       checkInTime: parsedCheckInTime.toISOString(),
       flags,
@@ -150,7 +172,9 @@ export const quickCheckIn = onCall({ cors: true }, async (request) => {
 /**
  * Force Check-Out Cloud Function
  * Per PRD Section 3.5.2: Daily Review (Nightly)
- * Forces a checkout for students who forgot to check out
+ * Forces a checkout for students who forgot to check out. Station leads may
+ * force check-outs in the activities they are assigned to. A shift past
+ * midnight follows the event's overnight policy, as a scanned check-out does.
  *
  * @param {Object} request.data
  * @param {string} request.data.entryId - Time entry ID
@@ -182,6 +206,7 @@ export const forceCheckOut = onCall({ cors: true }, async (request) => {
     }
 
     const entry = entryDoc.data();
+    await assertActivityLead(db, request.auth, entry, 'force a check-out');
 
     // Check if already checked out
     if (entry.checkOutTime) {
@@ -198,20 +223,35 @@ export const forceCheckOut = onCall({ cors: true }, async (request) => {
       throw new HttpsError('invalid-argument', 'Check-out time must be after check-in time');
     }
 
-    // Calculate hours
-    const minutes = Math.floor((checkOutMs - checkInMs) / 1000 / 60);
-    const hours = minutes / 60;
-    const rounded = Math.round(hours * 2) / 2; // Round to nearest 0.5
+    // Calculate hours under the event's rounding and overnight policies, as a scan would
+    const event = await getEntryEvent(db, entry.eventId);
+    const timeZone = getEventTimeZone(event);
+    const { spanDates, segments } = planShiftClose(checkInMs, checkOutMs, event);
+    const [firstSegment, ...continuations] = segments;
+    const rounded = segments.reduce((sum, segment) => sum + segment.hoursWorked, 0);
+    const minutes = segments.reduce((sum, segment) => sum + segment.rawMinutes, 0);
+
+    // Every day the check-out writes to must still be open for review
+    for (const date of new Set([entry.date, ...continuations.map(segment => segment.date)])) {
+      await assertDayUnlocked(db, entry.eventId, date);
+    }
 
     // Get existing flags and add forced_checkout flag
     const flags = [...(entry.flags || [])];
     if (!flags.includes('forced_checkout')) {
       flags.push('forced_checkout');
     }
+    if (spanDates && !flags.includes('overnight')) {
+      flags.push('overnight');
+    }
+    const estimateReconciliation = getEstimateReconciliation(entry, rounded);
+    if (estimateReconciliation?.needsReprint) {
+      flags.push('estimate_mismatch');
+    }
 
     // Build change log entry
-    const checkInTimeStr = toDate(entry.checkInTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-    const checkOutTimeStr = toDate(checkOutTimestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+    const checkInTimeStr = formatTimeInTimeZone(toDate(entry.checkInTime), timeZone);
+    const checkOutTimeStr = formatTimeInTimeZone(toDate(checkOutTimestamp), timeZone);
     const changeDescription = `Forced Check-Out at ${checkOutTimeStr} (Checked in: ${checkInTimeStr}). Reason: ${reason}`;
 
     const changeLogEntry = {
@@ -228,23 +268,66 @@ export const forceCheckOut = onCall({ cors: true }, async (request) => {
     const existingChangeLog = entry.changeLog || [];
 
     // Update entry - keep original scan data separate from override
-    await entryRef.update({
-      checkOutTime: checkOutTimestamp,
+    const closeFields = {
       checkOutBy: userId,
       checkOutMethod: 'forced',
-      hoursWorked: rounded,
-      rawMinutes: minutes,
+      hoursPolicyVersion: HOUR_POLICY_VERSION,
+      spanDates
+    };
+    const batch = db.batch();
+    const segmentRefs = addShiftContinuations(db, batch, entryId, entry, continuations, {
+      closeFields,
+      flags: ['overnight', 'forced_checkout']
+    });
+    batch.update(entryRef, {
+      ...closeFields,
+      checkOutTime: Timestamp.fromDate(firstSegment.checkOutTime),
+      hoursWorked: firstSegment.hoursWorked,
+      rawMinutes: firstSegment.rawMinutes,
       flags,
+      ...(segmentRefs.length > 0 && { nextSegmentId: segmentRefs[0].id }),
       // Override tracking - separate from original scan data
       forcedCheckoutReason: changeDescription,
       forcedCheckoutBy: userId,
       forcedCheckoutAt: Timestamp.now(),
-      changeLog: [...existingChangeLog, changeLogEntry]
+      changeLog: [...existingChangeLog, changeLogEntry],
+      ...(estimateReconciliation && { estimatedCheckOut: null, estimateReconciliation })
     });
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'force_checkout',
+      targetType: 'timeEntry',
+      targetId: entryId,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: entry.organizationId,
+      eventId: entry.eventId,
+      studentId: entry.studentId,
+      details: {
+        date: entry.date,
+        checkOutTime: changeLogEntry.newCheckOutTime,
+        hoursWorked: rounded,
+        reason,
+        description: changeDescription
+      }
+    }));
+    await batch.commit();
 
     // Get student info for response
     const studentDoc = await db.collection('students').doc(entry.studentId).get();
     const student = studentDoc.exists ? studentDoc.data() : { firstName: 'Unknown', lastName: 'Student' };
+    if (studentDoc.exists) {
+      await queueGuardianNotifications(db, {
+        organizationId: entry.organizationId,
+        student,
+        studentId: entry.studentId,
+        eventId: entry.eventId,
+        entryId: segmentRefs.at(-1)?.id || entryId,
+        trigger: 'forced_checkout',
+        time: toDate(checkOutTimestamp),
+        eventName: event.name,
+        timeZone
+      });
+    }
 
     return {
       success: true,
@@ -291,11 +374,8 @@ export const forceAllCheckOut = onCall({ cors: true }, async (request) => {
 
   try {
     // Get event to access activity end times
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-      throw new HttpsError('not-found', 'Event not found');
-    }
-    const event = eventDoc.data();
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'force check-outs');
+    await assertDayUnlocked(db, eventId, date);
 
     // Create activity end time map
     const activityEndTimes = {};
@@ -305,6 +385,7 @@ export const forceAllCheckOut = onCall({ cors: true }, async (request) => {
       });
     }
     const defaultEndTime = event.typicalEndTime || '15:00';
+    const timeZone = getEventTimeZone(event);
 
     // Get all entries without checkout for this date
     const entriesQuery = await db.collection('timeEntries')
@@ -324,6 +405,7 @@ export const forceAllCheckOut = onCall({ cors: true }, async (request) => {
     // Batch update all entries
     const batch = db.batch();
     let checkedOutCount = 0;
+    const checkedOutEntries = [];
 
     for (const doc of entriesQuery.docs) {
       const entry = doc.data();
@@ -335,33 +417,29 @@ export const forceAllCheckOut = onCall({ cors: true }, async (request) => {
         // Use the provided checkout time for this activity
         checkOutTimestamp = Timestamp.fromDate(new Date(activityCheckOutTimes[entry.activityId]));
       } else {
-        // Fall back to activity's end time
+        // Fall back to activity's end time on the event's wall clock
         const endTime = activityEndTimes[entry.activityId] || defaultEndTime;
-        const [hours, mins] = endTime.split(':');
-
-        // Create checkout timestamp using the entry date and activity end time
-        // Parse date string as local time (not UTC) by using components
-        const [year, month, day] = date.split('-').map(Number);
-        const checkOutDate = new Date(year, month - 1, day); // month is 0-indexed
-        checkOutDate.setHours(parseInt(hours), parseInt(mins), 0, 0);
-        checkOutTimestamp = Timestamp.fromDate(checkOutDate);
+        checkOutTimestamp = Timestamp.fromDate(zonedTimeToDate(date, endTime, timeZone));
       }
 
       // Calculate hours
       const checkInMs = entry.checkInTime.toMillis();
       const checkOutMs = checkOutTimestamp.toMillis();
-      const minutes = Math.floor((checkOutMs - checkInMs) / 1000 / 60);
-      const hoursWorked = Math.round((minutes / 60) * 2) / 2;
+      const { rounded: hoursWorked, minutes } = calculateHours(checkInMs, checkOutMs, event.hourRounding);
 
       // Get existing flags and add forced_checkout
       const flags = [...(entry.flags || [])];
       if (!flags.includes('forced_checkout')) {
         flags.push('forced_checkout');
       }
+      const estimateReconciliation = getEstimateReconciliation(entry, hoursWorked);
+      if (estimateReconciliation?.needsReprint) {
+        flags.push('estimate_mismatch');
+      }
 
       // Build change log entry
-      const checkInTimeStr = toDate(entry.checkInTime).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
-      const checkOutTimeStr = toDate(checkOutTimestamp).toLocaleTimeString([], { hour: 'numeric', minute: '2-digit' });
+      const checkInTimeStr = formatTimeInTimeZone(toDate(entry.checkInTime), timeZone);
+      const checkOutTimeStr = formatTimeInTimeZone(toDate(checkOutTimestamp), timeZone);
       const forceReason = reason || 'End of day bulk checkout';
       const changeDescription = `Bulk Forced Check-Out at ${checkOutTimeStr} (Checked in: ${checkInTimeStr}). Reason: ${forceReason}`;
 
@@ -384,18 +462,63 @@ export const forceAllCheckOut = onCall({ cors: true }, async (request) => {
         checkOutMethod: 'forced_bulk',
         hoursWorked,
         rawMinutes: minutes,
+        hoursPolicyVersion: HOUR_POLICY_VERSION,
         flags,
         forcedCheckoutReason: changeDescription,
         forcedCheckoutBy: userId,
         forcedCheckoutAt: Timestamp.now(),
-        changeLog: [...existingChangeLog, changeLogEntry]
+        changeLog: [...existingChangeLog, changeLogEntry],
+        ...(estimateReconciliation && { estimatedCheckOut: null, estimateReconciliation })
       });
 
+      checkedOutEntries.push({
+        entryId: doc.id,
+        studentId: entry.studentId,
+        checkOutTime: changeLogEntry.newCheckOutTime,
+        hoursWorked
+      });
       checkedOutCount++;
     }
 
+    // One audit record for the bulk action, listing every entry it closed
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'force_checkout_bulk',
+      targetType: 'event',
+      targetId: eventId,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: event.organizationId,
+      eventId,
+      details: {
+        date,
+        reason: reason || 'End of day bulk checkout',
+        description: `Bulk forced check-out of ${checkedOutCount} students`,
+        studentIds: checkedOutEntries.map(e => e.studentId),
+        entries: checkedOutEntries
+      }
+    }));
     await batch.commit();
 
+    // Let opted-in guardians know about each forced check-out
+    const studentDocs = await Promise.all(
+      checkedOutEntries.map(e => db.collection('students').doc(e.studentId).get())
+    );
+    for (const [index, studentDoc] of studentDocs.entries()) {
+      if (!studentDoc.exists) continue;
+      const { entryId, studentId, checkOutTime: forcedAt } = checkedOutEntries[index];
+      await queueGuardianNotifications(db, {
+        organizationId: event.organizationId,
+        student: studentDoc.data(),
+        studentId,
+        eventId,
+        entryId,
+        trigger: 'forced_checkout',
+        time: new Date(forcedAt),
+        eventName: event.name,
+        timeZone
+      });
+    }
+
     return {
       success: true,
       checkedOutCount,
@@ -428,6 +551,8 @@ export const getDailyReviewSummary = onCall({ cors: true }, async (request) => {
   const db = getFirestore();
 
   try {
+    await assertEventAdmin(db, request.auth, eventId, 'view the daily review');
+
     const entriesQuery = await db.collection('timeEntries')
       .where('eventId', '==', eventId)
       .where('date', '==', date)
@@ -467,6 +592,90 @@ export const getDailyReviewSummary = onCall({ cors: true }, async (request) => {
     };
   } catch (error) {
     console.error('Get daily review summary error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get On Site Board Cloud Function
+ * Lists who is still checked in to an event, grouped by activity, for the
+ * "On Site Now" board at the door. Open to the event's admins and to the
+ * adult volunteers who can open the event in the scanner; `canCheckOut`
+ * marks the activities the caller may check students out of.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event ID
+ */
+export const getOnSiteBoard = onCall({ cors: true }, async (request) => {
+  const { eventId } = request.data || {};
+
+  if (!eventId) {
+    throw new HttpsError('invalid-argument', 'Missing required field: eventId');
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const db = getFirestore();
+  const now = new Date();
+
+  try {
+    const eventDoc = await db.collection('events').doc(eventId).get();
+    if (!eventDoc.exists) {
+      throw new HttpsError('not-found', 'Event not found');
+    }
+    const event = eventDoc.data();
+    const profile = await assertOrganizationMember(db, request.auth, event.organizationId);
+    if (!canViewEvent(profile, eventId)) {
+      throw new HttpsError('permission-denied', 'You are not assigned to this event');
+    }
+
+    // Same open-entry query as forceAllCheckOut, across dates so overnight shifts stay on the board
+    const entriesQuery = await db.collection('timeEntries')
+      .where('eventId', '==', eventId)
+      .where('checkOutTime', '==', null)
+      .get();
+    const openEntries = entriesQuery.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(entry => isOnSite(entry, event, now));
+
+    const studentIds = [...new Set(openEntries.map(entry => entry.studentId))];
+    const studentDocs = await Promise.all(studentIds.map(id => db.collection('students').doc(id).get()));
+    const names = new Map(studentIds.map((id, i) => [
+      id,
+      studentDocs[i].exists ? `${studentDocs[i].data().firstName} ${studentDocs[i].data().lastName}` : 'Unknown student'
+    ]));
+
+    const activities = groupOnSiteEntries(openEntries, event, now).map(group => ({
+      ...group,
+      canCheckOut: canScanActivity(profile, eventId, group.activityId),
+      entries: group.entries.map(entry => ({
+        entryId: entry.id,
+        studentId: entry.studentId,
+        studentName: names.get(entry.studentId),
+        date: entry.date,
+        checkInTime: toDate(entry.checkInTime).toISOString(),
+        flags: entry.flags || []
+      }))
+    }));
+
+    return {
+      success: true,
+      eventName: event.name || '',
+      timeZone: getEventTimeZone(event),
+      generatedAt: now.toISOString(),
+      onSiteCount: openEntries.length,
+      activities
+    };
+  } catch (error) {
+    console.error('Get on site board error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     throw new HttpsError('internal', error.message);
   }
 });
@@ -0,0 +1,230 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { calculateHours, getTimeEntryFlags, HOUR_POLICY_VERSION } from './shared/hourPolicy.js';
+import { getUnreviewedStatus } from './shared/reviewStatus.js';
+import { getEstimateReconciliation } from './shared/hourEstimates.js';
+import { assertDayUnlocked } from './reviewEntries.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { assertOrganizationAccess } from './organizations.js';
+import { formatDateInTimeZone, formatTimeInTimeZone, getEventTimeZone } from './shared/timeZones.js';
+import { getSpanDates } from './shared/overnightShifts.js';
+
+// Flags derived from check-in/out times; other flags (forced checkout,
+// overrides) describe how the entry was recorded and are kept on edit
+const TIME_FLAGS = ['early_arrival', 'late_stay', 'overnight'];
+
+const toIso = (timestamp) => (timestamp ? timestamp.toDate().toISOString() : null);
+
+const formatTime = (timestamp, timeZone) => (timestamp
+  ? formatTimeInTimeZone(timestamp.toDate(), timeZone)
+  : 'none');
+
+/**
+ * Parses an ISO time from the request. `undefined` keeps the current value;
+ * `null` clears it (check-out only).
+ */
+function parseTime(value, fieldName) {
+  if (value === undefined || value === null) return value;
+  const date = new Date(value);
+  if (typeof value !== 'string' || Number.isNaN(date.getTime())) {
+    throw new HttpsError('invalid-argument', `Invalid ${fieldName}`);
+  }
+  return Timestamp.fromDate(date);
+}
+
+/**
+ * Edit Time Entry Cloud Function
+ * Per PRD Section 3.5.3: Hour Adjustment
+ *
+ * Changes an entry's check-in and/or check-out time. Hours, rounding and
+ * early/late flags are recomputed here, the entry returns to review, and the
+ * change is recorded both in the entry's changeLog and in the append-only
+ * auditLog collection, which clients cannot write.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.entryId - Time entry ID
+ * @param {string} [request.data.checkInTime] - New check-in (ISO); omit to keep
+ * @param {string|null} [request.data.checkOutTime] - New check-out (ISO), null to reopen; omit to keep
+ * @param {string} request.data.reason - Reason for the change (required)
+ */
+export const editTimeEntry = onCall({ cors: true }, async (request) => {
+  const { entryId, reason } = request.data || {};
+
+  if (!entryId || !reason?.trim()) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: entryId and reason');
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const newCheckIn = parseTime(request.data.checkInTime, 'checkInTime');
+  const newCheckOut = parseTime(request.data.checkOutTime, 'checkOutTime');
+  if (newCheckIn === null) {
+    throw new HttpsError('invalid-argument', 'Check-in time cannot be cleared');
+  }
+
+  const db = getFirestore();
+  const userId = request.auth.uid;
+  const trimmedReason = reason.trim();
+
+  try {
+    const adminDoc = await db.collection('admins').doc(userId).get();
+    if (!adminDoc.exists) {
+      throw new HttpsError('permission-denied', 'Only admins can edit time entries');
+    }
+
+    const entryRef = db.collection('timeEntries').doc(entryId);
+    const entryDoc = await entryRef.get();
+    if (!entryDoc.exists) {
+      throw new HttpsError('not-found', 'Time entry not found');
+    }
+    const entry = entryDoc.data();
+    assertOrganizationAccess(adminDoc.data(), entry.organizationId);
+
+    if (entry.isVoided) {
+      throw new HttpsError('failed-precondition', 'Restore this entry before editing it');
+    }
+
+    const checkInTime = newCheckIn === undefined ? entry.checkInTime : newCheckIn;
+    const checkOutTime = newCheckOut === undefined ? (entry.checkOutTime || null) : newCheckOut;
+    const checkInChanged = checkInTime.toMillis() !== entry.checkInTime.toMillis();
+    const checkOutChanged = (checkOutTime?.toMillis() ?? null) !== (entry.checkOutTime?.toMillis() ?? null);
+
+    if (!checkInChanged && !checkOutChanged) {
+      throw new HttpsError('invalid-argument', 'No changes detected. Modify check-in or check-out times before saving.');
+    }
+    if (checkOutTime && checkOutTime.toMillis() <= checkInTime.toMillis()) {
+      throw new HttpsError('invalid-argument', 'Check-out time must be after check-in time');
+    }
+    if (Math.max(checkInTime.toMillis(), checkOutTime?.toMillis() ?? 0) > Date.now()) {
+      throw new HttpsError('invalid-argument', 'Times cannot be in the future');
+    }
+
+    const eventDoc = await db.collection('events').doc(entry.eventId).get();
+    const event = eventDoc.exists ? eventDoc.data() : {};
+    const timeZone = getEventTimeZone(event);
+
+    // Moving the check-in to another day on the event's calendar moves the entry; neither day may be locked
+    const date = formatDateInTimeZone(checkInTime.toDate(), timeZone);
+    await assertDayUnlocked(db, entry.eventId, entry.date);
+    if (date !== entry.date) {
+      await assertDayUnlocked(db, entry.eventId, date);
+    }
+
+    const activity = event.activities?.find(a => a.id === entry.activityId);
+
+    let hoursWorked = null;
+    let rawMinutes = null;
+    if (checkOutTime) {
+      ({ rounded: hoursWorked, minutes: rawMinutes } = calculateHours(checkInTime, checkOutTime, event.hourRounding));
+    }
+
+    const flags = [
+      ...(entry.flags || []).filter(flag => !TIME_FLAGS.includes(flag)),
+      ...getTimeEntryFlags(
+        checkInTime.toDate(),
+        checkOutTime ? checkOutTime.toDate() : null,
+        activity?.startTime || event.typicalStartTime || '09:00',
+        activity?.endTime || event.typicalEndTime || '15:00',
+        timeZone
+      ),
+    ];
+
+    // An edit that runs past midnight keeps its hours on the check-in date
+    const spanDates = getSpanDates(checkInTime, checkOutTime, timeZone);
+    if (spanDates) {
+      flags.push('overnight');
+    }
+
+    // Closing an entry that was printed with an estimate reconciles it like a checkout
+    const estimateReconciliation = !entry.checkOutTime && checkOutTime
+      ? getEstimateReconciliation(entry, hoursWorked)
+      : null;
+    if (estimateReconciliation?.needsReprint) {
+      flags.push('estimate_mismatch');
+    }
+
+    const changes = [];
+    if (checkInChanged) {
+      changes.push(`Changed Check-In from ${formatTime(entry.checkInTime, timeZone)} to ${formatTime(checkInTime, timeZone)}`);
+    }
+    if (checkOutChanged) {
+      changes.push(`Changed Check-Out from ${formatTime(entry.checkOutTime, timeZone)} to ${formatTime(checkOutTime, timeZone)}`);
+    }
+    const description = `${changes.join(' and ')}. Reason: ${trimmedReason}`;
+
+    const changeLogEntry = {
+      timestamp: new Date().toISOString(),
+      modifiedBy: userId,
+      type: 'edit',
+      oldCheckInTime: toIso(entry.checkInTime),
+      newCheckInTime: toIso(checkInTime),
+      oldCheckOutTime: toIso(entry.checkOutTime),
+      newCheckOutTime: toIso(checkOutTime),
+      reason: trimmedReason,
+      description
+    };
+
+    const now = Timestamp.now();
+    const batch = db.batch();
+    batch.update(entryRef, {
+      checkInTime,
+      checkOutTime,
+      date,
+      spanDates,
+      hoursWorked,
+      rawMinutes,
+      hoursPolicyVersion: HOUR_POLICY_VERSION,
+      flags,
+      reviewStatus: getUnreviewedStatus({ flags }),
+      modifiedBy: userId,
+      modificationReason: description,
+      modifiedAt: now,
+      changeLog: [...(entry.changeLog || []), changeLogEntry],
+      ...(estimateReconciliation && { estimatedCheckOut: null, estimateReconciliation })
+    });
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'time_entry_edit',
+      targetType: 'timeEntry',
+      targetId: entryId,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: entry.organizationId,
+      eventId: entry.eventId,
+      studentId: entry.studentId,
+      details: {
+        reason: trimmedReason,
+        description,
+        before: {
+          date: entry.date,
+          checkInTime: toIso(entry.checkInTime),
+          checkOutTime: toIso(entry.checkOutTime),
+          hoursWorked: entry.hoursWorked ?? null,
+          flags: entry.flags || []
+        },
+        after: {
+          date,
+          checkInTime: toIso(checkInTime),
+          checkOutTime: toIso(checkOutTime),
+          hoursWorked,
+          flags
+        }
+      }
+    }));
+    await batch.commit();
+
+    return {
+      success: true,
+      hoursWorked,
+      flags,
+      message: description
+    };
+  } catch (error) {
+    console.error('Edit time entry error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
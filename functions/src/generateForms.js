@@ -1,27 +1,117 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import JSZip from 'jszip';
+import { isCreditedEntry, needsReview } from './shared/reviewStatus.js';
+import {
+  ESTIMATE_METHODS,
+  estimateCheckOut,
+  getAverageDailyHours,
+  isOpenEntry,
+} from './shared/hourEstimates.js';
+import { buildActivityLog, getEffectivePdfTemplate } from './shared/pdfTemplates.js';
+import {
+  generateFilledPdf,
+  loadEventImageAssets,
+  loadOrganizationTemplates,
+  mergePdfs,
+} from './pdfTemplates.js';
+import { assertOrganizationAccess } from './organizations.js';
+
+const OUTPUT_TYPES = ['merged', 'zip'];
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Builds a storage-safe file name for a student's form
+ */
+function formFileName(student) {
+  const name = `${student.lastName || ''}_${student.firstName || ''}`.replace(/[^a-z0-9_]/gi, '');
+  return `${name || student.id}_service_log.pdf`;
+}
+
+/**
+ * Resolves the students to generate forms for.
+ * Without explicit IDs this is the event roster: students added through
+ * eventStudents plus anyone with a non-voided time entry for the event.
+ */
+async function getStudentsForEvent(db, eventId, studentIds, entries) {
+  let ids = studentIds;
+
+  if (!ids || ids.length === 0) {
+    const rosterSnap = await db.collection('eventStudents')
+      .where('eventId', '==', eventId)
+      .get();
+    ids = [
+      ...rosterSnap.docs.map(doc => doc.data().studentId),
+      ...entries.filter(entry => !entry.isVoided).map(entry => entry.studentId),
+    ];
+  }
+
+  const uniqueIds = [...new Set(ids.filter(Boolean))];
+  const studentDocs = await Promise.all(
+    uniqueIds.map(id => db.collection('students').doc(id).get())
+  );
+
+  return studentDocs
+    .filter(doc => doc.exists)
+    .map(doc => ({ id: doc.id, ...doc.data() }))
+    .sort((a, b) => (a.lastName || '').localeCompare(b.lastName || '') ||
+      (a.firstName || '').localeCompare(b.firstName || ''));
+}
+
+/**
+ * Copies of a student's open entries checked out at their estimated time,
+ * ready to be credited on the form alongside approved entries
+ */
+function estimateOpenEntries(event, studentEntries, method) {
+  const openEntries = studentEntries.filter(isOpenEntry);
+  if (openEntries.length === 0) return [];
+
+  const averageHours = getAverageDailyHours(studentEntries, event.hourRounding);
+  return openEntries.map(entry => {
+    const { checkOutTime, hoursWorked, basis } = estimateCheckOut(entry, event, method, averageHours);
+    return { ...entry, checkOutTime, hoursWorked, estimateBasis: basis };
+  });
+}
 
 /**
  * Generate Forms Cloud Function
  * Per PRD Section 3.6: Form Generation
  *
- * Generates school-specific volunteer forms (OCPS, NJHS, NHS, etc.)
- * with student hours filled in.
+ * Fills each student's effective PDF template (student override, school
+ * match, then the organization's default template) with their hours, saves the filled PDFs
+ * to Storage under forms/{eventId}/, and bundles them either as one merged
+ * print-ready PDF or as a ZIP of individual PDFs.
+ *
+ * Per PRD Section 3.6.3, an estimateMethod credits students who are still
+ * checked in with an estimated checkout. The estimate is saved on each open
+ * entry (estimatedCheckOut) so the real checkout can be reconciled against it.
  *
  * @param {Object} request.data
  * @param {string} request.data.eventId - Event ID
- * @param {string[]} request.data.studentIds - Array of student IDs (or empty for all)
+ * @param {string[]} request.data.studentIds - Array of student IDs (or empty for the whole roster)
  * @param {string} request.data.formType - Optional: Filter by form type
+ * @param {string} request.data.output - 'merged' (default) or 'zip'
+ * @param {string} [request.data.estimateMethod] - 'activity_end' or 'average' to estimate open entries
  */
-export const generateForms = onCall({ cors: true }, async (request) => {
-  const { eventId, studentIds, formType } = request.data;
+export const generateForms = onCall({ cors: true, timeoutSeconds: 540, memory: '1GiB' }, async (request) => {
+  const { eventId, studentIds, formType, output = 'merged', estimateMethod = null } = request.data;
 
   // Validate required fields
   if (!eventId) {
     throw new HttpsError('invalid-argument', 'Missing required field: eventId');
   }
 
-  // TODO: Implement authentication check
+  if (!OUTPUT_TYPES.includes(output)) {
+    throw new HttpsError('invalid-argument', `Invalid output. Must be one of: ${OUTPUT_TYPES.join(', ')}`);
+  }
+
+  if (estimateMethod && !ESTIMATE_METHODS.includes(estimateMethod)) {
+    throw new HttpsError('invalid-argument', `Invalid estimateMethod. Must be one of: ${ESTIMATE_METHODS.join(', ')}`);
+  }
+
   if (!request.auth) {
     throw new HttpsError('unauthenticated', 'Must be authenticated to generate forms');
   }
@@ -29,85 +119,199 @@ export const generateForms = onCall({ cors: true }, async (request) => {
   const db = getFirestore();
 
   try {
+    const adminDoc = await db.collection('admins').doc(request.auth.uid).get();
+    if (!adminDoc.exists) {
+      throw new HttpsError('permission-denied', 'Only admins can generate forms');
+    }
+
     // Get event info
     const eventDoc = await db.collection('events').doc(eventId).get();
     if (!eventDoc.exists) {
       throw new HttpsError('not-found', 'Event not found');
     }
-    const event = eventDoc.data();
+    const event = { id: eventId, ...eventDoc.data() };
+    assertOrganizationAccess(adminDoc.data(), event.organizationId);
 
-    // Build students query
-    let studentsQuery = db.collection('students').where('eventId', '==', eventId);
+    const entriesSnapshot = await db.collection('timeEntries')
+      .where('eventId', '==', eventId)
+      .get();
+    const entries = entriesSnapshot.docs.map(doc => ({ id: doc.id, ...doc.data() }));
 
+    // Explicit student IDs may only name students of the event's organization
+    let students = (await getStudentsForEvent(db, eventId, studentIds, entries))
+      .filter(student => student.organizationId === event.organizationId);
     if (formType) {
-      studentsQuery = studentsQuery.where('formType', '==', formType);
-    }
-
-    if (studentIds && studentIds.length > 0) {
-      studentsQuery = studentsQuery.where('__name__', 'in', studentIds);
+      students = students.filter(student => student.formType === formType);
     }
 
-    const studentsSnapshot = await studentsQuery.get();
-
-    if (studentsSnapshot.empty) {
+    if (students.length === 0) {
       throw new HttpsError('not-found', 'No students found matching criteria');
     }
 
-    // TODO: Implement PDF generation
-    // For each student:
-    // 1. Get all their time entries
-    // 2. Calculate total hours (Monday = training, Tue-Fri = VBS week)
-    // 3. Load appropriate PDF template based on student.formType
-    // 4. Fill PDF fields (name, hours, dates, supervisor)
-    // 5. Save filled PDF to Firebase Storage
-    // 6. Return download URLs
+    const { templates, defaultTemplateId, schoolAliases } = await loadOrganizationTemplates(db, event.organizationId);
 
+    const bucket = getStorage().bucket();
+    const imageAssets = await loadEventImageAssets(db, bucket, event, templates);
+    const templateBytesCache = new Map();
+    const loadTemplateBytes = async (template) => {
+      if (!templateBytesCache.has(template.id)) {
+        const [bytes] = await bucket.file(template.storagePath).download();
+        templateBytesCache.set(template.id, bytes);
+      }
+      return templateBytesCache.get(template.id);
+    };
+    // An unreadable font file falls back to Helvetica rather than failing the batch
+    const fontBytesCache = new Map();
+    const loadFontBytes = async (template) => {
+      const fontPath = template.font?.storagePath;
+      if (!fontPath) return null;
+      if (!fontBytesCache.has(fontPath)) {
+        try {
+          const [bytes] = await bucket.file(fontPath).download();
+          fontBytesCache.set(fontPath, bytes);
+        } catch (error) {
+          console.warn(`Could not load font ${fontPath}:`, error.message);
+          fontBytesCache.set(fontPath, null);
+        }
+      }
+      return fontBytesCache.get(fontPath);
+    };
+
+    const batchRef = db.collection('generatedForms').doc();
     const results = [];
+    const skipped = [];
+    const generated = [];
+    const estimateWrites = [];
 
-    for (const studentDoc of studentsSnapshot.docs) {
-      const student = { id: studentDoc.id, ...studentDoc.data() };
-
-      // Get student's time entries
-      const entriesSnapshot = await db.collection('timeEntries')
-        .where('studentId', '==', student.id)
-        .where('eventId', '==', eventId)
-        .where('reviewStatus', 'in', ['approved', 'pending'])
-        .get();
-
-      let trainingHours = 0;
-      let vbsWeekHours = 0;
-
-      entriesSnapshot.docs.forEach(doc => {
-        const entry = doc.data();
-        const hours = entry.hoursWorked || 0;
-
-        // Assuming Monday is training day (adjust logic as needed)
-        const dayOfWeek = new Date(entry.date).getDay();
-        if (dayOfWeek === 1) { // Monday
-          trainingHours += hours;
-        } else {
-          vbsWeekHours += hours;
-        }
-      });
+    for (const student of students) {
+      const studentName = `${student.firstName || ''} ${student.lastName || ''}`.trim();
+      const template = getEffectivePdfTemplate(student, templates, defaultTemplateId, schoolAliases);
+
+      if (!template || !template.storagePath) {
+        skipped.push({ studentId: student.id, studentName, reason: 'No PDF template assigned' });
+        continue;
+      }
+      if (!template.fields || template.fields.length === 0) {
+        skipped.push({ studentId: student.id, studentName, reason: `Template "${template.name}" has no mapped fields` });
+        continue;
+      }
 
-      const totalHours = trainingHours + vbsWeekHours;
+      // Only hours approved in Daily Review count toward the form
+      const studentEntries = entries.filter(entry => entry.studentId === student.id);
+      const creditedEntries = studentEntries.filter(isCreditedEntry);
+      const unapprovedEntries = studentEntries.filter(entry => entry.checkOutTime && needsReview(entry)).length;
+      const estimatedEntries = estimateMethod ? estimateOpenEntries(event, studentEntries, estimateMethod) : [];
+      const formEntries = [...creditedEntries, ...estimatedEntries];
+      const activityLog = buildActivityLog(event, formEntries);
+      const calculatedHours = activityLog.reduce((sum, activity) => sum + parseFloat(activity.totalHours), 0);
+      const totalHours = calculatedHours + parseFloat(student.overrideHours || 0);
 
+      let pdfBytes;
+      try {
+        pdfBytes = await generateFilledPdf(await loadTemplateBytes(template), template.fields, {
+          student,
+          totalHours,
+          eventName: event.name || '',
+          activityLog,
+          event,
+          timeEntries: formEntries,
+        }, { ...template, fontBytes: await loadFontBytes(template), imageAssets });
+      } catch (error) {
+        console.error(`Failed to fill form for student ${student.id}:`, error);
+        skipped.push({ studentId: student.id, studentName, reason: `Could not fill template "${template.name}": ${error.message}` });
+        continue;
+      }
+
+      const fileName = formFileName(student);
+      const storagePath = `forms/${eventId}/${batchRef.id}_${fileName}`;
+      await bucket.file(storagePath).save(Buffer.from(pdfBytes), { contentType: 'application/pdf' });
+
+      generated.push({ fileName, pdfBytes });
+      estimateWrites.push(...estimatedEntries);
       results.push({
         studentId: student.id,
-        studentName: `${student.firstName} ${student.lastName}`,
-        formType: student.formType,
-        trainingHours,
-        vbsWeekHours,
+        studentName,
+        templateId: template.id,
+        templateName: template.name || template.fileName || template.id,
         totalHours,
-        // pdfUrl: 'TODO: Generate PDF and upload to Storage'
+        unapprovedEntries,
+        estimatedHours: estimatedEntries.reduce((sum, entry) => sum + entry.hoursWorked, 0),
+        estimatedEntries: estimatedEntries.map(entry => ({
+          entryId: entry.id,
+          activityId: entry.activityId,
+          date: entry.date || null,
+          checkOutTime: entry.checkOutTime.toISOString(),
+          hoursWorked: entry.hoursWorked,
+          basis: entry.estimateBasis,
+        })),
+        storagePath,
       });
     }
 
+    if (generated.length === 0) {
+      throw new HttpsError('failed-precondition', 'No forms could be generated. Check that students have PDF templates with mapped fields.');
+    }
+
+    let bundlePath;
+    if (output === 'zip') {
+      const zip = new JSZip();
+      generated.forEach(({ fileName, pdfBytes }) => zip.file(fileName, pdfBytes));
+      bundlePath = `forms/${eventId}/${batchRef.id}_forms.zip`;
+      await bucket.file(bundlePath).save(await zip.generateAsync({ type: 'nodebuffer' }), { contentType: 'application/zip' });
+    } else {
+      bundlePath = `forms/${eventId}/${batchRef.id}_forms.pdf`;
+      const mergedBytes = await mergePdfs(generated.map(({ pdfBytes }) => pdfBytes));
+      await bucket.file(bundlePath).save(Buffer.from(mergedBytes), { contentType: 'application/pdf' });
+    }
+
+    // Record estimates on the open entries so their real checkouts can be reconciled
+    const estimatedAt = Timestamp.now();
+    for (let i = 0; i < estimateWrites.length; i += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      estimateWrites.slice(i, i + MAX_BATCH_WRITES).forEach(entry => {
+        batch.update(db.collection('timeEntries').doc(entry.id), {
+          estimatedCheckOut: {
+            checkOutTime: Timestamp.fromDate(entry.checkOutTime),
+            hoursWorked: entry.hoursWorked,
+            basis: entry.estimateBasis,
+            batchId: batchRef.id,
+            estimatedAt,
+          },
+        });
+      });
+      await batch.commit();
+    }
+
+    await batchRef.set({
+      organizationId: event.organizationId,
+      eventId,
+      output,
+      bundlePath,
+      formType: formType || null,
+      estimateMethod,
+      forms: results,
+      skipped,
+      createdBy: request.auth.uid,
+      createdAt: Timestamp.now(),
+    });
+
+    const unapprovedEntries = results.reduce((sum, result) => sum + result.unapprovedEntries, 0);
+    const estimatedForms = results.filter(result => result.estimatedEntries.length > 0).length;
+
     return {
       success: true,
+      batchId: batchRef.id,
       formsGenerated: results.length,
+      output,
+      bundlePath,
       results,
-      message: 'Form generation completed (PDF generation not yet implemented)'
+      skipped,
+      unapprovedEntries,
+      estimatedForms,
+      message: `Generated ${results.length} form${results.length === 1 ? '' : 's'}` +
+        (skipped.length > 0 ? ` (${skipped.length} skipped)` : '') +
+        (unapprovedEntries > 0 ? `. ${unapprovedEntries} unapproved ${unapprovedEntries === 1 ? 'entry was' : 'entries were'} left out` : '') +
+        (estimatedForms > 0 ? `. ${estimatedForms} ${estimatedForms === 1 ? 'form includes' : 'forms include'} estimated hours` : ''),
     };
   } catch (error) {
     console.error('Form generation error:', error);
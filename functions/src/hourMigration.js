@@ -0,0 +1,110 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+import { calculateHours, HOUR_POLICY_VERSION } from './shared/hourPolicy.js';
+import { assertEventAdmin } from './organizations.js';
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Recalculate Event Hours Cloud Function
+ * Recomputes stored hoursWorked/rawMinutes for every completed entry of an
+ * event under the event's current rounding policy. Run after changing an
+ * event's hourRounding, or after HOUR_POLICY_VERSION is bumped. Entries on
+ * days locked in Daily Review keep their approved hours; unlock a day and
+ * run again to recalculate it.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event whose entries are recalculated
+ */
+export const recalculateEventHours = onCall({ cors: true, timeoutSeconds: 300 }, async (request) => {
+  const { eventId } = request.data || {};
+
+  if (!eventId) {
+    throw new HttpsError('invalid-argument', 'Missing required field: eventId');
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const db = getFirestore();
+  const userId = request.auth.uid;
+
+  try {
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'recalculate hours');
+    const policy = event.hourRounding;
+
+    const [entriesSnapshot, locksSnapshot] = await Promise.all([
+      db.collection('timeEntries').where('eventId', '==', eventId).get(),
+      db.collection('reviewLocks').where('eventId', '==', eventId).get()
+    ]);
+    const lockedDates = new Set(locksSnapshot.docs
+      .map(doc => doc.data())
+      .filter(lock => lock.locked)
+      .map(lock => lock.date));
+
+    const updates = [];
+    let lockedCount = 0;
+    for (const doc of entriesSnapshot.docs) {
+      const entry = doc.data();
+      if (!entry.checkInTime || !entry.checkOutTime) continue;
+
+      const { rounded: hoursWorked, minutes } = calculateHours(entry.checkInTime, entry.checkOutTime, policy);
+      if (!Number.isFinite(minutes)) continue;
+
+      if (
+        entry.hoursWorked === hoursWorked &&
+        entry.rawMinutes === minutes &&
+        entry.hoursPolicyVersion === HOUR_POLICY_VERSION
+      ) {
+        continue;
+      }
+
+      if (lockedDates.has(entry.date)) {
+        lockedCount += 1;
+        continue;
+      }
+
+      const update = {
+        hoursWorked,
+        rawMinutes: minutes,
+        hoursPolicyVersion: HOUR_POLICY_VERSION,
+      };
+
+      if (entry.hoursWorked !== hoursWorked) {
+        update.changeLog = [...(entry.changeLog || []), {
+          timestamp: new Date().toISOString(),
+          modifiedBy: userId,
+          type: 'hours_recalculated',
+          oldHoursWorked: entry.hoursWorked ?? null,
+          newHoursWorked: hoursWorked,
+          description: `Hours recalculated under rounding policy v${HOUR_POLICY_VERSION}: ${entry.hoursWorked ?? 0} → ${hoursWorked}`
+        }];
+      }
+
+      updates.push({ ref: doc.ref, update });
+    }
+
+    for (let i = 0; i < updates.length; i += MAX_BATCH_WRITES) {
+      const batch = db.batch();
+      updates.slice(i, i + MAX_BATCH_WRITES).forEach(({ ref, update }) => batch.update(ref, update));
+      await batch.commit();
+    }
+
+    return {
+      success: true,
+      updatedCount: updates.length,
+      lockedCount,
+      policyVersion: HOUR_POLICY_VERSION,
+      message: `Recalculated hours for ${updates.length} ${updates.length === 1 ? 'entry' : 'entries'}` +
+        (lockedCount > 0 ? `. ${lockedCount} on locked days left unchanged` : '')
+    };
+  } catch (error) {
+    console.error('Recalculate hours error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,135 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { planStudentImport, IMPORT_SOURCE } from './shared/registrationImport.js';
+import { assertEventAdmin } from './organizations.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Import Registrations Cloud Function
+ * Plans or commits a registration CSV import for one event. Rows arrive
+ * already mapped to import fields by the admin wizard; the plan is rebuilt
+ * here against current students so the commit matches what was previewed.
+ * A commit creates new students, updates changed ones (each with an audit
+ * record) and adds roster rows in a single batch, so an import either lands
+ * whole or not at all. Students are matched and created within the event's
+ * organization.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event to enroll students in
+ * @param {Object[]} request.data.rows - Rows from applyColumnMapping
+ * @param {boolean} [request.data.hasTypeColumn=true] - Whether a registration type column was mapped
+ * @param {boolean} [request.data.dryRun=false] - Return the plan without writing
+ */
+export const importRegistrations = onCall({ cors: true, timeoutSeconds: 120 }, async (request) => {
+  const { eventId, rows, hasTypeColumn = true, dryRun = false } = request.data || {};
+
+  if (!eventId || !Array.isArray(rows)) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: eventId and rows');
+  }
+
+  if (rows.length === 0) {
+    throw new HttpsError('invalid-argument', 'The file has no registration rows');
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const db = getFirestore();
+  const userId = request.auth.uid;
+
+  try {
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'import registrations');
+    const { organizationId } = event;
+
+    const [studentsSnapshot, rosterSnapshot] = await Promise.all([
+      db.collection('students').where('organizationId', '==', organizationId).get(),
+      db.collection('eventStudents').where('eventId', '==', eventId).get()
+    ]);
+    // Merged duplicates are only badge redirects; match their survivors instead
+    const existingStudents = studentsSnapshot.docs
+      .map(doc => ({ id: doc.id, ...doc.data() }))
+      .filter(student => !student.mergedInto);
+    const rosterIds = new Set(rosterSnapshot.docs.map(doc => doc.data().studentId).filter(Boolean));
+
+    const plan = planStudentImport(rows, existingStudents, rosterIds, { hasTypeColumn });
+
+    if (dryRun) {
+      return { success: true, dryRun: true, ...plan };
+    }
+
+    // Updated students also get an audit record each
+    const writes = plan.counts.new + plan.counts.updated * 2 + plan.rosterAdds;
+    if (writes === 0) {
+      return { success: true, dryRun: false, ...plan, message: 'Nothing to import' };
+    }
+    if (writes > MAX_BATCH_WRITES) {
+      throw new HttpsError(
+        'failed-precondition',
+        `This import needs ${writes} writes, over the limit of ${MAX_BATCH_WRITES}. Split the file and import each part.`
+      );
+    }
+
+    const batch = db.batch();
+    const now = Timestamp.now();
+
+    plan.rows.forEach(row => {
+      if (row.status === 'new') {
+        const ref = db.collection('students').doc();
+        row.studentId = ref.id;
+        batch.set(ref, { ...row.student, organizationId, createdAt: now, importSource: IMPORT_SOURCE });
+      } else if (row.status === 'updated') {
+        const update = {};
+        Object.keys(row.changes).forEach(fieldName => {
+          update[fieldName] = row.student[fieldName];
+        });
+        batch.update(db.collection('students').doc(row.studentId), update);
+        batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+          action: 'student_import',
+          targetType: 'student',
+          targetId: row.studentId,
+          performedBy: userId,
+          performedByName: getActorName(request.auth),
+          organizationId,
+          studentId: row.studentId,
+          details: {
+            eventId,
+            studentName: `${row.student.firstName || ''} ${row.student.lastName || ''}`.trim(),
+            changes: row.changes,
+            description: `Updated ${Object.keys(row.changes).join(', ')} from registration import`
+          }
+        }));
+      }
+
+      if (row.addToRoster) {
+        batch.set(db.collection('eventStudents').doc(), {
+          organizationId,
+          eventId,
+          studentId: row.studentId,
+          addedAt: now,
+          addedBy: userId,
+          source: IMPORT_SOURCE
+        });
+      }
+    });
+
+    await batch.commit();
+
+    const { counts, rosterAdds } = plan;
+    return {
+      success: true,
+      dryRun: false,
+      ...plan,
+      message: `Imported ${counts.new} new and ${counts.updated} updated students; added ${rosterAdds} to the roster`
+    };
+  } catch (error) {
+    console.error('Import registrations error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,227 @@
+import { createHash, randomBytes, scrypt, timingSafeEqual } from 'node:crypto';
+import { promisify } from 'node:util';
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { assertEventAdmin } from './organizations.js';
+import { getEventTimeZone, getTodayInTimeZone } from './shared/timeZones.js';
+import { isOnSite } from './shared/onSiteBoard.js';
+
+const PIN_PATTERN = /^\d{4,8}$/;
+const MAX_PIN_ATTEMPTS = 5;
+const PIN_LOCKOUT_MS = 5 * 60 * 1000;
+
+const scryptAsync = promisify(scrypt);
+const PIN_KEY_LENGTH = 32;
+
+// Device tokens are long random values looked up by their hash
+function hashSecret(value) {
+  return createHash('sha256').update(String(value)).digest('hex');
+}
+
+// PINs are short enough to guess offline, so they are stored salted and
+// stretched as "salt:key" (hex)
+async function hashPin(pin) {
+  const salt = randomBytes(16);
+  const key = await scryptAsync(String(pin), salt, PIN_KEY_LENGTH);
+  return `${salt.toString('hex')}:${key.toString('hex')}`;
+}
+
+async function pinMatches(pin, pinHash) {
+  const [salt, key] = String(pinHash || '').split(':');
+  if (!salt || !key) return false;
+  const expected = Buffer.from(key, 'hex');
+  const actual = await scryptAsync(String(pin), Buffer.from(salt, 'hex'), expected.length);
+  return timingSafeEqual(actual, expected);
+}
+
+/**
+ * Resolves a kiosk device token to its device record.
+ * Tokens are scoped to one event (and activity) and stop working once the
+ * event has ended.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {string} token - Device token stored on the kiosk
+ * @param {string} [eventId] - Event the kiosk is acting on
+ * @returns {Promise<Object>} Device data with `id`
+ */
+export async function verifyKioskToken(db, token, eventId) {
+  if (typeof token !== 'string' || !token) {
+    throw new HttpsError('unauthenticated', 'Missing kiosk device token');
+  }
+
+  const snapshot = await db.collection('kioskDevices')
+    .where('tokenHash', '==', hashSecret(token))
+    .limit(1)
+    .get();
+
+  if (snapshot.empty) {
+    throw new HttpsError('permission-denied', 'This device is not authorized as a checkout kiosk');
+  }
+
+  const deviceDoc = snapshot.docs[0];
+  const device = { id: deviceDoc.id, ref: deviceDoc.ref, ...deviceDoc.data() };
+
+  if (eventId && device.eventId !== eventId) {
+    throw new HttpsError('permission-denied', 'This kiosk is set up for a different event');
+  }
+  if (device.eventEndDate && getTodayInTimeZone(getEventTimeZone(device)) > device.eventEndDate) {
+    throw new HttpsError('permission-denied', 'This kiosk token has expired');
+  }
+
+  return device;
+}
+
+/**
+ * Create Kiosk Device Cloud Function
+ * Registers an exit-door device as a self-checkout kiosk. The returned token
+ * is shown only once and is stored on the device; only its hash is kept.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event ID
+ * @param {string} request.data.activityId - Activity students check out of
+ * @param {string} request.data.pin - Admin PIN needed to exit kiosk mode (4-8 digits)
+ * @param {string} [request.data.label] - Device label, e.g. "Exit door iPad"
+ */
+export const createKioskDevice = onCall({ cors: true }, async (request) => {
+  const { eventId, activityId, pin, label } = request.data || {};
+
+  if (!eventId || !activityId) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: eventId and activityId');
+  }
+
+  if (!PIN_PATTERN.test(String(pin || ''))) {
+    throw new HttpsError('invalid-argument', 'PIN must be 4-8 digits');
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'set up checkout kiosks');
+    if (!(event.activities || []).some(activity => activity.id === activityId)) {
+      throw new HttpsError('not-found', 'Activity not found');
+    }
+
+    const token = randomBytes(24).toString('base64url');
+    const deviceRef = await db.collection('kioskDevices').add({
+      organizationId: event.organizationId,
+      eventId,
+      activityId,
+      eventEndDate: event.endDate || null,
+      timeZone: getEventTimeZone(event),
+      label: typeof label === 'string' && label.trim() ? label.trim() : 'Checkout kiosk',
+      tokenHash: hashSecret(token),
+      pinHash: await hashPin(pin),
+      pinFailures: 0,
+      pinLockedUntil: null,
+      createdBy: request.auth.uid,
+      createdAt: Timestamp.now()
+    });
+
+    return {
+      success: true,
+      deviceId: deviceRef.id,
+      token
+    };
+  } catch (error) {
+    console.error('Create kiosk device error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Get Kiosk Status Cloud Function
+ * Returns the event/activity names and how many students are still checked
+ * in to the kiosk's activity (overnight shifts included), so the kiosk can
+ * show a live count without an admin session.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.token - Kiosk device token
+ */
+export const getKioskStatus = onCall({ cors: true }, async (request) => {
+  const { token } = request.data || {};
+  const db = getFirestore();
+
+  try {
+    const device = await verifyKioskToken(db, token);
+
+    const eventDoc = await db.collection('events').doc(device.eventId).get();
+    if (!eventDoc.exists) {
+      throw new HttpsError('not-found', 'Event not found');
+    }
+    const event = eventDoc.data();
+    const activity = (event.activities || []).find(a => a.id === device.activityId);
+    const timeZone = getEventTimeZone(event);
+
+    // Across dates, so overnight shifts count until the event's shift limit, as on the On Site board
+    const openEntries = await db.collection('timeEntries')
+      .where('eventId', '==', device.eventId)
+      .where('activityId', '==', device.activityId)
+      .where('checkOutTime', '==', null)
+      .get();
+
+    return {
+      success: true,
+      eventId: device.eventId,
+      eventName: event.name || '',
+      activityId: device.activityId,
+      activityName: activity?.name || '',
+      timeZone,
+      checkedInCount: openEntries.docs.filter(doc => isOnSite(doc.data(), event)).length
+    };
+  } catch (error) {
+    console.error('Get kiosk status error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Verify Kiosk Exit PIN Cloud Function
+ * Checks the admin PIN before a kiosk leaves kiosk mode. Repeated wrong
+ * guesses lock the PIN for a few minutes.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.token - Kiosk device token
+ * @param {string} request.data.pin - Admin PIN
+ */
+export const verifyKioskExitPin = onCall({ cors: true }, async (request) => {
+  const { token, pin } = request.data || {};
+  const db = getFirestore();
+
+  try {
+    const device = await verifyKioskToken(db, token);
+
+    if (device.pinLockedUntil && device.pinLockedUntil.toMillis() > Date.now()) {
+      throw new HttpsError('resource-exhausted', 'Too many incorrect PINs. Try again in a few minutes.');
+    }
+
+    if (!(await pinMatches(pin, device.pinHash))) {
+      const pinFailures = (device.pinFailures || 0) + 1;
+      const locked = pinFailures >= MAX_PIN_ATTEMPTS;
+      await device.ref.update({
+        pinFailures: locked ? 0 : pinFailures,
+        pinLockedUntil: locked ? Timestamp.fromMillis(Date.now() + PIN_LOCKOUT_MS) : null
+      });
+      throw new HttpsError('permission-denied', 'Incorrect PIN');
+    }
+
+    await device.ref.update({ pinFailures: 0, pinLockedUntil: null });
+
+    return { success: true };
+  } catch (error) {
+    console.error('Verify kiosk PIN error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -1,5 +1,13 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { calculateHours, HOUR_POLICY_VERSION } from './shared/hourPolicy.js';
+import { assertDayUnlocked } from './reviewEntries.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { assertEventAdmin } from './organizations.js';
+import { getEventTimeZone, zonedTimeToDate } from './shared/timeZones.js';
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d(:[0-5]\d)?$/;
 
 /**
  * Create Manual Time Entry Cloud Function
@@ -21,39 +29,46 @@ export const createManualTimeEntry = onCall({ cors: true }, async (request) => {
     throw new HttpsError('invalid-argument', 'Missing required fields');
   }
 
-  // Validate time logic
-  const startDateTime = new Date(`${date}T${startTime}`);
-  const endDateTime = new Date(`${date}T${endTime}`);
-
-  if (isNaN(startDateTime.getTime()) || isNaN(endDateTime.getTime())) {
+  // Validate time logic (wall-clock times; the event's time zone is applied below)
+  if (!DATE_PATTERN.test(date) || !TIME_PATTERN.test(startTime) || !TIME_PATTERN.test(endTime)) {
       throw new HttpsError('invalid-argument', 'Invalid date or time format');
   }
 
-  if (endDateTime <= startDateTime) {
+  if (endTime <= startTime) {
     throw new HttpsError('invalid-argument', 'End time must be after start time');
   }
 
+  // Manual entries are attributed to the admin in the audit log
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
   const db = getFirestore();
 
   try {
-     // Verify student exists
+    // Verify event exists and belongs to one of the admin's organizations
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'add manual entries');
+    const timeZone = getEventTimeZone(event);
+    const startDateTime = zonedTimeToDate(date, startTime, timeZone);
+    const endDateTime = zonedTimeToDate(date, endTime, timeZone);
+
+    await assertDayUnlocked(db, eventId, date);
+
+     // Verify student exists in the event's organization
     const studentDoc = await db.collection('students').doc(studentId).get();
-    if (!studentDoc.exists) {
+    if (!studentDoc.exists || studentDoc.data().organizationId !== event.organizationId) {
       throw new HttpsError('not-found', 'Student not found');
     }
 
-    // Verify event exists
-    const eventDoc = await db.collection('events').doc(eventId).get();
-    if (!eventDoc.exists) {
-        throw new HttpsError('not-found', 'Event not found');
-    }
-
-    // Calculate duration
-    const diffMs = endDateTime - startDateTime;
-    const diffMinutes = Math.floor(diffMs / 1000 / 60);
-    const hoursWorked = Math.round((diffMinutes / 60) * 2) / 2; // Round to nearest 0.5
+    // Calculate duration under the event's rounding policy
+    const { rounded: hoursWorked, minutes: diffMinutes } = calculateHours(
+      startDateTime,
+      endDateTime,
+      event.hourRounding
+    );
 
     const entry = {
+      organizationId: event.organizationId,
       studentId,
       eventId,
       activityId,
@@ -65,6 +80,7 @@ export const createManualTimeEntry = onCall({ cors: true }, async (request) => {
       entry_source: 'manual',
       hoursWorked,
       rawMinutes: diffMinutes,
+      hoursPolicyVersion: HOUR_POLICY_VERSION,
       checkInBy: 'admin', // or specific user if context is available, but for now 'admin' is safe assumption for manual entry
       checkOutBy: 'admin',
       reviewStatus: 'approved', // Manual entries are implicitly approved
@@ -77,11 +93,32 @@ export const createManualTimeEntry = onCall({ cors: true }, async (request) => {
       changeLog: []
     };
 
-    const docRef = await db.collection('timeEntries').add(entry);
+    const entryRef = db.collection('timeEntries').doc();
+    const batch = db.batch();
+    batch.set(entryRef, entry);
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'manual_entry',
+      targetType: 'timeEntry',
+      targetId: entryRef.id,
+      performedBy: request.auth.uid,
+      performedByName: getActorName(request.auth),
+      organizationId: event.organizationId,
+      eventId,
+      studentId,
+      details: {
+        date,
+        activityId,
+        checkInTime: startDateTime.toISOString(),
+        checkOutTime: endDateTime.toISOString(),
+        hoursWorked,
+        description: `Manual entry from ${startTime} to ${endTime} on ${date}`
+      }
+    }));
+    await batch.commit();
 
     return {
       success: true,
-      entryId: docRef.id,
+      entryId: entryRef.id,
       hoursWorked
     };
 
@@ -0,0 +1,202 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { assertOrganizationAccess } from './organizations.js';
+import { assertDayUnlocked } from './reviewEntries.js';
+import { getReviewLockId } from './shared/reviewStatus.js';
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+// Profile fields copied from the duplicate when the survivor left them blank
+const FILLABLE_FIELDS = ['schoolName', 'gradeLevel', 'gradYear', 'pdfTemplateId'];
+
+/**
+ * Follows a merged student's redirect to the surviving record, so lanyards
+ * printed for the duplicate keep scanning after a merge.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {string} studentId - Student ID that was scanned
+ * @param {Object} studentDoc - Snapshot of that student
+ * @returns {Promise<{ studentId: string, studentDoc: Object }>}
+ */
+export async function followStudentRedirect(db, studentId, studentDoc) {
+  const seen = new Set([studentId]);
+  let currentId = studentId;
+  let currentDoc = studentDoc;
+
+  while (currentDoc.data().mergedInto) {
+    currentId = currentDoc.data().mergedInto;
+    if (seen.has(currentId)) {
+      throw new HttpsError('failed-precondition', 'Student merge redirect loops back on itself');
+    }
+    seen.add(currentId);
+    currentDoc = await db.collection('students').doc(currentId).get();
+    if (!currentDoc.exists) {
+      throw new HttpsError('not-found', 'Merged student record not found');
+    }
+  }
+
+  return { studentId: currentId, studentDoc: currentDoc };
+}
+
+function studentName(student) {
+  return `${student.firstName || ''} ${student.lastName || ''}`.trim();
+}
+
+/**
+ * Merge Students Cloud Function
+ * Moves every time entry and roster row from a duplicate student to the
+ * surviving record, fills blank profile fields and adds override hours. The
+ * duplicate is kept as a redirect (`mergedInto`) rather than deleted, and
+ * the merge is recorded in the audit log.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.survivorId - Student that is kept
+ * @param {string} request.data.duplicateId - Student merged into the survivor
+ */
+export const mergeStudents = onCall({ cors: true }, async (request) => {
+  const { survivorId, duplicateId } = request.data || {};
+
+  if (!survivorId || !duplicateId) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: survivorId and duplicateId');
+  }
+
+  if (survivorId === duplicateId) {
+    throw new HttpsError('invalid-argument', 'Cannot merge a student into itself');
+  }
+
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const db = getFirestore();
+  const userId = request.auth.uid;
+
+  try {
+    const adminDoc = await db.collection('admins').doc(userId).get();
+    if (!adminDoc.exists) {
+      throw new HttpsError('permission-denied', 'Only admins can merge students');
+    }
+
+    const survivorRef = db.collection('students').doc(survivorId);
+    const duplicateRef = db.collection('students').doc(duplicateId);
+    const [survivorDoc, duplicateDoc] = await Promise.all([survivorRef.get(), duplicateRef.get()]);
+    if (!survivorDoc.exists || !duplicateDoc.exists) {
+      throw new HttpsError('not-found', 'Student not found');
+    }
+
+    const survivor = survivorDoc.data();
+    const duplicate = duplicateDoc.data();
+    assertOrganizationAccess(adminDoc.data(), survivor.organizationId);
+    if (duplicate.organizationId !== survivor.organizationId) {
+      throw new HttpsError('failed-precondition', 'Only students of the same organization can be merged');
+    }
+    if (survivor.mergedInto || duplicate.mergedInto) {
+      throw new HttpsError('failed-precondition', 'One of these students was already merged into another record');
+    }
+
+    const [entriesSnapshot, duplicateRosterSnapshot, survivorRosterSnapshot] = await Promise.all([
+      db.collection('timeEntries').where('studentId', '==', duplicateId).get(),
+      db.collection('eventStudents').where('studentId', '==', duplicateId).get(),
+      db.collection('eventStudents').where('studentId', '==', survivorId).get()
+    ]);
+
+    const writes = entriesSnapshot.size + duplicateRosterSnapshot.size + 3;
+    if (writes > MAX_BATCH_WRITES) {
+      throw new HttpsError('failed-precondition', `This merge needs ${writes} writes, over the limit of ${MAX_BATCH_WRITES}`);
+    }
+
+    // Moving an entry changes a reviewed day, so every day it touches must be unlocked
+    const entryDays = new Map(entriesSnapshot.docs.map(doc => {
+      const { eventId, date } = doc.data();
+      return [getReviewLockId(eventId, date), { eventId, date }];
+    }));
+    for (const { eventId, date } of entryDays.values()) {
+      await assertDayUnlocked(db, eventId, date);
+    }
+
+    const batch = db.batch();
+    const now = Timestamp.now();
+    const description = `Moved from merged duplicate record ${studentName(duplicate)} (${duplicateId})`;
+
+    entriesSnapshot.docs.forEach(doc => {
+      batch.update(doc.ref, {
+        studentId: survivorId,
+        changeLog: [...(doc.data().changeLog || []), {
+          timestamp: new Date().toISOString(),
+          modifiedBy: userId,
+          type: 'student_merged',
+          fromStudentId: duplicateId,
+          description
+        }]
+      });
+    });
+
+    // The survivor keeps a single roster row per event
+    const survivorEventIds = new Set(survivorRosterSnapshot.docs.map(doc => doc.data().eventId));
+    let rosterRowsMoved = 0;
+    duplicateRosterSnapshot.docs.forEach(doc => {
+      const { eventId } = doc.data();
+      if (survivorEventIds.has(eventId)) {
+        batch.delete(doc.ref);
+      } else {
+        batch.update(doc.ref, { studentId: survivorId });
+        survivorEventIds.add(eventId);
+        rosterRowsMoved += 1;
+      }
+    });
+
+    const survivorUpdate = {
+      overrideHours: parseFloat(survivor.overrideHours || 0) + parseFloat(duplicate.overrideHours || 0),
+      mergedStudentIds: [...(survivor.mergedStudentIds || []), duplicateId]
+    };
+    FILLABLE_FIELDS.forEach(field => {
+      if (!survivor[field] && duplicate[field]) {
+        survivorUpdate[field] = duplicate[field];
+      }
+    });
+    batch.update(survivorRef, survivorUpdate);
+
+    batch.update(duplicateRef, {
+      mergedInto: survivorId,
+      mergedAt: now,
+      mergedBy: userId
+    });
+
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'student_merge',
+      targetType: 'student',
+      targetId: survivorId,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: survivor.organizationId,
+      studentId: survivorId,
+      details: {
+        survivorId,
+        survivorName: studentName(survivor),
+        duplicateId,
+        duplicateName: studentName(duplicate),
+        entriesMoved: entriesSnapshot.size,
+        rosterRowsMoved,
+        rosterRowsRemoved: duplicateRosterSnapshot.size - rosterRowsMoved
+      }
+    }));
+
+    await batch.commit();
+
+    return {
+      success: true,
+      survivorId,
+      entriesMoved: entriesSnapshot.size,
+      rosterRowsMoved,
+      message: `Merged ${studentName(duplicate)} into ${studentName(survivor)} (${entriesSnapshot.size} ${entriesSnapshot.size === 1 ? 'entry' : 'entries'} moved)`
+    };
+  } catch (error) {
+    console.error('Merge students error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,95 @@
+import { defineInt, defineSecret, defineString } from 'firebase-functions/params';
+
+/**
+ * Delivery transports for guardian notifications, registered per channel.
+ *
+ * NOTIFICATION_EMAIL_TRANSPORT and NOTIFICATION_SMS_TRANSPORT pick one by
+ * name ('none' turns a channel off, the default once deployed). The built-in
+ * `console` transport only logs and only runs in the emulator, where it is
+ * the default. `smtp` sends email through any SMTP server — a local catcher
+ * such as Mailpit during development. An SMS provider is added by
+ * registering a transport for the 'sms' channel.
+ */
+
+const smtpPassword = defineSecret('SMTP_PASSWORD');
+
+/**
+ * Secrets for the notification functions. SMTP_PASSWORD is bound only when
+ * SMTP_USER is set, so deployments without an authenticated SMTP server are
+ * never asked for it.
+ */
+export const notificationSecrets = process.env.SMTP_USER ? [smtpPassword] : [];
+
+const isEmulator = () => process.env.FUNCTIONS_EMULATOR === 'true';
+const defaultTransportName = () => (isEmulator() ? 'console' : 'none');
+
+const emailTransportName = defineString('NOTIFICATION_EMAIL_TRANSPORT', { default: defaultTransportName() });
+const smsTransportName = defineString('NOTIFICATION_SMS_TRANSPORT', { default: defaultTransportName() });
+const smtpHost = defineString('SMTP_HOST', { default: 'localhost' });
+const smtpPort = defineInt('SMTP_PORT', { default: 1025 });
+const smtpUser = defineString('SMTP_USER', { default: '' });
+const notificationFrom = defineString('NOTIFICATION_FROM', { default: 'VBS Volunteer Tracker <no-reply@localhost>' });
+
+const transports = { email: new Map(), sms: new Map() };
+
+/**
+ * Adds a transport. `send({ to, subject, body })` resolves with the
+ * provider's message ID (if any) and rejects when delivery fails.
+ *
+ * @param {'email'|'sms'} channel
+ * @param {string} name - Value of the channel's NOTIFICATION_*_TRANSPORT setting
+ * @param {Function} send
+ */
+export function registerTransport(channel, name, send) {
+  if (!transports[channel]) {
+    throw new Error(`Unknown notification channel: ${channel}`);
+  }
+  transports[channel].set(name, send);
+}
+
+/**
+ * The configured transport for a channel, or null when the channel is off.
+ *
+ * @param {'email'|'sms'} channel
+ * @returns {{ name: string, send: Function }|null}
+ * @throws {Error} When the configured transport was never registered, or is
+ *   `console` outside the emulator
+ */
+export function getTransport(channel) {
+  const name = (channel === 'sms' ? smsTransportName : emailTransportName).value() || defaultTransportName();
+  if (name === 'none') return null;
+  if (name === 'console' && !isEmulator()) {
+    throw new Error('The console transport only runs in the emulator');
+  }
+  const send = transports[channel]?.get(name);
+  if (!send) {
+    throw new Error(`No ${channel} transport named "${name}" is registered`);
+  }
+  return { name, send };
+}
+
+let smtpClient = null;
+
+async function sendSmtp({ to, subject, body }) {
+  if (!smtpClient) {
+    const { default: nodemailer } = await import('nodemailer');
+    const user = smtpUser.value();
+    smtpClient = nodemailer.createTransport({
+      host: smtpHost.value(),
+      port: smtpPort.value(),
+      secure: smtpPort.value() === 465,
+      ...(user && { auth: { user, pass: smtpPassword.value() } })
+    });
+  }
+  const info = await smtpClient.sendMail({ from: notificationFrom.value(), to, subject, text: body });
+  return info.messageId;
+}
+
+const logMessage = (channel) => async ({ to, subject, body }) => {
+  console.log(`[notification:${channel}] to=${to}${subject ? ` subject="${subject}"` : ''} ${body}`);
+  return null;
+};
+
+registerTransport('email', 'console', logMessage('email'));
+registerTransport('sms', 'console', logMessage('sms'));
+registerTransport('email', 'smtp', sendSmtp);
@@ -0,0 +1,109 @@
+import { onDocumentCreated } from 'firebase-functions/v2/firestore';
+import { Timestamp } from 'firebase-admin/firestore';
+import { buildGuardianMessage, getGuardianRecipients } from './shared/guardians.js';
+import { getTransport, notificationSecrets } from './notificationTransports.js';
+
+/**
+ * Queues check-in/out notifications for a student's opted-in guardians:
+ * one `notifications` document per guardian per channel, delivered by
+ * `deliverNotification`. Failures are logged and never fail the scan.
+ *
+ * @param {Object} db - Firestore instance
+ * @param {Object} params
+ * @param {string} params.organizationId
+ * @param {Object} params.student - Student document
+ * @param {string} params.studentId
+ * @param {string} params.eventId
+ * @param {string} params.entryId - Time entry the scan wrote
+ * @param {string} params.trigger - 'check_in' | 'check_out' | 'forced_checkout'
+ * @param {Date} params.time - Check-in or check-out time
+ * @param {string} [params.eventName]
+ * @param {string} [params.timeZone] - Event's IANA zone
+ * @returns {Promise<number>} Number of notifications queued
+ */
+export async function queueGuardianNotifications(db, { organizationId, student, studentId, eventId, entryId, trigger, time, eventName, timeZone }) {
+  try {
+    const recipients = getGuardianRecipients(student);
+    if (recipients.length === 0) return 0;
+
+    const { subject, body } = buildGuardianMessage({ student, trigger, time, eventName, timeZone });
+    const batch = db.batch();
+    recipients.forEach(({ guardianName, channel, to }) => {
+      batch.set(db.collection('notifications').doc(), {
+        organizationId,
+        studentId,
+        eventId,
+        entryId,
+        trigger,
+        guardianName,
+        channel,
+        to,
+        subject,
+        body,
+        status: 'pending',
+        attempts: 0,
+        transport: null,
+        providerMessageId: null,
+        error: null,
+        createdAt: Timestamp.now(),
+        sentAt: null
+      });
+    });
+    await batch.commit();
+    return recipients.length;
+  } catch (error) {
+    console.error('Queue guardian notifications error:', error);
+    return 0;
+  }
+}
+
+/**
+ * Notification delivery trigger
+ * Sends each queued notification through its channel's transport and records
+ * the outcome: `sent`, `failed` (with the error) or `skipped` when the
+ * channel is turned off.
+ */
+export const deliverNotification = onDocumentCreated(
+  { document: 'notifications/{notificationId}', secrets: notificationSecrets },
+  async (event) => {
+    const snapshot = event.data;
+    if (!snapshot) return;
+    const notification = snapshot.data();
+    if (notification.status !== 'pending') return;
+
+    const attempts = (notification.attempts || 0) + 1;
+    let transport = null;
+    try {
+      transport = getTransport(notification.channel);
+      if (!transport) {
+        await snapshot.ref.update({
+          status: 'skipped',
+          error: `The ${notification.channel} channel is turned off`
+        });
+        return;
+      }
+
+      const providerMessageId = await transport.send({
+        to: notification.to,
+        subject: notification.subject,
+        body: notification.body
+      });
+      await snapshot.ref.update({
+        status: 'sent',
+        attempts,
+        transport: transport.name,
+        providerMessageId: providerMessageId || null,
+        error: null,
+        sentAt: Timestamp.now()
+      });
+    } catch (error) {
+      console.error('Notification delivery error:', error);
+      await snapshot.ref.update({
+        status: 'failed',
+        attempts,
+        transport: transport?.name || null,
+        error: error.message
+      });
+    }
+  }
+);
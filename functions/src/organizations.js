@@ -0,0 +1,203 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { canForceCheckOut } from './shared/eventAssignments.js';
+
+/**
+ * Organization scoping shared by every callable.
+ *
+ * Several churches can share one deployment. Each `admins`/`users` profile
+ * lists the organizations it belongs to in `organizationIds`, and events,
+ * students, PDF templates and everything written from them (time entries,
+ * roster rows, review locks, audit records, notifications, kiosk devices)
+ * carry a single `organizationId`. A caller may only touch documents whose
+ * organizationId is in their own list; documents without one (data from
+ * before organizations existed) are out of reach until the migration script
+ * stamps them.
+ */
+
+/**
+ * @param {Object} [profile] - admins or users document data
+ * @returns {string[]}
+ */
+export function getOrganizationIds(profile) {
+  return Array.isArray(profile?.organizationIds) ? profile.organizationIds : [];
+}
+
+/**
+ * @param {Object} [profile] - admins or users document data
+ * @param {string} [organizationId]
+ * @returns {boolean}
+ */
+export function isOrganizationMember(profile, organizationId) {
+  return Boolean(organizationId) && getOrganizationIds(profile).includes(organizationId);
+}
+
+/**
+ * Throws when the caller's profile does not belong to the organization.
+ *
+ * @param {Object} profile - admins or users document data
+ * @param {string} [organizationId] - organizationId of the document being changed
+ */
+export function assertOrganizationAccess(profile, organizationId) {
+  if (!isOrganizationMember(profile, organizationId)) {
+    throw new HttpsError('permission-denied', 'You do not have access to this organization');
+  }
+}
+
+/**
+ * Loads the caller's admin profile and checks it belongs to the organization.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {Object} [auth] - request.auth
+ * @param {string} organizationId
+ * @param {string} action - Finishes "Only admins can …"
+ * @returns {Promise<Object>} The admin document data
+ */
+export async function assertOrganizationAdmin(db, auth, organizationId, action) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const adminDoc = await db.collection('admins').doc(auth.uid).get();
+  if (!adminDoc.exists) {
+    throw new HttpsError('permission-denied', `Only admins can ${action}`);
+  }
+  assertOrganizationAccess(adminDoc.data(), organizationId);
+  return adminDoc.data();
+}
+
+/**
+ * Loads the caller's admin or adult volunteer profile and checks it belongs
+ * to the organization. Used by the scanner callables.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {Object} auth - request.auth
+ * @param {string} organizationId
+ * @returns {Promise<Object>} The admins or users document data
+ */
+export async function assertOrganizationMember(db, auth, organizationId) {
+  let profileDoc = await db.collection('admins').doc(auth.uid).get();
+  if (!profileDoc.exists) {
+    profileDoc = await db.collection('users').doc(auth.uid).get();
+  }
+  if (!profileDoc.exists) {
+    throw new HttpsError('permission-denied', 'Only admins and adult volunteers can record scans');
+  }
+  assertOrganizationAccess(profileDoc.data(), organizationId);
+  return profileDoc.data();
+}
+
+/**
+ * Checks the caller administers the organization or is a station lead for
+ * the activity. Station leads are adult volunteers assigned to run specific
+ * activities of an event (see shared/eventAssignments.js).
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {Object} [auth] - request.auth
+ * @param {Object} target - { organizationId, eventId, activityId } of the record being changed
+ * @param {string} action - Finishes "Only admins and station leads can …"
+ * @returns {Promise<Object>} The admins or users document data
+ */
+export async function assertActivityLead(db, auth, { organizationId, eventId, activityId }, action) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const adminDoc = await db.collection('admins').doc(auth.uid).get();
+  if (adminDoc.exists) {
+    assertOrganizationAccess(adminDoc.data(), organizationId);
+    return adminDoc.data();
+  }
+  const userDoc = await db.collection('users').doc(auth.uid).get();
+  if (!userDoc.exists || !canForceCheckOut(userDoc.data(), eventId, activityId)) {
+    throw new HttpsError('permission-denied', `Only admins and station leads can ${action}`);
+  }
+  assertOrganizationAccess(userDoc.data(), organizationId);
+  return userDoc.data();
+}
+
+/**
+ * Loads an event and checks the caller administers its organization.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {Object} [auth] - request.auth
+ * @param {string} eventId
+ * @param {string} action - Finishes "Only admins can …"
+ * @returns {Promise<{ admin: Object, event: Object }>}
+ */
+export async function assertEventAdmin(db, auth, eventId, action) {
+  if (!auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const eventDoc = await db.collection('events').doc(eventId).get();
+  if (!eventDoc.exists) {
+    throw new HttpsError('not-found', 'Event not found');
+  }
+  const event = eventDoc.data();
+  const admin = await assertOrganizationAdmin(db, auth, event.organizationId, action);
+  return { admin, event };
+}
+
+/**
+ * Create Organization Cloud Function
+ * Any admin can start a new organization; they become its first admin and
+ * add other admins and volunteers from the Users page.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.name - Organization name, e.g. "Grace Community Church"
+ */
+export const createOrganization = onCall({ cors: true }, async (request) => {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const name = String(request.data?.name || '').trim();
+  if (!name) {
+    throw new HttpsError('invalid-argument', 'Organization name is required');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const adminRef = db.collection('admins').doc(request.auth.uid);
+    const adminDoc = await adminRef.get();
+    if (!adminDoc.exists) {
+      throw new HttpsError('permission-denied', 'Only admins can create organizations');
+    }
+
+    const orgRef = db.collection('organizations').doc();
+    const batch = db.batch();
+    batch.set(orgRef, {
+      name,
+      schoolTemplateAliases: [],
+      defaultPdfTemplateId: null,
+      createdAt: Timestamp.now(),
+      createdBy: request.auth.uid
+    });
+    batch.update(adminRef, {
+      organizationIds: [...getOrganizationIds(adminDoc.data()), orgRef.id],
+      selectedOrganizationId: orgRef.id
+    });
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'organization_create',
+      targetType: 'organization',
+      targetId: orgRef.id,
+      performedBy: request.auth.uid,
+      performedByName: getActorName(request.auth),
+      organizationId: orgRef.id,
+      details: { name, description: `Created organization ${name}` }
+    }));
+    await batch.commit();
+
+    return {
+      success: true,
+      organizationId: orgRef.id,
+      message: `Created ${name}`
+    };
+  } catch (error) {
+    console.error('Create organization error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,59 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+import { getImageFormat } from './shared/pdfImages.js';
+import { assertOrganizationAdmin } from './organizations.js';
+
+/**
+ * Get PDF Image Cloud Function
+ * Returns a signature, logo or stamp image (see shared/pdfImages.js) for
+ * forms built in the browser. Images have no download URLs; the file is read
+ * here, for admins of the image's organization only.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.imageId - pdfImages document ID
+ * @returns {{ contentType: string, data: string }} The file, base64 encoded
+ */
+export const getPdfImage = onCall({ cors: true }, async (request) => {
+  const { imageId } = request.data || {};
+
+  if (!imageId) {
+    throw new HttpsError('invalid-argument', 'Missing required field: imageId');
+  }
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const imageDoc = await db.collection('pdfImages').doc(imageId).get();
+    if (!imageDoc.exists) {
+      throw new HttpsError('not-found', 'Image not found');
+    }
+    const image = imageDoc.data();
+    await assertOrganizationAdmin(db, request.auth, image.organizationId, 'load template images');
+
+    // Files live under their organization's folder; anything else was not uploaded by the image manager
+    if (!image.storagePath?.startsWith(`pdfImages/${image.organizationId}/`)) {
+      throw new HttpsError('failed-precondition', 'Image file is outside its organization\'s folder');
+    }
+
+    const [bytes] = await getStorage().bucket().file(image.storagePath).download();
+    const format = getImageFormat(bytes);
+    if (!format) {
+      throw new HttpsError('failed-precondition', 'Image is not a PNG or JPEG file');
+    }
+
+    return {
+      contentType: format === 'png' ? 'image/png' : 'image/jpeg',
+      data: bytes.toString('base64')
+    };
+  } catch (error) {
+    console.error('Get PDF image error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
@@ -0,0 +1,67 @@
+import fontkit from '@pdf-lib/fontkit';
+import * as pdfLib from 'pdf-lib';
+import { getEventImageAssets } from './shared/pdfImages.js';
+import { createPdfRenderer } from './shared/pdfTemplates.js';
+
+/**
+ * Server-side PDF template helpers: loading an organization's templates and
+ * image files for the generateForms Cloud Function. Rendering is shared with
+ * the frontend (see shared/pdfTemplates.js); images arrive with their bytes.
+ */
+
+export const { generateFilledPdf, addAttestationBlock, mergePdfs } = createPdfRenderer({ pdfLib, fontkit });
+
+/**
+ * Loads an organization's PDF templates along with its default template and
+ * school rules, the inputs to getEffectivePdfTemplate.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {string} organizationId
+ * @returns {Promise<{ templates: Object[], defaultTemplateId: string|null, schoolAliases: Object[] }>}
+ */
+export async function loadOrganizationTemplates(db, organizationId) {
+  const [templatesSnap, orgSnap] = await Promise.all([
+    db.collection('pdfTemplates').where('organizationId', '==', organizationId).get(),
+    db.collection('organizations').doc(organizationId).get(),
+  ]);
+  const organization = orgSnap.exists ? orgSnap.data() : {};
+
+  return {
+    templates: templatesSnap.docs.map((doc) => ({ id: doc.id, ...doc.data() })),
+    defaultTemplateId: organization.defaultPdfTemplateId || null,
+    schoolAliases: organization.schoolTemplateAliases || [],
+  };
+}
+
+function hasImageFields(template) {
+  return (template.fields || []).some((field) => field.type === 'image');
+}
+
+/**
+ * Loads the signature, logo and stamp images an event's forms may use (see
+ * shared/pdfImages.js) with their file bytes. Skipped when no template has
+ * an image field; images that cannot be downloaded are left out.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {Bucket} bucket - Storage bucket
+ * @param {Object} event - Event document data with its id
+ * @param {Object[]} templates - The organization's templates
+ * @returns {Promise<Object[]>} pdfImages documents with `bytes`
+ */
+export async function loadEventImageAssets(db, bucket, event, templates) {
+  if (!templates.some(hasImageFields)) return [];
+
+  const snapshot = await db.collection('pdfImages').where('organizationId', '==', event.organizationId).get();
+  const assets = getEventImageAssets(snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() })), event);
+
+  const loaded = await Promise.all(assets.map(async (asset) => {
+    try {
+      const [bytes] = await bucket.file(asset.storagePath).download();
+      return { ...asset, bytes };
+    } catch (error) {
+      console.warn(`Could not load image ${asset.storagePath}:`, error.message);
+      return null;
+    }
+  }));
+  return loaded.filter(Boolean);
+}
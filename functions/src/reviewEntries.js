@@ -0,0 +1,336 @@
+import { onCall, HttpsError } from 'firebase-functions/v2/https';
+import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { getReviewLockId, needsReview } from './shared/reviewStatus.js';
+import { assertEventAdmin, assertOrganizationAccess } from './organizations.js';
+
+// Firestore allows at most 500 writes per batch
+const MAX_BATCH_WRITES = 500;
+
+/**
+ * Throws when the event day has been locked in Daily Review.
+ * Used by every callable that changes time entries for a given day.
+ *
+ * @param {Firestore} db - Firestore instance
+ * @param {string} eventId - Event ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ */
+export async function assertDayUnlocked(db, eventId, date) {
+  if (!eventId || !date) return;
+  const lockDoc = await db.collection('reviewLocks').doc(getReviewLockId(eventId, date)).get();
+  if (lockDoc.exists && lockDoc.data().locked) {
+    throw new HttpsError('failed-precondition', `Review for ${date} is locked. An admin must unlock the day before making changes.`);
+  }
+}
+
+async function verifyAdmin(db, request, action) {
+  if (!request.auth) {
+    throw new HttpsError('unauthenticated', 'User must be authenticated');
+  }
+  const adminDoc = await db.collection('admins').doc(request.auth.uid).get();
+  if (!adminDoc.exists) {
+    throw new HttpsError('permission-denied', `Only admins can ${action}`);
+  }
+  return adminDoc.data();
+}
+
+/**
+ * Loads the entries targeted by a review action: either an explicit list of
+ * entry IDs or every entry for an event day.
+ */
+async function getReviewTargets(db, { entryIds, eventId, date }) {
+  if (Array.isArray(entryIds) && entryIds.length > 0) {
+    const docs = await Promise.all(entryIds.map(id => db.collection('timeEntries').doc(id).get()));
+    const missing = docs.find(doc => !doc.exists);
+    if (missing) {
+      throw new HttpsError('not-found', `Time entry not found: ${missing.id}`);
+    }
+    return docs;
+  }
+
+  if (eventId && date) {
+    const snapshot = await db.collection('timeEntries')
+      .where('eventId', '==', eventId)
+      .where('date', '==', date)
+      .get();
+    return snapshot.docs;
+  }
+
+  throw new HttpsError('invalid-argument', 'Provide entryIds, or eventId and date');
+}
+
+async function assertTargetsUnlocked(db, docs) {
+  const days = new Map();
+  docs.forEach(doc => {
+    const { eventId, date } = doc.data();
+    days.set(getReviewLockId(eventId, date), { eventId, date });
+  });
+  for (const { eventId, date } of days.values()) {
+    await assertDayUnlocked(db, eventId, date);
+  }
+}
+
+async function commitUpdates(db, updates) {
+  for (let i = 0; i < updates.length; i += MAX_BATCH_WRITES) {
+    const batch = db.batch();
+    updates.slice(i, i + MAX_BATCH_WRITES).forEach(({ ref, update }) => batch.update(ref, update));
+    await batch.commit();
+  }
+}
+
+/**
+ * Applies a review decision to the targeted entries. Voided and still
+ * checked-in entries are skipped, as are entries already in the target status.
+ */
+async function reviewEntries(db, docs, { status, userId, reason }) {
+  const updates = [];
+  const skipped = [];
+
+  for (const doc of docs) {
+    const entry = doc.data();
+
+    if (entry.isVoided) {
+      skipped.push({ entryId: doc.id, reason: 'Entry is voided' });
+      continue;
+    }
+    if (!entry.checkOutTime) {
+      skipped.push({ entryId: doc.id, reason: 'Student has not checked out' });
+      continue;
+    }
+    if (entry.reviewStatus === status) {
+      continue;
+    }
+
+    const description = status === 'approved'
+      ? 'Hours approved'
+      : `Hours rejected. Reason: ${reason}`;
+
+    updates.push({
+      ref: doc.ref,
+      update: {
+        reviewStatus: status,
+        reviewedBy: userId,
+        reviewedAt: Timestamp.now(),
+        rejectionReason: status === 'rejected' ? reason : null,
+        changeLog: [...(entry.changeLog || []), {
+          timestamp: new Date().toISOString(),
+          modifiedBy: userId,
+          type: status === 'approved' ? 'approve' : 'reject',
+          oldReviewStatus: entry.reviewStatus || 'pending',
+          newReviewStatus: status,
+          reason: reason || null,
+          description
+        }]
+      }
+    });
+  }
+
+  await commitUpdates(db, updates);
+  return { updatedCount: updates.length, skipped };
+}
+
+/**
+ * Approve Time Entries Cloud Function
+ * Marks checked-out entries as approved so their hours count on forms.
+ *
+ * @param {Object} request.data
+ * @param {string[]} [request.data.entryIds] - Entries to approve
+ * @param {string} [request.data.eventId] - Event ID (approve a whole day)
+ * @param {string} [request.data.date] - Date (YYYY-MM-DD, approve a whole day)
+ */
+export const approveTimeEntries = onCall({ cors: true }, async (request) => {
+  const db = getFirestore();
+
+  try {
+    const admin = await verifyAdmin(db, request, 'approve hours');
+
+    const docs = await getReviewTargets(db, request.data || {});
+    docs.forEach(doc => assertOrganizationAccess(admin, doc.data().organizationId));
+    await assertTargetsUnlocked(db, docs);
+
+    const { updatedCount, skipped } = await reviewEntries(db, docs, {
+      status: 'approved',
+      userId: request.auth.uid
+    });
+
+    return {
+      success: true,
+      updatedCount,
+      skipped,
+      message: `Approved ${updatedCount} ${updatedCount === 1 ? 'entry' : 'entries'}`
+    };
+  } catch (error) {
+    console.error('Approve entries error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Reject Time Entries Cloud Function
+ * Marks checked-out entries as rejected so their hours are excluded from forms.
+ *
+ * @param {Object} request.data
+ * @param {string[]} [request.data.entryIds] - Entries to reject
+ * @param {string} [request.data.eventId] - Event ID (reject a whole day)
+ * @param {string} [request.data.date] - Date (YYYY-MM-DD, reject a whole day)
+ * @param {string} request.data.reason - Reason for rejecting (min 5 characters)
+ */
+export const rejectTimeEntries = onCall({ cors: true }, async (request) => {
+  const { reason } = request.data || {};
+
+  if (typeof reason !== 'string' || reason.trim().length < 5) {
+    throw new HttpsError('invalid-argument', 'Rejection reason must be at least 5 characters');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const admin = await verifyAdmin(db, request, 'reject hours');
+
+    const docs = await getReviewTargets(db, request.data);
+    docs.forEach(doc => assertOrganizationAccess(admin, doc.data().organizationId));
+    await assertTargetsUnlocked(db, docs);
+
+    const { updatedCount, skipped } = await reviewEntries(db, docs, {
+      status: 'rejected',
+      userId: request.auth.uid,
+      reason: reason.trim()
+    });
+
+    return {
+      success: true,
+      updatedCount,
+      skipped,
+      message: `Rejected ${updatedCount} ${updatedCount === 1 ? 'entry' : 'entries'}`
+    };
+  } catch (error) {
+    console.error('Reject entries error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Lock Review Day Cloud Function
+ * Freezes an event day once every entry has been reviewed. Until it is
+ * unlocked the day rejects check-ins, check-outs, edits, voids, review
+ * changes and student merges; auto check-out and hour recalculation skip it.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event ID
+ * @param {string} request.data.date - Date (YYYY-MM-DD)
+ */
+export const lockReviewDay = onCall({ cors: true }, async (request) => {
+  const { eventId, date } = request.data || {};
+
+  if (!eventId || !date) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: eventId and date');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const { event } = await assertEventAdmin(db, request.auth, eventId, 'lock a review day');
+
+    const lockRef = db.collection('reviewLocks').doc(getReviewLockId(eventId, date));
+    const lockDoc = await lockRef.get();
+    if (lockDoc.exists && lockDoc.data().locked) {
+      throw new HttpsError('already-exists', `Review for ${date} is already locked`);
+    }
+
+    const entriesSnapshot = await db.collection('timeEntries')
+      .where('eventId', '==', eventId)
+      .where('date', '==', date)
+      .get();
+    const unreviewed = entriesSnapshot.docs.filter(doc => needsReview(doc.data()));
+    if (unreviewed.length > 0) {
+      throw new HttpsError(
+        'failed-precondition',
+        `${unreviewed.length} ${unreviewed.length === 1 ? 'entry still needs' : 'entries still need'} review before the day can be locked`
+      );
+    }
+
+    const userId = request.auth.uid;
+    const history = lockDoc.exists ? lockDoc.data().history || [] : [];
+    await lockRef.set({
+      organizationId: event.organizationId,
+      eventId,
+      date,
+      locked: true,
+      lockedBy: userId,
+      lockedAt: Timestamp.now(),
+      history: [...history, { action: 'lock', by: userId, at: new Date().toISOString(), reason: null }]
+    });
+
+    return {
+      success: true,
+      message: `Review for ${date} locked`
+    };
+  } catch (error) {
+    console.error('Lock review day error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Unlock Review Day Cloud Function
+ * Re-opens a locked event day for edits. Admin only; a reason is recorded.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.eventId - Event ID
+ * @param {string} request.data.date - Date (YYYY-MM-DD)
+ * @param {string} request.data.reason - Reason for unlocking (min 5 characters)
+ */
+export const unlockReviewDay = onCall({ cors: true }, async (request) => {
+  const { eventId, date, reason } = request.data || {};
+
+  if (!eventId || !date) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: eventId and date');
+  }
+
+  if (typeof reason !== 'string' || reason.trim().length < 5) {
+    throw new HttpsError('invalid-argument', 'Unlock reason must be at least 5 characters');
+  }
+
+  const db = getFirestore();
+
+  try {
+    await assertEventAdmin(db, request.auth, eventId, 'unlock a review day');
+
+    const lockRef = db.collection('reviewLocks').doc(getReviewLockId(eventId, date));
+    const lockDoc = await lockRef.get();
+    if (!lockDoc.exists || !lockDoc.data().locked) {
+      throw new HttpsError('failed-precondition', `Review for ${date} is not locked`);
+    }
+
+    const userId = request.auth.uid;
+    await lockRef.update({
+      locked: false,
+      unlockedBy: userId,
+      unlockedAt: Timestamp.now(),
+      unlockReason: reason.trim(),
+      history: [
+        ...(lockDoc.data().history || []),
+        { action: 'unlock', by: userId, at: new Date().toISOString(), reason: reason.trim() }
+      ]
+    });
+
+    return {
+      success: true,
+      message: `Review for ${date} unlocked`
+    };
+  } catch (error) {
+    console.error('Unlock review day error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
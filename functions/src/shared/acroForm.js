@@ -0,0 +1,105 @@
+/**
+ * Bindings between a fillable PDF's own form fields (AcroForm) and report
+ * data, shared by the Cloud Functions and the frontend.
+ *
+ * A template's `formFields` list binds form fields by name:
+ * - `{ name, source: 'field', fieldKey }` - a static field key (student name, total hours...)
+ * - `{ name, source: 'table', table, row, columnKey, columnLabel }` - one cell of the
+ *   activity or detail table; `row` is 0-based
+ * - `{ name, source: 'custom', customValue }` - fixed text
+ * `flattenForm` turns the filled fields into page content so they can no
+ * longer be edited.
+ */
+
+import { TABLE_FIELD_TYPES, getOverflowPolicy } from './pdfOverflow.js';
+
+export const FORM_FIELD_SOURCES = ['field', 'table', 'custom'];
+
+/**
+ * Drops bindings that are incomplete or name no form field.
+ *
+ * @param {Object[]} [formFields] - The template's `formFields`
+ * @returns {Object[]}
+ */
+export function normalizeFormFieldBindings(formFields) {
+  return (formFields || []).filter((binding) => {
+    if (!binding?.name || !FORM_FIELD_SOURCES.includes(binding.source)) return false;
+    if (binding.source === 'field') return Boolean(binding.fieldKey);
+    if (binding.source === 'table') {
+      return TABLE_FIELD_TYPES.includes(binding.table) &&
+        Number.isInteger(binding.row) && binding.row >= 0 &&
+        Boolean(binding.columnKey);
+    }
+    return true;
+  });
+}
+
+/**
+ * @param {Object} binding - One normalized binding
+ * @param {Object} resolvers
+ * @param {(fieldKey: string) => string} resolvers.resolveField - Static field values
+ * @param {(table: string, columnKey: string, row: Object) => string} resolvers.resolveCell - Table cell values
+ * @param {{ activityTable?: Object[], detailTable?: Object[] }} resolvers.tableRows - Sorted rows per table
+ * @returns {string} Empty when a table cell has no row to show
+ */
+export function resolveFormFieldValue(binding, { resolveField, resolveCell, tableRows }) {
+  switch (binding.source) {
+    case 'field':
+      return String(resolveField(binding.fieldKey) ?? '');
+    case 'table': {
+      const row = tableRows[binding.table]?.[binding.row];
+      return row ? String(resolveCell(binding.table, binding.columnKey, row) ?? '') : '';
+    }
+    case 'custom':
+      return String(binding.customValue || '');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Whether a value should tick a check box: anything but blank, "0", "no",
+ * "false" or "off".
+ *
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isCheckedValue(value) {
+  return !['', '0', 'no', 'false', 'off'].includes(String(value ?? '').trim().toLowerCase());
+}
+
+/**
+ * Table rows past the last bound row, to be listed on the addendum page.
+ * Tables also drawn with a mapped table field overflow through it instead,
+ * and a template that truncates keeps them off.
+ *
+ * @param {Object[]} bindings - Normalized bindings
+ * @param {{ activityTable?: Object[], detailTable?: Object[] }} tableRows - Sorted rows per table
+ * @param {Object} [overflow] - The template's `overflow` setting
+ * @param {Object[]} [fields] - The template's drawn field mappings
+ * @returns {Array<{ field: { type: string, columns: Object[] }, rows: Object[] }>}
+ *   Same shape as planTableOverflow's addendum
+ */
+export function planFormTableOverflow(bindings, tableRows, overflow, fields = []) {
+  if (getOverflowPolicy(overflow).strategy === 'truncate') return [];
+
+  return TABLE_FIELD_TYPES
+    .filter((table) => !fields.some((field) => field.type === table))
+    .map((table) => {
+      const cells = bindings.filter((binding) => binding.source === 'table' && binding.table === table);
+      if (cells.length === 0) return null;
+
+      const capacity = Math.max(...cells.map((binding) => binding.row)) + 1;
+      const rows = (tableRows[table] || []).slice(capacity);
+      if (rows.length === 0) return null;
+
+      const columns = [];
+      cells.forEach((binding) => {
+        if (!columns.some((column) => column.key === binding.columnKey)) {
+          columns.push({ key: binding.columnKey, label: binding.columnLabel || binding.columnKey });
+        }
+      });
+      return { field: { type: table, columns }, rows };
+    })
+    .filter(Boolean);
+}
@@ -0,0 +1,47 @@
+/**
+ * Verification codes for signed (attested) hour forms, shared by the Cloud
+ * Functions and the frontend.
+ *
+ * When a supervisor signs a batch of generated forms, each form gets an
+ * `attestations` record keyed by a random code printed in its signature
+ * block with a link to the public /hours page. Codes use letters and digits
+ * that cannot be misread (no 0/O or 1/I) and are printed in groups of four;
+ * dashes, spaces and lowercase are ignored when one is typed back in.
+ */
+
+export const VERIFICATION_CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+
+export const VERIFICATION_CODE_LENGTH = 12;
+
+/**
+ * Query parameter of the /hours page that opens a code's verification
+ */
+export const VERIFY_QUERY_PARAM = 'verify';
+
+/**
+ * @param {string} input - A code as printed or typed
+ * @returns {string} The bare code, or '' when it is not a valid code
+ */
+export function normalizeVerificationCode(input) {
+  const code = String(input || '').toUpperCase().replace(/[\s-]/g, '');
+  if (code.length !== VERIFICATION_CODE_LENGTH) return '';
+  return Array.from(code).every((char) => VERIFICATION_CODE_ALPHABET.includes(char)) ? code : '';
+}
+
+/**
+ * @param {string} code - A bare code
+ * @returns {string} The code in groups of four ("ABCD-EFGH-JKLM")
+ */
+export function formatVerificationCode(code) {
+  return (String(code || '').match(/.{1,4}/g) || []).join('-');
+}
+
+/**
+ * @param {string} baseUrl - The app's public address; may be blank
+ * @param {string} code - A bare code
+ * @returns {string} Link to the code's verification, or the path alone without a base URL
+ */
+export function getVerificationUrl(baseUrl, code) {
+  const base = String(baseUrl || '').replace(/\/+$/, '');
+  return `${base}/hours?${VERIFY_QUERY_PARAM}=${formatVerificationCode(code)}`;
+}
@@ -0,0 +1,175 @@
+/**
+ * Automatic end-of-day check-out rules shared by the Cloud Functions and the
+ * frontend.
+ *
+ * The scheduled `autoCheckOut` function closes entries still open after
+ * their activity's cutoff. Each event's `autoCheckoutPolicy` picks the
+ * check-out time it records:
+ * - activity_end: the activity's end time
+ * - last_scan: the student's last scan of the day before the cutoff
+ * - zero_hours: the check-in time, so no hours count until an admin edits it
+ * Activities may set `autoCheckoutTime` ("HH:MM" on the event's wall clock);
+ * otherwise the cutoff is DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES after the end
+ * time. Activities ending before they start (20:00-07:00) run overnight, so
+ * their end time and cutoff fall on the day after the check-in, and no
+ * cutoff is ever more than the event's `maxShiftHours` after the check-in.
+ * Auto-closed entries use checkOutMethod 'auto' and the 'auto_checkout'
+ * flag, so they wait in Daily Review the next morning.
+ */
+
+import { calculateHours, toMillis } from './hourPolicy.js';
+import { getShiftPolicy, nextDateString } from './overnightShifts.js';
+import { formatTimeInTimeZone, getEventTimeZone, zonedTimeToDate } from './timeZones.js';
+
+export const AUTO_CHECKOUT_POLICIES = {
+  OFF: 'off',
+  ACTIVITY_END: 'activity_end',
+  LAST_SCAN: 'last_scan',
+  ZERO_HOURS: 'zero_hours',
+};
+
+export const AUTO_CHECKOUT_POLICY_LABELS = {
+  off: 'Off (check out from Daily Review)',
+  activity_end: 'Check out at the activity end time',
+  last_scan: 'Check out at the last scan seen',
+  zero_hours: 'Close with zero hours for review',
+};
+
+/**
+ * Minutes after the end time before an open entry is closed, when the
+ * activity sets no cutoff of its own
+ */
+export const DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES = 120;
+
+/**
+ * checkOutMethod written on auto-closed entries
+ */
+export const AUTO_CHECKOUT_METHOD = 'auto';
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):[0-5]\d$/;
+
+/**
+ * @param {Object} [event] - Event document
+ * @returns {string} The event's policy, 'off' for older or invalid events
+ */
+export function getAutoCheckoutPolicy(event) {
+  return Object.values(AUTO_CHECKOUT_POLICIES).includes(event?.autoCheckoutPolicy)
+    ? event.autoCheckoutPolicy
+    : AUTO_CHECKOUT_POLICIES.OFF;
+}
+
+/**
+ * @param {Object} [event] - Event document
+ * @param {string} activityId
+ * @returns {string} "HH:MM" the activity ends
+ */
+export function getActivityEndTime(event, activityId) {
+  const activity = event?.activities?.find(a => a.id === activityId);
+  return activity?.endTime || event?.typicalEndTime || '15:00';
+}
+
+/**
+ * @param {Object} [event] - Event document
+ * @param {string} activityId
+ * @returns {boolean} Whether the activity ends on the day after it starts
+ */
+export function isOvernightActivity(event, activityId) {
+  const activity = event?.activities?.find(a => a.id === activityId);
+  const startTime = activity?.startTime || event?.typicalStartTime;
+  return Boolean(startTime) && getActivityEndTime(event, activityId) < startTime;
+}
+
+/**
+ * Wall-clock cutoff after which an activity's open entries are closed.
+ *
+ * @param {Object} [event] - Event document
+ * @param {string} activityId
+ * @returns {string} "HH:MM"
+ */
+export function getAutoCheckoutTime(event, activityId) {
+  const activity = event?.activities?.find(a => a.id === activityId);
+  if (TIME_PATTERN.test(activity?.autoCheckoutTime || '')) return activity.autoCheckoutTime;
+
+  const [hours, minutes] = getActivityEndTime(event, activityId).split(':').map(Number);
+  const cutoff = Math.min(hours * 60 + minutes + DEFAULT_AUTO_CHECKOUT_GRACE_MINUTES, 23 * 60 + 59);
+  return `${String(Math.floor(cutoff / 60)).padStart(2, '0')}:${String(cutoff % 60).padStart(2, '0')}`;
+}
+
+/**
+ * When an open entry's activity ends and when the entry becomes due. Both
+ * move to the next day for overnight activities, for a cutoff set earlier
+ * than the end time, and for check-ins after the cutoff; the cutoff is then
+ * capped at the event's `maxShiftHours` after the check-in.
+ *
+ * @param {Object} entry - Open time entry ({ date, activityId, checkInTime })
+ * @param {Object} [event] - Event document
+ * @returns {{ endMs: number, cutoffMs: number }}
+ */
+function getShiftBounds(entry, event) {
+  const timeZone = getEventTimeZone(event);
+  const endTime = getActivityEndTime(event, entry.activityId);
+  const cutoffTime = getAutoCheckoutTime(event, entry.activityId);
+  const checkInMs = toMillis(entry.checkInTime);
+
+  let endDate = isOvernightActivity(event, entry.activityId) ? nextDateString(entry.date) : entry.date;
+  let cutoffDate = cutoffTime < endTime ? nextDateString(endDate) : endDate;
+  let endMs = zonedTimeToDate(endDate, endTime, timeZone).getTime();
+  let cutoffMs = zonedTimeToDate(cutoffDate, cutoffTime, timeZone).getTime();
+  if (Number.isFinite(checkInMs) && cutoffMs <= checkInMs) {
+    endDate = nextDateString(endDate);
+    cutoffDate = nextDateString(cutoffDate);
+    endMs = zonedTimeToDate(endDate, endTime, timeZone).getTime();
+    cutoffMs = zonedTimeToDate(cutoffDate, cutoffTime, timeZone).getTime();
+  }
+
+  if (Number.isFinite(checkInMs)) {
+    cutoffMs = Math.min(cutoffMs, checkInMs + getShiftPolicy(event).maxShiftHours * 60 * 60 * 1000);
+  }
+  return { endMs: Math.min(endMs, cutoffMs), cutoffMs };
+}
+
+/**
+ * The instant an entry becomes due for automatic check-out.
+ *
+ * @param {Object} entry - Open time entry ({ date, activityId, checkInTime })
+ * @param {Object} [event] - Event document
+ * @returns {Date}
+ */
+export function getAutoCheckoutCutoff(entry, event) {
+  return new Date(getShiftBounds(entry, event).cutoffMs);
+}
+
+/**
+ * The check-out an open entry gets under the event's policy.
+ *
+ * @param {Object} entry - Open time entry
+ * @param {Object} [event] - Event document
+ * @param {Object} [options]
+ * @param {Date|number|Object} [options.lastScanTime] - Student's latest scan that day, for last_scan
+ * @returns {{ checkOutTime: Date, hoursWorked: number, rawMinutes: number, description: string }|null}
+ *   null when the event's policy is off
+ */
+export function planAutoCheckout(entry, event, { lastScanTime } = {}) {
+  const policy = getAutoCheckoutPolicy(event);
+  if (policy === AUTO_CHECKOUT_POLICIES.OFF) return null;
+
+  const timeZone = getEventTimeZone(event);
+  const checkInMs = toMillis(entry.checkInTime);
+  const { endMs, cutoffMs } = getShiftBounds(entry, event);
+  let checkOutMs = checkInMs;
+  if (policy === AUTO_CHECKOUT_POLICIES.ACTIVITY_END) {
+    checkOutMs = endMs;
+  } else if (policy === AUTO_CHECKOUT_POLICIES.LAST_SCAN && lastScanTime) {
+    checkOutMs = Math.min(toMillis(lastScanTime), cutoffMs);
+  }
+  checkOutMs = Math.max(checkOutMs, checkInMs);
+
+  const { rounded, minutes } = calculateHours(checkInMs, checkOutMs, event?.hourRounding);
+  const checkOutTime = new Date(checkOutMs);
+  return {
+    checkOutTime,
+    hoursWorked: rounded,
+    rawMinutes: minutes,
+    description: `Automatic Check-Out at ${formatTimeInTimeZone(checkOutTime, timeZone)} (Checked in: ${formatTimeInTimeZone(checkInMs, timeZone)}). Policy: ${AUTO_CHECKOUT_POLICY_LABELS[policy]}`,
+  };
+}
@@ -0,0 +1,179 @@
+/**
+ * Per-event role assignments for adult volunteers, shared by the Cloud
+ * Functions and the scanner.
+ *
+ * A `users` profile stores `eventAssignments: { [eventId]: { role,
+ * activityIds, organizationId } }`:
+ * - scanner: checks students in and out of the listed activities, or of
+ *   every activity when the list is empty
+ * - station_lead: scans and force-checks-out only the listed activities
+ * - school_coordinator: can see who is still checked in but not record scans
+ *
+ * Admins are never restricted. Volunteers whose profile has no
+ * eventAssignments field (accounts from before assignments existed) keep
+ * scanning every event until an admin assigns them; an empty map means no
+ * event at all.
+ */
+
+export const EVENT_ROLES = {
+  SCANNER: 'scanner',
+  STATION_LEAD: 'station_lead',
+  SCHOOL_COORDINATOR: 'school_coordinator',
+};
+
+export const EVENT_ROLE_LABELS = {
+  scanner: 'Scanner',
+  station_lead: 'Station Lead',
+  school_coordinator: 'School Coordinator',
+};
+
+const isAdminProfile = (profile) => profile?.role === 'admin';
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+/**
+ * @param {Object} [profile] - admins or users document data
+ * @returns {boolean} Whether the profile is limited to its assigned events
+ */
+export function hasEventAssignments(profile) {
+  return !isAdminProfile(profile) && isObject(profile?.eventAssignments);
+}
+
+/**
+ * @param {Object} [profile] - admins or users document data
+ * @param {string} eventId
+ * @returns {Object|null} The volunteer's assignment for the event
+ */
+export function getEventAssignment(profile, eventId) {
+  if (!hasEventAssignments(profile)) return null;
+  const assignment = profile.eventAssignments[eventId];
+  return isObject(assignment) ? assignment : null;
+}
+
+/**
+ * Whether the profile may open the event at all (scan or view).
+ *
+ * @param {Object} [profile]
+ * @param {string} eventId
+ * @returns {boolean}
+ */
+export function canViewEvent(profile, eventId) {
+  return !hasEventAssignments(profile) || Boolean(getEventAssignment(profile, eventId));
+}
+
+/**
+ * Why the profile may not record a scan for the activity, or null when it may.
+ *
+ * @param {Object} [profile]
+ * @param {string} eventId
+ * @param {string} activityId
+ * @returns {string|null}
+ */
+export function getScanAccessError(profile, eventId, activityId) {
+  if (!hasEventAssignments(profile)) return null;
+
+  const assignment = getEventAssignment(profile, eventId);
+  if (!assignment) {
+    return 'You are not assigned to this event';
+  }
+  if (assignment.role === EVENT_ROLES.SCHOOL_COORDINATOR) {
+    return 'School coordinators have read-only access';
+  }
+  const activityIds = assignment.activityIds || [];
+  if (assignment.role === EVENT_ROLES.SCANNER && activityIds.length === 0) {
+    return null;
+  }
+  return activityIds.includes(activityId) ? null : 'You are not assigned to this activity';
+}
+
+/**
+ * @param {Object} [profile]
+ * @param {string} eventId
+ * @param {string} activityId
+ * @returns {boolean}
+ */
+export function canScanActivity(profile, eventId, activityId) {
+  return getScanAccessError(profile, eventId, activityId) === null;
+}
+
+/**
+ * Admins force a check-out anywhere; station leads only in their activities.
+ *
+ * @param {Object} [profile]
+ * @param {string} eventId
+ * @param {string} activityId
+ * @returns {boolean}
+ */
+export function canForceCheckOut(profile, eventId, activityId) {
+  if (isAdminProfile(profile)) return true;
+  const assignment = getEventAssignment(profile, eventId);
+  return assignment?.role === EVENT_ROLES.STATION_LEAD &&
+    (assignment.activityIds || []).includes(activityId);
+}
+
+/**
+ * Trims and de-duplicates an assignment list from the Users page into the
+ * stored map, dropping rows without an event.
+ *
+ * @param {Object[]} [assignments] - [{ eventId, role, activityIds }]
+ * @param {string} organizationId - Organization the events belong to
+ * @returns {Object} { [eventId]: { role, activityIds, organizationId } }
+ */
+export function normalizeEventAssignments(assignments = [], organizationId) {
+  return (assignments || []).reduce((map, assignment) => {
+    const eventId = String(assignment?.eventId || '').trim();
+    if (!eventId) return map;
+    const role = String(assignment?.role || '').trim();
+    map[eventId] = {
+      role,
+      activityIds: role === EVENT_ROLES.SCHOOL_COORDINATOR
+        ? []
+        : [...new Set((assignment?.activityIds || []).map(id => String(id).trim()).filter(Boolean))],
+      organizationId,
+    };
+    return map;
+  }, {});
+}
+
+/**
+ * Why an assignment map cannot be saved, or null when it is valid.
+ *
+ * @param {Object} assignments - Normalized assignment map
+ * @param {Object} [eventsById] - Events the assignments refer to, for names and activities
+ * @returns {string|null}
+ */
+export function getEventAssignmentsError(assignments, eventsById = {}) {
+  for (const [eventId, assignment] of Object.entries(assignments)) {
+    const event = eventsById[eventId];
+    const label = event?.name || eventId;
+    if (!Object.values(EVENT_ROLES).includes(assignment.role)) {
+      return `${label}: role must be one of ${Object.values(EVENT_ROLES).join(', ')}`;
+    }
+    if (assignment.role === EVENT_ROLES.STATION_LEAD && assignment.activityIds.length === 0) {
+      return `${label}: choose the activities this station lead runs`;
+    }
+    if (event) {
+      const activityIds = (event.activities || []).map(activity => activity.id);
+      const unknown = assignment.activityIds.find(id => !activityIds.includes(id));
+      if (unknown) {
+        return `${label}: activity ${unknown} does not exist`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * One line per assignment for the Users page and audit log,
+ * e.g. "Station Lead: Summer VBS (Crafts)"
+ *
+ * @param {Object} assignment
+ * @param {Object} [event] - The assigned event, for its name and activity names
+ * @returns {string}
+ */
+export function describeEventAssignment(assignment, event) {
+  const activityNames = (assignment.activityIds || [])
+    .map(id => event?.activities?.find(activity => activity.id === id)?.name || id);
+  const scope = activityNames.length > 0 ? ` (${activityNames.join(', ')})` : '';
+  return `${EVENT_ROLE_LABELS[assignment.role] || assignment.role}: ${event?.name || 'Unknown event'}${scope}`;
+}
@@ -0,0 +1,115 @@
+/**
+ * Parent/guardian contact rules shared by the Cloud Functions and the admin
+ * student forms.
+ *
+ * A student stores `guardians: [{ name, email, phone, optIn }]`. Only
+ * guardians who opted in are notified, by email and/or SMS depending on
+ * which contact details they gave.
+ */
+
+import { DEFAULT_TIME_ZONE, formatTimeInTimeZone } from './timeZones.js';
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const emptyGuardian = () => ({ name: '', email: '', phone: '', optIn: false });
+
+/**
+ * Trims guardian fields and drops rows with no name, email or phone.
+ *
+ * @param {Object[]} [guardians]
+ * @returns {Object[]}
+ */
+export function normalizeGuardians(guardians = []) {
+  return (guardians || [])
+    .map(guardian => ({
+      name: String(guardian?.name || '').trim(),
+      email: String(guardian?.email || '').trim().toLowerCase(),
+      phone: String(guardian?.phone || '').trim(),
+      optIn: Boolean(guardian?.optIn),
+    }))
+    .filter(guardian => guardian.name || guardian.email || guardian.phone);
+}
+
+/**
+ * Why a guardian list cannot be saved, or null when it is valid.
+ *
+ * @param {Object[]} guardians - Normalized guardians
+ * @returns {string|null}
+ */
+export function getGuardianError(guardians) {
+  for (const guardian of guardians) {
+    const label = guardian.name || guardian.email || guardian.phone;
+    if (guardian.email && !EMAIL_PATTERN.test(guardian.email)) {
+      return `${label}: enter a valid email address`;
+    }
+    if (guardian.phone && guardian.phone.replace(/\D/g, '').length < 10) {
+      return `${label}: enter a phone number with area code`;
+    }
+    if (guardian.optIn && !guardian.email && !guardian.phone) {
+      return `${label}: add an email or phone to send notifications`;
+    }
+  }
+  return null;
+}
+
+/**
+ * One line per guardian for previews, e.g. "Pat Lee (pat@example.com)"
+ *
+ * @param {Object} guardian
+ * @returns {string}
+ */
+export function describeGuardian(guardian) {
+  const contact = [guardian.email, guardian.phone].filter(Boolean).join(', ');
+  if (!guardian.name) return contact;
+  return contact ? `${guardian.name} (${contact})` : guardian.name;
+}
+
+/**
+ * Messages to send for a student: one per opted-in guardian per channel.
+ *
+ * @param {Object} student - Student document
+ * @returns {{ guardianName: string, channel: 'email'|'sms', to: string }[]}
+ */
+export function getGuardianRecipients(student) {
+  return normalizeGuardians(student?.guardians)
+    .filter(guardian => guardian.optIn)
+    .flatMap(guardian => [
+      ...(guardian.email ? [{ guardianName: guardian.name, channel: 'email', to: guardian.email }] : []),
+      ...(guardian.phone ? [{ guardianName: guardian.name, channel: 'sms', to: guardian.phone }] : []),
+    ]);
+}
+
+/**
+ * Subject and text for a check-in/out notification. SMS sends only the body.
+ *
+ * @param {Object} params
+ * @param {Object} params.student - Student document
+ * @param {string} params.trigger - 'check_in' | 'check_out' | 'forced_checkout'
+ * @param {Date} params.time - Check-in or check-out time
+ * @param {string} [params.eventName]
+ * @param {string} [params.timeZone] - Event's IANA zone for the time and date shown
+ * @returns {{ subject: string, body: string }}
+ */
+export function buildGuardianMessage({ student, trigger, time, eventName, timeZone = DEFAULT_TIME_ZONE }) {
+  const studentName = [student.firstName, student.lastName].filter(Boolean).join(' ');
+  const ofEvent = (preposition) => (eventName ? ` ${preposition} ${eventName}` : '');
+  const timeText = formatTimeInTimeZone(time, timeZone);
+  const dateText = time.toLocaleDateString('en-US', { month: 'short', day: 'numeric', timeZone });
+
+  if (trigger === 'check_in') {
+    return {
+      subject: `${student.firstName} checked in`,
+      body: `${studentName} checked in${ofEvent('at')} at ${timeText} on ${dateText}.`,
+    };
+  }
+  if (trigger === 'forced_checkout') {
+    return {
+      subject: `${student.firstName} was checked out`,
+      body: `${studentName} did not scan out${ofEvent('of')}, so a coordinator recorded a check-out at ${timeText} on ${dateText}.`,
+    };
+  }
+  return {
+    subject: `${student.firstName} checked out`,
+    body: `${studentName} checked out${ofEvent('of')} at ${timeText} on ${dateText}.`,
+  };
+}
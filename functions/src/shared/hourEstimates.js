@@ -0,0 +1,127 @@
+/**
+ * Friday form estimates shared by the Cloud Functions and the frontend.
+ * Per PRD Section 3.6.3: Friday Workflow with Form Assumption
+ *
+ * Forms are often printed before the last day ends. Open entries can then be
+ * credited with an estimated checkout, either the activity's end time or the
+ * student's average day. The estimate is stored on the entry and reconciled
+ * when the real checkout arrives, so a form that no longer matches is flagged
+ * for reprinting.
+ */
+
+import { calculateHours, roundHours, toMillis } from './hourPolicy.js';
+import { formatDateInTimeZone, getEventTimeZone, zonedTimeToDate } from './timeZones.js';
+
+/**
+ * How an open entry's checkout is projected
+ */
+export const ESTIMATE_METHODS = ['activity_end', 'average'];
+
+/**
+ * Hours assumed for a student with no completed days to average
+ * Per PRD Section 3.6.3
+ */
+export const DEFAULT_ESTIMATED_HOURS = 6;
+
+/**
+ * Whether an entry is still checked in and can be estimated.
+ *
+ * @param {Object} entry - Time entry
+ * @returns {boolean}
+ */
+export function isOpenEntry(entry) {
+  return !entry.isVoided && Boolean(entry.checkInTime) && !entry.checkOutTime;
+}
+
+/**
+ * Average hours per day over a student's completed entries. Voided and
+ * rejected entries are left out; several entries on one date count as one day.
+ *
+ * @param {Object[]} entries - The student's time entries
+ * @param {Object} [policy] - { increment, mode }
+ * @returns {number|null} Rounded average, or null with no completed days
+ */
+export function getAverageDailyHours(entries, policy) {
+  const dailyTotals = {};
+  entries
+    .filter(entry => !entry.isVoided && entry.checkOutTime && entry.reviewStatus !== 'rejected')
+    .forEach(entry => {
+      const { raw } = calculateHours(entry.checkInTime, entry.checkOutTime, policy);
+      if (Number.isFinite(raw) && raw > 0) {
+        const day = entry.date || new Date(toMillis(entry.checkInTime)).toDateString();
+        dailyTotals[day] = (dailyTotals[day] || 0) + raw;
+      }
+    });
+
+  const totals = Object.values(dailyTotals);
+  if (totals.length === 0) return null;
+  return roundHours(totals.reduce((sum, hours) => sum + hours, 0) / totals.length, policy);
+}
+
+function activityEndOnEntryDate(entry, event) {
+  const activity = event.activities?.find(a => a.id === entry.activityId);
+  const endTime = activity?.endTime || event.typicalEndTime || '15:00';
+  const timeZone = getEventTimeZone(event);
+
+  // Entry dates are calendar days in the event's time zone, like forced checkouts in Daily Review
+  const date = entry.date || formatDateInTimeZone(toMillis(entry.checkInTime), timeZone);
+  return zonedTimeToDate(date, endTime, timeZone);
+}
+
+/**
+ * Projects a checkout for an open entry.
+ * 'activity_end' uses the activity's end time on the entry date; when that is
+ * not after check-in (or the method is 'average') the student's average day is
+ * added to check-in instead, or DEFAULT_ESTIMATED_HOURS without history.
+ *
+ * @param {Object} entry - Open time entry
+ * @param {Object} event - Event with activities, hourRounding and timeZone
+ * @param {string} method - One of ESTIMATE_METHODS
+ * @param {number|null} averageHours - From getAverageDailyHours
+ * @returns {{ checkOutTime: Date, hoursWorked: number, basis: string }}
+ *   basis is 'activity_end', 'average' or 'default'
+ */
+export function estimateCheckOut(entry, event, method, averageHours) {
+  const checkInMs = toMillis(entry.checkInTime);
+  let checkOutTime;
+  let basis;
+
+  if (method === 'activity_end') {
+    const activityEnd = activityEndOnEntryDate(entry, event);
+    if (activityEnd.getTime() > checkInMs) {
+      checkOutTime = activityEnd;
+      basis = 'activity_end';
+    }
+  }
+
+  if (!checkOutTime) {
+    const hours = averageHours || DEFAULT_ESTIMATED_HOURS;
+    checkOutTime = new Date(checkInMs + hours * 60 * 60 * 1000);
+    basis = averageHours ? 'average' : 'default';
+  }
+
+  const { rounded } = calculateHours(checkInMs, checkOutTime, event.hourRounding);
+  return { checkOutTime, hoursWorked: rounded, basis };
+}
+
+/**
+ * Compares a real checkout with the estimate printed on a form.
+ *
+ * @param {Object} entry - Time entry being checked out
+ * @param {number} actualHours - Rounded hours from the real checkout
+ * @returns {Object|null} { batchId, estimatedHours, actualHours, difference, needsReprint },
+ *   or null when the entry was never estimated
+ */
+export function getEstimateReconciliation(entry, actualHours) {
+  const estimate = entry?.estimatedCheckOut;
+  if (!estimate) return null;
+
+  const difference = Math.round((actualHours - estimate.hoursWorked) * 100) / 100;
+  return {
+    batchId: estimate.batchId || null,
+    estimatedHours: estimate.hoursWorked,
+    actualHours,
+    difference,
+    needsReprint: difference !== 0,
+  };
+}
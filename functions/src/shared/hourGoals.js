@@ -0,0 +1,161 @@
+/**
+ * Service-hour goals shared by the Cloud Functions and the frontend.
+ *
+ * Schools and honor societies (NJHS, NHS, Bright Futures) require a number
+ * of hours on the form we sign for an event. A PDF template may set
+ * `hourGoal` for every student who uses that form, and a student may set
+ * their own `hourGoal`, which wins. Progress is measured against the event's
+ * hours, the total the form reports: getFormCreditedHours.
+ */
+
+import { getEntryHours } from './hourPolicy.js';
+import { isCreditedEntry } from './reviewStatus.js';
+import { getEventTimeZone, getTodayInTimeZone } from './timeZones.js';
+
+/**
+ * Largest goal an admin may enter
+ */
+export const MAX_HOUR_GOAL = 1000;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Parses a goal from a form input or document field.
+ *
+ * @param {string|number|null} [value]
+ * @returns {number|null} The goal, or null when blank or out of range
+ */
+export function normalizeHourGoal(value) {
+  if (value === null || value === undefined || value === '') return null;
+  const hours = Number(value);
+  return Number.isFinite(hours) && hours > 0 && hours <= MAX_HOUR_GOAL ? hours : null;
+}
+
+/**
+ * The goal that applies to a student: their own, else their form's.
+ *
+ * @param {Object} [student] - Student document
+ * @param {Object} [template] - The student's effective PDF template
+ * @returns {{ goalHours: number, source: 'student'|'form', formName: string|null }|null}
+ */
+export function getHourGoal(student, template) {
+  const studentGoal = normalizeHourGoal(student?.hourGoal);
+  if (studentGoal) return { goalHours: studentGoal, source: 'student', formName: null };
+
+  const formGoal = normalizeHourGoal(template?.hourGoal);
+  if (formGoal) return { goalHours: formGoal, source: 'form', formName: template.name || null };
+
+  return null;
+}
+
+/**
+ * Entries a student's form for the event counts: approved and checked out
+ * (isCreditedEntry), under one of the event's activities.
+ *
+ * @param {Object[]} entries - The student's time entries for the event
+ * @param {Object} [event] - Event document
+ * @returns {Object[]}
+ */
+export function getFormCreditedEntries(entries, event) {
+  const activityIds = event?.activities ? new Set(event.activities.map(activity => activity.id)) : null;
+  return (entries || []).filter(entry => isCreditedEntry(entry) && (!activityIds || activityIds.has(entry.activityId)));
+}
+
+/**
+ * The total a student's form for the event reports: credited entry hours
+ * under the event's rounding plus the student's `overrideHours`.
+ *
+ * @param {Object[]} entries - The student's time entries for the event
+ * @param {Object} [student] - Student document
+ * @param {Object} [event] - Event document
+ * @returns {number} Rounded to two decimals
+ */
+export function getFormCreditedHours(entries, student, event) {
+  const hours = getFormCreditedEntries(entries, event)
+    .reduce((sum, entry) => sum + getEntryHours(entry, event?.hourRounding), 0);
+  return Math.round((hours + (parseFloat(student?.overrideHours) || 0)) * 100) / 100;
+}
+
+/**
+ * @param {number} totalHours - Hours credited so far
+ * @param {Object|null} goal - From getHourGoal
+ * @returns {{ goalHours: number, totalHours: number, remainingHours: number, percent: number, reached: boolean }|null}
+ */
+export function getGoalProgress(totalHours, goal) {
+  if (!goal) return null;
+  const hours = Number(totalHours) || 0;
+  return {
+    goalHours: goal.goalHours,
+    totalHours: hours,
+    remainingHours: Math.max(0, Math.round((goal.goalHours - hours) * 100) / 100),
+    percent: Math.min(100, Math.round((hours / goal.goalHours) * 100)),
+    reached: hours >= goal.goalHours,
+  };
+}
+
+/**
+ * First and last day of the event, from its activity dates.
+ *
+ * @param {Object} [event] - Event document
+ * @returns {{ startDate: string, endDate: string }|null} null when the event has no dates
+ */
+export function getEventDateRange(event) {
+  const activities = event?.activities || [];
+  const starts = activities.map(activity => activity.startDate).filter(Boolean).sort();
+  const ends = activities.map(activity => activity.endDate).filter(Boolean).sort();
+  const startDate = event?.startDate || starts[0];
+  const endDate = event?.endDate || ends.at(-1);
+  return startDate && endDate && startDate <= endDate ? { startDate, endDate } : null;
+}
+
+function daysBetween(startDate, endDate) {
+  return Math.round((Date.parse(`${endDate}T00:00:00Z`) - Date.parse(`${startDate}T00:00:00Z`)) / DAY_MS) + 1;
+}
+
+/**
+ * Hours a student will have at the end of the event if they keep their
+ * pace so far (hours per event day, counting today).
+ *
+ * @param {number} totalHours - Hours credited so far
+ * @param {Object} [event] - Event document (dates and time zone)
+ * @param {string} [today] - "YYYY-MM-DD" on the event's calendar
+ * @returns {number|null} null before the event starts or when it has no dates
+ */
+export function projectEventHours(totalHours, event, today = getTodayInTimeZone(getEventTimeZone(event))) {
+  const range = getEventDateRange(event);
+  if (!range || today < range.startDate) return null;
+  const hours = Number(totalHours) || 0;
+  if (today >= range.endDate) return hours;
+
+  const elapsedDays = daysBetween(range.startDate, today);
+  const totalDays = daysBetween(range.startDate, range.endDate);
+  return Math.round((hours / elapsedDays) * totalDays * 100) / 100;
+}
+
+/**
+ * Students whose projected hours fall short of their goal, furthest behind
+ * first.
+ *
+ * @param {Array<{ student: Object, totalHours: number, goal: Object|null }>} rows
+ * @param {Object} [event] - Event document
+ * @param {string} [today] - "YYYY-MM-DD" on the event's calendar
+ * @returns {Array<{ student: Object, goal: Object, progress: Object, projectedHours: number, shortfallHours: number }>}
+ */
+export function getProjectedShortfalls(rows, event, today) {
+  return rows
+    .map(({ student, totalHours, goal }) => {
+      const progress = getGoalProgress(totalHours, goal);
+      if (!progress || progress.reached) return null;
+      const projectedHours = projectEventHours(totalHours, event, today);
+      if (projectedHours === null || projectedHours >= goal.goalHours) return null;
+      return {
+        student,
+        goal,
+        progress,
+        projectedHours,
+        shortfallHours: Math.round((goal.goalHours - projectedHours) * 100) / 100,
+      };
+    })
+    .filter(Boolean)
+    .sort((a, b) => b.shortfallHours - a.shortfallHours);
+}
@@ -0,0 +1,201 @@
+/**
+ * Hour rounding and flagging rules shared by the Cloud Functions and the
+ * frontend.
+ *
+ * Keep this module free of Firebase and Node-only imports so it runs in both
+ * environments. Bump HOUR_POLICY_VERSION whenever the calculation changes so
+ * stored entries can be told apart and recomputed by recalculateEventHours.
+ */
+
+import { getMinutesOfDay } from './timeZones.js';
+
+export const HOUR_POLICY_VERSION = 1;
+
+/**
+ * Allowed rounding increments (in hours). `0` means no rounding.
+ */
+export const ROUNDING_INCREMENTS = [0, 0.25, 0.5];
+
+/**
+ * Allowed rounding modes.
+ */
+export const ROUNDING_MODES = ['nearest', 'down'];
+
+/**
+ * Policy used when an event has no `hourRounding` configured.
+ */
+export const DEFAULT_ROUNDING_POLICY = Object.freeze({ increment: 0.25, mode: 'nearest' });
+
+/**
+ * Minutes outside the typical start/end before an entry is flagged
+ * Per PRD Section 3.4.2
+ */
+export const FLAG_THRESHOLD_MINUTES = 15;
+
+/**
+ * Normalizes an event's `hourRounding` setting, falling back to the default
+ * for missing or unknown values.
+ *
+ * @param {Object} [policy] - { increment, mode }
+ * @returns {{ increment: number, mode: string }}
+ */
+export function normalizeRoundingPolicy(policy) {
+  const increment = ROUNDING_INCREMENTS.includes(policy?.increment)
+    ? policy.increment
+    : DEFAULT_ROUNDING_POLICY.increment;
+  const mode = ROUNDING_MODES.includes(policy?.mode)
+    ? policy.mode
+    : DEFAULT_ROUNDING_POLICY.mode;
+  return { increment, mode };
+}
+
+/**
+ * Rounds a number of hours under a rounding policy.
+ *
+ * @param {number} hours - Unrounded hours
+ * @param {Object} [policy] - { increment, mode }
+ * @returns {number}
+ */
+export function roundHours(hours, policy) {
+  const { increment, mode } = normalizeRoundingPolicy(policy);
+  if (!increment) {
+    return Math.round(hours * 100) / 100;
+  }
+
+  const steps = hours / increment;
+  // Guard against floating point noise (e.g. 5.999999 steps) before flooring
+  const rounded = mode === 'down'
+    ? Math.floor(Math.round(steps * 1e6) / 1e6)
+    : Math.round(steps);
+  return rounded * increment;
+}
+
+/**
+ * Epoch millis for a Date, epoch millis, ISO string or Firestore Timestamp.
+ *
+ * @param {*} value - Time value
+ * @returns {number} NaN when missing
+ */
+export function toMillis(value) {
+  if (value === null || value === undefined) return Number.NaN;
+  if (typeof value === 'number') return value;
+  if (typeof value.toMillis === 'function') return value.toMillis();
+  if (value instanceof Date) return value.getTime();
+  if (typeof value.seconds === 'number') return value.seconds * 1000;
+  return new Date(value).getTime();
+}
+
+/**
+ * Calculate hours worked between two instants under a rounding policy.
+ * Accepts Dates, epoch millis, ISO strings or Firestore Timestamps.
+ *
+ * @param {*} checkIn - Check-in time
+ * @param {*} checkOut - Check-out time
+ * @param {Object} [policy] - { increment, mode }
+ * @returns {Object} { rounded, raw, minutes }
+ */
+export function calculateHours(checkIn, checkOut, policy) {
+  const minutes = Math.floor((toMillis(checkOut) - toMillis(checkIn)) / 1000 / 60);
+  const hours = minutes / 60;
+
+  return {
+    rounded: roundHours(hours, policy), // 6.25
+    raw: hours,                          // 6.216666...
+    minutes                              // 373
+  };
+}
+
+// Minutes since midnight of a timestamp, on the event's wall clock when a
+// time zone is given and the runtime's otherwise
+function minutesOfDay(date, timeZone) {
+  return timeZone ? getMinutesOfDay(date, timeZone) : date.getHours() * 60 + date.getMinutes();
+}
+
+function toMinutes(time) {
+  const [hour, min] = time.split(':');
+  return parseInt(hour) * 60 + parseInt(min);
+}
+
+/**
+ * Check if check-in time should be flagged
+ * Per PRD Section 3.4.2: Flag if >15 min before typical start
+ *
+ * @param {Date} checkInTime - Check-in timestamp
+ * @param {string} typicalStart - Typical start time (e.g., "09:00")
+ * @param {string} [timeZone] - Event's IANA time zone
+ * @returns {boolean}
+ */
+export function isEarlyArrival(checkInTime, typicalStart, timeZone) {
+  return minutesOfDay(checkInTime, timeZone) < toMinutes(typicalStart) - FLAG_THRESHOLD_MINUTES;
+}
+
+/**
+ * Check if check-out time should be flagged
+ * Per PRD Section 3.4.2: Flag if >15 min after typical end
+ *
+ * @param {Date} checkOutTime - Check-out timestamp
+ * @param {string} typicalEnd - Typical end time (e.g., "15:00")
+ * @param {string} [timeZone] - Event's IANA time zone
+ * @returns {boolean}
+ */
+export function isLateStay(checkOutTime, typicalEnd, timeZone) {
+  return minutesOfDay(checkOutTime, timeZone) > toMinutes(typicalEnd) + FLAG_THRESHOLD_MINUTES;
+}
+
+/**
+ * Flags raised when a student checks in
+ *
+ * @param {Date} checkInTime - Check-in timestamp
+ * @param {string} [typicalStart] - Typical start time (e.g., "09:00")
+ * @param {string} [timeZone] - Event's IANA time zone
+ * @returns {string[]}
+ */
+export function getCheckInFlags(checkInTime, typicalStart = '09:00', timeZone) {
+  return isEarlyArrival(checkInTime, typicalStart, timeZone) ? ['early_arrival'] : [];
+}
+
+/**
+ * Flags raised when a student checks out
+ *
+ * @param {Date} checkOutTime - Check-out timestamp
+ * @param {string} [typicalEnd] - Typical end time (e.g., "15:00")
+ * @param {string} [timeZone] - Event's IANA time zone
+ * @returns {string[]}
+ */
+export function getCheckOutFlags(checkOutTime, typicalEnd = '15:00', timeZone) {
+  return isLateStay(checkOutTime, typicalEnd, timeZone) ? ['late_stay'] : [];
+}
+
+/**
+ * Get flags for a time entry
+ * @param {Date} checkInTime - Check-in timestamp
+ * @param {Date|null} checkOutTime - Check-out timestamp
+ * @param {string} typicalStart - Typical start time (e.g., "09:00")
+ * @param {string} typicalEnd - Typical end time (e.g., "15:00")
+ * @param {string} [timeZone] - Event's IANA time zone
+ * @returns {string[]} Array of flags
+ */
+export function getTimeEntryFlags(checkInTime, checkOutTime, typicalStart, typicalEnd, timeZone) {
+  return [
+    ...getCheckInFlags(checkInTime, typicalStart, timeZone),
+    ...(checkOutTime ? getCheckOutFlags(checkOutTime, typicalEnd, timeZone) : []),
+  ];
+}
+
+/**
+ * Credited hours for a completed entry under the event's policy.
+ * Computed from timestamps when both are present so stored values from an
+ * older policy version never leak into totals.
+ *
+ * @param {Object} entry - Time entry with checkInTime/checkOutTime/hoursWorked
+ * @param {Object} [policy] - { increment, mode }
+ * @returns {number}
+ */
+export function getEntryHours(entry, policy) {
+  if (entry.checkInTime && entry.checkOutTime) {
+    const { rounded, minutes } = calculateHours(entry.checkInTime, entry.checkOutTime, policy);
+    return Number.isFinite(minutes) && minutes > 0 ? rounded : 0;
+  }
+
+  return typeof entry.hoursWorked === 'number' ? entry.hoursWorked : 0;
+}
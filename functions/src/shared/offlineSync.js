@@ -0,0 +1,45 @@
+/**
+ * Rules for scans queued offline and replayed later, shared by the Cloud
+ * Functions and the frontend.
+ *
+ * A replayed scan carries the client time of the original scan. The functions
+ * only trust that time inside a bounded window so a device with a wrong clock,
+ * or a queue left for days, can't backdate hours.
+ */
+
+// Oldest queued scan that may still be replayed with its original time
+export const OFFLINE_SYNC_WINDOW_MS = 24 * 60 * 60 * 1000;
+
+// Tolerance for device clocks running slightly ahead of the server
+export const MAX_CLOCK_SKEW_MS = 5 * 60 * 1000;
+
+/**
+ * Validates a client-supplied scan time.
+ *
+ * @param {number} clientTimestamp - Scan time in epoch milliseconds
+ * @param {number} [now] - Current server time in epoch milliseconds
+ * @returns {string|null} Error message, or null when the time is acceptable
+ */
+export function getClientScanTimeError(clientTimestamp, now = Date.now()) {
+  if (typeof clientTimestamp !== 'number' || !Number.isFinite(clientTimestamp)) {
+    return 'clientTimestamp must be epoch milliseconds';
+  }
+  if (clientTimestamp > now + MAX_CLOCK_SKEW_MS) {
+    return 'Scan time is in the future. Check the device clock.';
+  }
+  if (clientTimestamp < now - OFFLINE_SYNC_WINDOW_MS) {
+    return 'Offline scan is more than 24 hours old and can no longer be synced. Add it as a manual entry instead.';
+  }
+  return null;
+}
+
+/**
+ * Whether a queued scan is too old to replay.
+ *
+ * @param {number} clientTimestamp - Scan time in epoch milliseconds
+ * @param {number} [now] - Current time in epoch milliseconds
+ * @returns {boolean}
+ */
+export function isOfflineScanExpired(clientTimestamp, now = Date.now()) {
+  return clientTimestamp < now - OFFLINE_SYNC_WINDOW_MS;
+}
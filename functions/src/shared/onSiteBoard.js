@@ -0,0 +1,101 @@
+/**
+ * "On Site Now" board rules shared by the Cloud Functions and the frontend.
+ *
+ * `getOnSiteBoard` lists the open entries of an event grouped by activity,
+ * using the same open-entry window as check-out: today's entries plus
+ * overnight shifts still inside the event's `maxShiftHours`. The board page
+ * ticks elapsed times locally between refreshes and highlights anyone still
+ * checked in after their activity's end time.
+ */
+
+import { toMillis } from './hourPolicy.js';
+import { getShiftPolicy, isWithinMaxShift } from './overnightShifts.js';
+import { formatDateInTimeZone, getEventTimeZone, zonedTimeToDate } from './timeZones.js';
+
+/**
+ * How often the board page reloads the open entries
+ */
+export const ON_SITE_REFRESH_MS = 30000;
+
+/**
+ * Whether an entry still counts as on site at `now`.
+ *
+ * @param {Object} entry - Time entry
+ * @param {Object} [event] - Event document (time zone and shift limit)
+ * @param {Date|number} [now]
+ * @returns {boolean}
+ */
+export function isOnSite(entry, event, now = new Date()) {
+  if (entry.isVoided || entry.checkOutTime || !entry.checkInTime) return false;
+  if (entry.date === formatDateInTimeZone(now, getEventTimeZone(event))) return true;
+  return isWithinMaxShift(entry.checkInTime, now, getShiftPolicy(event).maxShiftHours);
+}
+
+/**
+ * Open entries grouped by activity, in the event's activity order. Entries
+ * for activities no longer on the event are grouped under their ID.
+ *
+ * @param {Object[]} entries - Time entries with `id` and `studentName`
+ * @param {Object} [event] - Event document
+ * @param {Date|number} [now]
+ * @returns {Array<{ activityId: string, activityName: string, endTime: string, entries: Object[] }>}
+ *   Earliest check-in first within each activity
+ */
+export function groupOnSiteEntries(entries, event, now = new Date()) {
+  const activities = event?.activities || [];
+  const groups = new Map(activities.map(activity => [activity.id, {
+    activityId: activity.id,
+    activityName: activity.name || activity.id,
+    endTime: activity.endTime || event?.typicalEndTime || '15:00',
+    entries: [],
+  }]));
+
+  entries.filter(entry => isOnSite(entry, event, now)).forEach(entry => {
+    if (!groups.has(entry.activityId)) {
+      groups.set(entry.activityId, {
+        activityId: entry.activityId,
+        activityName: entry.activityId || 'Unknown activity',
+        endTime: event?.typicalEndTime || '15:00',
+        entries: [],
+      });
+    }
+    groups.get(entry.activityId).entries.push(entry);
+  });
+
+  return [...groups.values()].map(group => ({
+    ...group,
+    entries: group.entries.sort((a, b) => toMillis(a.checkInTime) - toMillis(b.checkInTime)),
+  }));
+}
+
+/**
+ * @param {Date|number|Object} checkInTime
+ * @param {Date|number} [now]
+ * @returns {number} Whole minutes since check-in, never negative
+ */
+export function getElapsedMinutes(checkInTime, now = new Date()) {
+  return Math.max(0, Math.floor((toMillis(now) - toMillis(checkInTime)) / 60000));
+}
+
+/**
+ * Whether `now` is past the activity's end time on the entry's date.
+ *
+ * @param {Object} entry - Open time entry ({ date })
+ * @param {string} endTime - "HH:MM" on the event's wall clock
+ * @param {string} [timeZone]
+ * @param {Date|number} [now]
+ * @returns {boolean}
+ */
+export function isPastEndTime(entry, endTime, timeZone, now = new Date()) {
+  if (!entry.date || !endTime) return false;
+  return toMillis(now) > zonedTimeToDate(entry.date, endTime, timeZone).getTime();
+}
+
+/**
+ * @param {number} minutes
+ * @returns {string} e.g. "45m" or "2h 05m"
+ */
+export function formatElapsed(minutes) {
+  if (minutes < 60) return `${minutes}m`;
+  return `${Math.floor(minutes / 60)}h ${String(minutes % 60).padStart(2, '0')}m`;
+}
@@ -0,0 +1,163 @@
+/**
+ * Overnight shift rules shared by the Cloud Functions and the frontend.
+ *
+ * Lock-ins and mission-trip nights check out after midnight. A check-out
+ * matches the student's latest open entry of any date, as long as the
+ * check-in is within the event's `maxShiftHours`. Each event's
+ * `overnightPolicy` then decides where the hours go:
+ * - check_in_date: one entry, all hours counted on the check-in date
+ * - split_at_midnight: the entry is closed at midnight (event time zone) and
+ *   a continuation segment is added for each later day, so every day gets
+ *   its own hours
+ * Either way the entry records `spanDates`, every date the shift touched,
+ * so Daily Review can show it on each of them.
+ */
+
+import { calculateHours, toMillis } from './hourPolicy.js';
+import { formatDateInTimeZone, getEventTimeZone, zonedTimeToDate } from './timeZones.js';
+
+export const OVERNIGHT_POLICIES = {
+  CHECK_IN_DATE: 'check_in_date',
+  SPLIT_AT_MIDNIGHT: 'split_at_midnight',
+};
+
+export const OVERNIGHT_POLICY_LABELS = {
+  check_in_date: 'Count all hours on the check-in date',
+  split_at_midnight: 'Split hours at midnight',
+};
+
+/**
+ * Longest shift a check-out may close when the event sets no limit
+ */
+export const DEFAULT_MAX_SHIFT_HOURS = 16;
+
+/**
+ * Upper bound on an event's maxShiftHours (a three-day retreat)
+ */
+export const MAX_SHIFT_HOURS_LIMIT = 72;
+
+/**
+ * The event's shift length limit and overnight policy, with defaults for
+ * events saved before overnight shifts existed.
+ *
+ * @param {Object} [event] - Event document
+ * @returns {{ maxShiftHours: number, overnightPolicy: string }}
+ */
+export function getShiftPolicy(event) {
+  const maxShiftHours = Number(event?.maxShiftHours);
+  return {
+    maxShiftHours: maxShiftHours > 0 && maxShiftHours <= MAX_SHIFT_HOURS_LIMIT
+      ? maxShiftHours
+      : DEFAULT_MAX_SHIFT_HOURS,
+    overnightPolicy: Object.values(OVERNIGHT_POLICIES).includes(event?.overnightPolicy)
+      ? event.overnightPolicy
+      : OVERNIGHT_POLICIES.CHECK_IN_DATE,
+  };
+}
+
+/**
+ * Whether a check-out at `checkOutTime` may close a shift that began at
+ * `checkInTime`. Only the length is checked; a check-out before the
+ * check-in is refused separately.
+ *
+ * @param {Date|number|Object} checkInTime
+ * @param {Date|number|Object} checkOutTime
+ * @param {number} [maxShiftHours]
+ * @returns {boolean}
+ */
+export function isWithinMaxShift(checkInTime, checkOutTime, maxShiftHours = DEFAULT_MAX_SHIFT_HOURS) {
+  const elapsed = toMillis(checkOutTime) - toMillis(checkInTime);
+  return elapsed <= maxShiftHours * 60 * 60 * 1000;
+}
+
+/**
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {string} The following calendar day
+ */
+export function nextDateString(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  return new Date(Date.UTC(year, month - 1, day + 1)).toISOString().slice(0, 10);
+}
+
+/**
+ * Cuts a shift at each midnight in the zone.
+ *
+ * @param {Date|number|Object} checkInTime
+ * @param {Date|number|Object} checkOutTime
+ * @param {string} [timeZone]
+ * @returns {Array<{ date: string, start: Date, end: Date }>} One part per calendar day
+ */
+export function getShiftDays(checkInTime, checkOutTime, timeZone) {
+  const endMs = toMillis(checkOutTime);
+  const days = [];
+  let start = new Date(toMillis(checkInTime));
+  while (start.getTime() < endMs || days.length === 0) {
+    const date = formatDateInTimeZone(start, timeZone);
+    const midnight = zonedTimeToDate(nextDateString(date), '00:00', timeZone);
+    const end = new Date(Math.min(midnight.getTime(), endMs));
+    days.push({ date, start, end });
+    start = midnight;
+  }
+  return days;
+}
+
+/**
+ * Every date a shift touched, or null when it stayed on one day.
+ *
+ * @param {Date|number|Object} checkInTime
+ * @param {Date|number|Object} checkOutTime
+ * @param {string} [timeZone]
+ * @returns {string[]|null}
+ */
+export function getSpanDates(checkInTime, checkOutTime, timeZone) {
+  if (!checkInTime || !checkOutTime) return null;
+  const dates = getShiftDays(checkInTime, checkOutTime, timeZone).map(day => day.date);
+  return dates.length > 1 ? dates : null;
+}
+
+/**
+ * How closing a shift is recorded under the event's overnight policy. With
+ * split_at_midnight a cross-midnight shift yields one segment per day, each
+ * rounded on its own; otherwise a single segment covers the whole shift.
+ *
+ * @param {Date|number|Object} checkInTime
+ * @param {Date|number|Object} checkOutTime
+ * @param {Object} [event] - Event document (time zone, rounding and shift policy)
+ * @returns {{ spanDates: string[]|null, segments: Array<{ date: string, checkInTime: Date, checkOutTime: Date, hoursWorked: number, rawMinutes: number }> }}
+ */
+export function planShiftClose(checkInTime, checkOutTime, event) {
+  const timeZone = getEventTimeZone(event);
+  const spanDates = getSpanDates(checkInTime, checkOutTime, timeZone);
+  const days = spanDates && getShiftPolicy(event).overnightPolicy === OVERNIGHT_POLICIES.SPLIT_AT_MIDNIGHT
+    ? getShiftDays(checkInTime, checkOutTime, timeZone)
+    : [{ date: formatDateInTimeZone(toMillis(checkInTime), timeZone), start: new Date(toMillis(checkInTime)), end: new Date(toMillis(checkOutTime)) }];
+
+  return {
+    spanDates,
+    segments: days.map(day => {
+      const { rounded, minutes } = calculateHours(day.start, day.end, event?.hourRounding);
+      return { date: day.date, checkInTime: day.start, checkOutTime: day.end, hoursWorked: rounded, rawMinutes: minutes };
+    }),
+  };
+}
+
+/**
+ * Entries from earlier dates that ran into `date`: shifts closed after its
+ * midnight with all hours on the check-in date, and open entries checked in
+ * recently enough to still be on site. Split shifts are left out, since
+ * their continuation segment is dated `date` itself.
+ *
+ * @param {Object[]} entries - Time entries
+ * @param {string} date - "YYYY-MM-DD" being reviewed
+ * @param {Object} [event] - Event document
+ * @returns {Object[]}
+ */
+export function getCarriedOverEntries(entries, date, event) {
+  const dayStart = zonedTimeToDate(date, '00:00', getEventTimeZone(event));
+  const { maxShiftHours } = getShiftPolicy(event);
+  return entries.filter(entry => {
+    if (entry.isVoided || !entry.checkInTime || !entry.date || entry.date >= date) return false;
+    if (entry.checkOutTime) return !entry.nextSegmentId && Boolean(entry.spanDates?.includes(date));
+    return isWithinMaxShift(entry.checkInTime, dayStart, maxShiftHours);
+  });
+}
@@ -0,0 +1,102 @@
+/**
+ * Font rules for PDF templates, shared by the Cloud Functions and the
+ * frontend.
+ *
+ * A template prints with Helvetica unless it sets `font`, an uploaded
+ * TrueType or OpenType file (`{ name, fileName, storagePath, downloadURL }`)
+ * embedded and subset with fontkit. Static fields and table columns may set
+ * `bold` and `align` ('left', 'center' or 'right' of their x position).
+ * Characters the font cannot draw are replaced, so one unusual name never
+ * stops a form or a batch from printing.
+ */
+
+export const TEXT_ALIGNMENTS = ['left', 'center', 'right'];
+
+export const TEXT_ALIGNMENT_LABELS = {
+  left: 'Left',
+  center: 'Center',
+  right: 'Right',
+};
+
+export const FONT_FILE_EXTENSIONS = ['.ttf', '.otf'];
+
+// Stand-ins for letters and punctuation that have no accent-free decomposition
+const CHARACTER_FALLBACKS = {
+  '‘': "'",
+  '’': "'",
+  '“': '"',
+  '”': '"',
+  '–': '-',
+  '—': '-',
+  '…': '...',
+  'ß': 'ss',
+  'Æ': 'AE',
+  'æ': 'ae',
+  'Œ': 'OE',
+  'œ': 'oe',
+  'Ø': 'O',
+  'ø': 'o',
+  'Đ': 'D',
+  'đ': 'd',
+  'Ł': 'L',
+  'ł': 'l',
+};
+
+const COMBINING_MARKS = /[\u0300-\u036f]/g;
+
+/**
+ * @param {string} [fileName]
+ * @returns {boolean} Whether the file looks like a TrueType or OpenType font
+ */
+export function isFontFileName(fileName) {
+  const lower = String(fileName || '').toLowerCase();
+  return FONT_FILE_EXTENSIONS.some((extension) => lower.endsWith(extension));
+}
+
+/**
+ * @param {Object} [field] - A static field or table column
+ * @returns {string} One of TEXT_ALIGNMENTS; left when unset
+ */
+export function getTextAlign(field) {
+  return TEXT_ALIGNMENTS.includes(field?.align) ? field.align : 'left';
+}
+
+/**
+ * Where to start drawing so the text sits left of, centered on or right of
+ * the field's x position.
+ *
+ * @param {number} x - The field's x position in points
+ * @param {number} textWidth - Width of the text in points
+ * @param {string} [align]
+ * @returns {number}
+ */
+export function getAlignedX(x, textWidth, align) {
+  if (align === 'center') return x - (textWidth / 2);
+  if (align === 'right') return x - textWidth;
+  return x;
+}
+
+/**
+ * Replaces characters the font cannot draw: accented letters lose their
+ * accents when the plain letter can be drawn ("Nguyễn" becomes "Nguyen"),
+ * a few letters and quotes get a look-alike, and anything else becomes "?".
+ *
+ * @param {string} text
+ * @param {(codePoint: number) => boolean} isSupported - Whether the font can draw a character
+ * @returns {string}
+ */
+export function replaceUnsupportedCharacters(text, isSupported) {
+  const canDraw = (value) => Array.from(value).every((char) => isSupported(char.codePointAt(0)));
+
+  return Array.from(String(text ?? '')).map((char) => {
+    if (char === '\n' || isSupported(char.codePointAt(0))) return char;
+
+    const stripped = char.normalize('NFD').replace(COMBINING_MARKS, '');
+    if (stripped && stripped !== char && canDraw(stripped)) return stripped;
+
+    const fallback = CHARACTER_FALLBACKS[char];
+    if (fallback && canDraw(fallback)) return fallback;
+
+    return '?';
+  }).join('');
+}
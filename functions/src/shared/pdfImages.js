@@ -0,0 +1,116 @@
+/**
+ * Signature, logo and stamp images on PDF templates, shared by the Cloud
+ * Functions and the frontend.
+ *
+ * Admins upload images to the `pdfImages` collection (files under
+ * `pdfImages/` in Storage), each either for one event (`scope: 'event'`,
+ * `eventId`) or for a supervisor (`scope: 'supervisor'`, `supervisorName`,
+ * matched against the event's contact name). A template's image field
+ * (`{ type: 'image', imageKind, xPercent, yPercent, widthPercent,
+ * heightPercent }`) names only the kind of image, so one school form signs
+ * for every event: the event's own image wins, then its supervisor's. The
+ * image is scaled to fit the field's box, keeping its proportions, and sits
+ * on the box's bottom left corner, on the signature line.
+ */
+
+export const IMAGE_KINDS = ['signature', 'logo', 'stamp'];
+
+export const IMAGE_KIND_LABELS = {
+  signature: 'Supervisor Signature',
+  logo: 'Logo',
+  stamp: 'Stamp',
+};
+
+export const IMAGE_SCOPES = ['event', 'supervisor'];
+
+export const IMAGE_CONTENT_TYPES = ['image/png', 'image/jpeg'];
+
+/**
+ * Largest image an admin may upload, in bytes
+ */
+export const MAX_IMAGE_BYTES = 2 * 1024 * 1024;
+
+function normalizeName(name) {
+  return String(name || '').trim().toLowerCase().replace(/\s+/g, ' ');
+}
+
+function isSupervisorOf(asset, event) {
+  const supervisor = normalizeName(event?.contactName);
+  return asset.scope === 'supervisor' && Boolean(supervisor) && normalizeName(asset.supervisorName) === supervisor;
+}
+
+function createdSeconds(asset) {
+  const value = asset.createdAt;
+  if (typeof value?.seconds === 'number') return value.seconds;
+  const ms = value instanceof Date ? value.getTime() : Date.parse(value);
+  return Number.isFinite(ms) ? ms / 1000 : 0;
+}
+
+function isForEvent(asset, event) {
+  return asset.scope === 'event' && Boolean(event?.id) && asset.eventId === event.id;
+}
+
+/**
+ * The organization's images that can appear on an event's forms.
+ *
+ * @param {Object[]} assets - pdfImages documents
+ * @param {Object} [event] - Event document (with id and contactName)
+ * @returns {Object[]}
+ */
+export function getEventImageAssets(assets, event) {
+  return (assets || []).filter((asset) => isForEvent(asset, event) || isSupervisorOf(asset, event));
+}
+
+/**
+ * The image to draw for an image field: the event's own image of that kind,
+ * else its supervisor's, newest first.
+ *
+ * @param {Object} field - Image field mapping
+ * @param {Object[]} assets - pdfImages documents
+ * @param {Object} [event]
+ * @returns {Object|null}
+ */
+export function resolveImageAsset(field, assets, event) {
+  const ofKind = (assets || [])
+    .filter((asset) => asset.kind === field.imageKind && asset.storagePath)
+    .sort((a, b) => createdSeconds(b) - createdSeconds(a));
+  return ofKind.find((asset) => isForEvent(asset, event)) ||
+    ofKind.find((asset) => isSupervisorOf(asset, event)) ||
+    null;
+}
+
+/**
+ * @param {Uint8Array|ArrayBuffer} bytes
+ * @returns {'png'|'jpg'|null} From the file's signature, whatever its name says
+ */
+export function getImageFormat(bytes) {
+  const length = Math.min(4, bytes.byteLength);
+  const head = ArrayBuffer.isView(bytes)
+    ? new Uint8Array(bytes.buffer, bytes.byteOffset, length)
+    : new Uint8Array(bytes, 0, length);
+  if (head[0] === 0x89 && head[1] === 0x50 && head[2] === 0x4e && head[3] === 0x47) return 'png';
+  if (head[0] === 0xff && head[1] === 0xd8 && head[2] === 0xff) return 'jpg';
+  return null;
+}
+
+/**
+ * Where to draw an image inside its field's box.
+ *
+ * @param {Object} field - { xPercent, yPercent, widthPercent, heightPercent } of the page
+ * @param {{ width: number, height: number }} image - Image size (any unit)
+ * @param {{ width: number, height: number }} page - Page size in points
+ * @returns {{ x: number, y: number, width: number, height: number }} PDF coordinates (origin bottom left)
+ */
+export function fitImageBox(field, image, page) {
+  const boxWidth = ((field.widthPercent || 20) / 100) * page.width;
+  const boxHeight = ((field.heightPercent || 5) / 100) * page.height;
+  const scale = Math.min(boxWidth / image.width, boxHeight / image.height);
+  const top = page.height - ((field.yPercent / 100) * page.height);
+
+  return {
+    x: (field.xPercent / 100) * page.width,
+    y: top - boxHeight,
+    width: image.width * scale,
+    height: image.height * scale,
+  };
+}
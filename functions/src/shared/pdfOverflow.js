@@ -0,0 +1,231 @@
+/**
+ * Table overflow rules for PDF templates, shared by the Cloud Functions and
+ * the frontend.
+ *
+ * Activity and detail tables hold `maxRows` rows. A template's `overflow`
+ * setting decides what happens to the rest: `truncate` leaves them off (the
+ * old behavior and the default), `continuation` appends copies of one of the
+ * template's pages with the next rows of the tables mapped on it, and
+ * `addendum` appends generated pages listing the extra rows as plain tables.
+ * Tables mapped on a page other than the continuation page overflow into an
+ * addendum, so no row is lost unless the template asks for `truncate`.
+ */
+
+import { isCreditedEntry } from './reviewStatus.js';
+
+export const OVERFLOW_STRATEGIES = ['truncate', 'continuation', 'addendum'];
+
+export const OVERFLOW_STRATEGY_LABELS = {
+  truncate: 'Leave extra rows off',
+  continuation: 'Continuation page (copy of a form page)',
+  addendum: 'Addendum page (generated table)',
+};
+
+export const TABLE_FIELD_TYPES = ['activityTable', 'detailTable'];
+
+const DEFAULT_MAX_ROWS = 10;
+
+/**
+ * @param {Object} [overflow] - The template's `overflow` setting
+ * @returns {{ strategy: string, continuationPage: number }} `continuationPage` is 0-based, like `field.page`
+ */
+export function getOverflowPolicy(overflow) {
+  const strategy = OVERFLOW_STRATEGIES.includes(overflow?.strategy) ? overflow.strategy : 'truncate';
+  const page = Number(overflow?.continuationPage);
+  return {
+    strategy,
+    continuationPage: Number.isInteger(page) && page >= 0 ? page : 0,
+  };
+}
+
+export function getMaxRows(field) {
+  return field.maxRows || DEFAULT_MAX_ROWS;
+}
+
+function chunkRows(rows, size) {
+  const chunks = [];
+  for (let i = 0; i < rows.length; i += size) {
+    chunks.push(rows.slice(i, i + size));
+  }
+  return chunks;
+}
+
+/**
+ * Splits each table's rows between the form, continuation pages and the
+ * addendum.
+ *
+ * @param {Object[]} fields - Field mappings
+ * @param {{ activityTable?: Object[], detailTable?: Object[] }} tableRows - Sorted rows per table type
+ * @param {Object} [overflow] - The template's `overflow` setting
+ * @param {number} pageCount - Pages in the template
+ * @returns {{
+ *   formRows: Map<Object, Object[]>,
+ *   continuationPages: Array<Map<Object, Object[]>>,
+ *   continuationPage: number,
+ *   addendum: Array<{ field: Object, rows: Object[] }>,
+ *   droppedRows: number
+ * }} Maps are keyed by field mapping
+ */
+export function planTableOverflow(fields, tableRows, overflow, pageCount) {
+  const policy = getOverflowPolicy(overflow);
+  const canContinue = policy.strategy === 'continuation' && policy.continuationPage < pageCount;
+  const formRows = new Map();
+  const continuationPages = [];
+  const addendum = [];
+  let droppedRows = 0;
+
+  (fields || [])
+    .filter(field => TABLE_FIELD_TYPES.includes(field.type) && (field.page || 0) < pageCount)
+    .forEach(field => {
+      const rows = tableRows[field.type] || [];
+      const maxRows = getMaxRows(field);
+      formRows.set(field, rows.slice(0, maxRows));
+
+      const extraRows = rows.slice(maxRows);
+      if (extraRows.length === 0) return;
+
+      if (policy.strategy === 'truncate') {
+        droppedRows += extraRows.length;
+      } else if (canContinue && (field.page || 0) === policy.continuationPage) {
+        chunkRows(extraRows, maxRows).forEach((chunk, index) => {
+          if (!continuationPages[index]) continuationPages[index] = new Map();
+          continuationPages[index].set(field, chunk);
+        });
+      } else {
+        addendum.push({ field, rows: extraRows });
+      }
+    });
+
+  return { formRows, continuationPages, continuationPage: policy.continuationPage, addendum, droppedRows };
+}
+
+/**
+ * Rows a student's tables need for one event, counted the way the report
+ * builds them: one activity row per activity with credited hours, one
+ * detail row per credited entry.
+ *
+ * @param {Object[]} entries - The student's time entries for the event
+ * @param {Object} [event] - Event document (with activities)
+ * @returns {{ activityTable: number, detailTable: number }}
+ */
+export function getTableRowCounts(entries, event) {
+  const credited = (entries || []).filter(isCreditedEntry);
+  const activityIds = new Set((event?.activities || []).map(activity => activity.id));
+  return {
+    activityTable: new Set(credited.map(entry => entry.activityId).filter(id => activityIds.has(id))).size,
+    detailTable: credited.length,
+  };
+}
+
+/**
+ * Students whose rows would not fit the template's tables.
+ *
+ * @param {Object[]} fields - Field mappings
+ * @param {Object[]} students - Students using the template
+ * @param {Object[]} entries - The event's time entries
+ * @param {Object} [event]
+ * @returns {Array<{ student: Object, tables: Array<{ type: string, rowCount: number, maxRows: number }> }>}
+ *   Most rows first
+ */
+export function findOverflowingStudents(fields, students, entries, event) {
+  const tables = (fields || []).filter(field => TABLE_FIELD_TYPES.includes(field.type));
+  if (tables.length === 0) return [];
+
+  return students
+    .map(student => {
+      const counts = getTableRowCounts(entries.filter(entry => entry.studentId === student.id), event);
+      const overflowing = tables
+        .map(field => ({ type: field.type, rowCount: counts[field.type], maxRows: getMaxRows(field) }))
+        .filter(table => table.rowCount > table.maxRows);
+      return overflowing.length > 0 ? { student, tables: overflowing } : null;
+    })
+    .filter(Boolean)
+    .sort((a, b) =>
+      Math.max(...b.tables.map(table => table.rowCount - table.maxRows)) -
+      Math.max(...a.tables.map(table => table.rowCount - table.maxRows))
+    );
+}
+
+const ADDENDUM_MARGIN = 36;
+const TITLE_SIZE = 13;
+const HEADING_SIZE = 11;
+const CELL_SIZE = 9;
+const ROW_HEIGHT = 14;
+
+function fitText(text, maxWidth, size, measure) {
+  if (measure(text, size) <= maxWidth) return text;
+  let fitted = text;
+  while (fitted.length > 0 && measure(`${fitted}…`, size) > maxWidth) {
+    fitted = fitted.slice(0, -1);
+  }
+  return fitted ? `${fitted}…` : '';
+}
+
+/**
+ * Lays out addendum pages as drawing operations, so both PDF renderers draw
+ * the same pages with their own pdf-lib fonts. Each section repeats its
+ * heading and column labels when it continues on a new page.
+ *
+ * @param {Array<{ heading: string, columns: string[], rows: string[][] }>} sections
+ * @param {Object} options
+ * @param {number} options.width - Page width in points
+ * @param {number} options.height - Page height in points
+ * @param {string} options.title - Printed at the top of every page
+ * @param {(text: string, size: number) => number} options.measure - Text width in points
+ * @returns {Array<Array<{ type: 'text', text: string, x: number, y: number, size: number }|{ type: 'line', x1: number, x2: number, y: number }>>}
+ *   One list of operations per page, in PDF coordinates (origin bottom left)
+ */
+export function layoutAddendumPages(sections, { width, height, title, measure }) {
+  const pages = [];
+  const contentWidth = width - (ADDENDUM_MARGIN * 2);
+  let ops = null;
+  let y = 0;
+
+  const startPage = () => {
+    ops = [];
+    pages.push(ops);
+    y = height - ADDENDUM_MARGIN - TITLE_SIZE;
+    ops.push({ type: 'text', text: fitText(title, contentWidth, TITLE_SIZE, measure), x: ADDENDUM_MARGIN, y, size: TITLE_SIZE });
+    y -= TITLE_SIZE * 2;
+  };
+
+  const drawSectionHeader = (section, continued) => {
+    const heading = continued ? `${section.heading} (continued)` : section.heading;
+    ops.push({ type: 'text', text: fitText(heading, contentWidth, HEADING_SIZE, measure), x: ADDENDUM_MARGIN, y, size: HEADING_SIZE });
+    y -= ROW_HEIGHT + 2;
+    drawRow(section.columns, section.columns.length);
+    ops.push({ type: 'line', x1: ADDENDUM_MARGIN, x2: width - ADDENDUM_MARGIN, y: y + ROW_HEIGHT - 3 });
+  };
+
+  const drawRow = (cells, columnCount) => {
+    const columnWidth = contentWidth / Math.max(1, columnCount);
+    cells.forEach((cell, index) => {
+      ops.push({
+        type: 'text',
+        text: fitText(String(cell ?? ''), columnWidth - 4, CELL_SIZE, measure),
+        x: ADDENDUM_MARGIN + (index * columnWidth),
+        y,
+        size: CELL_SIZE,
+      });
+    });
+    y -= ROW_HEIGHT;
+  };
+
+  const hasRoomFor = (rowCount) => y - (ROW_HEIGHT * rowCount) >= ADDENDUM_MARGIN;
+
+  sections.forEach(section => {
+    // A heading, its column labels and at least one row stay together
+    if (!ops || !hasRoomFor(4)) startPage();
+    drawSectionHeader(section, false);
+    section.rows.forEach(row => {
+      if (!hasRoomFor(1)) {
+        startPage();
+        drawSectionHeader(section, true);
+      }
+      drawRow(row, section.columns.length);
+    });
+    y -= ROW_HEIGHT;
+  });
+
+  return pages;
+}
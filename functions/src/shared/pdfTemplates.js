@@ -0,0 +1,774 @@
+/**
+ * PDF template rendering, shared by the Cloud Functions and the frontend so
+ * forms generated by generateForms match the ones admins print from the
+ * browser.
+ *
+ * Field mappings are the ones saved by the PDF Templates settings page.
+ * Shared modules import no npm packages, so pdf-lib and fontkit are handed
+ * to createPdfRenderer by each side, along with how it loads template fonts
+ * and images that are not passed in as bytes.
+ */
+
+import { getEntryHours } from './hourPolicy.js';
+import { layoutAddendumPages, planTableOverflow } from './pdfOverflow.js';
+import {
+  isCheckedValue,
+  normalizeFormFieldBindings,
+  planFormTableOverflow,
+  resolveFormFieldValue,
+} from './acroForm.js';
+import { getAlignedX, getTextAlign, replaceUnsupportedCharacters } from './pdfFonts.js';
+import { fitImageBox, getImageFormat, resolveImageAsset } from './pdfImages.js';
+import { formatDateInTimeZone, getEventTimeZone } from './timeZones.js';
+
+// Helvetica ascent ratio: the distance from baseline to top of capital letters
+// as a fraction of font size. This aligns PDF baseline positioning with CSS top positioning.
+const ASCENT_RATIO = 0.72;
+
+// Uploaded fonts come without a bold face, so bold text is drawn twice this
+// far apart (a share of the font size)
+const FAUX_BOLD_OFFSET = 0.04;
+
+const ATTESTATION_MARGIN = 36;
+const ATTESTATION_LINE_SIZE = 8;
+
+export function normalizeTemplateText(value = '') {
+  return value.toLowerCase().replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Matches a student's school to a template: a template named after the school
+ * wins, then the organization's school rules. Each rule lists keywords for
+ * school names and for template names, e.g.
+ * `{ school: ['TFA', 'First Academy'], template: ['First Academy'] }`; a rule
+ * without school keywords is the fallback for every other school.
+ *
+ * @param {string} schoolName
+ * @param {Object[]} [templates]
+ * @param {Object[]} [schoolAliases] - The organization's schoolTemplateAliases
+ * @returns {Object|null}
+ */
+export function findTemplateForSchool(schoolName, templates = [], schoolAliases = []) {
+  const normalizedSchool = normalizeTemplateText(schoolName);
+  if (!normalizedSchool) return null;
+
+  const keywords = (values = []) => values.map(normalizeTemplateText).filter(Boolean);
+  const templateMatches = (template, values) => {
+    const normalizedTemplate = normalizeTemplateText(`${template.name || ''} ${template.fileName || ''}`);
+    return keywords(values).some((value) => normalizedTemplate.includes(value));
+  };
+
+  const exactMatch = templates.find((template) => {
+    const normalizedTemplate = normalizeTemplateText(`${template.name || ''} ${template.fileName || ''}`);
+    return normalizedTemplate &&
+      (normalizedTemplate.includes(normalizedSchool) || normalizedSchool.includes(normalizedTemplate));
+  });
+  if (exactMatch) return exactMatch;
+
+  const alias = schoolAliases.find((item) =>
+    keywords(item.school).some((value) => normalizedSchool.includes(value))
+  );
+  if (alias) {
+    const aliasMatch = templates.find((template) => templateMatches(template, alias.template));
+    if (aliasMatch) return aliasMatch;
+  }
+
+  const fallback = schoolAliases.find((item) => keywords(item.school).length === 0);
+  if (fallback) {
+    return templates.find((template) => templateMatches(template, fallback.template)) || null;
+  }
+
+  return null;
+}
+
+export function getEffectivePdfTemplate(student = {}, templates = [], defaultTemplateId = null, schoolAliases = []) {
+  if (student.pdfTemplateId) {
+    return templates.find((template) => template.id === student.pdfTemplateId) || null;
+  }
+
+  const schoolTemplate = findTemplateForSchool(student.schoolName, templates, schoolAliases);
+  if (schoolTemplate) return schoolTemplate;
+
+  return defaultTemplateId ? templates.find((template) => template.id === defaultTemplateId) || null : null;
+}
+
+/**
+ * Reads Firestore Timestamps, Dates, `{ seconds }` objects and date strings.
+ * "YYYY-MM-DD" dates are taken at noon UTC so they print as the same day in
+ * every US time zone.
+ *
+ * @param {*} value
+ * @returns {Date|null}
+ */
+export function toDateValue(value) {
+  if (!value) return null;
+  if (typeof value.toDate === 'function') return value.toDate();
+  if (value instanceof Date) return value;
+  if (typeof value.seconds === 'number') return new Date(value.seconds * 1000);
+  const dateOnlyMatch = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value);
+  if (dateOnlyMatch) {
+    return new Date(Date.UTC(Number(dateOnlyMatch[1]), Number(dateOnlyMatch[2]) - 1, Number(dateOnlyMatch[3]), 12));
+  }
+  const parsed = new Date(value);
+  return isNaN(parsed.getTime()) ? null : parsed;
+}
+
+function timestampMs(value) {
+  const date = toDateValue(value);
+  return date ? date.getTime() : Number.POSITIVE_INFINITY;
+}
+
+function localDateMs(dateString) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+  if (!match) return Number.POSITIVE_INFINITY;
+  return new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])).getTime();
+}
+
+function displayDateMs(dateString) {
+  const match = /(\d{1,2})\/(\d{1,2})\/(\d{2,4})/.exec(dateString || '');
+  if (!match) return Number.POSITIVE_INFINITY;
+  const year = Number(match[3]);
+  const fullYear = year < 100 ? 2000 + year : year;
+  return new Date(fullYear, Number(match[1]) - 1, Number(match[2])).getTime();
+}
+
+// Report dates and times are read on the event's wall clock
+function formatDateForReport(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    month: 'numeric',
+    day: 'numeric',
+    year: 'numeric',
+  }).format(date);
+}
+
+function formatTimeForReport(date, timeZone) {
+  return new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hour: 'numeric',
+    minute: '2-digit',
+  }).format(date);
+}
+
+function parseDateOnlyParts(dateString) {
+  const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(dateString || '');
+  if (!match) return null;
+  return {
+    year: Number(match[1]),
+    month: Number(match[2]),
+    day: Number(match[3]),
+  };
+}
+
+function dateOnlyUtcMs(dateString) {
+  const parts = parseDateOnlyParts(dateString);
+  return parts ? Date.UTC(parts.year, parts.month - 1, parts.day) : Number.NaN;
+}
+
+function formatDateOnlyForActivity(dateString, includeYear = false) {
+  const parts = parseDateOnlyParts(dateString);
+  if (!parts) return '';
+  const monthDay = `${parts.month}/${parts.day}`;
+  return includeYear ? `${monthDay}/${String(parts.year).slice(-2)}` : monthDay;
+}
+
+/**
+ * Collapses "YYYY-MM-DD" dates into ranges of consecutive days, e.g.
+ * "6/9-6/11, 6/13".
+ *
+ * @param {string[]} [dateStrings]
+ * @param {Object} [options]
+ * @param {boolean} [options.includeYear] - Adds a two-digit year ("6/9/26")
+ * @returns {string}
+ */
+export function formatActivityDateRanges(dateStrings = [], { includeYear = false } = {}) {
+  const uniqueDates = [...new Set(dateStrings)]
+    .filter((dateString) => Number.isFinite(dateOnlyUtcMs(dateString)))
+    .sort();
+
+  if (uniqueDates.length === 0) return '';
+
+  const groups = [];
+  let currentGroup = [uniqueDates[0]];
+
+  for (let i = 1; i < uniqueDates.length; i += 1) {
+    const diffDays = (dateOnlyUtcMs(uniqueDates[i]) - dateOnlyUtcMs(uniqueDates[i - 1])) / (1000 * 60 * 60 * 24);
+    if (diffDays === 1) {
+      currentGroup.push(uniqueDates[i]);
+    } else {
+      groups.push(currentGroup);
+      currentGroup = [uniqueDates[i]];
+    }
+  }
+  groups.push(currentGroup);
+
+  return groups.map((group) => {
+    const start = formatDateOnlyForActivity(group[0], includeYear);
+    const end = formatDateOnlyForActivity(group[group.length - 1], includeYear);
+    return group.length > 1 ? `${start}-${end}` : start;
+  }).join(', ');
+}
+
+/**
+ * Builds the per-activity summary rows used by activity tables.
+ * Matches getStudentActivityLog on the Event Students page.
+ *
+ * @param {Object} event - Event document data (with activities)
+ * @param {Object[]} entries - The student's credited (checked-out, non-voided) entries
+ * @returns {Object[]} [{ name, dateDisplay, sortDate, totalHours }]
+ */
+export function buildActivityLog(event, entries = []) {
+  if (!event?.activities || entries.length === 0) return [];
+
+  return event.activities.map((activity) => {
+    const activityEntries = entries.filter((entry) => entry.activityId === activity.id);
+    if (activityEntries.length === 0) return null;
+
+    const uniqueDates = [...new Set(activityEntries.map((entry) =>
+      formatDateInTimeZone(toDateValue(entry.checkInTime), getEventTimeZone(event))
+    ))].sort();
+
+    const totalHours = activityEntries.reduce((sum, entry) => sum + getEntryHours(entry, event.hourRounding), 0);
+
+    return {
+      name: activity.name,
+      dateDisplay: formatActivityDateRanges(uniqueDates),
+      sortDate: uniqueDates[0],
+      totalHours: totalHours.toFixed(2),
+    };
+  }).filter(Boolean).sort((a, b) => a.sortDate.localeCompare(b.sortDate));
+}
+
+/**
+ * The largest size, down to `minFontSize`, at which `text` fits `maxWidth`.
+ */
+export function getFittingFontSize({ text, font, fontSize, maxWidth, minFontSize = 6 }) {
+  if (!text || !font || !maxWidth || maxWidth <= 0) return fontSize;
+  if (font.widthOfTextAtSize(text, fontSize) <= maxWidth) return fontSize;
+
+  const widthAtOnePoint = font.widthOfTextAtSize(text, 1);
+  if (!widthAtOnePoint) return fontSize;
+
+  return Math.max(minFontSize, Math.min(fontSize, maxWidth / widthAtOnePoint));
+}
+
+export function getActivitySortTime(activity) {
+  if (!activity) return Number.POSITIVE_INFINITY;
+  const dateOnlyTime = localDateMs(activity.sortDate || activity.startDate || activity.firstDate);
+  return Number.isFinite(dateOnlyTime) ? dateOnlyTime : displayDateMs(activity.dateDisplay);
+}
+
+export function getEntrySortTime(entry) {
+  if (!entry) return Number.POSITIVE_INFINITY;
+  const fromCheckIn = timestampMs(entry.checkInTime);
+  if (Number.isFinite(fromCheckIn)) return fromCheckIn;
+  return localDateMs(entry.date);
+}
+
+export function sortActivityRows(activities = []) {
+  return [...activities].sort((a, b) => getActivitySortTime(a) - getActivitySortTime(b));
+}
+
+export function sortDetailRows(entries = []) {
+  return [...entries].sort((a, b) => getEntrySortTime(a) - getEntrySortTime(b));
+}
+
+/**
+ * Available field keys for STATIC fields (placed individually on the PDF).
+ */
+export const FIELD_KEY_OPTIONS = [
+  { key: 'studentName', label: 'Student Full Name', preview: 'Jane Smith' },
+  { key: 'firstName', label: 'First Name', preview: 'Jane' },
+  { key: 'lastName', label: 'Last Name', preview: 'Smith' },
+  { key: 'schoolName', label: 'School Name', preview: 'West Orange HS' },
+  { key: 'gradeLevel', label: 'Grade Level', preview: '10' },
+  { key: 'gradYear', label: 'Graduation Year', preview: '2028' },
+  { key: 'totalHours', label: 'Total Hours', preview: '25.50' },
+  { key: 'date', label: 'Current Date', preview: '2/7/2026' },
+  { key: 'eventName', label: 'Event Name', preview: 'VBS 2026' },
+  { key: 'contactPerson', label: 'Contact Person', preview: 'John Smith' },
+  { key: 'contactPhone', label: 'Contact Phone', preview: '(555) 123-4567' },
+  { key: 'eventDescription', label: 'Event Description', preview: 'Vacation Bible School volunteer service' },
+  { key: 'nonprofitName', label: 'Non-Profit Organization', preview: 'First Baptist Church' },
+];
+
+/**
+ * Available column keys for ACTIVITY TABLE rows (summary mode).
+ * Each row represents one activity from the event's activity log.
+ */
+export const ACTIVITY_COLUMN_OPTIONS = [
+  { key: 'activityOrg', label: 'Organization + Activity', preview: 'First Baptist VBS AM' },
+  { key: 'activityDates', label: 'Date(s) of Service', preview: '6/9-6/13' },
+  { key: 'activityContact', label: 'Contact Name', preview: 'Jane Smith' },
+  { key: 'activityHours', label: 'Hours Completed', preview: '12.50' },
+];
+
+/**
+ * Available column keys for DETAIL TABLE rows.
+ * Each row represents an individual time entry with date, start time, and end time.
+ */
+export const DETAIL_COLUMN_OPTIONS = [
+  { key: 'detailDate', label: 'Date', preview: '6/9/2026' },
+  { key: 'detailStartTime', label: 'Start Time', preview: '8:00 AM' },
+  { key: 'detailEndTime', label: 'End Time', preview: '12:00 PM' },
+  { key: 'detailHours', label: 'Hours', preview: '4.00' },
+  { key: 'detailActivity', label: 'Activity Name', preview: 'VBS Morning Session' },
+  { key: 'detailContact', label: 'Contact Name', preview: 'Jane Smith' },
+];
+
+/**
+ * Resolves a static field key to its value.
+ */
+export function resolveFieldValue(fieldKey, { student, totalHours, eventName, event }) {
+  switch (fieldKey) {
+    case 'studentName':
+      return `${student.firstName || ''} ${student.lastName || ''}`.trim();
+    case 'firstName':
+      return student.firstName || '';
+    case 'lastName':
+      return student.lastName || '';
+    case 'schoolName':
+      return student.schoolName || '';
+    case 'gradeLevel':
+      return String(student.gradeLevel ?? '');
+    case 'gradYear':
+      return String(student.gradYear || '');
+    case 'totalHours':
+      return typeof totalHours === 'number' ? totalHours.toFixed(2) : String(totalHours || '0');
+    case 'date':
+      return formatDateForReport(new Date(), getEventTimeZone(event));
+    case 'eventName':
+      return eventName || '';
+    case 'contactPerson':
+      return event?.contactName || '';
+    case 'contactPhone':
+      return event?.contactPhone || '';
+    case 'eventDescription':
+      return event?.description || '';
+    case 'nonprofitName':
+      return event?.organizationName || '';
+    default:
+      return '';
+  }
+}
+
+/**
+ * Resolves an activity column key to its value for a single activity row.
+ */
+export function resolveActivityColumnValue(columnKey, activity, event) {
+  if (typeof columnKey === 'object' && columnKey?.type === 'customText') {
+    return columnKey.customValue || '';
+  }
+
+  switch (columnKey) {
+    case 'activityOrg':
+      return `${event?.organizationName || ''} ${activity.name || ''}`.trim();
+    case 'activityDates':
+      return activity.dateDisplay || '';
+    case 'activityContact':
+      return event?.contactName || '';
+    case 'activityHours':
+      return String(activity.totalHours || '0');
+    default:
+      return '';
+  }
+}
+
+/**
+ * Resolves a detail column key to its value for a single time entry row.
+ */
+export function resolveDetailColumnValue(columnKey, entry, event) {
+  if (typeof columnKey === 'object' && columnKey?.type === 'customText') {
+    return columnKey.customValue || '';
+  }
+
+  switch (columnKey) {
+    case 'detailDate': {
+      const d = toDateValue(entry.checkInTime || entry.date);
+      return d ? formatDateForReport(d, getEventTimeZone(event)) : '';
+    }
+    case 'detailStartTime': {
+      const d = toDateValue(entry.checkInTime);
+      return d ? formatTimeForReport(d, getEventTimeZone(event)) : '';
+    }
+    case 'detailEndTime': {
+      const d = toDateValue(entry.checkOutTime);
+      return d ? formatTimeForReport(d, getEventTimeZone(event)) : '';
+    }
+    case 'detailHours': {
+      // Stored hours win; otherwise recompute under the event's rounding policy
+      if (typeof entry.hoursWorked === 'number' && entry.hoursWorked > 0) {
+        return entry.hoursWorked.toFixed(2);
+      }
+      const hours = getEntryHours(entry, event?.hourRounding);
+      return hours > 0 ? hours.toFixed(2) : '0';
+    }
+    case 'detailActivity':
+      return entry.activityName ||
+        entry.activity?.name ||
+        event?.activities?.find((activity) => activity.id === entry.activityId)?.name ||
+        '';
+    case 'detailContact':
+      return event?.contactName || '';
+    default:
+      return '';
+  }
+}
+
+function usesBold(fields = []) {
+  return fields.some((field) => field.bold || (field.columns || []).some((col) => col.bold));
+}
+
+function supportedBy(font) {
+  const characters = new Set(font.getCharacterSet());
+  return (codePoint) => characters.has(codePoint);
+}
+
+function textWidth(font, text, size) {
+  return Math.max(0, ...text.split('\n').map((line) => font.widthOfTextAtSize(line, size)));
+}
+
+function tableValueResolver(field, data) {
+  return field.type === 'activityTable'
+    ? (key, activity) => resolveActivityColumnValue(key, activity, data.event)
+    : (key, entry) => resolveDetailColumnValue(key, entry, data.event);
+}
+
+/**
+ * Builds the PDF renderer on top of pdf-lib.
+ *
+ * @param {Object} deps
+ * @param {Object} deps.pdfLib - The pdf-lib module
+ * @param {Object} deps.fontkit - @pdf-lib/fontkit, for uploaded template fonts
+ * @param {Function} [deps.loadFontBytes] - (font) => bytes|null for a template's `font`
+ *   when no `fontBytes` are passed
+ * @param {Function} [deps.loadImageBytes] - (asset) => bytes|null for image assets
+ *   passed without `bytes`
+ * @returns {{ generateFilledPdf: Function, addAttestationBlock: Function, mergePdfs: Function }}
+ */
+export function createPdfRenderer({ pdfLib, fontkit, loadFontBytes, loadImageBytes }) {
+  const { PDFCheckBox, PDFDocument, PDFDropdown, PDFRadioGroup, PDFTextField, rgb, StandardFonts } = pdfLib;
+
+  /**
+   * Embeds the template's font, or Helvetica when it has none or the file
+   * cannot be read. `clean` replaces the characters `regular` cannot draw.
+   */
+  async function embedTemplateFonts(pdfDoc, fontBytes, fields) {
+    if (fontBytes) {
+      try {
+        pdfDoc.registerFontkit(fontkit);
+        const font = await pdfDoc.embedFont(fontBytes, { subset: true });
+        const isSupported = supportedBy(font);
+        return { regular: font, bold: font, custom: true, clean: (text) => replaceUnsupportedCharacters(text, isSupported) };
+      } catch (error) {
+        console.warn('Could not embed the template font, using Helvetica:', error.message);
+      }
+    }
+
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const bold = usesBold(fields) ? await pdfDoc.embedFont(StandardFonts.HelveticaBold) : regular;
+    const isSupported = supportedBy(regular);
+    return { regular, bold, custom: false, clean: (text) => replaceUnsupportedCharacters(text, isSupported) };
+  }
+
+  // Draws cleaned text anchored at x by the field's alignment
+  function drawStyledText(page, fonts, text, { x, y, size, bold, align, maxWidth }) {
+    const font = bold ? fonts.bold : fonts.regular;
+    const width = Math.min(textWidth(font, text, size), maxWidth ?? Infinity);
+    const drawX = getAlignedX(x, width, align);
+    const options = { y, size, font, color: rgb(0, 0, 0), maxWidth };
+
+    page.drawText(text, { ...options, x: drawX });
+    if (bold && fonts.custom) {
+      page.drawText(text, { ...options, x: drawX + (size * FAUX_BOLD_OFFSET) });
+    }
+  }
+
+  function drawTableRows(page, fonts, field, rows, resolveValue) {
+    const { width, height } = page.getSize();
+    const rowHeightPct = field.rowHeight || 3;
+
+    rows.forEach((row, rowIndex) => {
+      const rowYPct = field.yPercent + (rowIndex * rowHeightPct);
+
+      (field.columns || []).forEach((col) => {
+        const x = (col.xPercent / 100) * width;
+        const colFontSize = col.fontSize || 10;
+        const maxWidth = col.maxWidth ? (col.maxWidth / 100) * width : undefined;
+        const value = fonts.clean(String(resolveValue(col.type === 'customText' ? col : col.key, row)));
+        const font = col.bold ? fonts.bold : fonts.regular;
+        const drawFontSize = col.key === 'activityDates'
+          ? getFittingFontSize({ text: value, font, fontSize: colFontSize, maxWidth })
+          : colFontSize;
+        // Shift baseline down by ascent so top of text aligns with yPercent
+        const y = height - (rowYPct / 100) * height - (drawFontSize * ASCENT_RATIO);
+
+        drawStyledText(page, fonts, value, { x, y, size: drawFontSize, bold: col.bold, align: getTextAlign(col), maxWidth });
+      });
+    });
+  }
+
+  function drawField(page, fonts, field, data, tableRows = []) {
+    if (field.type === 'activityTable' || field.type === 'detailTable') {
+      drawTableRows(page, fonts, field, tableRows, tableValueResolver(field, data));
+      return;
+    }
+
+    const { width, height } = page.getSize();
+    const x = (field.xPercent / 100) * width;
+    const fontSize = field.fontSize || 12;
+    const y = height - (field.yPercent / 100) * height - (fontSize * ASCENT_RATIO);
+    // Custom static fields carry an admin-defined value
+    const value = field.type === 'customStatic'
+      ? String(field.customValue || '')
+      : String(resolveFieldValue(field.fieldKey, data));
+
+    drawStyledText(page, fonts, fonts.clean(value), { x, y, size: fontSize, bold: field.bold, align: getTextAlign(field) });
+  }
+
+  function drawAddendum(pdfDoc, fonts, addendum, data, { width, height }) {
+    const sections = addendum.map(({ field, rows }) => {
+      const columns = field.columns || [];
+      const resolveValue = tableValueResolver(field, data);
+      return {
+        heading: field.type === 'activityTable' ? 'Activities' : 'Service Entries',
+        columns: columns.map((col) => fonts.clean(col.label || col.key)),
+        rows: rows.map((row) => columns.map((col) => fonts.clean(String(resolveValue(col.type === 'customText' ? col : col.key, row))))),
+      };
+    });
+    const title = fonts.clean(`Continued: ${resolveFieldValue('studentName', data)}${data.eventName ? `, ${data.eventName}` : ''}`);
+    const measure = (text, size) => textWidth(fonts.regular, fonts.clean(text), size);
+
+    layoutAddendumPages(sections, { width, height, title, measure }).forEach((ops) => {
+      const page = pdfDoc.addPage([width, height]);
+      ops.forEach((op) => {
+        if (op.type === 'line') {
+          page.drawLine({ start: { x: op.x1, y: op.y }, end: { x: op.x2, y: op.y }, thickness: 0.5, color: rgb(0, 0, 0) });
+        } else {
+          page.drawText(fonts.clean(op.text), { x: op.x, y: op.y, size: op.size, font: fonts.regular, color: rgb(0, 0, 0) });
+        }
+      });
+    });
+  }
+
+  // Embeds each image field's image once per file; fields without one are left blank
+  async function embedFieldImages(pdfDoc, fields, assets, event) {
+    const images = new Map();
+    const embedded = new Map();
+
+    for (const field of fields.filter((item) => item.type === 'image')) {
+      const asset = resolveImageAsset(field, assets, event);
+      if (!asset) continue;
+
+      if (!embedded.has(asset.storagePath)) {
+        try {
+          const bytes = asset.bytes ?? await loadImageBytes?.(asset);
+          if (!bytes) throw new Error('file could not be loaded');
+          const format = getImageFormat(bytes);
+          if (!format) throw new Error('not a PNG or JPEG file');
+          embedded.set(asset.storagePath, format === 'png' ? await pdfDoc.embedPng(bytes) : await pdfDoc.embedJpg(bytes));
+        } catch (error) {
+          console.warn(`Could not embed image ${asset.storagePath}:`, error.message);
+          embedded.set(asset.storagePath, null);
+        }
+      }
+      if (embedded.get(asset.storagePath)) images.set(field, embedded.get(asset.storagePath));
+    }
+
+    return images;
+  }
+
+  function drawImageField(page, field, image) {
+    if (!image) return;
+    page.drawImage(image, fitImageBox(field, image, page.getSize()));
+  }
+
+  // Fills the PDF's own form fields from the template's `formFields` bindings
+  function fillFormFields(pdfDoc, fonts, bindings, data, tableRows) {
+    const form = pdfDoc.getForm();
+    const resolvers = {
+      resolveField: (fieldKey) => resolveFieldValue(fieldKey, data),
+      resolveCell: (table, columnKey, row) => tableValueResolver({ type: table }, data)(columnKey, row),
+      tableRows,
+    };
+
+    bindings.forEach((binding) => {
+      const formField = form.getFieldMaybe(binding.name);
+      if (!formField) return;
+      const value = resolveFormFieldValue(binding, resolvers);
+
+      try {
+        if (formField instanceof PDFTextField) {
+          const maxLength = formField.getMaxLength();
+          const text = fonts.clean(value);
+          formField.setText(maxLength ? text.slice(0, maxLength) : text);
+        } else if (formField instanceof PDFCheckBox) {
+          if (isCheckedValue(value)) formField.check();
+          else formField.uncheck();
+        } else if ((formField instanceof PDFDropdown || formField instanceof PDFRadioGroup) &&
+          formField.getOptions().includes(value)) {
+          formField.select(value);
+        }
+      } catch (error) {
+        console.warn(`Could not fill form field "${binding.name}":`, error.message);
+      }
+    });
+
+    // Filled text fields are drawn in the template's font rather than the form's Helvetica
+    if (fonts.custom) {
+      try {
+        form.updateFieldAppearances(fonts.regular);
+      } catch (error) {
+        console.warn('Could not draw form fields in the template font:', error.message);
+      }
+    }
+  }
+
+  // Continuation pages come from the untouched template. Its form fields are
+  // flattened first so the copies carry no empty, unnamed widgets.
+  async function copyContinuationPages(pdfDoc, templatePdfBytes, plan) {
+    const sourceDoc = await PDFDocument.load(templatePdfBytes);
+    const sourceForm = sourceDoc.getForm();
+    if (sourceForm.getFields().length > 0) sourceForm.flatten();
+    return pdfDoc.copyPages(sourceDoc, plan.continuationPages.map(() => plan.continuationPage));
+  }
+
+  /**
+   * Generates a filled PDF by overlaying text at mapped field coordinates and
+   * filling the PDF's own form fields bound in `formFields`.
+   * Table rows past `maxRows` follow the template's overflow setting (see
+   * pdfOverflow.js): continuation pages and addendum pages are appended after
+   * the form's own pages.
+   * Text is drawn in the template's uploaded `font` (or `options.fontBytes`)
+   * when it has one, else Helvetica; characters the font cannot draw are
+   * replaced (see pdfFonts.js). Image fields draw the event's signature, logo
+   * or stamp from `options.imageAssets` (pdfImages documents).
+   *
+   * @param {Uint8Array|ArrayBuffer} templatePdfBytes - The raw bytes of the template PDF
+   * @param {Object[]} fields - Field mappings saved on the pdfTemplates document
+   * @param {Object} data - { student, totalHours, eventName, activityLog, event, timeEntries }
+   * @param {Object} [options] - Template settings { overflow, formFields, flattenForm, font }
+   *   or `fontBytes`, plus the organization's `imageAssets`; the pdfTemplates document works
+   * @returns {Promise<Uint8Array>} The generated PDF bytes
+   */
+  async function generateFilledPdf(templatePdfBytes, fields, data, options = {}) {
+    const templateFields = fields || [];
+    const pdfDoc = await PDFDocument.load(templatePdfBytes);
+    const fontBytes = options.fontBytes ?? (options.font ? await loadFontBytes?.(options.font) : null);
+    const fonts = await embedTemplateFonts(pdfDoc, fontBytes, templateFields);
+    const pages = pdfDoc.getPages();
+    const tableRows = {
+      activityTable: sortActivityRows(data.activityLog || []),
+      detailTable: sortDetailRows(data.timeEntries || []),
+    };
+    const plan = planTableOverflow(templateFields, tableRows, options.overflow, pages.length);
+    const formFields = normalizeFormFieldBindings(options.formFields);
+    const images = await embedFieldImages(pdfDoc, templateFields, options.imageAssets, data.event);
+    const draw = (page, field, rows) => (field.type === 'image'
+      ? drawImageField(page, field, images.get(field))
+      : drawField(page, fonts, field, data, rows));
+
+    // Copied before anything is drawn on the template
+    const continuationPages = plan.continuationPages.length > 0
+      ? await copyContinuationPages(pdfDoc, templatePdfBytes, plan)
+      : [];
+
+    for (const field of templateFields) {
+      const pageIndex = field.page || 0;
+      if (pageIndex >= pages.length) continue;
+      draw(pages[pageIndex], field, plan.formRows.get(field));
+    }
+
+    if (formFields.length > 0) {
+      fillFormFields(pdfDoc, fonts, formFields, data, tableRows);
+    }
+
+    plan.continuationPages.forEach((rowsByField, index) => {
+      const page = pdfDoc.addPage(continuationPages[index]);
+      templateFields
+        .filter((field) => (field.page || 0) === plan.continuationPage)
+        .forEach((field) => draw(page, field, rowsByField.get(field)));
+    });
+
+    const addendum = [...plan.addendum, ...planFormTableOverflow(formFields, tableRows, options.overflow, templateFields)];
+    if (addendum.length > 0) {
+      drawAddendum(pdfDoc, fonts, addendum, data, pages[0].getSize());
+    }
+
+    if (formFields.length > 0 && options.flattenForm) {
+      pdfDoc.getForm().flatten();
+    }
+
+    return pdfDoc.save();
+  }
+
+  /**
+   * Adds a supervisor's signature block along the bottom of a filled form's
+   * last page: who attested the hours and when, and where to verify them.
+   *
+   * @param {Uint8Array} pdfBytes - A filled form
+   * @param {Object} block
+   * @param {string} block.signerName
+   * @param {string} [block.signerTitle]
+   * @param {string} block.signedDate - Display date
+   * @param {number} block.totalHours
+   * @param {string} block.code - Formatted verification code
+   * @param {string} block.verifyUrl
+   * @returns {Promise<Uint8Array>}
+   */
+  async function addAttestationBlock(pdfBytes, { signerName, signerTitle, signedDate, totalHours, code, verifyUrl }) {
+    const pdfDoc = await PDFDocument.load(pdfBytes);
+    const page = pdfDoc.getPages().at(-1);
+    const regular = await pdfDoc.embedFont(StandardFonts.Helvetica);
+    const italic = await pdfDoc.embedFont(StandardFonts.HelveticaOblique);
+    const isSupported = supportedBy(regular);
+    const clean = (text) => replaceUnsupportedCharacters(text, isSupported);
+    const { width } = page.getSize();
+    const boxWidth = width - (ATTESTATION_MARGIN * 2);
+    const lineHeight = ATTESTATION_LINE_SIZE + 3;
+
+    page.drawRectangle({
+      x: ATTESTATION_MARGIN,
+      y: 12,
+      width: boxWidth,
+      height: (lineHeight * 3) + 6,
+      color: rgb(1, 1, 1),
+      borderColor: rgb(0, 0, 0),
+      borderWidth: 0.5,
+    });
+
+    const signer = clean(signerTitle ? `${signerName}, ${signerTitle}` : signerName);
+    const lines = [
+      { text: `Electronically signed by ${signer}`, font: italic },
+      { text: `Attests ${Number(totalHours).toFixed(2)} hours on ${signedDate}. Verification code: ${code}`, font: regular },
+      { text: `Verify at ${verifyUrl}`, font: regular },
+    ];
+    lines.forEach((line, index) => {
+      page.drawText(clean(line.text), {
+        x: ATTESTATION_MARGIN + 4,
+        y: 12 + 4 + (lineHeight * (lines.length - 1 - index)) + 2,
+        size: ATTESTATION_LINE_SIZE,
+        font: line.font,
+        color: rgb(0, 0, 0),
+        maxWidth: boxWidth - 8,
+      });
+    });
+
+    return pdfDoc.save();
+  }
+
+  /**
+   * Merges multiple PDF byte arrays into a single PDF document.
+   */
+  async function mergePdfs(pdfBytesArray) {
+    const mergedDoc = await PDFDocument.create();
+    for (const pdfBytes of pdfBytesArray) {
+      const srcDoc = await PDFDocument.load(pdfBytes);
+      const copiedPages = await mergedDoc.copyPages(srcDoc, srcDoc.getPageIndices());
+      copiedPages.forEach((page) => mergedDoc.addPage(page));
+    }
+    return mergedDoc.save();
+  }
+
+  return { generateFilledPdf, addAttestationBlock, mergePdfs };
+}
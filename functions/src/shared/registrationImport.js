@@ -0,0 +1,331 @@
+/**
+ * Registration CSV import rules shared by the Cloud Functions, the admin
+ * import wizard and `scripts/import-vbs-registrations.js`.
+ *
+ * An import runs in three steps: parse the CSV, map its columns onto the
+ * fields below, then plan which rows create, update or only enroll students.
+ */
+import { describeGuardian, normalizeGuardians } from './guardians.js';
+
+export const STUDENT_REGISTRATION_TYPES = new Set([
+  'middle school registrant (current 6th-8th grader)',
+  'high school registrant (current 9th-12th grader)',
+]);
+export const ADULT_REGISTRATION_TYPE = '18+ registrant';
+
+// Column headers seen in Realm registration exports, per field
+export const FIELD_ALIASES = {
+  registrationType: ['RegistrationType', 'Registration Type', 'Registrant Type', 'Ticket Type'],
+  firstName: ['First Name', 'FirstName', 'Volunteer First Name', 'Registrant First Name', 'Participant First Name', 'Attendee First Name'],
+  lastName: ['Last Name', 'LastName', 'Volunteer Last Name', 'Registrant Last Name', 'Participant Last Name', 'Attendee Last Name'],
+  fullName: ['Name', 'Full Name', 'Registrant Name', 'Participant Name', 'Attendee Name'],
+  email: ['Email', 'Email Address', 'Volunteer Email', 'Registrant Email', 'Primary Email'],
+  phone: ['Phone', 'Phone Number', 'Volunteer Cell Phone', 'Mobile Phone', 'Registrant Phone'],
+  schoolName: ['School', 'School Name', 'Current School'],
+  gradeLevel: ['Grade', 'Grade Level', 'Current Grade', 'What grade are you currently in?', 'What grade will you attend in the Fall of 2026?'],
+  gradYear: ['Graduation Year', 'Grad Year', 'High School Graduation Year'],
+  guardianName: ['Parent Name', 'Parent/Guardian Name', 'Guardian Name', 'Emergency Contact Name:', 'Emergency Contact Name'],
+  guardianEmail: ['Parent Email', 'Parent/Guardian Email', 'Guardian Email', 'Emergency Contact Email:', 'Emergency Contact Email'],
+  guardianPhone: ['Parent Phone', 'Parent/Guardian Phone', 'Guardian Phone', 'Emergency Contact Cell Phone:', 'Emergency Contact Cell Phone'],
+};
+
+// Student fields an import may change on a matched student
+const UPDATABLE_FIELDS = ['schoolName', 'gradeLevel', 'gradYear'];
+
+export const IMPORT_SOURCE = 'vbs-registration-import';
+
+/**
+ * Parses CSV text, handling quoted fields, escaped quotes and blank lines.
+ *
+ * @param {string} content - Raw CSV text
+ * @returns {{ headers: string[], records: Object[] }} Records keyed by header
+ */
+export function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let inQuotes = false;
+
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    if (char === '"') {
+      if (inQuotes && next === '"') {
+        field += '"';
+        i += 1;
+      } else {
+        inQuotes = !inQuotes;
+      }
+    } else if (char === ',' && !inQuotes) {
+      row.push(field);
+      field = '';
+    } else if ((char === '\n' || char === '\r') && !inQuotes) {
+      if (char === '\r' && next === '\n') i += 1;
+      row.push(field);
+      if (row.some(value => value.trim() !== '')) rows.push(row);
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+
+  row.push(field);
+  if (row.some(value => value.trim() !== '')) rows.push(row);
+
+  if (rows.length === 0) return { headers: [], records: [] };
+
+  const headers = rows[0].map(header => header.replace(/^\uFEFF/, '').trim());
+  const records = rows.slice(1).map(rawRow => {
+    const record = {};
+    headers.forEach((header, index) => {
+      record[header] = (rawRow[index] || '').trim();
+    });
+    return record;
+  });
+
+  return { headers, records };
+}
+
+export function normalize(value) {
+  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
+}
+
+export function compact(value) {
+  return normalize(value).replace(/[^a-z0-9]/g, '');
+}
+
+/**
+ * Picks a CSV column for each known field, preferring an exact alias and
+ * falling back to one that matches ignoring case, spacing and punctuation.
+ *
+ * @param {string[]} headers - CSV headers
+ * @returns {Object<string, string>} Header per field ('' when none matched)
+ */
+export function detectColumnMapping(headers) {
+  const mapping = {};
+  Object.entries(FIELD_ALIASES).forEach(([fieldName, aliases]) => {
+    const directKey = aliases.find(alias => headers.includes(alias));
+    const normalizedAliases = aliases.map(compact);
+    const fuzzyKey = headers.find(header => normalizedAliases.includes(compact(header)));
+    mapping[fieldName] = directKey || fuzzyKey || '';
+  });
+  return mapping;
+}
+
+/**
+ * Re-keys CSV records by field name using a column mapping. Each row keeps
+ * its spreadsheet row number (the header is row 1).
+ *
+ * @param {Object[]} records - Records from parseCsv
+ * @param {Object<string, string>} mapping - Header per field
+ * @returns {Object[]}
+ */
+export function applyColumnMapping(records, mapping) {
+  return records.map((record, index) => {
+    const row = { rowNumber: index + 2 };
+    Object.keys(FIELD_ALIASES).forEach(fieldName => {
+      const header = mapping[fieldName];
+      row[fieldName] = header ? String(record[header] || '').trim() : '';
+    });
+    return row;
+  });
+}
+
+function fieldValue(row, fieldName) {
+  return String(row[fieldName] || '').trim();
+}
+
+export function splitName(row) {
+  const firstName = fieldValue(row, 'firstName');
+  const lastName = fieldValue(row, 'lastName');
+  if (firstName || lastName) return { firstName, lastName };
+
+  const parts = fieldValue(row, 'fullName').split(/\s+/).filter(Boolean);
+  if (parts.length === 0) return { firstName: '', lastName: '' };
+  if (parts.length === 1) return { firstName: parts[0], lastName: '' };
+  return {
+    firstName: parts.slice(0, -1).join(' '),
+    lastName: parts[parts.length - 1],
+  };
+}
+
+export function inferGradeLevel(registrationType, rawGrade) {
+  const gradeMatch = String(rawGrade || registrationType || '').match(/\b(6|7|8|9|10|11|12)(?:th|st|nd|rd)?\b/);
+  return gradeMatch ? gradeMatch[1] : '';
+}
+
+export function inferGradYear(gradeLevel, now = new Date()) {
+  const grade = Number.parseInt(gradeLevel, 10);
+  if (!Number.isInteger(grade)) return '';
+  const schoolYearEnd = now.getMonth() >= 5 ? now.getFullYear() + 1 : now.getFullYear();
+  return String(schoolYearEnd + (12 - grade));
+}
+
+/**
+ * The guardian contact on a mapped row, or null when the row has none.
+ * Imported guardians are not opted in to notifications; an admin records
+ * consent on the student record.
+ *
+ * @param {Object} row - Row from applyColumnMapping
+ * @returns {Object|null}
+ */
+function toGuardian(row) {
+  const [guardian] = normalizeGuardians([{
+    name: fieldValue(row, 'guardianName'),
+    email: fieldValue(row, 'guardianEmail'),
+    phone: fieldValue(row, 'guardianPhone'),
+    optIn: false,
+  }]);
+  return guardian || null;
+}
+
+/**
+ * Builds the student document fields for a mapped row.
+ *
+ * @param {Object} row - Row from applyColumnMapping
+ * @returns {Object}
+ */
+export function toStudent(row) {
+  const { firstName, lastName } = splitName(row);
+  const gradeLevel = inferGradeLevel(fieldValue(row, 'registrationType'), fieldValue(row, 'gradeLevel'));
+  const guardian = toGuardian(row);
+
+  return {
+    firstName,
+    lastName,
+    schoolName: fieldValue(row, 'schoolName'),
+    gradeLevel,
+    gradYear: fieldValue(row, 'gradYear') || inferGradYear(gradeLevel),
+    overrideHours: 0,
+    ...(guardian && { guardians: [guardian] }),
+  };
+}
+
+/**
+ * Keys that identify the same student across imports: name plus graduation
+ * year and/or school, or the name alone when neither is known.
+ *
+ * @param {Object} student
+ * @returns {string[]}
+ */
+export function studentKeys(student) {
+  const nameKey = `${compact(student.firstName)}:${compact(student.lastName)}`;
+  const keys = [];
+  if (compact(student.gradYear)) keys.push(`${nameKey}:grad:${compact(student.gradYear)}`);
+  if (compact(student.schoolName)) keys.push(`${nameKey}:school:${compact(student.schoolName)}`);
+  if (keys.length === 0) keys.push(nameKey);
+  return keys;
+}
+
+/**
+ * Why a mapped row is not a student registration, or null when it is.
+ * Without a mapped registration type column every row is treated as a student.
+ *
+ * @param {Object} row - Row from applyColumnMapping
+ * @param {boolean} hasTypeColumn - Whether a registration type column is mapped
+ * @returns {string|null}
+ */
+export function getSkipReason(row, hasTypeColumn) {
+  if (hasTypeColumn) {
+    const registrationType = normalize(row.registrationType);
+    if (registrationType === ADULT_REGISTRATION_TYPE) {
+      return 'Adult registration (add adult volunteers from Users)';
+    }
+    if (!STUDENT_REGISTRATION_TYPES.has(registrationType)) {
+      return `Unsupported registration type: ${row.registrationType || '(blank)'}`;
+    }
+  }
+
+  const { firstName, lastName } = splitName(row);
+  if (!firstName || !lastName) return 'Missing first or last name';
+  return null;
+}
+
+/**
+ * Plans an import without writing anything. Each row is one of:
+ * - `new`: no matching student; one is created
+ * - `updated`: matches a student whose school, grade or graduation year
+ *   changed, or who gains the file's guardian contact
+ * - `unchanged`: matches a student with nothing to change
+ * - `duplicate`: repeats an earlier row in the same file
+ * - `skipped`: not a student registration, or missing a name
+ * Rows that are not skipped or duplicates set `addToRoster` when the student
+ * is not yet on the event roster.
+ *
+ * @param {Object[]} rows - Rows from applyColumnMapping
+ * @param {Object[]} existingStudents - Students with their `id`
+ * @param {Set<string>} rosterIds - Student IDs already on the event roster
+ * @param {Object} [options]
+ * @param {boolean} [options.hasTypeColumn=true] - Whether a registration type column is mapped
+ * @returns {{ rows: Object[], counts: Object<string, number>, rosterAdds: number }}
+ */
+export function planStudentImport(rows, existingStudents, rosterIds, { hasTypeColumn = true } = {}) {
+  const existingByKey = new Map();
+  existingStudents.forEach(student => {
+    studentKeys(student).forEach(key => {
+      if (!existingByKey.has(key)) existingByKey.set(key, student);
+    });
+  });
+
+  const seenKeys = new Map();
+  const counts = { new: 0, updated: 0, unchanged: 0, duplicate: 0, skipped: 0 };
+  let rosterAdds = 0;
+
+  const planned = rows.map(row => {
+    const rowNumber = row.rowNumber;
+    const reason = getSkipReason(row, hasTypeColumn);
+    if (reason) {
+      counts.skipped += 1;
+      return { rowNumber, status: 'skipped', reason, student: splitName(row) };
+    }
+
+    const student = toStudent(row);
+    const keys = studentKeys(student);
+    const firstRow = keys.map(key => seenKeys.get(key)).find(Boolean);
+    if (firstRow) {
+      counts.duplicate += 1;
+      return { rowNumber, status: 'duplicate', reason: `Same student as row ${firstRow}`, student };
+    }
+    keys.forEach(key => seenKeys.set(key, rowNumber));
+
+    const existing = keys.map(key => existingByKey.get(key)).find(Boolean);
+    if (!existing) {
+      counts.new += 1;
+      rosterAdds += 1;
+      return { rowNumber, status: 'new', student, addToRoster: true };
+    }
+
+    // Only columns present in the file update a student; grades inferred
+    // from the registration type are too coarse to overwrite stored ones.
+    const changes = {};
+    UPDATABLE_FIELDS.forEach(fieldName => {
+      const value = fieldValue(row, fieldName) ? student[fieldName] : '';
+      const current = String(existing[fieldName] ?? '');
+      if (value && value !== current) {
+        changes[fieldName] = { from: current, to: value };
+      }
+    });
+    // Guardians are added only to students without any, so contacts and
+    // opt-ins an admin already recorded are left alone
+    if (student.guardians && !existing.guardians?.length) {
+      changes.guardians = { from: '', to: student.guardians.map(describeGuardian).join('; ') };
+    }
+    const status = Object.keys(changes).length > 0 ? 'updated' : 'unchanged';
+    const addToRoster = !rosterIds.has(existing.id);
+
+    counts[status] += 1;
+    if (addToRoster) rosterAdds += 1;
+    return {
+      rowNumber,
+      status,
+      studentId: existing.id,
+      student: { ...student, firstName: existing.firstName, lastName: existing.lastName },
+      ...(status === 'updated' && { changes }),
+      addToRoster,
+    };
+  });
+
+  return { rows: planned, counts, rosterAdds };
+}
@@ -0,0 +1,52 @@
+/**
+ * Review workflow rules shared by the Cloud Functions and the frontend.
+ *
+ * Entries start as `pending` (or `flagged` when a check-in/out flag fires) and
+ * move to `approved` or `rejected` in Daily Review. Only approved hours are
+ * credited on generated forms and printed reports.
+ */
+
+export const REVIEW_STATUSES = ['pending', 'flagged', 'approved', 'rejected'];
+
+/**
+ * Status an entry returns to after its times change, so edited hours are
+ * reviewed again.
+ *
+ * @param {Object} entry - Time entry with optional flags
+ * @returns {string}
+ */
+export function getUnreviewedStatus(entry) {
+  return entry?.flags && entry.flags.length > 0 ? 'flagged' : 'pending';
+}
+
+/**
+ * Whether an entry still needs an approve/reject decision.
+ *
+ * @param {Object} entry - Time entry
+ * @returns {boolean}
+ */
+export function needsReview(entry) {
+  return !entry.isVoided && entry.reviewStatus !== 'approved' && entry.reviewStatus !== 'rejected';
+}
+
+/**
+ * Whether an entry's hours count toward forms and reports: checked out,
+ * not voided and approved.
+ *
+ * @param {Object} entry - Time entry
+ * @returns {boolean}
+ */
+export function isCreditedEntry(entry) {
+  return !entry.isVoided && Boolean(entry.checkOutTime) && entry.reviewStatus === 'approved';
+}
+
+/**
+ * Document ID for an event day's review lock.
+ *
+ * @param {string} eventId - Event ID
+ * @param {string} date - Date (YYYY-MM-DD)
+ * @returns {string}
+ */
+export function getReviewLockId(eventId, date) {
+  return `${eventId}_${date}`;
+}
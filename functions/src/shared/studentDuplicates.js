@@ -0,0 +1,66 @@
+/**
+ * Duplicate student detection shared by the merge tool in the admin UI and
+ * the Cloud Functions.
+ *
+ * Students are grouped by normalized first and last name. Within a name,
+ * records are duplicates when their school and graduation year agree, or
+ * one side left that field blank.
+ */
+import { compact } from './registrationImport.js';
+
+function nameKey(student) {
+  return `${compact(student.firstName)}:${compact(student.lastName)}`;
+}
+
+function fieldsAgree(a, b) {
+  const left = compact(a);
+  const right = compact(b);
+  return !left || !right || left === right;
+}
+
+/**
+ * Whether two student records likely describe the same person.
+ *
+ * @param {Object} a - Student
+ * @param {Object} b - Student
+ * @returns {boolean}
+ */
+export function isLikelyDuplicate(a, b) {
+  return nameKey(a) === nameKey(b) &&
+    fieldsAgree(a.schoolName, b.schoolName) &&
+    fieldsAgree(a.gradYear, b.gradYear);
+}
+
+/**
+ * Groups likely duplicate students. Records already merged into another
+ * student are ignored.
+ *
+ * @param {Object[]} students - Students with their `id`
+ * @returns {Object[][]} Groups of two or more students, sorted by name
+ */
+export function findDuplicateStudentGroups(students) {
+  const byName = new Map();
+  students
+    .filter(student => !student.mergedInto && compact(student.firstName) && compact(student.lastName))
+    .forEach(student => {
+      const key = nameKey(student);
+      if (!byName.has(key)) byName.set(key, []);
+      byName.get(key).push(student);
+    });
+
+  const groups = [];
+  byName.forEach(candidates => {
+    if (candidates.length < 2) return;
+    const clusters = [];
+    candidates.forEach(student => {
+      const cluster = clusters.find(members => members.every(member => isLikelyDuplicate(member, student)));
+      if (cluster) cluster.push(student);
+      else clusters.push([student]);
+    });
+    groups.push(...clusters.filter(cluster => cluster.length > 1));
+  });
+
+  return groups.sort((a, b) =>
+    `${a[0].lastName} ${a[0].firstName}`.localeCompare(`${b[0].lastName} ${b[0].firstName}`)
+  );
+}
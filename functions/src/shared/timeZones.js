@@ -0,0 +1,182 @@
+/**
+ * Event time zone rules shared by the Cloud Functions and the frontend.
+ *
+ * Each event stores an IANA `timeZone` (e.g. "America/Chicago"). An entry's
+ * `date`, early/late flags, activity date ranges, forced check-out times and
+ * the times printed on reports and PDFs are all read on the event's wall
+ * clock, never the server's or the device's. Events saved before time zones
+ * existed use DEFAULT_TIME_ZONE.
+ */
+
+export const DEFAULT_TIME_ZONE = 'America/New_York';
+
+/**
+ * Zones offered on the event form; any valid IANA zone is accepted.
+ */
+export const COMMON_TIME_ZONES = [
+  'America/New_York',
+  'America/Chicago',
+  'America/Denver',
+  'America/Phoenix',
+  'America/Los_Angeles',
+  'America/Anchorage',
+  'Pacific/Honolulu',
+  'America/Puerto_Rico',
+  'America/Mexico_City',
+  'America/Guatemala',
+  'America/Port-au-Prince',
+  'America/Santo_Domingo',
+  'America/Bogota',
+  'America/Lima',
+  'Europe/London',
+  'Africa/Nairobi',
+  'Asia/Manila',
+];
+
+/**
+ * @param {string} [timeZone]
+ * @returns {boolean} Whether Intl knows the IANA zone
+ */
+export function isValidTimeZone(timeZone) {
+  if (!timeZone || typeof timeZone !== 'string') return false;
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+/**
+ * @param {Object} [event] - Event document
+ * @returns {string} The event's zone, or DEFAULT_TIME_ZONE
+ */
+export function getEventTimeZone(event) {
+  return isValidTimeZone(event?.timeZone) ? event.timeZone : DEFAULT_TIME_ZONE;
+}
+
+function getZonedParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    year: 'numeric',
+    month: '2-digit',
+    day: '2-digit',
+    hour: '2-digit',
+    minute: '2-digit',
+    second: '2-digit',
+    hourCycle: 'h23',
+  }).formatToParts(date);
+  return Object.fromEntries(parts
+    .filter(part => part.type !== 'literal')
+    .map(part => [part.type, parseInt(part.value, 10)]));
+}
+
+/**
+ * Calendar date in the zone, e.g. "2026-01-24"
+ *
+ * @param {Date|number} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function formatDateInTimeZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new Intl.DateTimeFormat('en-CA', { timeZone }).format(date);
+}
+
+/**
+ * Today's calendar date in the zone
+ *
+ * @param {string} [timeZone]
+ * @param {Date|number} [now]
+ * @returns {string}
+ */
+export function getTodayInTimeZone(timeZone = DEFAULT_TIME_ZONE, now = new Date()) {
+  return formatDateInTimeZone(now, timeZone);
+}
+
+/**
+ * Minutes since midnight on the zone's wall clock
+ *
+ * @param {Date|number} date
+ * @param {string} [timeZone]
+ * @returns {number}
+ */
+export function getMinutesOfDay(date, timeZone = DEFAULT_TIME_ZONE) {
+  const { hour, minute } = getZonedParts(date, timeZone);
+  return hour * 60 + minute;
+}
+
+/**
+ * Wall-clock time in the zone for messages and change logs, e.g. "3:05 PM"
+ *
+ * @param {Date|number} date
+ * @param {string} [timeZone]
+ * @returns {string}
+ */
+export function formatTimeInTimeZone(date, timeZone = DEFAULT_TIME_ZONE) {
+  return new Date(date).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit', timeZone });
+}
+
+/**
+ * The instant a wall-clock time in the zone refers to. Times skipped by a
+ * daylight-saving jump resolve to the hour after.
+ *
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @param {string} timeString - "HH:MM" or "HH:MM:SS"
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export function zonedTimeToDate(dateString, timeString, timeZone = DEFAULT_TIME_ZONE) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const [hour, minute, second = 0] = timeString.split(':').map(Number);
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute, second);
+
+  const offsetAt = (instant) => {
+    const parts = getZonedParts(new Date(instant), timeZone);
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second) - instant;
+  };
+
+  const guess = wallClock - offsetAt(wallClock);
+  const offset = offsetAt(guess);
+  const candidate = wallClock - offset;
+  return new Date(offsetAt(candidate) === offset ? candidate : guess);
+}
+
+/**
+ * Value for an <input type="datetime-local"> showing the zone's wall clock
+ *
+ * @param {Date|number|string} date
+ * @param {string} [timeZone]
+ * @returns {string} "YYYY-MM-DDTHH:MM", or '' without a date
+ */
+export function toDateTimeInputValue(date, timeZone = DEFAULT_TIME_ZONE) {
+  if (!date) return '';
+  const { year, month, day, hour, minute } = getZonedParts(new Date(date), timeZone);
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${year}-${pad(month)}-${pad(day)}T${pad(hour)}:${pad(minute)}`;
+}
+
+/**
+ * Reads a datetime-local value as a wall-clock time in the zone
+ *
+ * @param {string} value - "YYYY-MM-DDTHH:MM"
+ * @param {string} [timeZone]
+ * @returns {Date}
+ */
+export function fromDateTimeInputValue(value, timeZone = DEFAULT_TIME_ZONE) {
+  const [dateString, timeString = '00:00'] = value.split('T');
+  return zonedTimeToDate(dateString, timeString, timeZone);
+}
+
+/**
+ * Monday of the week containing the date, as "YYYY-MM-DD"
+ *
+ * @param {string} dateString - "YYYY-MM-DD"
+ * @returns {string}
+ */
+export function getWeekStartDateString(dateString) {
+  const [year, month, day] = dateString.split('-').map(Number);
+  const date = new Date(Date.UTC(year, month - 1, day));
+  const weekday = date.getUTCDay();
+  date.setUTCDate(date.getUTCDate() - (weekday === 0 ? 6 : weekday - 1));
+  return date.toISOString().slice(0, 10);
+}
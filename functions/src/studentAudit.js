@@ -0,0 +1,77 @@
+import { onDocumentUpdatedWithAuthContext } from 'firebase-functions/v2/firestore';
+import { getFirestore } from 'firebase-admin/firestore';
+import { buildAuditRecord } from './auditLog.js';
+
+// Writes made by Cloud Functions (merges, badge revokes and reissues,
+// registration imports) record their own audit entries
+const SERVER_AUTH_TYPES = ['service_account', 'system'];
+
+const toAuditValue = (value) => {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === 'function') return value.toDate().toISOString();
+  return value;
+};
+
+/**
+ * Field-level differences between two versions of a student document.
+ *
+ * @param {Object} before - Data before the write
+ * @param {Object} after - Data after the write
+ * @returns {Object} { field: { from, to } } for every changed field
+ */
+export function getStudentChanges(before = {}, after = {}) {
+  const changes = {};
+  new Set([...Object.keys(before), ...Object.keys(after)]).forEach(field => {
+    const from = toAuditValue(before[field]);
+    const to = toAuditValue(after[field]);
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      changes[field] = { from, to };
+    }
+  });
+  return changes;
+}
+
+/**
+ * Student Edit Audit Trigger
+ *
+ * Student profiles are edited directly from the admin pages, so edits are
+ * audited by a Firestore trigger rather than a callable. The trigger's auth
+ * context identifies the admin; their name is read from the admins collection.
+ */
+export const auditStudentEdits = onDocumentUpdatedWithAuthContext('students/{studentId}', async (event) => {
+  if (SERVER_AUTH_TYPES.includes(event.authType)) return;
+
+  const changes = getStudentChanges(event.data.before.data(), event.data.after.data());
+  const fields = Object.keys(changes);
+  if (fields.length === 0) return;
+
+  const db = getFirestore();
+  const { studentId } = event.params;
+  const performedBy = event.authId || null;
+
+  try {
+    let performedByName = null;
+    if (performedBy) {
+      const adminDoc = await db.collection('admins').doc(performedBy).get();
+      performedByName = adminDoc.exists ? adminDoc.data().name || adminDoc.data().email || null : null;
+    }
+
+    const after = event.data.after.data();
+    await db.collection('auditLog').add(buildAuditRecord({
+      action: 'student_edit',
+      targetType: 'student',
+      targetId: studentId,
+      performedBy,
+      performedByName,
+      organizationId: after.organizationId || null,
+      studentId,
+      details: {
+        studentName: `${after.firstName || ''} ${after.lastName || ''}`.trim(),
+        changes,
+        description: `Updated ${fields.join(', ')}`
+      }
+    }));
+  } catch (error) {
+    console.error('Student audit error:', error);
+  }
+});
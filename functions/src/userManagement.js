@@ -1,6 +1,13 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
 import { getAuth } from 'firebase-admin/auth';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { assertOrganizationAccess, getOrganizationIds, isOrganizationMember } from './organizations.js';
+import {
+  describeEventAssignment,
+  getEventAssignmentsError,
+  normalizeEventAssignments
+} from './shared/eventAssignments.js';
 
 // Valid roles
 const VALID_ROLES = ['admin', 'adult_volunteer'];
@@ -24,16 +31,84 @@ async function verifyAdmin(request) {
 }
 
 /**
- * Create a new user with a role
+ * Verifies the caller administers request.data.organizationId, the
+ * organization whose users are being managed
+ */
+async function verifyOrganizationAdmin(request) {
+  const admin = await verifyAdmin(request);
+  const organizationId = request.data?.organizationId;
+
+  if (!organizationId) {
+    throw new HttpsError('invalid-argument', 'Missing required field: organizationId');
+  }
+  assertOrganizationAccess(admin, organizationId);
+
+  return organizationId;
+}
+
+/**
+ * Finds a user's profile in either the admins or users collection
+ */
+async function findUserProfile(db, userId) {
+  const adminDoc = await db.collection('admins').doc(userId).get();
+  if (adminDoc.exists) {
+    return { userDoc: adminDoc, collection: 'admins' };
+  }
+  return { userDoc: await db.collection('users').doc(userId).get(), collection: 'users' };
+}
+
+/**
+ * Finds a user's profile; users of other organizations are reported as not found
+ */
+async function getOrganizationUser(db, userId, organizationId) {
+  const { userDoc, collection } = await findUserProfile(db, userId);
+
+  if (!userDoc.exists || !isOrganizationMember(userDoc.data(), organizationId)) {
+    throw new HttpsError('not-found', 'User not found');
+  }
+
+  return { userDoc, collection };
+}
+
+/**
+ * Event assignments that belong to other organizations
+ */
+function otherOrganizationAssignments(profile, organizationId) {
+  return Object.fromEntries(Object.entries(profile.eventAssignments || {})
+    .filter(([, assignment]) => assignment?.organizationId !== organizationId));
+}
+
+/**
+ * Profile fields after removing one organization membership
+ */
+function withoutOrganization(profile, organizationId) {
+  const organizationIds = getOrganizationIds(profile).filter(id => id !== organizationId);
+  const remaining = {
+    organizationIds,
+    selectedOrganizationId: profile.selectedOrganizationId === organizationId
+      ? organizationIds[0] || null
+      : profile.selectedOrganizationId || null
+  };
+  if (profile.eventAssignments) {
+    remaining.eventAssignments = otherOrganizationAssignments(profile, organizationId);
+  }
+  return remaining;
+}
+
+/**
+ * Create a new user with a role in an organization. Someone who already has
+ * an account is added to the organization instead, keeping their password
+ * and role.
  *
  * @param {Object} request.data
+ * @param {string} request.data.organizationId - Organization the user joins
  * @param {string} request.data.email - User's email
  * @param {string} request.data.password - User's password
  * @param {string} request.data.name - User's display name
  * @param {string} request.data.role - User's role ('admin' or 'adult_volunteer')
  */
 export const createUser = onCall({ cors: true }, async (request) => {
-  await verifyAdmin(request);
+  const organizationId = await verifyOrganizationAdmin(request);
 
   const { email, password, name, role } = request.data;
 
@@ -56,6 +131,14 @@ export const createUser = onCall({ cors: true }, async (request) => {
   const db = getFirestore();
 
   try {
+    const existingUser = await auth.getUserByEmail(email).catch(error => {
+      if (error.code === 'auth/user-not-found') return null;
+      throw error;
+    });
+    if (existingUser) {
+      return await addExistingUser(db, request, existingUser.uid, organizationId);
+    }
+
     // Create the user in Firebase Auth
     const userRecord = await auth.createUser({
       email,
@@ -67,16 +150,35 @@ export const createUser = onCall({ cors: true }, async (request) => {
     // Determine which collection to use based on role
     const collection = role === 'admin' ? 'admins' : 'users';
 
-    // Create the user document in Firestore
+    // Create the user document in Firestore; new adult volunteers scan only
+    // the events an admin assigns them to
     await db.collection(collection).doc(userRecord.uid).set({
       email,
       name,
       role,
       isActive: true,
+      organizationIds: [organizationId],
+      selectedOrganizationId: organizationId,
+      ...(role === 'admin' ? {} : { eventAssignments: {} }),
       createdAt: Timestamp.now(),
       createdBy: request.auth.uid
     });
 
+    await db.collection('auditLog').add(buildAuditRecord({
+      action: 'user_create',
+      targetType: 'user',
+      targetId: userRecord.uid,
+      performedBy: request.auth.uid,
+      performedByName: getActorName(request.auth),
+      organizationId,
+      details: {
+        email,
+        name,
+        role,
+        description: `Created ${name} (${email}) as ${role}`
+      }
+    }));
+
     return {
       success: true,
       userId: userRecord.uid,
@@ -85,6 +187,9 @@ export const createUser = onCall({ cors: true }, async (request) => {
   } catch (error) {
     console.error('Create user error:', error);
 
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     if (error.code === 'auth/email-already-exists') {
       throw new HttpsError('already-exists', 'A user with this email already exists');
     }
@@ -99,17 +204,62 @@ export const createUser = onCall({ cors: true }, async (request) => {
   }
 });
 
+/**
+ * Adds an existing account to another organization
+ */
+async function addExistingUser(db, request, userId, organizationId) {
+  const { userDoc, collection } = await findUserProfile(db, userId);
+
+  if (!userDoc.exists) {
+    throw new HttpsError('already-exists', 'A user with this email already exists');
+  }
+
+  const profile = userDoc.data();
+  if (isOrganizationMember(profile, organizationId)) {
+    throw new HttpsError('already-exists', 'This user already belongs to this organization');
+  }
+
+  await db.collection(collection).doc(userId).update({
+    organizationIds: [...getOrganizationIds(profile), organizationId],
+    updatedAt: Timestamp.now(),
+    updatedBy: request.auth.uid
+  });
+
+  await db.collection('auditLog').add(buildAuditRecord({
+    action: 'user_add',
+    targetType: 'user',
+    targetId: userId,
+    performedBy: request.auth.uid,
+    performedByName: getActorName(request.auth),
+    organizationId,
+    details: {
+      email: profile.email,
+      name: profile.name,
+      role: profile.role,
+      description: `Added ${profile.name} (${profile.email}) to the organization as ${profile.role}`
+    }
+  }));
+
+  return {
+    success: true,
+    userId,
+    existingUser: true,
+    message: `${profile.email} already has an account and was added to this organization as ${profile.role}`
+  };
+}
+
 /**
  * Update a user's role or status
  *
  * @param {Object} request.data
+ * @param {string} request.data.organizationId - Organization the user belongs to
  * @param {string} request.data.userId - User's UID
  * @param {string} [request.data.role] - New role (optional)
  * @param {boolean} [request.data.isActive] - Active status (optional)
  * @param {string} [request.data.name] - New name (optional)
  */
 export const updateUser = onCall({ cors: true }, async (request) => {
-  await verifyAdmin(request);
+  const organizationId = await verifyOrganizationAdmin(request);
 
   const { userId, role, isActive, name } = request.data;
 
@@ -126,17 +276,7 @@ export const updateUser = onCall({ cors: true }, async (request) => {
 
   try {
     // Find user in either admins or users collection
-    let userDoc = await db.collection('admins').doc(userId).get();
-    let currentCollection = 'admins';
-
-    if (!userDoc.exists) {
-      userDoc = await db.collection('users').doc(userId).get();
-      currentCollection = 'users';
-    }
-
-    if (!userDoc.exists) {
-      throw new HttpsError('not-found', 'User not found');
-    }
+    const { userDoc, collection: currentCollection } = await getOrganizationUser(db, userId, organizationId);
 
     const currentData = userDoc.data();
     const newCollection = role === 'admin' ? 'admins' : 'users';
@@ -146,9 +286,10 @@ export const updateUser = onCall({ cors: true }, async (request) => {
       // Delete from current collection
       await db.collection(currentCollection).doc(userId).delete();
 
-      // Create in new collection
+      // Create in new collection; demoted admins start without event assignments
       await db.collection(newCollection).doc(userId).set({
         ...currentData,
+        ...(newCollection === 'users' ? { eventAssignments: currentData.eventAssignments || {} } : {}),
         role,
         isActive: isActive !== undefined ? isActive : currentData.isActive,
         name: name || currentData.name,
@@ -180,6 +321,35 @@ export const updateUser = onCall({ cors: true }, async (request) => {
       await auth.updateUser(userId, { disabled: false });
     }
 
+    const before = { role: currentData.role, isActive: currentData.isActive, name: currentData.name };
+    const after = {
+      role: role || currentData.role,
+      isActive: isActive !== undefined ? isActive : currentData.isActive,
+      name: name || currentData.name
+    };
+    const changes = [];
+    if (after.role !== before.role) changes.push(`Role changed from ${before.role} to ${after.role}`);
+    if (after.isActive !== before.isActive) changes.push(after.isActive ? 'Reactivated' : 'Deactivated');
+    if (after.name !== before.name) changes.push(`Name changed from ${before.name} to ${after.name}`);
+
+    if (changes.length > 0) {
+      await db.collection('auditLog').add(buildAuditRecord({
+        action: 'user_update',
+        targetType: 'user',
+        targetId: userId,
+        performedBy: request.auth.uid,
+        performedByName: getActorName(request.auth),
+        organizationId,
+        details: {
+          email: currentData.email,
+          name: after.name,
+          before,
+          after,
+          description: `${changes.join('; ')} for ${currentData.email}`
+        }
+      }));
+    }
+
     return {
       success: true,
       message: 'User updated successfully'
@@ -194,13 +364,96 @@ export const updateUser = onCall({ cors: true }, async (request) => {
 });
 
 /**
- * Delete a user (removes from Auth and Firestore)
+ * Replace an adult volunteer's event assignments within one organization.
+ * Assignments to other organizations' events are kept.
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.organizationId - Organization the events belong to
+ * @param {string} request.data.userId - Adult volunteer's UID
+ * @param {Object[]} request.data.eventAssignments - [{ eventId, role, activityIds }]
+ *   where role is 'scanner', 'station_lead' or 'school_coordinator'
+ */
+export const updateEventAssignments = onCall({ cors: true }, async (request) => {
+  const organizationId = await verifyOrganizationAdmin(request);
+
+  const { userId } = request.data;
+
+  if (!userId || !Array.isArray(request.data.eventAssignments)) {
+    throw new HttpsError('invalid-argument', 'Missing required fields: userId and eventAssignments');
+  }
+
+  const db = getFirestore();
+
+  try {
+    const { userDoc, collection } = await getOrganizationUser(db, userId, organizationId);
+    if (collection === 'admins') {
+      throw new HttpsError('failed-precondition', 'Admins can scan every event; assignments are for adult volunteers');
+    }
+
+    const assignments = normalizeEventAssignments(request.data.eventAssignments, organizationId);
+    const eventsById = {};
+    for (const eventId of Object.keys(assignments)) {
+      const eventDoc = await db.collection('events').doc(eventId).get();
+      if (!eventDoc.exists || eventDoc.data().organizationId !== organizationId) {
+        throw new HttpsError('not-found', 'Event not found');
+      }
+      eventsById[eventId] = eventDoc.data();
+    }
+
+    const assignmentsError = getEventAssignmentsError(assignments, eventsById);
+    if (assignmentsError) {
+      throw new HttpsError('invalid-argument', assignmentsError);
+    }
+
+    const profile = userDoc.data();
+    await db.collection(collection).doc(userId).update({
+      eventAssignments: { ...otherOrganizationAssignments(profile, organizationId), ...assignments },
+      updatedAt: Timestamp.now(),
+      updatedBy: request.auth.uid
+    });
+
+    const descriptions = Object.entries(assignments)
+      .map(([eventId, assignment]) => describeEventAssignment(assignment, eventsById[eventId]));
+    await db.collection('auditLog').add(buildAuditRecord({
+      action: 'user_assignments',
+      targetType: 'user',
+      targetId: userId,
+      performedBy: request.auth.uid,
+      performedByName: getActorName(request.auth),
+      organizationId,
+      details: {
+        email: profile.email,
+        name: profile.name,
+        assignments,
+        description: descriptions.length > 0
+          ? `Assigned ${profile.name || profile.email} as ${descriptions.join('; ')}`
+          : `Removed ${profile.name || profile.email} from all events`
+      }
+    }));
+
+    return {
+      success: true,
+      message: 'Event assignments updated'
+    };
+  } catch (error) {
+    console.error('Update event assignments error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
+    throw new HttpsError('internal', error.message);
+  }
+});
+
+/**
+ * Remove a user from an organization. Users who belong to no other
+ * organization are deleted from Auth and Firestore.
  *
  * @param {Object} request.data
+ * @param {string} request.data.organizationId - Organization the user is removed from
  * @param {string} request.data.userId - User's UID to delete
  */
 export const deleteUser = onCall({ cors: true }, async (request) => {
-  await verifyAdmin(request);
+  const organizationId = await verifyOrganizationAdmin(request);
 
   const { userId } = request.data;
 
@@ -217,26 +470,50 @@ export const deleteUser = onCall({ cors: true }, async (request) => {
   const auth = getAuth();
 
   try {
-    // Delete from Firestore (check both collections)
-    const adminDoc = await db.collection('admins').doc(userId).get();
-    if (adminDoc.exists) {
-      await db.collection('admins').doc(userId).delete();
-    }
+    const { userDoc, collection } = await getOrganizationUser(db, userId, organizationId);
+    const deleted = userDoc.data();
+    const remaining = withoutOrganization(deleted, organizationId);
+
+    if (remaining.organizationIds.length > 0) {
+      // Other organizations keep the account
+      await db.collection(collection).doc(userId).update({
+        ...remaining,
+        updatedAt: Timestamp.now(),
+        updatedBy: request.auth.uid
+      });
+    } else {
+      await db.collection(collection).doc(userId).delete();
 
-    const userDoc = await db.collection('users').doc(userId).get();
-    if (userDoc.exists) {
-      await db.collection('users').doc(userId).delete();
+      // Delete from Firebase Auth
+      await auth.deleteUser(userId);
     }
 
-    // Delete from Firebase Auth
-    await auth.deleteUser(userId);
+    const removedOnly = remaining.organizationIds.length > 0;
+    await db.collection('auditLog').add(buildAuditRecord({
+      action: removedOnly ? 'user_remove' : 'user_delete',
+      targetType: 'user',
+      targetId: userId,
+      performedBy: request.auth.uid,
+      performedByName: getActorName(request.auth),
+      organizationId,
+      details: {
+        email: deleted.email || null,
+        name: deleted.name || null,
+        role: deleted.role || null,
+        description: `${removedOnly ? 'Removed' : 'Deleted'} ${deleted.name || deleted.email || userId}` +
+          (removedOnly ? ' from the organization' : '')
+      }
+    }));
 
     return {
       success: true,
-      message: 'User deleted successfully'
+      message: removedOnly ? 'User removed from this organization' : 'User deleted successfully'
     };
   } catch (error) {
     console.error('Delete user error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     if (error.code === 'auth/user-not-found') {
       throw new HttpsError('not-found', 'User not found in authentication system');
     }
@@ -245,16 +522,21 @@ export const deleteUser = onCall({ cors: true }, async (request) => {
 });
 
 /**
- * List all users (from both admins and users collections)
+ * List an organization's users (from both admins and users collections)
+ *
+ * @param {Object} request.data
+ * @param {string} request.data.organizationId - Organization to list
  */
 export const listUsers = onCall({ cors: true }, async (request) => {
-  await verifyAdmin(request);
+  const organizationId = await verifyOrganizationAdmin(request);
 
   const db = getFirestore();
 
   try {
     // Get all admins
-    const adminsSnapshot = await db.collection('admins').get();
+    const adminsSnapshot = await db.collection('admins')
+      .where('organizationIds', 'array-contains', organizationId)
+      .get();
     const admins = adminsSnapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data(),
@@ -262,7 +544,9 @@ export const listUsers = onCall({ cors: true }, async (request) => {
     }));
 
     // Get all users
-    const usersSnapshot = await db.collection('users').get();
+    const usersSnapshot = await db.collection('users')
+      .where('organizationIds', 'array-contains', organizationId)
+      .get();
     const users = usersSnapshot.docs.map(doc => ({
       id: doc.id,
       ...doc.data(),
@@ -288,11 +572,12 @@ export const listUsers = onCall({ cors: true }, async (request) => {
  * Reset a user's password (sends reset email or sets new password)
  *
  * @param {Object} request.data
+ * @param {string} request.data.organizationId - Organization the user belongs to
  * @param {string} request.data.userId - User's UID
  * @param {string} [request.data.newPassword] - New password (if not provided, generates random)
  */
 export const resetUserPassword = onCall({ cors: true }, async (request) => {
-  await verifyAdmin(request);
+  const organizationId = await verifyOrganizationAdmin(request);
 
   const { userId, newPassword } = request.data;
 
@@ -300,9 +585,12 @@ export const resetUserPassword = onCall({ cors: true }, async (request) => {
     throw new HttpsError('invalid-argument', 'Missing required field: userId');
   }
 
+  const db = getFirestore();
   const auth = getAuth();
 
   try {
+    await getOrganizationUser(db, userId, organizationId);
+
     // Generate random password if not provided
     const password = newPassword || generateRandomPassword();
 
@@ -315,6 +603,9 @@ export const resetUserPassword = onCall({ cors: true }, async (request) => {
     };
   } catch (error) {
     console.error('Reset password error:', error);
+    if (error instanceof HttpsError) {
+      throw error;
+    }
     if (error.code === 'auth/user-not-found') {
       throw new HttpsError('not-found', 'User not found');
     }
@@ -1,5 +1,8 @@
 import { onCall, HttpsError } from 'firebase-functions/v2/https';
 import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { assertDayUnlocked } from './reviewEntries.js';
+import { buildAuditRecord, getActorName } from './auditLog.js';
+import { assertOrganizationAdmin } from './organizations.js';
 
 /**
  * Void Time Entry Cloud Function
@@ -40,12 +43,15 @@ export const voidTimeEntry = onCall({ cors: true }, async (request) => {
     }
 
     const entry = entryDoc.data();
+    await assertOrganizationAdmin(db, request.auth, entry.organizationId, 'void time entries');
 
     // Check if already voided
     if (entry.isVoided) {
       throw new HttpsError('already-exists', 'Time entry is already voided');
     }
 
+    await assertDayUnlocked(db, entry.eventId, entry.date);
+
     // Build change log entry
     const changeLogEntry = {
       timestamp: new Date().toISOString(),
@@ -57,13 +63,30 @@ export const voidTimeEntry = onCall({ cors: true }, async (request) => {
 
     const existingChangeLog = entry.changeLog || [];
 
-    await entryRef.update({
+    const batch = db.batch();
+    batch.update(entryRef, {
       isVoided: true,
       voidReason: voidReason.trim(),
       voidedAt: Timestamp.now(),
       voidedBy: userId,
       changeLog: [...existingChangeLog, changeLogEntry]
     });
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'time_entry_void',
+      targetType: 'timeEntry',
+      targetId: entryId,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: entry.organizationId,
+      eventId: entry.eventId,
+      studentId: entry.studentId,
+      details: {
+        date: entry.date,
+        reason: changeLogEntry.reason,
+        description: changeLogEntry.description
+      }
+    }));
+    await batch.commit();
 
     // Get student info for response
     const studentDoc = await db.collection('students').doc(entry.studentId).get();
@@ -115,12 +138,15 @@ export const restoreTimeEntry = onCall({ cors: true }, async (request) => {
     }
 
     const entry = entryDoc.data();
+    await assertOrganizationAdmin(db, request.auth, entry.organizationId, 'restore time entries');
 
     // Check if entry is actually voided
     if (!entry.isVoided) {
       throw new HttpsError('failed-precondition', 'Time entry is not voided');
     }
 
+    await assertDayUnlocked(db, entry.eventId, entry.date);
+
     // Build change log entry
     const changeLogEntry = {
       timestamp: new Date().toISOString(),
@@ -132,13 +158,30 @@ export const restoreTimeEntry = onCall({ cors: true }, async (request) => {
 
     const existingChangeLog = entry.changeLog || [];
 
-    await entryRef.update({
+    const batch = db.batch();
+    batch.update(entryRef, {
       isVoided: false,
       voidReason: null,
       voidedAt: null,
       voidedBy: null,
       changeLog: [...existingChangeLog, changeLogEntry]
     });
+    batch.set(db.collection('auditLog').doc(), buildAuditRecord({
+      action: 'time_entry_restore',
+      targetType: 'timeEntry',
+      targetId: entryId,
+      performedBy: userId,
+      performedByName: getActorName(request.auth),
+      organizationId: entry.organizationId,
+      eventId: entry.eventId,
+      studentId: entry.studentId,
+      details: {
+        date: entry.date,
+        reason: changeLogEntry.reason,
+        description: changeLogEntry.description
+      }
+    }));
+    await batch.commit();
 
     // Get student info for response
     const studentDoc = await db.collection('students').doc(entry.studentId).get();
@@ -0,0 +1,66 @@
+/**
+ * Tests for shared fillable PDF (AcroForm) bindings
+ */
+import {
+  isCheckedValue,
+  normalizeFormFieldBindings,
+  planFormTableOverflow,
+  resolveFormFieldValue,
+} from '../src/shared/acroForm.js';
+
+const dateCell = (row) => ({ name: `Date${row + 1}`, source: 'table', table: 'detailTable', row, columnKey: 'detailDate', columnLabel: 'Date' });
+
+describe('normalizeFormFieldBindings', () => {
+  it('should keep only complete bindings', () => {
+    const bindings = [
+      { name: 'Name', source: 'field', fieldKey: 'studentName' },
+      { name: 'Blank', source: 'field' },
+      { name: 'Note', source: 'custom', customValue: 'VBS' },
+      dateCell(0),
+      { ...dateCell(1), row: -1 },
+      { ...dateCell(2), table: 'otherTable' },
+      { source: 'custom', customValue: 'No name' },
+    ];
+
+    expect(normalizeFormFieldBindings(bindings).map((binding) => binding.name)).toEqual(['Name', 'Note', 'Date1']);
+    expect(normalizeFormFieldBindings(undefined)).toEqual([]);
+  });
+});
+
+describe('resolveFormFieldValue', () => {
+  const resolvers = {
+    resolveField: (fieldKey) => (fieldKey === 'studentName' ? 'Jane Smith' : ''),
+    resolveCell: (table, columnKey, row) => `${table}:${columnKey}:${row.id}`,
+    tableRows: { detailTable: [{ id: 'e1' }] },
+  };
+
+  it('should resolve static keys, table cells and custom text', () => {
+    expect(resolveFormFieldValue({ source: 'field', fieldKey: 'studentName' }, resolvers)).toBe('Jane Smith');
+    expect(resolveFormFieldValue(dateCell(0), resolvers)).toBe('detailTable:detailDate:e1');
+    expect(resolveFormFieldValue(dateCell(1), resolvers)).toBe('');
+    expect(resolveFormFieldValue({ source: 'custom', customValue: 'Approved' }, resolvers)).toBe('Approved');
+  });
+
+  it('should tick check boxes for anything but blank or negative values', () => {
+    expect(isCheckedValue('Yes')).toBe(true);
+    expect(isCheckedValue('4.00')).toBe(true);
+    ['', '0', 'No', 'false', ' off '].forEach((value) => expect(isCheckedValue(value)).toBe(false));
+  });
+});
+
+describe('planFormTableOverflow', () => {
+  const bindings = [dateCell(0), dateCell(1), { ...dateCell(1), name: 'Hours2', columnKey: 'detailHours', columnLabel: 'Hours' }];
+  const tableRows = { detailTable: [{ id: 'e1' }, { id: 'e2' }, { id: 'e3' }, { id: 'e4' }] };
+
+  it('should send rows past the last bound row to the addendum', () => {
+    expect(planFormTableOverflow(bindings, tableRows, { strategy: 'addendum' })).toEqual([{
+      field: { type: 'detailTable', columns: [{ key: 'detailDate', label: 'Date' }, { key: 'detailHours', label: 'Hours' }] },
+      rows: [{ id: 'e3' }, { id: 'e4' }],
+    }]);
+  });
+
+  it('should leave rows off when truncating or when a drawn table overflows them', () => {
+    expect(planFormTableOverflow(bindings, tableRows, undefined)).toEqual([]);
+    expect(planFormTableOverflow(bindings, tableRows, { strategy: 'addendum' }, [{ type: 'detailTable' }])).toEqual([]);
+  });
+});
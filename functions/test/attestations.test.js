@@ -0,0 +1,313 @@
+/**
+ * Tests for signed form attestations and their public verification
+ */
+import { createHash } from 'node:crypto';
+import { jest } from '@jest/globals';
+import { PDFDocument } from 'pdf-lib';
+import {
+  formatVerificationCode,
+  getVerificationUrl,
+  normalizeVerificationCode,
+} from '../src/shared/attestations.js';
+
+const makeTimestamp = (iso) => ({
+  seconds: Math.floor(new Date(iso).getTime() / 1000),
+  toDate: () => new Date(iso),
+  toMillis: () => new Date(iso).getTime(),
+});
+
+const mockCollection = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+const mockFileSave = jest.fn().mockResolvedValue(undefined);
+const mockFileDownload = jest.fn();
+const mockBucketFile = jest.fn(() => ({
+  save: mockFileSave,
+  download: mockFileDownload,
+}));
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ update: mockBatchUpdate, set: mockBatchSet, commit: mockBatchCommit }),
+  }),
+  Timestamp: {
+    now: jest.fn(() => makeTimestamp('2026-06-19T16:00:00Z')),
+  },
+}));
+
+jest.unstable_mockModule('firebase-admin/storage', () => ({
+  getStorage: () => ({
+    bucket: () => ({ file: mockBucketFile }),
+  }),
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+describe('verification codes', () => {
+  it('should accept codes typed with dashes, spaces or lowercase', () => {
+    expect(normalizeVerificationCode('abcd-efgh jklm')).toBe('ABCDEFGHJKLM');
+    expect(normalizeVerificationCode('ABCD-EFGH-JKL0')).toBe('');
+    expect(normalizeVerificationCode('ABCD-EFGH')).toBe('');
+    expect(normalizeVerificationCode()).toBe('');
+  });
+
+  it('should print codes in groups of four with a link to /hours', () => {
+    expect(formatVerificationCode('ABCDEFGHJKLM')).toBe('ABCD-EFGH-JKLM');
+    expect(getVerificationUrl('https://hours.example.org/', 'ABCDEFGHJKLM'))
+      .toBe('https://hours.example.org/hours?verify=ABCD-EFGH-JKLM');
+    expect(getVerificationUrl('', 'ABCDEFGHJKLM')).toBe('/hours?verify=ABCD-EFGH-JKLM');
+  });
+});
+
+const students = {
+  student1: { organizationId: 'org1', firstName: 'Jane', lastName: 'Smith' },
+  student2: { organizationId: 'org1', firstName: 'John', lastName: 'Doe' },
+  student3: { organizationId: 'org1', firstName: 'Ann', lastName: 'Lee' },
+};
+
+const baseEntries = [
+  {
+    id: 'entry1',
+    studentId: 'student1',
+    eventId: 'event1',
+    activityId: 'vbs',
+    checkInTime: makeTimestamp('2026-06-15T13:00:00Z'),
+    checkOutTime: makeTimestamp('2026-06-15T16:00:00Z'),
+    isVoided: false,
+    reviewStatus: 'approved',
+  },
+  {
+    id: 'entry2',
+    studentId: 'student2',
+    eventId: 'event1',
+    activityId: 'vbs',
+    checkInTime: makeTimestamp('2026-06-15T13:00:00Z'),
+    checkOutTime: makeTimestamp('2026-06-15T15:00:00Z'),
+    isVoided: false,
+    reviewStatus: 'approved',
+  },
+];
+
+const forms = [
+  { studentId: 'student1', studentName: 'Jane Smith', templateName: 'Bishop Moore', totalHours: 3, estimatedEntries: [], storagePath: 'forms/event1/batch1_Jane_Smith.pdf' },
+  { studentId: 'student2', studentName: 'John Doe', templateName: 'Bishop Moore', totalHours: 5, estimatedEntries: [], storagePath: 'forms/event1/batch1_John_Doe.pdf' },
+  { studentId: 'student3', studentName: 'Ann Lee', templateName: 'Bishop Moore', totalHours: 1, estimatedEntries: ['entry9'], storagePath: 'forms/event1/batch1_Ann_Lee.pdf' },
+];
+
+let adminExists;
+let formBatch;
+let entries;
+let attestations;
+
+function snapshotOf(items) {
+  return {
+    empty: items.length === 0,
+    docs: items.map(({ id, ...data }) => ({ id, exists: true, data: () => data })),
+  };
+}
+
+function entriesQuery(filters = {}) {
+  return {
+    where: (field, op, value) => entriesQuery({ ...filters, [field]: value }),
+    get: async () => snapshotOf(entries.filter(entry =>
+      Object.entries(filters).every(([field, value]) => entry[field] === value)
+    )),
+  };
+}
+
+describe('attestation Cloud Functions', () => {
+  let attestForms;
+  let verifyAttestation;
+  let formBytes;
+
+  beforeAll(async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([612, 792]);
+    formBytes = Buffer.from(await doc.save());
+
+    const module = await import('../src/attestations.js');
+    attestForms = module.attestForms;
+    verifyAttestation = module.verifyAttestation;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adminExists = true;
+    formBatch = { organizationId: 'org1', eventId: 'event1', output: 'merged', forms };
+    entries = [...baseEntries];
+    attestations = {};
+    mockFileDownload.mockResolvedValue([formBytes]);
+
+    mockCollection.mockImplementation((name) => {
+      if (name === 'admins') {
+        return {
+          doc: () => ({ get: async () => ({ exists: adminExists, data: () => ({ organizationIds: ['org1'] }) }) }),
+        };
+      }
+      if (name === 'generatedForms') {
+        return {
+          doc: (id) => ({ id, get: async () => ({ exists: id === 'batch1', data: () => formBatch }) }),
+        };
+      }
+      if (name === 'events') {
+        return {
+          doc: () => ({
+            get: async () => ({
+              exists: true,
+              data: () => ({ organizationId: 'org1', name: 'VBS 2026', activities: [{ id: 'vbs', name: 'VBS Week' }] }),
+            }),
+          }),
+        };
+      }
+      if (name === 'timeEntries') {
+        return entriesQuery();
+      }
+      if (name === 'students') {
+        return {
+          doc: (id) => ({
+            get: async () => ({ id, exists: Boolean(students[id]), data: () => students[id] }),
+          }),
+        };
+      }
+      if (name === 'attestations') {
+        return {
+          doc: (code) => ({
+            set: async (data) => { attestations[code] = data; },
+            get: async () => ({ exists: Boolean(attestations[code]), data: () => attestations[code] }),
+          }),
+        };
+      }
+      if (name === 'auditLog') {
+        return { doc: () => ({ id: 'audit1' }) };
+      }
+      return {};
+    });
+  });
+
+  const sign = (data = {}) => attestForms({
+    data: { batchId: 'batch1', signerName: 'Mary Jones', signerTitle: 'VBS Director', ...data },
+    auth: { uid: 'admin1', token: { name: 'Admin One' } },
+  });
+
+  describe('attestForms', () => {
+    it('should require a batch and a signer name', async () => {
+      await expect(sign({ batchId: '' })).rejects.toThrow('Missing required field: batchId');
+      await expect(sign({ signerName: '  ' })).rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('should require an admin caller', async () => {
+      adminExists = false;
+      await expect(sign()).rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should refuse to sign a batch twice', async () => {
+      formBatch = { ...formBatch, attestation: { signerName: 'Mary Jones' } };
+      await expect(sign()).rejects.toThrow('already signed by Mary Jones');
+    });
+
+    it('should sign forms whose hours still match and skip the rest', async () => {
+      const result = await sign();
+
+      expect(result.attested).toEqual([
+        expect.objectContaining({ studentId: 'student1', totalHours: 3, storagePath: 'forms/event1/batch1_Jane_Smith_signed.pdf' }),
+      ]);
+      expect(result.attested[0].verificationCode).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      expect(result.skipped.map(form => [form.studentId, form.reason])).toEqual([
+        ['student2', expect.stringContaining('Hours changed since the form was generated')],
+        ['student3', expect.stringContaining('estimated hours')],
+      ]);
+
+      const [record] = Object.values(attestations);
+      expect(record).toMatchObject({
+        organizationId: 'org1',
+        batchId: 'batch1',
+        studentId: 'student1',
+        totalHours: 3,
+        entryCount: 1,
+        signerName: 'Mary Jones',
+        signerTitle: 'VBS Director',
+        signedBy: 'admin1',
+      });
+      const signedBytes = mockFileSave.mock.calls[0][0];
+      expect(record.pdfSha256).toBe(createHash('sha256').update(signedBytes).digest('hex'));
+
+      expect(mockBucketFile).toHaveBeenCalledWith('forms/event1/batch1_signed_forms.pdf');
+      expect(mockBatchUpdate).toHaveBeenCalledWith(
+        expect.objectContaining({ id: 'batch1' }),
+        { attestation: expect.objectContaining({ signerName: 'Mary Jones', bundlePath: 'forms/event1/batch1_signed_forms.pdf' }) }
+      );
+      expect(mockBatchSet.mock.calls[0][1]).toMatchObject({ action: 'forms_attest', targetId: 'batch1' });
+    });
+
+    it('should fail when no form can be signed', async () => {
+      entries = [];
+      await expect(sign()).rejects.toMatchObject({ code: 'failed-precondition' });
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyAttestation', () => {
+    const verify = (data) => verifyAttestation({ data });
+
+    it('should reject malformed and unknown codes', async () => {
+      await expect(verify({ code: 'nope' })).rejects.toMatchObject({ code: 'invalid-argument' });
+      await expect(verify({ code: 'ABCD-EFGH-JKLM' })).rejects.toThrow('No signed form matches this code');
+    });
+
+    it('should confirm unchanged hours and a matching PDF', async () => {
+      const { attested } = await sign();
+      const [record] = Object.values(attestations);
+
+      const result = await verify({ code: attested[0].verificationCode.toLowerCase(), pdfSha256: record.pdfSha256 });
+
+      expect(result).toMatchObject({
+        status: 'verified',
+        studentName: 'Jane Smith',
+        eventName: 'VBS 2026',
+        signerName: 'Mary Jones',
+        signedAt: '2026-06-19T16:00:00.000Z',
+        attestedHours: 3,
+        currentHours: 3,
+        hoursMatch: true,
+        recordsMatch: true,
+        pdfMatches: true,
+      });
+      expect(result.activities).toEqual([{ name: 'VBS Week', dates: expect.any(String), hours: 3 }]);
+      expect(result).not.toHaveProperty('studentId');
+    });
+
+    it('should flag hours changed after signing', async () => {
+      const { attested } = await sign();
+      entries = [
+        { ...baseEntries[0], checkOutTime: makeTimestamp('2026-06-15T17:00:00Z') },
+        baseEntries[1],
+      ];
+
+      const result = await verify({ code: attested[0].verificationCode, pdfSha256: 'deadbeef' });
+
+      expect(result).toMatchObject({ status: 'changed', attestedHours: 3, currentHours: 4, hoursMatch: false, pdfMatches: false });
+    });
+
+    it('should flag edited entries even when the total is unchanged', async () => {
+      const { attested } = await sign();
+      entries = [
+        { ...baseEntries[0], checkInTime: makeTimestamp('2026-06-15T14:00:00Z'), checkOutTime: makeTimestamp('2026-06-15T17:00:00Z') },
+        baseEntries[1],
+      ];
+
+      const result = await verify({ code: attested[0].verificationCode });
+
+      expect(result).toMatchObject({ status: 'changed', hoursMatch: true, recordsMatch: false, pdfMatches: null });
+    });
+  });
+});
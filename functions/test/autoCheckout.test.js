@@ -0,0 +1,275 @@
+/**
+ * Tests for the scheduled automatic check-out and its shared policy rules
+ */
+import { jest } from '@jest/globals';
+
+const makeTimestamp = (date) => ({
+  toDate: () => date,
+  toMillis: () => date.getTime(),
+});
+
+const mockBatchSet = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+let mockData;
+
+// In-memory collections answering the equality queries runAutoCheckout makes
+const mockCollection = (name) => {
+  const query = (filters) => ({
+    where: (field, op, value) => query([...filters, [field, value]]),
+    get: async () => ({
+      docs: Object.entries(mockData[name] || {})
+        .filter(([, data]) => filters.every(([field, value]) => (data[field] ?? null) === value))
+        .map(([id, data]) => ({ id, ref: { id }, data: () => data })),
+    }),
+  });
+  return {
+    ...query([]),
+    doc: (id = 'audit1') => ({
+      id,
+      get: async () => ({ exists: Boolean(mockData[name]?.[id]), data: () => mockData[name]?.[id] }),
+    }),
+  };
+};
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ set: mockBatchSet, update: mockBatchUpdate, commit: mockBatchCommit }),
+  }),
+  Timestamp: {
+    now: jest.fn(() => 'now'),
+    fromDate: jest.fn(makeTimestamp),
+  },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/scheduler', () => ({
+  onSchedule: (...args) => args.at(-1),
+}));
+
+const { getFirestore } = await import('firebase-admin/firestore');
+const {
+  getAutoCheckoutCutoff,
+  getAutoCheckoutTime,
+  planAutoCheckout,
+} = await import('../src/shared/autoCheckout.js');
+
+const event = (autoCheckoutPolicy, extra = {}) => ({
+  organizationId: 'org1',
+  timeZone: 'America/Chicago',
+  autoCheckoutPolicy,
+  activities: [
+    { id: 'vbs', startTime: '09:00', endTime: '12:00' },
+    { id: 'crafts', endTime: '15:00', autoCheckoutTime: '16:30' },
+  ],
+  ...extra,
+});
+
+// 9:00 AM Central
+const openEntry = {
+  organizationId: 'org1',
+  eventId: 'event1',
+  studentId: 'student1',
+  activityId: 'vbs',
+  date: '2026-06-15',
+  checkInTime: makeTimestamp(new Date('2026-06-15T14:00:00Z')),
+  checkOutTime: null,
+  flags: [],
+};
+
+describe('auto check-out policy', () => {
+  it('should use the activity cutoff, or two hours after its end time', () => {
+    expect(getAutoCheckoutTime(event('activity_end'), 'crafts')).toBe('16:30');
+    expect(getAutoCheckoutTime(event('activity_end'), 'vbs')).toBe('14:00');
+    expect(getAutoCheckoutTime({ typicalEndTime: '23:00' }, 'none')).toBe('23:59');
+    expect(getAutoCheckoutCutoff(openEntry, event('activity_end'))).toEqual(new Date('2026-06-15T19:00:00Z'));
+  });
+
+  it('should plan the check-out each policy records', () => {
+    expect(planAutoCheckout(openEntry, event('off'))).toBeNull();
+    expect(planAutoCheckout(openEntry, {})).toBeNull();
+
+    expect(planAutoCheckout(openEntry, event('activity_end'))).toEqual({
+      checkOutTime: new Date('2026-06-15T17:00:00Z'),
+      hoursWorked: 3,
+      rawMinutes: 180,
+      description: 'Automatic Check-Out at 12:00 PM (Checked in: 9:00 AM). Policy: Check out at the activity end time',
+    });
+
+    const lastScan = planAutoCheckout(openEntry, event('last_scan'), { lastScanTime: new Date('2026-06-15T15:30:00Z') });
+    expect(lastScan).toEqual(expect.objectContaining({ checkOutTime: new Date('2026-06-15T15:30:00Z'), hoursWorked: 1.5 }));
+    expect(planAutoCheckout(openEntry, event('last_scan')).hoursWorked).toBe(0);
+
+    expect(planAutoCheckout(openEntry, event('zero_hours'))).toEqual(expect.objectContaining({
+      checkOutTime: new Date('2026-06-15T14:00:00Z'),
+      hoursWorked: 0,
+    }));
+  });
+});
+
+describe('overnight and late check-ins', () => {
+  const overnightEvent = event('activity_end', {
+    activities: [{ id: 'lockin', startTime: '20:00', endTime: '07:00' }],
+  });
+  // 8:00 PM Central
+  const lockInEntry = {
+    ...openEntry,
+    activityId: 'lockin',
+    checkInTime: makeTimestamp(new Date('2026-06-16T01:00:00Z')),
+  };
+
+  it('should end overnight activities and their cutoff on the next morning', () => {
+    expect(getAutoCheckoutCutoff(lockInEntry, overnightEvent)).toEqual(new Date('2026-06-16T14:00:00Z'));
+
+    expect(planAutoCheckout(lockInEntry, overnightEvent)).toEqual(expect.objectContaining({
+      checkOutTime: new Date('2026-06-16T12:00:00Z'),
+      hoursWorked: 11,
+    }));
+  });
+
+  it('should move the cutoff past a check-in after it, within the shift limit', () => {
+    // 7:00 PM Central, after the 2:00 PM cutoff
+    const lateEntry = { ...openEntry, checkInTime: makeTimestamp(new Date('2026-06-16T00:00:00Z')) };
+
+    expect(getAutoCheckoutCutoff(lateEntry, event('activity_end'))).toEqual(new Date('2026-06-16T16:00:00Z'));
+    expect(getAutoCheckoutCutoff(lateEntry, event('activity_end', { maxShiftHours: 8 })))
+      .toEqual(new Date('2026-06-16T08:00:00Z'));
+    expect(planAutoCheckout(lateEntry, event('activity_end', { maxShiftHours: 8 }))).toEqual(expect.objectContaining({
+      checkOutTime: new Date('2026-06-16T08:00:00Z'),
+      hoursWorked: 8,
+    }));
+  });
+});
+
+describe('runAutoCheckout', () => {
+  let runAutoCheckout;
+  let autoCheckOut;
+
+  beforeAll(async () => {
+    ({ runAutoCheckout, autoCheckOut } = await import('../src/autoCheckout.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockData = {
+      events: { event1: event('activity_end'), event2: event('off') },
+      timeEntries: {
+        entry1: { ...openEntry },
+        offEvent: { ...openEntry, eventId: 'event2' },
+        voided: { ...openEntry, studentId: 'student2', isVoided: true },
+        closed: {
+          ...openEntry,
+          studentId: 'student3',
+          checkOutTime: makeTimestamp(new Date('2026-06-15T17:00:00Z')),
+        },
+      },
+      reviewLocks: {},
+    };
+  });
+
+  it('should leave entries open before the cutoff', async () => {
+    const result = await runAutoCheckout(getFirestore(), new Date('2026-06-15T18:59:00Z'));
+
+    expect(result.checkedOutCount).toBe(0);
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should close due entries with a distinct method, flag and change log note', async () => {
+    const result = await runAutoCheckout(getFirestore(), new Date('2026-06-15T19:00:00Z'));
+
+    expect(result.checkedOutCount).toBe(1);
+    expect(mockBatchUpdate).toHaveBeenCalledTimes(1);
+    expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({
+      checkOutBy: 'system',
+      checkOutMethod: 'auto',
+      hoursWorked: 3,
+      flags: ['auto_checkout'],
+      reviewStatus: 'flagged',
+      autoCheckoutPolicy: 'activity_end',
+      changeLog: [expect.objectContaining({
+        type: 'auto_checkout',
+        modifiedBy: 'system',
+        newCheckOutTime: '2026-06-15T17:00:00.000Z',
+        description: 'Automatic Check-Out at 12:00 PM (Checked in: 9:00 AM). Policy: Check out at the activity end time',
+      })],
+    }));
+    expect(mockBatchUpdate.mock.calls[0][1].checkOutTime.toMillis()).toBe(Date.parse('2026-06-15T17:00:00Z'));
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'auto_checkout',
+      performedBy: 'system',
+      organizationId: 'org1',
+      eventId: 'event1',
+      details: expect.objectContaining({ date: '2026-06-15', studentIds: ['student1'] }),
+    }));
+  });
+
+  it('should use the student\'s last scan of the day under the last_scan policy', async () => {
+    mockData.events.event1 = event('last_scan');
+    mockData.timeEntries.closed.activityId = 'crafts';
+    mockData.timeEntries.closed.checkInTime = makeTimestamp(new Date('2026-06-15T16:00:00Z'));
+    mockData.timeEntries.closed.checkOutTime = makeTimestamp(new Date('2026-06-15T18:15:00Z'));
+    mockData.timeEntries.closed.studentId = 'student1';
+
+    await runAutoCheckout(getFirestore(), new Date('2026-06-15T19:00:00Z'));
+
+    expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({ hoursWorked: 4.25 }));
+  });
+
+  it('should skip locked days', async () => {
+    mockData.reviewLocks = { 'event1_2026-06-15': { locked: true } };
+
+    const result = await runAutoCheckout(getFirestore(), new Date('2026-06-16T05:00:00Z'));
+
+    expect(result.checkedOutCount).toBe(0);
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should split a lock-in at midnight when the event asks for it', async () => {
+    mockData.events.event1 = event('activity_end', {
+      overnightPolicy: 'split_at_midnight',
+      activities: [{ id: 'lockin', startTime: '20:00', endTime: '07:00' }],
+    });
+    // 8:00 PM Central until the 7:00 AM end time
+    mockData.timeEntries.entry1 = {
+      ...openEntry,
+      activityId: 'lockin',
+      checkInTime: makeTimestamp(new Date('2026-06-16T01:00:00Z')),
+    };
+
+    const result = await runAutoCheckout(getFirestore(), new Date('2026-06-16T14:00:00Z'));
+
+    expect(result.checkedOutCount).toBe(1);
+    expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({
+      hoursWorked: 4,
+      spanDates: ['2026-06-15', '2026-06-16'],
+      flags: ['auto_checkout', 'overnight'],
+      nextSegmentId: 'audit1',
+    }));
+    expect(mockBatchUpdate.mock.calls[0][1].checkOutTime.toMillis()).toBe(Date.parse('2026-06-16T05:00:00Z'));
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'audit1' }), expect.objectContaining({
+      date: '2026-06-16',
+      hoursWorked: 7,
+      checkInMethod: 'overnight_split',
+      checkOutMethod: 'auto',
+      previousSegmentId: 'entry1',
+      flags: ['overnight', 'auto_checkout'],
+    }));
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'auto_checkout',
+      details: expect.objectContaining({ entries: [expect.objectContaining({ entryId: 'entry1', hoursWorked: 11 })] }),
+    }));
+
+    jest.clearAllMocks();
+    mockData.reviewLocks = { 'event1_2026-06-16': { locked: true } };
+    const lockedResult = await runAutoCheckout(getFirestore(), new Date('2026-06-16T14:00:00Z'));
+
+    expect(lockedResult.checkedOutCount).toBe(0);
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should run on the schedule time it is given', async () => {
+    await autoCheckOut({ scheduleTime: '2026-06-15T19:05:00Z' });
+
+    expect(mockBatchUpdate).toHaveBeenCalledTimes(1);
+  });
+});
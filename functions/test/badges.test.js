@@ -0,0 +1,158 @@
+/**
+ * Tests for signed badge payloads
+ * signBadge, parseSignedBadge, issueBadges, revokeBadge, reissueBadge
+ */
+import { jest } from '@jest/globals';
+
+const mockCollection = jest.fn();
+const mockStudentUpdate = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ update: mockStudentUpdate, set: mockBatchSet, commit: mockBatchCommit }),
+  }),
+  Timestamp: { now: jest.fn(() => ({ toMillis: () => Date.now() })) },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+describe('badge Cloud Functions', () => {
+  let signBadge;
+  let parseSignedBadge;
+  let issueBadges;
+  let revokeBadge;
+  let reissueBadge;
+  let isAdmin;
+  let students;
+
+  beforeAll(async () => {
+    ({ signBadge, parseSignedBadge, issueBadges, revokeBadge, reissueBadge } = await import('../src/badges.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    students = {
+      s1: { organizationId: 'org1', firstName: 'Sam' },
+      s2: { organizationId: 'org1', firstName: 'Alex', badgeVersion: 3 },
+      s3: { organizationId: 'org1', firstName: 'Lost', badgeVersion: 2, badgeRevoked: true },
+      other: { organizationId: 'org2', firstName: 'Neighbor' },
+    };
+
+    mockCollection.mockImplementation((name) => {
+      if (name === 'admins') {
+        return { doc: () => ({ get: async () => ({ exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) }) }) };
+      }
+      if (name === 'events') {
+        return { doc: () => ({ get: async () => ({ exists: true, data: () => ({ organizationId: 'org1' }) }) }) };
+      }
+      return {
+        doc: (id) => ({
+          id,
+          get: async () => ({ id, exists: Boolean(students[id]), data: () => students[id] }),
+        }),
+      };
+    });
+  });
+
+  describe('signBadge / parseSignedBadge', () => {
+    it('should round-trip a signed payload', () => {
+      const qrData = signBadge('s1', 'event1', 2);
+
+      expect(qrData).toMatch(/^VBS\|s1\|event1\|2\|[\w-]{22}$/);
+      expect(parseSignedBadge(qrData)).toEqual({ studentId: 's1', eventId: 'event1', badgeVersion: 2 });
+    });
+
+    it('should reject a payload whose version was edited', () => {
+      const forged = signBadge('s1', 'event1', 1).replace('|1|', '|5|');
+
+      expect(() => parseSignedBadge(forged)).toThrow('Invalid badge');
+    });
+
+    it('should reject the old checksum format', () => {
+      expect(() => parseSignedBadge('s1|event1|abc123')).toThrow('old unsigned format');
+    });
+  });
+
+  describe('issueBadges', () => {
+    const call = (data) => issueBadges({ data, auth: { uid: 'admin1' } });
+
+    it('should reject non-admins', async () => {
+      isAdmin = false;
+      await expect(call({ eventId: 'event1', studentIds: ['s1'] }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should sign the current badge version and skip revoked badges', async () => {
+      const result = await call({ eventId: 'event1', studentIds: ['s1', 's2', 's3', 'missing', 'other'] });
+
+      expect(result.payloads).toEqual({
+        s1: signBadge('s1', 'event1', 1),
+        s2: signBadge('s2', 'event1', 3),
+      });
+      expect(result.revoked).toEqual(['s3']);
+    });
+  });
+
+  describe('revokeBadge / reissueBadge', () => {
+    const request = { data: { studentId: 's2', reason: ' Lost at pool ' }, auth: { uid: 'admin1' } };
+
+    it('should revoke without changing the badge version', async () => {
+      const result = await revokeBadge(request);
+
+      expect(result).toEqual(expect.objectContaining({ success: true, badgeVersion: 3, badgeRevoked: true }));
+      expect(mockStudentUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 's2' }), expect.objectContaining({
+        badgeRevoked: true,
+        badgeHistory: [expect.objectContaining({ action: 'revoke', by: 'admin1', reason: 'Lost at pool' })],
+      }));
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'badge_revoke',
+        targetId: 's2',
+        studentId: 's2',
+        organizationId: 'org1',
+        performedBy: 'admin1',
+        details: expect.objectContaining({ badgeVersion: 3, reason: 'Lost at pool' }),
+      }));
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    });
+
+    it('should bump the version and clear a revocation on reissue', async () => {
+      const result = await reissueBadge({ ...request, data: { studentId: 's3' } });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, badgeVersion: 3, badgeRevoked: false }));
+      expect(mockStudentUpdate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        badgeVersion: 3,
+        badgeRevoked: false,
+      }));
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'badge_reissue',
+        studentId: 's3',
+        details: expect.objectContaining({ description: 'Reissued badge as version 3' }),
+      }));
+    });
+
+    it('should reject unknown students and non-admins', async () => {
+      await expect(revokeBadge({ ...request, data: { studentId: 'missing' } }))
+        .rejects.toMatchObject({ code: 'not-found' });
+
+      await expect(reissueBadge({ ...request, data: { studentId: 'other' } }))
+        .rejects.toThrow('You do not have access to this organization');
+
+      isAdmin = false;
+      await expect(reissueBadge(request)).rejects.toMatchObject({ code: 'permission-denied' });
+      expect(mockStudentUpdate).not.toHaveBeenCalled();
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+  });
+});
@@ -1,17 +1,5 @@
 import { jest } from '@jest/globals';
 
-function generateQRData(studentId, eventId) {
-  const combined = `${studentId}${eventId}`;
-  let hash = 0;
-  for (let i = 0; i < combined.length; i++) {
-    const char = combined.charCodeAt(i);
-    hash = ((hash << 5) - hash) + char;
-    hash = hash & hash;
-  }
-  const checksum = Math.abs(hash).toString(36).substring(0, 6);
-  return `${studentId}|${eventId}|${checksum}`;
-}
-
 const makeTimestamp = (iso) => ({
   seconds: Math.floor(new Date(iso).getTime() / 1000),
   toDate: () => new Date(iso),
@@ -21,7 +9,7 @@ const makeTimestamp = (iso) => ({
 const mockCollection = jest.fn();
 const mockStudentDoc = jest.fn();
 const mockEventDoc = jest.fn();
-const mockSettingsDoc = jest.fn();
+const mockOrganizationDoc = jest.fn();
 const mockWhere = jest.fn();
 const mockGet = jest.fn();
 const mockTemplatesGet = jest.fn();
@@ -30,6 +18,7 @@ jest.unstable_mockModule('firebase-admin/firestore', () => ({
   getFirestore: () => ({
     collection: mockCollection,
   }),
+  Timestamp: { now: jest.fn() },
 }));
 
 jest.unstable_mockModule('firebase-functions/v2/https', () => ({
@@ -44,10 +33,12 @@ jest.unstable_mockModule('firebase-functions/v2/https', () => ({
 
 describe('checkHoursLogged Cloud Function', () => {
   let checkHoursLogged;
+  let signBadge;
 
   beforeAll(async () => {
     const module = await import('../src/checkHoursLogged.js');
     checkHoursLogged = module.checkHoursLogged;
+    ({ signBadge } = await import('../src/badges.js'));
   });
 
   beforeEach(() => {
@@ -61,10 +52,10 @@ describe('checkHoursLogged Cloud Function', () => {
         return { doc: mockEventDoc };
       }
       if (name === 'pdfTemplates') {
-        return { get: mockTemplatesGet };
+        return { where: () => ({ get: mockTemplatesGet }) };
       }
-      if (name === 'settings') {
-        return { doc: mockSettingsDoc };
+      if (name === 'organizations') {
+        return { doc: mockOrganizationDoc };
       }
       return { where: mockWhere };
     });
@@ -74,6 +65,7 @@ describe('checkHoursLogged Cloud Function', () => {
         id: 'student123',
         exists: true,
         data: () => ({
+          organizationId: 'org1',
           firstName: 'Jane',
           lastName: 'Smith',
           schoolName: 'Central High',
@@ -108,10 +100,10 @@ describe('checkHoursLogged Cloud Function', () => {
         },
       ],
     });
-    mockSettingsDoc.mockReturnValue({
+    mockOrganizationDoc.mockReturnValue({
       get: jest.fn().mockResolvedValue({
         exists: true,
-        data: () => ({ defaultTemplateId: 'default-template' }),
+        data: () => ({ name: 'Faith Church', defaultPdfTemplateId: 'default-template' }),
       }),
     });
     mockGet.mockResolvedValue({
@@ -127,6 +119,7 @@ describe('checkHoursLogged Cloud Function', () => {
             checkOutTime: makeTimestamp('2026-06-15T12:00:00-04:00'),
             hoursWorked: 3,
             isVoided: false,
+            reviewStatus: 'approved',
           }),
         },
         {
@@ -140,6 +133,7 @@ describe('checkHoursLogged Cloud Function', () => {
             checkOutTime: makeTimestamp('2026-06-13T12:00:00-04:00'),
             hoursWorked: 2,
             isVoided: false,
+            reviewStatus: 'approved',
           }),
         },
         {
@@ -159,7 +153,7 @@ describe('checkHoursLogged Cloud Function', () => {
 
   it('returns sanitized student info and credited hours grouped by event', async () => {
     const result = await checkHoursLogged({
-      data: { qrData: generateQRData('student123', 'event456') },
+      data: { qrData: signBadge('student123', 'event456', 1) },
     });
 
     expect(result.success).toBe(true);
@@ -183,15 +177,25 @@ describe('checkHoursLogged Cloud Function', () => {
     expect(result.events.find((event) => event.id === 'event456').entries).toHaveLength(1);
   });
 
-  it('accepts student-id-only badge data', async () => {
-    const result = await checkHoursLogged({
+  it('rejects student-id-only badge data', async () => {
+    await expect(checkHoursLogged({
       data: { qrData: 'student123' },
+    })).rejects.toThrow('old unsigned format');
+  });
+
+  it('rejects a badge replaced by a reissue', async () => {
+    mockStudentDoc.mockReturnValueOnce({
+      get: jest.fn().mockResolvedValue({
+        id: 'student123',
+        exists: true,
+        data: () => ({ firstName: 'Jane', lastName: 'Smith', badgeVersion: 2 }),
+      }),
     });
 
-    expect(result.success).toBe(true);
-    expect(result.scannedEventId).toBeNull();
-    expect(result.student.fullName).toBe('Jane Smith');
-    expect(result.totalHours).toBe(5);
+    await expect(checkHoursLogged({
+      data: { qrData: signBadge('student123', 'event456', 1) },
+    })).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(mockGet).not.toHaveBeenCalled();
   });
 
   it('falls back to the default school form when no student or school template matches', async () => {
@@ -200,6 +204,7 @@ describe('checkHoursLogged Cloud Function', () => {
         id: 'student123',
         exists: true,
         data: () => ({
+          organizationId: 'org1',
           firstName: 'Jane',
           lastName: 'Smith',
           schoolName: 'Unknown Academy',
@@ -209,7 +214,7 @@ describe('checkHoursLogged Cloud Function', () => {
     });
 
     const result = await checkHoursLogged({
-      data: { qrData: 'student123' },
+      data: { qrData: signBadge('student123', 'event456', 1) },
     });
 
     expect(result.schoolForm).toEqual({
@@ -233,22 +238,100 @@ describe('checkHoursLogged Cloud Function', () => {
             checkOutTime: makeTimestamp('2026-06-15T12:15:00-04:00'),
             hoursWorked: 3.5,
             isVoided: false,
+            reviewStatus: 'approved',
           }),
         },
       ],
     });
 
     const result = await checkHoursLogged({
-      data: { qrData: generateQRData('student123', 'event456') },
+      data: { qrData: signBadge('student123', 'event456', 1) },
     });
 
     expect(result.totalHours).toBe(3.25);
     expect(result.events[0].entries[0].hours).toBe(3.25);
   });
 
-  it('rejects QR data with an invalid checksum', async () => {
+  it('reports progress toward the school form\'s hour goal, or the student\'s own', async () => {
+    mockTemplatesGet.mockResolvedValueOnce({
+      docs: [{
+        id: 'central-template',
+        data: () => ({ name: 'Central High School Form', fileName: 'central.pdf', hourGoal: 3 }),
+      }],
+    });
+
+    const result = await checkHoursLogged({
+      data: { qrData: signBadge('student123', 'event456', 1) },
+    });
+
+    expect(result.hourGoal).toEqual({ goalHours: 3, source: 'form', formName: 'Central High School Form' });
+    expect(result.goalReached).toBe(true);
+    expect(result.events.find((event) => event.id === 'event789').goal).toEqual({
+      goalHours: 3,
+      totalHours: 2,
+      remainingHours: 1,
+      percent: 67,
+      reached: false,
+    });
+
+    mockStudentDoc.mockReturnValueOnce({
+      get: jest.fn().mockResolvedValue({
+        id: 'student123',
+        exists: true,
+        data: () => ({ organizationId: 'org1', firstName: 'Jane', lastName: 'Smith', hourGoal: 20 }),
+      }),
+    });
+
+    const ownGoal = await checkHoursLogged({
+      data: { qrData: signBadge('student123', 'event456', 1) },
+    });
+
+    expect(ownGoal.hourGoal).toEqual({ goalHours: 20, source: 'student', formName: null });
+    expect(ownGoal.goalReached).toBe(false);
+  });
+
+  it('counts only approved hours plus the student\'s override, as the form does', async () => {
+    const { docs } = await mockGet();
+    const entry = (id, data) => ({ id, data: () => ({ ...docs[0].data(), ...data }) });
+    mockGet.mockResolvedValueOnce({
+      docs: [
+        ...docs,
+        entry('pending', { reviewStatus: 'pending' }),
+        entry('rejected', { reviewStatus: 'rejected' }),
+      ],
+    });
+    mockStudentDoc.mockReturnValueOnce({
+      get: jest.fn().mockResolvedValue({
+        id: 'student123',
+        exists: true,
+        data: () => ({ organizationId: 'org1', firstName: 'Jane', lastName: 'Smith', overrideHours: 1.5, hourGoal: 4.5 }),
+      }),
+    });
+
+    const result = await checkHoursLogged({
+      data: { qrData: signBadge('student123', 'event456', 1) },
+    });
+
+    const vbs = result.events.find((event) => event.id === 'event456');
+    expect(vbs.entries.map((item) => item.id)).toEqual(['entry1']);
+    expect(vbs.totalHours).toBe(4.5);
+    expect(vbs.goal.reached).toBe(true);
+    expect(result.totalHours).toBe(6.5);
+  });
+
+  it('leaves goal fields empty when no goal is set', async () => {
+    const result = await checkHoursLogged({
+      data: { qrData: signBadge('student123', 'event456', 1) },
+    });
+
+    expect(result.hourGoal).toBeNull();
+    expect(result.goalReached).toBeNull();
+    expect(result.events[0].goal).toBeNull();
+  });
+
+  it('rejects QR data with an invalid signature', async () => {
     await expect(checkHoursLogged({
-      data: { qrData: 'student123|event456|bad' },
-    })).rejects.toMatchObject({ code: 'invalid-argument' });
+      data: { qrData: 'VBS|student123|event456|1|bad' },
+    })).rejects.toMatchObject({ code: 'invalid-argument', message: 'Invalid badge' });
   });
 });
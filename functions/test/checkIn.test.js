@@ -6,14 +6,23 @@ import { jest } from '@jest/globals';
 // Mock Firebase Admin
 const mockTimestamp = {
   now: jest.fn(() => ({
-    toDate: () => new Date('2026-06-15T09:00:00'),
-    toMillis: () => new Date('2026-06-15T09:00:00').getTime(),
+    toDate: () => new Date('2026-06-15T09:00:00-04:00'),
+    toMillis: () => new Date('2026-06-15T09:00:00-04:00').getTime(),
+  })),
+  fromMillis: jest.fn((ms) => ({
+    toDate: () => new Date(ms),
+    toMillis: () => ms,
+  })),
+  fromDate: jest.fn((date) => ({
+    toDate: () => date,
+    toMillis: () => date.getTime(),
   })),
 };
 
 const mockStudentDoc = {
   exists: true,
   data: () => ({
+    organizationId: 'org1',
     firstName: 'John',
     lastName: 'Doe',
   }),
@@ -22,11 +31,17 @@ const mockStudentDoc = {
 const mockEventDoc = {
   exists: true,
   data: () => ({
+    organizationId: 'org1',
     typicalStartTime: '09:00',
     typicalEndTime: '15:00',
   }),
 };
 
+const mockScannerDoc = {
+  exists: true,
+  data: () => ({ organizationIds: ['org1'] }),
+};
+
 const mockEmptyQuery = {
   empty: true,
   docs: [],
@@ -37,7 +52,7 @@ const mockExistingEntryQuery = {
   docs: [{
     data: () => ({
       checkInTime: {
-        toDate: () => new Date('2026-06-15T09:00:00'),
+        toDate: () => new Date('2026-06-15T09:00:00-04:00'),
       },
     }),
   }],
@@ -53,10 +68,14 @@ const mockWhere = jest.fn();
 const mockLimit = jest.fn();
 const mockGet = jest.fn();
 const mockAdd = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
 
 jest.unstable_mockModule('firebase-admin/firestore', () => ({
   getFirestore: () => ({
     collection: mockCollection,
+    batch: () => ({ update: mockBatchUpdate, set: mockBatchSet, commit: mockBatchCommit }),
   }),
   Timestamp: mockTimestamp,
 }));
@@ -74,10 +93,12 @@ jest.unstable_mockModule('firebase-functions/v2/https', () => ({
 describe('checkIn Cloud Function', () => {
   let checkIn;
   let HttpsError;
+  let signBadge;
 
   beforeAll(async () => {
     const checkInModule = await import('../src/checkIn.js');
     checkIn = checkInModule.checkIn;
+    ({ signBadge } = await import('../src/badges.js'));
     const httpsModule = await import('firebase-functions/v2/https');
     HttpsError = httpsModule.HttpsError;
   });
@@ -128,6 +149,7 @@ describe('checkIn Cloud Function', () => {
           studentId: 'student123',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkIn(request)).rejects.toThrow('Missing required fields');
@@ -139,6 +161,7 @@ describe('checkIn Cloud Function', () => {
           studentId: 'student123',
           eventId: 'event123',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkIn(request)).rejects.toThrow('Missing required fields');
@@ -149,9 +172,10 @@ describe('checkIn Cloud Function', () => {
     beforeEach(() => {
       // Mock successful lookup chain
       mockGet
+        .mockResolvedValueOnce(mockEventDoc)   // Event found
+        .mockResolvedValueOnce(mockScannerDoc) // Scanner belongs to the event's organization
         .mockResolvedValueOnce(mockEmptyQuery) // No existing entry
         .mockResolvedValueOnce(mockStudentDoc) // Student found
-        .mockResolvedValueOnce(mockEventDoc)   // Event found
         .mockResolvedValueOnce(mockEmptyQuery); // Roster check (student not yet on roster)
     });
 
@@ -163,6 +187,7 @@ describe('checkIn Cloud Function', () => {
           activityId: 'activity1',
           scannedBy: 'av_user',
         },
+        auth: { uid: 'av_user' },
       };
 
       const result = await checkIn(request);
@@ -170,7 +195,8 @@ describe('checkIn Cloud Function', () => {
       expect(result.success).toBe(true);
       expect(result.studentName).toBe('John Doe');
       expect(result.entryId).toBe('newEntry123');
-      expect(mockAdd).toHaveBeenCalled();
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ organizationId: 'org1', studentId: 'student123' }));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ organizationId: 'org1', eventId: 'event456' }));
     });
 
     it('should use av_scan as default check-in method', async () => {
@@ -180,6 +206,7 @@ describe('checkIn Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await checkIn(request);
@@ -213,8 +240,8 @@ describe('checkIn Cloud Function', () => {
     it('should set correct initial status for flagged entries', async () => {
       // Mock early arrival (before 8:45 for 9:00 start)
       mockTimestamp.now.mockReturnValueOnce({
-        toDate: () => new Date('2026-06-15T08:30:00'),
-        toMillis: () => new Date('2026-06-15T08:30:00').getTime(),
+        toDate: () => new Date('2026-06-15T08:30:00-04:00'),
+        toMillis: () => new Date('2026-06-15T08:30:00-04:00').getTime(),
       });
 
       const request = {
@@ -223,6 +250,7 @@ describe('checkIn Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await checkIn(request);
@@ -233,9 +261,204 @@ describe('checkIn Cloud Function', () => {
     });
   });
 
+  describe('guardian notifications', () => {
+    it('should queue a message per opted-in guardian and channel', async () => {
+      mockGet
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockEventDoc.data(), name: 'VBS 2026' }) })
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            organizationId: 'org1',
+            firstName: 'John',
+            lastName: 'Doe',
+            guardians: [
+              { name: 'Mary Doe', email: 'mary@example.com', phone: '407-555-0100', optIn: true },
+              { name: 'Tom Doe', email: 'tom@example.com', phone: '', optIn: false },
+            ],
+          }),
+        })
+        .mockResolvedValueOnce({ empty: false, docs: [{}] });
+
+      await checkIn({
+        data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+        auth: { uid: 'av_user' },
+      });
+
+      expect(mockBatchSet).toHaveBeenCalledTimes(2);
+      expect(mockBatchSet.mock.calls.map(([, notification]) => [notification.channel, notification.to])).toEqual([
+        ['email', 'mary@example.com'],
+        ['sms', '407-555-0100'],
+      ]);
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        organizationId: 'org1',
+        studentId: 'student123',
+        eventId: 'event456',
+        entryId: 'newEntry123',
+        trigger: 'check_in',
+        subject: 'John checked in',
+        status: 'pending',
+      }));
+    });
+
+    it('should not fail the scan when queueing fails', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            organizationId: 'org1',
+            firstName: 'John',
+            lastName: 'Doe',
+            guardians: [{ name: 'Mary Doe', email: 'mary@example.com', optIn: true }],
+          }),
+        })
+        .mockResolvedValueOnce(mockEmptyQuery);
+      mockBatchCommit.mockRejectedValueOnce(new Error('unavailable'));
+
+      const result = await checkIn({
+        data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+        auth: { uid: 'av_user' },
+      });
+
+      expect(result.success).toBe(true);
+    });
+  });
+
+  describe('signed badges', () => {
+    const request = (qrData) => ({
+      data: {
+        qrData,
+        eventId: 'event456',
+        activityId: 'activity1',
+      },
+      auth: { uid: 'av_user' },
+    });
+
+    it('should check in a scanner\'s signed badge scan', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce(mockEmptyQuery);
+
+      const result = await checkIn(request(signBadge('student123', 'event456', 1)));
+
+      expect(result.success).toBe(true);
+      expect(mockDoc).toHaveBeenCalledWith('student123');
+    });
+
+    it('should reject scans without a signed-in scanner, even from a valid badge', async () => {
+      const { data } = request(signBadge('student123', 'event456', 1));
+
+      await expect(checkIn({ data })).rejects.toMatchObject({ code: 'unauthenticated' });
+      await expect(checkIn({ data: { ...data, clientTimestamp: Date.now() - 60 * 60 * 1000 } }))
+        .rejects.toMatchObject({ code: 'unauthenticated' });
+      expect(mockGet).not.toHaveBeenCalled();
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should reject a tampered badge', async () => {
+      const forged = signBadge('student123', 'event456', 1).replace('student123', 'student999');
+
+      await expect(checkIn(request(forged))).rejects.toThrow('Invalid badge');
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
+    it('should reject old unsigned badges', async () => {
+      await expect(checkIn(request('student123|event456|abc123')))
+        .rejects.toThrow('old unsigned format');
+    });
+
+    it('should reject a badge for another event', async () => {
+      await expect(checkIn(request(signBadge('student123', 'event999', 1))))
+        .rejects.toThrow('Wrong Event Badge');
+    });
+
+    it('should reject revoked and replaced badges', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org1', firstName: 'John', badgeVersion: 1, badgeRevoked: true }) });
+      await expect(checkIn(request(signBadge('student123', 'event456', 1))))
+        .rejects.toThrow('This badge has been revoked');
+
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org1', firstName: 'John', badgeVersion: 3 }) });
+      await expect(checkIn(request(signBadge('student123', 'event456', 2))))
+        .rejects.toThrow('Badge replaced');
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should record a merged duplicate badge for the surviving student', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org1', firstName: 'John', mergedInto: 'survivor1' }) })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org1', firstName: 'John', lastName: 'Doe' }) })
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce(mockEmptyQuery);
+
+      const result = await checkIn(request(signBadge('student123', 'event456', 1)));
+
+      expect(result).toEqual(expect.objectContaining({ success: true, studentName: 'John Doe' }));
+      expect(mockDoc).toHaveBeenCalledWith('survivor1');
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ studentId: 'survivor1' }));
+      expect(mockAdd).not.toHaveBeenCalledWith(expect.objectContaining({ studentId: 'student123' }));
+    });
+  });
+
+  describe('offline sync replay', () => {
+    const request = (clientTimestamp) => ({
+      data: {
+        studentId: 'student123',
+        eventId: 'event456',
+        activityId: 'activity1',
+        clientTimestamp,
+      },
+      auth: { uid: 'av_user' },
+    });
+
+    it('should stamp the entry with the original scan time', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce(mockEmptyQuery);
+      const scannedAt = Date.now() - 2 * 60 * 60 * 1000;
+
+      await checkIn(request(scannedAt));
+
+      const addCall = mockAdd.mock.calls[0][0];
+      expect(addCall.checkInTime.toMillis()).toBe(scannedAt);
+      expect(addCall.checkInMethod).toBe('offline_sync');
+      expect(addCall.date).toBe(new Intl.DateTimeFormat('en-CA', { timeZone: 'America/New_York' }).format(new Date(scannedAt)));
+    });
+
+    it('should reject scan times outside the sync window', async () => {
+      await expect(checkIn(request(Date.now() - 25 * 60 * 60 * 1000)))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+      await expect(checkIn(request(Date.now() + 60 * 60 * 1000)))
+        .rejects.toThrow('Scan time is in the future');
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+  });
+
   describe('duplicate check-in handling', () => {
     beforeEach(() => {
       mockGet
+        .mockResolvedValueOnce(mockEventDoc) // Event found
+        .mockResolvedValueOnce(mockScannerDoc) // Scanner belongs to the event's organization
         .mockResolvedValueOnce(mockExistingEntryQuery) // Existing entry found
         .mockResolvedValueOnce(mockStudentDoc); // Student found
     });
@@ -247,6 +470,7 @@ describe('checkIn Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       const result = await checkIn(request);
@@ -255,11 +479,255 @@ describe('checkIn Cloud Function', () => {
       expect(result.duplicate).toBe(true);
       expect(result.error).toContain('Already checked in');
     });
+
+    it('should find open entries from earlier days and other activities', async () => {
+      mockGet.mockReset();
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{
+            data: () => ({
+              activityId: 'activity2',
+              date: '2026-06-14',
+              checkInTime: { toDate: () => new Date('2026-06-14T09:00:00-04:00') },
+            }),
+          }],
+        })
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      const result = await checkIn({
+        data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+        auth: { uid: 'av_user' },
+      });
+
+      expect(result.duplicate).toBe(true);
+      expect(result.error).toBe('John Already checked in at 9:00 AM on 2026-06-14');
+      expect(mockWhere).toHaveBeenCalledWith('checkOutTime', '==', null);
+      expect(mockWhere).not.toHaveBeenCalledWith('date', '==', expect.anything());
+      expect(mockWhere).not.toHaveBeenCalledWith('activityId', '==', expect.anything());
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('duplicate check-in override', () => {
+    const openEntryRef = { id: 'open1', update: jest.fn().mockResolvedValue(undefined) };
+    const openEntryQuery = {
+      empty: false,
+      docs: [{
+        id: 'open1',
+        ref: openEntryRef,
+        data: () => ({
+          checkInTime: {
+            toDate: () => new Date('2026-06-15T07:00:00-04:00'),
+            toMillis: () => new Date('2026-06-15T07:00:00-04:00').getTime(),
+          },
+          date: '2026-06-15',
+          flags: [],
+        }),
+      }],
+    };
+    const request = (override, uid = 'admin1') => ({
+      data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1', override },
+      auth: { uid, token: { name: 'Admin User' } },
+    });
+
+    beforeEach(() => {
+      mockDoc.mockImplementation((id) => ({ id: id || 'segment2', get: mockGet }));
+    });
+
+    it('should require a reason and an admin', async () => {
+      await expect(checkIn(request({ mode: 'new_segment', reason: ' ' })))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+
+      mockGet.mockResolvedValueOnce({ exists: false });
+      await expect(checkIn(request({ mode: 'new_segment', reason: 'Came back' }, 'av_user')))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should close the open entry at the scan time', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockScannerDoc) // Admin
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(openEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce({ exists: false }); // Day not locked
+
+      const result = await checkIn(request({ mode: 'close_previous', reason: 'Scanned at the wrong door' }));
+
+      expect(result).toEqual(expect.objectContaining({ success: true, override: 'close_previous', hoursWorked: 2 }));
+      expect(openEntryRef.update).toHaveBeenCalledWith(expect.objectContaining({
+        checkOutMethod: 'override',
+        hoursWorked: 2,
+        flags: ['duplicate_override'],
+        reviewStatus: 'flagged',
+        changeLog: [expect.objectContaining({
+          type: 'duplicate_override',
+          mode: 'close_previous',
+          reason: 'Scanned at the wrong door',
+          modifiedBy: 'admin1',
+        })],
+      }));
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should close the earlier segment and start a new one', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockScannerDoc) // Admin
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(openEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce({ exists: false }) // Open entry's day not locked
+        .mockResolvedValueOnce({ exists: false }) // Today not locked
+        .mockResolvedValueOnce({ empty: false, docs: [] }); // Already on roster
+
+      const result = await checkIn(request({
+        mode: 'new_segment',
+        reason: 'Left for lunch and came back',
+        previousCheckOutTime: '2026-06-15T08:00:00-04:00',
+      }));
+
+      expect(result).toEqual(expect.objectContaining({ success: true, entryId: 'segment2' }));
+      expect(mockBatchUpdate).toHaveBeenCalledWith(openEntryRef, expect.objectContaining({
+        hoursWorked: 1,
+        nextSegmentId: 'segment2',
+        changeLog: [expect.objectContaining({ mode: 'new_segment' })],
+      }));
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'segment2' }), expect.objectContaining({
+        checkOutTime: null,
+        previousSegmentId: 'open1',
+        flags: ['duplicate_override'],
+        reviewStatus: 'flagged',
+        changeLog: [expect.objectContaining({ type: 'duplicate_override', previousEntryId: 'open1' })],
+      }));
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should not close an entry on a locked review day', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(openEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ locked: true }) });
+
+      await expect(checkIn(request({ mode: 'close_previous', reason: 'Scanned at the wrong door' })))
+        .rejects.toThrow('Review for 2026-06-15 is locked');
+      expect(openEntryRef.update).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a previous segment ending before its check-in', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(openEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({ exists: false });
+
+      await expect(checkIn(request({
+        mode: 'new_segment',
+        reason: 'Came back',
+        previousCheckOutTime: '2026-06-15T06:00:00-04:00',
+      }))).rejects.toMatchObject({ code: 'invalid-argument' });
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('organization scoping', () => {
+    const request = {
+      data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+      auth: { uid: 'av_user' },
+    };
+
+    it('should refuse scanners from another organization', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: false }) // Not an admin
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationIds: ['org2'] }) });
+
+      await expect(checkIn(request)).rejects.toMatchObject({ code: 'permission-denied' });
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should not find students from another organization', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org2', firstName: 'Neighbor' }) });
+
+      await expect(checkIn(request)).rejects.toThrow('Student not found');
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should refuse check-ins on a locked review day', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ locked: true }) });
+
+      await expect(checkIn(request)).rejects.toMatchObject({ code: 'failed-precondition' });
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('event assignments', () => {
+    const request = {
+      data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+      auth: { uid: 'av_user' },
+    };
+    const volunteerDoc = (eventAssignments) => ({
+      exists: true,
+      data: () => ({ role: 'adult_volunteer', organizationIds: ['org1'], eventAssignments }),
+    });
+
+    it('should refuse volunteers not assigned to the activity', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: false }) // Not an admin
+        .mockResolvedValueOnce(volunteerDoc({ event456: { role: 'scanner', activityIds: ['activity2'] } }));
+
+      await expect(checkIn(request)).rejects.toMatchObject({
+        code: 'permission-denied',
+        message: 'You are not assigned to this activity',
+      });
+      expect(mockAdd).not.toHaveBeenCalled();
+    });
+
+    it('should refuse school coordinators', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(volunteerDoc({ event456: { role: 'school_coordinator', activityIds: [] } }));
+
+      await expect(checkIn(request)).rejects.toThrow('School coordinators have read-only access');
+    });
+
+    it('should check in for an assigned station lead', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(volunteerDoc({ event456: { role: 'station_lead', activityIds: ['activity1'] } }))
+        .mockResolvedValueOnce(mockEmptyQuery)
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      const result = await checkIn(request);
+
+      expect(result.success).toBe(true);
+      expect(mockAdd).toHaveBeenCalled();
+    });
   });
 
   describe('student not found', () => {
     beforeEach(() => {
       mockGet
+        .mockResolvedValueOnce(mockEventDoc) // Event found
+        .mockResolvedValueOnce(mockScannerDoc) // Scanner belongs to the event's organization
         .mockResolvedValueOnce(mockEmptyQuery) // No existing entry
         .mockResolvedValueOnce({ exists: false }); // Student not found
     });
@@ -271,6 +739,7 @@ describe('checkIn Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkIn(request)).rejects.toThrow('Student not found');
@@ -280,8 +749,6 @@ describe('checkIn Cloud Function', () => {
   describe('event not found', () => {
     beforeEach(() => {
       mockGet
-        .mockResolvedValueOnce(mockEmptyQuery) // No existing entry
-        .mockResolvedValueOnce(mockStudentDoc) // Student found
         .mockResolvedValueOnce({ exists: false }); // Event not found
     });
 
@@ -292,6 +759,7 @@ describe('checkIn Cloud Function', () => {
           eventId: 'nonexistent',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkIn(request)).rejects.toThrow('Event not found');
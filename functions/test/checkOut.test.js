@@ -4,19 +4,28 @@
 import { jest } from '@jest/globals';
 
 // Mock timestamps
-const mockCheckInTime = new Date('2026-06-15T09:00:00');
-const mockCheckOutTime = new Date('2026-06-15T15:00:00');
+const mockCheckInTime = new Date('2026-06-15T09:00:00-04:00');
+const mockCheckOutTime = new Date('2026-06-15T15:00:00-04:00');
 
 const mockTimestamp = {
   now: jest.fn(() => ({
     toDate: () => mockCheckOutTime,
     toMillis: () => mockCheckOutTime.getTime(),
   })),
+  fromMillis: jest.fn((ms) => ({
+    toDate: () => new Date(ms),
+    toMillis: () => ms,
+  })),
+  fromDate: jest.fn((date) => ({
+    toDate: () => date,
+    toMillis: () => date.getTime(),
+  })),
 };
 
 const mockStudentDoc = {
   exists: true,
   data: () => ({
+    organizationId: 'org1',
     firstName: 'Jane',
     lastName: 'Smith',
   }),
@@ -25,11 +34,17 @@ const mockStudentDoc = {
 const mockEventDoc = {
   exists: true,
   data: () => ({
+    organizationId: 'org1',
     typicalStartTime: '09:00',
     typicalEndTime: '15:00',
   }),
 };
 
+const mockScannerDoc = {
+  exists: true,
+  data: () => ({ organizationIds: ['org1'] }),
+};
+
 const mockEntryDoc = {
   ref: {
     update: jest.fn().mockResolvedValue(undefined),
@@ -56,6 +71,7 @@ const mockWeekEntriesQuery = {
   docs: [
     { data: () => ({ hoursWorked: 6 }) },
     { data: () => ({ hoursWorked: 6.5 }) },
+    { data: () => ({ hoursWorked: 6 }) }, // The entry this check-out just closed
   ],
 };
 
@@ -63,10 +79,14 @@ const mockCollection = jest.fn();
 const mockDoc = jest.fn();
 const mockWhere = jest.fn();
 const mockGet = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
 
 jest.unstable_mockModule('firebase-admin/firestore', () => ({
   getFirestore: () => ({
     collection: mockCollection,
+    batch: () => ({ set: mockBatchSet, update: mockBatchUpdate, commit: mockBatchCommit }),
   }),
   Timestamp: mockTimestamp,
 }));
@@ -81,12 +101,20 @@ jest.unstable_mockModule('firebase-functions/v2/https', () => ({
   },
 }));
 
+const mockVerifyKioskToken = jest.fn();
+
+jest.unstable_mockModule('../src/kiosk.js', () => ({
+  verifyKioskToken: mockVerifyKioskToken,
+}));
+
 describe('checkOut Cloud Function', () => {
   let checkOut;
+  let signBadge;
 
   beforeAll(async () => {
     const checkOutModule = await import('../src/checkOut.js');
     checkOut = checkOutModule.checkOut;
+    ({ signBadge } = await import('../src/badges.js'));
   });
 
   beforeEach(() => {
@@ -97,9 +125,10 @@ describe('checkOut Cloud Function', () => {
       where: mockWhere,
     });
 
-    mockDoc.mockReturnValue({
+    mockDoc.mockImplementation((id) => ({
+      id: id || 'new-entry',
       get: mockGet,
-    });
+    }));
 
     mockWhere.mockReturnValue({
       where: mockWhere,
@@ -125,6 +154,7 @@ describe('checkOut Cloud Function', () => {
           studentId: 'student123',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkOut(request)).rejects.toThrow('Missing required fields');
@@ -136,6 +166,7 @@ describe('checkOut Cloud Function', () => {
           studentId: 'student123',
           eventId: 'event123',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkOut(request)).rejects.toThrow('Missing required fields');
@@ -145,9 +176,10 @@ describe('checkOut Cloud Function', () => {
   describe('successful check-out', () => {
     beforeEach(() => {
       mockGet
+        .mockResolvedValueOnce(mockEventDoc) // Event found
+        .mockResolvedValueOnce(mockScannerDoc) // Scanner belongs to the event's organization
         .mockResolvedValueOnce(mockFoundEntryQuery) // Found check-in entry
         .mockResolvedValueOnce(mockStudentDoc) // Student found
-        .mockResolvedValueOnce(mockEventDoc) // Event found
         .mockResolvedValueOnce(mockWeekEntriesQuery); // Week entries
     });
 
@@ -176,11 +208,12 @@ describe('checkOut Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       const result = await checkOut(request);
 
-      // Week entries: 6 + 6.5 = 12.5, plus today's 6 = 18.5
+      // Week entries: 6 + 6.5 earlier, plus today's closed 6 = 18.5
       expect(result.weekTotal).toBe(18.5);
     });
 
@@ -236,9 +269,323 @@ describe('checkOut Cloud Function', () => {
     });
   });
 
+  describe('guardian notifications', () => {
+    it('should queue a check-out message for opted-in guardians', async () => {
+      mockGet
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockEventDoc.data(), name: 'VBS 2026' }) })
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockFoundEntryQuery)
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            organizationId: 'org1',
+            firstName: 'Jane',
+            lastName: 'Smith',
+            guardians: [{ name: 'Sue Smith', email: 'sue@example.com', phone: '', optIn: true }],
+          }),
+        })
+        .mockResolvedValueOnce(mockWeekEntriesQuery);
+
+      await checkOut({
+        data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1', method: 'av_scan' },
+        auth: { uid: 'av_user' },
+      });
+
+      expect(mockBatchSet).toHaveBeenCalledTimes(1);
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        organizationId: 'org1',
+        studentId: 'student123',
+        trigger: 'check_out',
+        channel: 'email',
+        to: 'sue@example.com',
+        subject: 'Jane checked out',
+        body: expect.stringContaining('Jane Smith checked out of VBS 2026 at'),
+      }));
+    });
+  });
+
+  describe('estimated entries', () => {
+    const request = {
+      data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+      auth: { uid: 'av_user' },
+    };
+
+    const mockEstimatedEntry = (hoursWorked) => {
+      const entryDoc = {
+        ref: { update: jest.fn().mockResolvedValue(undefined) },
+        data: () => ({
+          checkInTime: { toMillis: () => mockCheckInTime.getTime() },
+          flags: [],
+          estimatedCheckOut: { hoursWorked, basis: 'activity_end', batchId: 'batch1' },
+        }),
+      };
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce({ empty: false, docs: [entryDoc] })
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce(mockWeekEntriesQuery);
+      return entryDoc;
+    };
+
+    it('should flag the entry for a reprint when real hours differ from the form estimate', async () => {
+      const entryDoc = mockEstimatedEntry(5);
+
+      const result = await checkOut(request);
+
+      expect(result.flags).toEqual(['estimate_mismatch']);
+      expect(entryDoc.ref.update).toHaveBeenCalledWith(expect.objectContaining({
+        reviewStatus: 'flagged',
+        estimatedCheckOut: null,
+        estimateReconciliation: {
+          batchId: 'batch1',
+          estimatedHours: 5,
+          actualHours: 6,
+          difference: 1,
+          needsReprint: true,
+        },
+      }));
+    });
+
+    it('should clear a matching estimate without flagging', async () => {
+      const entryDoc = mockEstimatedEntry(6);
+
+      await checkOut(request);
+
+      expect(entryDoc.ref.update).toHaveBeenCalledWith(expect.objectContaining({
+        flags: [],
+        reviewStatus: 'pending',
+        estimatedCheckOut: null,
+        estimateReconciliation: expect.objectContaining({ difference: 0, needsReprint: false }),
+      }));
+    });
+  });
+
+  describe('kiosk check-out', () => {
+    const request = {
+      data: {
+        get qrData() { return signBadge('student123', 'event456', 1); },
+        eventId: 'event456',
+        activityId: 'activity1',
+        method: 'av_scan',
+        kioskToken: 'device-token',
+      },
+    };
+
+    it('should record a kiosk check-out as a self-scan from the device', async () => {
+      mockVerifyKioskToken.mockResolvedValueOnce({ id: 'device1', eventId: 'event456', activityId: 'activity1' });
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockFoundEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce(mockWeekEntriesQuery);
+
+      const result = await checkOut(request);
+
+      expect(mockVerifyKioskToken).toHaveBeenCalledWith(expect.anything(), 'device-token', 'event456');
+      expect(result.weekTotal).toBe(18.5);
+      expect(mockEntryDoc.ref.update).toHaveBeenCalledWith(
+        expect.objectContaining({
+          checkOutBy: 'student_self',
+          checkOutMethod: 'self_scan',
+          checkOutDeviceId: 'device1',
+        })
+      );
+    });
+
+    it('should refuse a kiosk set up for another activity', async () => {
+      mockVerifyKioskToken.mockResolvedValueOnce({ id: 'device1', eventId: 'event456', activityId: 'crafts' });
+
+      await expect(checkOut(request)).rejects.toMatchObject({ code: 'permission-denied' });
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a bare student ID from an unauthenticated kiosk', async () => {
+      const unsigned = { data: { ...request.data, qrData: undefined, studentId: 'student123' } };
+
+      await expect(checkOut(unsigned)).rejects.toMatchObject({ code: 'unauthenticated' });
+      expect(mockVerifyKioskToken).not.toHaveBeenCalled();
+    });
+
+    it('should refuse badge scans with neither a signed-in scanner nor a kiosk token', async () => {
+      const anonymous = { data: { ...request.data, kioskToken: undefined } };
+
+      await expect(checkOut(anonymous)).rejects.toMatchObject({ code: 'unauthenticated' });
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
+    it('should refuse a backdated scan time from a kiosk', async () => {
+      const backdated = { data: { ...request.data, clientTimestamp: Date.now() - 60 * 60 * 1000 } };
+
+      await expect(checkOut(backdated)).rejects.toThrow('Only signed-in scanners can replay offline scans');
+      expect(mockVerifyKioskToken).not.toHaveBeenCalled();
+      expect(mockGet).not.toHaveBeenCalled();
+    });
+
+    it('should reject a badge that was replaced by a reissue', async () => {
+      mockVerifyKioskToken.mockResolvedValueOnce({ id: 'device1', eventId: 'event456', activityId: 'activity1' });
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockFoundEntryQuery)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org1', firstName: 'Jane', badgeVersion: 2 }) });
+
+      await expect(checkOut(request)).rejects.toThrow('Badge replaced');
+      expect(mockEntryDoc.ref.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('offline sync replay', () => {
+    const request = (clientTimestamp) => ({
+      data: {
+        studentId: 'student123',
+        eventId: 'event456',
+        activityId: 'activity1',
+        method: 'av_scan',
+        clientTimestamp,
+      },
+      auth: { uid: 'av_user_123' },
+    });
+
+    it('should check out at the original scan time and mark the entry offline_sync', async () => {
+      const scannedAt = mockCheckInTime.getTime() + 4 * 60 * 60 * 1000;
+      jest.useFakeTimers({ now: mockCheckOutTime, doNotFake: ['nextTick', 'setImmediate'] });
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockFoundEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc)
+        .mockResolvedValueOnce(mockWeekEntriesQuery);
+
+      try {
+        const result = await checkOut(request(scannedAt));
+
+        expect(result.hoursToday).toBe(4);
+        expect(mockEntryDoc.ref.update).toHaveBeenCalledWith(
+          expect.objectContaining({
+            hoursWorked: 4,
+            checkOutBy: 'av_user_123',
+            checkOutMethod: 'offline_sync',
+          })
+        );
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+
+    it('should refuse a scan time before the check-in', async () => {
+      jest.useFakeTimers({ now: mockCheckOutTime, doNotFake: ['nextTick', 'setImmediate'] });
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce(mockFoundEntryQuery)
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      try {
+        await expect(checkOut(request(mockCheckInTime.getTime() - 60000)))
+          .rejects.toMatchObject({ code: 'failed-precondition' });
+      } finally {
+        jest.useRealTimers();
+      }
+    });
+  });
+
+  describe('overnight shifts', () => {
+    const request = {
+      data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1', method: 'av_scan' },
+      auth: { uid: 'av_user' },
+    };
+
+    // Checked in the evening before the 3:00 PM check-out
+    const mockOvernightEntry = (checkInTime, eventData = {}) => {
+      const entryDoc = {
+        id: 'entry1',
+        ref: { update: jest.fn().mockResolvedValue(undefined) },
+        data: () => ({
+          date: '2026-06-14',
+          checkInTime: { toMillis: () => new Date(checkInTime).getTime() },
+          checkInBy: 'av_user',
+          flags: [],
+        }),
+      };
+      mockGet
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockEventDoc.data(), ...eventData }) })
+        .mockResolvedValueOnce(mockScannerDoc)
+        .mockResolvedValueOnce({ empty: false, docs: [entryDoc] })
+        .mockResolvedValueOnce(mockStudentDoc);
+      return entryDoc;
+    };
+
+    it('should close an open entry from the day before and count it on the check-in date', async () => {
+      const entryDoc = mockOvernightEntry('2026-06-14T22:00:00-04:00', { maxShiftHours: 24 });
+      mockGet
+        .mockResolvedValueOnce({ exists: false }) // Check-in day not locked
+        .mockResolvedValueOnce(mockWeekEntriesQuery);
+
+      const result = await checkOut(request);
+
+      expect(result.hoursToday).toBe(17);
+      expect(result.flags).toContain('overnight');
+      expect(mockWhere).not.toHaveBeenCalledWith('date', '==', expect.anything());
+      expect(entryDoc.ref.update).toHaveBeenCalledWith(expect.objectContaining({
+        hoursWorked: 17,
+        spanDates: ['2026-06-14', '2026-06-15'],
+        flags: ['overnight'],
+        reviewStatus: 'flagged',
+      }));
+    });
+
+    it('should split the hours at midnight when the event asks for it', async () => {
+      const entryDoc = mockOvernightEntry('2026-06-14T22:00:00-04:00', { maxShiftHours: 24, overnightPolicy: 'split_at_midnight' });
+      mockGet
+        .mockResolvedValueOnce({ exists: false }) // Neither day locked
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(mockWeekEntriesQuery);
+
+      const result = await checkOut(request);
+
+      expect(result.hoursToday).toBe(17);
+      expect(entryDoc.ref.update).not.toHaveBeenCalled();
+      expect(mockBatchUpdate).toHaveBeenCalledWith(entryDoc.ref, expect.objectContaining({
+        hoursWorked: 2,
+        checkOutTime: expect.objectContaining({ toMillis: expect.any(Function) }),
+        nextSegmentId: 'new-entry',
+      }));
+      expect(mockBatchUpdate.mock.calls[0][1].checkOutTime.toMillis()).toBe(new Date('2026-06-15T00:00:00-04:00').getTime());
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'new-entry' }), expect.objectContaining({
+        date: '2026-06-15',
+        hoursWorked: 15,
+        checkInMethod: 'overnight_split',
+        previousSegmentId: 'entry1',
+        spanDates: ['2026-06-14', '2026-06-15'],
+        flags: ['overnight'],
+      }));
+      expect(mockBatchCommit).toHaveBeenCalled();
+    });
+
+    it('should not split into a locked review day', async () => {
+      const entryDoc = mockOvernightEntry('2026-06-14T22:00:00-04:00', { maxShiftHours: 24, overnightPolicy: 'split_at_midnight' });
+      mockGet
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ locked: true }) });
+
+      await expect(checkOut(request)).rejects.toThrow('Review for 2026-06-15 is locked');
+      expect(entryDoc.ref.update).not.toHaveBeenCalled();
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an open entry older than the event\'s shift limit', async () => {
+      const entryDoc = mockOvernightEntry('2026-06-14T20:00:00-04:00');
+
+      await expect(checkOut(request)).rejects.toThrow('longer than the 16-hour shift limit');
+      expect(entryDoc.ref.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('no check-in found', () => {
     beforeEach(() => {
       mockGet
+        .mockResolvedValueOnce(mockEventDoc) // Event found
+        .mockResolvedValueOnce(mockScannerDoc) // Scanner belongs to the event's organization
         .mockResolvedValueOnce(mockEmptyQuery) // No check-in entry
         .mockResolvedValueOnce(mockStudentDoc); // Student found
     });
@@ -250,15 +597,54 @@ describe('checkOut Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkOut(request)).rejects.toThrow('No check-in found for today');
     });
   });
 
+  describe('organization scoping', () => {
+    it('should refuse scanners from another organization', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationIds: ['org2'] }) });
+
+      await expect(checkOut({
+        data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+        auth: { uid: 'admin2' },
+      })).rejects.toThrow('You do not have access to this organization');
+      expect(mockEntryDoc.ref.update).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('event assignments', () => {
+    it('should refuse volunteers assigned to another event', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: false }) // Not an admin
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            role: 'adult_volunteer',
+            organizationIds: ['org1'],
+            eventAssignments: { otherEvent: { role: 'scanner', activityIds: [] } },
+          }),
+        });
+
+      await expect(checkOut({
+        data: { studentId: 'student123', eventId: 'event456', activityId: 'activity1' },
+        auth: { uid: 'av_user' },
+      })).rejects.toThrow('You are not assigned to this event');
+      expect(mockEntryDoc.ref.update).not.toHaveBeenCalled();
+    });
+  });
+
   describe('student not found', () => {
     beforeEach(() => {
       mockGet
+        .mockResolvedValueOnce(mockEventDoc) // Event found
+        .mockResolvedValueOnce(mockScannerDoc) // Scanner belongs to the event's organization
         .mockResolvedValueOnce(mockFoundEntryQuery) // Found check-in entry
         .mockResolvedValueOnce({ exists: false }); // Student not found
     });
@@ -270,6 +656,7 @@ describe('checkOut Cloud Function', () => {
           eventId: 'event456',
           activityId: 'activity1',
         },
+        auth: { uid: 'av_user' },
       };
 
       await expect(checkOut(request)).rejects.toThrow('Student not found');
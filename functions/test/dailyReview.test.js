@@ -5,8 +5,8 @@
 import { jest } from '@jest/globals';
 
 // Mock timestamps
-const mockCheckInTime = new Date('2026-06-15T09:00:00');
-const mockCheckOutTime = new Date('2026-06-15T15:00:00');
+const mockCheckInTime = new Date('2026-06-15T09:00:00-04:00');
+const mockCheckOutTime = new Date('2026-06-15T15:00:00-04:00');
 
 const mockTimestamp = {
   now: jest.fn(() => ({
@@ -22,11 +22,17 @@ const mockTimestamp = {
 const mockStudentDoc = {
   exists: true,
   data: () => ({
+    organizationId: 'org1',
     firstName: 'Jane',
     lastName: 'Smith',
   }),
 };
 
+const mockAdminDoc = {
+  exists: true,
+  data: () => ({ organizationIds: ['org1'] }),
+};
+
 const mockTimeEntryDoc = {
   ref: {
     update: jest.fn().mockResolvedValue(undefined),
@@ -45,6 +51,7 @@ const mockTimeEntryDoc = {
 const mockEventDoc = {
   exists: true,
   data: () => ({
+    organizationId: 'org1',
     name: 'VBS 2026',
     typicalEndTime: '15:00',
     activities: [
@@ -58,9 +65,9 @@ const mockCollection = jest.fn();
 const mockDoc = jest.fn();
 const mockWhere = jest.fn();
 const mockGet = jest.fn();
-const mockAdd = jest.fn();
 const mockBatch = jest.fn();
 const mockBatchUpdate = jest.fn();
+const mockBatchSet = jest.fn();
 const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
 
 jest.unstable_mockModule('firebase-admin/firestore', () => ({
@@ -68,6 +75,7 @@ jest.unstable_mockModule('firebase-admin/firestore', () => ({
     collection: mockCollection,
     batch: () => ({
       update: mockBatchUpdate,
+      set: mockBatchSet,
       commit: mockBatchCommit,
     }),
   }),
@@ -103,11 +111,9 @@ describe('quickCheckIn Cloud Function', () => {
     mockCollection.mockReturnValue({
       doc: mockDoc,
       where: mockWhere,
-      add: mockAdd,
     });
-    mockDoc.mockReturnValue({ get: mockGet });
+    mockDoc.mockReturnValue({ id: 'entry123', get: mockGet });
     mockWhere.mockReturnValue(queryChain);
-    mockAdd.mockResolvedValue({ id: 'entry123' });
   });
 
   it('should throw error when required fields are missing', async () => {
@@ -137,6 +143,10 @@ describe('quickCheckIn Cloud Function', () => {
   });
 
   it('should throw error when check-in time does not match selected date', async () => {
+    mockGet
+      .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce(mockAdminDoc);
+
     const request = {
       data: {
         studentId: 'student123',
@@ -151,10 +161,38 @@ describe('quickCheckIn Cloud Function', () => {
     await expect(quickCheckIn(request)).rejects.toThrow('Check-in time must match selected date');
   });
 
-  it('should create an open time entry', async () => {
+  it('should read the selected date on the event\'s time zone', async () => {
     mockGet
+      .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockEventDoc.data(), timeZone: 'America/Los_Angeles' }) })
+      .mockResolvedValueOnce(mockAdminDoc)
+      .mockResolvedValueOnce({ exists: false }) // Review lock
       .mockResolvedValueOnce(mockStudentDoc)
+      .mockResolvedValueOnce({ docs: [] });
+
+    const result = await quickCheckIn({
+      data: {
+        studentId: 'student123',
+        eventId: 'event123',
+        activityId: 'activity1',
+        date: '2026-06-15',
+        checkInTime: '2026-06-16T02:00:00Z', // 7:00 PM on June 15 in Los Angeles
+      },
+      auth: { uid: 'admin123' },
+    });
+
+    expect(result.success).toBe(true);
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      date: '2026-06-15',
+      modificationReason: 'Quick Check-In at 7:00 PM',
+    }));
+  });
+
+  it('should create an open time entry', async () => {
+    mockGet
       .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce(mockAdminDoc)
+      .mockResolvedValueOnce({ exists: false }) // Review lock
+      .mockResolvedValueOnce(mockStudentDoc)
       .mockResolvedValueOnce({ docs: [] });
 
     const request = {
@@ -173,7 +211,8 @@ describe('quickCheckIn Cloud Function', () => {
 
     expect(result.success).toBe(true);
     expect(result.entryId).toBe('entry123');
-    expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'entry123' }), expect.objectContaining({
+      organizationId: 'org1',
       studentId: 'student123',
       eventId: 'event123',
       activityId: 'activity1',
@@ -187,12 +226,25 @@ describe('quickCheckIn Cloud Function', () => {
       isVoided: false,
       modificationReason: expect.stringContaining('Missed scan-in'),
     }));
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'quick_checkin',
+      targetId: 'entry123',
+      organizationId: 'org1',
+      eventId: 'event123',
+      studentId: 'student123',
+      performedBy: 'admin123',
+      performedByName: 'Admin User',
+      details: expect.objectContaining({ reason: 'Missed scan-in' }),
+    }));
+    expect(mockBatchCommit).toHaveBeenCalledTimes(1);
   });
 
   it('should reject a duplicate active time entry for the date', async () => {
     mockGet
-      .mockResolvedValueOnce(mockStudentDoc)
       .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce(mockAdminDoc)
+      .mockResolvedValueOnce({ exists: false }) // Review lock
+      .mockResolvedValueOnce(mockStudentDoc)
       .mockResolvedValueOnce({
         docs: [
           { data: () => ({ isVoided: false }) },
@@ -212,6 +264,26 @@ describe('quickCheckIn Cloud Function', () => {
 
     await expect(quickCheckIn(request)).rejects.toThrow('Student already has a time entry for this date');
   });
+
+  it('should refuse admins of another organization', async () => {
+    mockGet
+      .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce({ exists: true, data: () => ({ organizationIds: ['org2'] }) });
+
+    const request = {
+      data: {
+        studentId: 'student123',
+        eventId: 'event123',
+        activityId: 'activity1',
+        date: '2026-06-15',
+        checkInTime: '2026-06-15T09:00:00Z',
+      },
+      auth: { uid: 'admin2' },
+    };
+
+    await expect(quickCheckIn(request)).rejects.toMatchObject({ code: 'permission-denied' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
 });
 
 describe('forceCheckOut Cloud Function', () => {
@@ -304,17 +376,20 @@ describe('forceCheckOut Cloud Function', () => {
 
   describe('already checked out', () => {
     it('should throw error when student is already checked out', async () => {
-      mockGet.mockResolvedValueOnce({
-        exists: true,
-        data: () => ({
-          checkInTime: {
-            toMillis: () => mockCheckInTime.getTime(),
-          },
-          checkOutTime: {
-            toMillis: () => mockCheckOutTime.getTime(),
-          },
-        }),
-      });
+      mockGet
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            organizationId: 'org1',
+            checkInTime: {
+              toMillis: () => mockCheckInTime.getTime(),
+            },
+            checkOutTime: {
+              toMillis: () => mockCheckOutTime.getTime(),
+            },
+          }),
+        })
+        .mockResolvedValueOnce(mockAdminDoc);
 
       const request = {
         data: {
@@ -339,6 +414,7 @@ describe('forceCheckOut Cloud Function', () => {
         .mockResolvedValueOnce({
           exists: true,
           data: () => ({
+            organizationId: 'org1',
             checkInTime: {
               toMillis: () => mockCheckInTime.getTime(),
             },
@@ -348,6 +424,7 @@ describe('forceCheckOut Cloud Function', () => {
           }),
           ref: mockEntryRef,
         })
+        .mockResolvedValueOnce(mockAdminDoc)
         .mockResolvedValueOnce(mockStudentDoc);
 
       mockDoc.mockReturnValue({
@@ -360,7 +437,7 @@ describe('forceCheckOut Cloud Function', () => {
       const request = {
         data: {
           entryId: 'entry123',
-          checkOutTime: '2026-06-15T15:00:00',
+          checkOutTime: '2026-06-15T15:00:00-04:00',
           reason: 'Forgot to check out, confirmed with parent',
         },
         auth: { uid: 'admin123' },
@@ -371,6 +448,161 @@ describe('forceCheckOut Cloud Function', () => {
       expect(result.success).toBe(true);
       expect(result.studentName).toBe('Jane Smith');
       expect(result.hoursWorked).toBe(6); // 9am to 3pm = 6 hours
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'force_checkout',
+        targetId: 'entry123',
+        organizationId: 'org1',
+        studentId: 'student123',
+        details: expect.objectContaining({ hoursWorked: 6, reason: 'Forgot to check out, confirmed with parent' }),
+      }));
+    });
+  });
+
+  describe('station leads', () => {
+    const openEntry = {
+      exists: true,
+      data: () => ({
+        organizationId: 'org1',
+        eventId: 'event123',
+        activityId: 'activity1',
+        checkInTime: {
+          toMillis: () => mockCheckInTime.getTime(),
+        },
+        checkOutTime: null,
+        flags: [],
+        studentId: 'student123',
+      }),
+      ref: { update: jest.fn() },
+    };
+    const leadDoc = (activityIds) => ({
+      exists: true,
+      data: () => ({
+        role: 'adult_volunteer',
+        organizationIds: ['org1'],
+        eventAssignments: { event123: { role: 'station_lead', activityIds } },
+      }),
+    });
+    const request = {
+      data: {
+        entryId: 'entry123',
+        checkOutTime: '2026-06-15T15:00:00-04:00',
+        reason: 'Left with parent',
+      },
+      auth: { uid: 'lead123' },
+    };
+
+    it('should let a station lead force a check-out in their activity', async () => {
+      mockGet
+        .mockResolvedValueOnce(openEntry)
+        .mockResolvedValueOnce({ exists: false }) // Not an admin
+        .mockResolvedValueOnce(leadDoc(['activity1']))
+        .mockResolvedValueOnce(mockEventDoc) // Rounding policy
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      const result = await forceCheckOut(request);
+
+      expect(result.success).toBe(true);
+      expect(mockBatchUpdate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        checkOutBy: 'lead123',
+        checkOutMethod: 'forced',
+      }));
+    });
+
+    it('should refuse station leads of other activities and plain scanners', async () => {
+      mockGet
+        .mockResolvedValueOnce(openEntry)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(leadDoc(['activity2']));
+
+      await expect(forceCheckOut(request)).rejects.toMatchObject({
+        code: 'permission-denied',
+        message: 'Only admins and station leads can force a check-out',
+      });
+
+      mockGet
+        .mockResolvedValueOnce(openEntry)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ role: 'adult_volunteer', organizationIds: ['org1'] }) });
+
+      await expect(forceCheckOut(request)).rejects.toThrow('Only admins and station leads can force a check-out');
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('overnight shifts', () => {
+    const overnightEntry = {
+      exists: true,
+      data: () => ({
+        organizationId: 'org1',
+        eventId: 'event123',
+        activityId: 'activity1',
+        studentId: 'student123',
+        date: '2026-06-14',
+        checkInTime: {
+          toMillis: () => new Date('2026-06-14T22:00:00-04:00').getTime(),
+        },
+        checkOutTime: null,
+        flags: [],
+      }),
+      ref: { update: jest.fn() },
+    };
+    const splitEvent = {
+      exists: true,
+      data: () => ({ ...mockEventDoc.data(), maxShiftHours: 24, overnightPolicy: 'split_at_midnight' }),
+    };
+    const request = {
+      data: {
+        entryId: 'entry123',
+        checkOutTime: '2026-06-15T15:00:00-04:00',
+        reason: 'Lock-in ran late',
+      },
+      auth: { uid: 'admin123' },
+    };
+
+    beforeEach(() => {
+      mockDoc.mockImplementation((id = 'new-entry') => ({ id, get: mockGet }));
+    });
+
+    it('should split a forced check-out at midnight when the event asks for it', async () => {
+      mockGet
+        .mockResolvedValueOnce(overnightEntry)
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce(splitEvent)
+        .mockResolvedValueOnce({ exists: false }) // Neither day locked
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      const result = await forceCheckOut(request);
+
+      expect(result.hoursWorked).toBe(17);
+      expect(mockBatchUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'entry123' }), expect.objectContaining({
+        hoursWorked: 2,
+        checkOutMethod: 'forced',
+        spanDates: ['2026-06-14', '2026-06-15'],
+        flags: ['forced_checkout', 'overnight'],
+        nextSegmentId: 'new-entry',
+      }));
+      expect(mockBatchUpdate.mock.calls[0][1].checkOutTime.toMillis()).toBe(new Date('2026-06-15T00:00:00-04:00').getTime());
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'new-entry' }), expect.objectContaining({
+        date: '2026-06-15',
+        hoursWorked: 15,
+        checkInMethod: 'overnight_split',
+        checkOutMethod: 'forced',
+        previousSegmentId: 'entry123',
+        flags: ['overnight', 'forced_checkout'],
+      }));
+    });
+
+    it('should not split into a locked review day', async () => {
+      mockGet
+        .mockResolvedValueOnce(overnightEntry)
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce(splitEvent)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ locked: true }) });
+
+      await expect(forceCheckOut(request)).rejects.toThrow('Review for 2026-06-15 is locked');
+      expect(mockBatchCommit).not.toHaveBeenCalled();
     });
   });
 });
@@ -453,10 +685,31 @@ describe('forceAllCheckOut Cloud Function', () => {
     });
   });
 
+  describe('locked day', () => {
+    it('should refuse to check out entries on a locked day', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ locked: true }) });
+
+      const request = {
+        data: {
+          eventId: 'event123',
+          date: '2026-06-15',
+        },
+        auth: { uid: 'admin123' },
+      };
+
+      await expect(forceAllCheckOut(request)).rejects.toThrow('Review for 2026-06-15 is locked');
+    });
+  });
+
   describe('no entries to checkout', () => {
     it('should return zero when no entries need checkout', async () => {
       mockGet
         .mockResolvedValueOnce(mockEventDoc) // Event lookup
+        .mockResolvedValueOnce(mockAdminDoc) // Admin of the event's organization
+        .mockResolvedValueOnce({ exists: false }) // Review lock
         .mockResolvedValueOnce({ empty: true, docs: [] }); // Entries query
 
       const request = {
@@ -480,18 +733,22 @@ describe('forceAllCheckOut Cloud Function', () => {
         empty: false,
         docs: [
           {
+            id: 'entry1',
             ref: { id: 'entry1' },
             data: () => ({
               checkInTime: { toMillis: () => mockCheckInTime.getTime() },
               activityId: 'activity1',
+              studentId: 'student1',
               flags: [],
             }),
           },
           {
+            id: 'entry2',
             ref: { id: 'entry2' },
             data: () => ({
               checkInTime: { toMillis: () => mockCheckInTime.getTime() },
               activityId: 'activity2',
+              studentId: 'student2',
               flags: [],
             }),
           },
@@ -500,7 +757,18 @@ describe('forceAllCheckOut Cloud Function', () => {
 
       mockGet
         .mockResolvedValueOnce(mockEventDoc) // Event lookup
-        .mockResolvedValueOnce(mockEntries); // Entries query
+        .mockResolvedValueOnce(mockAdminDoc) // Admin of the event's organization
+        .mockResolvedValueOnce({ exists: false }) // Review lock
+        .mockResolvedValueOnce(mockEntries) // Entries query
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            firstName: 'Ann',
+            lastName: 'Lee',
+            guardians: [{ name: 'Pat Lee', email: 'pat@example.com', phone: '', optIn: true }],
+          }),
+        }) // student1
+        .mockResolvedValueOnce(mockStudentDoc); // student2, no guardians
 
       const request = {
         data: {
@@ -516,6 +784,92 @@ describe('forceAllCheckOut Cloud Function', () => {
       expect(result.success).toBe(true);
       expect(result.checkedOutCount).toBe(2);
       expect(mockBatchUpdate).toHaveBeenCalledTimes(2);
+      // The bulk audit record, then one guardian notification
+      expect(mockBatchSet).toHaveBeenCalledTimes(2);
+      expect(mockBatchSet).toHaveBeenLastCalledWith(expect.anything(), expect.objectContaining({
+        organizationId: 'org1',
+        studentId: 'student1',
+        entryId: 'entry1',
+        trigger: 'forced_checkout',
+        channel: 'email',
+        to: 'pat@example.com',
+        status: 'pending',
+      }));
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'force_checkout_bulk',
+        targetType: 'event',
+        organizationId: 'org1',
+        eventId: 'event123',
+        details: expect.objectContaining({
+          reason: 'End of day checkout',
+          studentIds: ['student1', 'student2'],
+          entries: [
+            expect.objectContaining({ entryId: 'entry1', studentId: 'student1' }),
+            expect.objectContaining({ entryId: 'entry2', studentId: 'student2' }),
+          ],
+        }),
+      }));
+    });
+
+    it('should use activity end times on the event\'s wall clock', async () => {
+      mockGet
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockEventDoc.data(), timeZone: 'America/Chicago' }) })
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false }) // Review lock
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{
+            id: 'entry1',
+            ref: { id: 'entry1' },
+            data: () => ({
+              checkInTime: { toMillis: () => mockCheckInTime.getTime() },
+              activityId: 'activity1',
+              studentId: 'student1',
+              flags: [],
+            }),
+          }],
+        })
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      await forceAllCheckOut({ data: { eventId: 'event123', date: '2026-06-15' }, auth: { uid: 'admin123' } });
+
+      // Training ends at 12:00 in Chicago
+      expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({
+        forcedCheckoutReason: expect.stringContaining('Bulk Forced Check-Out at 12:00 PM (Checked in: 8:00 AM)'),
+      }));
+      expect(mockBatchUpdate.mock.calls[0][1].checkOutTime.toDate()).toEqual(new Date('2026-06-15T17:00:00Z'));
+    });
+
+    it('should reconcile entries that were printed with an estimate', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc) // Event lookup
+        .mockResolvedValueOnce(mockAdminDoc) // Admin of the event's organization
+        .mockResolvedValueOnce({ exists: false }) // Review lock
+        .mockResolvedValueOnce({
+          empty: false,
+          docs: [{
+            ref: { id: 'entry1' },
+            data: () => ({
+              checkInTime: { toMillis: () => mockCheckInTime.getTime() },
+              activityId: 'activity2',
+              flags: [],
+              estimatedCheckOut: { hoursWorked: 6, basis: 'default', batchId: 'batch1' },
+            }),
+          }],
+        })
+        .mockResolvedValueOnce(mockStudentDoc);
+
+      await forceAllCheckOut({
+        data: { eventId: 'event123', date: '2026-06-15', activityCheckOutTimes: { activity2: '2026-06-15T14:00:00-04:00' } },
+        auth: { uid: 'admin123' },
+      });
+
+      expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({
+        hoursWorked: 5,
+        flags: ['forced_checkout', 'estimate_mismatch'],
+        estimatedCheckOut: null,
+        estimateReconciliation: expect.objectContaining({ estimatedHours: 6, actualHours: 5, difference: -1 }),
+      }));
     });
   });
 });
@@ -532,9 +886,14 @@ describe('getDailyReviewSummary Cloud Function', () => {
     jest.clearAllMocks();
 
     mockCollection.mockReturnValue({
+      doc: mockDoc,
       where: mockWhere,
     });
 
+    mockDoc.mockReturnValue({
+      get: mockGet,
+    });
+
     mockWhere.mockReturnValue({
       where: mockWhere,
       get: mockGet,
@@ -561,25 +920,40 @@ describe('getDailyReviewSummary Cloud Function', () => {
 
       await expect(getDailyReviewSummary(request)).rejects.toThrow('Missing required fields');
     });
+
+    it('should require an admin of the event\'s organization', async () => {
+      await expect(getDailyReviewSummary({ data: { eventId: 'event123', date: '2026-06-15' } }))
+        .rejects.toMatchObject({ code: 'unauthenticated' });
+
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ organizationIds: ['org2'] }) });
+      await expect(getDailyReviewSummary({ data: { eventId: 'event123', date: '2026-06-15' }, auth: { uid: 'admin2' } }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
   });
 
   describe('successful summary', () => {
     it('should return correct summary counts', async () => {
-      mockGet.mockResolvedValueOnce({
-        docs: [
-          { data: () => ({ checkOutTime: {}, flags: [] }) },
-          { data: () => ({ checkOutTime: {}, flags: [] }) },
-          { data: () => ({ checkOutTime: {}, flags: ['early_arrival'] }) },
-          { data: () => ({ checkOutTime: {}, forcedCheckoutReason: 'Left early' }) },
-          { data: () => ({ checkOutTime: null, flags: [] }) }, // No checkout
-        ],
-      });
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({
+          docs: [
+            { data: () => ({ checkOutTime: {}, flags: [] }) },
+            { data: () => ({ checkOutTime: {}, flags: [] }) },
+            { data: () => ({ checkOutTime: {}, flags: ['early_arrival'] }) },
+            { data: () => ({ checkOutTime: {}, forcedCheckoutReason: 'Left early' }) },
+            { data: () => ({ checkOutTime: null, flags: [] }) }, // No checkout
+          ],
+        });
 
       const request = {
         data: {
           eventId: 'event123',
           date: '2026-06-15',
         },
+        auth: { uid: 'admin123' },
       };
 
       const result = await getDailyReviewSummary(request);
@@ -592,13 +966,17 @@ describe('getDailyReviewSummary Cloud Function', () => {
     });
 
     it('should handle empty results', async () => {
-      mockGet.mockResolvedValueOnce({ docs: [] });
+      mockGet
+        .mockResolvedValueOnce(mockEventDoc)
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ docs: [] });
 
       const request = {
         data: {
           eventId: 'event123',
           date: '2026-06-15',
         },
+        auth: { uid: 'admin123' },
       };
 
       const result = await getDailyReviewSummary(request);
@@ -651,3 +1029,102 @@ describe('Hour calculation in forceCheckOut', () => {
     expect(rounded).toBe(7);
   });
 });
+
+describe('getOnSiteBoard Cloud Function', () => {
+  let getOnSiteBoard;
+  let today;
+
+  beforeAll(async () => {
+    const dailyReviewModule = await import('../src/dailyReview.js');
+    getOnSiteBoard = dailyReviewModule.getOnSiteBoard;
+    const { formatDateInTimeZone } = await import('../src/shared/timeZones.js');
+    today = formatDateInTimeZone(new Date());
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+
+    mockCollection.mockReturnValue({
+      doc: mockDoc,
+      where: mockWhere,
+    });
+    mockDoc.mockReturnValue({ get: mockGet });
+    mockWhere.mockReturnValue({
+      where: mockWhere,
+      get: mockGet,
+    });
+  });
+
+  const openEntry = (id, data) => ({
+    id,
+    data: () => ({
+      studentId: 'student123',
+      activityId: 'activity1',
+      date: today,
+      checkInTime: mockTimestamp.fromDate(new Date(Date.now() - 90 * 60000)),
+      checkOutTime: null,
+      ...data,
+    }),
+  });
+
+  it('should require an event the caller can view', async () => {
+    await expect(getOnSiteBoard({ data: {} })).rejects.toThrow('Missing required field: eventId');
+    await expect(getOnSiteBoard({ data: { eventId: 'event123' } }))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+
+    mockGet
+      .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce({ exists: false })
+      .mockResolvedValueOnce({
+        exists: true,
+        data: () => ({ role: 'adult_volunteer', organizationIds: ['org1'], eventAssignments: {} }),
+      });
+    await expect(getOnSiteBoard({ data: { eventId: 'event123' }, auth: { uid: 'user1' } }))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  it('should group open entries by activity with student names', async () => {
+    mockGet
+      .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce(mockAdminDoc)
+      .mockResolvedValueOnce({
+        docs: [
+          openEntry('entry1'),
+          openEntry('voided', { studentId: 'student456', isVoided: true }),
+          openEntry('stale', { studentId: 'student789', date: '2020-01-01', checkInTime: mockTimestamp.fromDate(new Date('2020-01-01T09:00:00-05:00')) }),
+        ],
+      })
+      .mockResolvedValueOnce(mockStudentDoc);
+
+    const result = await getOnSiteBoard({ data: { eventId: 'event123' }, auth: { uid: 'admin123' } });
+
+    expect(result.onSiteCount).toBe(1);
+    expect(result.activities.map(activity => activity.activityId)).toEqual(['activity1', 'activity2']);
+    expect(result.activities[0]).toEqual(expect.objectContaining({
+      activityName: 'Training',
+      endTime: '12:00',
+      canCheckOut: true,
+      entries: [expect.objectContaining({ entryId: 'entry1', studentId: 'student123', studentName: 'Jane Smith', date: today })],
+    }));
+    expect(mockWhere).toHaveBeenCalledWith('checkOutTime', '==', null);
+  });
+
+  it('should only offer check-out in the activities a volunteer scans', async () => {
+    mockGet
+      .mockResolvedValueOnce(mockEventDoc)
+      .mockResolvedValueOnce({ exists: false })
+      .mockResolvedValueOnce({
+        exists: true,
+        data: () => ({
+          role: 'adult_volunteer',
+          organizationIds: ['org1'],
+          eventAssignments: { event123: { role: 'scanner', activityIds: ['activity2'] } },
+        }),
+      })
+      .mockResolvedValueOnce({ docs: [] });
+
+    const result = await getOnSiteBoard({ data: { eventId: 'event123' }, auth: { uid: 'user1' } });
+
+    expect(result.activities.map(activity => activity.canCheckOut)).toEqual([false, true]);
+  });
+});
@@ -0,0 +1,179 @@
+/**
+ * Tests for editTimeEntry Cloud Function
+ */
+import { jest } from '@jest/globals';
+
+const makeTimestamp = (date) => ({
+  toDate: () => date,
+  toMillis: () => date.getTime(),
+});
+
+const mockCollection = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ set: mockBatchSet, update: mockBatchUpdate, commit: mockBatchCommit }),
+  }),
+  Timestamp: {
+    now: jest.fn(() => 'now'),
+    fromDate: jest.fn(makeTimestamp),
+  },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+describe('editTimeEntry Cloud Function', () => {
+  let editTimeEntry;
+  let isAdmin;
+  let entry;
+  let lockedDates;
+
+  beforeAll(async () => {
+    ({ editTimeEntry } = await import('../src/editTimeEntry.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    lockedDates = [];
+    entry = {
+      organizationId: 'org1',
+      eventId: 'event1',
+      studentId: 'student1',
+      activityId: 'vbs',
+      date: '2026-06-15',
+      checkInTime: makeTimestamp(new Date('2026-06-15T09:00:00-04:00')),
+      checkOutTime: makeTimestamp(new Date('2026-06-15T15:00:00-04:00')),
+      hoursWorked: 6,
+      flags: ['forced_checkout'],
+      reviewStatus: 'approved',
+      changeLog: [],
+    };
+
+    mockCollection.mockImplementation((name) => ({
+      doc: (id = 'audit1') => ({
+        id,
+        get: async () => {
+          if (name === 'admins') return { exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) };
+          if (name === 'timeEntries') return { exists: Boolean(entry), data: () => entry };
+          if (name === 'reviewLocks') {
+            return { exists: lockedDates.some(date => id.endsWith(date)), data: () => ({ locked: true }) };
+          }
+          return {
+            exists: true,
+            data: () => ({ typicalStartTime: '09:00', typicalEndTime: '15:00', activities: [{ id: 'vbs' }] }),
+          };
+        },
+      }),
+    }));
+  });
+
+  const call = (data, uid = 'admin1') =>
+    editTimeEntry({ data: { entryId: 'entry1', reason: 'Scanner was down', ...data }, auth: { uid } });
+
+  it('should require a reason and an admin', async () => {
+    await expect(call({ reason: ' ' })).rejects.toMatchObject({ code: 'invalid-argument' });
+
+    isAdmin = false;
+    await expect(call({ checkOutTime: '2026-06-15T14:00:00-04:00' }, 'volunteer1'))
+      .rejects.toMatchObject({ code: 'permission-denied' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should refuse entries from another organization', async () => {
+    entry.organizationId = 'org2';
+
+    await expect(call({ checkOutTime: '2026-06-15T14:00:00-04:00' })).rejects.toMatchObject({ code: 'permission-denied' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should reject check-outs before check-in, unchanged times and locked days', async () => {
+    await expect(call({ checkOutTime: '2026-06-15T08:00:00-04:00' })).rejects.toMatchObject({ code: 'invalid-argument' });
+    await expect(call({ checkInTime: '2026-06-15T09:00:00-04:00' })).rejects.toThrow('No changes detected');
+
+    lockedDates = ['2026-06-15'];
+    await expect(call({ checkOutTime: '2026-06-15T14:00:00-04:00' })).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should recompute hours and flags and send the entry back to review', async () => {
+    const result = await call({ checkOutTime: '2026-06-15T16:00:00-04:00' });
+
+    expect(result).toEqual(expect.objectContaining({ success: true, hoursWorked: 7, flags: ['forced_checkout', 'late_stay'] }));
+    expect(mockBatchUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'entry1' }), expect.objectContaining({
+      hoursWorked: 7,
+      rawMinutes: 420,
+      flags: ['forced_checkout', 'late_stay'],
+      reviewStatus: 'flagged',
+      modifiedBy: 'admin1',
+      changeLog: [expect.objectContaining({
+        type: 'edit',
+        modifiedBy: 'admin1',
+        oldCheckOutTime: new Date('2026-06-15T15:00:00-04:00').toISOString(),
+        newCheckOutTime: new Date('2026-06-15T16:00:00-04:00').toISOString(),
+        reason: 'Scanner was down',
+        description: 'Changed Check-Out from 3:00 PM to 4:00 PM. Reason: Scanner was down',
+      })],
+    }));
+  });
+
+  it('should record the change in the audit log', async () => {
+    await call({ checkInTime: '2026-06-15T10:00:00-04:00' });
+
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'audit1' }), expect.objectContaining({
+      action: 'time_entry_edit',
+      targetType: 'timeEntry',
+      targetId: 'entry1',
+      performedBy: 'admin1',
+      performedAt: 'now',
+      organizationId: 'org1',
+      eventId: 'event1',
+      studentId: 'student1',
+      details: expect.objectContaining({
+        reason: 'Scanner was down',
+        before: expect.objectContaining({ hoursWorked: 6 }),
+        after: expect.objectContaining({ hoursWorked: 5 }),
+      }),
+    }));
+    expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should reopen an entry when the check-out is cleared', async () => {
+    await call({ checkOutTime: null });
+
+    expect(mockBatchUpdate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      checkOutTime: null,
+      hoursWorked: null,
+      rawMinutes: null,
+    }));
+  });
+
+  it('should mark an entry edited past midnight as overnight on its check-in date', async () => {
+    const result = await call({ checkOutTime: '2026-06-16T01:00:00-04:00' });
+
+    expect(result.flags).toEqual(['forced_checkout', 'overnight']);
+    expect(mockBatchUpdate).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      date: '2026-06-15',
+      spanDates: ['2026-06-15', '2026-06-16'],
+      hoursWorked: 16,
+    }));
+  });
+
+  it('should refuse to edit voided entries', async () => {
+    entry.isVoided = true;
+
+    await expect(call({ checkOutTime: '2026-06-15T14:00:00-04:00' })).rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+});
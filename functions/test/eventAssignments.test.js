@@ -0,0 +1,101 @@
+/**
+ * Tests for shared per-event role assignment rules
+ */
+import {
+  canForceCheckOut,
+  canScanActivity,
+  canViewEvent,
+  describeEventAssignment,
+  getEventAssignmentsError,
+  getScanAccessError,
+  normalizeEventAssignments,
+} from '../src/shared/eventAssignments.js';
+
+const volunteer = (eventAssignments) => ({ role: 'adult_volunteer', eventAssignments });
+
+describe('getScanAccessError', () => {
+  it('should not restrict admins or volunteers without assignments', () => {
+    expect(getScanAccessError({ role: 'admin', eventAssignments: {} }, 'event1', 'act1')).toBeNull();
+    expect(getScanAccessError({ role: 'adult_volunteer' }, 'event1', 'act1')).toBeNull();
+  });
+
+  it('should limit volunteers to their assigned events and activities', () => {
+    const profile = volunteer({
+      event1: { role: 'scanner', activityIds: [] },
+      event2: { role: 'scanner', activityIds: ['act1'] },
+      event3: { role: 'station_lead', activityIds: ['act2'] },
+      event4: { role: 'school_coordinator', activityIds: [] },
+    });
+
+    expect(getScanAccessError(profile, 'event1', 'any')).toBeNull();
+    expect(getScanAccessError(profile, 'event2', 'act1')).toBeNull();
+    expect(getScanAccessError(profile, 'event2', 'act2')).toBe('You are not assigned to this activity');
+    expect(getScanAccessError(profile, 'event3', 'act2')).toBeNull();
+    expect(getScanAccessError(profile, 'event4', 'act1')).toBe('School coordinators have read-only access');
+    expect(getScanAccessError(profile, 'event5', 'act1')).toBe('You are not assigned to this event');
+    expect(getScanAccessError(volunteer({}), 'event1', 'act1')).toBe('You are not assigned to this event');
+    expect(canScanActivity(profile, 'event3', 'act1')).toBe(false);
+  });
+});
+
+describe('canViewEvent', () => {
+  it('should show assigned events, including read-only ones', () => {
+    const profile = volunteer({ event1: { role: 'school_coordinator', activityIds: [] } });
+    expect(canViewEvent(profile, 'event1')).toBe(true);
+    expect(canViewEvent(profile, 'event2')).toBe(false);
+    expect(canViewEvent({ role: 'adult_volunteer' }, 'event2')).toBe(true);
+  });
+});
+
+describe('canForceCheckOut', () => {
+  it('should allow admins and station leads of the activity', () => {
+    const profile = volunteer({
+      event1: { role: 'station_lead', activityIds: ['act1'] },
+      event2: { role: 'scanner', activityIds: ['act1'] },
+    });
+    expect(canForceCheckOut({ role: 'admin' }, 'event1', 'act2')).toBe(true);
+    expect(canForceCheckOut(profile, 'event1', 'act1')).toBe(true);
+    expect(canForceCheckOut(profile, 'event1', 'act2')).toBe(false);
+    expect(canForceCheckOut(profile, 'event2', 'act1')).toBe(false);
+    expect(canForceCheckOut({ role: 'adult_volunteer' }, 'event1', 'act1')).toBe(false);
+  });
+});
+
+describe('normalizeEventAssignments', () => {
+  it('should key assignments by event and clean activity lists', () => {
+    expect(normalizeEventAssignments([
+      { eventId: ' event1 ', role: 'scanner', activityIds: ['act1', ' act1', ''] },
+      { eventId: 'event2', role: 'school_coordinator', activityIds: ['act1'] },
+      { eventId: '', role: 'scanner' },
+    ], 'org1')).toEqual({
+      event1: { role: 'scanner', activityIds: ['act1'], organizationId: 'org1' },
+      event2: { role: 'school_coordinator', activityIds: [], organizationId: 'org1' },
+    });
+    expect(normalizeEventAssignments(undefined, 'org1')).toEqual({});
+  });
+});
+
+describe('getEventAssignmentsError', () => {
+  const events = {
+    event1: { name: 'VBS 2026', activities: [{ id: 'act1', name: 'Crafts' }] },
+  };
+
+  it('should check roles, station lead activities and activity IDs', () => {
+    expect(getEventAssignmentsError({ event1: { role: 'boss', activityIds: [] } }, events))
+      .toBe('VBS 2026: role must be one of scanner, station_lead, school_coordinator');
+    expect(getEventAssignmentsError({ event1: { role: 'station_lead', activityIds: [] } }, events))
+      .toBe('VBS 2026: choose the activities this station lead runs');
+    expect(getEventAssignmentsError({ event1: { role: 'scanner', activityIds: ['act9'] } }, events))
+      .toBe('VBS 2026: activity act9 does not exist');
+    expect(getEventAssignmentsError({ event1: { role: 'station_lead', activityIds: ['act1'] } }, events)).toBeNull();
+  });
+});
+
+describe('describeEventAssignment', () => {
+  it('should name the role, event and activities', () => {
+    const event = { name: 'VBS 2026', activities: [{ id: 'act1', name: 'Crafts' }] };
+    expect(describeEventAssignment({ role: 'station_lead', activityIds: ['act1'] }, event))
+      .toBe('Station Lead: VBS 2026 (Crafts)');
+    expect(describeEventAssignment({ role: 'scanner', activityIds: [] }, event)).toBe('Scanner: VBS 2026');
+  });
+});
@@ -0,0 +1,451 @@
+/**
+ * Tests for generateForms Cloud Function
+ */
+import { jest } from '@jest/globals';
+import { PDFDocument, PDFName } from 'pdf-lib';
+import JSZip from 'jszip';
+
+const makeTimestamp = (iso) => ({
+  seconds: Math.floor(new Date(iso).getTime() / 1000),
+  toDate: () => new Date(iso),
+  toMillis: () => new Date(iso).getTime(),
+});
+
+const mockCollection = jest.fn();
+const mockBatchSet = jest.fn().mockResolvedValue(undefined);
+const mockEntryBatchUpdate = jest.fn();
+const mockEntryBatchCommit = jest.fn().mockResolvedValue(undefined);
+const mockFileSave = jest.fn().mockResolvedValue(undefined);
+const mockFileDownload = jest.fn();
+const mockBucketFile = jest.fn(() => ({
+  save: mockFileSave,
+  download: mockFileDownload,
+}));
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ update: mockEntryBatchUpdate, commit: mockEntryBatchCommit }),
+  }),
+  Timestamp: {
+    now: jest.fn(() => makeTimestamp('2026-06-19T16:00:00Z')),
+    fromDate: jest.fn((date) => makeTimestamp(date.toISOString())),
+  },
+}));
+
+jest.unstable_mockModule('firebase-admin/storage', () => ({
+  getStorage: () => ({
+    bucket: () => ({ file: mockBucketFile }),
+  }),
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+const students = {
+  student1: { organizationId: 'org1', firstName: 'Jane', lastName: 'Smith', schoolName: 'Bishop Moore' },
+  student2: { organizationId: 'org1', firstName: 'John', lastName: 'Doe', schoolName: 'Unknown Academy' },
+  student3: { organizationId: 'org2', firstName: 'Ann', lastName: 'Other', schoolName: 'Bishop Moore' },
+};
+
+const templates = [
+  {
+    id: 'bishop',
+    name: 'Bishop Moore',
+    storagePath: 'pdfTemplates/bishop.pdf',
+    fields: [
+      { fieldKey: 'studentName', xPercent: 10, yPercent: 10, page: 0 },
+      { fieldKey: 'totalHours', xPercent: 10, yPercent: 20, page: 0 },
+    ],
+  },
+];
+
+const entries = [
+  {
+    id: 'entry1',
+    studentId: 'student1',
+    eventId: 'event1',
+    activityId: 'vbs',
+    checkInTime: makeTimestamp('2026-06-15T13:00:00Z'),
+    checkOutTime: makeTimestamp('2026-06-15T16:00:00Z'),
+    isVoided: false,
+    reviewStatus: 'approved',
+  },
+  {
+    id: 'entry2',
+    studentId: 'student1',
+    eventId: 'event1',
+    activityId: 'vbs',
+    checkInTime: makeTimestamp('2026-06-16T13:00:00Z'),
+    checkOutTime: makeTimestamp('2026-06-16T16:00:00Z'),
+    isVoided: true,
+    reviewStatus: 'approved',
+  },
+  {
+    id: 'entry4',
+    studentId: 'student1',
+    eventId: 'event1',
+    activityId: 'vbs',
+    checkInTime: makeTimestamp('2026-06-17T13:00:00Z'),
+    checkOutTime: makeTimestamp('2026-06-17T15:00:00Z'),
+    isVoided: false,
+    reviewStatus: 'pending',
+  },
+  {
+    id: 'entry5',
+    studentId: 'student1',
+    eventId: 'event1',
+    activityId: 'vbs',
+    date: '2026-06-19',
+    checkInTime: makeTimestamp('2026-06-19T13:00:00Z'),
+    checkOutTime: null,
+    isVoided: false,
+    reviewStatus: 'pending',
+  },
+  {
+    id: 'entry3',
+    studentId: 'student2',
+    eventId: 'event1',
+    activityId: 'vbs',
+    checkInTime: makeTimestamp('2026-06-15T13:00:00Z'),
+    checkOutTime: makeTimestamp('2026-06-15T15:00:00Z'),
+    isVoided: false,
+    reviewStatus: 'approved',
+  },
+];
+
+let adminExists;
+let defaultTemplateId;
+let imageAssets;
+let eventOrganizationId;
+
+function snapshotOf(items) {
+  return {
+    empty: items.length === 0,
+    docs: items.map(({ id, ...data }) => ({ id, exists: true, data: () => data })),
+  };
+}
+
+describe('generateForms Cloud Function', () => {
+  let generateForms;
+  let templateBytes;
+
+  beforeAll(async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([612, 792]);
+    templateBytes = Buffer.from(await doc.save());
+
+    const module = await import('../src/generateForms.js');
+    generateForms = module.generateForms;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adminExists = true;
+    defaultTemplateId = null;
+    eventOrganizationId = 'org1';
+    imageAssets = [];
+    mockFileDownload.mockResolvedValue([templateBytes]);
+
+    mockCollection.mockImplementation((name) => {
+      if (name === 'admins') {
+        return {
+          doc: () => ({ get: async () => ({ exists: adminExists, data: () => ({ organizationIds: ['org1'] }) }) }),
+        };
+      }
+      if (name === 'events') {
+        return {
+          doc: (id) => ({
+            get: async () => ({
+              exists: id === 'event1',
+              data: () => ({
+                organizationId: eventOrganizationId,
+                name: 'VBS 2026',
+                activities: [{ id: 'vbs', name: 'VBS Week' }],
+              }),
+            }),
+          }),
+        };
+      }
+      if (name === 'timeEntries') {
+        return {
+          where: () => ({ get: async () => snapshotOf(entries) }),
+          doc: (id) => ({ id }),
+        };
+      }
+      if (name === 'eventStudents') {
+        return {
+          where: () => ({ get: async () => snapshotOf([{ id: 'roster1', studentId: 'student1' }]) }),
+        };
+      }
+      if (name === 'students') {
+        return {
+          doc: (id) => ({
+            get: async () => ({ id, exists: Boolean(students[id]), data: () => students[id] }),
+          }),
+        };
+      }
+      if (name === 'pdfTemplates') {
+        return { where: () => ({ get: async () => snapshotOf(templates) }) };
+      }
+      if (name === 'organizations') {
+        return {
+          doc: () => ({
+            get: async () => ({ exists: true, data: () => ({ name: 'Faith Church', defaultPdfTemplateId: defaultTemplateId }) }),
+          }),
+        };
+      }
+      if (name === 'generatedForms') {
+        return { doc: () => ({ id: 'batch1', set: mockBatchSet }) };
+      }
+      if (name === 'pdfImages') {
+        return { where: () => ({ get: async () => snapshotOf(imageAssets) }) };
+      }
+      return {};
+    });
+  });
+
+  describe('validation', () => {
+    it('should require eventId', async () => {
+      await expect(generateForms({ data: {}, auth: { uid: 'admin1' } }))
+        .rejects.toThrow('Missing required field: eventId');
+    });
+
+    it('should reject unknown output types', async () => {
+      await expect(generateForms({ data: { eventId: 'event1', output: 'docx' }, auth: { uid: 'admin1' } }))
+        .rejects.toThrow('Invalid output');
+    });
+
+    it('should require authentication', async () => {
+      await expect(generateForms({ data: { eventId: 'event1' } }))
+        .rejects.toThrow('Must be authenticated to generate forms');
+    });
+
+    it('should require an admin caller', async () => {
+      adminExists = false;
+      await expect(generateForms({ data: { eventId: 'event1' }, auth: { uid: 'volunteer1' } }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should throw when the event does not exist', async () => {
+      await expect(generateForms({ data: { eventId: 'missing' }, auth: { uid: 'admin1' } }))
+        .rejects.toThrow('Event not found');
+    });
+
+    it('should reject events of another organization', async () => {
+      eventOrganizationId = 'org2';
+      await expect(generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } }))
+        .rejects.toThrow('You do not have access to this organization');
+    });
+  });
+
+  describe('generation', () => {
+    it('should generate forms for the roster and students with entries', async () => {
+      defaultTemplateId = 'bishop';
+
+      const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(result.success).toBe(true);
+      expect(result.formsGenerated).toBe(2);
+      expect(result.results.map(r => r.studentId)).toEqual(['student2', 'student1']);
+    });
+
+    it('should skip students without a resolvable template', async () => {
+      const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(result.formsGenerated).toBe(1);
+      expect(result.results[0].studentId).toBe('student1');
+      expect(result.skipped).toEqual([
+        { studentId: 'student2', studentName: 'John Doe', reason: 'No PDF template assigned' },
+      ]);
+    });
+
+    it('should exclude voided entries from total hours', async () => {
+      const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(result.results[0].totalHours).toBe(3);
+    });
+
+    it('should count only approved entries and report unapproved ones', async () => {
+      const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(result.results[0].totalHours).toBe(3);
+      expect(result.results[0].unapprovedEntries).toBe(1);
+      expect(result.unapprovedEntries).toBe(1);
+      expect(result.message).toBe('Generated 1 form (1 skipped). 1 unapproved entry was left out');
+    });
+
+    it('should download each template only once', async () => {
+      defaultTemplateId = 'bishop';
+
+      await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(mockFileDownload).toHaveBeenCalledTimes(1);
+    });
+
+    it('should fall back to Helvetica when the template font cannot be downloaded', async () => {
+      defaultTemplateId = 'bishop';
+      templates[0].font = { name: 'Noto Sans', storagePath: 'pdfFonts/noto.ttf' };
+      mockFileDownload
+        .mockResolvedValueOnce([templateBytes])
+        .mockRejectedValueOnce(new Error('No such object'));
+      jest.spyOn(console, 'warn').mockImplementation(() => {});
+
+      try {
+        const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+        expect(result.formsGenerated).toBe(2);
+        expect(mockBucketFile).toHaveBeenCalledWith('pdfFonts/noto.ttf');
+        expect(mockFileDownload).toHaveBeenCalledTimes(2);
+      } finally {
+        delete templates[0].font;
+        console.warn.mockRestore();
+      }
+    });
+
+    it('should skip a student whose form cannot be filled and keep going', async () => {
+      defaultTemplateId = 'broken';
+      templates.push({ id: 'broken', name: 'Broken Form', storagePath: 'pdfTemplates/broken.pdf', fields: templates[0].fields });
+      mockFileDownload
+        .mockResolvedValueOnce([Buffer.from('not a pdf')])
+        .mockResolvedValueOnce([templateBytes]);
+      jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      try {
+        const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+        expect(result.results.map(r => r.studentId)).toEqual(['student1']);
+        expect(result.skipped).toEqual([
+          { studentId: 'student2', studentName: 'John Doe', reason: expect.stringMatching(/^Could not fill template "Broken Form": /) },
+        ]);
+      } finally {
+        templates.pop();
+        console.error.mockRestore();
+      }
+    });
+
+    it('should draw the event\'s signature on forms with an image field', async () => {
+      defaultTemplateId = 'bishop';
+      const signatureField = { id: 'sig', type: 'image', imageKind: 'signature', xPercent: 60, yPercent: 80, widthPercent: 25, heightPercent: 5, page: 0 };
+      templates[0].fields.push(signatureField);
+      imageAssets = [
+        { id: 'img1', organizationId: 'org1', kind: 'signature', scope: 'event', eventId: 'event1', storagePath: 'pdfImages/sig.png' },
+        { id: 'img2', organizationId: 'org1', kind: 'signature', scope: 'event', eventId: 'other', storagePath: 'pdfImages/other.png' },
+      ];
+      const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+      mockFileDownload.mockResolvedValueOnce([png]);
+
+      try {
+        await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+        expect(mockBucketFile).toHaveBeenCalledWith('pdfImages/sig.png');
+        expect(mockBucketFile).not.toHaveBeenCalledWith('pdfImages/other.png');
+        const form = (await PDFDocument.load(mockFileSave.mock.calls[0][0])).getPage(0);
+        expect(form.node.Resources().lookup(PDFName.of('XObject'))).toBeDefined();
+      } finally {
+        templates[0].fields.pop();
+      }
+    });
+
+    it('should save individual PDFs and a merged PDF by default', async () => {
+      defaultTemplateId = 'bishop';
+
+      const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(result.output).toBe('merged');
+      expect(result.bundlePath).toBe('forms/event1/batch1_forms.pdf');
+      expect(mockBucketFile).toHaveBeenCalledWith('forms/event1/batch1_Smith_Jane_service_log.pdf');
+
+      const mergedCall = mockFileSave.mock.calls.at(-1);
+      const merged = await PDFDocument.load(mergedCall[0]);
+      expect(merged.getPageCount()).toBe(2);
+      expect(mergedCall[1]).toEqual({ contentType: 'application/pdf' });
+    });
+
+    it('should bundle individual PDFs into a ZIP when requested', async () => {
+      defaultTemplateId = 'bishop';
+
+      const result = await generateForms({ data: { eventId: 'event1', output: 'zip' }, auth: { uid: 'admin1' } });
+
+      expect(result.bundlePath).toBe('forms/event1/batch1_forms.zip');
+      const zipCall = mockFileSave.mock.calls.at(-1);
+      const zip = await JSZip.loadAsync(zipCall[0]);
+      expect(Object.keys(zip.files).sort()).toEqual([
+        'Doe_John_service_log.pdf',
+        'Smith_Jane_service_log.pdf',
+      ]);
+    });
+
+    it('should only generate forms for requested students', async () => {
+      defaultTemplateId = 'bishop';
+
+      const result = await generateForms({
+        data: { eventId: 'event1', studentIds: ['student2', 'student3'] },
+        auth: { uid: 'admin1' },
+      });
+
+      // student3 belongs to another organization
+      expect(result.results.map(r => r.studentId)).toEqual(['student2']);
+    });
+
+    it('should record the batch in generatedForms', async () => {
+      await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({
+        organizationId: 'org1',
+        eventId: 'event1',
+        output: 'merged',
+        bundlePath: 'forms/event1/batch1_forms.pdf',
+        createdBy: 'admin1',
+      }));
+    });
+
+    it('should leave open entries off the form unless estimating', async () => {
+      const result = await generateForms({ data: { eventId: 'event1' }, auth: { uid: 'admin1' } });
+
+      expect(result.results[0].estimatedEntries).toEqual([]);
+      expect(mockEntryBatchUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should reject unknown estimate methods', async () => {
+      await expect(generateForms({ data: { eventId: 'event1', estimateMethod: 'guess' }, auth: { uid: 'admin1' } }))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('should credit open entries with an estimate and save it on the entry', async () => {
+      const result = await generateForms({
+        data: { eventId: 'event1', estimateMethod: 'average' },
+        auth: { uid: 'admin1' },
+      });
+
+      // 3 approved hours plus the average of completed days (3 and 2 hours)
+      expect(result.results[0]).toEqual(expect.objectContaining({
+        totalHours: 5.5,
+        estimatedHours: 2.5,
+        estimatedEntries: [expect.objectContaining({ entryId: 'entry5', hoursWorked: 2.5, basis: 'average' })],
+      }));
+      expect(result.estimatedForms).toBe(1);
+      expect(result.message).toContain('1 form includes estimated hours');
+
+      expect(mockEntryBatchUpdate).toHaveBeenCalledWith({ id: 'entry5' }, {
+        estimatedCheckOut: expect.objectContaining({ hoursWorked: 2.5, basis: 'average', batchId: 'batch1' }),
+      });
+      expect(mockEntryBatchCommit).toHaveBeenCalledTimes(1);
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ estimateMethod: 'average' }));
+    });
+
+    it('should fail when no form could be generated', async () => {
+      await expect(generateForms({
+        data: { eventId: 'event1', studentIds: ['student2'] },
+        auth: { uid: 'admin1' },
+      })).rejects.toMatchObject({ code: 'failed-precondition' });
+    });
+  });
+});
@@ -0,0 +1,71 @@
+/**
+ * Tests for shared guardian contact rules
+ */
+import {
+  buildGuardianMessage,
+  describeGuardian,
+  getGuardianError,
+  getGuardianRecipients,
+  normalizeGuardians,
+} from '../src/shared/guardians.js';
+
+describe('normalizeGuardians', () => {
+  it('should trim fields and drop empty rows', () => {
+    expect(normalizeGuardians([
+      { name: ' Pat Lee ', email: ' Pat@Example.com ', phone: '', optIn: 'yes' },
+      { name: '', email: '', phone: '  ' },
+    ])).toEqual([{ name: 'Pat Lee', email: 'pat@example.com', phone: '', optIn: true }]);
+    expect(normalizeGuardians(undefined)).toEqual([]);
+  });
+});
+
+describe('getGuardianError', () => {
+  it('should check email, phone and opt-in contact details', () => {
+    expect(getGuardianError([{ name: 'Pat', email: 'pat@', phone: '', optIn: false }]))
+      .toBe('Pat: enter a valid email address');
+    expect(getGuardianError([{ name: 'Pat', email: '', phone: '555-0100', optIn: false }]))
+      .toBe('Pat: enter a phone number with area code');
+    expect(getGuardianError([{ name: 'Pat', email: '', phone: '', optIn: true }]))
+      .toBe('Pat: add an email or phone to send notifications');
+    expect(getGuardianError([{ name: 'Pat', email: 'pat@example.com', phone: '(407) 555-0100', optIn: true }]))
+      .toBeNull();
+  });
+});
+
+describe('getGuardianRecipients', () => {
+  it('should list a message per opted-in guardian and channel', () => {
+    const student = {
+      guardians: [
+        { name: 'Pat Lee', email: 'pat@example.com', phone: '407-555-0100', optIn: true },
+        { name: 'Chris Lee', email: 'chris@example.com', phone: '', optIn: false },
+      ],
+    };
+
+    expect(getGuardianRecipients(student)).toEqual([
+      { guardianName: 'Pat Lee', channel: 'email', to: 'pat@example.com' },
+      { guardianName: 'Pat Lee', channel: 'sms', to: '407-555-0100' },
+    ]);
+    expect(getGuardianRecipients({ firstName: 'Sam' })).toEqual([]);
+  });
+});
+
+describe('guardian display and messages', () => {
+  it('should describe a guardian on one line', () => {
+    expect(describeGuardian({ name: 'Pat Lee', email: 'pat@example.com', phone: '' })).toBe('Pat Lee (pat@example.com)');
+    expect(describeGuardian({ name: '', email: '', phone: '407-555-0100' })).toBe('407-555-0100');
+  });
+
+  it('should word each trigger', () => {
+    const student = { firstName: 'Sam', lastName: 'Lee' };
+    const time = new Date('2026-06-15T09:05:00-04:00');
+
+    expect(buildGuardianMessage({ student, trigger: 'check_in', time, eventName: 'VBS 2026' })).toEqual({
+      subject: 'Sam checked in',
+      body: 'Sam Lee checked in at VBS 2026 at 9:05 AM on Jun 15.',
+    });
+    expect(buildGuardianMessage({ student, trigger: 'check_out', time }).body)
+      .toBe('Sam Lee checked out at 9:05 AM on Jun 15.');
+    expect(buildGuardianMessage({ student, trigger: 'forced_checkout', time, eventName: 'VBS 2026' }).body)
+      .toBe('Sam Lee did not scan out of VBS 2026, so a coordinator recorded a check-out at 9:05 AM on Jun 15.');
+  });
+});
@@ -0,0 +1,79 @@
+/**
+ * Tests for the shared Friday form estimate rules
+ */
+import {
+  DEFAULT_ESTIMATED_HOURS,
+  estimateCheckOut,
+  getAverageDailyHours,
+  getEstimateReconciliation,
+  isOpenEntry,
+} from '../src/shared/hourEstimates.js';
+
+// June dates on the event's default New York clock (EDT)
+const at = (date, time) => new Date(`${date}T${time}:00-04:00`);
+
+describe('hour estimate rules', () => {
+  const event = {
+    typicalEndTime: '15:00',
+    activities: [{ id: 'vbs', endTime: '12:30' }],
+  };
+  const openEntry = { date: '2026-06-19', activityId: 'vbs', checkInTime: at('2026-06-19', '08:45'), checkOutTime: null };
+
+  it('should only treat non-voided entries without a checkout as open', () => {
+    expect(isOpenEntry(openEntry)).toBe(true);
+    expect(isOpenEntry({ ...openEntry, isVoided: true })).toBe(false);
+    expect(isOpenEntry({ ...openEntry, checkOutTime: at('2026-06-19', '12:00') })).toBe(false);
+  });
+
+  it('should average completed days, combining entries on the same date', () => {
+    const average = getAverageDailyHours([
+      { date: '2026-06-15', checkInTime: at('2026-06-15', '09:00'), checkOutTime: at('2026-06-15', '12:00') },
+      { date: '2026-06-15', checkInTime: at('2026-06-15', '13:00'), checkOutTime: at('2026-06-15', '15:00') },
+      { date: '2026-06-16', checkInTime: at('2026-06-16', '09:00'), checkOutTime: at('2026-06-16', '13:00') },
+      { date: '2026-06-17', checkInTime: at('2026-06-17', '09:00'), checkOutTime: at('2026-06-17', '17:00'), isVoided: true },
+      { date: '2026-06-18', checkInTime: at('2026-06-18', '09:00'), checkOutTime: at('2026-06-18', '17:00'), reviewStatus: 'rejected' },
+      openEntry,
+    ]);
+
+    expect(average).toBe(4.5);
+    expect(getAverageDailyHours([openEntry])).toBeNull();
+  });
+
+  it('should estimate from the activity end time on the entry date', () => {
+    const estimate = estimateCheckOut(openEntry, event, 'activity_end', 5);
+
+    expect(estimate.checkOutTime).toEqual(at('2026-06-19', '12:30'));
+    expect(estimate).toEqual(expect.objectContaining({ hoursWorked: 3.75, basis: 'activity_end' }));
+  });
+
+  it('should fall back to the average when the activity already ended at check-in', () => {
+    const lateEntry = { ...openEntry, checkInTime: at('2026-06-19', '13:00') };
+
+    expect(estimateCheckOut(lateEntry, event, 'activity_end', 2.5)).toEqual({
+      checkOutTime: at('2026-06-19', '15:30'),
+      hoursWorked: 2.5,
+      basis: 'average',
+    });
+  });
+
+  it('should assume the default day without history', () => {
+    const estimate = estimateCheckOut(openEntry, event, 'average', null);
+
+    expect(estimate.hoursWorked).toBe(DEFAULT_ESTIMATED_HOURS);
+    expect(estimate.basis).toBe('default');
+  });
+
+  it('should compare the real checkout with the estimate', () => {
+    const estimated = { ...openEntry, estimatedCheckOut: { hoursWorked: 3.75, batchId: 'batch1' } };
+
+    expect(getEstimateReconciliation(openEntry, 4)).toBeNull();
+    expect(getEstimateReconciliation(estimated, 4)).toEqual({
+      batchId: 'batch1',
+      estimatedHours: 3.75,
+      actualHours: 4,
+      difference: 0.25,
+      needsReprint: true,
+    });
+    expect(getEstimateReconciliation(estimated, 3.75).needsReprint).toBe(false);
+  });
+});
@@ -0,0 +1,104 @@
+/**
+ * Tests for shared service-hour goal rules
+ */
+import {
+  getEventDateRange,
+  getFormCreditedHours,
+  getGoalProgress,
+  getHourGoal,
+  getProjectedShortfalls,
+  normalizeHourGoal,
+  projectEventHours,
+} from '../src/shared/hourGoals.js';
+
+const event = {
+  activities: [
+    { id: 'week1', startDate: '2026-06-15', endDate: '2026-06-19' },
+    { id: 'week2', startDate: '2026-06-22', endDate: '2026-06-24' },
+  ],
+};
+
+describe('getHourGoal', () => {
+  it('should prefer the student\'s own goal over their form\'s', () => {
+    const form = { name: 'NJHS Form', hourGoal: 10 };
+    expect(getHourGoal({ hourGoal: '25' }, form)).toEqual({ goalHours: 25, source: 'student', formName: null });
+    expect(getHourGoal({}, form)).toEqual({ goalHours: 10, source: 'form', formName: 'NJHS Form' });
+    expect(getHourGoal({ hourGoal: '' }, null)).toBeNull();
+  });
+
+  it('should ignore blank, negative and oversized goals', () => {
+    expect(normalizeHourGoal('')).toBeNull();
+    expect(normalizeHourGoal(-5)).toBeNull();
+    expect(normalizeHourGoal(5000)).toBeNull();
+    expect(normalizeHourGoal('7.5')).toBe(7.5);
+  });
+});
+
+describe('getFormCreditedHours', () => {
+  const entry = (activityId, extra = {}) => ({
+    activityId,
+    checkInTime: new Date('2026-06-15T13:00:00Z'),
+    checkOutTime: new Date('2026-06-15T16:00:00Z'),
+    reviewStatus: 'approved',
+    ...extra,
+  });
+
+  it('should total approved entries of the event\'s activities plus the override', () => {
+    const entries = [
+      entry('week1'),
+      entry('week2'),
+      entry('week1', { reviewStatus: 'pending' }),
+      entry('week1', { isVoided: true }),
+      entry('week1', { checkOutTime: null }),
+      entry('deleted'),
+    ];
+
+    expect(getFormCreditedHours(entries, { overrideHours: '1.5' }, event)).toBe(7.5);
+    expect(getFormCreditedHours(entries, {}, event)).toBe(6);
+    expect(getFormCreditedHours([], { overrideHours: 2 }, event)).toBe(2);
+  });
+});
+
+describe('getGoalProgress', () => {
+  it('should cap the percentage and report the hours left', () => {
+    expect(getGoalProgress(7.5, { goalHours: 10 })).toEqual({
+      goalHours: 10, totalHours: 7.5, remainingHours: 2.5, percent: 75, reached: false,
+    });
+    expect(getGoalProgress(12, { goalHours: 10 })).toEqual(expect.objectContaining({ percent: 100, remainingHours: 0, reached: true }));
+    expect(getGoalProgress(5, null)).toBeNull();
+  });
+});
+
+describe('projectEventHours', () => {
+  it('should span the event from its activity dates', () => {
+    expect(getEventDateRange(event)).toEqual({ startDate: '2026-06-15', endDate: '2026-06-24' });
+    expect(getEventDateRange({ activities: [{ id: 'general' }] })).toBeNull();
+  });
+
+  it('should extend the pace so far to the last event day', () => {
+    // 2 of 10 days, 4 hours so far
+    expect(projectEventHours(4, event, '2026-06-16')).toBe(20);
+    expect(projectEventHours(4, event, '2026-06-14')).toBeNull();
+    expect(projectEventHours(4, event, '2026-06-30')).toBe(4);
+    expect(projectEventHours(4, {}, '2026-06-16')).toBeNull();
+  });
+});
+
+describe('getProjectedShortfalls', () => {
+  it('should list students on pace to miss their goal, furthest behind first', () => {
+    const rows = [
+      { student: { id: 'onPace' }, totalHours: 4, goal: { goalHours: 20 } },
+      { student: { id: 'behind' }, totalHours: 2, goal: { goalHours: 20 } },
+      { student: { id: 'wayBehind' }, totalHours: 0, goal: { goalHours: 30 } },
+      { student: { id: 'done' }, totalHours: 25, goal: { goalHours: 20 } },
+      { student: { id: 'noGoal' }, totalHours: 0, goal: null },
+    ];
+
+    const shortfalls = getProjectedShortfalls(rows, event, '2026-06-16');
+
+    expect(shortfalls.map(row => [row.student.id, row.projectedHours, row.shortfallHours])).toEqual([
+      ['wayBehind', 0, 30],
+      ['behind', 10, 10],
+    ]);
+  });
+});
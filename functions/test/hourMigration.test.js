@@ -0,0 +1,159 @@
+/**
+ * Tests for recalculateEventHours Cloud Function
+ */
+import { jest } from '@jest/globals';
+
+const toTimestamp = (iso) => {
+  const date = new Date(iso);
+  return { toDate: () => date, toMillis: () => date.getTime() };
+};
+
+const mockCollection = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ update: mockBatchUpdate, commit: mockBatchCommit }),
+  }),
+  Timestamp: { now: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+describe('recalculateEventHours Cloud Function', () => {
+  let recalculateEventHours;
+  let isAdmin;
+  let eventData;
+  let entryDocs;
+  let lockDocs;
+
+  beforeAll(async () => {
+    const module = await import('../src/hourMigration.js');
+    recalculateEventHours = module.recalculateEventHours;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    eventData = { organizationId: 'org1', hourRounding: { increment: 0.5, mode: 'nearest' } };
+    entryDocs = [
+      {
+        ref: { id: 'entry1' },
+        data: () => ({
+          checkInTime: toTimestamp('2026-06-15T09:00:00-04:00'),
+          checkOutTime: toTimestamp('2026-06-15T12:20:00-04:00'),
+          hoursWorked: 3.25,
+          rawMinutes: 200,
+          changeLog: [],
+        }),
+      },
+      {
+        ref: { id: 'entry2' },
+        data: () => ({
+          checkInTime: toTimestamp('2026-06-15T09:00:00-04:00'),
+          checkOutTime: null,
+          hoursWorked: null,
+        }),
+      },
+    ];
+    lockDocs = [];
+
+    mockCollection.mockImplementation((name) => {
+      if (name === 'admins') {
+        return { doc: () => ({ get: async () => ({ exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) }) }) };
+      }
+      if (name === 'events') {
+        return { doc: () => ({ get: async () => ({ exists: Boolean(eventData), data: () => eventData }) }) };
+      }
+      if (name === 'reviewLocks') {
+        return { where: () => ({ get: async () => ({ docs: lockDocs.map(lock => ({ data: () => lock })) }) }) };
+      }
+      return { where: () => ({ get: async () => ({ docs: entryDocs }) }) };
+    });
+  });
+
+  const call = (data = { eventId: 'event1' }) =>
+    recalculateEventHours({ data, auth: { uid: 'admin1' } });
+
+  it('should require an eventId', async () => {
+    await expect(call({})).rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+
+  it('should require authentication', async () => {
+    await expect(recalculateEventHours({ data: { eventId: 'event1' } }))
+      .rejects.toMatchObject({ code: 'unauthenticated' });
+  });
+
+  it('should reject non-admins', async () => {
+    isAdmin = false;
+    await expect(call()).rejects.toMatchObject({ code: 'permission-denied' });
+  });
+
+  it('should reject events of another organization', async () => {
+    eventData = { ...eventData, organizationId: 'org2' };
+    await expect(call()).rejects.toThrow('You do not have access to this organization');
+  });
+
+  it('should return not-found for a missing event', async () => {
+    eventData = null;
+    await expect(call()).rejects.toMatchObject({ code: 'not-found' });
+  });
+
+  it('should recompute completed entries under the event policy', async () => {
+    const result = await call();
+
+    expect(result.updatedCount).toBe(1);
+    expect(mockBatchUpdate).toHaveBeenCalledTimes(1);
+    expect(mockBatchUpdate).toHaveBeenCalledWith(
+      { id: 'entry1' },
+      expect.objectContaining({
+        hoursWorked: 3.5,
+        rawMinutes: 200,
+        hoursPolicyVersion: 1,
+        changeLog: [expect.objectContaining({ type: 'hours_recalculated', oldHoursWorked: 3.25, newHoursWorked: 3.5 })],
+      })
+    );
+    expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+  });
+
+  it('should skip entries already on the current policy', async () => {
+    eventData = { organizationId: 'org1' };
+    entryDocs[0] = {
+      ref: { id: 'entry1' },
+      data: () => ({
+        checkInTime: toTimestamp('2026-06-15T09:00:00-04:00'),
+        checkOutTime: toTimestamp('2026-06-15T12:20:00-04:00'),
+        hoursWorked: 3.25,
+        rawMinutes: 200,
+        hoursPolicyVersion: 1,
+      }),
+    };
+
+    const result = await call();
+
+    expect(result.updatedCount).toBe(0);
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should leave entries on locked days unchanged', async () => {
+    const entry = entryDocs[0].data();
+    entryDocs[0] = { ref: { id: 'entry1' }, data: () => ({ ...entry, date: '2026-06-15' }) };
+    lockDocs = [{ eventId: 'event1', date: '2026-06-15', locked: true }];
+
+    const result = await call();
+
+    expect(result).toMatchObject({ updatedCount: 0, lockedCount: 1 });
+    expect(result.message).toContain('1 on locked days left unchanged');
+    expect(mockBatchUpdate).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Tests for the shared hour rounding and flagging rules
+ */
+import {
+  calculateHours,
+  roundHours,
+  normalizeRoundingPolicy,
+  getCheckInFlags,
+  getCheckOutFlags,
+  getTimeEntryFlags,
+  getEntryHours,
+  DEFAULT_ROUNDING_POLICY,
+} from '../src/shared/hourPolicy.js';
+
+describe('hourPolicy', () => {
+  describe('normalizeRoundingPolicy', () => {
+    it('falls back to the default policy', () => {
+      expect(normalizeRoundingPolicy(undefined)).toEqual(DEFAULT_ROUNDING_POLICY);
+      expect(normalizeRoundingPolicy({ increment: 0.1, mode: 'up' })).toEqual(DEFAULT_ROUNDING_POLICY);
+    });
+
+    it('keeps supported values', () => {
+      expect(normalizeRoundingPolicy({ increment: 0, mode: 'down' })).toEqual({ increment: 0, mode: 'down' });
+    });
+  });
+
+  describe('roundHours', () => {
+    it('rounds to the nearest quarter hour by default', () => {
+      expect(roundHours(6.2167)).toBe(6.25);
+      expect(roundHours(6.1)).toBe(6);
+    });
+
+    it('rounds to the nearest half hour', () => {
+      expect(roundHours(6.2167, { increment: 0.5, mode: 'nearest' })).toBe(6);
+      expect(roundHours(6.3, { increment: 0.5, mode: 'nearest' })).toBe(6.5);
+    });
+
+    it('rounds down to the increment', () => {
+      expect(roundHours(6.49, { increment: 0.25, mode: 'down' })).toBe(6.25);
+      expect(roundHours(6.5, { increment: 0.5, mode: 'down' })).toBe(6.5);
+    });
+
+    it('keeps two decimals when rounding is off', () => {
+      expect(roundHours(373 / 60, { increment: 0, mode: 'nearest' })).toBe(6.22);
+    });
+  });
+
+  describe('calculateHours', () => {
+    const checkIn = new Date('2026-06-15T09:00:00-04:00');
+    const checkOut = new Date('2026-06-15T15:13:00-04:00');
+
+    it('accepts Dates, millis and Timestamp-like values', () => {
+      const expected = { rounded: 6.25, raw: 373 / 60, minutes: 373 };
+      expect(calculateHours(checkIn, checkOut)).toEqual(expected);
+      expect(calculateHours(checkIn.getTime(), checkOut.getTime())).toEqual(expected);
+      expect(calculateHours(
+        { toMillis: () => checkIn.getTime() },
+        { seconds: checkOut.getTime() / 1000 }
+      )).toEqual(expected);
+    });
+
+    it('applies the rounding policy', () => {
+      expect(calculateHours(checkIn, checkOut, { increment: 0.5, mode: 'down' }).rounded).toBe(6);
+    });
+  });
+
+  describe('flags', () => {
+    it('flags early arrivals more than 15 minutes before start', () => {
+      expect(getCheckInFlags(new Date('2026-06-15T08:44:00-04:00'), '09:00', 'America/New_York')).toEqual(['early_arrival']);
+      expect(getCheckInFlags(new Date('2026-06-15T08:45:00-04:00'), '09:00', 'America/New_York')).toEqual([]);
+    });
+
+    it('flags late stays more than 15 minutes after end', () => {
+      expect(getCheckOutFlags(new Date('2026-06-15T15:16:00-04:00'), '15:00', 'America/New_York')).toEqual(['late_stay']);
+      expect(getCheckOutFlags(new Date('2026-06-15T15:15:00-04:00'), '15:00', 'America/New_York')).toEqual([]);
+    });
+
+    it('combines check-in and check-out flags', () => {
+      expect(getTimeEntryFlags(
+        new Date('2026-06-15T08:00:00-04:00'),
+        new Date('2026-06-15T16:00:00-04:00'),
+        '09:00',
+        '15:00',
+        'America/New_York'
+      )).toEqual(['early_arrival', 'late_stay']);
+      expect(getTimeEntryFlags(new Date('2026-06-15T08:00:00-04:00'), null, '09:00', '15:00', 'America/New_York')).toEqual(['early_arrival']);
+    });
+
+    it('reads start and end times on the event\'s wall clock', () => {
+      // 14:30 UTC is 9:30 AM in Chicago and 7:30 AM in Los Angeles
+      const checkIn = new Date('2026-06-15T14:30:00Z');
+      expect(getCheckInFlags(checkIn, '09:00', 'America/Chicago')).toEqual([]);
+      expect(getCheckInFlags(checkIn, '09:00', 'America/Los_Angeles')).toEqual(['early_arrival']);
+      expect(getCheckOutFlags(new Date('2026-06-15T22:10:00Z'), '15:00', 'America/Los_Angeles')).toEqual([]);
+      expect(getCheckOutFlags(new Date('2026-06-15T22:10:00Z'), '15:00', 'America/Denver')).toEqual(['late_stay']);
+    });
+  });
+
+  describe('getEntryHours', () => {
+    it('recomputes from timestamps under the given policy', () => {
+      const entry = {
+        checkInTime: new Date('2026-06-15T09:00:00-04:00'),
+        checkOutTime: new Date('2026-06-15T12:20:00-04:00'),
+        hoursWorked: 3.25,
+      };
+      expect(getEntryHours(entry)).toBe(3.25);
+      expect(getEntryHours(entry, { increment: 0.5, mode: 'nearest' })).toBe(3.5);
+    });
+
+    it('falls back to stored hours without timestamps', () => {
+      expect(getEntryHours({ hoursWorked: 4 })).toBe(4);
+      expect(getEntryHours({})).toBe(0);
+    });
+  });
+});
@@ -0,0 +1,155 @@
+/**
+ * Tests for importRegistrations Cloud Function
+ */
+import { jest } from '@jest/globals';
+
+const mockCollection = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ set: mockBatchSet, update: mockBatchUpdate, commit: mockBatchCommit }),
+  }),
+  Timestamp: { now: jest.fn(() => 'now') },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+const row = (rowNumber, firstName, lastName, schoolName, gradYear) => ({
+  rowNumber,
+  registrationType: 'High School Registrant (current 9th-12th grader)',
+  firstName,
+  lastName,
+  fullName: '',
+  email: '',
+  phone: '',
+  schoolName,
+  gradeLevel: '',
+  gradYear,
+});
+
+describe('importRegistrations Cloud Function', () => {
+  let importRegistrations;
+  let isAdmin;
+  let eventExists;
+  let students;
+  let roster;
+  let newDocCount;
+
+  beforeAll(async () => {
+    const module = await import('../src/importRegistrations.js');
+    importRegistrations = module.importRegistrations;
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    eventExists = true;
+    newDocCount = 0;
+    students = [
+      { id: 'taylor', organizationId: 'org1', firstName: 'Taylor', lastName: 'Reed', schoolName: 'North High', gradYear: '2028' },
+      { id: 'jordan', organizationId: 'org1', firstName: 'Jordan', lastName: 'Park', schoolName: 'South High', gradYear: '2027' },
+      { id: 'casey', organizationId: 'org2', firstName: 'Casey', lastName: 'Nguyen', schoolName: 'North High', gradYear: '2029' },
+    ];
+    roster = [{ eventId: 'event1', studentId: 'jordan' }];
+
+    mockCollection.mockImplementation((name) => ({
+      doc: (id) => {
+        if (name === 'admins') return { get: async () => ({ exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) }) };
+        if (name === 'events') return { get: async () => ({ exists: eventExists, data: () => ({ organizationId: 'org1' }) }) };
+        return { id: id || `${name}-new-${++newDocCount}`, path: `${name}/${id || 'new'}` };
+      },
+      where: (field, op, value) => ({
+        get: async () => (name === 'students'
+          ? { docs: students.filter(student => student.organizationId === value).map(({ id, ...data }) => ({ id, data: () => data })) }
+          : { docs: roster.map(link => ({ data: () => link })) }),
+      }),
+    }));
+  });
+
+  const rows = [
+    row(2, 'Casey', 'Nguyen', 'North High', '2029'),
+    row(3, 'Taylor', 'Reed', 'North High', '2028'),
+    row(4, 'Jordan', 'Park', 'West High', '2027'),
+  ];
+
+  const call = (data) => importRegistrations({ data: { eventId: 'event1', rows, ...data }, auth: { uid: 'admin1' } });
+
+  it('should reject non-admins and unknown events', async () => {
+    isAdmin = false;
+    await expect(call()).rejects.toMatchObject({ code: 'permission-denied' });
+
+    isAdmin = true;
+    eventExists = false;
+    await expect(call()).rejects.toMatchObject({ code: 'not-found' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should reject an empty file', async () => {
+    await expect(call({ rows: [] })).rejects.toMatchObject({ code: 'invalid-argument' });
+  });
+
+  it('should return the plan without writing on a dry run', async () => {
+    const result = await call({ dryRun: true });
+
+    expect(result.dryRun).toBe(true);
+    expect(result.counts).toEqual({ new: 1, updated: 1, unchanged: 1, duplicate: 0, skipped: 0 });
+    expect(result.rosterAdds).toBe(2);
+    expect(mockBatchSet).not.toHaveBeenCalled();
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should create, update and enroll students in one batch', async () => {
+    const result = await call();
+
+    // Casey exists only in another organization, so this one is new
+    expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    expect(mockBatchSet).toHaveBeenCalledWith(
+      expect.objectContaining({ id: 'students-new-1' }),
+      expect.objectContaining({ organizationId: 'org1', firstName: 'Casey', lastName: 'Nguyen', importSource: 'vbs-registration-import' })
+    );
+    expect(mockBatchUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'jordan' }), { schoolName: 'West High' });
+    expect(mockBatchSet).toHaveBeenCalledWith(
+      expect.objectContaining({ path: 'auditLog/new' }),
+      expect.objectContaining({
+        action: 'student_import',
+        targetId: 'jordan',
+        studentId: 'jordan',
+        organizationId: 'org1',
+        performedBy: 'admin1',
+        details: expect.objectContaining({
+          changes: { schoolName: { from: 'South High', to: 'West High' } },
+          description: 'Updated schoolName from registration import',
+        }),
+      })
+    );
+
+    const rosterLinks = mockBatchSet.mock.calls
+      .filter(([ref]) => ref.id.startsWith('eventStudents'))
+      .map(([, link]) => link);
+    expect(rosterLinks).toEqual([
+      expect.objectContaining({ organizationId: 'org1', eventId: 'event1', studentId: 'students-new-1', addedBy: 'admin1', source: 'vbs-registration-import' }),
+      expect.objectContaining({ studentId: 'taylor' }),
+    ]);
+    expect(result.rows[0].studentId).toBe('students-new-1');
+    expect(result.message).toBe('Imported 1 new and 1 updated students; added 2 to the roster');
+  });
+
+  it('should refuse an import larger than one batch', async () => {
+    const bigRows = Array.from({ length: 260 }, (_, index) => row(index + 2, `Student${index}`, 'Bulk', 'North High', '2029'));
+
+    await expect(call({ rows: bigRows })).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+});
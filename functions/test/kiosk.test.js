@@ -0,0 +1,211 @@
+/**
+ * Tests for self-checkout kiosk Cloud Functions
+ * createKioskDevice, getKioskStatus, verifyKioskExitPin
+ */
+import { jest } from '@jest/globals';
+import { createHash, randomBytes, scryptSync } from 'node:crypto';
+
+const hash = (value) => createHash('sha256').update(value).digest('hex');
+const hashPin = (pin, salt = randomBytes(16)) => `${salt.toString('hex')}:${scryptSync(pin, salt, 32).toString('hex')}`;
+
+const mockTimestamp = {
+  now: jest.fn(() => ({ toMillis: () => Date.now() })),
+  fromMillis: jest.fn((ms) => ({ toMillis: () => ms })),
+};
+
+const mockCollection = jest.fn();
+const mockAdd = jest.fn();
+const mockDeviceUpdate = jest.fn().mockResolvedValue(undefined);
+const mockEntryWhere = jest.fn();
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({ collection: mockCollection }),
+  Timestamp: mockTimestamp,
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+describe('kiosk Cloud Functions', () => {
+  let createKioskDevice;
+  let getKioskStatus;
+  let verifyKioskExitPin;
+  let isAdmin;
+  let device;
+  let openEntries;
+
+  beforeAll(async () => {
+    ({ createKioskDevice, getKioskStatus, verifyKioskExitPin } = await import('../src/kiosk.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    device = {
+      eventId: 'event1',
+      activityId: 'general',
+      eventEndDate: null,
+      tokenHash: hash('device-token'),
+      pinHash: hashPin('2468'),
+      pinFailures: 0,
+      pinLockedUntil: null,
+    };
+    const hoursAgo = (hours) => ({ toMillis: () => Date.now() - hours * 60 * 60 * 1000 });
+    openEntries = [
+      { data: () => ({ studentId: 's1', date: '2000-01-01', checkInTime: hoursAgo(1) }) },
+      { data: () => ({ studentId: 's2', date: '2000-01-01', checkInTime: hoursAgo(15) }) }, // Overnight, within 16 hours
+      { data: () => ({ studentId: 's3', date: '2000-01-01', checkInTime: hoursAgo(1), isVoided: true }) },
+      { data: () => ({ studentId: 's4', date: '2000-01-01', checkInTime: hoursAgo(20) }) }, // Past the shift limit
+    ];
+    mockAdd.mockResolvedValue({ id: 'device1' });
+
+    mockCollection.mockImplementation((name) => {
+      if (name === 'admins') {
+        return { doc: () => ({ get: async () => ({ exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) }) }) };
+      }
+      if (name === 'events') {
+        return {
+          doc: () => ({
+            get: async () => ({
+              exists: true,
+              data: () => ({
+                organizationId: 'org1',
+                name: 'VBS 2026',
+                endDate: '2099-06-19',
+                activities: [{ id: 'general', name: 'General' }],
+              }),
+            }),
+          }),
+        };
+      }
+      if (name === 'kioskDevices') {
+        return {
+          add: mockAdd,
+          where: (field, op, value) => ({
+            limit: () => ({
+              get: async () => (value === device.tokenHash
+                ? { empty: false, docs: [{ id: 'device1', ref: { update: mockDeviceUpdate }, data: () => device }] }
+                : { empty: true, docs: [] }),
+            }),
+          }),
+        };
+      }
+      const query = {
+        where: (...args) => {
+          mockEntryWhere(...args);
+          return query;
+        },
+        get: async () => ({ docs: openEntries }),
+      };
+      return query;
+    });
+  });
+
+  describe('createKioskDevice', () => {
+    const call = (data) => createKioskDevice({ data, auth: { uid: 'admin1' } });
+
+    it('should require a 4-8 digit PIN', async () => {
+      await expect(call({ eventId: 'event1', activityId: 'general', pin: '12' }))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('should reject non-admins', async () => {
+      isAdmin = false;
+      await expect(call({ eventId: 'event1', activityId: 'general', pin: '2468' }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should reject an unknown activity', async () => {
+      await expect(call({ eventId: 'event1', activityId: 'crafts', pin: '2468' }))
+        .rejects.toMatchObject({ code: 'not-found' });
+    });
+
+    it('should store only hashes of the token and PIN', async () => {
+      const result = await call({ eventId: 'event1', activityId: 'general', pin: '2468', label: 'Exit door' });
+      const { pinHash } = mockAdd.mock.calls[0][0];
+      const [salt] = pinHash.split(':');
+
+      expect(result).toEqual(expect.objectContaining({ success: true, deviceId: 'device1', token: expect.any(String) }));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        organizationId: 'org1',
+        eventId: 'event1',
+        activityId: 'general',
+        eventEndDate: '2099-06-19',
+        label: 'Exit door',
+        tokenHash: hash(result.token),
+        pinHash: hashPin('2468', Buffer.from(salt, 'hex')),
+        createdBy: 'admin1',
+      }));
+    });
+
+    it('should salt PIN hashes', async () => {
+      await call({ eventId: 'event1', activityId: 'general', pin: '2468' });
+      await call({ eventId: 'event1', activityId: 'general', pin: '2468' });
+
+      const [first, second] = mockAdd.mock.calls.map(([record]) => record.pinHash);
+      expect(first).not.toBe(second);
+      expect(first).not.toContain(hash('2468'));
+    });
+  });
+
+  describe('getKioskStatus', () => {
+    it('should reject an unknown token', async () => {
+      await expect(getKioskStatus({ data: { token: 'stolen' } }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should reject a token after the event has ended', async () => {
+      device.eventEndDate = '2000-01-01';
+      await expect(getKioskStatus({ data: { token: 'device-token' } }))
+        .rejects.toThrow('This kiosk token has expired');
+    });
+
+    it('should return names and the live checked-in count', async () => {
+      const result = await getKioskStatus({ data: { token: 'device-token' } });
+
+      expect(result).toEqual(expect.objectContaining({
+        eventId: 'event1',
+        eventName: 'VBS 2026',
+        activityId: 'general',
+        activityName: 'General',
+        timeZone: 'America/New_York',
+        checkedInCount: 2,
+      }));
+      expect(mockEntryWhere).toHaveBeenCalledWith('activityId', '==', 'general');
+      expect(mockEntryWhere).not.toHaveBeenCalledWith('date', '==', expect.anything());
+    });
+  });
+
+  describe('verifyKioskExitPin', () => {
+    it('should accept the admin PIN', async () => {
+      const result = await verifyKioskExitPin({ data: { token: 'device-token', pin: '2468' } });
+
+      expect(result.success).toBe(true);
+      expect(mockDeviceUpdate).toHaveBeenCalledWith({ pinFailures: 0, pinLockedUntil: null });
+    });
+
+    it('should count incorrect PINs', async () => {
+      await expect(verifyKioskExitPin({ data: { token: 'device-token', pin: '0000' } }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+      expect(mockDeviceUpdate).toHaveBeenCalledWith({ pinFailures: 1, pinLockedUntil: null });
+    });
+
+    it('should lock the PIN after repeated failures', async () => {
+      device.pinFailures = 4;
+      await expect(verifyKioskExitPin({ data: { token: 'device-token', pin: '0000' } }))
+        .rejects.toThrow('Incorrect PIN');
+      expect(mockDeviceUpdate).toHaveBeenCalledWith({ pinFailures: 0, pinLockedUntil: expect.anything() });
+
+      device.pinLockedUntil = { toMillis: () => Date.now() + 60000 };
+      await expect(verifyKioskExitPin({ data: { token: 'device-token', pin: '2468' } }))
+        .rejects.toMatchObject({ code: 'resource-exhausted' });
+    });
+  });
+});
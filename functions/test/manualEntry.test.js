@@ -13,9 +13,17 @@ const mockTimestamp = {
     })),
 };
 
+const mockAdminDoc = {
+    exists: true,
+    data: () => ({
+        organizationIds: ['org1'],
+    }),
+};
+
 const mockStudentDoc = {
     exists: true,
     data: () => ({
+        organizationId: 'org1',
         firstName: 'John',
         lastName: 'Doe',
     }),
@@ -24,6 +32,7 @@ const mockStudentDoc = {
 const mockEventDoc = {
     exists: true,
     data: () => ({
+        organizationId: 'org1',
         name: 'VBS 2026',
     }),
 };
@@ -31,11 +40,13 @@ const mockEventDoc = {
 const mockCollection = jest.fn();
 const mockDoc = jest.fn();
 const mockGet = jest.fn();
-const mockAdd = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
 
 jest.unstable_mockModule('firebase-admin/firestore', () => ({
     getFirestore: () => ({
         collection: mockCollection,
+        batch: () => ({ set: mockBatchSet, commit: mockBatchCommit }),
     }),
     Timestamp: mockTimestamp,
 }));
@@ -63,20 +74,20 @@ describe('createManualTimeEntry Cloud Function', () => {
 
         mockCollection.mockReturnValue({
             doc: mockDoc,
-            add: mockAdd,
         });
 
         mockDoc.mockReturnValue({
+            id: 'newEntryId',
             get: mockGet,
         });
-
-        mockAdd.mockResolvedValue({ id: 'newEntryId' });
     });
 
     it('should create a manual time entry successfully', async () => {
         mockGet
-            .mockResolvedValueOnce(mockStudentDoc)
-            .mockResolvedValueOnce(mockEventDoc);
+            .mockResolvedValueOnce(mockEventDoc)
+            .mockResolvedValueOnce(mockAdminDoc)
+            .mockResolvedValueOnce({ exists: false }) // Review lock
+            .mockResolvedValueOnce(mockStudentDoc);
 
         const request = {
             data: {
@@ -86,7 +97,8 @@ describe('createManualTimeEntry Cloud Function', () => {
                 date: '2026-06-15',
                 startTime: '09:00',
                 endTime: '11:00'
-            }
+            },
+            auth: { uid: 'admin123' }
         };
 
         const result = await createManualTimeEntry(request);
@@ -95,7 +107,8 @@ describe('createManualTimeEntry Cloud Function', () => {
         expect(result.entryId).toBe('newEntryId');
         expect(result.hoursWorked).toBe(2);
 
-        expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'newEntryId' }), expect.objectContaining({
+            organizationId: 'org1',
             studentId: 'student123',
             entry_source: 'manual',
             checkInMethod: 'manual',
@@ -103,6 +116,29 @@ describe('createManualTimeEntry Cloud Function', () => {
             hoursWorked: 2,
             rawMinutes: 120
         }));
+        expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+            action: 'manual_entry',
+            targetId: 'newEntryId',
+            organizationId: 'org1',
+            eventId: 'event123',
+            studentId: 'student123',
+            performedBy: 'admin123'
+        }));
+    });
+
+    it('should require an authenticated admin', async () => {
+        const request = {
+            data: {
+                studentId: 'student123',
+                eventId: 'event123',
+                activityId: 'activity1',
+                date: '2026-06-15',
+                startTime: '09:00',
+                endTime: '11:00'
+            }
+        };
+
+        await expect(createManualTimeEntry(request)).rejects.toThrow('User must be authenticated');
     });
 
     it('should throw error if end time is before start time', async () => {
@@ -131,7 +167,11 @@ describe('createManualTimeEntry Cloud Function', () => {
     });
 
     it('should throw error if student not found', async () => {
-        mockGet.mockResolvedValueOnce({ exists: false }); // Student not found
+        mockGet
+            .mockResolvedValueOnce(mockEventDoc)
+            .mockResolvedValueOnce(mockAdminDoc)
+            .mockResolvedValueOnce({ exists: false }) // Review lock
+            .mockResolvedValueOnce({ exists: false }); // Student not found
 
         const request = {
             data: {
@@ -141,16 +181,15 @@ describe('createManualTimeEntry Cloud Function', () => {
                 date: '2026-06-15',
                 startTime: '09:00',
                 endTime: '11:00'
-            }
+            },
+            auth: { uid: 'admin123' }
         };
 
         await expect(createManualTimeEntry(request)).rejects.toThrow('Student not found');
     });
 
     it('should throw error if event not found', async () => {
-        mockGet
-            .mockResolvedValueOnce(mockStudentDoc)
-            .mockResolvedValueOnce({ exists: false }); // Event not found
+        mockGet.mockResolvedValueOnce({ exists: false }); // Event not found
 
         const request = {
             data: {
@@ -160,9 +199,33 @@ describe('createManualTimeEntry Cloud Function', () => {
                 date: '2026-06-15',
                 startTime: '09:00',
                 endTime: '11:00'
-            }
+            },
+            auth: { uid: 'admin123' }
         };
 
         await expect(createManualTimeEntry(request)).rejects.toThrow('Event not found');
     });
+
+    it('should not add entries for students of another organization', async () => {
+        mockGet
+            .mockResolvedValueOnce(mockEventDoc)
+            .mockResolvedValueOnce(mockAdminDoc)
+            .mockResolvedValueOnce({ exists: false }) // Review lock
+            .mockResolvedValueOnce({ exists: true, data: () => ({ organizationId: 'org2' }) });
+
+        const request = {
+            data: {
+                studentId: 'student123',
+                eventId: 'event123',
+                activityId: 'activity1',
+                date: '2026-06-15',
+                startTime: '09:00',
+                endTime: '11:00'
+            },
+            auth: { uid: 'admin123' }
+        };
+
+        await expect(createManualTimeEntry(request)).rejects.toThrow('Student not found');
+        expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
 });
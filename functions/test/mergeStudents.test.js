@@ -0,0 +1,169 @@
+/**
+ * Tests for mergeStudents Cloud Function and merged-student redirects
+ */
+import { jest } from '@jest/globals';
+
+const mockCollection = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchDelete = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ set: mockBatchSet, update: mockBatchUpdate, delete: mockBatchDelete, commit: mockBatchCommit }),
+  }),
+  Timestamp: { now: jest.fn(() => 'now') },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+const snapshot = (docs) => ({
+  size: docs.length,
+  docs: docs.map(({ id, ...data }) => ({ id, ref: { id }, data: () => data })),
+});
+
+describe('mergeStudents Cloud Function', () => {
+  let mergeStudents;
+  let followStudentRedirect;
+  let isAdmin;
+  let students;
+  let entries;
+  let roster;
+  let locks;
+
+  beforeAll(async () => {
+    ({ mergeStudents, followStudentRedirect } = await import('../src/mergeStudents.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    students = {
+      keep: { organizationId: 'org1', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Oak High', gradYear: '', overrideHours: 2 },
+      dupe: { organizationId: 'org1', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Oak High', gradYear: '2028', overrideHours: 1.5 },
+    };
+    entries = [
+      { id: 'entry1', studentId: 'dupe', changeLog: [] },
+      { id: 'entry2', studentId: 'dupe' },
+    ];
+    roster = [
+      { id: 'r1', eventId: 'event1', studentId: 'keep' },
+      { id: 'r2', eventId: 'event1', studentId: 'dupe' },
+      { id: 'r3', eventId: 'event2', studentId: 'dupe' },
+    ];
+    locks = {};
+
+    mockCollection.mockImplementation((name) => ({
+      doc: (id = 'new') => ({
+        id,
+        get: async () => {
+          if (name === 'admins') return { exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) };
+          if (name === 'reviewLocks') return { exists: Boolean(locks[id]), data: () => locks[id] };
+          return { id, exists: Boolean(students[id]), data: () => students[id] };
+        },
+      }),
+      where: (field, op, value) => ({
+        get: async () => snapshot((name === 'timeEntries' ? entries : roster).filter(doc => doc[field] === value)),
+      }),
+    }));
+  });
+
+  const call = (data = { survivorId: 'keep', duplicateId: 'dupe' }) =>
+    mergeStudents({ data, auth: { uid: 'admin1' } });
+
+  it('should reject non-admins and self-merges', async () => {
+    await expect(call({ survivorId: 'keep', duplicateId: 'keep' })).rejects.toMatchObject({ code: 'invalid-argument' });
+
+    isAdmin = false;
+    await expect(call()).rejects.toMatchObject({ code: 'permission-denied' });
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should refuse records that were already merged', async () => {
+    students.dupe.mergedInto = 'other';
+
+    await expect(call()).rejects.toMatchObject({ code: 'failed-precondition' });
+  });
+
+  it('should only merge students of the admin\'s organization', async () => {
+    students.dupe.organizationId = 'org2';
+    await expect(call()).rejects.toThrow('Only students of the same organization can be merged');
+
+    students.keep.organizationId = 'org2';
+    await expect(call()).rejects.toThrow('You do not have access to this organization');
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  it('should move entries and roster rows, keep a redirect and record an audit entry', async () => {
+    const result = await call();
+
+    expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    expect(result).toEqual(expect.objectContaining({ success: true, entriesMoved: 2, rosterRowsMoved: 1 }));
+
+    expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({
+      studentId: 'keep',
+      changeLog: [expect.objectContaining({ type: 'student_merged', fromStudentId: 'dupe', modifiedBy: 'admin1' })],
+    }));
+    expect(mockBatchDelete).toHaveBeenCalledWith({ id: 'r2' });
+    expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'r3' }, { studentId: 'keep' });
+
+    const updatesFor = (id) => mockBatchUpdate.mock.calls.filter(([ref]) => ref.id === id).map(([, update]) => update);
+    expect(updatesFor('keep')).toEqual([{ overrideHours: 3.5, mergedStudentIds: ['dupe'], gradYear: '2028' }]);
+    expect(updatesFor('dupe')).toEqual([{ mergedInto: 'keep', mergedAt: 'now', mergedBy: 'admin1' }]);
+
+    expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+      action: 'student_merge',
+      targetId: 'keep',
+      organizationId: 'org1',
+      performedBy: 'admin1',
+      details: expect.objectContaining({ duplicateId: 'dupe', entriesMoved: 2, rosterRowsMoved: 1, rosterRowsRemoved: 1 }),
+    }));
+  });
+
+  it('should refuse to move entries off a locked review day', async () => {
+    entries[0] = { ...entries[0], eventId: 'event1', date: '2026-06-15' };
+    locks['event1_2026-06-15'] = { locked: true };
+
+    await expect(call()).rejects.toThrow('Review for 2026-06-15 is locked');
+    expect(mockBatchCommit).not.toHaveBeenCalled();
+  });
+
+  describe('followStudentRedirect', () => {
+    const docFor = (id) => ({ id, exists: true, data: () => students[id] });
+
+    it('should return the scanned student when it was not merged', async () => {
+      const studentDoc = docFor('keep');
+
+      await expect(followStudentRedirect({ collection: mockCollection }, 'keep', studentDoc))
+        .resolves.toEqual({ studentId: 'keep', studentDoc });
+    });
+
+    it('should follow a chain of merges to the survivor', async () => {
+      students.older = { firstName: 'Sarah', mergedInto: 'dupe' };
+      students.dupe.mergedInto = 'keep';
+
+      const result = await followStudentRedirect({ collection: mockCollection }, 'older', docFor('older'));
+
+      expect(result.studentId).toBe('keep');
+      expect(result.studentDoc.data()).toBe(students.keep);
+    });
+
+    it('should refuse redirect loops', async () => {
+      students.keep.mergedInto = 'dupe';
+      students.dupe.mergedInto = 'keep';
+
+      await expect(followStudentRedirect({ collection: mockCollection }, 'keep', docFor('keep')))
+        .rejects.toMatchObject({ code: 'failed-precondition' });
+    });
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Tests for guardian notification delivery and transports
+ */
+import { jest } from '@jest/globals';
+
+const mockSendMail = jest.fn();
+const mockCreateTransport = jest.fn(() => ({ sendMail: mockSendMail }));
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  Timestamp: { now: jest.fn(() => 'now') },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/firestore', () => ({
+  onDocumentCreated: (...args) => args.at(-1),
+}));
+
+jest.unstable_mockModule('nodemailer', () => ({
+  default: { createTransport: mockCreateTransport },
+}));
+
+const makeEvent = (notification) => {
+  const update = jest.fn().mockResolvedValue(undefined);
+  return {
+    update,
+    event: { data: { data: () => notification, ref: { update } } },
+  };
+};
+
+const pendingEmail = {
+  channel: 'email',
+  to: 'pat@example.com',
+  subject: 'Sam checked in',
+  body: 'Sam Lee checked in at 9:00 AM on Jun 15.',
+  status: 'pending',
+  attempts: 0,
+};
+
+describe('deliverNotification trigger', () => {
+  let deliverNotification;
+  let registerTransport;
+
+  beforeAll(async () => {
+    ({ deliverNotification } = await import('../src/notifications.js'));
+    ({ registerTransport } = await import('../src/notificationTransports.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    delete process.env.FUNCTIONS_EMULATOR;
+    delete process.env.NOTIFICATION_EMAIL_TRANSPORT;
+    delete process.env.NOTIFICATION_SMS_TRANSPORT;
+  });
+
+  it('should send through the configured transport and record the result', async () => {
+    const send = jest.fn().mockResolvedValue('msg-1');
+    registerTransport('sms', 'test-sms', send);
+    process.env.NOTIFICATION_SMS_TRANSPORT = 'test-sms';
+    const { event, update } = makeEvent({ ...pendingEmail, channel: 'sms', to: '407-555-0100' });
+
+    await deliverNotification(event);
+
+    expect(send).toHaveBeenCalledWith({
+      to: '407-555-0100',
+      subject: 'Sam checked in',
+      body: 'Sam Lee checked in at 9:00 AM on Jun 15.',
+    });
+    expect(update).toHaveBeenCalledWith({
+      status: 'sent',
+      attempts: 1,
+      transport: 'test-sms',
+      providerMessageId: 'msg-1',
+      error: null,
+      sentAt: 'now',
+    });
+  });
+
+  it('should send email over SMTP', async () => {
+    process.env.NOTIFICATION_EMAIL_TRANSPORT = 'smtp';
+    process.env.SMTP_HOST = 'localhost';
+    process.env.SMTP_PORT = '1025';
+    mockSendMail.mockResolvedValue({ messageId: '<abc@localhost>' });
+    const { event, update } = makeEvent(pendingEmail);
+
+    await deliverNotification(event);
+
+    expect(mockCreateTransport).toHaveBeenCalledWith({ host: 'localhost', port: 1025, secure: false });
+    expect(mockSendMail).toHaveBeenCalledWith(expect.objectContaining({
+      to: 'pat@example.com',
+      subject: 'Sam checked in',
+      text: 'Sam Lee checked in at 9:00 AM on Jun 15.',
+    }));
+    expect(update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'sent',
+      transport: 'smtp',
+      providerMessageId: '<abc@localhost>',
+    }));
+  });
+
+  it('should record failures with the error', async () => {
+    registerTransport('email', 'broken', jest.fn().mockRejectedValue(new Error('Connection refused')));
+    process.env.NOTIFICATION_EMAIL_TRANSPORT = 'broken';
+    const { event, update } = makeEvent({ ...pendingEmail, attempts: 1 });
+
+    await deliverNotification(event);
+
+    expect(update).toHaveBeenCalledWith({
+      status: 'failed',
+      attempts: 2,
+      transport: 'broken',
+      error: 'Connection refused',
+    });
+  });
+
+  it('should skip channels that are turned off', async () => {
+    process.env.NOTIFICATION_EMAIL_TRANSPORT = 'none';
+    const { event, update } = makeEvent(pendingEmail);
+
+    await deliverNotification(event);
+
+    expect(update).toHaveBeenCalledWith({
+      status: 'skipped',
+      error: 'The email channel is turned off',
+    });
+  });
+
+  it('should turn channels off unless a transport is configured', async () => {
+    const { event, update } = makeEvent(pendingEmail);
+
+    await deliverNotification(event);
+
+    expect(update).toHaveBeenCalledWith({
+      status: 'skipped',
+      error: 'The email channel is turned off',
+    });
+  });
+
+  it('should only log messages in the emulator', async () => {
+    const log = jest.spyOn(console, 'log').mockImplementation(() => {});
+    process.env.NOTIFICATION_EMAIL_TRANSPORT = 'console';
+    const deployed = makeEvent(pendingEmail);
+
+    await deliverNotification(deployed.event);
+
+    expect(deployed.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      error: 'The console transport only runs in the emulator',
+    }));
+
+    process.env.FUNCTIONS_EMULATOR = 'true';
+    delete process.env.NOTIFICATION_EMAIL_TRANSPORT;
+    const emulated = makeEvent(pendingEmail);
+
+    await deliverNotification(emulated.event);
+
+    expect(emulated.update).toHaveBeenCalledWith(expect.objectContaining({ status: 'sent', transport: 'console' }));
+    expect(log).toHaveBeenCalledWith(expect.stringContaining('[notification:email] to=pat@example.com'));
+    log.mockRestore();
+  });
+
+  it('should fail on an unknown transport name and ignore sent notifications', async () => {
+    process.env.NOTIFICATION_EMAIL_TRANSPORT = 'sendgrid';
+    const unknown = makeEvent(pendingEmail);
+    const alreadySent = makeEvent({ ...pendingEmail, status: 'sent' });
+
+    await deliverNotification(unknown.event);
+    await deliverNotification(alreadySent.event);
+
+    expect(unknown.update).toHaveBeenCalledWith(expect.objectContaining({
+      status: 'failed',
+      error: 'No email transport named "sendgrid" is registered',
+    }));
+    expect(alreadySent.update).not.toHaveBeenCalled();
+  });
+});
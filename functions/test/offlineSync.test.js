@@ -0,0 +1,30 @@
+/**
+ * Tests for the shared offline sync rules
+ */
+import {
+  getClientScanTimeError,
+  isOfflineScanExpired,
+  MAX_CLOCK_SKEW_MS,
+  OFFLINE_SYNC_WINDOW_MS,
+} from '../src/shared/offlineSync.js';
+
+describe('offline sync rules', () => {
+  const now = new Date('2026-06-15T15:00:00-04:00').getTime();
+
+  it('should accept scan times inside the window', () => {
+    expect(getClientScanTimeError(now - 60 * 60 * 1000, now)).toBeNull();
+    expect(getClientScanTimeError(now + MAX_CLOCK_SKEW_MS, now)).toBeNull();
+    expect(getClientScanTimeError(now - OFFLINE_SYNC_WINDOW_MS, now)).toBeNull();
+  });
+
+  it('should reject non-numeric, future and stale scan times', () => {
+    expect(getClientScanTimeError('2026-06-15', now)).toMatch('epoch milliseconds');
+    expect(getClientScanTimeError(now + MAX_CLOCK_SKEW_MS + 1, now)).toMatch('in the future');
+    expect(getClientScanTimeError(now - OFFLINE_SYNC_WINDOW_MS - 1, now)).toMatch('more than 24 hours old');
+  });
+
+  it('should report expired queued scans', () => {
+    expect(isOfflineScanExpired(now - OFFLINE_SYNC_WINDOW_MS - 1, now)).toBe(true);
+    expect(isOfflineScanExpired(now - 1000, now)).toBe(false);
+  });
+});
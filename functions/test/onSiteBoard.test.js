@@ -0,0 +1,78 @@
+/**
+ * Tests for shared "On Site Now" board rules
+ */
+import {
+  formatElapsed,
+  getElapsedMinutes,
+  groupOnSiteEntries,
+  isOnSite,
+  isPastEndTime,
+} from '../src/shared/onSiteBoard.js';
+
+const event = {
+  timeZone: 'America/Chicago',
+  typicalEndTime: '15:00',
+  activities: [
+    { id: 'vbs', name: 'VBS', endTime: '12:00' },
+    { id: 'crafts', name: 'Crafts' },
+  ],
+};
+
+// 11:00 AM Central
+const now = new Date('2026-06-15T16:00:00Z');
+
+const entry = (id, extra = {}) => ({
+  id,
+  studentId: id,
+  activityId: 'vbs',
+  date: '2026-06-15',
+  checkInTime: new Date('2026-06-15T14:00:00Z'),
+  checkOutTime: null,
+  ...extra,
+});
+
+describe('isOnSite', () => {
+  it('should keep today\'s open entries and overnight shifts inside the limit', () => {
+    expect(isOnSite(entry('a'), event, now)).toBe(true);
+    expect(isOnSite(entry('a', { isVoided: true }), event, now)).toBe(false);
+    expect(isOnSite(entry('a', { checkOutTime: now }), event, now)).toBe(false);
+
+    const lastNight = { date: '2026-06-14', checkInTime: new Date('2026-06-15T02:00:00Z') };
+    expect(isOnSite(entry('a', lastNight), event, now)).toBe(true);
+    expect(isOnSite(entry('a', lastNight), { ...event, maxShiftHours: 8 }, now)).toBe(false);
+  });
+});
+
+describe('groupOnSiteEntries', () => {
+  it('should group open entries by activity in event order, earliest check-in first', () => {
+    const groups = groupOnSiteEntries([
+      entry('late', { checkInTime: new Date('2026-06-15T15:00:00Z') }),
+      entry('early'),
+      entry('gone', { checkOutTime: now }),
+      entry('removed', { activityId: 'old' }),
+    ], event, now);
+
+    expect(groups.map(group => [group.activityId, group.activityName, group.endTime])).toEqual([
+      ['vbs', 'VBS', '12:00'],
+      ['crafts', 'Crafts', '15:00'],
+      ['old', 'old', '15:00'],
+    ]);
+    expect(groups[0].entries.map(e => e.id)).toEqual(['early', 'late']);
+    expect(groups[1].entries).toEqual([]);
+  });
+});
+
+describe('elapsed time and end time', () => {
+  it('should count minutes since check-in and format them for the board', () => {
+    expect(getElapsedMinutes(entry('a').checkInTime, now)).toBe(120);
+    expect(getElapsedMinutes(now, entry('a').checkInTime)).toBe(0);
+    expect(formatElapsed(45)).toBe('45m');
+    expect(formatElapsed(125)).toBe('2h 05m');
+  });
+
+  it('should flag entries past the activity end on the event\'s wall clock', () => {
+    expect(isPastEndTime(entry('a'), '12:00', 'America/Chicago', now)).toBe(false);
+    expect(isPastEndTime(entry('a'), '12:00', 'America/Chicago', new Date('2026-06-15T17:01:00Z'))).toBe(true);
+    expect(isPastEndTime(entry('a'), '10:30', 'America/Chicago', now)).toBe(true);
+  });
+});
@@ -0,0 +1,127 @@
+/**
+ * Tests for organization scoping helpers and createOrganization
+ */
+import { jest } from '@jest/globals';
+
+const mockCollection = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ set: mockBatchSet, update: mockBatchUpdate, commit: mockBatchCommit }),
+  }),
+  Timestamp: { now: jest.fn(() => 'now') },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+describe('organizations', () => {
+  let organizations;
+  let profiles;
+  let events;
+
+  beforeAll(async () => {
+    organizations = await import('../src/organizations.js');
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    profiles = {
+      admins: { admin1: { name: 'Pat', organizationIds: ['org1'] } },
+      users: { volunteer1: { name: 'Sam', organizationIds: ['org2'] } },
+    };
+    events = { event1: { name: 'VBS 2026', organizationId: 'org1' } };
+
+    mockCollection.mockImplementation((name) => ({
+      doc: (id = `${name}-new`) => ({
+        id,
+        path: `${name}/${id}`,
+        get: async () => {
+          const data = name === 'events' ? events[id] : profiles[name]?.[id];
+          return { id, exists: Boolean(data), data: () => data };
+        },
+      }),
+    }));
+  });
+
+  describe('membership helpers', () => {
+    it('should check a profile against an organization', () => {
+      const { assertOrganizationAccess, isOrganizationMember } = organizations;
+
+      expect(isOrganizationMember({ organizationIds: ['org1'] }, 'org1')).toBe(true);
+      expect(isOrganizationMember({ organizationIds: ['org1'] }, undefined)).toBe(false);
+      expect(isOrganizationMember({}, 'org1')).toBe(false);
+      expect(() => assertOrganizationAccess({ organizationIds: ['org1'] }, 'org2'))
+        .toThrow('You do not have access to this organization');
+    });
+
+    it('should load the event and its organization admin', async () => {
+      const db = { collection: mockCollection };
+
+      await expect(organizations.assertEventAdmin(db, { uid: 'admin1' }, 'event1', 'print badges'))
+        .resolves.toEqual({ admin: profiles.admins.admin1, event: events.event1 });
+      await expect(organizations.assertEventAdmin(db, { uid: 'volunteer1' }, 'event1', 'print badges'))
+        .rejects.toThrow('Only admins can print badges');
+      await expect(organizations.assertEventAdmin(db, { uid: 'admin1' }, 'missing', 'print badges'))
+        .rejects.toMatchObject({ code: 'not-found' });
+    });
+
+    it('should accept admins and volunteers of the organization as scanners', async () => {
+      const db = { collection: mockCollection };
+
+      await expect(organizations.assertOrganizationMember(db, { uid: 'volunteer1' }, 'org2'))
+        .resolves.toEqual(profiles.users.volunteer1);
+      await expect(organizations.assertOrganizationMember(db, { uid: 'volunteer1' }, 'org1'))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+      await expect(organizations.assertOrganizationMember(db, { uid: 'stranger' }, 'org1'))
+        .rejects.toThrow('Only admins and adult volunteers can record scans');
+    });
+  });
+
+  describe('createOrganization', () => {
+    it('should require a name and an admin caller', async () => {
+      await expect(organizations.createOrganization({ data: { name: '  ' }, auth: { uid: 'admin1' } }))
+        .rejects.toThrow('Organization name is required');
+      await expect(organizations.createOrganization({ data: { name: 'Grace' }, auth: { uid: 'volunteer1' } }))
+        .rejects.toThrow('Only admins can create organizations');
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
+
+    it('should create the organization and make the caller its admin', async () => {
+      const result = await organizations.createOrganization({
+        data: { name: ' Grace Community Church ' },
+        auth: { uid: 'admin1', token: { name: 'Pat' } },
+      });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, organizationId: 'organizations-new' }));
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'organizations-new' }), expect.objectContaining({
+        name: 'Grace Community Church',
+        schoolTemplateAliases: [],
+        defaultPdfTemplateId: null,
+        createdBy: 'admin1',
+      }));
+      expect(mockBatchUpdate).toHaveBeenCalledWith(expect.objectContaining({ id: 'admin1' }), {
+        organizationIds: ['org1', 'organizations-new'],
+        selectedOrganizationId: 'organizations-new',
+      });
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.objectContaining({ id: 'auditLog-new' }), expect.objectContaining({
+        action: 'organization_create',
+        targetType: 'organization',
+        organizationId: 'organizations-new',
+        performedByName: 'Pat',
+      }));
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    });
+  });
+});
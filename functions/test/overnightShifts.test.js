@@ -0,0 +1,106 @@
+/**
+ * Tests for shared overnight shift rules
+ */
+import {
+  DEFAULT_MAX_SHIFT_HOURS,
+  getCarriedOverEntries,
+  getShiftDays,
+  getShiftPolicy,
+  getSpanDates,
+  isWithinMaxShift,
+  planShiftClose,
+} from '../src/shared/overnightShifts.js';
+
+describe('getShiftPolicy', () => {
+  it('should use the event\'s settings, or the defaults for older and invalid events', () => {
+    expect(getShiftPolicy({ maxShiftHours: 30, overnightPolicy: 'split_at_midnight' }))
+      .toEqual({ maxShiftHours: 30, overnightPolicy: 'split_at_midnight' });
+    expect(getShiftPolicy({ maxShiftHours: 500, overnightPolicy: 'weekly' }))
+      .toEqual({ maxShiftHours: DEFAULT_MAX_SHIFT_HOURS, overnightPolicy: 'check_in_date' });
+    expect(getShiftPolicy(undefined).maxShiftHours).toBe(DEFAULT_MAX_SHIFT_HOURS);
+  });
+});
+
+describe('isWithinMaxShift', () => {
+  it('should allow check-outs up to the limit after check-in', () => {
+    const checkIn = new Date('2026-06-14T22:00:00Z');
+    expect(isWithinMaxShift(checkIn, new Date('2026-06-15T14:00:00Z'), 16)).toBe(true);
+    expect(isWithinMaxShift(checkIn, new Date('2026-06-15T14:01:00Z'), 16)).toBe(false);
+  });
+});
+
+describe('getShiftDays', () => {
+  it('should cut a shift at each midnight on the zone\'s clock', () => {
+    // 7:00 PM to 7:00 AM Pacific
+    const days = getShiftDays(new Date('2026-06-15T02:00:00Z'), new Date('2026-06-15T14:00:00Z'), 'America/Los_Angeles');
+
+    expect(days).toEqual([
+      { date: '2026-06-14', start: new Date('2026-06-15T02:00:00Z'), end: new Date('2026-06-15T07:00:00Z') },
+      { date: '2026-06-15', start: new Date('2026-06-15T07:00:00Z'), end: new Date('2026-06-15T14:00:00Z') },
+    ]);
+  });
+
+  it('should report span dates only for shifts that cross midnight', () => {
+    expect(getSpanDates(new Date('2026-06-15T13:00:00Z'), new Date('2026-06-15T19:00:00Z'), 'America/New_York')).toBeNull();
+    expect(getSpanDates(new Date('2026-06-14T22:00:00Z'), new Date('2026-06-16T05:00:00Z'), 'America/New_York'))
+      .toEqual(['2026-06-14', '2026-06-15', '2026-06-16']);
+    expect(getSpanDates(new Date('2026-06-15T13:00:00Z'), null, 'America/New_York')).toBeNull();
+  });
+});
+
+describe('planShiftClose', () => {
+  // 10:00 PM to 6:15 AM Eastern
+  const checkIn = new Date('2026-06-15T02:00:00Z');
+  const checkOut = new Date('2026-06-15T10:15:00Z');
+
+  it('should keep one segment on the check-in date by default', () => {
+    const { spanDates, segments } = planShiftClose(checkIn, checkOut, {});
+
+    expect(spanDates).toEqual(['2026-06-14', '2026-06-15']);
+    expect(segments).toEqual([
+      { date: '2026-06-14', checkInTime: checkIn, checkOutTime: checkOut, hoursWorked: 8.25, rawMinutes: 495 },
+    ]);
+  });
+
+  it('should round each day separately when splitting at midnight', () => {
+    const { segments } = planShiftClose(checkIn, checkOut, {
+      overnightPolicy: 'split_at_midnight',
+      hourRounding: { increment: 0.5, mode: 'nearest' },
+    });
+
+    expect(segments.map(({ date, hoursWorked, rawMinutes }) => ({ date, hoursWorked, rawMinutes }))).toEqual([
+      { date: '2026-06-14', hoursWorked: 2, rawMinutes: 120 },
+      { date: '2026-06-15', hoursWorked: 6.5, rawMinutes: 375 },
+    ]);
+    expect(segments[0].checkOutTime).toEqual(new Date('2026-06-15T04:00:00Z'));
+  });
+});
+
+describe('getCarriedOverEntries', () => {
+  const event = { maxShiftHours: 16 };
+  const entries = [
+    { id: 'lockin', date: '2026-06-14', checkInTime: new Date('2026-06-15T00:00:00Z'), checkOutTime: null },
+    { id: 'stale', date: '2026-06-13', checkInTime: new Date('2026-06-13T13:00:00Z'), checkOutTime: null },
+    {
+      id: 'attributed',
+      date: '2026-06-14',
+      checkInTime: new Date('2026-06-15T01:00:00Z'),
+      checkOutTime: new Date('2026-06-15T11:00:00Z'),
+      spanDates: ['2026-06-14', '2026-06-15'],
+    },
+    {
+      id: 'split',
+      date: '2026-06-14',
+      checkInTime: new Date('2026-06-15T01:00:00Z'),
+      checkOutTime: new Date('2026-06-15T04:00:00Z'),
+      spanDates: ['2026-06-14', '2026-06-15'],
+      nextSegmentId: 'split-2',
+    },
+    { id: 'today', date: '2026-06-15', checkInTime: new Date('2026-06-15T13:00:00Z'), checkOutTime: null },
+    { id: 'voided', date: '2026-06-14', checkInTime: new Date('2026-06-15T00:00:00Z'), checkOutTime: null, isVoided: true },
+  ];
+
+  it('should show shifts from earlier days that ran into the date', () => {
+    expect(getCarriedOverEntries(entries, '2026-06-15', event).map(entry => entry.id)).toEqual(['lockin', 'attributed']);
+  });
+});
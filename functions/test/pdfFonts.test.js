@@ -0,0 +1,43 @@
+/**
+ * Tests for shared PDF font rules
+ */
+import {
+  getAlignedX,
+  getTextAlign,
+  isFontFileName,
+  replaceUnsupportedCharacters,
+} from '../src/shared/pdfFonts.js';
+
+// Latin-1, roughly what Helvetica's WinAnsi encoding covers
+const latin1 = (codePoint) => codePoint >= 0x20 && codePoint <= 0xff;
+
+describe('replaceUnsupportedCharacters', () => {
+  it('should keep characters the font can draw', () => {
+    expect(replaceUnsupportedCharacters('Zoë Brontë', latin1)).toBe('Zoë Brontë');
+  });
+
+  it('should drop accents the font cannot draw and replace the rest', () => {
+    expect(replaceUnsupportedCharacters('Nguyễn Thị Ánh', latin1)).toBe('Nguyen Thi Ánh');
+    expect(replaceUnsupportedCharacters('Łukasz Đorđević – “Ok”', latin1)).toBe('Lukasz Dordevic - "Ok"');
+    expect(replaceUnsupportedCharacters('李 😀', latin1)).toBe('? ?');
+    expect(replaceUnsupportedCharacters(null, latin1)).toBe('');
+  });
+});
+
+describe('alignment', () => {
+  it('should anchor text at the field position', () => {
+    expect(getAlignedX(100, 40, 'left')).toBe(100);
+    expect(getAlignedX(100, 40, 'center')).toBe(80);
+    expect(getAlignedX(100, 40, 'right')).toBe(60);
+    expect(getTextAlign({ align: 'justify' })).toBe('left');
+    expect(getTextAlign({ align: 'right' })).toBe('right');
+  });
+});
+
+describe('isFontFileName', () => {
+  it('should accept TrueType and OpenType files', () => {
+    expect(isFontFileName('NotoSans-Regular.TTF')).toBe(true);
+    expect(isFontFileName('Inter.otf')).toBe(true);
+    expect(isFontFileName('Inter.woff2')).toBe(false);
+  });
+});
@@ -0,0 +1,146 @@
+/**
+ * Tests for shared PDF image rules and the getPdfImage Cloud Function
+ */
+import { jest } from '@jest/globals';
+import {
+  fitImageBox,
+  getEventImageAssets,
+  getImageFormat,
+  resolveImageAsset,
+} from '../src/shared/pdfImages.js';
+
+const mockCollection = jest.fn();
+const mockBucketFile = jest.fn();
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({ collection: mockCollection }),
+  Timestamp: { now: jest.fn() },
+}));
+
+jest.unstable_mockModule('firebase-admin/storage', () => ({
+  getStorage: () => ({ bucket: () => ({ file: mockBucketFile }) }),
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+const event = { id: 'vbs', contactName: 'Pastor  Mike Jones' };
+const signature = { imageKind: 'signature' };
+const asset = (id, data) => ({ id, kind: 'signature', storagePath: `pdfImages/${id}.png`, ...data });
+
+describe('resolveImageAsset', () => {
+  it('should prefer the event\'s image over its supervisor\'s', () => {
+    const supervisor = asset('mike', { scope: 'supervisor', supervisorName: 'pastor mike jones' });
+    const forEvent = asset('vbs', { scope: 'event', eventId: 'vbs' });
+    const otherEvent = asset('camp', { scope: 'event', eventId: 'camp' });
+
+    expect(resolveImageAsset(signature, [supervisor, otherEvent, forEvent], event)).toBe(forEvent);
+    expect(resolveImageAsset(signature, [supervisor, otherEvent], event)).toBe(supervisor);
+    expect(resolveImageAsset({ imageKind: 'stamp' }, [supervisor], event)).toBeNull();
+    expect(resolveImageAsset(signature, [supervisor], { id: 'camp' })).toBeNull();
+  });
+
+  it('should use the newest upload when there are several', () => {
+    const older = asset('old', { scope: 'event', eventId: 'vbs', createdAt: { seconds: 100 } });
+    const newer = asset('new', { scope: 'event', eventId: 'vbs', createdAt: { seconds: 200 } });
+
+    expect(resolveImageAsset(signature, [older, newer], event)).toBe(newer);
+  });
+
+  it('should list only images an event can use', () => {
+    const assets = [
+      asset('vbs', { scope: 'event', eventId: 'vbs' }),
+      asset('camp', { scope: 'event', eventId: 'camp' }),
+      asset('mike', { scope: 'supervisor', supervisorName: 'Pastor Mike Jones' }),
+    ];
+
+    expect(getEventImageAssets(assets, event).map(item => item.id)).toEqual(['vbs', 'mike']);
+  });
+});
+
+describe('getImageFormat', () => {
+  it('should read the file signature', () => {
+    expect(getImageFormat(new Uint8Array([0x89, 0x50, 0x4e, 0x47, 0x0d]))).toBe('png');
+    expect(getImageFormat(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]).buffer)).toBe('jpg');
+    expect(getImageFormat(new Uint8Array([0x47, 0x49, 0x46]))).toBeNull();
+  });
+});
+
+describe('fitImageBox', () => {
+  const page = { width: 600, height: 800 };
+
+  it('should fit a wide image to the box width on the box\'s bottom edge', () => {
+    const field = { xPercent: 10, yPercent: 50, widthPercent: 50, heightPercent: 10 };
+
+    expect(fitImageBox(field, { width: 600, height: 100 }, page)).toEqual({ x: 60, y: 320, width: 300, height: 50 });
+  });
+
+  it('should fit a tall image to the box height', () => {
+    const field = { xPercent: 0, yPercent: 0, widthPercent: 50, heightPercent: 10 };
+
+    expect(fitImageBox(field, { width: 100, height: 200 }, page)).toEqual({ x: 0, y: 720, width: 40, height: 80 });
+  });
+});
+
+describe('getPdfImage Cloud Function', () => {
+  const png = Buffer.from('iVBORw0KGgoAAAANSUhEUgAAAAEAAAABCAYAAAAfFcSJAAAADUlEQVR42mNk+M9QDwADhgGAWjR9awAAAABJRU5ErkJggg==', 'base64');
+  let getPdfImage;
+  let images;
+  let adminOrganizationIds;
+
+  beforeAll(async () => {
+    ({ getPdfImage } = await import('../src/pdfImages.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    adminOrganizationIds = ['org1'];
+    images = {
+      sig: { organizationId: 'org1', kind: 'signature', storagePath: 'pdfImages/org1/1_sig.png' },
+    };
+    mockBucketFile.mockReturnValue({ download: async () => [png] });
+    mockCollection.mockImplementation((name) => ({
+      doc: (id) => ({
+        get: async () => (name === 'admins'
+          ? { exists: Boolean(adminOrganizationIds), data: () => ({ organizationIds: adminOrganizationIds }) }
+          : { exists: Boolean(images[id]), data: () => images[id] }),
+      }),
+    }));
+  });
+
+  const call = (imageId = 'sig') => getPdfImage({ data: { imageId }, auth: { uid: 'admin1' } });
+
+  it('should return the image file to admins of its organization', async () => {
+    await expect(call()).resolves.toEqual({ contentType: 'image/png', data: png.toString('base64') });
+    expect(mockBucketFile).toHaveBeenCalledWith('pdfImages/org1/1_sig.png');
+  });
+
+  it('should refuse signed-out callers, volunteers and other organizations', async () => {
+    await expect(getPdfImage({ data: { imageId: 'sig' } })).rejects.toMatchObject({ code: 'unauthenticated' });
+
+    adminOrganizationIds = null;
+    await expect(call()).rejects.toMatchObject({ code: 'permission-denied' });
+
+    adminOrganizationIds = ['org2'];
+    await expect(call()).rejects.toThrow('You do not have access to this organization');
+    expect(mockBucketFile).not.toHaveBeenCalled();
+  });
+
+  it('should not read files outside the image\'s organization folder', async () => {
+    images.sig.storagePath = 'pdfImages/org2/1_sig.png';
+
+    await expect(call()).rejects.toMatchObject({ code: 'failed-precondition' });
+    expect(mockBucketFile).not.toHaveBeenCalled();
+  });
+
+  it('should return not-found for unknown images', async () => {
+    await expect(call('missing')).rejects.toMatchObject({ code: 'not-found' });
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for shared PDF table overflow rules
+ */
+import {
+  findOverflowingStudents,
+  getOverflowPolicy,
+  getTableRowCounts,
+  layoutAddendumPages,
+  planTableOverflow,
+} from '../src/shared/pdfOverflow.js';
+
+const activityTable = { id: 'at', type: 'activityTable', page: 0, maxRows: 2, columns: [] };
+const detailTable = { id: 'dt', type: 'detailTable', page: 1, maxRows: 3, columns: [] };
+const rows = (count) => Array.from({ length: count }, (_, index) => ({ id: `r${index + 1}` }));
+const ids = (list) => list.map((row) => row.id);
+
+describe('getOverflowPolicy', () => {
+  it('should default to truncating on the first page', () => {
+    expect(getOverflowPolicy()).toEqual({ strategy: 'truncate', continuationPage: 0 });
+    expect(getOverflowPolicy({ strategy: 'shrink', continuationPage: -1 })).toEqual({ strategy: 'truncate', continuationPage: 0 });
+    expect(getOverflowPolicy({ strategy: 'continuation', continuationPage: 1 })).toEqual({ strategy: 'continuation', continuationPage: 1 });
+  });
+});
+
+describe('planTableOverflow', () => {
+  const tableRows = { activityTable: rows(5), detailTable: rows(4) };
+
+  it('should count dropped rows when truncating', () => {
+    const plan = planTableOverflow([activityTable, detailTable], tableRows, undefined, 2);
+
+    expect(ids(plan.formRows.get(activityTable))).toEqual(['r1', 'r2']);
+    expect(ids(plan.formRows.get(detailTable))).toEqual(['r1', 'r2', 'r3']);
+    expect(plan.continuationPages).toEqual([]);
+    expect(plan.addendum).toEqual([]);
+    expect(plan.droppedRows).toBe(4);
+  });
+
+  it('should continue tables on the chosen page and send the rest to the addendum', () => {
+    const plan = planTableOverflow([activityTable, detailTable], tableRows, { strategy: 'continuation', continuationPage: 0 }, 2);
+
+    expect(plan.continuationPages.map((page) => ids(page.get(activityTable)))).toEqual([['r3', 'r4'], ['r5']]);
+    expect(plan.addendum.map(({ field, rows: extra }) => [field.id, ids(extra)])).toEqual([['dt', ['r4']]]);
+    expect(plan.droppedRows).toBe(0);
+  });
+
+  it('should put every extra row in the addendum when asked or when the page is missing', () => {
+    const addendum = planTableOverflow([activityTable], tableRows, { strategy: 'addendum' }, 1);
+    expect(ids(addendum.addendum[0].rows)).toEqual(['r3', 'r4', 'r5']);
+
+    const missingPage = planTableOverflow([activityTable], tableRows, { strategy: 'continuation', continuationPage: 3 }, 1);
+    expect(missingPage.continuationPages).toEqual([]);
+    expect(missingPage.addendum).toHaveLength(1);
+  });
+});
+
+describe('roster overflow', () => {
+  const event = { activities: [{ id: 'am' }, { id: 'pm' }] };
+  const credited = (studentId, activityId) => ({ studentId, activityId, checkOutTime: new Date(), reviewStatus: 'approved' });
+
+  it('should count activity and detail rows from credited entries', () => {
+    expect(getTableRowCounts([
+      credited('s1', 'am'),
+      credited('s1', 'am'),
+      credited('s1', 'gone'),
+      { ...credited('s1', 'pm'), reviewStatus: 'pending' },
+    ], event)).toEqual({ activityTable: 1, detailTable: 3 });
+  });
+
+  it('should list students whose rows exceed a table, most rows first', () => {
+    const entries = [
+      ...Array.from({ length: 4 }, () => credited('s1', 'am')),
+      ...Array.from({ length: 6 }, () => credited('s2', 'pm')),
+      credited('s3', 'am'),
+    ];
+    const students = [{ id: 's1' }, { id: 's2' }, { id: 's3' }];
+
+    expect(findOverflowingStudents([activityTable, detailTable], students, entries, event)).toEqual([
+      { student: { id: 's2' }, tables: [{ type: 'detailTable', rowCount: 6, maxRows: 3 }] },
+      { student: { id: 's1' }, tables: [{ type: 'detailTable', rowCount: 4, maxRows: 3 }] },
+    ]);
+    expect(findOverflowingStudents([], students, entries, event)).toEqual([]);
+  });
+});
+
+describe('layoutAddendumPages', () => {
+  const measure = (text, size) => text.length * size * 0.5;
+
+  it('should repeat the section heading and column labels on each page', () => {
+    const pages = layoutAddendumPages([
+      { heading: 'Service Entries', columns: ['Date', 'Hours'], rows: Array.from({ length: 60 }, (_, i) => [`6/${i + 1}/2026`, '4.00']) },
+    ], { width: 612, height: 792, title: 'Continued: Jane Smith, VBS 2026', measure });
+
+    expect(pages).toHaveLength(2);
+    const texts = pages.map((ops) => ops.filter((op) => op.type === 'text').map((op) => op.text));
+    expect(texts[0].slice(0, 4)).toEqual(['Continued: Jane Smith, VBS 2026', 'Service Entries', 'Date', 'Hours']);
+    expect(texts[1].slice(0, 4)).toEqual(['Continued: Jane Smith, VBS 2026', 'Service Entries (continued)', 'Date', 'Hours']);
+    expect(texts.flat().filter((text) => text.endsWith('/2026'))).toHaveLength(60);
+    pages.flat().forEach((op) => expect(op.y).toBeGreaterThanOrEqual(36));
+  });
+
+  it('should shorten cells that do not fit their column', () => {
+    const [ops] = layoutAddendumPages([
+      { heading: 'Activities', columns: ['Activity'], rows: [['x'.repeat(400)]] },
+    ], { width: 612, height: 792, title: 'Continued', measure });
+
+    const cell = ops.filter((op) => op.type === 'text').at(-1);
+    expect(cell.text.endsWith('…')).toBe(true);
+    expect(measure(cell.text, cell.size)).toBeLessThanOrEqual(540);
+  });
+});
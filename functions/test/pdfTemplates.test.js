@@ -0,0 +1,223 @@
+/**
+ * Tests for server-side PDF template helpers
+ */
+import { jest } from '@jest/globals';
+import { PDFDocument } from 'pdf-lib';
+import {
+  buildActivityLog,
+  findTemplateForSchool,
+  formatActivityDateRanges,
+  getEffectivePdfTemplate,
+  resolveDetailColumnValue,
+} from '../src/shared/pdfTemplates.js';
+import { addAttestationBlock, generateFilledPdf, mergePdfs } from '../src/pdfTemplates.js';
+
+const makeTimestamp = (iso) => ({
+  toDate: () => new Date(iso),
+  toMillis: () => new Date(iso).getTime(),
+});
+
+describe('template resolution', () => {
+  const templates = [
+    { id: 'ocps', name: 'OCPS Community Service' },
+    { id: 'tfa', name: 'TFA Form', fileName: 'TFA-Community Service Form.pdf' },
+    { id: 'custom', name: 'Custom' },
+  ];
+  const schoolAliases = [
+    { school: ['TFA', 'The First Academy'], template: ['TFA', 'First Academy'] },
+    { school: [], template: ['OCPS', 'Orange County Public Schools'] },
+  ];
+
+  it('should prefer the student override', () => {
+    expect(getEffectivePdfTemplate({ pdfTemplateId: 'custom', schoolName: 'TFA' }, templates).id).toBe('custom');
+  });
+
+  it('should match the organization school rules', () => {
+    expect(findTemplateForSchool('The First Academy', templates, schoolAliases).id).toBe('tfa');
+    expect(findTemplateForSchool('The First Academy', templates)).toBeNull();
+  });
+
+  it('should use the fallback rule for unmatched schools', () => {
+    expect(findTemplateForSchool('West Orange High', templates, schoolAliases).id).toBe('ocps');
+    expect(getEffectivePdfTemplate({ schoolName: 'West Orange High' }, templates, 'custom').id).toBe('custom');
+  });
+
+  it('should use the default template when nothing matches', () => {
+    expect(getEffectivePdfTemplate({}, templates, 'custom').id).toBe('custom');
+  });
+});
+
+describe('formatActivityDateRanges', () => {
+  it('should collapse consecutive dates', () => {
+    expect(formatActivityDateRanges(['2026-06-15', '2026-06-16', '2026-06-17', '2026-06-19']))
+      .toBe('6/15-6/17, 6/19');
+  });
+});
+
+describe('buildActivityLog', () => {
+  it('should total hours per activity', () => {
+    const event = { activities: [{ id: 'am', name: 'Morning' }, { id: 'pm', name: 'Afternoon' }] };
+    const entries = [
+      { activityId: 'am', checkInTime: makeTimestamp('2026-06-15T13:00:00Z'), checkOutTime: makeTimestamp('2026-06-15T16:10:00Z') },
+      { activityId: 'am', checkInTime: makeTimestamp('2026-06-16T13:00:00Z'), checkOutTime: makeTimestamp('2026-06-16T16:00:00Z') },
+    ];
+
+    expect(buildActivityLog(event, entries)).toEqual([
+      { name: 'Morning', dateDisplay: '6/15-6/16', sortDate: '2026-06-15', totalHours: '6.25' },
+    ]);
+  });
+
+  it('should return an empty log without activities', () => {
+    expect(buildActivityLog({}, [{ activityId: 'am' }])).toEqual([]);
+  });
+});
+
+describe('resolveDetailColumnValue', () => {
+  it('should format times in the report time zone', () => {
+    const entry = { checkInTime: makeTimestamp('2026-06-15T13:00:00Z') };
+    expect(resolveDetailColumnValue('detailStartTime', entry)).toBe('9:00 AM');
+  });
+
+  it('should use the event\'s time zone when it has one', () => {
+    const entry = { checkInTime: makeTimestamp('2026-06-16T02:00:00Z'), checkOutTime: makeTimestamp('2026-06-16T04:30:00Z') };
+    const event = { timeZone: 'America/Los_Angeles' };
+    expect(resolveDetailColumnValue('detailDate', entry, event)).toBe('6/15/2026');
+    expect(resolveDetailColumnValue('detailStartTime', entry, event)).toBe('7:00 PM');
+    expect(resolveDetailColumnValue('detailEndTime', entry, event)).toBe('9:30 PM');
+  });
+});
+
+describe('PDF output', () => {
+  let templateBytes;
+
+  beforeAll(async () => {
+    const doc = await PDFDocument.create();
+    doc.addPage([612, 792]);
+    templateBytes = await doc.save();
+  });
+
+  it('should add a signature block to the last page', async () => {
+    const twoPages = await PDFDocument.create();
+    twoPages.addPage([612, 792]);
+    twoPages.addPage([612, 792]);
+    const formBytes = await twoPages.save();
+
+    const signed = await addAttestationBlock(formBytes, {
+      signerName: 'Zoë Jones',
+      signerTitle: 'VBS Director',
+      signedDate: '6/19/2026',
+      totalHours: 3,
+      code: 'ABCD-EFGH-JKLM',
+      verifyUrl: 'https://example.org/hours?verify=ABCD-EFGH-JKLM',
+    });
+
+    const doc = await PDFDocument.load(signed);
+    expect(doc.getPageCount()).toBe(2);
+    expect(signed.byteLength).toBeGreaterThan(formBytes.byteLength);
+  });
+
+  it('should fill a template and produce a loadable PDF', async () => {
+    const bytes = await generateFilledPdf(templateBytes, [
+      { fieldKey: 'studentName', xPercent: 10, yPercent: 10 },
+      { type: 'customStatic', customValue: 'Signed', xPercent: 10, yPercent: 80 },
+      { type: 'activityTable', yPercent: 40, columns: [{ key: 'activityOrg', xPercent: 5 }] },
+      { fieldKey: 'studentName', xPercent: 10, yPercent: 10, page: 4 },
+    ], {
+      student: { firstName: 'Jane', lastName: 'Smith' },
+      activityLog: [{ name: 'VBS', sortDate: '2026-06-15', totalHours: '3.00' }],
+    });
+
+    const doc = await PDFDocument.load(bytes);
+    expect(doc.getPageCount()).toBe(1);
+  });
+
+  it('should append continuation and addendum pages for rows past maxRows', async () => {
+    const entries = Array.from({ length: 14 }, (_, index) => ({
+      activityId: 'vbs',
+      checkInTime: new Date(Date.UTC(2026, 5, 1 + index, 12)),
+      checkOutTime: new Date(Date.UTC(2026, 5, 1 + index, 16)),
+    }));
+    const fields = [
+      { fieldKey: 'studentName', xPercent: 10, yPercent: 10 },
+      { type: 'detailTable', yPercent: 30, maxRows: 10, columns: [{ key: 'detailDate', label: 'Date', xPercent: 5 }] },
+    ];
+    const data = { student: { firstName: 'Jane', lastName: 'Smith' }, timeEntries: entries };
+
+    const pageCount = async (overflow) => (await PDFDocument.load(await generateFilledPdf(templateBytes, fields, data, { overflow }))).getPageCount();
+
+    expect(await pageCount()).toBe(1);
+    expect(await pageCount({ strategy: 'continuation', continuationPage: 0 })).toBe(2);
+    expect(await pageCount({ strategy: 'addendum' })).toBe(2);
+  });
+
+  it('should fill and optionally flatten the PDF\'s own form fields', async () => {
+    const fillable = await PDFDocument.create();
+    const page = fillable.addPage([612, 792]);
+    const form = fillable.getForm();
+    ['Student Name', 'Date1', 'Date2', 'Note'].forEach((name, index) => {
+      form.createTextField(name).addToPage(page, { x: 50, y: 700 - (index * 40), width: 200, height: 20 });
+    });
+    form.createCheckBox('Completed').addToPage(page, { x: 300, y: 700, width: 12, height: 12 });
+    const fillableBytes = await fillable.save();
+
+    const formFields = [
+      { name: 'Student Name', source: 'field', fieldKey: 'studentName' },
+      { name: 'Date1', source: 'table', table: 'detailTable', row: 0, columnKey: 'detailDate' },
+      { name: 'Date2', source: 'table', table: 'detailTable', row: 1, columnKey: 'detailDate' },
+      { name: 'Note', source: 'custom', customValue: 'Vacation Bible School' },
+      { name: 'Completed', source: 'custom', customValue: 'Yes' },
+      { name: 'Missing', source: 'custom', customValue: 'Ignored' },
+    ];
+    const data = {
+      student: { firstName: 'Jane', lastName: 'Smith' },
+      event: { timeZone: 'America/Chicago' },
+      timeEntries: [{ checkInTime: new Date('2026-06-15T14:00:00Z'), checkOutTime: new Date('2026-06-15T18:00:00Z') }],
+    };
+
+    const filled = (await PDFDocument.load(await generateFilledPdf(fillableBytes, [], data, { formFields }))).getForm();
+    expect(filled.getTextField('Student Name').getText()).toBe('Jane Smith');
+    expect(filled.getTextField('Date1').getText()).toBe('6/15/2026');
+    expect(filled.getTextField('Date2').getText()).toBeUndefined();
+    expect(filled.getTextField('Note').getText()).toBe('Vacation Bible School');
+    expect(filled.getCheckBox('Completed').isChecked()).toBe(true);
+
+    const flattened = await PDFDocument.load(await generateFilledPdf(fillableBytes, [], data, { formFields, flattenForm: true }));
+    expect(flattened.getForm().getFields()).toHaveLength(0);
+  });
+
+  it('should print names Helvetica cannot encode instead of throwing', async () => {
+    const fillable = await PDFDocument.create();
+    const page = fillable.addPage([612, 792]);
+    fillable.getForm().createTextField('Student Name').addToPage(page, { x: 50, y: 700, width: 200, height: 20 });
+    const fillableBytes = await fillable.save();
+    const fields = [
+      { type: 'static', fieldKey: 'studentName', xPercent: 50, yPercent: 10, fontSize: 12, page: 0, bold: true, align: 'center' },
+      { type: 'customStatic', customValue: 'Zoë’s 李', xPercent: 90, yPercent: 20, fontSize: 12, page: 0, align: 'right' },
+    ];
+    const data = { student: { firstName: 'Nguyễn', lastName: 'Zoë' }, event: {} };
+    const formFields = [{ name: 'Student Name', source: 'field', fieldKey: 'studentName' }];
+
+    const filled = await PDFDocument.load(await generateFilledPdf(fillableBytes, fields, data, { formFields }));
+
+    expect(filled.getForm().getTextField('Student Name').getText()).toBe('Nguyen Zoë');
+  });
+
+  it('should fall back to Helvetica when the template font cannot be read', async () => {
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+    const fields = [{ type: 'static', fieldKey: 'studentName', xPercent: 10, yPercent: 10, fontSize: 12, page: 0 }];
+
+    const bytes = await generateFilledPdf(templateBytes, fields, { student: { firstName: 'Nguyễn' }, event: {} }, {
+      fontBytes: new Uint8Array([1, 2, 3]),
+    });
+
+    expect((await PDFDocument.load(bytes)).getPageCount()).toBe(1);
+    expect(console.warn).toHaveBeenCalledWith('Could not embed the template font, using Helvetica:', expect.any(String));
+    console.warn.mockRestore();
+  });
+
+  it('should merge PDFs page by page', async () => {
+    const merged = await mergePdfs([templateBytes, templateBytes, templateBytes]);
+    const doc = await PDFDocument.load(merged);
+    expect(doc.getPageCount()).toBe(3);
+  });
+});
@@ -0,0 +1,110 @@
+/**
+ * Tests for the shared registration import rules
+ */
+import {
+  parseCsv,
+  detectColumnMapping,
+  applyColumnMapping,
+  planStudentImport,
+} from '../src/shared/registrationImport.js';
+
+const MIDDLE = 'Middle School Registrant (current 6th-8th grader)';
+
+const csv = [
+  '\uFEFFRegistrationType,First Name,Last Name,School,Current Grade,Grad Year',
+  `${MIDDLE},Sam,Lee,Oak Middle,7th,2031`,
+  `${MIDDLE},Alex,Kim,"Pine, Middle",8th,2030`,
+  `${MIDDLE},Sam,Lee,Oak Middle,7th,2031`,
+  '18+ Registrant,Pat,Parent,,,',
+  `${MIDDLE},Jo,,Oak Middle,6th,2032`,
+  `${MIDDLE},Riley,Cruz,Elm Middle,6th,2032`,
+].join('\r\n');
+
+describe('registration import rules', () => {
+  it('should parse quoted fields and strip a byte order mark', () => {
+    const { headers, records } = parseCsv(csv);
+
+    expect(headers[0]).toBe('RegistrationType');
+    expect(records).toHaveLength(6);
+    expect(records[1].School).toBe('Pine, Middle');
+  });
+
+  it('should map exact and loosely matching headers to fields', () => {
+    const mapping = detectColumnMapping(['registration_type', 'First Name', 'LAST NAME', 'Other']);
+
+    expect(mapping).toEqual(expect.objectContaining({
+      registrationType: 'registration_type',
+      firstName: 'First Name',
+      lastName: 'LAST NAME',
+      schoolName: '',
+    }));
+  });
+
+  it('should classify new, updated, unchanged, duplicate and skipped rows', () => {
+    const { headers, records } = parseCsv(csv);
+    const rows = applyColumnMapping(records, detectColumnMapping(headers));
+    const existing = [
+      { id: 'alex', firstName: 'Alex', lastName: 'Kim', schoolName: 'Oak Middle', gradeLevel: '8', gradYear: '2030' },
+      { id: 'riley', firstName: 'Riley', lastName: 'Cruz', schoolName: 'Elm Middle', gradeLevel: '6', gradYear: '2032' },
+    ];
+
+    const plan = planStudentImport(rows, existing, new Set(['riley']));
+
+    expect(plan.rows.map(row => [row.rowNumber, row.status])).toEqual([
+      [2, 'new'], [3, 'updated'], [4, 'duplicate'], [5, 'skipped'], [6, 'skipped'], [7, 'unchanged'],
+    ]);
+    expect(plan.rows[1]).toEqual(expect.objectContaining({
+      studentId: 'alex',
+      changes: { schoolName: { from: 'Oak Middle', to: 'Pine, Middle' } },
+      addToRoster: true,
+    }));
+    expect(plan.rows[2].reason).toBe('Same student as row 2');
+    expect(plan.rows[4].reason).toBe('Missing first or last name');
+    expect(plan.rows[5].addToRoster).toBe(false);
+    expect(plan.counts).toEqual({ new: 1, updated: 1, unchanged: 1, duplicate: 1, skipped: 2 });
+    expect(plan.rosterAdds).toBe(2);
+  });
+
+  it('should treat every named row as a student when no type column is mapped', () => {
+    const rows = applyColumnMapping([{ Name: 'Mary Ann Smith' }], { fullName: 'Name' });
+
+    const plan = planStudentImport(rows, [], new Set(), { hasTypeColumn: false });
+
+    expect(plan.rows[0]).toEqual(expect.objectContaining({
+      status: 'new',
+      student: expect.objectContaining({ firstName: 'Mary Ann', lastName: 'Smith' }),
+    }));
+  });
+
+  it('should import the parent contact as a guardian, not the student\'s email', () => {
+    const { headers, records } = parseCsv([
+      'First Name,Last Name,Parent Email,Emergency Contact Name:,Emergency Contact Cell Phone:',
+      'Sam,Lee,Pat@Example.com,Pat Lee,407-555-0100',
+      'Alex,Kim,chris@example.com,Chris Kim,',
+      'Riley,Cruz,,,',
+    ].join('\n'));
+    const mapping = detectColumnMapping(headers);
+    const existing = [
+      { id: 'alex', firstName: 'Alex', lastName: 'Kim' },
+      { id: 'riley', firstName: 'Riley', lastName: 'Cruz', guardians: [{ name: 'Jo Cruz', optIn: true }] },
+    ];
+
+    expect(mapping).toEqual(expect.objectContaining({
+      email: '',
+      guardianEmail: 'Parent Email',
+      guardianName: 'Emergency Contact Name:',
+      guardianPhone: 'Emergency Contact Cell Phone:',
+    }));
+
+    const plan = planStudentImport(applyColumnMapping(records, mapping), existing, new Set(), { hasTypeColumn: false });
+
+    expect(plan.rows[0].student.guardians).toEqual([
+      { name: 'Pat Lee', email: 'pat@example.com', phone: '407-555-0100', optIn: false },
+    ]);
+    expect(plan.rows[1]).toEqual(expect.objectContaining({
+      status: 'updated',
+      changes: { guardians: { from: '', to: 'Chris Kim (chris@example.com)' } },
+    }));
+    expect(plan.rows[2].status).toBe('unchanged');
+  });
+});
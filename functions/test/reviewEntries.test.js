@@ -0,0 +1,222 @@
+/**
+ * Tests for review workflow Cloud Functions
+ * approveTimeEntries, rejectTimeEntries, lockReviewDay, unlockReviewDay
+ */
+import { jest } from '@jest/globals';
+
+const mockTimestamp = {
+  now: jest.fn(() => ({ toMillis: () => Date.now() })),
+};
+
+const mockCollection = jest.fn();
+const mockBatchUpdate = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
+const mockLockSet = jest.fn().mockResolvedValue(undefined);
+const mockLockUpdate = jest.fn().mockResolvedValue(undefined);
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: mockCollection,
+    batch: () => ({ update: mockBatchUpdate, commit: mockBatchCommit }),
+  }),
+  Timestamp: mockTimestamp,
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/https', () => ({
+  onCall: (...args) => args.at(-1),
+  HttpsError: class HttpsError extends Error {
+    constructor(code, message) {
+      super(message);
+      this.code = code;
+    }
+  },
+}));
+
+const entryDoc = (id, data) => ({
+  id,
+  exists: true,
+  ref: { id },
+  data: () => ({ organizationId: 'org1', eventId: 'event1', date: '2026-06-15', ...data }),
+});
+
+describe('review workflow Cloud Functions', () => {
+  let approveTimeEntries;
+  let rejectTimeEntries;
+  let lockReviewDay;
+  let unlockReviewDay;
+  let isAdmin;
+  let lockData;
+  let entryDocs;
+
+  beforeAll(async () => {
+    const module = await import('../src/reviewEntries.js');
+    ({ approveTimeEntries, rejectTimeEntries, lockReviewDay, unlockReviewDay } = module);
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    isAdmin = true;
+    lockData = null;
+    entryDocs = [
+      entryDoc('entry1', { checkOutTime: { seconds: 1 }, reviewStatus: 'pending', changeLog: [] }),
+      entryDoc('entry2', { checkOutTime: { seconds: 1 }, reviewStatus: 'approved' }),
+      entryDoc('entry3', { checkOutTime: null, reviewStatus: 'pending' }),
+      entryDoc('entry4', { checkOutTime: { seconds: 1 }, reviewStatus: 'flagged', isVoided: true }),
+    ];
+
+    mockCollection.mockImplementation((name) => {
+      if (name === 'admins') {
+        return { doc: () => ({ get: async () => ({ exists: isAdmin, data: () => ({ organizationIds: ['org1'] }) }) }) };
+      }
+      if (name === 'events') {
+        return { doc: () => ({ get: async () => ({ exists: true, data: () => ({ organizationId: 'org1' }) }) }) };
+      }
+      if (name === 'reviewLocks') {
+        return {
+          doc: () => ({
+            get: async () => ({ exists: Boolean(lockData), data: () => lockData }),
+            set: mockLockSet,
+            update: mockLockUpdate,
+          }),
+        };
+      }
+      return {
+        doc: (id) => ({ get: async () => entryDocs.find(doc => doc.id === id) || { id, exists: false } }),
+        where: () => ({ where: () => ({ get: async () => ({ docs: entryDocs }) }) }),
+      };
+    });
+  });
+
+  const auth = { uid: 'admin1' };
+
+  describe('approveTimeEntries', () => {
+    it('should require an admin', async () => {
+      isAdmin = false;
+      await expect(approveTimeEntries({ data: { entryIds: ['entry1'] }, auth }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should refuse entries from another organization', async () => {
+      entryDocs = [entryDoc('entry1', { organizationId: 'org2', checkOutTime: { seconds: 1 }, reviewStatus: 'pending' })];
+      await expect(approveTimeEntries({ data: { entryIds: ['entry1'] }, auth }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+      expect(mockBatchUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should require entryIds or an event day', async () => {
+      await expect(approveTimeEntries({ data: {}, auth }))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('should approve selected entries', async () => {
+      const result = await approveTimeEntries({ data: { entryIds: ['entry1'] }, auth });
+
+      expect(result.updatedCount).toBe(1);
+      expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry1' }, expect.objectContaining({
+        reviewStatus: 'approved',
+        reviewedBy: 'admin1',
+        changeLog: [expect.objectContaining({ type: 'approve', oldReviewStatus: 'pending', newReviewStatus: 'approved' })],
+      }));
+    });
+
+    it('should approve a whole day, skipping open and voided entries', async () => {
+      const result = await approveTimeEntries({ data: { eventId: 'event1', date: '2026-06-15' }, auth });
+
+      expect(result.updatedCount).toBe(1);
+      expect(result.skipped).toEqual([
+        { entryId: 'entry3', reason: 'Student has not checked out' },
+        { entryId: 'entry4', reason: 'Entry is voided' },
+      ]);
+    });
+
+    it('should refuse changes on a locked day', async () => {
+      lockData = { locked: true };
+      await expect(approveTimeEntries({ data: { entryIds: ['entry1'] }, auth }))
+        .rejects.toMatchObject({ code: 'failed-precondition' });
+      expect(mockBatchUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should return not-found for an unknown entry', async () => {
+      await expect(approveTimeEntries({ data: { entryIds: ['missing'] }, auth }))
+        .rejects.toMatchObject({ code: 'not-found' });
+    });
+  });
+
+  describe('rejectTimeEntries', () => {
+    it('should require a reason', async () => {
+      await expect(rejectTimeEntries({ data: { entryIds: ['entry1'], reason: 'no' }, auth }))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('should reject entries with the reason recorded', async () => {
+      const result = await rejectTimeEntries({ data: { entryIds: ['entry2'], reason: 'Was not on site' }, auth });
+
+      expect(result.updatedCount).toBe(1);
+      expect(mockBatchUpdate).toHaveBeenCalledWith({ id: 'entry2' }, expect.objectContaining({
+        reviewStatus: 'rejected',
+        rejectionReason: 'Was not on site',
+      }));
+    });
+  });
+
+  describe('lockReviewDay', () => {
+    it('should refuse to lock while entries need review', async () => {
+      await expect(lockReviewDay({ data: { eventId: 'event1', date: '2026-06-15' }, auth }))
+        .rejects.toThrow('2 entries still need review before the day can be locked');
+      expect(mockLockSet).not.toHaveBeenCalled();
+    });
+
+    it('should lock a fully reviewed day', async () => {
+      entryDocs = [entryDocs[1], entryDocs[3]];
+
+      const result = await lockReviewDay({ data: { eventId: 'event1', date: '2026-06-15' }, auth });
+
+      expect(result.success).toBe(true);
+      expect(mockLockSet).toHaveBeenCalledWith(expect.objectContaining({
+        organizationId: 'org1',
+        eventId: 'event1',
+        date: '2026-06-15',
+        locked: true,
+        lockedBy: 'admin1',
+      }));
+    });
+
+    it('should not lock an already locked day', async () => {
+      lockData = { locked: true };
+      await expect(lockReviewDay({ data: { eventId: 'event1', date: '2026-06-15' }, auth }))
+        .rejects.toMatchObject({ code: 'already-exists' });
+    });
+  });
+
+  describe('unlockReviewDay', () => {
+    it('should require an admin', async () => {
+      isAdmin = false;
+      lockData = { locked: true };
+      await expect(unlockReviewDay({ data: { eventId: 'event1', date: '2026-06-15', reason: 'Fix a time' }, auth }))
+        .rejects.toMatchObject({ code: 'permission-denied' });
+    });
+
+    it('should require a reason', async () => {
+      await expect(unlockReviewDay({ data: { eventId: 'event1', date: '2026-06-15' }, auth }))
+        .rejects.toMatchObject({ code: 'invalid-argument' });
+    });
+
+    it('should unlock a locked day and record the reason', async () => {
+      lockData = { locked: true, history: [{ action: 'lock' }] };
+
+      await unlockReviewDay({ data: { eventId: 'event1', date: '2026-06-15', reason: 'Fix a time' }, auth });
+
+      expect(mockLockUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        locked: false,
+        unlockedBy: 'admin1',
+        unlockReason: 'Fix a time',
+        history: [{ action: 'lock' }, expect.objectContaining({ action: 'unlock', reason: 'Fix a time' })],
+      }));
+    });
+
+    it('should fail when the day is not locked', async () => {
+      await expect(unlockReviewDay({ data: { eventId: 'event1', date: '2026-06-15', reason: 'Fix a time' }, auth }))
+        .rejects.toMatchObject({ code: 'failed-precondition' });
+    });
+  });
+});
@@ -2,8 +2,8 @@
  * Jest setup for Firebase Cloud Functions tests
  */
 
-// Set timezone for consistent date handling
-process.env.TZ = 'America/New_York';
+// Key for signing badge QR payloads (read through defineSecret)
+process.env.BADGE_SIGNING_SECRET = 'test-badge-secret';
 
 // Mock console methods to reduce noise in test output
 // Comment these out when debugging tests
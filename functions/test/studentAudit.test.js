@@ -0,0 +1,88 @@
+/**
+ * Tests for the student edit audit trigger
+ */
+import { jest } from '@jest/globals';
+
+const mockAdd = jest.fn().mockResolvedValue({ id: 'audit1' });
+const mockGet = jest.fn();
+
+jest.unstable_mockModule('firebase-admin/firestore', () => ({
+  getFirestore: () => ({
+    collection: (name) => (name === 'auditLog'
+      ? { add: mockAdd }
+      : { doc: () => ({ get: mockGet }) }),
+  }),
+  Timestamp: { now: jest.fn(() => 'now') },
+}));
+
+jest.unstable_mockModule('firebase-functions/v2/firestore', () => ({
+  onDocumentUpdatedWithAuthContext: (...args) => args.at(-1),
+}));
+
+const makeEvent = (before, after, auth = { authType: 'unknown', authId: 'admin1' }) => ({
+  ...auth,
+  params: { studentId: 'student1' },
+  data: {
+    before: { data: () => before },
+    after: { data: () => after },
+  },
+});
+
+describe('auditStudentEdits trigger', () => {
+  let auditStudentEdits;
+  let getStudentChanges;
+
+  beforeAll(async () => {
+    ({ auditStudentEdits, getStudentChanges } = await import('../src/studentAudit.js'));
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockGet.mockResolvedValue({ exists: true, data: () => ({ name: 'Pat Admin' }) });
+  });
+
+  it('should list only the fields that changed', () => {
+    const at = new Date('2026-06-15T12:00:00Z');
+    expect(getStudentChanges(
+      { firstName: 'Sam', gradeLevel: '9', createdAt: { toDate: () => at } },
+      { firstName: 'Sam', gradeLevel: '10', schoolName: 'Oak Ridge', createdAt: { toDate: () => at } }
+    )).toEqual({
+      gradeLevel: { from: '9', to: '10' },
+      schoolName: { from: null, to: 'Oak Ridge' },
+    });
+  });
+
+  it('should record admin edits with the changed fields', async () => {
+    await auditStudentEdits(makeEvent(
+      { organizationId: 'org1', firstName: 'Sam', lastName: 'Lee', gradeLevel: '9' },
+      { organizationId: 'org1', firstName: 'Sam', lastName: 'Lee', gradeLevel: '10' }
+    ));
+
+    expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'student_edit',
+      targetType: 'student',
+      targetId: 'student1',
+      studentId: 'student1',
+      eventId: null,
+      organizationId: 'org1',
+      performedBy: 'admin1',
+      performedByName: 'Pat Admin',
+      details: {
+        studentName: 'Sam Lee',
+        changes: { gradeLevel: { from: '9', to: '10' } },
+        description: 'Updated gradeLevel',
+      },
+    }));
+  });
+
+  it('should skip writes made by Cloud Functions and writes that change nothing', async () => {
+    await auditStudentEdits(makeEvent(
+      { firstName: 'Sam' },
+      { firstName: 'Sam', mergedInto: 'student2' },
+      { authType: 'service_account', authId: 'functions@example.iam.gserviceaccount.com' }
+    ));
+    await auditStudentEdits(makeEvent({ firstName: 'Sam' }, { firstName: 'Sam' }));
+
+    expect(mockAdd).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,34 @@
+/**
+ * Tests for the shared duplicate student rules
+ */
+import { findDuplicateStudentGroups, isLikelyDuplicate } from '../src/shared/studentDuplicates.js';
+
+describe('duplicate student rules', () => {
+  const sarah = { id: 's1', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Oak High', gradYear: '2028' };
+
+  it('should match names ignoring case, spacing and punctuation', () => {
+    expect(isLikelyDuplicate(sarah, { firstName: ' sarah ', lastName: 'JONES', schoolName: 'oak high', gradYear: '2028' }))
+      .toBe(true);
+    expect(isLikelyDuplicate(sarah, { firstName: 'Sara', lastName: 'Jones' })).toBe(false);
+  });
+
+  it('should treat a blank school or grad year as agreeing', () => {
+    expect(isLikelyDuplicate(sarah, { firstName: 'Sarah', lastName: 'Jones', schoolName: '', gradYear: '2028' })).toBe(true);
+    expect(isLikelyDuplicate(sarah, { firstName: 'Sarah', lastName: 'Jones', schoolName: 'Pine High' })).toBe(false);
+    expect(isLikelyDuplicate(sarah, { firstName: 'Sarah', lastName: 'Jones', gradYear: '2030' })).toBe(false);
+  });
+
+  it('should group duplicates and ignore merged records and different people', () => {
+    const groups = findDuplicateStudentGroups([
+      sarah,
+      { id: 's2', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Oak High' },
+      { id: 's3', firstName: 'Sarah', lastName: 'Jones', schoolName: 'Pine High', gradYear: '2028' },
+      { id: 's4', firstName: 'Sarah', lastName: 'Jones', mergedInto: 's1' },
+      { id: 'a1', firstName: 'Alex', lastName: 'Adams' },
+      { id: 'a2', firstName: 'Alex', lastName: 'Adams' },
+      { id: 'b1', firstName: 'Ben', lastName: 'Brown' },
+    ]);
+
+    expect(groups.map(group => group.map(student => student.id))).toEqual([['a1', 'a2'], ['s1', 's2']]);
+  });
+});
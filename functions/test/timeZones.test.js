@@ -0,0 +1,66 @@
+/**
+ * Tests for shared event time zone helpers
+ */
+import {
+  DEFAULT_TIME_ZONE,
+  formatDateInTimeZone,
+  formatTimeInTimeZone,
+  fromDateTimeInputValue,
+  getEventTimeZone,
+  getMinutesOfDay,
+  getWeekStartDateString,
+  isValidTimeZone,
+  toDateTimeInputValue,
+  zonedTimeToDate,
+} from '../src/shared/timeZones.js';
+
+describe('getEventTimeZone', () => {
+  it('should use the event\'s zone, or the default for older and invalid events', () => {
+    expect(getEventTimeZone({ timeZone: 'America/Denver' })).toBe('America/Denver');
+    expect(getEventTimeZone({})).toBe(DEFAULT_TIME_ZONE);
+    expect(getEventTimeZone({ timeZone: 'Mars/Olympus' })).toBe(DEFAULT_TIME_ZONE);
+    expect(getEventTimeZone(undefined)).toBe(DEFAULT_TIME_ZONE);
+    expect(isValidTimeZone('Pacific/Honolulu')).toBe(true);
+    expect(isValidTimeZone('')).toBe(false);
+  });
+});
+
+describe('wall-clock conversions', () => {
+  // 2026-06-16 03:30 UTC is still the evening of June 15 on the West Coast
+  const instant = new Date('2026-06-16T03:30:00Z');
+
+  it('should read dates and times on the zone\'s clock', () => {
+    expect(formatDateInTimeZone(instant, 'America/New_York')).toBe('2026-06-15');
+    expect(formatDateInTimeZone(instant, 'Europe/London')).toBe('2026-06-16');
+    expect(formatTimeInTimeZone(instant, 'America/Los_Angeles')).toBe('8:30 PM');
+    expect(getMinutesOfDay(instant, 'America/Chicago')).toBe(22 * 60 + 30);
+  });
+
+  it('should turn a wall-clock time back into an instant', () => {
+    expect(zonedTimeToDate('2026-06-15', '20:30', 'America/Los_Angeles')).toEqual(instant);
+    expect(zonedTimeToDate('2026-01-15', '09:00', 'America/New_York')).toEqual(new Date('2026-01-15T14:00:00Z'));
+    expect(zonedTimeToDate('2026-01-15', '09:00', 'Asia/Manila')).toEqual(new Date('2026-01-15T01:00:00Z'));
+  });
+
+  it('should round-trip datetime-local input values', () => {
+    expect(toDateTimeInputValue(instant, 'America/Los_Angeles')).toBe('2026-06-15T20:30');
+    expect(fromDateTimeInputValue('2026-06-15T20:30', 'America/Los_Angeles')).toEqual(instant);
+    expect(toDateTimeInputValue(null)).toBe('');
+  });
+
+  it('should handle daylight-saving transition days', () => {
+    // Clocks go forward at 2:00 AM on March 8, 2026 in the US
+    expect(zonedTimeToDate('2026-03-08', '01:30', 'America/New_York')).toEqual(new Date('2026-03-08T06:30:00Z'));
+    expect(zonedTimeToDate('2026-03-08', '09:00', 'America/New_York')).toEqual(new Date('2026-03-08T13:00:00Z'));
+    expect(zonedTimeToDate('2026-03-08', '02:30', 'America/New_York')).toEqual(new Date('2026-03-08T07:30:00Z'));
+  });
+});
+
+describe('getWeekStartDateString', () => {
+  it('should return the Monday of the week', () => {
+    expect(getWeekStartDateString('2026-06-17')).toBe('2026-06-15');
+    expect(getWeekStartDateString('2026-06-15')).toBe('2026-06-15');
+    expect(getWeekStartDateString('2026-06-21')).toBe('2026-06-15');
+    expect(getWeekStartDateString('2026-03-01')).toBe('2026-02-23');
+  });
+});
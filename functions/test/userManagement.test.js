@@ -4,7 +4,7 @@
 import { jest } from '@jest/globals';
 
 const mockTimestamp = {
-  now: jest.fn(() => new Date('2026-06-15T10:00:00')),
+  now: jest.fn(() => new Date('2026-06-15T10:00:00-04:00')),
 };
 
 const mockAdminDoc = {
@@ -12,6 +12,7 @@ const mockAdminDoc = {
   data: () => ({
     role: 'admin',
     name: 'Admin User',
+    organizationIds: ['org1'],
   }),
 };
 
@@ -30,19 +31,23 @@ const mockUserDoc = {
     name: 'Test User',
     role: 'adult_volunteer',
     isActive: true,
+    organizationIds: ['org1'],
   }),
 };
 
 const mockCollection = jest.fn();
 const mockDoc = jest.fn();
+const mockWhere = jest.fn();
 const mockGet = jest.fn();
 const mockSet = jest.fn();
 const mockUpdate = jest.fn();
 const mockDelete = jest.fn();
+const mockAdd = jest.fn();
 
 const mockCreateUser = jest.fn();
 const mockUpdateUser = jest.fn();
 const mockDeleteUser = jest.fn();
+const mockGetUserByEmail = jest.fn();
 
 jest.unstable_mockModule('firebase-admin/firestore', () => ({
   getFirestore: () => ({
@@ -56,6 +61,7 @@ jest.unstable_mockModule('firebase-admin/auth', () => ({
     createUser: mockCreateUser,
     updateUser: mockUpdateUser,
     deleteUser: mockDeleteUser,
+    getUserByEmail: mockGetUserByEmail,
   }),
 }));
 
@@ -70,12 +76,13 @@ jest.unstable_mockModule('firebase-functions/v2/https', () => ({
 }));
 
 describe('User Management Functions', () => {
-  let createUser, updateUser, deleteUser, listUsers, resetUserPassword;
+  let createUser, updateUser, updateEventAssignments, deleteUser, listUsers, resetUserPassword;
 
   beforeAll(async () => {
     const module = await import('../src/userManagement.js');
     createUser = module.createUser;
     updateUser = module.updateUser;
+    updateEventAssignments = module.updateEventAssignments;
     deleteUser = module.deleteUser;
     listUsers = module.listUsers;
     resetUserPassword = module.resetUserPassword;
@@ -86,8 +93,10 @@ describe('User Management Functions', () => {
 
     mockCollection.mockReturnValue({
       doc: mockDoc,
-      get: mockGet,
+      where: mockWhere,
+      add: mockAdd,
     });
+    mockWhere.mockReturnValue({ get: mockGet });
 
     mockDoc.mockReturnValue({
       get: mockGet,
@@ -102,6 +111,7 @@ describe('User Management Functions', () => {
 
   describe('createUser', () => {
     beforeEach(() => {
+      mockGetUserByEmail.mockRejectedValue({ code: 'auth/user-not-found' });
       mockCreateUser.mockResolvedValue({ uid: 'newUser123' });
       mockSet.mockResolvedValue(undefined);
     });
@@ -110,6 +120,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: null,
         data: {
+          organizationId: 'org1',
           email: 'new@test.com',
           password: 'password123',
           name: 'New User',
@@ -126,6 +137,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'notAdminUser' },
         data: {
+          organizationId: 'org1',
           email: 'new@test.com',
           password: 'password123',
           name: 'New User',
@@ -140,6 +152,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           email: 'new@test.com',
           // missing password, name, role
         },
@@ -152,6 +165,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           email: 'new@test.com',
           password: 'password123',
           name: 'New User',
@@ -166,6 +180,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           email: 'new@test.com',
           password: 'short',
           name: 'New User',
@@ -180,6 +195,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           email: 'newadmin@test.com',
           password: 'password123',
           name: 'New Admin',
@@ -192,12 +208,85 @@ describe('User Management Functions', () => {
       expect(result.success).toBe(true);
       expect(result.userId).toBe('newUser123');
       expect(mockCollection).toHaveBeenCalledWith('admins');
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({
+        organizationIds: ['org1'],
+        selectedOrganizationId: 'org1',
+      }));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user_create',
+        targetId: 'newUser123',
+        performedBy: 'adminUser',
+        organizationId: 'org1',
+        details: expect.objectContaining({ email: 'newadmin@test.com', role: 'admin' }),
+      }));
+    });
+
+    it('should start new adult volunteers without event assignments', async () => {
+      await createUser({
+        auth: { uid: 'adminUser' },
+        data: {
+          organizationId: 'org1',
+          email: 'new@test.com',
+          password: 'password123',
+          name: 'New User',
+          role: 'adult_volunteer',
+        },
+      });
+
+      expect(mockCollection).toHaveBeenCalledWith('users');
+      expect(mockSet).toHaveBeenCalledWith(expect.objectContaining({ eventAssignments: {} }));
+    });
+
+    it('should only add users to the caller\'s organizations', async () => {
+      const request = {
+        auth: { uid: 'adminUser' },
+        data: {
+          organizationId: 'org2',
+          email: 'new@test.com',
+          password: 'password123',
+          name: 'New User',
+          role: 'adult_volunteer',
+        },
+      };
+
+      await expect(createUser(request)).rejects.toThrow('You do not have access to this organization');
+      await expect(createUser({ ...request, data: { ...request.data, organizationId: undefined } }))
+        .rejects.toThrow('Missing required field: organizationId');
+      expect(mockCreateUser).not.toHaveBeenCalled();
+    });
+
+    it('should add an existing account to the organization', async () => {
+      mockGetUserByEmail.mockResolvedValueOnce({ uid: 'existing1' });
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc) // Admin check
+        .mockResolvedValueOnce({ exists: false }) // Not in admins
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({ email: 'pat@test.com', name: 'Pat', role: 'adult_volunteer', organizationIds: ['org2'] }),
+        });
+
+      const result = await createUser({
+        auth: { uid: 'adminUser' },
+        data: {
+          organizationId: 'org1',
+          email: 'pat@test.com',
+          password: 'password123',
+          name: 'Pat',
+          role: 'adult_volunteer',
+        },
+      });
+
+      expect(result).toEqual(expect.objectContaining({ success: true, userId: 'existing1', existingUser: true }));
+      expect(mockCreateUser).not.toHaveBeenCalled();
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({ organizationIds: ['org2', 'org1'] }));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ action: 'user_add', organizationId: 'org1' }));
     });
 
     it('should create adult_volunteer user in users collection', async () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           email: 'newav@test.com',
           password: 'password123',
           name: 'New AV',
@@ -224,6 +313,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           name: 'Updated Name',
         },
       };
@@ -240,6 +330,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           userId: 'targetUser123',
           name: 'Updated Name',
         },
@@ -264,6 +355,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           userId: 'targetUser123',
           isActive: false,
         },
@@ -276,6 +368,138 @@ describe('User Management Functions', () => {
         { disabled: true }
       );
     });
+
+    it('should record role changes in the audit log', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(mockUserDoc);
+
+      await updateUser({
+        auth: { uid: 'adminUser', token: { email: 'admin@test.com' } },
+        data: { organizationId: 'org1', userId: 'targetUser123', role: 'admin' },
+      });
+
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user_update',
+        targetType: 'user',
+        targetId: 'targetUser123',
+        performedByName: 'admin@test.com',
+        details: expect.objectContaining({
+          before: expect.objectContaining({ role: 'adult_volunteer' }),
+          after: expect.objectContaining({ role: 'admin' }),
+          description: 'Role changed from adult_volunteer to admin for user@test.com',
+        }),
+      }));
+    });
+  });
+
+  describe('updateEventAssignments', () => {
+    const mockEventDoc = {
+      exists: true,
+      data: () => ({
+        organizationId: 'org1',
+        name: 'VBS 2026',
+        activities: [{ id: 'act1', name: 'Crafts' }, { id: 'act2', name: 'Games' }],
+      }),
+    };
+
+    beforeEach(() => {
+      mockUpdate.mockResolvedValue(undefined);
+    });
+
+    it('should require a userId and an assignment list', async () => {
+      await expect(updateEventAssignments({
+        auth: { uid: 'adminUser' },
+        data: { organizationId: 'org1', userId: 'targetUser123' },
+      })).rejects.toThrow('Missing required fields: userId and eventAssignments');
+    });
+
+    it('should replace the organization\'s assignments and keep other organizations\'', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc) // Admin check
+        .mockResolvedValueOnce({ exists: false }) // Not in admins
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            ...mockUserDoc.data(),
+            eventAssignments: {
+              oldEvent: { role: 'scanner', activityIds: [], organizationId: 'org1' },
+              otherOrgEvent: { role: 'scanner', activityIds: [], organizationId: 'org2' },
+            },
+          }),
+        })
+        .mockResolvedValueOnce(mockEventDoc);
+
+      const result = await updateEventAssignments({
+        auth: { uid: 'adminUser', token: { email: 'admin@test.com' } },
+        data: {
+          organizationId: 'org1',
+          userId: 'targetUser123',
+          eventAssignments: [{ eventId: 'event1', role: 'station_lead', activityIds: ['act1'] }],
+        },
+      });
+
+      expect(result.success).toBe(true);
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        eventAssignments: {
+          otherOrgEvent: { role: 'scanner', activityIds: [], organizationId: 'org2' },
+          event1: { role: 'station_lead', activityIds: ['act1'], organizationId: 'org1' },
+        },
+      }));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user_assignments',
+        targetId: 'targetUser123',
+        organizationId: 'org1',
+        details: expect.objectContaining({
+          description: 'Assigned Test User as Station Lead: VBS 2026 (Crafts)',
+        }),
+      }));
+    });
+
+    it('should reject invalid assignments and events of other organizations', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(mockUserDoc)
+        .mockResolvedValueOnce(mockEventDoc);
+
+      await expect(updateEventAssignments({
+        auth: { uid: 'adminUser' },
+        data: {
+          organizationId: 'org1',
+          userId: 'targetUser123',
+          eventAssignments: [{ eventId: 'event1', role: 'station_lead', activityIds: [] }],
+        },
+      })).rejects.toThrow('VBS 2026: choose the activities this station lead runs');
+
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce(mockUserDoc)
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockEventDoc.data(), organizationId: 'org2' }) });
+
+      await expect(updateEventAssignments({
+        auth: { uid: 'adminUser' },
+        data: {
+          organizationId: 'org1',
+          userId: 'targetUser123',
+          eventAssignments: [{ eventId: 'event1', role: 'scanner', activityIds: [] }],
+        },
+      })).rejects.toThrow('Event not found');
+      expect(mockUpdate).not.toHaveBeenCalled();
+    });
+
+    it('should not assign admins', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce(mockAdminDoc); // Target is an admin
+
+      await expect(updateEventAssignments({
+        auth: { uid: 'adminUser' },
+        data: { organizationId: 'org1', userId: 'otherAdmin', eventAssignments: [] },
+      })).rejects.toMatchObject({ code: 'failed-precondition' });
+    });
   });
 
   describe('deleteUser', () => {
@@ -287,7 +511,7 @@ describe('User Management Functions', () => {
     it('should throw error when userId is missing', async () => {
       const request = {
         auth: { uid: 'adminUser' },
-        data: {},
+        data: { organizationId: 'org1' },
       };
 
       await expect(deleteUser(request)).rejects.toThrow('Missing required field: userId');
@@ -297,6 +521,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           userId: 'adminUser', // Same as auth.uid
         },
       };
@@ -313,6 +538,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           userId: 'targetUser123',
         },
       };
@@ -321,6 +547,74 @@ describe('User Management Functions', () => {
 
       expect(result.success).toBe(true);
       expect(mockDeleteUser).toHaveBeenCalledWith('targetUser123');
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({
+        action: 'user_delete',
+        targetId: 'targetUser123',
+        details: expect.objectContaining({ email: 'user@test.com' }),
+      }));
+    });
+
+    it('should only remove the membership of users in other organizations', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({ ...mockUserDoc.data(), organizationIds: ['org1', 'org2'], selectedOrganizationId: 'org1' }),
+        });
+
+      const result = await deleteUser({
+        auth: { uid: 'adminUser' },
+        data: { organizationId: 'org1', userId: 'targetUser123' },
+      });
+
+      expect(result.message).toBe('User removed from this organization');
+      expect(mockDeleteUser).not.toHaveBeenCalled();
+      expect(mockDelete).not.toHaveBeenCalled();
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        organizationIds: ['org2'],
+        selectedOrganizationId: 'org2',
+      }));
+      expect(mockAdd).toHaveBeenCalledWith(expect.objectContaining({ action: 'user_remove' }));
+    });
+
+    it('should drop event assignments of the organization the user leaves', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({
+            ...mockUserDoc.data(),
+            organizationIds: ['org1', 'org2'],
+            eventAssignments: {
+              event1: { role: 'scanner', activityIds: [], organizationId: 'org1' },
+              event2: { role: 'scanner', activityIds: [], organizationId: 'org2' },
+            },
+          }),
+        });
+
+      await deleteUser({
+        auth: { uid: 'adminUser' },
+        data: { organizationId: 'org1', userId: 'targetUser123' },
+      });
+
+      expect(mockUpdate).toHaveBeenCalledWith(expect.objectContaining({
+        eventAssignments: { event2: { role: 'scanner', activityIds: [], organizationId: 'org2' } },
+      }));
+    });
+
+    it('should not find users of other organizations', async () => {
+      mockGet
+        .mockResolvedValueOnce(mockAdminDoc)
+        .mockResolvedValueOnce({ exists: false })
+        .mockResolvedValueOnce({ exists: true, data: () => ({ ...mockUserDoc.data(), organizationIds: ['org2'] }) });
+
+      await expect(deleteUser({
+        auth: { uid: 'adminUser' },
+        data: { organizationId: 'org1', userId: 'targetUser123' },
+      })).rejects.toThrow('User not found');
+      expect(mockDeleteUser).not.toHaveBeenCalled();
     });
   });
 
@@ -346,13 +640,14 @@ describe('User Management Functions', () => {
 
       const request = {
         auth: { uid: 'adminUser' },
-        data: {},
+        data: { organizationId: 'org1' },
       };
 
       const result = await listUsers(request);
 
       expect(result.success).toBe(true);
       expect(result.users).toHaveLength(3);
+      expect(mockWhere).toHaveBeenCalledWith('organizationIds', 'array-contains', 'org1');
     });
 
     it('should sort users by name', async () => {
@@ -376,7 +671,7 @@ describe('User Management Functions', () => {
 
       const request = {
         auth: { uid: 'adminUser' },
-        data: {},
+        data: { organizationId: 'org1' },
       };
 
       const result = await listUsers(request);
@@ -395,7 +690,7 @@ describe('User Management Functions', () => {
     it('should throw error when userId is missing', async () => {
       const request = {
         auth: { uid: 'adminUser' },
-        data: {},
+        data: { organizationId: 'org1' },
       };
 
       await expect(resetUserPassword(request)).rejects.toThrow('Missing required field: userId');
@@ -405,6 +700,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           userId: 'targetUser123',
           newPassword: 'newPassword456',
         },
@@ -423,6 +719,7 @@ describe('User Management Functions', () => {
       const request = {
         auth: { uid: 'adminUser' },
         data: {
+          organizationId: 'org1',
           userId: 'targetUser123',
         },
       };
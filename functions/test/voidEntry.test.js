@@ -23,14 +23,22 @@ const mockStudentDoc = {
   }),
 };
 
+const mockAdminDoc = {
+  exists: true,
+  data: () => ({ organizationIds: ['org1'] }),
+};
+
 const mockCollection = jest.fn();
 const mockDoc = jest.fn();
 const mockGet = jest.fn();
-const mockUpdate = jest.fn().mockResolvedValue(undefined);
+const mockBatchUpdate = jest.fn();
+const mockBatchSet = jest.fn();
+const mockBatchCommit = jest.fn().mockResolvedValue(undefined);
 
 jest.unstable_mockModule('firebase-admin/firestore', () => ({
   getFirestore: () => ({
     collection: mockCollection,
+    batch: () => ({ update: mockBatchUpdate, set: mockBatchSet, commit: mockBatchCommit }),
   }),
   Timestamp: mockTimestamp,
 }));
@@ -62,7 +70,6 @@ describe('voidTimeEntry Cloud Function', () => {
 
     mockDoc.mockReturnValue({
       get: mockGet,
-      update: mockUpdate,
     });
   });
 
@@ -146,11 +153,12 @@ describe('voidTimeEntry Cloud Function', () => {
       mockGet.mockResolvedValueOnce({
         exists: true,
         data: () => ({
+          organizationId: 'org1',
           isVoided: true,
           voidReason: 'Previously voided',
           studentId: 'student123',
         }),
-      });
+      }).mockResolvedValueOnce(mockAdminDoc);
 
       const request = {
         data: {
@@ -170,11 +178,13 @@ describe('voidTimeEntry Cloud Function', () => {
         .mockResolvedValueOnce({
           exists: true,
           data: () => ({
+            organizationId: 'org1',
             isVoided: false,
             studentId: 'student123',
             changeLog: [],
           }),
         })
+        .mockResolvedValueOnce(mockAdminDoc)
         .mockResolvedValueOnce(mockStudentDoc);
     });
 
@@ -205,7 +215,8 @@ describe('voidTimeEntry Cloud Function', () => {
 
       await voidTimeEntry(request);
 
-      expect(mockUpdate).toHaveBeenCalledWith(
+      expect(mockBatchUpdate).toHaveBeenCalledWith(
+        expect.anything(),
         expect.objectContaining({
           isVoided: true,
           voidReason: 'Duplicate entry created by mistake',
@@ -225,7 +236,7 @@ describe('voidTimeEntry Cloud Function', () => {
 
       await voidTimeEntry(request);
 
-      const updateCall = mockUpdate.mock.calls[0][0];
+      const updateCall = mockBatchUpdate.mock.calls[0][1];
       expect(updateCall.changeLog).toHaveLength(1);
       expect(updateCall.changeLog[0].type).toBe('void');
       expect(updateCall.changeLog[0].reason).toBe('Duplicate entry created by mistake');
@@ -242,9 +253,54 @@ describe('voidTimeEntry Cloud Function', () => {
 
       await voidTimeEntry(request);
 
-      const updateCall = mockUpdate.mock.calls[0][0];
+      const updateCall = mockBatchUpdate.mock.calls[0][1];
       expect(updateCall.voidReason).toBe('Duplicate entry');
     });
+
+    it('should record the void in the audit log', async () => {
+      const request = {
+        data: {
+          entryId: 'entry123',
+          voidReason: 'Duplicate entry created by mistake',
+        },
+        auth: { uid: 'admin123', token: { name: 'Pat Admin' } },
+      };
+
+      await voidTimeEntry(request);
+
+      expect(mockBatchSet).toHaveBeenCalledWith(expect.anything(), expect.objectContaining({
+        action: 'time_entry_void',
+        targetType: 'timeEntry',
+        targetId: 'entry123',
+        performedBy: 'admin123',
+        performedByName: 'Pat Admin',
+        organizationId: 'org1',
+        details: expect.objectContaining({ reason: 'Duplicate entry created by mistake' }),
+      }));
+      expect(mockBatchCommit).toHaveBeenCalledTimes(1);
+    });
+  });
+
+  describe('organization scoping', () => {
+    it('should not void entries of another organization', async () => {
+      mockGet
+        .mockResolvedValueOnce({
+          exists: true,
+          data: () => ({ organizationId: 'org2', isVoided: false, studentId: 'student123' }),
+        })
+        .mockResolvedValueOnce(mockAdminDoc);
+
+      const request = {
+        data: {
+          entryId: 'entry123',
+          voidReason: 'Duplicate entry',
+        },
+        auth: { uid: 'admin123' },
+      };
+
+      await expect(voidTimeEntry(request)).rejects.toThrow('You do not have access to this organization');
+      expect(mockBatchCommit).not.toHaveBeenCalled();
+    });
   });
 });
 
@@ -265,7 +321,6 @@ describe('restoreTimeEntry Cloud Function', () => {
 
     mockDoc.mockReturnValue({
       get: mockGet,
-      update: mockUpdate,
     });
   });
 
@@ -310,10 +365,11 @@ describe('restoreTimeEntry Cloud Function', () => {
       mockGet.mockResolvedValueOnce({
         exists: true,
         data: () => ({
+          organizationId: 'org1',
           isVoided: false,
           studentId: 'student123',
         }),
-      });
+      }).mockResolvedValueOnce(mockAdminDoc);
 
       const request = {
         data: {
@@ -332,6 +388,7 @@ describe('restoreTimeEntry Cloud Function', () => {
         .mockResolvedValueOnce({
           exists: true,
           data: () => ({
+            organizationId: 'org1',
             isVoided: true,
             voidReason: 'Duplicate entry',
             voidedAt: { toDate: () => new Date() },
@@ -348,6 +405,7 @@ describe('restoreTimeEntry Cloud Function', () => {
             ],
           }),
         })
+        .mockResolvedValueOnce(mockAdminDoc)
         .mockResolvedValueOnce(mockStudentDoc);
     });
 
@@ -376,7 +434,8 @@ describe('restoreTimeEntry Cloud Function', () => {
 
       await restoreTimeEntry(request);
 
-      expect(mockUpdate).toHaveBeenCalledWith(
+      expect(mockBatchUpdate).toHaveBeenCalledWith(
+        expect.anything(),
         expect.objectContaining({
           isVoided: false,
           voidReason: null,
@@ -396,7 +455,7 @@ describe('restoreTimeEntry Cloud Function', () => {
 
       await restoreTimeEntry(request);
 
-      const updateCall = mockUpdate.mock.calls[0][0];
+      const updateCall = mockBatchUpdate.mock.calls[0][1];
       expect(updateCall.changeLog).toHaveLength(2); // Original void + restore
       expect(updateCall.changeLog[1].type).toBe('restore');
       expect(updateCall.changeLog[1].reason).toContain('Duplicate entry');
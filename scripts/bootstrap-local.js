@@ -2,13 +2,13 @@
 
 import { initializeApp } from 'firebase-admin/app';
 import { getAuth } from 'firebase-admin/auth';
-import { getFirestore, Timestamp } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
 
 /**
  * bootstrap-local.js
  *
  * Seeds the Firebase emulators with a usable local environment:
- * - default admin user
+ * - default organization and admin user
  * - one VBS event with training and work-hours activities
  * - randomized student volunteers
  * - realistic time entries through day 2 of the work-hours activity
@@ -34,6 +34,11 @@ const DEFAULT_ADMIN = {
   role: 'admin'
 };
 
+const DEFAULT_ORGANIZATION = {
+  id: 'community-church',
+  name: 'Community Church'
+};
+
 const DEFAULT_STUDENT_COUNT = 50;
 const TIME_ZONE = 'America/New_York';
 
@@ -139,6 +144,7 @@ function buildTimeEntry({ studentId, eventId, activityId, checkIn, checkOut, fla
   const { rawMinutes, hoursWorked } = calculateHours(checkIn, checkOut);
 
   return {
+    organizationId: DEFAULT_ORGANIZATION.id,
     studentId,
     eventId,
     activityId,
@@ -173,6 +179,25 @@ async function commitInChunks(writes, label) {
   console.log(`✅ ${label}: ${writes.length}`);
 }
 
+async function setupOrganization() {
+  const orgRef = db.collection('organizations').doc(DEFAULT_ORGANIZATION.id);
+  const orgDoc = await orgRef.get();
+
+  if (orgDoc.exists) {
+    console.log(`✓ Organization already exists: ${DEFAULT_ORGANIZATION.name}`);
+    return;
+  }
+
+  await orgRef.set({
+    name: DEFAULT_ORGANIZATION.name,
+    schoolTemplateAliases: [],
+    defaultPdfTemplateId: null,
+    createdAt: Timestamp.now(),
+    createdBy: 'bootstrap-local'
+  });
+  console.log(`✅ Organization created: ${DEFAULT_ORGANIZATION.name}`);
+}
+
 async function setupAdmin() {
   let user;
 
@@ -200,6 +225,8 @@ async function setupAdmin() {
     email: DEFAULT_ADMIN.email,
     name: DEFAULT_ADMIN.name,
     role: DEFAULT_ADMIN.role,
+    organizationIds: FieldValue.arrayUnion(DEFAULT_ORGANIZATION.id),
+    selectedOrganizationId: adminDoc.data()?.selectedOrganizationId || DEFAULT_ORGANIZATION.id,
     createdAt: adminDoc.exists ? adminDoc.data().createdAt : Timestamp.now(),
     isActive: true
   }, { merge: true });
@@ -214,8 +241,9 @@ async function createEvent() {
   const workEndDate = addDays(workStartDate, 4);
 
   const eventData = {
+    organizationId: DEFAULT_ORGANIZATION.id,
     name: `Local VBS Bootstrap ${formatDate(today)}`,
-    organizationName: 'Community Church',
+    organizationName: DEFAULT_ORGANIZATION.name,
     contactName: 'Heidi Estep',
     supervisorName: 'Heidi Estep',
     startDate: formatDate(trainingDate),
@@ -269,6 +297,7 @@ async function createStudents(count) {
 
     const gradeLevel = randomInt(5, 12);
     const student = {
+      organizationId: DEFAULT_ORGANIZATION.id,
       firstName,
       lastName,
       schoolName: choose(schools),
@@ -352,6 +381,7 @@ async function main() {
   console.log('🔌 Connected to local Firebase emulators');
   console.log(`🚀 Bootstrapping local data with ${studentCount} students...\n`);
 
+  await setupOrganization();
   await setupAdmin();
   const { eventId, trainingDate, workStartDate, workEndDate } = await createEvent();
   const students = await createStudents(studentCount);
@@ -361,6 +391,7 @@ async function main() {
   console.log('━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━━');
   console.log(`Admin email:    ${DEFAULT_ADMIN.email}`);
   console.log(`Admin password: ${DEFAULT_ADMIN.password}`);
+  console.log(`Organization:   ${DEFAULT_ORGANIZATION.name} (${DEFAULT_ORGANIZATION.id})`);
   console.log(`Event ID:       ${eventId}`);
   console.log(`Training date:  ${formatDate(trainingDate)} 08:00-14:00`);
   console.log(`Work dates:     ${formatDate(workStartDate)} through ${formatDate(workEndDate)} 09:30-12:30`);
@@ -1,12 +1,19 @@
 import { initializeApp } from 'firebase-admin/app';
 import { getFirestore } from 'firebase-admin/firestore';
-import { generateQRData } from '../frontend/src/utils/qrCodeGenerator.js';
+import { signBadge } from '../functions/src/badges.js';
 import QRCode from 'qrcode';
 import fs from 'fs';
 
 // Connect to local emulators
 process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
 
+// Badges are signed with the same key the functions emulator uses
+// (BADGE_SIGNING_SECRET in functions/.secret.local)
+if (!process.env.BADGE_SIGNING_SECRET) {
+  console.error('Set BADGE_SIGNING_SECRET to the value in functions/.secret.local');
+  process.exit(1);
+}
+
 const app = initializeApp({ projectId: 'vbs-volunteer-tracker' });
 const db = getFirestore(app);
 
@@ -27,8 +34,8 @@ async function createStudentAndQR(eventId) {
     const studentId = docRef.id;
     console.log(`✅ Student created with ID: ${studentId}`);
 
-    // 2. Generate the formatted QR data string
-    const qrString = generateQRData(studentId, eventId);
+    // 2. Generate the signed QR data string
+    const qrString = signBadge(studentId, eventId, 1);
     console.log(`🔗 QR String: ${qrString}`);
 
     // 3. Save as an image file on your Mac
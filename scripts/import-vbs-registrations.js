@@ -6,28 +6,21 @@ import { randomBytes } from 'node:crypto';
 import { createInterface } from 'node:readline/promises';
 import { initializeApp, cert, getApps } from 'firebase-admin/app';
 import { getAuth } from 'firebase-admin/auth';
-import { getFirestore, Timestamp } from 'firebase-admin/firestore';
-
-const STUDENT_REGISTRATION_TYPES = new Set([
-  'middle school registrant (current 6th-8th grader)',
-  'high school registrant (current 9th-12th grader)',
-]);
-const ADULT_REGISTRATION_TYPE = '18+ registrant';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import {
+  STUDENT_REGISTRATION_TYPES,
+  ADULT_REGISTRATION_TYPE,
+  parseCsv,
+  normalize,
+  detectColumnMapping,
+  applyColumnMapping,
+  splitName,
+  toStudent,
+  studentKeys,
+} from '../functions/src/shared/registrationImport.js';
 
 const DEFAULT_PROJECT_ID = 'vbs-volunteer-tracker';
 
-const FIELD_ALIASES = {
-  registrationType: ['RegistrationType', 'Registration Type', 'Registrant Type', 'Ticket Type'],
-  firstName: ['First Name', 'FirstName', 'Volunteer First Name', 'Registrant First Name', 'Participant First Name', 'Attendee First Name'],
-  lastName: ['Last Name', 'LastName', 'Volunteer Last Name', 'Registrant Last Name', 'Participant Last Name', 'Attendee Last Name'],
-  fullName: ['Name', 'Full Name', 'Registrant Name', 'Participant Name', 'Attendee Name'],
-  email: ['Email', 'Email Address', 'Volunteer Email', 'Registrant Email', 'Primary Email', 'Parent Email'],
-  phone: ['Phone', 'Phone Number', 'Volunteer Cell Phone', 'Mobile Phone', 'Registrant Phone'],
-  schoolName: ['School', 'School Name', 'Current School'],
-  gradeLevel: ['Grade', 'Grade Level', 'Current Grade', 'What grade are you currently in?', 'What grade will you attend in the Fall of 2026?'],
-  gradYear: ['Graduation Year', 'Grad Year', 'High School Graduation Year'],
-};
-
 function parseArgs(argv) {
   const options = {
     filePath: null,
@@ -100,128 +93,23 @@ function initializeFirebase(options) {
   initializeApp({ projectId: options.projectId });
 }
 
-function parseCsv(content) {
-  const rows = [];
-  let row = [];
-  let field = '';
-  let inQuotes = false;
-
-  for (let i = 0; i < content.length; i += 1) {
-    const char = content[i];
-    const next = content[i + 1];
-
-    if (char === '"') {
-      if (inQuotes && next === '"') {
-        field += '"';
-        i += 1;
-      } else {
-        inQuotes = !inQuotes;
-      }
-    } else if (char === ',' && !inQuotes) {
-      row.push(field);
-      field = '';
-    } else if ((char === '\n' || char === '\r') && !inQuotes) {
-      if (char === '\r' && next === '\n') i += 1;
-      row.push(field);
-      if (row.some(value => value.trim() !== '')) rows.push(row);
-      row = [];
-      field = '';
-    } else {
-      field += char;
-    }
-  }
-
-  row.push(field);
-  if (row.some(value => value.trim() !== '')) rows.push(row);
-
-  if (rows.length === 0) return [];
-
-  const headers = rows[0].map(header => header.replace(/^\uFEFF/, '').trim());
-  return rows.slice(1).map(rawRow => {
-    const record = {};
-    headers.forEach((header, index) => {
-      record[header] = (rawRow[index] || '').trim();
-    });
-    return record;
-  });
-}
-
 function readRegistrations(filePath) {
   const extension = extname(filePath).toLowerCase();
   if (extension !== '.csv') {
     throw new Error('Please export the registration spreadsheet as CSV before importing.');
   }
 
-  return parseCsv(readFileSync(resolve(filePath), 'utf8'));
-}
-
-function normalize(value) {
-  return String(value || '').trim().replace(/\s+/g, ' ').toLowerCase();
-}
-
-function compact(value) {
-  return normalize(value).replace(/[^a-z0-9]/g, '');
-}
-
-function getField(row, fieldName) {
-  const aliases = FIELD_ALIASES[fieldName] || [fieldName];
-  const directKey = aliases.find(alias => Object.prototype.hasOwnProperty.call(row, alias));
-  if (directKey) return row[directKey].trim();
-
-  const normalizedAliases = aliases.map(compact);
-  const fuzzyKey = Object.keys(row).find(key => normalizedAliases.includes(compact(key)));
-  return fuzzyKey ? row[fuzzyKey].trim() : '';
-}
-
-function splitName(row) {
-  const firstName = getField(row, 'firstName');
-  const lastName = getField(row, 'lastName');
-  if (firstName || lastName) return { firstName, lastName };
-
-  const fullName = getField(row, 'fullName');
-  const parts = fullName.split(/\s+/).filter(Boolean);
-  if (parts.length === 0) return { firstName: '', lastName: '' };
-  if (parts.length === 1) return { firstName: parts[0], lastName: '' };
-  return {
-    firstName: parts.slice(0, -1).join(' '),
-    lastName: parts[parts.length - 1],
-  };
-}
-
-function inferGradeLevel(registrationType, rawGrade) {
-  const gradeMatch = String(rawGrade || registrationType || '').match(/\b(6|7|8|9|10|11|12)(?:th|st|nd|rd)?\b/);
-  return gradeMatch ? gradeMatch[1] : '';
-}
-
-function inferGradYear(gradeLevel) {
-  const grade = Number.parseInt(gradeLevel, 10);
-  if (!Number.isInteger(grade)) return '';
-  const now = new Date();
-  const schoolYearEnd = now.getMonth() >= 5 ? now.getFullYear() + 1 : now.getFullYear();
-  return String(schoolYearEnd + (12 - grade));
-}
-
-function toStudent(row) {
-  const { firstName, lastName } = splitName(row);
-  const gradeLevel = inferGradeLevel(getField(row, 'registrationType'), getField(row, 'gradeLevel'));
-
-  return {
-    firstName,
-    lastName,
-    schoolName: getField(row, 'schoolName'),
-    gradeLevel,
-    gradYear: getField(row, 'gradYear') || inferGradYear(gradeLevel),
-    overrideHours: 0,
-  };
+  const { headers, records } = parseCsv(readFileSync(resolve(filePath), 'utf8'));
+  return applyColumnMapping(records, detectColumnMapping(headers));
 }
 
 function toAdult(row) {
   const { firstName, lastName } = splitName(row);
-  const name = `${firstName} ${lastName}`.trim() || getField(row, 'fullName');
+  const name = `${firstName} ${lastName}`.trim() || row.fullName;
   return {
     name,
-    email: normalize(getField(row, 'email')),
-    phone: getField(row, 'phone'),
+    email: normalize(row.email),
+    phone: row.phone,
   };
 }
 
@@ -230,9 +118,9 @@ function classifyRows(rows) {
   const adults = [];
   const skipped = [];
 
-  rows.forEach((row, index) => {
-    const rowNumber = index + 2;
-    const registrationType = normalize(getField(row, 'registrationType'));
+  rows.forEach(row => {
+    const { rowNumber } = row;
+    const registrationType = normalize(row.registrationType);
 
     if (STUDENT_REGISTRATION_TYPES.has(registrationType)) {
       const student = toStudent(row);
@@ -254,29 +142,20 @@ function classifyRows(rows) {
       return;
     }
 
-    skipped.push({ rowNumber, reason: `unsupported RegistrationType: ${getField(row, 'registrationType') || '(blank)'}` });
+    skipped.push({ rowNumber, reason: `unsupported RegistrationType: ${row.registrationType || '(blank)'}` });
   });
 
   return { students, adults, skipped };
 }
 
-function studentKeys(student) {
-  const nameKey = `${compact(student.firstName)}:${compact(student.lastName)}`;
-  const keys = [];
-  if (compact(student.gradYear)) keys.push(`${nameKey}:grad:${compact(student.gradYear)}`);
-  if (compact(student.schoolName)) keys.push(`${nameKey}:school:${compact(student.schoolName)}`);
-  if (keys.length === 0) keys.push(nameKey);
-  return keys;
-}
-
 function generatePassword() {
   const alphabet = 'ABCDEFGHJKLMNPQRSTUVWXYZabcdefghjkmnpqrstuvwxyz23456789!@#$%';
   const bytes = randomBytes(14);
   return Array.from(bytes, byte => alphabet[byte % alphabet.length]).join('');
 }
 
-async function loadExistingStudents(db) {
-  const snapshot = await db.collection('students').get();
+async function loadExistingStudents(db, organizationId) {
+  const snapshot = await db.collection('students').where('organizationId', '==', organizationId).get();
   const byKey = new Map();
 
   snapshot.docs.forEach(doc => {
@@ -294,8 +173,8 @@ async function loadExistingEventStudentIds(db, eventId) {
   return new Set(snapshot.docs.map(doc => doc.data().studentId).filter(Boolean));
 }
 
-async function commitStudentImports(db, imports, eventId, userId, dryRun) {
-  const existingStudents = dryRun ? new Map() : await loadExistingStudents(db);
+async function commitStudentImports(db, imports, { eventId, organizationId }, userId, dryRun) {
+  const existingStudents = dryRun ? new Map() : await loadExistingStudents(db, organizationId);
   const existingEventStudentIds = dryRun ? new Set() : await loadExistingEventStudentIds(db, eventId);
   const created = [];
   const matched = [];
@@ -322,6 +201,7 @@ async function commitStudentImports(db, imports, eventId, userId, dryRun) {
       studentId = ref.id;
       const data = {
         ...item.student,
+        organizationId,
         createdAt: Timestamp.now(),
         importSource: 'vbs-registration-import',
       };
@@ -342,6 +222,7 @@ async function commitStudentImports(db, imports, eventId, userId, dryRun) {
     linkedStudentIds.add(studentId);
 
     const link = {
+      organizationId,
       eventId,
       studentId,
       addedAt: Timestamp.now(),
@@ -365,7 +246,7 @@ async function commitStudentImports(db, imports, eventId, userId, dryRun) {
   return { created, matched, eventLinksCreated, eventLinksExisting };
 }
 
-async function upsertAdults(auth, db, imports, dryRun) {
+async function upsertAdults(auth, db, imports, organizationId, dryRun) {
   const authCreated = [];
   const authMatched = [];
   const profilesCreated = [];
@@ -407,6 +288,8 @@ async function upsertAdults(auth, db, imports, dryRun) {
       phone: item.adult.phone || existingDoc.data()?.phone || '',
       role: 'adult_volunteer',
       isActive: true,
+      organizationIds: FieldValue.arrayUnion(organizationId),
+      selectedOrganizationId: existingDoc.data()?.selectedOrganizationId || organizationId,
       createdAt: existingDoc.exists ? existingDoc.data().createdAt : Timestamp.now(),
       updatedAt: Timestamp.now(),
       importSource: existingDoc.exists ? existingDoc.data().importSource : 'vbs-registration-import',
@@ -545,8 +428,12 @@ async function main() {
   console.log(`Skipped: ${skipped.length}`);
 
   const { eventId, eventData } = await resolveTargetEvent(db, options);
-  const studentResult = await commitStudentImports(db, students, eventId, 'script_import', options.dryRun);
-  const adultResult = await upsertAdults(auth, db, adults, options.dryRun);
+  const organizationId = eventData.organizationId || null;
+  if (!options.dryRun && !organizationId) {
+    throw new Error(`Event ${eventId} has no organizationId. Run migrate-organizations.js first.`);
+  }
+  const studentResult = await commitStudentImports(db, students, { eventId, organizationId }, 'script_import', options.dryRun);
+  const adultResult = await upsertAdults(auth, db, adults, organizationId, options.dryRun);
 
   console.log('\nImport complete');
   console.log(`Event: ${eventData.name} (${eventId})`);
@@ -0,0 +1,288 @@
+#!/usr/bin/env node
+
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { initializeApp, cert, getApps } from 'firebase-admin/app';
+import { getFirestore, FieldValue, Timestamp } from 'firebase-admin/firestore';
+import { getStorage } from 'firebase-admin/storage';
+
+/**
+ * migrate-organizations.js
+ *
+ * Moves a single-church deployment onto organizations:
+ * - creates the organization (or reuses it when it already exists)
+ * - copies settings/pdfDefaults into its defaultPdfTemplateId and seeds the
+ *   school rules that used to be hard-coded (Bishop Moore, The First Academy,
+ *   OCPS for everyone else)
+ * - stamps organizationId on every event, student, PDF template and the
+ *   records written from them that do not have one yet; records tied to an
+ *   event take that event's organization
+ * - adds every admin and adult volunteer to the organization
+ * - moves template PDFs and fonts into their organization's Storage folder
+ *   (pdfTemplates/{organizationId}/, pdfFonts/{organizationId}/), the only
+ *   places storage.rules lets admins read them
+ *
+ * Safe to rerun: documents that already carry an organizationId are left
+ * alone, so it also picks up data written by the older seed scripts.
+ *
+ * Usage:
+ *   node migrate-organizations.js --emulator --name "Community Church"
+ *   node migrate-organizations.js --service-account service-account.json --name "Community Church"
+ *   node migrate-organizations.js --emulator --organization-id community-church --dry-run
+ */
+
+const DEFAULT_PROJECT_ID = 'vbs-volunteer-tracker';
+const DEFAULT_ORGANIZATION_ID = 'default';
+const BATCH_SIZE = 450;
+
+// Rules that findTemplateForSchool applied to every deployment before
+// organizations; each organization now edits its own on the PDF Templates page
+const LEGACY_SCHOOL_TEMPLATE_ALIASES = [
+  { school: ['Bishop Moore', 'Bishop Moore Catholic'], template: ['Bishop Moore'] },
+  { school: ['The First Academy', 'First Academy', 'TFA'], template: ['The First Academy', 'First Academy', 'TFA'] },
+  { school: [], template: ['OCPS'] },
+];
+
+const ROOT_COLLECTIONS = ['events', 'students', 'pdfTemplates'];
+const EVENT_COLLECTIONS = [
+  'eventStudents',
+  'timeEntries',
+  'reviewLocks',
+  'auditLog',
+  'notifications',
+  'kioskDevices',
+  'generatedForms',
+];
+const MEMBER_COLLECTIONS = ['admins', 'users'];
+// Storage folders kept per organization (see storage.rules)
+const ORGANIZATION_FOLDERS = ['pdfTemplates', 'pdfFonts'];
+
+function parseArgs(argv) {
+  const options = {
+    organizationId: DEFAULT_ORGANIZATION_ID,
+    name: null,
+    projectId: DEFAULT_PROJECT_ID,
+    bucket: null,
+    serviceAccount: null,
+    emulator: false,
+    dryRun: false,
+  };
+
+  for (let i = 0; i < argv.length; i += 1) {
+    const arg = argv[i];
+    const next = () => argv[++i];
+
+    if (arg === '--organization-id') options.organizationId = next();
+    else if (arg === '--name') options.name = next();
+    else if (arg === '--project') options.projectId = next();
+    else if (arg === '--bucket') options.bucket = next();
+    else if (arg === '--service-account') options.serviceAccount = next();
+    else if (arg === '--emulator') options.emulator = true;
+    else if (arg === '--dry-run') options.dryRun = true;
+    else if (arg === '--help' || arg === '-h') {
+      printUsage();
+      process.exit(0);
+    } else {
+      throw new Error(`Unknown argument: ${arg}`);
+    }
+  }
+
+  if (!options.organizationId) {
+    throw new Error('--organization-id needs a value.');
+  }
+  options.bucket ||= `${options.projectId}.firebasestorage.app`;
+
+  return options;
+}
+
+function printUsage() {
+  console.log(`Usage:
+  node scripts/migrate-organizations.js [options]
+
+Options:
+  --name "Church Name"             Name for the organization when it is created
+  --organization-id id             Organization document ID (default: ${DEFAULT_ORGANIZATION_ID})
+  --emulator                       Use local Firestore emulator
+  --project project-id             Firebase project ID (default: ${DEFAULT_PROJECT_ID})
+  --bucket bucket-name             Storage bucket (default: <project-id>.firebasestorage.app)
+  --service-account path.json      Service account JSON for production runs
+  --dry-run                        Report what would change without writing`);
+}
+
+function initializeFirebase(options) {
+  if (options.emulator) {
+    process.env.FIRESTORE_EMULATOR_HOST ||= 'localhost:8080';
+    process.env.FIREBASE_STORAGE_EMULATOR_HOST ||= 'localhost:9199';
+  }
+
+  if (getApps().length) return;
+
+  if (options.serviceAccount) {
+    const serviceAccount = JSON.parse(readFileSync(resolve(options.serviceAccount), 'utf8'));
+    initializeApp({
+      credential: cert(serviceAccount),
+      projectId: options.projectId,
+      storageBucket: options.bucket,
+    });
+    return;
+  }
+
+  initializeApp({ projectId: options.projectId, storageBucket: options.bucket });
+}
+
+async function commitUpdates(db, updates, dryRun) {
+  if (dryRun) return;
+
+  for (let i = 0; i < updates.length; i += BATCH_SIZE) {
+    const batch = db.batch();
+    updates.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => batch.update(ref, data));
+    await batch.commit();
+  }
+}
+
+async function ensureOrganization(db, options) {
+  const orgRef = db.collection('organizations').doc(options.organizationId);
+  const orgDoc = await orgRef.get();
+
+  if (orgDoc.exists) {
+    console.log(`✓ Organization already exists: ${orgDoc.data().name} (${orgRef.id})`);
+    return;
+  }
+
+  if (!options.name) {
+    throw new Error(`Organization ${orgRef.id} does not exist yet. Pass --name to create it.`);
+  }
+
+  const pdfDefaults = await db.collection('settings').doc('pdfDefaults').get();
+  const organization = {
+    name: options.name,
+    schoolTemplateAliases: LEGACY_SCHOOL_TEMPLATE_ALIASES,
+    defaultPdfTemplateId: pdfDefaults.exists ? pdfDefaults.data().defaultTemplateId || null : null,
+    createdAt: Timestamp.now(),
+    createdBy: 'migrate-organizations',
+  };
+
+  if (!options.dryRun) await orgRef.set(organization);
+  console.log(`✅ Organization created: ${options.name} (${orgRef.id})`);
+}
+
+async function stampCollection(db, collectionName, getOrganizationId, dryRun) {
+  const snapshot = await db.collection(collectionName).get();
+  const updates = snapshot.docs
+    .filter(doc => !doc.data().organizationId)
+    .map(doc => ({ ref: doc.ref, data: { organizationId: getOrganizationId(doc.data()) } }));
+
+  await commitUpdates(db, updates, dryRun);
+  console.log(`✅ ${collectionName}: ${updates.length} of ${snapshot.size} stamped`);
+}
+
+async function addMembers(db, collectionName, organizationId, dryRun) {
+  const snapshot = await db.collection(collectionName).get();
+  const updates = snapshot.docs
+    .filter(doc => !(doc.data().organizationIds || []).includes(organizationId))
+    .map(doc => ({
+      ref: doc.ref,
+      data: {
+        organizationIds: FieldValue.arrayUnion(organizationId),
+        selectedOrganizationId: doc.data().selectedOrganizationId || organizationId,
+      },
+    }));
+
+  await commitUpdates(db, updates, dryRun);
+  console.log(`✅ ${collectionName}: ${updates.length} of ${snapshot.size} added to the organization`);
+}
+
+// Where a file from before organizations belongs, or null when it is already in one
+function organizationPath(storagePath, organizationId) {
+  const [folder, ...rest] = (storagePath || '').split('/');
+  if (!ORGANIZATION_FOLDERS.includes(folder) || rest.length !== 1) return null;
+  return `${folder}/${organizationId}/${rest[0]}`;
+}
+
+// The copy keeps the file's download token, so only the path in the URL changes
+function movedFile(file, storagePath) {
+  return {
+    ...file,
+    storagePath,
+    ...(file.downloadURL && {
+      downloadURL: file.downloadURL.replace(encodeURIComponent(file.storagePath), encodeURIComponent(storagePath)),
+    }),
+  };
+}
+
+async function moveTemplateFiles(db, bucket, organizationId, dryRun) {
+  const snapshot = await db.collection('pdfTemplates').get();
+  const copies = new Map();
+  const updates = [];
+
+  snapshot.docs.forEach(doc => {
+    const template = doc.data();
+    const templateOrganizationId = template.organizationId || organizationId;
+    const data = {};
+    const templatePath = organizationPath(template.storagePath, templateOrganizationId);
+    if (templatePath) {
+      copies.set(templatePath, template.storagePath);
+      const { storagePath, downloadURL } = movedFile(template, templatePath);
+      Object.assign(data, { storagePath }, downloadURL && { downloadURL });
+    }
+    const fontPath = organizationPath(template.font?.storagePath, templateOrganizationId);
+    if (fontPath) {
+      copies.set(fontPath, template.font.storagePath);
+      data.font = movedFile(template.font, fontPath);
+    }
+    if (Object.keys(data).length > 0) updates.push({ ref: doc.ref, data });
+  });
+
+  if (!dryRun) {
+    for (const [to, from] of copies) {
+      await bucket.file(from).copy(bucket.file(to));
+    }
+  }
+  await commitUpdates(db, updates, dryRun);
+  if (!dryRun) {
+    for (const from of new Set(copies.values())) {
+      await bucket.file(from).delete({ ignoreNotFound: true });
+    }
+  }
+  console.log(`✅ Storage: ${copies.size} template and font files moved into organization folders`);
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  initializeFirebase(options);
+  const db = getFirestore();
+  const { organizationId, dryRun } = options;
+
+  console.log(`🚀 Migrating to organization ${organizationId}${dryRun ? ' (dry run)' : ''}...\n`);
+
+  await ensureOrganization(db, options);
+
+  for (const collectionName of ROOT_COLLECTIONS) {
+    await stampCollection(db, collectionName, () => organizationId, dryRun);
+  }
+
+  // Event records follow their event, which may already belong elsewhere
+  const eventsSnapshot = await db.collection('events').get();
+  const eventOrganizations = new Map(
+    eventsSnapshot.docs.map(doc => [doc.id, doc.data().organizationId || organizationId])
+  );
+  const organizationForRecord = (data) => eventOrganizations.get(data.eventId) || organizationId;
+
+  for (const collectionName of EVENT_COLLECTIONS) {
+    await stampCollection(db, collectionName, organizationForRecord, dryRun);
+  }
+
+  for (const collectionName of MEMBER_COLLECTIONS) {
+    await addMembers(db, collectionName, organizationId, dryRun);
+  }
+
+  await moveTemplateFiles(db, getStorage().bucket(), organizationId, dryRun);
+
+  console.log('\n✅ Organization migration complete');
+  console.log('Deploy firestore.rules, storage.rules and firestore.indexes.json before reopening the app.');
+}
+
+main().catch((error) => {
+  console.error(`\n❌ Migration failed: ${error.message}`);
+  process.exit(1);
+});
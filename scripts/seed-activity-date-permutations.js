@@ -14,8 +14,10 @@ const PROJECT_ID = 'vbs-volunteer-tracker';
 const BUCKET_NAME = 'vbs-volunteer-tracker.firebasestorage.app';
 const SEED_SOURCE = 'issue-115-activity-date-permutations';
 const EVENT_ID = 'issue115-date-permutations';
+// The organization bootstrap-local.js and setup-admin.js create
+const ORGANIZATION_ID = 'community-church';
 const TEMPLATE_ID = 'issue115-compact-date-template';
-const TEMPLATE_STORAGE_PATH = 'pdfTemplates/issue115-compact-date-template.pdf';
+const TEMPLATE_STORAGE_PATH = `pdfTemplates/${ORGANIZATION_ID}/issue115-compact-date-template.pdf`;
 const TEMPLATE_DIR_URL = existsSync(fileURLToPath(new URL('./data/templates/', import.meta.url)))
   ? new URL('./data/templates/', import.meta.url)
   : new URL('./templates/', import.meta.url);
@@ -165,6 +167,7 @@ function buildEntry(studentId, row, index) {
   return {
     id: `${studentId}-${index + 1}`,
     data: {
+      organizationId: ORGANIZATION_ID,
       studentId,
       eventId: EVENT_ID,
       activityId: row.activityId,
@@ -241,6 +244,7 @@ async function seed() {
   const batch = db.batch();
 
   batch.set(db.collection('pdfTemplates').doc(TEMPLATE_ID), {
+    organizationId: ORGANIZATION_ID,
     name: 'Issue 115 Compact Date Test Template',
     fileName: 'ocps-issue115-date-test.pdf',
     storagePath: TEMPLATE_STORAGE_PATH,
@@ -252,13 +256,13 @@ async function seed() {
     updatedAt: Timestamp.now(),
   }, { merge: true });
 
-  batch.set(db.collection('settings').doc('pdfDefaults'), {
-    defaultTemplateId: TEMPLATE_ID,
-    seedSource: SEED_SOURCE,
+  batch.set(db.collection('organizations').doc(ORGANIZATION_ID), {
+    defaultPdfTemplateId: TEMPLATE_ID,
     updatedAt: Timestamp.now(),
   }, { merge: true });
 
   batch.set(db.collection('events').doc(EVENT_ID), {
+    organizationId: ORGANIZATION_ID,
     name: 'Issue 115 Date Formatting Test Event',
     organizationName: 'Community Church Date Lab',
     contactName: 'Heidi Estep',
@@ -278,6 +282,7 @@ async function seed() {
   students.forEach(student => {
     batch.set(db.collection('students').doc(student.id), {
       ...student,
+      organizationId: ORGANIZATION_ID,
       overrideHours: 0,
       pdfTemplateId: TEMPLATE_ID,
       seedSource: SEED_SOURCE,
@@ -286,6 +291,7 @@ async function seed() {
     }, { merge: true });
 
     batch.set(db.collection('eventStudents').doc(`${EVENT_ID}_${student.id}`), {
+      organizationId: ORGANIZATION_ID,
       eventId: EVENT_ID,
       studentId: student.id,
       addedAt: Timestamp.now(),
@@ -4,14 +4,15 @@
  * Setup Admin User in Firebase Emulator
  *
  * This script creates the initial admin user in the Firebase Auth emulator
- * and adds them to the admins collection in Firestore.
+ * and adds them to the admins collection in Firestore as a member of the
+ * default local organization.
  *
  * Usage: node scripts/setup-admin.js
  */
  
 import { initializeApp, cert } from 'firebase-admin/app';
 import { getAuth } from 'firebase-admin/auth';
-import { getFirestore } from 'firebase-admin/firestore';
+import { getFirestore, FieldValue } from 'firebase-admin/firestore';
  
 // Connect to emulators
 process.env.FIRESTORE_EMULATOR_HOST = 'localhost:8080';
@@ -25,6 +26,11 @@ const app = initializeApp({
 const auth = getAuth(app);
 const db = getFirestore(app);
  
+const DEFAULT_ORGANIZATION = {
+  id: 'community-church',
+  name: 'Community Church'
+};
+ 
 const DEFAULT_ADMIN = {
   email: 'admin@vbstrack.local',
   password: 'Admin123!VBS',
@@ -59,6 +65,19 @@ async function setupAdmin() {
       }
     }
  
+    // Create the default organization the admin belongs to
+    const orgRef = db.collection('organizations').doc(DEFAULT_ORGANIZATION.id);
+    if (!(await orgRef.get()).exists) {
+      await orgRef.set({
+        name: DEFAULT_ORGANIZATION.name,
+        schoolTemplateAliases: [],
+        defaultPdfTemplateId: null,
+        createdAt: new Date(),
+        createdBy: 'setup-admin'
+      });
+      console.log(`✓ Organization created: ${DEFAULT_ORGANIZATION.name}`);
+    }
+ 
     // Add/update admin document in Firestore
     const adminRef = db.collection('admins').doc(user.uid);
     const adminDoc = await adminRef.get();
@@ -68,11 +87,14 @@ async function setupAdmin() {
         email: DEFAULT_ADMIN.email,
         name: DEFAULT_ADMIN.name,
         role: DEFAULT_ADMIN.role,
+        organizationIds: [DEFAULT_ORGANIZATION.id],
+        selectedOrganizationId: DEFAULT_ORGANIZATION.id,
         createdAt: new Date(),
         isActive: true
       });
       console.log(`✓ Admin document created in Firestore`);
     } else {
+      await adminRef.update({ organizationIds: FieldValue.arrayUnion(DEFAULT_ORGANIZATION.id) });
       console.log(`✓ Admin document already exists in Firestore`);
     }
  